@@ -39,4 +39,5 @@ module.exports.AdminConnection = require('./lib/adminconnection');
  * @ignore
  */
 module.exports.BusinessNetworkDefinition = require('composer-common').BusinessNetworkDefinition;
+module.exports.IdCard = require('composer-common').IdCard;
 module.exports.Logger = require('composer-common').Logger;
@@ -15,6 +15,7 @@
 'use strict';
 
 const Util = require('composer-common').Util;
+const IdCard = require('composer-common').IdCard;
 const ConnectionProfileManager = require('composer-common').ConnectionProfileManager;
 const FSConnectionProfileStore = require('composer-common').FSConnectionProfileStore;
 
@@ -63,13 +64,52 @@ class AdminConnection {
      * .catch(function(error){
      *     // Add optional error handling here.
      * });
-     * @param {string} connectionProfile - The name of the connection profile
+     * @example
+     * // Connect to Hyperledger Fabric using a business network card
+     * var adminConnection = new AdminConnection();
+     * return IdCard.fromArchive(fs.readFileSync('admin.card'))
+     * .then(function(card){
+     *     return adminConnection.connect(card);
+     * })
+     * .then(function(){
+     *     // Connected.
+     * });
+     * @param {(string|IdCard)} connectionProfile - The name of the connection profile,
+     * or a business network card. If a business network card is specified, then the
+     * connection profile in the card is saved into the profile store, and the enrollment
+     * credentials and business network (if any) are taken from the card. The connection
+     * fails if a different connection profile with the same name already exists, or if
+     * the card contains a certificate or private key instead of an enrollment secret.
      * @param {string} enrollmentID the enrollment ID of the user
      * @param {string} enrollmentSecret the enrollment secret of the user
      * @param {string} businessNetworkIdentifier the id of the network (for update) or null
      * @return {Promise} A promise that indicates the connection is complete
      */
     connect(connectionProfile, enrollmentID, enrollmentSecret, businessNetworkIdentifier) {
+        if (connectionProfile instanceof IdCard) {
+            const card = connectionProfile;
+            const credentials = card.getCredentials();
+            if (credentials.certificate || credentials.privateKey) {
+                return Promise.reject(new Error('Connecting using the certificate and private key in a business network card is not supported, the card must specify an enrollment secret'));
+            }
+            const profile = Object.assign({}, card.getConnectionProfile());
+            const profileName = profile.name;
+            delete profile.name;
+            return this.getProfile(profileName)
+                .catch(() => {
+                    return null;
+                })
+                .then((existingProfile) => {
+                    if (!existingProfile) {
+                        return this.createProfile(profileName, profile);
+                    } else if (!Util.deepEqual(existingProfile, profile)) {
+                        throw new Error(`A different connection profile named '${profileName}' already exists`);
+                    }
+                })
+                .then(() => {
+                    return this.connect(profileName, card.getEnrollmentId(), card.getEnrollmentSecret(), card.getBusinessNetworkName());
+                });
+        }
         return this.connectionProfileManager.connect(connectionProfile, businessNetworkIdentifier)
             .then((connection) => {
                 this.connection = connection;
@@ -239,7 +279,10 @@ class AdminConnection {
 
     /**
      * Updates an existing BusinessNetworkDefinition on the fabric. The BusinessNetworkDefinition
-     * must have been previously deployed.
+     * must have been previously deployed. The resources stored in the registries are migrated
+     * to the new models by the migration functions in the new BusinessNetworkDefinition, and
+     * the update is rejected if there are breaking changes to the models without a migration
+     * function.
      * @example
      * // Updates a Business Network Definition
      * var adminConnection = new AdminConnection();
@@ -20,6 +20,7 @@ const ConcertoCommon = require('composer-common');
 const BusinessNetworkDefinition = ConcertoCommon.BusinessNetworkDefinition;
 const Connection = ConcertoCommon.Connection;
 const ConnectionManager = ConcertoCommon.ConnectionManager;
+const IdCard = ConcertoCommon.IdCard;
 const SecurityContext = ConcertoCommon.SecurityContext;
 
 const chai = require('chai');
@@ -81,6 +82,9 @@ describe('AdminConnection', () => {
         it('should give access to BusinessNetworkDefinition', () => {
             Module.BusinessNetworkDefinition.should.not.be.null;
         });
+        it('should give access to IdCard', () => {
+            Module.IdCard.should.equal(IdCard);
+        });
     });
 
     describe('#constructor', () => {
@@ -103,6 +107,70 @@ describe('AdminConnection', () => {
             });
         });
 
+        it('should save the connection profile and connect using a business network card', () => {
+            adminConnection.connectionProfileStore.load.withArgs('cardprofile').rejects(new Error('Failed to load connection profile cardprofile'));
+            adminConnection.connectionProfileStore.save.withArgs('cardprofile', sinon.match.any).resolves();
+            const card = new IdCard({ name: 'testcard', businessNetwork: 'testnetwork', enrollmentId: 'WebAppAdmin', enrollmentSecret: 'DJY27pEnl16d' }, Object.assign({ name: 'cardprofile' }, config));
+            return adminConnection.connect(card)
+                .then((res) => {
+                    res.should.equal('connected');
+                    sinon.assert.calledOnce(adminConnection.connectionProfileStore.save);
+                    sinon.assert.calledWith(adminConnection.connectionProfileStore.save, 'cardprofile', config);
+                    sinon.assert.calledOnce(adminConnection.connectionProfileManager.connect);
+                    sinon.assert.calledWith(adminConnection.connectionProfileManager.connect, 'cardprofile', 'testnetwork');
+                    sinon.assert.calledOnce(mockConnection.login);
+                    sinon.assert.calledWith(mockConnection.login, 'WebAppAdmin', 'DJY27pEnl16d');
+                    adminConnection.securityContext.should.equal(mockSecurityContext);
+                });
+        });
+
+        it('should connect using a business network card with the same connection profile as an existing connection profile', () => {
+            const card = new IdCard({ name: 'testcard', businessNetwork: 'testnetwork', enrollmentId: 'WebAppAdmin', enrollmentSecret: 'DJY27pEnl16d' }, Object.assign({ name: 'testprofile' }, config));
+            return adminConnection.connect(card)
+                .then((res) => {
+                    res.should.equal('connected');
+                    sinon.assert.notCalled(adminConnection.connectionProfileStore.save);
+                    sinon.assert.calledOnce(adminConnection.connectionProfileManager.connect);
+                    sinon.assert.calledWith(adminConnection.connectionProfileManager.connect, 'testprofile', 'testnetwork');
+                });
+        });
+
+        it('should connect using a business network card with the same connection profile as an existing connection profile with the keys in a different order', () => {
+            const reorderedConfig = {};
+            Object.keys(config).reverse().forEach((key) => {
+                reorderedConfig[key] = config[key];
+            });
+            const card = new IdCard({ name: 'testcard', businessNetwork: 'testnetwork', enrollmentId: 'WebAppAdmin', enrollmentSecret: 'DJY27pEnl16d' }, Object.assign({ name: 'testprofile' }, reorderedConfig));
+            return adminConnection.connect(card)
+                .then((res) => {
+                    res.should.equal('connected');
+                    sinon.assert.notCalled(adminConnection.connectionProfileStore.save);
+                    sinon.assert.calledOnce(adminConnection.connectionProfileManager.connect);
+                    sinon.assert.calledWith(adminConnection.connectionProfileManager.connect, 'testprofile', 'testnetwork');
+                });
+        });
+
+        it('should throw if a different connection profile with the same name as the connection profile in the business network card exists', () => {
+            const card = new IdCard({ name: 'testcard', businessNetwork: 'testnetwork', enrollmentId: 'WebAppAdmin', enrollmentSecret: 'DJY27pEnl16d' }, Object.assign({ name: 'testprofile' }, config2));
+            return adminConnection.connect(card)
+                .should.be.rejectedWith(/A different connection profile named 'testprofile' already exists/)
+                .then(() => {
+                    sinon.assert.notCalled(adminConnection.connectionProfileStore.save);
+                    sinon.assert.notCalled(adminConnection.connectionProfileManager.connect);
+                });
+        });
+
+        it('should throw if the business network card contains a certificate and private key', () => {
+            const card = new IdCard({ name: 'testcard', businessNetwork: 'testnetwork', enrollmentId: 'WebAppAdmin' }, Object.assign({ name: 'testprofile' }, config));
+            card.setCredentials({ certificate: 'such certificate', privateKey: 'such private key' });
+            return adminConnection.connect(card)
+                .should.be.rejectedWith(/Connecting using the certificate and private key in a business network card is not supported/)
+                .then(() => {
+                    sinon.assert.notCalled(adminConnection.connectionProfileStore.save);
+                    sinon.assert.notCalled(adminConnection.connectionProfileManager.connect);
+                });
+        });
+
     });
 
     describe('#createProfile', () => {
@@ -0,0 +1,43 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const Create = require ('./lib/create.js');
+
+module.exports.command = 'create [options]';
+module.exports.describe = 'Create a business network card from a connection profile and a user identity';
+module.exports.builder = {
+    connectionProfileName: {alias: 'p', required: false, describe: 'The connection profile name', type: 'string' },
+    name: {alias: 'n', required: true, describe: 'The name of the business network card', type: 'string' },
+    description: {alias: 'd', required: false, describe: 'The description of the business network card', type: 'string' },
+    businessNetworkName: {alias: 'b', required: false, describe: 'The business network name', type: 'string' },
+    enrollId: {alias: 'i', required: true, describe: 'The enrollment ID of the user', type: 'string' },
+    enrollSecret: {alias: 's', required: false, describe: 'The enrollment secret of the user', type: 'string' },
+    file: {alias: 'f', required: true, describe: 'The business network card file to create', type: 'string' }
+};
+
+module.exports.handler = (argv) => {
+
+    return Create.handler(argv)
+    .then(() => {
+        console.log ('Command completed successfully.');
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.log(error+ '\nCommand failed.');
+        process.exit(1);
+    });
+};
@@ -0,0 +1,37 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const Import = require ('./lib/import.js');
+
+module.exports.command = 'import [options]';
+module.exports.describe = 'Import a business network card, saving its connection profile into the profile store';
+module.exports.builder = {
+    file: {alias: 'f', required: true, describe: 'The business network card file to import', type: 'string' }
+};
+
+module.exports.handler = (argv) => {
+
+    return Import.handler(argv)
+    .then(() => {
+        console.log ('Command completed successfully.');
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.log(error+ '\nCommand failed.');
+        process.exit(1);
+    });
+};
@@ -0,0 +1,68 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const cmdUtil = require('../../utils/cmdutils');
+const fs = require('fs');
+const IdCard = require('composer-common').IdCard;
+const DEFAULT_PROFILE_NAME = 'defaultProfile';
+
+/**
+ * <p>
+ * Composer "card create" command
+ * </p>
+ * @private
+ */
+class Create {
+
+  /**
+    * Command process for card create command
+    * @param {string} argv argument list from composer command
+    * @return {Promise} promise when command complete
+    */
+    static handler(argv) {
+        let connectionProfileName = Create.getDefaultProfileName(argv);
+        let adminConnection = cmdUtil.createAdminConnection();
+
+        return adminConnection.getProfile(connectionProfileName)
+        .then((profile) => {
+            let card = new IdCard({
+                name: argv.name,
+                description: argv.description,
+                businessNetwork: argv.businessNetworkName,
+                enrollmentId: argv.enrollId,
+                enrollmentSecret: argv.enrollSecret
+            }, Object.assign({ name: connectionProfileName }, profile));
+            return card.toArchive();
+        })
+        .then((buffer) => {
+            fs.writeFileSync(argv.file, buffer, { mode: 0o600 });
+            console.log(`The business network card '${argv.name}' was written to '${argv.file}'`);
+        });
+    }
+
+    /**
+      * Get default profile name
+      * @param {argv} argv program arguments
+      * @return {String} defaultConnection profile name
+      */
+    static getDefaultProfileName(argv) {
+        return argv.connectionProfileName || DEFAULT_PROFILE_NAME;
+    }
+
+}
+
+module.exports = Create;
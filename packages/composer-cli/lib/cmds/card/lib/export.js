@@ -0,0 +1,48 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const cmdUtil = require('../../utils/cmdutils');
+const fs = require('fs');
+
+/**
+ * <p>
+ * Composer "card export" command
+ * </p>
+ * @private
+ */
+class Export {
+
+  /**
+    * Command process for card export command
+    * @param {string} argv argument list from composer command
+    * @return {Promise} promise when command complete
+    */
+    static handler(argv) {
+        return Promise.resolve()
+        .then(() => {
+            let cardFile = cmdUtil.getCardFile(argv.name);
+            if (!fs.existsSync(cardFile)) {
+                throw new Error(`A business network card named '${argv.name}' has not been imported`);
+            }
+            fs.writeFileSync(argv.file, fs.readFileSync(cardFile), { mode: 0o600 });
+            console.log(`The business network card '${argv.name}' was exported to '${argv.file}'`);
+        });
+    }
+
+}
+
+module.exports = Export;
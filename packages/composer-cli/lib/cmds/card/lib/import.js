@@ -0,0 +1,67 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const cmdUtil = require('../../utils/cmdutils');
+const fs = require('fs');
+const IdCard = require('composer-common').IdCard;
+
+/**
+ * <p>
+ * Composer "card import" command
+ * </p>
+ * @private
+ */
+class Import {
+
+  /**
+    * Command process for card import command
+    * @param {string} argv argument list from composer command
+    * @return {Promise} promise when command complete
+    */
+    static handler(argv) {
+        let adminConnection = cmdUtil.createAdminConnection();
+        let buffer;
+        let card;
+        let profileName;
+
+        return Promise.resolve()
+        .then(() => {
+            buffer = fs.readFileSync(argv.file);
+            return IdCard.fromArchive(buffer);
+        })
+        .then((result) => {
+            card = result;
+            if (fs.existsSync(cmdUtil.getCardFile(card.getName()))) {
+                throw new Error(`A business network card named '${card.getName()}' has already been imported`);
+            }
+            let profile = Object.assign({}, card.getConnectionProfile());
+            profileName = profile.name;
+            delete profile.name;
+            return adminConnection.createProfile(profileName, profile);
+        })
+        .then(() => {
+            if (!fs.existsSync(cmdUtil.getCardDirectory())) {
+                fs.mkdirSync(cmdUtil.getCardDirectory());
+            }
+            fs.writeFileSync(cmdUtil.getCardFile(card.getName()), buffer, { mode: 0o600 });
+            console.log(`The business network card '${card.getName()}' was imported, and the connection profile '${profileName}' was saved`);
+        });
+    }
+
+}
+
+module.exports = Import;
@@ -0,0 +1,72 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const cmdUtil = require('../../utils/cmdutils');
+const fs = require('fs');
+const IdCard = require('composer-common').IdCard;
+const path = require('path');
+const Pretty = require('prettyjson');
+
+/**
+ * <p>
+ * Composer "card list" command
+ * </p>
+ * @private
+ */
+class List {
+
+  /**
+    * Command process for card list command
+    * @param {string} argv argument list from composer command
+    * @return {Promise} promise when command complete
+    */
+    static handler(argv) {
+        return Promise.resolve()
+        .then(() => {
+            let cardDirectory = cmdUtil.getCardDirectory();
+            if (!fs.existsSync(cardDirectory)) {
+                return [];
+            }
+            let cardFiles = fs.readdirSync(cardDirectory).filter((file) => {
+                return path.extname(file) === '.card';
+            }).sort();
+            return Promise.all(cardFiles.map((file) => {
+                return IdCard.fromArchive(fs.readFileSync(path.resolve(cardDirectory, file)));
+            }));
+        })
+        .then((cards) => {
+            if (cards.length === 0) {
+                console.log('No business network cards have been imported.');
+                return;
+            }
+            let result = {};
+            cards.forEach((card) => {
+                result[card.getName()] = {
+                    description: card.getDescription(),
+                    connectionProfile: card.getConnectionProfile().name,
+                    businessNetwork: card.getBusinessNetworkName(),
+                    enrollmentId: card.getEnrollmentId(),
+                    credentials: Object.keys(card.getCredentials())
+                };
+            });
+            console.log(Pretty.render(result));
+        });
+    }
+
+}
+
+module.exports = List;
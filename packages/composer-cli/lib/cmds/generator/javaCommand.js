@@ -0,0 +1,34 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Generate = require ('./lib/generate.js');
+
+module.exports.command = 'java [options]';
+module.exports.describe = 'Generate Java classes, one source file per class';
+module.exports.builder = Generate.getOptions();
+module.exports.handler = (argv) => {
+
+    return Generate.handler(argv, 'java')
+    .then(() => {
+        console.log ('Command completed successfully.');
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.log(error);
+        console.log('Command failed.');
+        process.exit(1);
+    });
+};
@@ -0,0 +1,237 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Common = require('composer-common');
+const BusinessNetworkDefinition = Common.BusinessNetworkDefinition;
+const FileWriter = Common.FileWriter;
+
+const VISITORS = {
+    csharp: Common.CSharpVisitor,
+    go: Common.GoLangVisitor,
+    java: Common.JavaVisitor,
+    jsonschema: Common.JSONSchemaVisitor,
+    loopback: Common.LoopbackVisitor,
+    plantuml: Common.PlantUMLVisitor,
+    typescript: Common.TypescriptVisitor
+};
+
+const WATCH_DELAY = 500;
+
+/**
+ * <p>
+ * Composer generate command, shared by the code generator subcommands
+ * </p>
+ * @private
+ */
+class Generate {
+
+   /**
+    * Builder options shared by all of the code generator subcommands.
+    * @return {Object} the yargs builder options
+    */
+    static getOptions() {
+        return {
+            archiveFile: { alias: 'a', required: false, describe: 'The business network archive file name', type: 'string' },
+            modelDirectory: { alias: 'm', required: false, describe: 'The directory containing the model (.cto) files', type: 'string' },
+            outputDir: { alias: 'o', required: true, describe: 'The directory to write the generated files to', type: 'string' },
+            namespace: { alias: 'n', required: false, describe: 'Only generate the given namespaces and the namespaces they import; a trailing * matches any namespace with that prefix', type: 'array' },
+            watch: { alias: 'w', required: false, describe: 'Regenerate whenever the archive or model files change', type: 'boolean', default: false }
+        };
+    }
+
+   /**
+    * Command process for the code generator subcommands
+    * @param {Object} argv argument list from composer command
+    * @param {string} format the code generator to use, for example typescript
+    * @return {Promise} promise when command complete; in watch mode, when
+    * watching is stopped
+    */
+    static handler(argv, format) {
+        if (!VISITORS[format]) {
+            return Promise.reject(new Error(`Unrecognised code generator ${format}`));
+        } else if (!argv.archiveFile === !argv.modelDirectory) {
+            return Promise.reject(new Error('Either an archive file or a model directory must be specified'));
+        }
+
+        return Generate.generate(argv, format)
+            .then(() => {
+                if (argv.watch) {
+                    return Generate.watch(argv, format);
+                }
+            });
+    }
+
+   /**
+    * Generate code for the business network or models specified on the command line.
+    * @param {Object} argv argument list from composer command
+    * @param {string} format the code generator to use
+    * @return {Promise} promise when the code has been generated
+    */
+    static generate(argv, format) {
+        return Generate.loadBusinessNetwork(argv)
+            .then((businessNetworkDefinition) => {
+                const filtered = Generate.filterNamespaces(businessNetworkDefinition, argv.namespace);
+                const visitor = new VISITORS[format]();
+                const parameters = { fileWriter: new FileWriter(argv.outputDir) };
+
+                // the PlantUML visitor also draws the scripts, so it visits the whole business network
+                if (format === 'plantuml') {
+                    filtered.accept(visitor, parameters);
+                } else {
+                    filtered.getModelManager().accept(visitor, parameters);
+                }
+                console.log(`Generated ${format} code in ${argv.outputDir}`);
+            });
+    }
+
+   /**
+    * Load the business network from an archive file, or create one from
+    * the model files in a directory.
+    * @param {Object} argv argument list from composer command
+    * @return {Promise} promise that resolves with the business network definition
+    */
+    static loadBusinessNetwork(argv) {
+        if (argv.archiveFile) {
+            return BusinessNetworkDefinition.fromArchive(fs.readFileSync(argv.archiveFile));
+        }
+
+        return new Promise((resolve) => {
+            const modelDirectory = path.resolve(argv.modelDirectory);
+            const fileNames = fs.readdirSync(modelDirectory)
+                .filter((fileName) => path.extname(fileName) === '.cto')
+                .sort()
+                .map((fileName) => path.join(modelDirectory, fileName));
+            const contents = fileNames.map((fileName) => fs.readFileSync(fileName, 'utf8'));
+
+            const businessNetworkDefinition = new BusinessNetworkDefinition(path.basename(modelDirectory) + '@0.0.1', 'Models in ' + argv.modelDirectory);
+            businessNetworkDefinition.getModelManager().addModelFiles(contents, fileNames);
+            resolve(businessNetworkDefinition);
+        });
+    }
+
+   /**
+    * Returns a business network that only contains the model files in the given
+    * namespaces, and the model files that they import, so that super types and
+    * relationships in other namespaces can still be resolved.
+    * @param {BusinessNetworkDefinition} businessNetworkDefinition the business network
+    * @param {string[]} [namespaces] the namespaces to keep; a trailing * is a wildcard
+    * @return {BusinessNetworkDefinition} the filtered business network
+    */
+    static filterNamespaces(businessNetworkDefinition, namespaces) {
+        if (!namespaces || namespaces.length === 0) {
+            return businessNetworkDefinition;
+        }
+
+        const matches = (namespace) => {
+            return namespaces.some((pattern) => {
+                if (pattern.endsWith('*')) {
+                    return namespace.startsWith(pattern.slice(0, -1));
+                }
+                return namespace === pattern;
+            });
+        };
+
+        const modelManager = businessNetworkDefinition.getModelManager();
+        const selected = modelManager.getModelFiles().filter((modelFile) => {
+            return matches(modelFile.getNamespace());
+        });
+        if (selected.length === 0) {
+            throw new Error(`No model files found for the namespaces ${namespaces.join(', ')}`);
+        }
+
+        // the imports are either a fully qualified type name, or a namespace followed by .*
+        const modelFiles = [];
+        const addModelFile = (modelFile) => {
+            if (modelFiles.indexOf(modelFile) !== -1) {
+                return;
+            }
+            modelFiles.push(modelFile);
+            modelFile.getImports().forEach((importName) => {
+                const importedModelFile = modelManager.getModelFile(importName.substring(0, importName.lastIndexOf('.')));
+                if (!importedModelFile) {
+                    throw new Error(`Could not find the model file for the import ${importName} in the namespace ${modelFile.getNamespace()}`);
+                }
+                addModelFile(importedModelFile);
+            });
+        };
+        selected.forEach(addModelFile);
+
+        const filtered = new BusinessNetworkDefinition(businessNetworkDefinition.getIdentifier(), businessNetworkDefinition.getDescription());
+        filtered.getModelManager().addModelFiles(
+            modelFiles.map((modelFile) => modelFile.getDefinitions()),
+            modelFiles.map((modelFile) => modelFile.getFileName())
+        );
+        businessNetworkDefinition.getScriptManager().getScripts().forEach((script) => {
+            filtered.getScriptManager().addScript(script);
+        });
+        return filtered;
+    }
+
+   /**
+    * Watch the archive file or model directory, and regenerate the code
+    * whenever it changes. Errors are reported without stopping the watch.
+    * @param {Object} argv argument list from composer command
+    * @param {string} format the code generator to use
+    * @return {Promise} promise that resolves when watching is stopped with Ctrl-C
+    */
+    static watch(argv, format) {
+        const target = argv.archiveFile || argv.modelDirectory;
+        let timeout = null;
+
+        // tools often replace an archive file by renaming a new file over it, which
+        // stops a watch on the file itself, so watch the directory containing it
+        const directory = argv.archiveFile ? path.dirname(argv.archiveFile) : argv.modelDirectory;
+        const accept = (fileName) => {
+            // not every platform reports the name of the file that changed
+            if (!fileName) {
+                return true;
+            } else if (argv.archiveFile) {
+                return fileName === path.basename(argv.archiveFile);
+            }
+            return path.extname(fileName) === '.cto';
+        };
+
+        return new Promise((resolve) => {
+            const watcher = fs.watch(directory, (eventType, fileName) => {
+                if (!accept(fileName)) {
+                    return;
+                }
+                // editors often write a file several times in a row, so wait for it to settle
+                clearTimeout(timeout);
+                timeout = setTimeout(() => {
+                    timeout = null;
+                    Generate.generate(argv, format)
+                        .catch((error) => {
+                            console.log(error);
+                            console.log('Code generation failed, waiting for further changes.');
+                        });
+                }, WATCH_DELAY);
+            });
+            console.log(`Watching ${target} for changes, press Ctrl-C to stop.`);
+
+            process.once('SIGINT', () => {
+                clearTimeout(timeout);
+                watcher.close();
+                resolve();
+            });
+        });
+    }
+
+}
+
+module.exports = Generate;
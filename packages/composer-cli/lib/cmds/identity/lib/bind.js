@@ -0,0 +1,88 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const cmdUtil = require('../../utils/cmdutils');
+const DEFAULT_PROFILE_NAME = 'defaultProfile';
+
+/**
+ * <p>
+ * Composer "identity bind" command
+ * </p>
+ * <p><a href="diagrams/Deploy.svg"><img src="diagrams/deploy.svg" style="width:100%;"/></a></p>
+ * @private
+ */
+class Bind {
+
+  /**
+    * Command process for identity bind command
+    * @param {string} argv argument list from composer command
+    * @return {Promise} promise when command complete
+    */
+    static handler(argv) {
+        let businessNetworkConnection;
+        let enrollId;
+        let enrollSecret;
+        let connectionProfileName = Bind.getDefaultProfileName(argv);
+        let businessNetworkName;
+        let participantId = argv.participantId;
+        let certificate;
+
+        return (() => {
+            if (!argv.enrollSecret) {
+                return cmdUtil.prompt({
+                    name: 'enrollmentSecret',
+                    description: 'What is the enrollment secret of the user?',
+                    required: true,
+                    hidden: true,
+                    replace: '*'
+                })
+                .then((result) => {
+                    argv.enrollSecret = result;
+                });
+            } else {
+                return Promise.resolve();
+            }
+        })()
+        .then(() => {
+            certificate = fs.readFileSync(argv.certificateFile, 'utf8');
+            enrollId = argv.enrollId;
+            enrollSecret = argv.enrollSecret;
+            businessNetworkName = argv.businessNetworkName;
+            businessNetworkConnection = cmdUtil.createBusinessNetworkConnection();
+            return businessNetworkConnection.connect(connectionProfileName, businessNetworkName, enrollId, enrollSecret);
+        })
+        .then(() => {
+            return businessNetworkConnection.bindIdentity(participantId, certificate);
+        })
+        .then((result) => {
+            console.log(`The certificate was bound to the participant '${participantId}'`);
+            console.log('The participant can now connect to the business network using the identity that the certificate was issued to.');
+        });
+    }
+
+    /**
+      * Get default profile name
+      * @param {argv} argv program arguments
+      * @return {String} defaultConnection profile name
+      */
+    static getDefaultProfileName(argv) {
+        return argv.connectionProfileName || DEFAULT_PROFILE_NAME;
+    }
+
+}
+
+module.exports = Bind;
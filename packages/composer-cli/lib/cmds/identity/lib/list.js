@@ -0,0 +1,98 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Pretty = require('prettyjson');
+const cmdUtil = require('../../utils/cmdutils');
+const DEFAULT_PROFILE_NAME = 'defaultProfile';
+
+/**
+ * <p>
+ * Composer "identity list" command
+ * </p>
+ * <p><a href="diagrams/Deploy.svg"><img src="diagrams/deploy.svg" style="width:100%;"/></a></p>
+ * @private
+ */
+class List {
+
+  /**
+    * Command process for identity list command
+    * @param {string} argv argument list from composer command
+    * @return {Promise} promise when command complete
+    */
+    static handler(argv) {
+        let businessNetworkConnection;
+        let enrollId;
+        let enrollSecret;
+        let connectionProfileName = List.getDefaultProfileName(argv);
+        let businessNetworkName;
+
+        return (() => {
+            if (!argv.enrollSecret) {
+                return cmdUtil.prompt({
+                    name: 'enrollmentSecret',
+                    description: 'What is the enrollment secret of the user?',
+                    required: true,
+                    hidden: true,
+                    replace: '*'
+                })
+                .then((result) => {
+                    argv.enrollSecret = result;
+                });
+            } else {
+                return Promise.resolve();
+            }
+        })()
+        .then(() => {
+            enrollId = argv.enrollId;
+            enrollSecret = argv.enrollSecret;
+            businessNetworkName = argv.businessNetworkName;
+            businessNetworkConnection = cmdUtil.createBusinessNetworkConnection();
+            return businessNetworkConnection.connect(connectionProfileName, businessNetworkName, enrollId, enrollSecret);
+        })
+        .then(() => {
+            return businessNetworkConnection.getIdentityRegistry().getAll();
+        })
+        .then((identities) => {
+            if (identities.length === 0) {
+                console.log('The business network does not have any identities.');
+                return;
+            }
+            let listOutput = {};
+            identities.forEach((identity) => {
+                listOutput[identity.name] = {
+                    participant: identity.participant,
+                    state: identity.state,
+                    issuer: identity.issuer,
+                    issued: identity.issued.toISOString(),
+                    fingerprint: identity.fingerprint
+                };
+            });
+            console.log(Pretty.render(listOutput));
+        });
+    }
+
+    /**
+      * Get default profile name
+      * @param {argv} argv program arguments
+      * @return {String} defaultConnection profile name
+      */
+    static getDefaultProfileName(argv) {
+        return argv.connectionProfileName || DEFAULT_PROFILE_NAME;
+    }
+
+}
+
+module.exports = List;
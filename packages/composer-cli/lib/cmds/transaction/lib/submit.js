@@ -15,6 +15,7 @@
 'use strict';
 
 const cmdUtil = require('../../utils/cmdutils');
+const Evaluate = require('./evaluate');
 const DEFAULT_PROFILE_NAME = 'defaultProfile';
 
 /**
@@ -37,6 +38,7 @@ class Submit {
         let enrollSecret;
         let connectionProfileName = Submit.getDefaultProfileName(argv);
         let businessNetworkName;
+        let serializer;
 
         return (() => {
             if (!argv.enrollSecret) {
@@ -79,13 +81,24 @@ class Submit {
             }
 
             let businessNetwork = businessNetworkConnection.getBusinessNetwork();
-            let serializer = businessNetwork.getSerializer();
+            serializer = businessNetwork.getSerializer();
             let resource = serializer.fromJSON(data);
 
+            if (argv.dryRun) {
+                return businessNetworkConnection.simulateTransaction(resource);
+            }
             return businessNetworkConnection.submitTransaction(resource);
         })
-        .then((submitted) => {
-            console.log('Transaction Submitted.');
+        .then((result) => {
+            if (!argv.dryRun) {
+                console.log('Transaction Submitted.');
+                return;
+            }
+            console.log('Transaction Simulated. The transaction was not submitted.');
+            if (result.returnValue !== undefined) {
+                result.returnValue = Evaluate.serializeValue(serializer, result.returnValue);
+            }
+            console.log(JSON.stringify(result, null, 4));
         });
     }
 
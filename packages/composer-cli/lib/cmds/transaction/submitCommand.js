@@ -23,7 +23,8 @@ module.exports.builder = {
     businessNetworkName: {alias: 'n', required: true, describe: 'The business network name', type: 'string' },
     enrollId: { alias: 'i', required: true, describe: 'The enrollment ID of the user', type: 'string' },
     enrollSecret: { alias: 's', required: false, describe: 'The enrollment secret of the user', type: 'string' },
-    data: { alias: 'd', required: true, describe: 'Transactions JSON object as a string', type: 'string' }
+    data: { alias: 'd', required: true, describe: 'Transactions JSON object as a string', type: 'string' },
+    dryRun: { required: false, describe: 'Simulate the transaction and display the changes it would make, without submitting it', type: 'boolean', default: false }
 };
 
 module.exports.handler = (argv) => {
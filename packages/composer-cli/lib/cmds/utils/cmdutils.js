@@ -18,6 +18,14 @@ const prompt = require('prompt');
 const Admin = require('composer-admin');
 const Client = require('composer-client');
 const BusinessNetworkConnection = Client.BusinessNetworkConnection;
+const ConnectionProfileManager = require('composer-common').ConnectionProfileManager;
+const FSConnectionProfileStore = require('composer-common').FSConnectionProfileStore;
+const fs = require('fs');
+const homedir = require('homedir');
+const path = require('path');
+const sanitize = require('sanitize-filename');
+
+const CARD_ROOT = homedir() + '/.composer-cards';
 
 /**
  * Internal Utility Class
@@ -61,6 +69,46 @@ class CmdUtil {
         let businessNetworkConnection = new BusinessNetworkConnection();
         return businessNetworkConnection;
     }
+
+    /**
+      * Creates the wallet specified by a connection profile.
+      * @param {string} connectionProfileName The name of the connection profile.
+      * @param {string} [passphrase] The passphrase for an encrypted wallet, overriding
+      * any passphrase in the connection profile.
+      * @returns {Promise} A promise that will be resolved with the {@link Wallet}, or
+      * rejected with an error if the connection profile does not specify a wallet.
+      */
+    static createWallet(connectionProfileName, passphrase) {
+        let connectionProfileManager = new ConnectionProfileManager(new FSConnectionProfileStore(fs));
+        return connectionProfileManager.getConnectionProfileStore().load(connectionProfileName)
+            .then((connectOptions) => {
+                if (!connectOptions.wallet) {
+                    throw new Error(`The connection profile '${connectionProfileName}' does not specify a wallet`);
+                }
+                let walletOptions = Object.assign({}, connectOptions.wallet);
+                if (passphrase) {
+                    walletOptions.passphrase = passphrase;
+                }
+                return connectionProfileManager.createWallet(walletOptions);
+            });
+    }
+
+    /**
+      * Get the file that an imported business network card is stored in.
+      * @param {string} name The name of the business network card.
+      * @returns {string} The path of the file.
+      */
+    static getCardFile(name) {
+        return path.resolve(CmdUtil.getCardDirectory(), sanitize(name) + '.card');
+    }
+
+    /**
+      * Get the directory that imported business network cards are stored in.
+      * @returns {string} The path of the directory.
+      */
+    static getCardDirectory() {
+        return CARD_ROOT;
+    }
 }
 
 module.exports = CmdUtil;
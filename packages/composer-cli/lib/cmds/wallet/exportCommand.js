@@ -0,0 +1,40 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const Export = require ('./lib/export.js');
+
+module.exports.command = 'export [options]';
+module.exports.describe = 'Export credentials from the wallet specified by a connection profile into a file';
+module.exports.builder = {
+    connectionProfileName: {alias: 'p', required: false, describe: 'The connection profile name', type: 'string' },
+    passphrase: {alias: 'w', required: false, describe: 'The passphrase for an encrypted wallet', type: 'string' },
+    name: {alias: 'n', required: true, describe: 'The name of the credentials in the wallet', type: 'string' },
+    file: {alias: 'f', required: true, describe: 'The file to export the credentials to', type: 'string' }
+};
+
+module.exports.handler = (argv) => {
+
+    return Export.handler(argv)
+    .then(() => {
+        console.log ('Command completed successfully.');
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.log(error+ '\nCommand failed.');
+        process.exit(1);
+    });
+};
@@ -0,0 +1,65 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const cmdUtil = require('../../utils/cmdutils');
+const DEFAULT_PROFILE_NAME = 'defaultProfile';
+
+/**
+ * <p>
+ * Composer "wallet delete" command
+ * </p>
+ * @private
+ */
+class Delete {
+
+  /**
+    * Command process for wallet delete command
+    * @param {string} argv argument list from composer command
+    * @return {Promise} promise when command complete
+    */
+    static handler(argv) {
+        let connectionProfileName = Delete.getDefaultProfileName(argv);
+        let wallet;
+
+        return cmdUtil.createWallet(connectionProfileName, argv.passphrase)
+        .then((result) => {
+            wallet = result;
+            return wallet.contains(argv.name);
+        })
+        .then((exists) => {
+            if (!exists) {
+                throw new Error(`The wallet does not contain credentials named '${argv.name}'`);
+            }
+            return wallet.remove(argv.name);
+        })
+        .then(() => {
+            console.log(`The credentials '${argv.name}' were deleted from the wallet`);
+        });
+    }
+
+    /**
+      * Get default profile name
+      * @param {argv} argv program arguments
+      * @return {String} defaultConnection profile name
+      */
+    static getDefaultProfileName(argv) {
+        return argv.connectionProfileName || DEFAULT_PROFILE_NAME;
+    }
+
+}
+
+module.exports = Delete;
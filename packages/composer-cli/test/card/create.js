@@ -0,0 +1,113 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const Admin = require('composer-admin');
+const IdCard = require('composer-common').IdCard;
+
+const Create = require('../../lib/cmds/card/createCommand.js');
+const CmdUtil = require('../../lib/cmds/utils/cmdutils.js');
+const fs = require('fs');
+
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+const DEFAULT_PROFILE_NAME = 'defaultProfile';
+
+describe('composer card create CLI unit tests', () => {
+
+    let sandbox;
+    let mockAdminConnection;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        mockAdminConnection = sinon.createStubInstance(Admin.AdminConnection);
+        mockAdminConnection.getProfile.resolves({ type: 'embedded' });
+        sandbox.stub(CmdUtil, 'createAdminConnection').returns(mockAdminConnection);
+        sandbox.stub(fs, 'writeFileSync');
+        sandbox.stub(process, 'exit');
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    it('should create a business network card using the default profile', () => {
+        let argv = {
+            name: 'dogecard',
+            enrollId: 'doge',
+            file: 'doge.card'
+        };
+        return Create.handler(argv)
+            .then(() => {
+                sinon.assert.calledOnce(mockAdminConnection.getProfile);
+                sinon.assert.calledWith(mockAdminConnection.getProfile, DEFAULT_PROFILE_NAME);
+                sinon.assert.calledOnce(fs.writeFileSync);
+                sinon.assert.calledWith(fs.writeFileSync, 'doge.card', sinon.match.instanceOf(Buffer), { mode: 0o600 });
+                sinon.assert.calledWith(process.exit, 0);
+                return IdCard.fromArchive(fs.writeFileSync.args[0][1]);
+            })
+            .then((card) => {
+                card.getName().should.equal('dogecard');
+                card.getEnrollmentId().should.equal('doge');
+                (card.getEnrollmentSecret() === null).should.be.true;
+                (card.getBusinessNetworkName() === null).should.be.true;
+                card.getConnectionProfile().should.deep.equal({ name: DEFAULT_PROFILE_NAME, type: 'embedded' });
+                card.getCredentials().should.deep.equal({});
+            });
+    });
+
+    it('should create a business network card using the specified profile, business network and enrollment secret', () => {
+        let argv = {
+            connectionProfileName: 'dogeprofile',
+            name: 'dogecard',
+            description: 'such card',
+            businessNetworkName: 'doge-network',
+            enrollId: 'doge',
+            enrollSecret: 'suchsecret',
+            file: 'doge.card'
+        };
+        return Create.handler(argv)
+            .then(() => {
+                sinon.assert.calledWith(mockAdminConnection.getProfile, 'dogeprofile');
+                sinon.assert.calledWith(process.exit, 0);
+                return IdCard.fromArchive(fs.writeFileSync.args[0][1]);
+            })
+            .then((card) => {
+                card.getDescription().should.equal('such card');
+                card.getBusinessNetworkName().should.equal('doge-network');
+                card.getEnrollmentSecret().should.equal('suchsecret');
+                card.getConnectionProfile().should.deep.equal({ name: 'dogeprofile', type: 'embedded' });
+                card.getCredentials().should.deep.equal({});
+            });
+    });
+
+    it('should error when the connection profile cannot be loaded', () => {
+        mockAdminConnection.getProfile.rejects(new Error('such error'));
+        let argv = {
+            name: 'dogecard',
+            enrollId: 'doge',
+            file: 'doge.card'
+        };
+        return Create.handler(argv)
+            .then(() => {
+                sinon.assert.notCalled(fs.writeFileSync);
+                sinon.assert.calledWith(process.exit, 1);
+            });
+    });
+
+});
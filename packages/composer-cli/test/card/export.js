@@ -0,0 +1,71 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const Export = require('../../lib/cmds/card/exportCommand.js');
+const CmdUtil = require('../../lib/cmds/utils/cmdutils.js');
+const fs = require('fs');
+
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+const CARD_DIRECTORY = '/home/doge/.composer-cards';
+const CARD_FILE = '/home/doge/.composer-cards/dogecard.card';
+
+describe('composer card export CLI unit tests', () => {
+
+    let sandbox;
+    let buffer;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        buffer = Buffer.from('such card');
+        sandbox.stub(CmdUtil, 'getCardDirectory').returns(CARD_DIRECTORY);
+        sandbox.stub(fs, 'existsSync').returns(false);
+        fs.existsSync.withArgs(CARD_FILE).returns(true);
+        sandbox.stub(fs, 'readFileSync').withArgs(CARD_FILE).returns(buffer);
+        sandbox.stub(fs, 'writeFileSync');
+        sandbox.stub(process, 'exit');
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    it('should export an imported business network card', () => {
+        let argv = {
+            name: 'dogecard',
+            file: 'doge.card'
+        };
+        return Export.handler(argv)
+            .then(() => {
+                sinon.assert.calledOnce(fs.writeFileSync);
+                sinon.assert.calledWith(fs.writeFileSync, 'doge.card', buffer, { mode: 0o600 });
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should error when the business network card has not been imported', () => {
+        let argv = {
+            name: 'catcard',
+            file: 'cat.card'
+        };
+        return Export.handler(argv)
+            .then(() => {
+                sinon.assert.notCalled(fs.writeFileSync);
+                sinon.assert.calledWith(process.exit, 1);
+            });
+    });
+
+});
@@ -0,0 +1,115 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const Admin = require('composer-admin');
+const IdCard = require('composer-common').IdCard;
+
+const Import = require('../../lib/cmds/card/importCommand.js');
+const CmdUtil = require('../../lib/cmds/utils/cmdutils.js');
+const fs = require('fs');
+
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+const CARD_DIRECTORY = '/home/doge/.composer-cards';
+const CARD_FILE = '/home/doge/.composer-cards/dogecard.card';
+
+describe('composer card import CLI unit tests', () => {
+
+    let sandbox;
+    let mockAdminConnection;
+    let buffer;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        let card = new IdCard({ name: 'dogecard', enrollmentId: 'doge' }, { name: 'dogeprofile', type: 'embedded' });
+        return card.toArchive()
+            .then((result) => {
+                buffer = result;
+                mockAdminConnection = sinon.createStubInstance(Admin.AdminConnection);
+                mockAdminConnection.createProfile.resolves();
+                sandbox.stub(CmdUtil, 'createAdminConnection').returns(mockAdminConnection);
+                sandbox.stub(CmdUtil, 'getCardDirectory').returns(CARD_DIRECTORY);
+                sandbox.stub(fs, 'readFileSync').withArgs('doge.card').returns(buffer);
+                sandbox.stub(fs, 'existsSync').returns(false);
+                sandbox.stub(fs, 'mkdirSync');
+                sandbox.stub(fs, 'writeFileSync');
+                sandbox.stub(process, 'exit');
+            });
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    it('should import a business network card and save the connection profile', () => {
+        let argv = {
+            file: 'doge.card'
+        };
+        return Import.handler(argv)
+            .then(() => {
+                sinon.assert.calledOnce(mockAdminConnection.createProfile);
+                sinon.assert.calledWith(mockAdminConnection.createProfile, 'dogeprofile', { type: 'embedded' });
+                sinon.assert.calledOnce(fs.mkdirSync);
+                sinon.assert.calledWith(fs.mkdirSync, CARD_DIRECTORY);
+                sinon.assert.calledOnce(fs.writeFileSync);
+                sinon.assert.calledWith(fs.writeFileSync, CARD_FILE, buffer, { mode: 0o600 });
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should not create the card directory if it already exists', () => {
+        fs.existsSync.withArgs(CARD_DIRECTORY).returns(true);
+        let argv = {
+            file: 'doge.card'
+        };
+        return Import.handler(argv)
+            .then(() => {
+                sinon.assert.notCalled(fs.mkdirSync);
+                sinon.assert.calledOnce(fs.writeFileSync);
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should error when the business network card has already been imported', () => {
+        fs.existsSync.withArgs(CARD_FILE).returns(true);
+        let argv = {
+            file: 'doge.card'
+        };
+        return Import.handler(argv)
+            .then(() => {
+                sinon.assert.notCalled(mockAdminConnection.createProfile);
+                sinon.assert.notCalled(fs.writeFileSync);
+                sinon.assert.calledWith(process.exit, 1);
+            });
+    });
+
+    it('should error when the file is not a business network card', () => {
+        fs.readFileSync.withArgs('doge.card').returns(Buffer.from('such card'));
+        let argv = {
+            file: 'doge.card'
+        };
+        return Import.handler(argv)
+            .then(() => {
+                sinon.assert.notCalled(mockAdminConnection.createProfile);
+                sinon.assert.notCalled(fs.writeFileSync);
+                sinon.assert.calledWith(process.exit, 1);
+            });
+    });
+
+});
@@ -0,0 +1,84 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const IdCard = require('composer-common').IdCard;
+
+const List = require('../../lib/cmds/card/listCommand.js');
+const CmdUtil = require('../../lib/cmds/utils/cmdutils.js');
+const fs = require('fs');
+
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+const CARD_DIRECTORY = '/home/doge/.composer-cards';
+
+describe('composer card list CLI unit tests', () => {
+
+    let sandbox;
+    let buffer1;
+    let buffer2;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        let card1 = new IdCard({ name: 'dogecard1', businessNetwork: 'doge-network', enrollmentId: 'doge1' }, { name: 'dogeprofile', type: 'embedded' });
+        let card2 = new IdCard({ name: 'dogecard2', description: 'such card', enrollmentId: 'doge2' }, { name: 'dogeprofile', type: 'embedded' });
+        card2.setCredentials({ certificate: 'such cert', privateKey: 'such key' });
+        return Promise.all([card1.toArchive(), card2.toArchive()])
+            .then((result) => {
+                buffer1 = result[0];
+                buffer2 = result[1];
+                sandbox.stub(CmdUtil, 'getCardDirectory').returns(CARD_DIRECTORY);
+                sandbox.stub(fs, 'existsSync').withArgs(CARD_DIRECTORY).returns(true);
+                sandbox.stub(fs, 'readdirSync').withArgs(CARD_DIRECTORY).returns(['dogecard2.card', 'README.md', 'dogecard1.card']);
+                sandbox.stub(fs, 'readFileSync');
+                fs.readFileSync.withArgs(CARD_DIRECTORY + '/dogecard1.card').returns(buffer1);
+                fs.readFileSync.withArgs(CARD_DIRECTORY + '/dogecard2.card').returns(buffer2);
+                sandbox.spy(console, 'log');
+                sandbox.stub(process, 'exit');
+            });
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    it('should list the imported business network cards', () => {
+        return List.handler({})
+            .then(() => {
+                sinon.assert.calledTwice(fs.readFileSync);
+                sinon.assert.calledWith(console.log, sinon.match(/dogecard1:[\s\S]*doge-network[\s\S]*dogecard2:[\s\S]*such card[\s\S]*certificate[\s\S]*privateKey/));
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should handle no imported business network cards', () => {
+        fs.existsSync.withArgs(CARD_DIRECTORY).returns(false);
+        return List.handler({})
+            .then(() => {
+                sinon.assert.notCalled(fs.readdirSync);
+                sinon.assert.calledWith(console.log, 'No business network cards have been imported.');
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should error when a business network card cannot be read', () => {
+        fs.readFileSync.withArgs(CARD_DIRECTORY + '/dogecard1.card').returns(Buffer.from('such card'));
+        return List.handler({})
+            .then(() => {
+                sinon.assert.calledWith(process.exit, 1);
+            });
+    });
+
+});
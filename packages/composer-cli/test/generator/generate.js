@@ -0,0 +1,418 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Common = require('composer-common');
+const BusinessNetworkDefinition = Common.BusinessNetworkDefinition;
+const FileWriter = Common.FileWriter;
+const ModelManager = Common.ModelManager;
+const PlantUMLVisitor = Common.PlantUMLVisitor;
+const TypescriptVisitor = Common.TypescriptVisitor;
+
+const Generate = require('../../lib/cmds/generator/lib/generate');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+require('sinon-as-promised');
+
+const BASE_MODEL = `
+namespace org.acme.base
+abstract participant Person identified by email {
+  o String email
+}
+`;
+
+const VEHICLE_MODEL = `
+namespace org.acme.vehicle
+import org.acme.base.Person
+participant Owner extends Person {
+}
+asset Vehicle identified by vin {
+  o String vin
+  --> Owner owner
+}
+`;
+
+describe('composer generator code generation CLI unit tests', () => {
+
+    let sandbox;
+    let businessNetworkDefinition;
+    let outputDir;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        sandbox.spy(console, 'log');
+        businessNetworkDefinition = new BusinessNetworkDefinition('vehicle-network@0.0.1', 'Vehicle network');
+        businessNetworkDefinition.getModelManager().addModelFiles([BASE_MODEL, VEHICLE_MODEL], ['base.cto', 'vehicle.cto']);
+        outputDir = path.join(os.tmpdir(), 'composer-generate-' + process.pid);
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        if (fs.existsSync(outputDir)) {
+            fs.rmdirSync(outputDir);
+        }
+    });
+
+    describe('#getOptions', () => {
+
+        it('should return the shared builder options', () => {
+            const options = Generate.getOptions();
+            Object.keys(options).should.deep.equal(['archiveFile', 'modelDirectory', 'outputDir', 'namespace', 'watch']);
+            options.outputDir.required.should.be.true;
+            options.namespace.type.should.equal('array');
+        });
+
+    });
+
+    describe('#handler', () => {
+
+        beforeEach(() => {
+            sandbox.stub(Generate, 'generate').resolves();
+            sandbox.stub(Generate, 'watch').resolves();
+        });
+
+        it('should reject an unrecognised code generator', () => {
+            return Generate.handler({ modelDirectory: 'models', outputDir: 'out' }, 'cobol')
+                .should.be.rejectedWith(/Unrecognised code generator cobol/);
+        });
+
+        it('should reject if neither an archive file nor a model directory is specified', () => {
+            return Generate.handler({ outputDir: 'out' }, 'typescript')
+                .should.be.rejectedWith(/Either an archive file or a model directory must be specified/);
+        });
+
+        it('should reject if both an archive file and a model directory are specified', () => {
+            return Generate.handler({ archiveFile: 'network.bna', modelDirectory: 'models', outputDir: 'out' }, 'typescript')
+                .should.be.rejectedWith(/Either an archive file or a model directory must be specified/);
+        });
+
+        it('should generate the code once', () => {
+            const argv = { modelDirectory: 'models', outputDir: 'out' };
+            return Generate.handler(argv, 'typescript')
+                .then(() => {
+                    sinon.assert.calledOnce(Generate.generate);
+                    sinon.assert.calledWith(Generate.generate, argv, 'typescript');
+                    sinon.assert.notCalled(Generate.watch);
+                });
+        });
+
+        it('should generate the code and then watch for changes', () => {
+            const argv = { archiveFile: 'network.bna', outputDir: 'out', watch: true };
+            return Generate.handler(argv, 'go')
+                .then(() => {
+                    sinon.assert.calledOnce(Generate.generate);
+                    sinon.assert.calledOnce(Generate.watch);
+                    sinon.assert.calledWith(Generate.watch, argv, 'go');
+                    Generate.watch.calledAfter(Generate.generate).should.be.true;
+                });
+        });
+
+    });
+
+    describe('#generate', () => {
+
+        beforeEach(() => {
+            sandbox.stub(Generate, 'loadBusinessNetwork').resolves(businessNetworkDefinition);
+            sandbox.stub(ModelManager.prototype, 'accept');
+            sandbox.stub(BusinessNetworkDefinition.prototype, 'accept');
+        });
+
+        it('should visit the model manager with a file writer for the output directory', () => {
+            return Generate.generate({ modelDirectory: 'models', outputDir: outputDir }, 'typescript')
+                .then(() => {
+                    sinon.assert.calledOnce(ModelManager.prototype.accept);
+                    sinon.assert.calledWith(ModelManager.prototype.accept, sinon.match.instanceOf(TypescriptVisitor), sinon.match.has('fileWriter', sinon.match.instanceOf(FileWriter)));
+                    ModelManager.prototype.accept.args[0][1].fileWriter.outputDirectory.should.equal(outputDir);
+                    sinon.assert.notCalled(BusinessNetworkDefinition.prototype.accept);
+                    sinon.assert.calledWith(console.log, `Generated typescript code in ${outputDir}`);
+                });
+        });
+
+        it('should visit the business network definition for PlantUML', () => {
+            return Generate.generate({ modelDirectory: 'models', outputDir: outputDir }, 'plantuml')
+                .then(() => {
+                    sinon.assert.calledOnce(BusinessNetworkDefinition.prototype.accept);
+                    sinon.assert.calledWith(BusinessNetworkDefinition.prototype.accept, sinon.match.instanceOf(PlantUMLVisitor), sinon.match.has('fileWriter', sinon.match.instanceOf(FileWriter)));
+                    sinon.assert.notCalled(ModelManager.prototype.accept);
+                });
+        });
+
+        it('should only visit the model files in the specified namespaces', () => {
+            return Generate.generate({ modelDirectory: 'models', outputDir: outputDir, namespace: ['org.acme.base'] }, 'typescript')
+                .then(() => {
+                    const modelManager = ModelManager.prototype.accept.thisValues[0];
+                    modelManager.getModelFiles().map((modelFile) => modelFile.getNamespace()).should.deep.equal(['org.acme.base']);
+                });
+        });
+
+    });
+
+    describe('#loadBusinessNetwork', () => {
+
+        it('should load the business network from an archive file', () => {
+            const buffer = Buffer.from('such archive');
+            const readFileSync = fs.readFileSync;
+            sandbox.stub(fs, 'readFileSync', function (fileName) {
+                if (fileName === 'network.bna') {
+                    return buffer;
+                }
+                return readFileSync.apply(fs, arguments);
+            });
+            sandbox.stub(BusinessNetworkDefinition, 'fromArchive').resolves(businessNetworkDefinition);
+            return Generate.loadBusinessNetwork({ archiveFile: 'network.bna' })
+                .then((result) => {
+                    result.should.equal(businessNetworkDefinition);
+                    sinon.assert.calledWith(BusinessNetworkDefinition.fromArchive, buffer);
+                });
+        });
+
+        it('should create a business network from the model files in a directory', () => {
+            const modelDirectory = path.resolve('models');
+            const readFileSync = fs.readFileSync;
+            sandbox.stub(fs, 'readdirSync').withArgs(modelDirectory).returns(['vehicle.cto', 'README.md', 'base.cto']);
+            sandbox.stub(fs, 'readFileSync', function (fileName) {
+                if (fileName === path.join(modelDirectory, 'base.cto')) {
+                    return BASE_MODEL;
+                } else if (fileName === path.join(modelDirectory, 'vehicle.cto')) {
+                    return VEHICLE_MODEL;
+                }
+                return readFileSync.apply(fs, arguments);
+            });
+            return Generate.loadBusinessNetwork({ modelDirectory: 'models' })
+                .then((result) => {
+                    result.should.be.an.instanceOf(BusinessNetworkDefinition);
+                    result.getIdentifier().should.equal('models@0.0.1');
+                    result.getDescription().should.equal('Models in models');
+                    result.getModelManager().getModelFiles().map((modelFile) => modelFile.getNamespace()).should.include.members(['org.acme.base', 'org.acme.vehicle']);
+                    sinon.assert.neverCalledWith(fs.readFileSync, path.join(modelDirectory, 'README.md'));
+                });
+        });
+
+        it('should reject if the model files are not valid', () => {
+            const modelDirectory = path.resolve('models');
+            const readFileSync = fs.readFileSync;
+            sandbox.stub(fs, 'readdirSync').withArgs(modelDirectory).returns(['vehicle.cto']);
+            sandbox.stub(fs, 'readFileSync', function (fileName) {
+                if (fileName === path.join(modelDirectory, 'vehicle.cto')) {
+                    return VEHICLE_MODEL;
+                }
+                return readFileSync.apply(fs, arguments);
+            });
+            return Generate.loadBusinessNetwork({ modelDirectory: 'models' })
+                .should.be.rejectedWith(/org.acme.base/);
+        });
+
+    });
+
+    describe('#filterNamespaces', () => {
+
+        const getNamespaces = (network) => {
+            return network.getModelManager().getModelFiles().map((modelFile) => modelFile.getNamespace());
+        };
+
+        it('should return the business network if no namespaces are specified', () => {
+            Generate.filterNamespaces(businessNetworkDefinition).should.equal(businessNetworkDefinition);
+            Generate.filterNamespaces(businessNetworkDefinition, []).should.equal(businessNetworkDefinition);
+        });
+
+        it('should only include the specified namespaces', () => {
+            const filtered = Generate.filterNamespaces(businessNetworkDefinition, ['org.acme.base']);
+            filtered.should.be.an.instanceOf(BusinessNetworkDefinition);
+            getNamespaces(filtered).should.deep.equal(['org.acme.base']);
+            filtered.getIntrospector().getClassDeclarations().map((classDeclaration) => classDeclaration.getName()).should.have.members(['Person']);
+            filtered.getIdentifier().should.equal('vehicle-network@0.0.1');
+            filtered.getDescription().should.equal('Vehicle network');
+        });
+
+        it('should match namespaces with a wildcard', () => {
+            const filtered = Generate.filterNamespaces(businessNetworkDefinition, ['org.acme.*']);
+            getNamespaces(filtered).should.have.members(['org.acme.base', 'org.acme.vehicle']);
+        });
+
+        it('should include the namespaces imported by the specified namespaces', () => {
+            const filtered = Generate.filterNamespaces(businessNetworkDefinition, ['org.acme.vehicle']);
+            getNamespaces(filtered).should.deep.equal(['org.acme.vehicle', 'org.acme.base']);
+            filtered.getModelManager().getType('org.acme.base.Person').getName().should.equal('Person');
+            filtered.getModelManager().getModelFile('org.acme.base').getFileName().should.equal('base.cto');
+        });
+
+        it('should include namespaces imported with a wildcard and only include each namespace once', () => {
+            businessNetworkDefinition.getModelManager().addModelFiles([`
+namespace org.acme.fleet
+import org.acme.base.*
+import org.acme.vehicle.Vehicle
+asset Fleet identified by fleetId {
+  o String fleetId
+  --> Person manager
+  --> Vehicle[] vehicles
+}
+`], ['fleet.cto']);
+            const filtered = Generate.filterNamespaces(businessNetworkDefinition, ['org.acme.fleet']);
+            getNamespaces(filtered).should.deep.equal(['org.acme.fleet', 'org.acme.base', 'org.acme.vehicle']);
+        });
+
+        it('should include the scripts in the business network', () => {
+            const scriptManager = businessNetworkDefinition.getScriptManager();
+            const script = scriptManager.createScript('script.js', 'JS', 'function doge() { }');
+            scriptManager.addScript(script);
+            const filtered = Generate.filterNamespaces(businessNetworkDefinition, ['org.acme.base']);
+            filtered.getScriptManager().getScripts().should.deep.equal([script]);
+        });
+
+        it('should not change the business network', () => {
+            Generate.filterNamespaces(businessNetworkDefinition, ['org.acme.vehicle']);
+            getNamespaces(businessNetworkDefinition).should.have.members(['org.acme.base', 'org.acme.vehicle']);
+        });
+
+        it('should throw if no model files match the namespaces', () => {
+            (() => {
+                Generate.filterNamespaces(businessNetworkDefinition, ['org.doge', 'org.doge.*']);
+            }).should.throw(/No model files found for the namespaces org.doge, org.doge.\*/);
+        });
+
+        it('should throw if the model file for an import cannot be found', () => {
+            const modelManager = businessNetworkDefinition.getModelManager();
+            const getModelFile = modelManager.getModelFile;
+            sandbox.stub(modelManager, 'getModelFile', function (namespace) {
+                return namespace === 'org.acme.base' ? null : getModelFile.apply(modelManager, arguments);
+            });
+            (() => {
+                Generate.filterNamespaces(businessNetworkDefinition, ['org.acme.vehicle']);
+            }).should.throw(/Could not find the model file for the import org.acme.base.Person in the namespace org.acme.vehicle/);
+        });
+
+    });
+
+    describe('#watch', () => {
+
+        let clock;
+        let mockWatcher;
+        let onChange;
+        let onInterrupt;
+
+        beforeEach(() => {
+            clock = sandbox.useFakeTimers();
+            mockWatcher = { close: sinon.stub() };
+            sandbox.stub(fs, 'watch', (target, listener) => {
+                onChange = listener;
+                return mockWatcher;
+            });
+            sandbox.stub(process, 'once', (event, listener) => {
+                onInterrupt = listener;
+            });
+            sandbox.stub(Generate, 'generate').resolves();
+        });
+
+        it('should watch the model directory and stop on Ctrl-C', () => {
+            const argv = { modelDirectory: 'models', outputDir: 'out', watch: true };
+            const promise = Generate.watch(argv, 'typescript');
+            sinon.assert.calledWith(fs.watch, 'models');
+            sinon.assert.calledWith(process.once, 'SIGINT');
+            sinon.assert.calledWith(console.log, 'Watching models for changes, press Ctrl-C to stop.');
+            onInterrupt();
+            return promise.then(() => {
+                sinon.assert.calledOnce(mockWatcher.close);
+            });
+        });
+
+        it('should regenerate once after a burst of changes to model files', () => {
+            const argv = { modelDirectory: 'models', outputDir: 'out', watch: true };
+            const promise = Generate.watch(argv, 'typescript');
+            onChange('change', 'vehicle.cto');
+            clock.tick(200);
+            onChange('change', 'vehicle.cto');
+            onChange('rename', 'base.cto');
+            clock.tick(499);
+            sinon.assert.notCalled(Generate.generate);
+            clock.tick(1);
+            sinon.assert.calledOnce(Generate.generate);
+            sinon.assert.calledWith(Generate.generate, argv, 'typescript');
+            onInterrupt();
+            return promise;
+        });
+
+        it('should ignore changes to other files in the model directory', () => {
+            const promise = Generate.watch({ modelDirectory: 'models', outputDir: 'out', watch: true }, 'typescript');
+            onChange('change', 'README.md');
+            clock.tick(1000);
+            sinon.assert.notCalled(Generate.generate);
+            onInterrupt();
+            return promise;
+        });
+
+        it('should watch the directory containing the archive file and regenerate after a change to the archive file', () => {
+            const argv = { archiveFile: path.join('dist', 'network.bna'), outputDir: 'out', watch: true };
+            const promise = Generate.watch(argv, 'go');
+            sinon.assert.calledWith(fs.watch, 'dist');
+            onChange('rename', 'network.bna');
+            clock.tick(500);
+            sinon.assert.calledWith(Generate.generate, argv, 'go');
+            onInterrupt();
+            return promise;
+        });
+
+        it('should ignore changes to other files in the directory containing the archive file', () => {
+            const promise = Generate.watch({ archiveFile: path.join('dist', 'network.bna'), outputDir: 'out', watch: true }, 'go');
+            onChange('change', 'network.bna.tmp');
+            onChange('change', 'other.bna');
+            clock.tick(1000);
+            sinon.assert.notCalled(Generate.generate);
+            onInterrupt();
+            return promise;
+        });
+
+        it('should regenerate if the name of the file that changed is not known', () => {
+            const promise = Generate.watch({ archiveFile: 'network.bna', outputDir: 'out', watch: true }, 'go');
+            sinon.assert.calledWith(fs.watch, '.');
+            onChange('change', null);
+            clock.tick(500);
+            sinon.assert.calledOnce(Generate.generate);
+            onInterrupt();
+            return promise;
+        });
+
+        it('should cancel a pending regeneration on Ctrl-C', () => {
+            const promise = Generate.watch({ modelDirectory: 'models', outputDir: 'out', watch: true }, 'typescript');
+            onChange('change', 'vehicle.cto');
+            onInterrupt();
+            clock.tick(1000);
+            sinon.assert.notCalled(Generate.generate);
+            return promise;
+        });
+
+        it('should report errors and keep watching', () => {
+            Generate.generate.onFirstCall().rejects(new Error('such error'));
+            const promise = Generate.watch({ modelDirectory: 'models', outputDir: 'out', watch: true }, 'typescript');
+            onChange('change', 'vehicle.cto');
+            clock.tick(500);
+            clock.restore();
+            return new Promise((resolve) => setImmediate(resolve))
+                .then(() => {
+                    sinon.assert.calledWith(console.log, 'Code generation failed, waiting for further changes.');
+                    sinon.assert.notCalled(mockWatcher.close);
+                    onInterrupt();
+                    return promise;
+                });
+        });
+
+    });
+
+});
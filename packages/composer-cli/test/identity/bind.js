@@ -0,0 +1,138 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Client = require('composer-client');
+const BusinessNetworkConnection = Client.BusinessNetworkConnection;
+
+const Bind = require('../../lib/cmds/identity/bindCommand.js');
+const CmdUtil = require('../../lib/cmds/utils/cmdutils.js');
+const fs = require('fs');
+
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+const BUSINESS_NETWORK_NAME = 'net.biz.TestNetwork-0.0.1';
+const DEFAULT_PROFILE_NAME = 'defaultProfile';
+const ENROLL_ID = 'SuccessKid';
+const ENROLL_SECRET = 'SuccessKidWin';
+const CERTIFICATE = '-----BEGIN CERTIFICATE-----\nsuch certificate\n-----END CERTIFICATE-----\n';
+
+describe('composer identity bind CLI unit tests', () => {
+
+    let sandbox;
+    let mockBusinessNetworkConnection;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        mockBusinessNetworkConnection = sinon.createStubInstance(BusinessNetworkConnection);
+        mockBusinessNetworkConnection.connect.resolves();
+        mockBusinessNetworkConnection.bindIdentity.withArgs('org.doge.Doge#DOGE_1', CERTIFICATE).resolves();
+        sandbox.stub(CmdUtil, 'createBusinessNetworkConnection').returns(mockBusinessNetworkConnection);
+        sandbox.stub(fs, 'readFileSync').withArgs('dogeid1.pem', 'utf8').returns(CERTIFICATE);
+        sandbox.stub(process, 'exit');
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    it('should bind a certificate using the default profile', () => {
+        let argv = {
+            businessNetworkName: BUSINESS_NETWORK_NAME,
+            enrollId: ENROLL_ID,
+            enrollSecret: ENROLL_SECRET,
+            participantId: 'org.doge.Doge#DOGE_1',
+            certificateFile: 'dogeid1.pem'
+        };
+        return Bind.handler(argv)
+            .then((res) => {
+                sinon.assert.calledOnce(mockBusinessNetworkConnection.connect);
+                sinon.assert.calledWith(mockBusinessNetworkConnection.connect, DEFAULT_PROFILE_NAME, argv.businessNetworkName, argv.enrollId, argv.enrollSecret);
+                sinon.assert.calledOnce(mockBusinessNetworkConnection.bindIdentity);
+                sinon.assert.calledWith(mockBusinessNetworkConnection.bindIdentity, 'org.doge.Doge#DOGE_1', CERTIFICATE);
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should bind a certificate using the specified profile', () => {
+        let argv = {
+            connectionProfileName: 'someOtherProfile',
+            businessNetworkName: BUSINESS_NETWORK_NAME,
+            enrollId: ENROLL_ID,
+            enrollSecret: ENROLL_SECRET,
+            participantId: 'org.doge.Doge#DOGE_1',
+            certificateFile: 'dogeid1.pem'
+        };
+        return Bind.handler(argv)
+            .then((res) => {
+                sinon.assert.calledOnce(mockBusinessNetworkConnection.connect);
+                sinon.assert.calledWith(mockBusinessNetworkConnection.connect, 'someOtherProfile', argv.businessNetworkName, argv.enrollId, argv.enrollSecret);
+                sinon.assert.calledOnce(mockBusinessNetworkConnection.bindIdentity);
+                sinon.assert.calledWith(mockBusinessNetworkConnection.bindIdentity, 'org.doge.Doge#DOGE_1', CERTIFICATE);
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should prompt for the enrollment secret if not specified', () => {
+        sandbox.stub(CmdUtil, 'prompt').resolves(ENROLL_SECRET);
+        let argv = {
+            businessNetworkName: BUSINESS_NETWORK_NAME,
+            enrollId: ENROLL_ID,
+            participantId: 'org.doge.Doge#DOGE_1',
+            certificateFile: 'dogeid1.pem'
+        };
+        return Bind.handler(argv)
+            .then((res) => {
+                sinon.assert.calledOnce(mockBusinessNetworkConnection.connect);
+                sinon.assert.calledWith(mockBusinessNetworkConnection.connect, DEFAULT_PROFILE_NAME, argv.businessNetworkName, argv.enrollId, argv.enrollSecret);
+                sinon.assert.calledOnce(mockBusinessNetworkConnection.bindIdentity);
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should error when the certificate file cannot be read', () => {
+        fs.readFileSync.withArgs('missing.pem', 'utf8').throws(new Error('ENOENT'));
+        let argv = {
+            businessNetworkName: BUSINESS_NETWORK_NAME,
+            enrollId: ENROLL_ID,
+            enrollSecret: ENROLL_SECRET,
+            participantId: 'org.doge.Doge#DOGE_1',
+            certificateFile: 'missing.pem'
+        };
+        return Bind.handler(argv)
+            .then((res) => {
+                sinon.assert.notCalled(mockBusinessNetworkConnection.bindIdentity);
+                sinon.assert.calledWith(process.exit, 1);
+            });
+    });
+
+    it('should error when the certificate cannot be bound', () => {
+        mockBusinessNetworkConnection.bindIdentity.withArgs('org.doge.Doge#DOGE_1', CERTIFICATE).rejects(new Error('such error'));
+        let argv = {
+            businessNetworkName: BUSINESS_NETWORK_NAME,
+            enrollId: ENROLL_ID,
+            enrollSecret: ENROLL_SECRET,
+            participantId: 'org.doge.Doge#DOGE_1',
+            certificateFile: 'dogeid1.pem'
+        };
+        return Bind.handler(argv)
+            .then((res) => {
+                sinon.assert.calledOnce(mockBusinessNetworkConnection.bindIdentity);
+                sinon.assert.calledWith(process.exit, 1);
+            });
+    });
+
+});
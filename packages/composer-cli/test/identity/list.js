@@ -0,0 +1,138 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Client = require('composer-client');
+const BusinessNetworkConnection = Client.BusinessNetworkConnection;
+const IdentityRegistry = Client.IdentityRegistry;
+
+const List = require('../../lib/cmds/identity/listCommand.js');
+const CmdUtil = require('../../lib/cmds/utils/cmdutils.js');
+
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+const BUSINESS_NETWORK_NAME = 'net.biz.TestNetwork-0.0.1';
+const DEFAULT_PROFILE_NAME = 'defaultProfile';
+const ENROLL_ID = 'SuccessKid';
+const ENROLL_SECRET = 'SuccessKidWin';
+
+describe('composer identity list CLI unit tests', () => {
+
+    let sandbox;
+    let mockBusinessNetworkConnection;
+    let mockIdentityRegistry;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        mockBusinessNetworkConnection = sinon.createStubInstance(BusinessNetworkConnection);
+        mockBusinessNetworkConnection.connect.resolves();
+        mockIdentityRegistry = sinon.createStubInstance(IdentityRegistry);
+        mockIdentityRegistry.getAll.resolves([{
+            name: 'dogeid1',
+            issuer: null,
+            certificate: null,
+            fingerprint: null,
+            state: 'ACTIVATED',
+            issued: new Date('2017-05-01T00:00:00.000Z'),
+            participant: 'org.doge.Doge#DOGE_1'
+        }]);
+        mockBusinessNetworkConnection.getIdentityRegistry.returns(mockIdentityRegistry);
+        sandbox.stub(CmdUtil, 'createBusinessNetworkConnection').returns(mockBusinessNetworkConnection);
+        sandbox.stub(process, 'exit');
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    it('should list the identities using the default profile', () => {
+        let argv = {
+            businessNetworkName: BUSINESS_NETWORK_NAME,
+            enrollId: ENROLL_ID,
+            enrollSecret: ENROLL_SECRET
+        };
+        let spy = sandbox.spy(console, 'log');
+        return List.handler(argv)
+            .then((res) => {
+                sinon.assert.calledOnce(mockBusinessNetworkConnection.connect);
+                sinon.assert.calledWith(mockBusinessNetworkConnection.connect, DEFAULT_PROFILE_NAME, argv.businessNetworkName, argv.enrollId, argv.enrollSecret);
+                sinon.assert.calledOnce(mockIdentityRegistry.getAll);
+                sinon.assert.calledWith(spy, sinon.match(/dogeid1/));
+                sinon.assert.calledWith(spy, sinon.match(/org.doge.Doge#DOGE_1/));
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should list the identities using the specified profile', () => {
+        let argv = {
+            connectionProfileName: 'someOtherProfile',
+            businessNetworkName: BUSINESS_NETWORK_NAME,
+            enrollId: ENROLL_ID,
+            enrollSecret: ENROLL_SECRET
+        };
+        return List.handler(argv)
+            .then((res) => {
+                sinon.assert.calledOnce(mockBusinessNetworkConnection.connect);
+                sinon.assert.calledWith(mockBusinessNetworkConnection.connect, 'someOtherProfile', argv.businessNetworkName, argv.enrollId, argv.enrollSecret);
+                sinon.assert.calledOnce(mockIdentityRegistry.getAll);
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should prompt for the enrollment secret if not specified', () => {
+        sandbox.stub(CmdUtil, 'prompt').resolves(ENROLL_SECRET);
+        let argv = {
+            businessNetworkName: BUSINESS_NETWORK_NAME,
+            enrollId: ENROLL_ID
+        };
+        return List.handler(argv)
+            .then((res) => {
+                sinon.assert.calledOnce(mockBusinessNetworkConnection.connect);
+                sinon.assert.calledWith(mockBusinessNetworkConnection.connect, DEFAULT_PROFILE_NAME, argv.businessNetworkName, argv.enrollId, argv.enrollSecret);
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should report when there are no identities', () => {
+        mockIdentityRegistry.getAll.resolves([]);
+        let argv = {
+            businessNetworkName: BUSINESS_NETWORK_NAME,
+            enrollId: ENROLL_ID,
+            enrollSecret: ENROLL_SECRET
+        };
+        let spy = sandbox.spy(console, 'log');
+        return List.handler(argv)
+            .then((res) => {
+                sinon.assert.calledWith(spy, 'The business network does not have any identities.');
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should error when the identities cannot be listed', () => {
+        mockIdentityRegistry.getAll.rejects(new Error('such error'));
+        let argv = {
+            businessNetworkName: BUSINESS_NETWORK_NAME,
+            enrollId: ENROLL_ID,
+            enrollSecret: ENROLL_SECRET
+        };
+        return List.handler(argv)
+            .then((res) => {
+                sinon.assert.calledOnce(mockIdentityRegistry.getAll);
+                sinon.assert.calledWith(process.exit, 1);
+            });
+    });
+
+});
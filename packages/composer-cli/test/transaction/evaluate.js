@@ -0,0 +1,197 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const Client = require('composer-client');
+const Admin = require('composer-admin');
+const Common = require('composer-common');
+const BusinessNetworkConnection = Client.BusinessNetworkConnection;
+const BusinessNetworkDefinition = Admin.BusinessNetworkDefinition;
+const Serializer = Common.Serializer;
+const Resource = Common.Resource;
+
+const EvaluateCommand = require('../../lib/cmds/transaction/evaluateCommand.js');
+const Evaluate = require('../../lib/cmds/transaction/lib/evaluate.js');
+const CmdUtil = require('../../lib/cmds/utils/cmdutils.js');
+
+const chai = require('chai');
+const sinon = require('sinon');
+
+require('sinon-as-promised');
+chai.should();
+chai.use(require('chai-things'));
+chai.use(require('chai-as-promised'));
+
+const NAMESPACE = 'net.biz.TestNetwork';
+const BUSINESS_NETWORK_NAME = 'net.biz.TestNetwork-0.0.1';
+const DEFAULT_PROFILE_NAME = 'defaultProfile';
+const ENROLL_ID = 'SuccessKid';
+const ENROLL_SECRET = 'SuccessKidWin';
+
+describe('composer transaction evaluate CLI unit tests', () => {
+    let sandbox;
+    let mockBusinessNetworkConnection;
+    let mockBusinessNetwork;
+    let mockSerializer;
+    let mockResource;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        mockBusinessNetworkConnection = sinon.createStubInstance(BusinessNetworkConnection);
+        mockBusinessNetwork = sinon.createStubInstance(BusinessNetworkDefinition);
+        mockSerializer = sinon.createStubInstance(Serializer);
+        mockResource = sinon.createStubInstance(Resource);
+        mockBusinessNetworkConnection.getBusinessNetwork.returns(mockBusinessNetwork);
+        mockBusinessNetworkConnection.connect.resolves();
+        mockBusinessNetworkConnection.evaluateTransaction.resolves();
+        mockBusinessNetwork.getSerializer.returns(mockSerializer);
+        mockSerializer.fromJSON.returns(mockResource);
+        mockResource.getIdentifier.returns('SuccessKid');
+
+        sandbox.stub(CmdUtil, 'createBusinessNetworkConnection').returns(mockBusinessNetworkConnection);
+        sandbox.stub(process, 'exit');
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    describe('#handler', () => {
+
+        it('should evaluate a transaction when all required params are specified', () => {
+            let argv = {
+                connectionProfileName: DEFAULT_PROFILE_NAME,
+                businessNetworkName: BUSINESS_NETWORK_NAME,
+                enrollId: ENROLL_ID,
+                enrollSecret: ENROLL_SECRET,
+                data: '{"$class": "'+NAMESPACE+'", "success": true}'
+            };
+
+            return EvaluateCommand.handler(argv)
+            .then((res) => {
+                sinon.assert.calledOnce(mockBusinessNetworkConnection.connect);
+                sinon.assert.calledWith(mockBusinessNetworkConnection.connect, argv.connectionProfileName, argv.businessNetworkName, argv.enrollId, argv.enrollSecret);
+                sinon.assert.calledOnce(mockSerializer.fromJSON);
+                sinon.assert.calledWith(mockSerializer.fromJSON, JSON.parse(argv.data));
+                sinon.assert.calledOnce(mockBusinessNetworkConnection.evaluateTransaction);
+                sinon.assert.calledWith(mockBusinessNetworkConnection.evaluateTransaction, mockResource);
+                sinon.assert.neverCalledWith(mockBusinessNetworkConnection.submitTransaction);
+                sinon.assert.calledWith(process.exit, 0);
+            });
+        });
+
+        it('should display the value returned by the transaction', () => {
+            mockBusinessNetworkConnection.evaluateTransaction.resolves({ price: 42 });
+            let argv = {
+                businessNetworkName: BUSINESS_NETWORK_NAME,
+                enrollId: ENROLL_ID,
+                enrollSecret: ENROLL_SECRET,
+                data: '{"$class": "'+NAMESPACE+'", "success": true}'
+            };
+
+            let logSpy = sandbox.spy(console, 'log');
+            return EvaluateCommand.handler(argv)
+            .then((res) => {
+                sinon.assert.calledWith(mockBusinessNetworkConnection.connect, 'defaultProfile', argv.businessNetworkName, argv.enrollId, argv.enrollSecret);
+                sinon.assert.calledWith(logSpy, JSON.stringify({ price: 42 }, null, 4));
+                sinon.assert.calledWith(process.exit, 0);
+            });
+        });
+
+        it('should prompt for the enrollment secret if not specified', () => {
+            sandbox.stub(CmdUtil, 'prompt').resolves(ENROLL_SECRET);
+
+            let argv = {
+                connectionProfileName: DEFAULT_PROFILE_NAME,
+                businessNetworkName: BUSINESS_NETWORK_NAME,
+                enrollId: ENROLL_ID,
+                data: '{"$class": "'+NAMESPACE+'", "success": true}'
+            };
+
+            return EvaluateCommand.handler(argv)
+            .then((res) => {
+                sinon.assert.calledOnce(CmdUtil.prompt);
+                sinon.assert.calledWith(process.exit, 0);
+            });
+        });
+
+        [
+            ['the data is not valid JSON', '{"$class": '],
+            ['the data is not a string', { $class: NAMESPACE }],
+            ['the data does not specify a $class', '{"success": true}']
+        ].forEach(([description, data]) => {
+
+            it(`should error when ${description}`, () => {
+                let argv = {
+                    connectionProfileName: DEFAULT_PROFILE_NAME,
+                    businessNetworkName: BUSINESS_NETWORK_NAME,
+                    enrollId: ENROLL_ID,
+                    enrollSecret: ENROLL_SECRET,
+                    data: data
+                };
+
+                return EvaluateCommand.handler(argv)
+                .then((res) => {
+                    sinon.assert.notCalled(mockBusinessNetworkConnection.evaluateTransaction);
+                    sinon.assert.calledWith(process.exit, 1);
+                });
+            });
+
+        });
+
+        it('should error when the transaction fails to evaluate', () => {
+            let argv = {
+                connectionProfileName: DEFAULT_PROFILE_NAME,
+                businessNetworkName: BUSINESS_NETWORK_NAME,
+                enrollId: ENROLL_ID,
+                enrollSecret: ENROLL_SECRET,
+                data: '{"$class": "'+NAMESPACE+'", "success": true}'
+            };
+
+            mockBusinessNetworkConnection.evaluateTransaction.rejects(new Error('some error'));
+
+            return EvaluateCommand.handler(argv)
+            .then((res) => {
+                sinon.assert.calledWith(process.exit, 1);
+            });
+        });
+
+    });
+
+    describe('#serializeValue', () => {
+
+        it('should return primitive values', () => {
+            Evaluate.serializeValue(mockSerializer, 'hello world').should.equal('hello world');
+            Evaluate.serializeValue(mockSerializer, 42).should.equal(42);
+        });
+
+        it('should convert dates into strings', () => {
+            Evaluate.serializeValue(mockSerializer, new Date('2017-07-01T12:00:00.000Z')).should.equal('2017-07-01T12:00:00.000Z');
+        });
+
+        it('should serialize resources and concepts', () => {
+            mockSerializer.toJSON.withArgs(mockResource).returns({ $class: NAMESPACE });
+            mockResource.getFullyQualifiedType.returns(NAMESPACE);
+            Evaluate.serializeValue(mockSerializer, mockResource).should.deep.equal({ $class: NAMESPACE });
+        });
+
+        it('should serialize each element of an array', () => {
+            Evaluate.serializeValue(mockSerializer, [new Date('2017-07-01T12:00:00.000Z'), null]).should.deep.equal(['2017-07-01T12:00:00.000Z', null]);
+        });
+
+    });
+
+});
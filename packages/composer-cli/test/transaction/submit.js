@@ -131,6 +131,56 @@ describe('composer transaction submit CLI unit tests', () => {
             });
         });
 
+        it('should simulate a transaction and not submit it when dry run is specified', () => {
+            let argv = {
+                connectionProfileName: DEFAULT_PROFILE_NAME,
+                businessNetworkName: BUSINESS_NETWORK_NAME,
+                enrollId: ENROLL_ID,
+                enrollSecret: ENROLL_SECRET,
+                data: '{"$class": "'+NAMESPACE+'", "success": true}',
+                dryRun: true
+            };
+            let simulation = {
+                changes: [{ operation: 'remove', registryType: 'Asset', registryId: 'net.biz.TestAsset', resourceId: 'TA1', oldResource: { $class: 'net.biz.TestAsset' } }],
+                events: [],
+                returnValue: new Date('2017-07-01T12:00:00.000Z')
+            };
+            mockBusinessNetworkConnection.simulateTransaction.resolves(simulation);
+            let logSpy = sandbox.spy(console, 'log');
+
+            return Submit.handler(argv)
+            .then((res) => {
+                sinon.assert.calledOnce(mockBusinessNetworkConnection.simulateTransaction);
+                sinon.assert.calledWith(mockBusinessNetworkConnection.simulateTransaction, mockResource);
+                sinon.assert.notCalled(mockBusinessNetworkConnection.submitTransaction);
+                sinon.assert.calledWith(logSpy, JSON.stringify({
+                    changes: simulation.changes,
+                    events: [],
+                    returnValue: '2017-07-01T12:00:00.000Z'
+                }, null, 4));
+                sinon.assert.calledWith(process.exit, 0);
+            });
+        });
+
+        it('should display a simulation without a return value', () => {
+            let argv = {
+                connectionProfileName: DEFAULT_PROFILE_NAME,
+                businessNetworkName: BUSINESS_NETWORK_NAME,
+                enrollId: ENROLL_ID,
+                enrollSecret: ENROLL_SECRET,
+                data: '{"$class": "'+NAMESPACE+'", "success": true}',
+                dryRun: true
+            };
+            mockBusinessNetworkConnection.simulateTransaction.resolves({ changes: [], events: [] });
+            let logSpy = sandbox.spy(console, 'log');
+
+            return Submit.handler(argv)
+            .then((res) => {
+                sinon.assert.calledWith(logSpy, JSON.stringify({ changes: [], events: [] }, null, 4));
+                sinon.assert.calledWith(process.exit, 0);
+            });
+        });
+
         it('should error when the transaction fails to submit', () => {
             let argv = {
                 connectionProfileName: DEFAULT_PROFILE_NAME,
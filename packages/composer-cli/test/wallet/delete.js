@@ -0,0 +1,86 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const Wallet = require('composer-common').Wallet;
+
+const Delete = require('../../lib/cmds/wallet/deleteCommand.js');
+const CmdUtil = require('../../lib/cmds/utils/cmdutils.js');
+
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+const DEFAULT_PROFILE_NAME = 'defaultProfile';
+
+describe('composer wallet delete CLI unit tests', () => {
+
+    let sandbox;
+    let mockWallet;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        mockWallet = sinon.createStubInstance(Wallet);
+        sandbox.stub(CmdUtil, 'createWallet').resolves(mockWallet);
+        mockWallet.contains.withArgs('dogeid1').resolves(true);
+        mockWallet.remove.withArgs('dogeid1').resolves();
+        sandbox.stub(process, 'exit');
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    it('should delete credentials from the wallet for the default profile', () => {
+        let argv = {
+            name: 'dogeid1'
+        };
+        return Delete.handler(argv)
+            .then((res) => {
+                sinon.assert.calledOnce(CmdUtil.createWallet);
+                sinon.assert.calledWith(CmdUtil.createWallet, DEFAULT_PROFILE_NAME, undefined);
+                sinon.assert.calledOnce(mockWallet.remove);
+                sinon.assert.calledWith(mockWallet.remove, 'dogeid1');
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should delete credentials from the wallet for the specified profile using the specified passphrase', () => {
+        let argv = {
+            connectionProfileName: 'someOtherProfile',
+            passphrase: 'such secret',
+            name: 'dogeid1'
+        };
+        return Delete.handler(argv)
+            .then((res) => {
+                sinon.assert.calledWith(CmdUtil.createWallet, 'someOtherProfile', 'such secret');
+                sinon.assert.calledOnce(mockWallet.remove);
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should error when the wallet does not contain the credentials', () => {
+        mockWallet.contains.withArgs('dogeid1').resolves(false);
+        let argv = {
+            name: 'dogeid1'
+        };
+        return Delete.handler(argv)
+            .then((res) => {
+                sinon.assert.notCalled(mockWallet.remove);
+                sinon.assert.calledWith(process.exit, 1);
+            });
+    });
+
+});
@@ -0,0 +1,91 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const Wallet = require('composer-common').Wallet;
+
+const Export = require('../../lib/cmds/wallet/exportCommand.js');
+const CmdUtil = require('../../lib/cmds/utils/cmdutils.js');
+const fs = require('fs');
+
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+const DEFAULT_PROFILE_NAME = 'defaultProfile';
+const CREDENTIALS = 'such credentials';
+
+describe('composer wallet export CLI unit tests', () => {
+
+    let sandbox;
+    let mockWallet;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        mockWallet = sinon.createStubInstance(Wallet);
+        sandbox.stub(CmdUtil, 'createWallet').resolves(mockWallet);
+        mockWallet.get.withArgs('dogeid1').resolves(CREDENTIALS);
+        sandbox.stub(fs, 'writeFileSync');
+        sandbox.stub(process, 'exit');
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    it('should export credentials from the wallet for the default profile', () => {
+        let argv = {
+            name: 'dogeid1',
+            file: 'dogeid1.txt'
+        };
+        return Export.handler(argv)
+            .then((res) => {
+                sinon.assert.calledOnce(CmdUtil.createWallet);
+                sinon.assert.calledWith(CmdUtil.createWallet, DEFAULT_PROFILE_NAME, undefined);
+                sinon.assert.calledOnce(fs.writeFileSync);
+                sinon.assert.calledWith(fs.writeFileSync, 'dogeid1.txt', CREDENTIALS, { mode: 0o600 });
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should export credentials from the wallet for the specified profile using the specified passphrase', () => {
+        let argv = {
+            connectionProfileName: 'someOtherProfile',
+            passphrase: 'such secret',
+            name: 'dogeid1',
+            file: 'dogeid1.txt'
+        };
+        return Export.handler(argv)
+            .then((res) => {
+                sinon.assert.calledWith(CmdUtil.createWallet, 'someOtherProfile', 'such secret');
+                sinon.assert.calledOnce(fs.writeFileSync);
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should error when the credentials cannot be read from the wallet', () => {
+        mockWallet.get.withArgs('dogeid1').rejects(new Error('such error'));
+        let argv = {
+            name: 'dogeid1',
+            file: 'dogeid1.txt'
+        };
+        return Export.handler(argv)
+            .then((res) => {
+                sinon.assert.notCalled(fs.writeFileSync);
+                sinon.assert.calledWith(process.exit, 1);
+            });
+    });
+
+});
@@ -0,0 +1,106 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const Wallet = require('composer-common').Wallet;
+
+const Import = require('../../lib/cmds/wallet/importCommand.js');
+const CmdUtil = require('../../lib/cmds/utils/cmdutils.js');
+const fs = require('fs');
+
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+const DEFAULT_PROFILE_NAME = 'defaultProfile';
+const CREDENTIALS = 'such credentials';
+
+describe('composer wallet import CLI unit tests', () => {
+
+    let sandbox;
+    let mockWallet;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        mockWallet = sinon.createStubInstance(Wallet);
+        sandbox.stub(CmdUtil, 'createWallet').resolves(mockWallet);
+        mockWallet.contains.withArgs('dogeid1').resolves(false);
+        mockWallet.add.withArgs('dogeid1', CREDENTIALS).resolves();
+        sandbox.stub(fs, 'readFileSync').withArgs('dogeid1.txt', 'utf8').returns(CREDENTIALS);
+        sandbox.stub(process, 'exit');
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    it('should import credentials into the wallet for the default profile', () => {
+        let argv = {
+            name: 'dogeid1',
+            file: 'dogeid1.txt'
+        };
+        return Import.handler(argv)
+            .then((res) => {
+                sinon.assert.calledOnce(CmdUtil.createWallet);
+                sinon.assert.calledWith(CmdUtil.createWallet, DEFAULT_PROFILE_NAME, undefined);
+                sinon.assert.calledOnce(mockWallet.add);
+                sinon.assert.calledWith(mockWallet.add, 'dogeid1', CREDENTIALS);
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should import credentials into the wallet for the specified profile using the specified passphrase', () => {
+        let argv = {
+            connectionProfileName: 'someOtherProfile',
+            passphrase: 'such secret',
+            name: 'dogeid1',
+            file: 'dogeid1.txt'
+        };
+        return Import.handler(argv)
+            .then((res) => {
+                sinon.assert.calledOnce(CmdUtil.createWallet);
+                sinon.assert.calledWith(CmdUtil.createWallet, 'someOtherProfile', 'such secret');
+                sinon.assert.calledOnce(mockWallet.add);
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should error when the wallet already contains the credentials', () => {
+        mockWallet.contains.withArgs('dogeid1').resolves(true);
+        let argv = {
+            name: 'dogeid1',
+            file: 'dogeid1.txt'
+        };
+        return Import.handler(argv)
+            .then((res) => {
+                sinon.assert.notCalled(mockWallet.add);
+                sinon.assert.calledWith(process.exit, 1);
+            });
+    });
+
+    it('should error when the file cannot be read', () => {
+        fs.readFileSync.withArgs('missing.txt', 'utf8').throws(new Error('ENOENT'));
+        let argv = {
+            name: 'dogeid1',
+            file: 'missing.txt'
+        };
+        return Import.handler(argv)
+            .then((res) => {
+                sinon.assert.notCalled(mockWallet.add);
+                sinon.assert.calledWith(process.exit, 1);
+            });
+    });
+
+});
@@ -0,0 +1,91 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const Wallet = require('composer-common').Wallet;
+
+const List = require('../../lib/cmds/wallet/listCommand.js');
+const CmdUtil = require('../../lib/cmds/utils/cmdutils.js');
+
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+const DEFAULT_PROFILE_NAME = 'defaultProfile';
+
+describe('composer wallet list CLI unit tests', () => {
+
+    let sandbox;
+    let mockWallet;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        mockWallet = sinon.createStubInstance(Wallet);
+        sandbox.stub(CmdUtil, 'createWallet').resolves(mockWallet);
+        mockWallet.list.resolves(['dogeid1', 'dogeid2']);
+        sandbox.spy(console, 'log');
+        sandbox.stub(process, 'exit');
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    it('should list the credentials in the wallet for the default profile', () => {
+        let argv = {};
+        return List.handler(argv)
+            .then((res) => {
+                sinon.assert.calledOnce(CmdUtil.createWallet);
+                sinon.assert.calledWith(CmdUtil.createWallet, DEFAULT_PROFILE_NAME, undefined);
+                sinon.assert.calledOnce(mockWallet.list);
+                sinon.assert.calledWith(console.log, sinon.match(/dogeid1/));
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should list the credentials in the wallet for the specified profile using the specified passphrase', () => {
+        let argv = {
+            connectionProfileName: 'someOtherProfile',
+            passphrase: 'such secret'
+        };
+        return List.handler(argv)
+            .then((res) => {
+                sinon.assert.calledWith(CmdUtil.createWallet, 'someOtherProfile', 'such secret');
+                sinon.assert.calledOnce(mockWallet.list);
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should handle an empty wallet', () => {
+        mockWallet.list.resolves([]);
+        let argv = {};
+        return List.handler(argv)
+            .then((res) => {
+                sinon.assert.calledWith(console.log, 'The wallet does not contain any credentials.');
+                sinon.assert.calledWith(process.exit, 0);
+            });
+    });
+
+    it('should error when the connection profile does not specify a wallet', () => {
+        CmdUtil.createWallet.rejects(new Error('such error'));
+        let argv = {};
+        return List.handler(argv)
+            .then((res) => {
+                sinon.assert.notCalled(mockWallet.list);
+                sinon.assert.calledWith(process.exit, 1);
+            });
+    });
+
+});
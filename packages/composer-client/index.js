@@ -39,10 +39,13 @@ require('composer-common').ConnectionProfileManager.registerConnectionManagerLoa
 */
 
 module.exports.BusinessNetworkConnection = require('./lib/businessnetworkconnection');
+module.exports.Historian = require('./lib/historian');
+module.exports.IdentityRegistry = require('./lib/identityregistry');
 module.exports.TransactionRegistry = require('./lib/transactionregistry');
 
 /**
  * Expose key composer-common classes to simplify client application dependencies
  * @ignore
  */
+module.exports.IdCard = require('composer-common').IdCard;
 module.exports.Logger = require('composer-common').Logger;
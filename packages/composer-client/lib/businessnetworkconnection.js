@@ -20,8 +20,13 @@ const ConnectionProfileManager = require('composer-common').ConnectionProfileMan
 const EventEmitter = require('events');
 const fs = require('fs');
 const FSConnectionProfileStore = require('composer-common').FSConnectionProfileStore;
+const Historian = require('./historian');
+const IdCard = require('composer-common').IdCard;
+const IdentityRegistry = require('./identityregistry');
 const Logger = require('composer-common').Logger;
 const ParticipantRegistry = require('./participantregistry');
+const Query = require('composer-common').Query;
+const Relationship = require('composer-common').Relationship;
 const Resource = require('composer-common').Resource;
 const TransactionDeclaration = require('composer-common').TransactionDeclaration;
 const TransactionRegistry = require('./transactionregistry');
@@ -33,6 +38,14 @@ const LOG = Logger.getLog('BusinessNetworkConnection');
 /**
  * Use this class to connect to and then interact with a deployed BusinessNetworkDefinition.
  * Use the AdminConnection class in the composer-admin module to deploy BusinessNetworksDefinitions.
+ * Once connected, an 'event' event is emitted for every event that is emitted by a
+ * transaction processor function, once the transaction that emitted it has been committed.
+ * @example
+ * // Subscribe to events emitted by transaction processor functions
+ * var businessNetwork = new BusinessNetworkConnection();
+ * businessNetwork.on('event', function(event){
+ *     // event is an instance of an event defined in the business network
+ * });
  * @extends EventEmitter
  * @see See [EventEmitter]{@link module:composer-client.EventEmitter}
  * @class
@@ -253,6 +266,46 @@ class BusinessNetworkConnection extends EventEmitter {
             });
     }
 
+    /**
+     * Get the historian, which provides read-only access to the historian records
+     * for all of the transactions submitted to the business network.
+     * @example
+     * // Get all of the historian records
+     * var businessNetwork = new BusinessNetworkConnection();
+     * return businessNetwork.connect('testprofile', 'businessNetworkIdentifier', 'WebAppAdmin', 'DJY27pEnl16d')
+     * .then(function(businessNetworkDefinition){
+     *     return businessNetwork.getHistorian().getAll();
+     * })
+     * .then(function(records){
+     *     // Retrieved historian records
+     * });
+     * @return {Historian} The historian.
+     */
+    getHistorian() {
+        Util.securityCheck(this.securityContext);
+        return new Historian(this.securityContext, this.getBusinessNetwork().getSerializer());
+    }
+
+    /**
+     * Get the identity registry, which lists the identities that have been issued
+     * or bound, and the participants that they are mapped to.
+     * @example
+     * // Get the identity registry
+     * var businessNetwork = new BusinessNetworkConnection();
+     * return businessNetwork.connect('testprofile', 'businessNetworkIdentifier', 'WebAppAdmin', 'DJY27pEnl16d')
+     * .then(function(businessNetworkDefinition){
+     *     return businessNetwork.getIdentityRegistry().getAll();
+     * })
+     * .then(function(identities){
+     *     // Retrieved identities
+     * });
+     * @return {IdentityRegistry} The identity registry.
+     */
+    getIdentityRegistry() {
+        Util.securityCheck(this.securityContext);
+        return new IdentityRegistry(this.securityContext);
+    }
+
     /**
      * Connects to a business network using a connection profile, and authenticates to the Hyperledger Fabric.
      * @example
@@ -262,13 +315,56 @@ class BusinessNetworkConnection extends EventEmitter {
      * .then(function(businessNetworkDefinition){
      *     // Connected
      * });
-     * @param {string} connectionProfile - The name of the connection profile
+     * @example
+     * // Connect and log in to HLF using a business network card
+     * var businessNetwork = new BusinessNetworkConnection();
+     * return IdCard.fromArchive(fs.readFileSync('alice.card'))
+     * .then(function(card){
+     *     return businessNetwork.connect(card);
+     * })
+     * .then(function(businessNetworkDefinition){
+     *     // Connected
+     * });
+     * @param {(string|IdCard)} connectionProfile - The name of the connection profile,
+     * or a business network card. If a business network card is specified, then the
+     * connection profile in the card is saved into the profile store, and the business
+     * network and enrollment credentials are taken from the card. The connection fails
+     * if a different connection profile with the same name already exists, or if the
+     * card contains a certificate or private key instead of an enrollment secret.
      * @param {string} businessNetwork - The identifier of the business network
      * @param {string} enrollmentID the enrollment ID of the user
      * @param {string} enrollmentSecret the enrollment secret of the user
      * @return {Promise} A promise to a BusinessNetworkDefinition that indicates the connection is complete
      */
     connect(connectionProfile, businessNetwork, enrollmentID, enrollmentSecret) {
+        if (connectionProfile instanceof IdCard) {
+            const card = connectionProfile;
+            if (!card.getBusinessNetworkName()) {
+                return Promise.reject(new Error('The business network card does not specify a business network'));
+            }
+            const credentials = card.getCredentials();
+            if (credentials.certificate || credentials.privateKey) {
+                return Promise.reject(new Error('Connecting using the certificate and private key in a business network card is not supported, the card must specify an enrollment secret'));
+            }
+            const profile = Object.assign({}, card.getConnectionProfile());
+            const profileName = profile.name;
+            delete profile.name;
+            const connectionProfileStore = this.connectionProfileManager.getConnectionProfileStore();
+            return connectionProfileStore.load(profileName)
+                .catch(() => {
+                    return null;
+                })
+                .then((existingProfile) => {
+                    if (!existingProfile) {
+                        return connectionProfileStore.save(profileName, profile);
+                    } else if (!Util.deepEqual(existingProfile, profile)) {
+                        throw new Error(`A different connection profile named '${profileName}' already exists`);
+                    }
+                })
+                .then(() => {
+                    return this.connect(profileName, card.getBusinessNetworkName(), card.getEnrollmentId(), card.getEnrollmentSecret());
+                });
+        }
         return this.connectionProfileManager.connect(connectionProfile, businessNetwork)
             .then((connection) => {
                 this.connection = connection;
@@ -288,6 +384,12 @@ class BusinessNetworkConnection extends EventEmitter {
             })
             .then((businessNetwork) => {
                 this.businessNetwork = businessNetwork;
+                this.connection.on('events', (events) => {
+                    events.forEach((event) => {
+                        let serializedEvent = this.getBusinessNetwork().getSerializer().fromJSON(event);
+                        this.emit('event', serializedEvent);
+                    });
+                });
                 return this.businessNetwork;
             });
     }
@@ -313,6 +415,7 @@ class BusinessNetworkConnection extends EventEmitter {
         }
         return this.connection.disconnect()
             .then(() => {
+                this.connection.removeAllListeners('events');
                 this.connection = null;
                 this.securityContext = null;
                 this.businessNetwork = null;
@@ -330,17 +433,185 @@ class BusinessNetworkConnection extends EventEmitter {
      *     var transaction = factory.newTransaction('network.transactions', 'TransactionType');
      *     return businessNetworkDefinition.submitTransaction(transaction);
      * })
-     * .then(function(){
+     * .then(function(returnValue){
      *     // Submitted a transaction.
      * });
      * @param {Resource} transaction - The transaction to submit. Use {@link
      * Factory#newTransaction newTransaction} to create this object.
      * @return {Promise} A promise that will be fulfilled when the transaction has
-     * been processed.
+     * been processed. If the transaction processor functions for the transaction
+     * declare a return type using a <code>@returns</code> tag, then the promise is
+     * fulfilled with the value that they returned.
      */
     submitTransaction(transaction) {
         const self = this;
         Util.securityCheck(this.securityContext);
+        let data = this.serializeTransaction(transaction);
+        return self.getTransactionRegistry(self.securityContext)
+            .then((transactionRegistry) => {
+                return Util.invokeChainCode(self.securityContext, 'submitTransaction', [transactionRegistry.id, JSON.stringify(data)]);
+            })
+            .then((buffer) => {
+                if (!buffer) {
+                    return undefined;
+                }
+                return this.parseReturnValue(transaction, JSON.parse(buffer.toString()));
+            });
+    }
+
+    /**
+     * Submit a batch of transactions for processing by the currently connected
+     * business network. The transactions are processed in order in a single
+     * request to the business network. If any of the transactions fails, then
+     * the whole batch fails, and none of the changes made by the transactions
+     * in the batch are kept.
+     * @example
+     * // Submits a batch of transactions
+     * var businessNetwork = new BusinessNetworkConnection();
+     * return businessNetwork.connect('testprofile', 'businessNetworkIdentifier', 'WebAppAdmin', 'DJY27pEnl16d')
+     * .then(function(businessNetworkDefinition){
+     *     var factory = businessNetworkDefinition.getBusinessNetwork().getFactory();
+     *     var transaction1 = factory.newTransaction('network.transactions', 'TransactionType');
+     *     var transaction2 = factory.newTransaction('network.transactions', 'TransactionType');
+     *     return businessNetworkDefinition.submitTransactions([transaction1, transaction2]);
+     * })
+     * .then(function(results){
+     *     // Submitted a batch of transactions.
+     * });
+     * @param {Resource[]} transactions - The transactions to submit. Use {@link
+     * Factory#newTransaction newTransaction} to create these objects.
+     * @return {Promise} A promise that will be fulfilled with an array of results,
+     * one for each transaction in the same order as the transactions, when the
+     * transactions have been processed. Each result is an object with a
+     * <code>transactionId</code> property containing the identifier of the transaction,
+     * and a <code>returnValue</code> property containing the value returned by the
+     * transaction processor functions for the transaction, if they declare a return type.
+     */
+    submitTransactions(transactions) {
+        const self = this;
+        Util.securityCheck(this.securityContext);
+        if (!transactions) {
+            throw new Error('transactions not specified');
+        } else if (!Array.isArray(transactions)) {
+            throw new Error('transactions must be an array');
+        }
+        let data = transactions.map((transaction) => {
+            return this.serializeTransaction(transaction);
+        });
+        return self.getTransactionRegistry(self.securityContext)
+            .then((transactionRegistry) => {
+                return Util.invokeChainCode(self.securityContext, 'submitTransactions', [transactionRegistry.id, JSON.stringify(data)]);
+            })
+            .then((buffer) => {
+                let results = buffer ? JSON.parse(buffer.toString()) : [];
+                return transactions.map((transaction, index) => {
+                    let result = {
+                        transactionId: transaction.getIdentifier()
+                    };
+                    if (results[index] && results[index].returnValue !== undefined) {
+                        result.returnValue = this.parseReturnValue(transaction, results[index].returnValue);
+                    }
+                    return result;
+                });
+            });
+    }
+
+    /**
+     * Evaluate a transaction using the currently connected business network,
+     * without committing any changes. The transaction processor functions for
+     * the transaction are run, but any attempt to add, update, or remove assets
+     * or participants is rejected. The transaction is not recorded, and any events
+     * emitted by the transaction are discarded. Use this to compute a value using
+     * the business logic in the business network, such as a price or a quote.
+     * @example
+     * // Evaluates a transaction
+     * var businessNetwork = new BusinessNetworkConnection();
+     * return businessNetwork.connect('testprofile', 'businessNetworkIdentifier', 'WebAppAdmin', 'DJY27pEnl16d')
+     * .then(function(businessNetworkDefinition){
+     *     var factory = businessNetworkDefinition.getBusinessNetwork().getFactory();
+     *     var transaction = factory.newTransaction('network.transactions', 'TransactionType');
+     *     return businessNetworkDefinition.evaluateTransaction(transaction);
+     * })
+     * .then(function(returnValue){
+     *     // Evaluated a transaction.
+     * });
+     * @param {Resource} transaction - The transaction to evaluate. Use {@link
+     * Factory#newTransaction newTransaction} to create this object.
+     * @return {Promise} A promise that will be fulfilled when the transaction has
+     * been evaluated. If the transaction processor functions for the transaction
+     * declare a return type using a <code>@returns</code> tag, then the promise is
+     * fulfilled with the value that they returned.
+     */
+    evaluateTransaction(transaction) {
+        Util.securityCheck(this.securityContext);
+        let data = this.serializeTransaction(transaction);
+        return Util.queryChainCode(this.securityContext, 'evaluateTransaction', [JSON.stringify(data)])
+            .then((buffer) => {
+                let value = buffer && buffer.length ? JSON.parse(buffer.toString()) : null;
+                if (value === null) {
+                    return undefined;
+                }
+                return this.parseReturnValue(transaction, value);
+            });
+    }
+
+    /**
+     * Simulate a transaction using the currently connected business network,
+     * and return the changes that it would make without committing them. The
+     * transaction processor functions for the transaction are run against a
+     * copy of the state of the business network, and the transaction is not
+     * recorded. Use this to check what a transaction would do before submitting it.
+     * @example
+     * // Simulates a transaction
+     * var businessNetwork = new BusinessNetworkConnection();
+     * return businessNetwork.connect('testprofile', 'businessNetworkIdentifier', 'WebAppAdmin', 'DJY27pEnl16d')
+     * .then(function(businessNetworkDefinition){
+     *     var factory = businessNetworkDefinition.getBusinessNetwork().getFactory();
+     *     var transaction = factory.newTransaction('network.transactions', 'TransactionType');
+     *     return businessNetworkDefinition.simulateTransaction(transaction);
+     * })
+     * .then(function(simulation){
+     *     simulation.changes.forEach(function (change) {
+     *         console.log(change.operation, change.registryId, change.resourceId);
+     *     });
+     * });
+     * @param {Resource} transaction - The transaction to simulate. Use {@link
+     * Factory#newTransaction newTransaction} to create this object.
+     * @return {Promise} A promise that will be fulfilled with the simulation when
+     * the transaction has been simulated. The simulation has a <code>changes</code>
+     * property containing an array of the changes that the transaction would make.
+     * Each change has an <code>operation</code> (add, update, or remove), a
+     * <code>registryType</code>, a <code>registryId</code> and a <code>resourceId</code>.
+     * Additions and updates include the serialized new version of the resource in
+     * <code>resource</code>, updates and removals include the serialized current
+     * version of the resource in <code>oldResource</code>, and updates include the
+     * changes as JSON Patch <code>patches</code>. The simulation also has an
+     * <code>events</code> property containing an array of the serialized events that
+     * the transaction would emit, and, if the transaction processor functions
+     * declare a return type, a <code>returnValue</code> property containing the
+     * value that they would return.
+     */
+    simulateTransaction(transaction) {
+        Util.securityCheck(this.securityContext);
+        let data = this.serializeTransaction(transaction);
+        return Util.queryChainCode(this.securityContext, 'simulateTransaction', [JSON.stringify(data)])
+            .then((buffer) => {
+                let simulation = JSON.parse(buffer.toString());
+                if (simulation.returnValue !== undefined) {
+                    simulation.returnValue = this.parseReturnValue(transaction, simulation.returnValue);
+                }
+                return simulation;
+            });
+    }
+
+    /**
+     * Validate a transaction, assign it an identifier and a timestamp if it
+     * does not already have them, and serialize it.
+     * @private
+     * @param {Resource} transaction - The transaction.
+     * @return {Object} The serialized transaction.
+     */
+    serializeTransaction(transaction) {
         if (!transaction) {
             throw new Error('transaction not specified');
         }
@@ -357,10 +628,125 @@ class BusinessNetworkConnection extends EventEmitter {
         if (timestamp === null || timestamp === undefined) {
             timestamp = transaction.timestamp = new Date();
         }
-        let data = self.getBusinessNetwork().getSerializer().toJSON(transaction);
-        return self.getTransactionRegistry(self.securityContext)
-            .then((transactionRegistry) => {
-                return Util.invokeChainCode(self.securityContext, 'submitTransaction', [transactionRegistry.id, JSON.stringify(data)]);
+        return this.getBusinessNetwork().getSerializer().toJSON(transaction);
+    }
+
+    /**
+     * Parse a value returned by the transaction processor functions for a
+     * transaction, using the type that they declare they return.
+     * @private
+     * @param {Resource} transaction - The transaction.
+     * @param {*} value - The serialized value.
+     * @return {*} The value.
+     */
+    parseReturnValue(transaction, value) {
+        let returnType = this.getBusinessNetwork().getScriptManager().getTransactionReturnType(transaction.getFullyQualifiedType());
+        if (!returnType) {
+            return value;
+        }
+        return this.parseValue(returnType, value);
+    }
+
+    /**
+     * Parse a serialized value of the specified type.
+     * @private
+     * @param {string} type - The type, with [] appended for arrays.
+     * @param {*} value - The serialized value.
+     * @return {*} The value.
+     */
+    parseValue(type, value) {
+        if (type.endsWith('[]')) {
+            let itemType = type.substring(0, type.length - 2);
+            return value.map((item) => {
+                return this.parseValue(itemType, item);
+            });
+        } else if (type === 'DateTime') {
+            return new Date(value);
+        }
+        // The model manager returns null for the other primitive types.
+        let classDeclaration = this.getBusinessNetwork().getModelManager().getType(type);
+        if (!classDeclaration || classDeclaration.isEnum()) {
+            return value;
+        }
+        return this.getBusinessNetwork().getSerializer().fromJSON(value);
+    }
+
+    /**
+     * Build a query from a SELECT statement. The statement is validated against
+     * the models in the currently connected business network, and the returned
+     * query can then be executed using {@link BusinessNetworkConnection#query query}.
+     * @example
+     * // Build and execute a query
+     * var businessNetwork = new BusinessNetworkConnection();
+     * return businessNetwork.connect('testprofile', 'businessNetworkIdentifier', 'WebAppAdmin', 'DJY27pEnl16d')
+     * .then(function(businessNetworkDefinition){
+     *     var query = businessNetwork.buildQuery('SELECT org.acme.Car WHERE make == _$make');
+     *     return businessNetwork.query(query, { make: 'Ford' });
+     * })
+     * .then(function(cars){
+     *     // Process the array of cars.
+     * });
+     * @param {string} statement - The SELECT statement, for example
+     * <code>SELECT org.acme.Car WHERE year > _$year ORDER BY [year DESC]</code>.
+     * @return {Query} The query. An error will be thrown if the statement is
+     * invalid.
+     */
+    buildQuery(statement) {
+        Util.securityCheck(this.securityContext);
+        return this.getBusinessNetwork().getQueryManager().buildQuery(statement);
+    }
+
+    /**
+     * Execute a query and return the selected resources. The query can either
+     * be the name of a query defined in the queries file (queries.qry) of the
+     * business network, or a query returned by {@link BusinessNetworkConnection#buildQuery buildQuery}.
+     * @example
+     * // Execute a named query
+     * var businessNetwork = new BusinessNetworkConnection();
+     * return businessNetwork.connect('testprofile', 'businessNetworkIdentifier', 'WebAppAdmin', 'DJY27pEnl16d')
+     * .then(function(businessNetworkDefinition){
+     *     return businessNetwork.query('CarsByMake', { make: 'Ford' });
+     * })
+     * .then(function(cars){
+     *     // Process the array of cars.
+     * });
+     * @param {string|Query} query - The name of a query defined in the business
+     * network, or a query returned by {@link BusinessNetworkConnection#buildQuery buildQuery}.
+     * @param {Object} [parameters] - The values of the parameters used by the
+     * query, keyed by parameter name. Resources and relationships are specified
+     * as their identifier, or as the resource or relationship itself.
+     * @return {Promise} A promise that will be resolved with an array of
+     * {@link Resource} representing the resources selected by the query.
+     */
+    query(query, parameters) {
+        Util.securityCheck(this.securityContext);
+        let queryType, queryText;
+        if (typeof query === 'string') {
+            queryType = 'named';
+            queryText = query;
+        } else if (query instanceof Query) {
+            queryType = 'build';
+            queryText = query.getSelect().getText();
+        } else {
+            throw new Error('query must be a query name or a query returned by buildQuery');
+        }
+        let data = {};
+        Object.keys(parameters || {}).forEach((name) => {
+            let value = parameters[name];
+            if (value instanceof Resource || value instanceof Relationship) {
+                value = value.getIdentifier();
+            }
+            data[name] = value;
+        });
+        const serializer = this.getBusinessNetwork().getSerializer();
+        return Util.queryChainCode(this.securityContext, 'executeQuery', [queryType, queryText, JSON.stringify(data)])
+            .then((buffer) => {
+                return JSON.parse(buffer.toString());
+            })
+            .then((resources) => {
+                return resources.map((resource) => {
+                    return serializer.fromJSON(resource);
+                });
             });
     }
 
@@ -416,7 +802,7 @@ class BusinessNetworkConnection extends EventEmitter {
         Util.securityCheck(this.securityContext);
         return this.connection.createIdentity(this.securityContext, userID, options)
             .then((identity) => {
-                return Util.invokeChainCode(this.securityContext, 'addParticipantIdentity', [participantFQI, userID])
+                return Util.invokeChainCode(this.securityContext, 'issueIdentity', [participantFQI, userID, new Date().toISOString()])
                     .then(() => {
                         LOG.exit(method, identity);
                         return identity;
@@ -425,12 +811,45 @@ class BusinessNetworkConnection extends EventEmitter {
     }
 
     /**
-     * Revoke the specified identity by removing any existing mapping to a participant.
+     * Bind an existing certificate to the specified participant, so that the
+     * identity that the certificate was issued to can be used to submit
+     * transactions as the participant. The name of the identity (user ID) is
+     * the common name of the subject of the certificate.
+     * @param {Resource|string} participant The participant, or the fully qualified
+     * identifier of the participant. The participant must already exist.
+     * @param {string} certificate The PEM encoded certificate.
+     * @return {Promise} A promise that will be fulfilled when the certificate has
+     * been bound to the specified participant. The promise will be rejected if
+     * the participant does not exist, if the certificate is invalid, or if the
+     * identity is already mapped to a participant.
+     */
+    bindIdentity(participant, certificate) {
+        const method = 'bindIdentity';
+        LOG.entry(method, participant, certificate);
+        if (!participant) {
+            throw new Error('participant not specified');
+        } else if (!certificate) {
+            throw new Error('certificate not specified');
+        }
+        let participantFQI;
+        if (participant instanceof Resource) {
+            participantFQI = participant.getFullyQualifiedIdentifier();
+        } else {
+            participantFQI = participant;
+        }
+        Util.securityCheck(this.securityContext);
+        return Util.invokeChainCode(this.securityContext, 'bindIdentity', [participantFQI, certificate, new Date().toISOString()])
+            .then(() => {
+                LOG.exit(method);
+            });
+    }
+
+    /**
+     * Revoke the specified identity. The identity remains in the identity registry,
+     * but can no longer be used to submit transactions.
      * @param {string} identity The identity, for example the enrollment ID.
      * @return {Promise} A promise that will be fulfilled when the identity has
-     * been removed from the specified participant. The promise will be rejected if
-     * the participant does not exist, or if the identity is not mapped to the
-     * participant.
+     * been revoked.
      */
     revokeIdentity(identity) {
         const method = 'revokeIdentity';
@@ -440,8 +859,8 @@ class BusinessNetworkConnection extends EventEmitter {
         }
         Util.securityCheck(this.securityContext);
         // It is not currently possible to revoke the certificate, so we just call
-        // the runtime to remove the mapping.
-        return Util.invokeChainCode(this.securityContext, 'removeIdentity', [identity])
+        // the runtime to mark the identity as revoked.
+        return Util.invokeChainCode(this.securityContext, 'revokeIdentity', [identity])
           .then(() => {
               LOG.exit(method);
           });
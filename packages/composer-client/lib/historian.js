@@ -0,0 +1,122 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Util = require('composer-common').Util;
+
+/**
+ * The Historian provides read-only access to the historian records of a business
+ * network. A historian record is created for every transaction that is submitted,
+ * and records the transaction, the participant and identity that submitted it,
+ * the time it was submitted, and the changes that it made to assets and participants.
+ * <p>
+ * Each historian record is an object with the following properties:
+ * <ul>
+ * <li><code>transactionId</code> - the identifier of the transaction.</li>
+ * <li><code>transaction</code> - the transaction, as a {@link Resource}.</li>
+ * <li><code>participant</code> - the fully qualified identifier of the participant
+ * that submitted the transaction, or null.</li>
+ * <li><code>identity</code> - the identity (user ID) that submitted the transaction, or null.</li>
+ * <li><code>timestamp</code> - the timestamp of the transaction, as a Date.</li>
+ * <li><code>changes</code> - an array of the changes made by the transaction. Each change
+ * has an <code>operation</code> (add, update, or remove), a <code>registryType</code>, a
+ * <code>registryId</code> and a <code>resourceId</code>. Each change includes the
+ * serialized <code>resource</code> that was added, updated or removed, and updates
+ * also include the changes as JSON Patch <code>patches</code>.</li>
+ * </ul>
+ * </p>
+ * <p>
+ * Historian records only contain what the current participant can read. Changes to
+ * resources that the participant cannot read are left out, as are the properties of
+ * the transaction and resources, and the JSON Patches for the properties, that the
+ * participant cannot read.
+ * </p>
+ * @class
+ * @memberof module:composer-client
+ */
+class Historian {
+
+    /**
+     * Create a historian.
+     * <strong>Note: Only to be called by framework code. Applications should
+     * retrieve instances from {@link BusinessNetworkConnection}</strong>
+     * </p>
+     * @param {SecurityContext} securityContext The users security context.
+     * @param {Serializer} serializer The Serializer to use for the transactions.
+     * @private
+     */
+    constructor(securityContext, serializer) {
+        if (!securityContext) {
+            throw new Error('securityContext not specified');
+        } else if (!serializer) {
+            throw new Error('serializer not specified');
+        }
+        this.securityContext = securityContext;
+        this.serializer = serializer;
+    }
+
+    /**
+     * Get all of the historian records.
+     * @return {Promise} A promise that will be resolved with an array of historian
+     * records.
+     */
+    getAll() {
+        Util.securityCheck(this.securityContext);
+        return Util.queryChainCode(this.securityContext, 'getAllHistorianRecords', [])
+            .then((buffer) => {
+                return JSON.parse(buffer.toString());
+            })
+            .then((records) => {
+                return records.map((record) => {
+                    return this.parseRecord(record);
+                });
+            });
+    }
+
+    /**
+     * Get the historian record for the specified transaction.
+     * @param {string} id The identifier of the transaction.
+     * @return {Promise} A promise that will be resolved with the historian record.
+     */
+    get(id) {
+        Util.securityCheck(this.securityContext);
+        if (!id) {
+            throw new Error('id not specified');
+        }
+        return Util.queryChainCode(this.securityContext, 'getHistorianRecord', [id])
+            .then((buffer) => {
+                return JSON.parse(buffer.toString());
+            })
+            .then((record) => {
+                return this.parseRecord(record);
+            });
+    }
+
+    /**
+     * Parse a serialized historian record.
+     * @private
+     * @param {Object} record The serialized historian record.
+     * @return {Object} The historian record.
+     */
+    parseRecord(record) {
+        return Object.assign({}, record, {
+            transaction: this.serializer.fromJSON(record.transaction),
+            timestamp: new Date(record.timestamp)
+        });
+    }
+
+}
+
+module.exports = Historian;
@@ -0,0 +1,111 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Util = require('composer-common').Util;
+
+/**
+ * The IdentityRegistry provides read-only access to the identities of a business
+ * network, and the participants that they are mapped to. An identity is created
+ * when an identity is issued, or when an existing certificate is bound to a
+ * participant, and is kept when the identity is revoked.
+ * <p>
+ * Each identity is an object with the following properties:
+ * <ul>
+ * <li><code>name</code> - the name of the identity, which is the user ID.</li>
+ * <li><code>issuer</code> - the name of the identity that issued or bound the
+ * identity, or null if it was issued or bound by the administrator.</li>
+ * <li><code>certificate</code> - the PEM encoded certificate for the identity,
+ * or null if the identity was issued and the certificate is not known.</li>
+ * <li><code>fingerprint</code> - the SHA-256 fingerprint of the certificate, or null.</li>
+ * <li><code>state</code> - the state of the identity; <code>ISSUED</code> or
+ * <code>BOUND</code> until it is first used to submit a transaction, then
+ * <code>ACTIVATED</code>, or <code>REVOKED</code> if it has been revoked.</li>
+ * <li><code>issued</code> - the time the identity was issued or bound, as a Date.</li>
+ * <li><code>participant</code> - the fully qualified identifier of the participant
+ * that the identity is mapped to.</li>
+ * </ul>
+ * </p>
+ * @class
+ * @memberof module:composer-client
+ */
+class IdentityRegistry {
+
+    /**
+     * Create an identity registry.
+     * <strong>Note: Only to be called by framework code. Applications should
+     * retrieve instances from {@link BusinessNetworkConnection}</strong>
+     * </p>
+     * @param {SecurityContext} securityContext The users security context.
+     * @private
+     */
+    constructor(securityContext) {
+        if (!securityContext) {
+            throw new Error('securityContext not specified');
+        }
+        this.securityContext = securityContext;
+    }
+
+    /**
+     * Get all of the identities.
+     * @return {Promise} A promise that will be resolved with an array of identities.
+     */
+    getAll() {
+        Util.securityCheck(this.securityContext);
+        return Util.queryChainCode(this.securityContext, 'getAllIdentities', [])
+            .then((buffer) => {
+                return JSON.parse(buffer.toString());
+            })
+            .then((identities) => {
+                return identities.map((identity) => {
+                    return this.parseIdentity(identity);
+                });
+            });
+    }
+
+    /**
+     * Get the specified identity.
+     * @param {string} name The name of the identity, which is the user ID.
+     * @return {Promise} A promise that will be resolved with the identity.
+     */
+    get(name) {
+        Util.securityCheck(this.securityContext);
+        if (!name) {
+            throw new Error('name not specified');
+        }
+        return Util.queryChainCode(this.securityContext, 'getIdentity', [name])
+            .then((buffer) => {
+                return JSON.parse(buffer.toString());
+            })
+            .then((identity) => {
+                return this.parseIdentity(identity);
+            });
+    }
+
+    /**
+     * Parse a serialized identity.
+     * @private
+     * @param {Object} identity The serialized identity.
+     * @return {Object} The identity.
+     */
+    parseIdentity(identity) {
+        return Object.assign({}, identity, {
+            issued: new Date(identity.issued)
+        });
+    }
+
+}
+
+module.exports = IdentityRegistry;
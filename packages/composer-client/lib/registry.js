@@ -15,6 +15,7 @@
 'use strict';
 
 const Resource = require('composer-common').Resource;
+const ResourceStream = require('./resourcestream');
 const Util = require('composer-common').Util;
 
 /**
@@ -207,8 +208,10 @@ class Registry {
         if (!resources) {
             throw new Error('resources not specified');
         }
+        // Properties that the participant cannot read are missing, so validation
+        // is left to the runtime once they have been restored.
         let serializedResources = resources.map((resource) => {
-            return this.serializer.toJSON(resource);
+            return this.serializer.toJSON(resource, { validate: false });
         });
         return Util.invokeChainCode(this.securityContext, 'updateAllResourcesInRegistry', [this.registryType, this.id, JSON.stringify(serializedResources)]);
     }
@@ -225,7 +228,9 @@ class Registry {
         if (!resource) {
             throw new Error('resource not specified');
         }
-        let serializedResource = this.serializer.toJSON(resource);
+        // Properties that the participant cannot read are missing, so validation
+        // is left to the runtime once they have been restored.
+        let serializedResource = this.serializer.toJSON(resource, { validate: false });
         return Util.invokeChainCode(this.securityContext, 'updateResourceInRegistry', [this.registryType, this.id, JSON.stringify(serializedResource)]);
     }
 
@@ -291,6 +296,83 @@ class Registry {
             });
     }
 
+    /**
+     * Get a page of the resources in the registry. Resources that the current
+     * participant does not have access to read are removed from the page, so a
+     * page may contain fewer resources than the page size even if it is not the
+     * last page.
+     *
+     * @param {number} pageSize The maximum number of resources to return.
+     * @param {string} [bookmark] The bookmark returned with the previous page,
+     * or null to get the first page.
+     * @return {Promise} A promise that will be resolved with an object containing
+     * an array of {@link Resource} instances in the <code>resources</code> property,
+     * and a bookmark for the next page in the <code>bookmark</code> property (or
+     * null if this is the last page).
+     */
+    getPage(pageSize, bookmark) {
+        Util.securityCheck(this.securityContext);
+        this.checkPageSize(pageSize);
+        return Util.queryChainCode(this.securityContext, 'getPageOfResourcesInRegistry', [this.registryType, this.id, String(pageSize), bookmark || ''])
+            .then((buffer) => {
+                return this.parsePage(JSON.parse(buffer.toString()));
+            });
+    }
+
+    /**
+     * Get a readable stream, in object mode, of the resources in the registry.
+     * The resources are retrieved one page at a time as they are read from the
+     * stream. On versions of Node.js that support async iteration of streams,
+     * the stream can also be used with <code>for await</code>.
+     *
+     * @param {Object} [options] Options for the stream.
+     * @param {number} [options.pageSize] The number of resources to retrieve in
+     * each page, defaults to 100.
+     * @param {string} [options.expression] An optional JSONata expression; if
+     * specified, only the resources that match the expression are streamed, as
+     * for {@link Registry#find find}.
+     * @return {stream.Readable} A readable stream of {@link Resource} instances.
+     */
+    createReadStream(options) {
+        Util.securityCheck(this.securityContext);
+        options = options || {};
+        const pageSize = options.pageSize || 100;
+        this.checkPageSize(pageSize);
+        return new ResourceStream((bookmark) => {
+            if (options.expression) {
+                return this.findPage(options.expression, pageSize, bookmark);
+            }
+            return this.getPage(pageSize, bookmark);
+        });
+    }
+
+    /**
+     * Check that a page size is a positive integer.
+     * @private
+     * @param {number} pageSize The page size.
+     * @throws {Error} If the page size is not a positive integer.
+     */
+    checkPageSize(pageSize) {
+        if (!Number.isInteger(pageSize) || pageSize < 1) {
+            throw new Error('pageSize must be a positive integer');
+        }
+    }
+
+    /**
+     * Parse a page of serialized resources.
+     * @private
+     * @param {Object} page The page of serialized resources.
+     * @return {Object} The page of resources.
+     */
+    parsePage(page) {
+        return {
+            resources: page.resources.map((resource) => {
+                return this.serializer.fromJSON(resource);
+            }),
+            bookmark: page.bookmark
+        };
+    }
+
     /**
      * Get a specific resource in the registry.
      *
@@ -356,6 +438,33 @@ class Registry {
             });
     }
 
+    /**
+     * Find the resources in a page of the resources in the registry that match
+     * the specified JSONata expression. The JSONata expression is applied to each
+     * resource in the page, so a page may contain fewer resources than the page
+     * size even if it is not the last page.
+     *
+     * @param {string} expression The JSONata expression.
+     * @param {number} pageSize The maximum number of resources to check.
+     * @param {string} [bookmark] The bookmark returned with the previous page,
+     * or null to get the first page.
+     * @return {Promise} A promise that will be resolved with an object containing
+     * an array of {@link Resource} instances that match the query in the
+     * <code>resources</code> property, and a bookmark for the next page in the
+     * <code>bookmark</code> property (or null if this is the last page).
+     */
+    findPage(expression, pageSize, bookmark) {
+        Util.securityCheck(this.securityContext);
+        if (!expression) {
+            throw new Error('expression not specified');
+        }
+        this.checkPageSize(pageSize);
+        return Util.queryChainCode(this.securityContext, 'findPageOfResourcesInRegistry', [this.registryType, this.id, expression, String(pageSize), bookmark || ''])
+            .then((buffer) => {
+                return this.parsePage(JSON.parse(buffer.toString()));
+            });
+    }
+
     /**
      * Execute a query against all resources in the registry. The JSONata
      * expression is applied to each resource in the registry, and the result
@@ -0,0 +1,71 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Readable = require('stream').Readable;
+
+/**
+ * A readable stream of resources, in object mode, that retrieves the resources
+ * from a registry one page at a time as they are read.
+ * @private
+ * @class
+ * @memberof module:composer-client
+ */
+class ResourceStream extends Readable {
+
+    /**
+     * Constructor.
+     * @param {Function} getPage A function that accepts a bookmark, and returns
+     * a promise that will be resolved with the page of resources for that bookmark.
+     */
+    constructor(getPage) {
+        super({ objectMode: true });
+        this.getPage = getPage;
+        this.bookmark = null;
+        this.reading = false;
+    }
+
+    /**
+     * Read the next page of resources into the stream.
+     * @private
+     */
+    _read() {
+        if (this.reading) {
+            return;
+        }
+        this.reading = true;
+        this.getPage(this.bookmark)
+            .then((page) => {
+                this.reading = false;
+                this.bookmark = page.bookmark;
+                page.resources.forEach((resource) => {
+                    this.push(resource);
+                });
+                if (!this.bookmark) {
+                    this.push(null);
+                } else if (page.resources.length === 0) {
+                    // Nothing was pushed, so we will not be asked to read again.
+                    this._read();
+                }
+            })
+            .catch((error) => {
+                this.reading = false;
+                this.emit('error', error);
+            });
+    }
+
+}
+
+module.exports = ResourceStream;
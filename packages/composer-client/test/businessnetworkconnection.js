@@ -16,14 +16,22 @@
 
 const Serializer = require('composer-common').Serializer;
 const Factory = require('composer-common').Factory;
+const Historian = require('../lib/historian');
+const IdCard = require('composer-common').IdCard;
+const IdentityRegistry = require('../lib/identityregistry');
 const BusinessNetworkDefinition = require('composer-common').BusinessNetworkDefinition;
 const AssetDeclaration = require('composer-common').AssetDeclaration;
 const AssetRegistry = require('../lib/assetregistry');
+const ClassDeclaration = require('composer-common').ClassDeclaration;
 const BusinessNetworkConnection = require('..').BusinessNetworkConnection;
 const Connection = require('composer-common').Connection;
 const ModelManager = require('composer-common').ModelManager;
 const ParticipantRegistry = require('../lib/participantregistry');
+const Query = require('composer-common').Query;
+const QueryManager = require('composer-common').QueryManager;
+const Relationship = require('composer-common').Relationship;
 const Resource = require('composer-common').Resource;
+const ScriptManager = require('composer-common').ScriptManager;
 const SecurityContext = require('composer-common').SecurityContext;
 const TransactionDeclaration = require('composer-common').TransactionDeclaration;
 const TransactionRegistry = require('../lib/transactionregistry');
@@ -47,6 +55,7 @@ describe('BusinessNetworkConnection', () => {
     let mockModelManager;
     let mockFactory;
     let mockSerializer;
+    let mockScriptManager;
 
     beforeEach(() => {
         sandbox = sinon.sandbox.create();
@@ -61,6 +70,9 @@ describe('BusinessNetworkConnection', () => {
         businessNetworkConnection.businessNetwork.getFactory.returns(mockFactory);
         mockSerializer = sinon.createStubInstance(Serializer);
         businessNetworkConnection.businessNetwork.getSerializer.returns(mockSerializer);
+        mockScriptManager = sinon.createStubInstance(ScriptManager);
+        mockScriptManager.getTransactionReturnType.returns(null);
+        businessNetworkConnection.businessNetwork.getScriptManager.returns(mockScriptManager);
         businessNetworkConnection.securityContext = mockSecurityContext;
     });
 
@@ -77,6 +89,39 @@ describe('BusinessNetworkConnection', () => {
 
     });
 
+    describe('#getHistorian', () => {
+
+        it('should perform a security check', () => {
+            sandbox.stub(Util, 'securityCheck');
+            businessNetworkConnection.getHistorian();
+            sinon.assert.calledOnce(Util.securityCheck);
+        });
+
+        it('should return a historian', () => {
+            let historian = businessNetworkConnection.getHistorian();
+            historian.should.be.an.instanceOf(Historian);
+            historian.securityContext.should.equal(mockSecurityContext);
+            historian.serializer.should.equal(mockSerializer);
+        });
+
+    });
+
+    describe('#getIdentityRegistry', () => {
+
+        it('should perform a security check', () => {
+            sandbox.stub(Util, 'securityCheck');
+            businessNetworkConnection.getIdentityRegistry();
+            sinon.assert.calledOnce(Util.securityCheck);
+        });
+
+        it('should return an identity registry', () => {
+            let identityRegistry = businessNetworkConnection.getIdentityRegistry();
+            identityRegistry.should.be.an.instanceOf(IdentityRegistry);
+            identityRegistry.securityContext.should.equal(mockSecurityContext);
+        });
+
+    });
+
     describe('#connect', () => {
 
         it('should create a connection and download the business network archive', () => {
@@ -105,6 +150,137 @@ describe('BusinessNetworkConnection', () => {
                 result.should.be.an.instanceOf(BusinessNetworkDefinition);
             });
         });
+
+        it('should emit any events published by the connection', () => {
+            sandbox.stub(businessNetworkConnection.connectionProfileManager, 'connect').resolves(mockConnection);
+            mockConnection.login.resolves(mockSecurityContext);
+            mockConnection.ping.resolves();
+            const buffer = Buffer.from(JSON.stringify({
+                data: 'aGVsbG8='
+            }));
+            sandbox.stub(Util, 'queryChainCode').withArgs(mockSecurityContext, 'getBusinessNetwork', []).resolves(buffer);
+            sandbox.stub(BusinessNetworkDefinition, 'fromArchive').resolves(mockBusinessNetworkDefinition);
+            let mockEvent1 = sinon.createStubInstance(Resource);
+            let mockEvent2 = sinon.createStubInstance(Resource);
+            mockSerializer.fromJSON.withArgs({ $class: 'org.acme.Event1' }).returns(mockEvent1);
+            mockSerializer.fromJSON.withArgs({ $class: 'org.acme.Event2' }).returns(mockEvent2);
+            let spy = sinon.spy();
+            businessNetworkConnection.on('event', spy);
+
+            return businessNetworkConnection.connect('testprofile', 'testnetwork', 'enrollmentID', 'enrollmentSecret')
+            .then(() => {
+                sinon.assert.calledOnce(mockConnection.on);
+                sinon.assert.calledWith(mockConnection.on, 'events', sinon.match.func);
+                mockConnection.on.args[0][1]([{ $class: 'org.acme.Event1' }, { $class: 'org.acme.Event2' }]);
+                sinon.assert.calledTwice(spy);
+                sinon.assert.calledWith(spy, mockEvent1);
+                sinon.assert.calledWith(spy, mockEvent2);
+            });
+        });
+
+        it('should save the connection profile and connect using a business network card', () => {
+            const store = businessNetworkConnection.connectionProfileManager.getConnectionProfileStore();
+            sandbox.stub(store, 'load').withArgs('testprofile').rejects(new Error('Failed to load connection profile testprofile'));
+            sandbox.stub(store, 'save').resolves();
+            sandbox.stub(businessNetworkConnection.connectionProfileManager, 'connect').resolves(mockConnection);
+            mockConnection.login.resolves(mockSecurityContext);
+            mockConnection.ping.resolves();
+            const buffer = Buffer.from(JSON.stringify({
+                data: 'aGVsbG8='
+            }));
+            sandbox.stub(Util, 'queryChainCode').withArgs(mockSecurityContext, 'getBusinessNetwork', []).resolves(buffer);
+            sandbox.stub(BusinessNetworkDefinition, 'fromArchive').resolves(mockBusinessNetworkDefinition);
+            const card = new IdCard({ name: 'testcard', businessNetwork: 'testnetwork', enrollmentId: 'enrollmentID', enrollmentSecret: 'enrollmentSecret' }, { name: 'testprofile', type: 'embedded' });
+
+            return businessNetworkConnection.connect(card)
+            .then((result) => {
+                sinon.assert.calledOnce(store.save);
+                sinon.assert.calledWith(store.save, 'testprofile', { type: 'embedded' });
+                sinon.assert.calledOnce(businessNetworkConnection.connectionProfileManager.connect);
+                sinon.assert.calledWith(businessNetworkConnection.connectionProfileManager.connect, 'testprofile', 'testnetwork');
+                sinon.assert.calledOnce(mockConnection.login);
+                sinon.assert.calledWith(mockConnection.login, 'enrollmentID', 'enrollmentSecret');
+                result.should.be.an.instanceOf(BusinessNetworkDefinition);
+            });
+        });
+
+        it('should connect using a business network card with the same connection profile as an existing connection profile', () => {
+            const store = businessNetworkConnection.connectionProfileManager.getConnectionProfileStore();
+            sandbox.stub(store, 'load').withArgs('testprofile').resolves({ type: 'embedded' });
+            sandbox.stub(store, 'save').resolves();
+            sandbox.stub(businessNetworkConnection.connectionProfileManager, 'connect').resolves(mockConnection);
+            mockConnection.login.resolves(mockSecurityContext);
+            mockConnection.ping.resolves();
+            const buffer = Buffer.from(JSON.stringify({
+                data: 'aGVsbG8='
+            }));
+            sandbox.stub(Util, 'queryChainCode').withArgs(mockSecurityContext, 'getBusinessNetwork', []).resolves(buffer);
+            sandbox.stub(BusinessNetworkDefinition, 'fromArchive').resolves(mockBusinessNetworkDefinition);
+            const card = new IdCard({ name: 'testcard', businessNetwork: 'testnetwork', enrollmentId: 'enrollmentID', enrollmentSecret: 'enrollmentSecret' }, { name: 'testprofile', type: 'embedded' });
+
+            return businessNetworkConnection.connect(card)
+            .then((result) => {
+                sinon.assert.notCalled(store.save);
+                sinon.assert.calledOnce(businessNetworkConnection.connectionProfileManager.connect);
+                sinon.assert.calledWith(businessNetworkConnection.connectionProfileManager.connect, 'testprofile', 'testnetwork');
+                result.should.be.an.instanceOf(BusinessNetworkDefinition);
+            });
+        });
+
+        it('should connect using a business network card with the same connection profile as an existing connection profile with the keys in a different order', () => {
+            const store = businessNetworkConnection.connectionProfileManager.getConnectionProfileStore();
+            sandbox.stub(store, 'load').withArgs('testprofile').resolves({ type: 'embedded', timeout: 300 });
+            sandbox.stub(store, 'save').resolves();
+            sandbox.stub(businessNetworkConnection.connectionProfileManager, 'connect').resolves(mockConnection);
+            mockConnection.login.resolves(mockSecurityContext);
+            mockConnection.ping.resolves();
+            const buffer = Buffer.from(JSON.stringify({
+                data: 'aGVsbG8='
+            }));
+            sandbox.stub(Util, 'queryChainCode').withArgs(mockSecurityContext, 'getBusinessNetwork', []).resolves(buffer);
+            sandbox.stub(BusinessNetworkDefinition, 'fromArchive').resolves(mockBusinessNetworkDefinition);
+            const card = new IdCard({ name: 'testcard', businessNetwork: 'testnetwork', enrollmentId: 'enrollmentID', enrollmentSecret: 'enrollmentSecret' }, { name: 'testprofile', timeout: 300, type: 'embedded' });
+
+            return businessNetworkConnection.connect(card)
+            .then((result) => {
+                sinon.assert.notCalled(store.save);
+                sinon.assert.calledOnce(businessNetworkConnection.connectionProfileManager.connect);
+                sinon.assert.calledWith(businessNetworkConnection.connectionProfileManager.connect, 'testprofile', 'testnetwork');
+                result.should.be.an.instanceOf(BusinessNetworkDefinition);
+            });
+        });
+
+        it('should throw if a different connection profile with the same name as the connection profile in the business network card exists', () => {
+            const store = businessNetworkConnection.connectionProfileManager.getConnectionProfileStore();
+            sandbox.stub(store, 'load').withArgs('testprofile').resolves({ type: 'hlf' });
+            sandbox.stub(store, 'save').resolves();
+            sandbox.stub(businessNetworkConnection.connectionProfileManager, 'connect').resolves(mockConnection);
+            const card = new IdCard({ name: 'testcard', businessNetwork: 'testnetwork', enrollmentId: 'enrollmentID', enrollmentSecret: 'enrollmentSecret' }, { name: 'testprofile', type: 'embedded' });
+            return businessNetworkConnection.connect(card)
+                .should.be.rejectedWith(/A different connection profile named 'testprofile' already exists/)
+                .then(() => {
+                    sinon.assert.notCalled(store.save);
+                    sinon.assert.notCalled(businessNetworkConnection.connectionProfileManager.connect);
+                });
+        });
+
+        it('should throw if the business network card contains a certificate and private key', () => {
+            sandbox.stub(businessNetworkConnection.connectionProfileManager, 'connect').resolves(mockConnection);
+            const card = new IdCard({ name: 'testcard', businessNetwork: 'testnetwork', enrollmentId: 'enrollmentID' }, { name: 'testprofile', type: 'embedded' });
+            card.setCredentials({ certificate: 'such certificate', privateKey: 'such private key' });
+            return businessNetworkConnection.connect(card)
+                .should.be.rejectedWith(/Connecting using the certificate and private key in a business network card is not supported/)
+                .then(() => {
+                    sinon.assert.notCalled(businessNetworkConnection.connectionProfileManager.connect);
+                });
+        });
+
+        it('should throw if the business network card does not specify a business network', () => {
+            sandbox.stub(businessNetworkConnection.connectionProfileManager, 'connect').resolves(mockConnection);
+            const card = new IdCard({ name: 'testcard', enrollmentId: 'enrollmentID', enrollmentSecret: 'enrollmentSecret' }, { name: 'testprofile', type: 'embedded' });
+            return businessNetworkConnection.connect(card)
+                .should.be.rejectedWith(/The business network card does not specify a business network/);
+        });
     });
 
     describe('#disconnect', () => {
@@ -119,6 +295,8 @@ describe('BusinessNetworkConnection', () => {
             return businessNetworkConnection.disconnect()
                 .then(() => {
                     sinon.assert.calledOnce(mockConnection.disconnect);
+                    sinon.assert.calledOnce(mockConnection.removeAllListeners);
+                    sinon.assert.calledWith(mockConnection.removeAllListeners, 'events');
                     return businessNetworkConnection.disconnect();
                 })
                 .then(() => {
@@ -495,6 +673,24 @@ describe('BusinessNetworkConnection', () => {
 
         });
 
+        it('should resolve with the value returned by the transaction processor functions', () => {
+            let txRegistry = sinon.createStubInstance(TransactionRegistry);
+            txRegistry.id = 'd2d210a3-5f11-433b-aa48-f74d25bb0f0d';
+            sandbox.stub(businessNetworkConnection, 'getTransactionRegistry').returns(Promise.resolve(txRegistry));
+            let txDecl = sinon.createStubInstance(TransactionDeclaration);
+            let tx = sinon.createStubInstance(Resource);
+            tx.getClassDeclaration.returns(txDecl);
+            tx.getIdentifier.returns('c89291eb-969f-4b04-b653-82deb5ee0ba1');
+            tx.getFullyQualifiedType.returns('such.ns.suchType');
+            tx.timestamp = new Date();
+            mockSerializer.toJSON.returns({ fake: 'json for the test' });
+            mockScriptManager.getTransactionReturnType.withArgs('such.ns.suchType').returns('String');
+            sandbox.stub(Util, 'invokeChainCode').resolves(Buffer.from(JSON.stringify('hello world')));
+            return businessNetworkConnection
+                .submitTransaction(tx)
+                .should.eventually.equal('hello world');
+        });
+
         it('should generate a transaction ID if one not specified', () => {
 
             // Fake the transaction registry.
@@ -615,6 +811,354 @@ describe('BusinessNetworkConnection', () => {
 
     });
 
+    describe('#submitTransactions', () => {
+
+        let txRegistry;
+        let txDecl;
+
+        beforeEach(() => {
+            txRegistry = sinon.createStubInstance(TransactionRegistry);
+            txRegistry.id = 'd2d210a3-5f11-433b-aa48-f74d25bb0f0d';
+            sandbox.stub(businessNetworkConnection, 'getTransactionRegistry').returns(Promise.resolve(txRegistry));
+            txDecl = sinon.createStubInstance(TransactionDeclaration);
+            txDecl.getFullyQualifiedName.returns('such.ns.suchType');
+        });
+
+        /**
+         * Create a mock transaction.
+         * @param {string} [id] The identifier of the transaction.
+         * @return {Resource} The mock transaction.
+         */
+        function createTransaction(id) {
+            let tx = sinon.createStubInstance(Resource);
+            tx.getClassDeclaration.returns(txDecl);
+            tx.getIdentifier.returns(id);
+            tx.timestamp = new Date();
+            return tx;
+        }
+
+        it('should throw when transactions not specified', () => {
+            (function () {
+                businessNetworkConnection.submitTransactions(null);
+            }).should.throw(/transactions not specified/);
+        });
+
+        it('should throw when transactions is not an array', () => {
+            (function () {
+                businessNetworkConnection.submitTransactions(createTransaction('tx1'));
+            }).should.throw(/transactions must be an array/);
+        });
+
+        it('should throw when any transaction is not specified', () => {
+            (function () {
+                businessNetworkConnection.submitTransactions([createTransaction('tx1'), null]);
+            }).should.throw(/transaction not specified/);
+        });
+
+        it('should throw when any type is not a transaction', () => {
+            let assetDecl = sinon.createStubInstance(AssetDeclaration);
+            let asset = sinon.createStubInstance(Resource);
+            assetDecl.getFullyQualifiedName.returns('such.ns.suchType');
+            asset.getClassDeclaration.returns(assetDecl);
+            (function () {
+                businessNetworkConnection.submitTransactions([createTransaction('tx1'), asset]);
+            }).should.throw(/such\.ns\.suchType is not a transaction/);
+        });
+
+        it('should invoke the chain-code with all of the transactions and return the results', () => {
+            let tx1 = createTransaction('tx1');
+            let tx2 = createTransaction();
+            tx2.setIdentifier = (id) => {
+                tx2.getIdentifier.returns(id);
+            };
+            delete tx2.timestamp;
+            sandbox.stub(uuid, 'v4').returns('c89291eb-969f-4b04-b653-82deb5ee0ba1');
+            mockSerializer.toJSON.withArgs(tx1).returns({ fake: 'json for tx1' });
+            mockSerializer.toJSON.withArgs(tx2).returns({ fake: 'json for tx2' });
+            sandbox.stub(Util, 'invokeChainCode').resolves();
+            return businessNetworkConnection
+                .submitTransactions([tx1, tx2])
+                .then((results) => {
+                    results.should.deep.equal([
+                        { transactionId: 'tx1' },
+                        { transactionId: 'c89291eb-969f-4b04-b653-82deb5ee0ba1' }
+                    ]);
+                    tx2.timestamp.should.be.an.instanceOf(Date);
+                    sinon.assert.calledOnce(Util.invokeChainCode);
+                    sinon.assert.calledWith(Util.invokeChainCode, mockSecurityContext, 'submitTransactions', ['d2d210a3-5f11-433b-aa48-f74d25bb0f0d', JSON.stringify([{ fake: 'json for tx1' }, { fake: 'json for tx2' }])]);
+                });
+        });
+
+        it('should return the values returned by the transaction processor functions', () => {
+            let tx1 = createTransaction('tx1');
+            let tx2 = createTransaction('tx2');
+            tx1.getFullyQualifiedType.returns('such.ns.suchType');
+            tx2.getFullyQualifiedType.returns('such.ns.suchType');
+            mockSerializer.toJSON.returns({ fake: 'json' });
+            mockScriptManager.getTransactionReturnType.withArgs('such.ns.suchType').returns('DateTime');
+            sandbox.stub(Util, 'invokeChainCode').resolves(Buffer.from(JSON.stringify([
+                { transactionId: 'tx1', returnValue: '2017-07-01T12:00:00.000Z' },
+                { transactionId: 'tx2' }
+            ])));
+            return businessNetworkConnection
+                .submitTransactions([tx1, tx2])
+                .then((results) => {
+                    results.should.deep.equal([
+                        { transactionId: 'tx1', returnValue: new Date('2017-07-01T12:00:00.000Z') },
+                        { transactionId: 'tx2' }
+                    ]);
+                });
+        });
+
+        it('should handle an error from the chain-code', () => {
+            sandbox.stub(Util, 'invokeChainCode').rejects(new Error('Transaction 1 of 1 in batch failed: such error'));
+            return businessNetworkConnection
+                .submitTransactions([createTransaction('tx1')])
+                .should.be.rejectedWith(/such error/);
+        });
+
+    });
+
+    describe('#evaluateTransaction', () => {
+
+        let tx;
+
+        beforeEach(() => {
+            let txDecl = sinon.createStubInstance(TransactionDeclaration);
+            txDecl.getFullyQualifiedName.returns('such.ns.suchType');
+            tx = sinon.createStubInstance(Resource);
+            tx.getClassDeclaration.returns(txDecl);
+            tx.getIdentifier.returns('tx1');
+            tx.getFullyQualifiedType.returns('such.ns.suchType');
+            tx.timestamp = new Date();
+            mockSerializer.toJSON.withArgs(tx).returns({ fake: 'json for tx1' });
+        });
+
+        it('should throw when transaction not specified', () => {
+            (function () {
+                businessNetworkConnection.evaluateTransaction(null);
+            }).should.throw(/transaction not specified/);
+        });
+
+        it('should query the chain-code and return the value returned by the transaction processor functions', () => {
+            mockScriptManager.getTransactionReturnType.withArgs('such.ns.suchType').returns('DateTime');
+            sandbox.stub(Util, 'queryChainCode').resolves(Buffer.from(JSON.stringify('2017-07-01T12:00:00.000Z')));
+            return businessNetworkConnection.evaluateTransaction(tx)
+                .then((result) => {
+                    result.should.deep.equal(new Date('2017-07-01T12:00:00.000Z'));
+                    sinon.assert.calledOnce(Util.queryChainCode);
+                    sinon.assert.calledWith(Util.queryChainCode, mockSecurityContext, 'evaluateTransaction', [JSON.stringify({ fake: 'json for tx1' })]);
+                });
+        });
+
+        it('should return undefined if the transaction processor functions do not return a value', () => {
+            sandbox.stub(Util, 'queryChainCode').resolves(Buffer.from(JSON.stringify(null)));
+            return businessNetworkConnection.evaluateTransaction(tx)
+                .should.eventually.be.undefined;
+        });
+
+        it('should return undefined if the chain-code does not return any data', () => {
+            sandbox.stub(Util, 'queryChainCode').resolves();
+            return businessNetworkConnection.evaluateTransaction(tx)
+                .should.eventually.be.undefined;
+        });
+
+        it('should handle an error from the chain-code', () => {
+            sandbox.stub(Util, 'queryChainCode').rejects(new Error('such error'));
+            return businessNetworkConnection.evaluateTransaction(tx)
+                .should.be.rejectedWith(/such error/);
+        });
+
+    });
+
+    describe('#simulateTransaction', () => {
+
+        let tx;
+
+        beforeEach(() => {
+            let txDecl = sinon.createStubInstance(TransactionDeclaration);
+            txDecl.getFullyQualifiedName.returns('such.ns.suchType');
+            tx = sinon.createStubInstance(Resource);
+            tx.getClassDeclaration.returns(txDecl);
+            tx.getIdentifier.returns('tx1');
+            tx.getFullyQualifiedType.returns('such.ns.suchType');
+            tx.timestamp = new Date();
+            mockSerializer.toJSON.withArgs(tx).returns({ fake: 'json for tx1' });
+        });
+
+        it('should throw when transaction not specified', () => {
+            (function () {
+                businessNetworkConnection.simulateTransaction(null);
+            }).should.throw(/transaction not specified/);
+        });
+
+        it('should query the chain-code and return the simulation', () => {
+            const simulation = {
+                changes: [{ operation: 'remove', registryType: 'Asset', registryId: 'such.ns.suchAsset', resourceId: 'wow', oldResource: { fake: 'json for wow' } }],
+                events: [{ fake: 'json for event' }]
+            };
+            sandbox.stub(Util, 'queryChainCode').resolves(Buffer.from(JSON.stringify(simulation)));
+            return businessNetworkConnection.simulateTransaction(tx)
+                .then((result) => {
+                    result.should.deep.equal(simulation);
+                    sinon.assert.calledOnce(Util.queryChainCode);
+                    sinon.assert.calledWith(Util.queryChainCode, mockSecurityContext, 'simulateTransaction', [JSON.stringify({ fake: 'json for tx1' })]);
+                });
+        });
+
+        it('should parse the value returned by the transaction processor functions', () => {
+            mockScriptManager.getTransactionReturnType.withArgs('such.ns.suchType').returns('DateTime');
+            sandbox.stub(Util, 'queryChainCode').resolves(Buffer.from(JSON.stringify({ changes: [], events: [], returnValue: '2017-07-01T12:00:00.000Z' })));
+            return businessNetworkConnection.simulateTransaction(tx)
+                .should.eventually.deep.equal({ changes: [], events: [], returnValue: new Date('2017-07-01T12:00:00.000Z') });
+        });
+
+        it('should handle an error from the chain-code', () => {
+            sandbox.stub(Util, 'queryChainCode').rejects(new Error('such error'));
+            return businessNetworkConnection.simulateTransaction(tx)
+                .should.be.rejectedWith(/such error/);
+        });
+
+    });
+
+    describe('#parseReturnValue', () => {
+
+        let tx;
+
+        beforeEach(() => {
+            tx = sinon.createStubInstance(Resource);
+            tx.getFullyQualifiedType.returns('such.ns.suchType');
+        });
+
+        it('should return the value if the transaction processor functions do not declare a return type', () => {
+            businessNetworkConnection.parseReturnValue(tx, { such: 'value' }).should.deep.equal({ such: 'value' });
+        });
+
+        it('should parse primitive values', () => {
+            mockScriptManager.getTransactionReturnType.withArgs('such.ns.suchType').returns('Integer');
+            mockModelManager.getType.withArgs('Integer').returns(null);
+            businessNetworkConnection.parseReturnValue(tx, 42).should.equal(42);
+        });
+
+        it('should parse arrays of date/time values', () => {
+            mockScriptManager.getTransactionReturnType.withArgs('such.ns.suchType').returns('DateTime[]');
+            businessNetworkConnection.parseReturnValue(tx, ['2017-07-01T12:00:00.000Z']).should.deep.equal([new Date('2017-07-01T12:00:00.000Z')]);
+        });
+
+        it('should parse enumerated values', () => {
+            mockScriptManager.getTransactionReturnType.withArgs('such.ns.suchType').returns('such.ns.suchEnum');
+            let mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
+            mockClassDeclaration.isEnum.returns(true);
+            mockModelManager.getType.withArgs('such.ns.suchEnum').returns(mockClassDeclaration);
+            businessNetworkConnection.parseReturnValue(tx, 'WOW').should.equal('WOW');
+        });
+
+        it('should parse concepts and resources using the serializer', () => {
+            mockScriptManager.getTransactionReturnType.withArgs('such.ns.suchType').returns('such.ns.suchConcept');
+            let mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
+            mockClassDeclaration.isEnum.returns(false);
+            mockModelManager.getType.withArgs('such.ns.suchConcept').returns(mockClassDeclaration);
+            let concept = { $identifier: 'such concept' };
+            mockSerializer.fromJSON.withArgs({ $class: 'such.ns.suchConcept' }).returns(concept);
+            businessNetworkConnection.parseReturnValue(tx, { $class: 'such.ns.suchConcept' }).should.equal(concept);
+        });
+
+    });
+
+    describe('#buildQuery', () => {
+
+        let mockQueryManager;
+
+        beforeEach(() => {
+            mockQueryManager = sinon.createStubInstance(QueryManager);
+            mockBusinessNetworkDefinition.getQueryManager.returns(mockQueryManager);
+        });
+
+        it('should perform a security check', () => {
+            sandbox.stub(Util, 'securityCheck');
+            businessNetworkConnection.buildQuery('SELECT org.acme.Car');
+            sinon.assert.calledOnce(Util.securityCheck);
+        });
+
+        it('should build the query using the query manager', () => {
+            let mockQuery = sinon.createStubInstance(Query);
+            mockQueryManager.buildQuery.withArgs('SELECT org.acme.Car').returns(mockQuery);
+            businessNetworkConnection.buildQuery('SELECT org.acme.Car').should.equal(mockQuery);
+        });
+
+    });
+
+    describe('#query', () => {
+
+        let mockResource1, mockResource2;
+
+        beforeEach(() => {
+            mockResource1 = sinon.createStubInstance(Resource);
+            mockResource2 = sinon.createStubInstance(Resource);
+            mockSerializer.fromJSON.withArgs({ $class: 'org.acme.Car', vin: 'CAR_1' }).returns(mockResource1);
+            mockSerializer.fromJSON.withArgs({ $class: 'org.acme.Car', vin: 'CAR_2' }).returns(mockResource2);
+            sandbox.stub(Util, 'queryChainCode').resolves(Buffer.from(JSON.stringify([
+                { $class: 'org.acme.Car', vin: 'CAR_1' },
+                { $class: 'org.acme.Car', vin: 'CAR_2' }
+            ])));
+        });
+
+        it('should perform a security check', () => {
+            sandbox.stub(Util, 'securityCheck');
+            return businessNetworkConnection.query('CarsByMake')
+                .then(() => {
+                    sinon.assert.calledOnce(Util.securityCheck);
+                });
+        });
+
+        it('should throw for an invalid query', () => {
+            (() => {
+                businessNetworkConnection.query({ not: 'a query' });
+            }).should.throw(/query must be a query name or a query returned by buildQuery/);
+        });
+
+        it('should execute a named query', () => {
+            return businessNetworkConnection.query('CarsByMake', { make: 'Ford' })
+                .then((resources) => {
+                    sinon.assert.calledOnce(Util.queryChainCode);
+                    sinon.assert.calledWith(Util.queryChainCode, mockSecurityContext, 'executeQuery', ['named', 'CarsByMake', '{"make":"Ford"}']);
+                    resources.should.deep.equal([mockResource1, mockResource2]);
+                });
+        });
+
+        it('should execute a named query without parameters', () => {
+            return businessNetworkConnection.query('AllCars')
+                .then((resources) => {
+                    sinon.assert.calledWith(Util.queryChainCode, mockSecurityContext, 'executeQuery', ['named', 'AllCars', '{}']);
+                    resources.should.deep.equal([mockResource1, mockResource2]);
+                });
+        });
+
+        it('should execute a built query', () => {
+            let mockQuery = sinon.createStubInstance(Query);
+            mockQuery.getSelect.returns({
+                getText: sinon.stub().returns('SELECT org.acme.Car')
+            });
+            return businessNetworkConnection.query(mockQuery)
+                .then((resources) => {
+                    sinon.assert.calledWith(Util.queryChainCode, mockSecurityContext, 'executeQuery', ['build', 'SELECT org.acme.Car', '{}']);
+                    resources.should.deep.equal([mockResource1, mockResource2]);
+                });
+        });
+
+        it('should pass resources and relationships as their identifiers', () => {
+            let mockOwner = sinon.createStubInstance(Resource);
+            mockOwner.getIdentifier.returns('alice@email.com');
+            let mockDriver = sinon.createStubInstance(Relationship);
+            mockDriver.getIdentifier.returns('bob@email.com');
+            return businessNetworkConnection.query('CarsByOwner', { owner: mockOwner, driver: mockDriver, year: 2010 })
+                .then(() => {
+                    sinon.assert.calledWith(Util.queryChainCode, mockSecurityContext, 'executeQuery', ['named', 'CarsByOwner', '{"owner":"alice@email.com","driver":"bob@email.com","year":2010}']);
+                });
+        });
+
+    });
+
     describe('#ping', () => {
 
         it('should perform a security check', () => {
@@ -644,6 +1188,10 @@ describe('BusinessNetworkConnection', () => {
 
     describe('#issueIdentity', () => {
 
+        beforeEach(() => {
+            sandbox.useFakeTimers();
+        });
+
         beforeEach(() => {
             businessNetworkConnection.connection = mockConnection;
             mockConnection.createIdentity.withArgs(mockSecurityContext, 'dogeid1').resolves({
@@ -675,7 +1223,7 @@ describe('BusinessNetworkConnection', () => {
                     sinon.assert.calledOnce(mockConnection.createIdentity);
                     sinon.assert.calledWith(mockConnection.createIdentity, mockSecurityContext, 'dogeid1');
                     sinon.assert.calledOnce(Util.invokeChainCode);
-                    sinon.assert.calledWith(Util.invokeChainCode, mockSecurityContext, 'addParticipantIdentity', ['org.doge.Doge#DOGE_1', 'dogeid1']);
+                    sinon.assert.calledWith(Util.invokeChainCode, mockSecurityContext, 'issueIdentity', ['org.doge.Doge#DOGE_1', 'dogeid1', '1970-01-01T00:00:00.000Z']);
                     result.should.deep.equal({
                         userID: 'dogeid1',
                         userSecret: 'suchsecret'
@@ -690,7 +1238,7 @@ describe('BusinessNetworkConnection', () => {
                     sinon.assert.calledOnce(mockConnection.createIdentity);
                     sinon.assert.calledWith(mockConnection.createIdentity, mockSecurityContext, 'dogeid1');
                     sinon.assert.calledOnce(Util.invokeChainCode);
-                    sinon.assert.calledWith(Util.invokeChainCode, mockSecurityContext, 'addParticipantIdentity', ['org.doge.Doge#DOGE_1', 'dogeid1']);
+                    sinon.assert.calledWith(Util.invokeChainCode, mockSecurityContext, 'issueIdentity', ['org.doge.Doge#DOGE_1', 'dogeid1', '1970-01-01T00:00:00.000Z']);
                     result.should.deep.equal({
                         userID: 'dogeid1',
                         userSecret: 'suchsecret'
@@ -705,7 +1253,7 @@ describe('BusinessNetworkConnection', () => {
                     sinon.assert.calledOnce(mockConnection.createIdentity);
                     sinon.assert.calledWith(mockConnection.createIdentity, mockSecurityContext, 'dogeid1', { issuer: true });
                     sinon.assert.calledOnce(Util.invokeChainCode);
-                    sinon.assert.calledWith(Util.invokeChainCode, mockSecurityContext, 'addParticipantIdentity', ['org.doge.Doge#DOGE_1', 'dogeid1']);
+                    sinon.assert.calledWith(Util.invokeChainCode, mockSecurityContext, 'issueIdentity', ['org.doge.Doge#DOGE_1', 'dogeid1', '1970-01-01T00:00:00.000Z']);
                     result.should.deep.equal({
                         userID: 'dogeid1',
                         userSecret: 'suchsecret'
@@ -715,6 +1263,46 @@ describe('BusinessNetworkConnection', () => {
 
     });
 
+    describe('#bindIdentity', () => {
+
+        beforeEach(() => {
+            sandbox.useFakeTimers();
+        });
+
+        it('should throw if participant not specified', () => {
+            (() => {
+                businessNetworkConnection.bindIdentity(null, 'such certificate');
+            }).should.throw(/participant not specified/);
+        });
+
+        it('should throw if certificate not specified', () => {
+            (() => {
+                businessNetworkConnection.bindIdentity('org.doge.Doge#DOGE_1', null);
+            }).should.throw(/certificate not specified/);
+        });
+
+        it('should submit a request to the chaincode for a resource', () => {
+            sandbox.stub(Util, 'invokeChainCode').resolves();
+            let mockResource = sinon.createStubInstance(Resource);
+            mockResource.getFullyQualifiedIdentifier.returns('org.doge.Doge#DOGE_1');
+            return businessNetworkConnection.bindIdentity(mockResource, 'such certificate')
+                .then(() => {
+                    sinon.assert.calledOnce(Util.invokeChainCode);
+                    sinon.assert.calledWith(Util.invokeChainCode, mockSecurityContext, 'bindIdentity', ['org.doge.Doge#DOGE_1', 'such certificate', '1970-01-01T00:00:00.000Z']);
+                });
+        });
+
+        it('should submit a request to the chaincode for a fully qualified identifier', () => {
+            sandbox.stub(Util, 'invokeChainCode').resolves();
+            return businessNetworkConnection.bindIdentity('org.doge.Doge#DOGE_1', 'such certificate')
+                .then(() => {
+                    sinon.assert.calledOnce(Util.invokeChainCode);
+                    sinon.assert.calledWith(Util.invokeChainCode, mockSecurityContext, 'bindIdentity', ['org.doge.Doge#DOGE_1', 'such certificate', '1970-01-01T00:00:00.000Z']);
+                });
+        });
+
+    });
+
     describe('#revokeIdentity', () => {
 
         it('should throw if identity not specified', () => {
@@ -730,7 +1318,7 @@ describe('BusinessNetworkConnection', () => {
             return businessNetworkConnection.revokeIdentity('dogeid1')
                 .then(() => {
                     sinon.assert.calledOnce(Util.invokeChainCode);
-                    sinon.assert.calledWith(Util.invokeChainCode, mockSecurityContext, 'removeIdentity', ['dogeid1']);
+                    sinon.assert.calledWith(Util.invokeChainCode, mockSecurityContext, 'revokeIdentity', ['dogeid1']);
                 });
         });
 
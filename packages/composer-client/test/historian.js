@@ -0,0 +1,141 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Historian = require('../lib/historian');
+const Resource = require('composer-common').Resource;
+const SecurityContext = require('composer-common').SecurityContext;
+const Serializer = require('composer-common').Serializer;
+const Util = require('composer-common').Util;
+
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+describe('Historian', () => {
+
+    let sandbox;
+    let mockSecurityContext;
+    let mockSerializer;
+    let mockTransaction1, mockTransaction2;
+    let record1, record2;
+    let historian;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        mockSecurityContext = sinon.createStubInstance(SecurityContext);
+        mockSerializer = sinon.createStubInstance(Serializer);
+        historian = new Historian(mockSecurityContext, mockSerializer);
+        sandbox.stub(Util, 'securityCheck');
+        mockTransaction1 = sinon.createStubInstance(Resource);
+        mockTransaction2 = sinon.createStubInstance(Resource);
+        mockSerializer.fromJSON.withArgs({ $class: 'org.acme.MyTransaction', transactionId: 'TX_1' }).returns(mockTransaction1);
+        mockSerializer.fromJSON.withArgs({ $class: 'org.acme.MyTransaction', transactionId: 'TX_2' }).returns(mockTransaction2);
+        record1 = {
+            transactionId: 'TX_1',
+            transaction: { $class: 'org.acme.MyTransaction', transactionId: 'TX_1' },
+            participant: 'org.acme.MyParticipant#alice',
+            identity: 'aliceid',
+            timestamp: '2017-03-01T12:00:00.000Z',
+            changes: [{ operation: 'remove', registryType: 'Asset', registryId: 'org.acme.MyAsset', resourceId: 'ASSET_1' }]
+        };
+        record2 = {
+            transactionId: 'TX_2',
+            transaction: { $class: 'org.acme.MyTransaction', transactionId: 'TX_2' },
+            participant: null,
+            identity: null,
+            timestamp: '2017-03-01T13:00:00.000Z',
+            changes: []
+        };
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    describe('#constructor', () => {
+
+        it('should throw when securityContext not specified', () => {
+            (() => {
+                new Historian(null, mockSerializer);
+            }).should.throw(/securityContext not specified/);
+        });
+
+        it('should throw when serializer not specified', () => {
+            (() => {
+                new Historian(mockSecurityContext, null);
+            }).should.throw(/serializer not specified/);
+        });
+
+    });
+
+    describe('#getAll', () => {
+
+        it('should perform a security check', () => {
+            sandbox.stub(Util, 'queryChainCode').resolves(Buffer.from(JSON.stringify([])));
+            return historian.getAll()
+                .then(() => {
+                    sinon.assert.calledOnce(Util.securityCheck);
+                });
+        });
+
+        it('should query the chain-code and return the historian records', () => {
+            sandbox.stub(Util, 'queryChainCode').withArgs(mockSecurityContext, 'getAllHistorianRecords', []).resolves(Buffer.from(JSON.stringify([record1, record2])));
+            return historian.getAll()
+                .then((records) => {
+                    records.should.have.lengthOf(2);
+                    records[0].transactionId.should.equal('TX_1');
+                    records[0].transaction.should.equal(mockTransaction1);
+                    records[0].participant.should.equal('org.acme.MyParticipant#alice');
+                    records[0].identity.should.equal('aliceid');
+                    records[0].timestamp.should.deep.equal(new Date('2017-03-01T12:00:00.000Z'));
+                    records[0].changes.should.deep.equal(record1.changes);
+                    records[1].transaction.should.equal(mockTransaction2);
+                });
+        });
+
+    });
+
+    describe('#get', () => {
+
+        it('should perform a security check', () => {
+            sandbox.stub(Util, 'queryChainCode').resolves(Buffer.from(JSON.stringify(record1)));
+            return historian.get('TX_1')
+                .then(() => {
+                    sinon.assert.calledOnce(Util.securityCheck);
+                });
+        });
+
+        it('should throw when id not specified', () => {
+            (() => {
+                historian.get(null);
+            }).should.throw(/id not specified/);
+        });
+
+        it('should query the chain-code and return the historian record', () => {
+            sandbox.stub(Util, 'queryChainCode').withArgs(mockSecurityContext, 'getHistorianRecord', ['TX_2']).resolves(Buffer.from(JSON.stringify(record2)));
+            return historian.get('TX_2')
+                .then((record) => {
+                    record.transactionId.should.equal('TX_2');
+                    record.transaction.should.equal(mockTransaction2);
+                    record.timestamp.should.deep.equal(new Date('2017-03-01T13:00:00.000Z'));
+                });
+        });
+
+    });
+
+});
@@ -0,0 +1,128 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const IdentityRegistry = require('../lib/identityregistry');
+const SecurityContext = require('composer-common').SecurityContext;
+const Util = require('composer-common').Util;
+
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+describe('IdentityRegistry', () => {
+
+    let sandbox;
+    let mockSecurityContext;
+    let identity1, identity2;
+    let identityRegistry;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        mockSecurityContext = sinon.createStubInstance(SecurityContext);
+        identityRegistry = new IdentityRegistry(mockSecurityContext);
+        sandbox.stub(Util, 'securityCheck');
+        identity1 = {
+            name: 'aliceid',
+            issuer: null,
+            certificate: null,
+            fingerprint: null,
+            state: 'ACTIVATED',
+            issued: '2017-03-01T12:00:00.000Z',
+            participant: 'org.acme.MyParticipant#alice'
+        };
+        identity2 = {
+            name: 'bobid',
+            issuer: 'aliceid',
+            certificate: '-----BEGIN CERTIFICATE-----\nsuch certificate\n-----END CERTIFICATE-----\n',
+            fingerprint: 'f00d',
+            state: 'BOUND',
+            issued: '2017-03-01T13:00:00.000Z',
+            participant: 'org.acme.MyParticipant#bob'
+        };
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    describe('#constructor', () => {
+
+        it('should throw when securityContext not specified', () => {
+            (() => {
+                new IdentityRegistry(null);
+            }).should.throw(/securityContext not specified/);
+        });
+
+    });
+
+    describe('#getAll', () => {
+
+        it('should perform a security check', () => {
+            sandbox.stub(Util, 'queryChainCode').resolves(Buffer.from(JSON.stringify([])));
+            return identityRegistry.getAll()
+                .then(() => {
+                    sinon.assert.calledOnce(Util.securityCheck);
+                });
+        });
+
+        it('should query the chain-code and return the identities', () => {
+            sandbox.stub(Util, 'queryChainCode').withArgs(mockSecurityContext, 'getAllIdentities', []).resolves(Buffer.from(JSON.stringify([identity1, identity2])));
+            return identityRegistry.getAll()
+                .then((identities) => {
+                    identities.should.have.lengthOf(2);
+                    identities[0].name.should.equal('aliceid');
+                    identities[0].state.should.equal('ACTIVATED');
+                    identities[0].issued.should.deep.equal(new Date('2017-03-01T12:00:00.000Z'));
+                    identities[0].participant.should.equal('org.acme.MyParticipant#alice');
+                    identities[1].name.should.equal('bobid');
+                    identities[1].issuer.should.equal('aliceid');
+                    identities[1].fingerprint.should.equal('f00d');
+                });
+        });
+
+    });
+
+    describe('#get', () => {
+
+        it('should perform a security check', () => {
+            sandbox.stub(Util, 'queryChainCode').resolves(Buffer.from(JSON.stringify(identity1)));
+            return identityRegistry.get('aliceid')
+                .then(() => {
+                    sinon.assert.calledOnce(Util.securityCheck);
+                });
+        });
+
+        it('should throw when name not specified', () => {
+            (() => {
+                identityRegistry.get(null);
+            }).should.throw(/name not specified/);
+        });
+
+        it('should query the chain-code and return the identity', () => {
+            sandbox.stub(Util, 'queryChainCode').withArgs(mockSecurityContext, 'getIdentity', ['bobid']).resolves(Buffer.from(JSON.stringify(identity2)));
+            return identityRegistry.get('bobid')
+                .then((identity) => {
+                    identity.name.should.equal('bobid');
+                    identity.certificate.should.equal(identity2.certificate);
+                    identity.issued.should.deep.equal(new Date('2017-03-01T13:00:00.000Z'));
+                });
+        });
+
+    });
+
+});
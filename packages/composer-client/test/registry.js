@@ -402,6 +402,8 @@ describe('Registry', () => {
             return registry.updateAll([mockResource1, mockResource2])
                 .then(() => {
                     const data = [data1, data2];
+                    sinon.assert.calledWith(mockSerializer.toJSON, mockResource1, { validate: false });
+                    sinon.assert.calledWith(mockSerializer.toJSON, mockResource2, { validate: false });
                     sinon.assert.calledWith(Util.securityCheck, mockSecurityContext);
                     sinon.assert.calledOnce(Util.invokeChainCode);
                     sinon.assert.calledWith(Util.invokeChainCode, mockSecurityContext, 'updateAllResourcesInRegistry', ['Doge', 'ad99fcfa-6d3c-4281-b47f-0ccda7998039', JSON.stringify(data)]);
@@ -435,6 +437,7 @@ describe('Registry', () => {
             mockSerializer.toJSON.withArgs(mockResource).returns(data);
             return registry.update(mockResource)
                 .then(() => {
+                    sinon.assert.calledWith(mockSerializer.toJSON, mockResource, { validate: false });
                     sinon.assert.calledWith(Util.securityCheck, mockSecurityContext);
                     sinon.assert.calledOnce(Util.invokeChainCode);
                     sinon.assert.calledWith(Util.invokeChainCode, mockSecurityContext, 'updateResourceInRegistry', ['Doge', 'ad99fcfa-6d3c-4281-b47f-0ccda7998039', JSON.stringify(data)]);
@@ -596,6 +599,142 @@ describe('Registry', () => {
 
     });
 
+    describe('#getPage', () => {
+
+        it('should throw when pageSize is not a positive integer', () => {
+            (() => {
+                registry.getPage(0);
+            }).should.throw(/pageSize must be a positive integer/);
+            (() => {
+                registry.getPage('10');
+            }).should.throw(/pageSize must be a positive integer/);
+        });
+
+        it('should query the chain-code for the first page', () => {
+
+            // Create the asset registry and other test data.
+            let asset1 = sinon.createStubInstance(Resource);
+            asset1.getIdentifier.returns('dogecar1');
+            mockSerializer.fromJSON.onFirstCall().returns(asset1);
+            let asset2 = sinon.createStubInstance(Resource);
+            asset2.getIdentifier.returns('dogecar2');
+            mockSerializer.fromJSON.onSecondCall().returns(asset2);
+
+            // Set up the responses from the chain-code.
+            Util.queryChainCode.resolves(Buffer.from(JSON.stringify({
+                resources: [{ 'id': 'fake id' }, { 'id': 'fake id 2' }],
+                bookmark: 'dogecar2'
+            })));
+
+            // Invoke the getPage function.
+            return registry
+                .getPage(2)
+                .then((page) => {
+
+                    // Check that the query was made successfully.
+                    sinon.assert.calledWith(Util.securityCheck, mockSecurityContext);
+                    sinon.assert.calledOnce(Util.queryChainCode);
+                    sinon.assert.calledWith(Util.queryChainCode, mockSecurityContext, 'getPageOfResourcesInRegistry', ['Doge', 'ad99fcfa-6d3c-4281-b47f-0ccda7998039', '2', '']);
+
+                    // Check that the page was returned successfully.
+                    page.resources.should.have.lengthOf(2);
+                    page.resources.should.all.be.an.instanceOf(Resource);
+                    page.resources[0].getIdentifier().should.equal('dogecar1');
+                    page.resources[1].getIdentifier().should.equal('dogecar2');
+                    page.bookmark.should.equal('dogecar2');
+
+                });
+
+        });
+
+        it('should query the chain-code for the next page', () => {
+
+            // Set up the responses from the chain-code.
+            Util.queryChainCode.resolves(Buffer.from(JSON.stringify({
+                resources: [],
+                bookmark: null
+            })));
+
+            // Invoke the getPage function.
+            return registry
+                .getPage(2, 'dogecar2')
+                .then((page) => {
+                    sinon.assert.calledWith(Util.queryChainCode, mockSecurityContext, 'getPageOfResourcesInRegistry', ['Doge', 'ad99fcfa-6d3c-4281-b47f-0ccda7998039', '2', 'dogecar2']);
+                    page.should.deep.equal({ resources: [], bookmark: null });
+                });
+
+        });
+
+        it('should handle an error from the chain-code', () => {
+
+            // Set up the responses from the chain-code.
+            Util.queryChainCode.rejects(new Error('such error'));
+
+            // Invoke the getPage function.
+            return registry
+                .getPage(2)
+                .should.be.rejectedWith(/such error/);
+
+        });
+
+    });
+
+    describe('#createReadStream', () => {
+
+        /**
+         * Read all of the resources from a stream.
+         * @param {stream.Readable} stream The stream.
+         * @return {Promise} A promise that will be resolved with the resources.
+         */
+        function readAll(stream) {
+            return new Promise((resolve, reject) => {
+                let resources = [];
+                stream.on('data', (resource) => {
+                    resources.push(resource);
+                });
+                stream.on('end', () => {
+                    resolve(resources);
+                });
+                stream.on('error', reject);
+            });
+        }
+
+        it('should throw when pageSize is not a positive integer', () => {
+            (() => {
+                registry.createReadStream({ pageSize: -1 });
+            }).should.throw(/pageSize must be a positive integer/);
+        });
+
+        it('should stream all of the resources using the default page size', () => {
+            sinon.stub(registry, 'getPage');
+            registry.getPage.withArgs(100, null).resolves({ resources: ['dogecar1', 'dogecar2'], bookmark: 'dogecar2' });
+            registry.getPage.withArgs(100, 'dogecar2').resolves({ resources: ['dogecar3'], bookmark: null });
+            return readAll(registry.createReadStream())
+                .then((resources) => {
+                    resources.should.deep.equal(['dogecar1', 'dogecar2', 'dogecar3']);
+                    sinon.assert.calledTwice(registry.getPage);
+                });
+        });
+
+        it('should stream the resources that match an expression using the specified page size', () => {
+            sinon.stub(registry, 'findPage');
+            registry.findPage.withArgs('assetId = \'fred\'', 2, null).resolves({ resources: ['dogecar1'], bookmark: 'dogecar2' });
+            registry.findPage.withArgs('assetId = \'fred\'', 2, 'dogecar2').resolves({ resources: [], bookmark: null });
+            return readAll(registry.createReadStream({ pageSize: 2, expression: 'assetId = \'fred\'' }))
+                .then((resources) => {
+                    resources.should.deep.equal(['dogecar1']);
+                    sinon.assert.calledTwice(registry.findPage);
+                });
+        });
+
+        it('should emit an error from the chain-code', () => {
+            sinon.stub(registry, 'getPage').rejects(new Error('such error'));
+            return readAll(registry.createReadStream())
+                .should.be.rejectedWith(/such error/);
+        });
+
+    });
+
     describe('#get', () => {
 
         it('should throw when id not specified', () => {
@@ -757,6 +896,66 @@ describe('Registry', () => {
 
     });
 
+    describe('#findPage', () => {
+
+        it('should throw when expression not specified', () => {
+            (() => {
+                registry.findPage(null, 2);
+            }).should.throw(/expression not specified/);
+        });
+
+        it('should throw when pageSize is not a positive integer', () => {
+            (() => {
+                registry.findPage('assetId = \'fred\'', 1.5);
+            }).should.throw(/pageSize must be a positive integer/);
+        });
+
+        it('should query the chain-code', () => {
+
+            // Create the asset registry and other test data.
+            let asset1 = sinon.createStubInstance(Resource);
+            asset1.getIdentifier.returns('dogecar1');
+            mockSerializer.fromJSON.onFirstCall().returns(asset1);
+
+            // Set up the responses from the chain-code.
+            Util.queryChainCode.resolves(Buffer.from(JSON.stringify({
+                resources: [{ 'id': 'fake id' }],
+                bookmark: 'dogecar2'
+            })));
+
+            // Invoke the findPage function.
+            return registry
+                .findPage('assetId = \'fred\'', 2, 'dogecar0')
+                .then((page) => {
+
+                    // Check that the query was made successfully.
+                    sinon.assert.calledWith(Util.securityCheck, mockSecurityContext);
+                    sinon.assert.calledOnce(Util.queryChainCode);
+                    sinon.assert.calledWith(Util.queryChainCode, mockSecurityContext, 'findPageOfResourcesInRegistry', ['Doge', 'ad99fcfa-6d3c-4281-b47f-0ccda7998039', 'assetId = \'fred\'', '2', 'dogecar0']);
+
+                    // Check that the page was returned successfully.
+                    page.resources.should.have.lengthOf(1);
+                    page.resources[0].getIdentifier().should.equal('dogecar1');
+                    page.bookmark.should.equal('dogecar2');
+
+                });
+
+        });
+
+        it('should handle an error from the chain-code', () => {
+
+            // Set up the responses from the chain-code.
+            Util.queryChainCode.rejects(new Error('such error'));
+
+            // Invoke the findPage function.
+            return registry
+                .findPage('assetId = \'fred\'', 2)
+                .should.be.rejectedWith(/such error/);
+
+        });
+
+    });
+
     describe('#query', () => {
 
         it('should throw when expression not specified', () => {
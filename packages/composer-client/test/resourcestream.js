@@ -0,0 +1,100 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ResourceStream = require('../lib/resourcestream');
+
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+describe('ResourceStream', () => {
+
+    let getPage;
+    let stream;
+
+    beforeEach(() => {
+        getPage = sinon.stub();
+        stream = new ResourceStream(getPage);
+    });
+
+    /**
+     * Read all of the resources from a stream.
+     * @return {Promise} A promise that will be resolved with the resources.
+     */
+    function readAll() {
+        return new Promise((resolve, reject) => {
+            let resources = [];
+            stream.on('data', (resource) => {
+                resources.push(resource);
+            });
+            stream.on('end', () => {
+                resolve(resources);
+            });
+            stream.on('error', reject);
+        });
+    }
+
+    it('should end the stream if there are no resources', () => {
+        getPage.withArgs(null).resolves({ resources: [], bookmark: null });
+        return readAll()
+            .then((resources) => {
+                resources.should.deep.equal([]);
+                sinon.assert.calledOnce(getPage);
+            });
+    });
+
+    it('should read all of the pages of resources', () => {
+        getPage.withArgs(null).resolves({ resources: [1, 2], bookmark: 'b1' });
+        getPage.withArgs('b1').resolves({ resources: [3, 4], bookmark: 'b2' });
+        getPage.withArgs('b2').resolves({ resources: [5], bookmark: null });
+        return readAll()
+            .then((resources) => {
+                resources.should.deep.equal([1, 2, 3, 4, 5]);
+                sinon.assert.calledThrice(getPage);
+            });
+    });
+
+    it('should keep reading if a page that is not the last page is empty', () => {
+        getPage.withArgs(null).resolves({ resources: [], bookmark: 'b1' });
+        getPage.withArgs('b1').resolves({ resources: [1], bookmark: null });
+        return readAll()
+            .then((resources) => {
+                resources.should.deep.equal([1]);
+                sinon.assert.calledTwice(getPage);
+            });
+    });
+
+    it('should only read one page at a time', () => {
+        let resolvePage;
+        getPage.returns(new Promise((resolve) => {
+            resolvePage = resolve;
+        }));
+        stream._read();
+        stream._read();
+        sinon.assert.calledOnce(getPage);
+        resolvePage({ resources: [], bookmark: null });
+    });
+
+    it('should emit an error if a page cannot be read', () => {
+        getPage.withArgs(null).resolves({ resources: [1], bookmark: 'b1' });
+        getPage.withArgs('b1').rejects(new Error('such error'));
+        return readAll()
+            .should.be.rejectedWith(/such error/);
+    });
+
+});
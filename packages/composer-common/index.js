@@ -59,18 +59,30 @@ module.exports.Connection = require('./lib/connection');
 module.exports.ConnectionManager = require('./lib/connectionmanager');
 module.exports.ConnectionProfileManager = require('./lib/connectionprofilemanager');
 module.exports.ConnectionProfileStore = require('./lib/connectionprofilestore');
+module.exports.CSharpVisitor = require('./lib/codegen/fromcto/csharp/csharpvisitor');
+module.exports.EncryptedFileWallet = require('./lib/encryptedfilewallet');
+module.exports.EventDeclaration = require('./lib/introspect/eventdeclaration');
 module.exports.Factory = require('./lib/factory');
 module.exports.FileWallet = require('./lib/filewallet');
 module.exports.FileWriter = require('./lib/codegen/filewriter');
 module.exports.FSConnectionProfileStore = require('./lib/fsconnectionprofilestore');
 module.exports.Globalize = require('./lib/globalize');
+module.exports.GoLangVisitor = require('./lib/codegen/fromcto/golang/golangvisitor');
+module.exports.IdCard = require('./lib/idcard');
 module.exports.Introspector = require('./lib/introspect/introspector');
+module.exports.JavaVisitor = require('./lib/codegen/fromcto/java/javavisitor');
+module.exports.JSONSchemaVisitor = require('./lib/codegen/fromcto/jsonschema/jsonschemavisitor');
 module.exports.Logger = require('./lib/log/logger');
 module.exports.LoopbackVisitor = require('./lib/codegen/fromcto/loopback/loopbackvisitor');
+module.exports.ModelCompatibilityChecker = require('./lib/modelcompatibilitychecker');
 module.exports.ModelFile = require('./lib/introspect/modelfile');
 module.exports.ModelManager = require('./lib/modelmanager');
 module.exports.ParticipantDeclaration = require('./lib/introspect/participantdeclaration');
+module.exports.PlantUMLVisitor = require('./lib/codegen/fromcto/plantuml/plantumlvisitor');
 module.exports.Property = require('./lib/introspect/property');
+module.exports.Query = require('./lib/query/query');
+module.exports.QueryFile = require('./lib/query/queryfile');
+module.exports.QueryManager = require('./lib/querymanager');
 module.exports.Relationship = require('./lib/model/relationship');
 module.exports.Resource = require('./lib/model/resource');
 module.exports.ScriptManager = require('./lib/scriptmanager');
@@ -21,7 +21,8 @@ const Predicate = require('./predicate');
 /**
  * AclRule captures the details of an Access Control Rule. It is defined in terms of
  * an ACTION performed on a NOUN by a PARTICIPANT with a PREDICATE used to filter the
- * NOUN/PARTICPANT interaction.
+ * NOUN/PARTICPANT interaction. A rule may optionally be restricted to a TRANSACTION,
+ * in which case it only applies while that transaction is being executed.
  *
  * @private
  * @class
@@ -83,6 +84,15 @@ class AclRule {
         if(this.ast.participant && this.ast.participant !== 'ANY') {
             this.participant = new ModelBinding(this, this.ast.participant, this.ast.participantVariable);
         }
+
+        this.transaction = null;
+
+        if(this.ast.transaction) {
+            this.transaction = new ModelBinding(this, this.ast.transaction, this.ast.transactionVariable);
+        }
+
+        this.identityVariable = this.ast.identityVariable ? this.ast.identityVariable.name : null;
+
         this.predicate = null;
 
         if(this.ast.predicate) {
@@ -108,6 +118,10 @@ class AclRule {
             this.participant.validate();
         }
 
+        if(this.transaction) {
+            this.transaction.validate();
+        }
+
         if(this.predicate) {
             this.predicate.validate();
         }
@@ -150,6 +164,27 @@ class AclRule {
         return this.participant;
     }
 
+    /**
+     * Returns the transaction for this ACL rule. Returns null if this rule
+     * does not filter based on transaction.
+     *
+     * @return {ModelBinding} the transaction ModelBinding or null
+     */
+    getTransaction() {
+        return this.transaction;
+    }
+
+    /**
+     * Returns the name of the variable that the identity used to submit the
+     * request is bound to in the predicate for this ACL rule. Returns null if
+     * this rule does not bind the identity.
+     *
+     * @return {string} the name of the identity variable or null
+     */
+    getIdentityVariableName() {
+        return this.identityVariable;
+    }
+
     /**
      * Returns the predicate associated with this ACL Rule
      *
@@ -188,6 +223,7 @@ class AclRule {
             noun: this.noun,
             verb: this.verb,
             participant: this.participant,
+            transaction: this.transaction,
             predicate: this.predicate,
             action: this.action,
             description: this.description
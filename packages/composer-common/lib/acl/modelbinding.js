@@ -19,8 +19,8 @@ const ModelUtil = require('../modelutil');
 
 /**
  * ModelBinding captures a binding to a model element. A ModelBinding can
- * be to a namespace, a class, or an instance of a class, and may optionally
- * be bound to a named variable.
+ * be to a namespace, a class, an instance of a class, or a property of a class,
+ * and may optionally be bound to a named variable.
  *
  * @private
  * @class
@@ -87,6 +87,11 @@ class ModelBinding {
             this.instanceId = this.ast.instanceId;
         }
 
+        this.propertyName = null;
+        if(this.ast.propertyName) {
+            this.propertyName = this.ast.propertyName;
+        }
+
         this.variableName = null;
         if(this.variableAst) {
             this.variableName = this.variableAst.name;
@@ -104,6 +109,10 @@ class ModelBinding {
             result += '#' + this.instanceId;
         }
 
+        if(this.propertyName) {
+            result += '#*.' + this.propertyName;
+        }
+
         if(this.variableName) {
             result += ':' + this.variableName;
         }
@@ -129,6 +138,18 @@ class ModelBinding {
         return this.instanceId;
     }
 
+    /**
+     * Returns the name of the property of the model element for this ModelBinding.
+     * This is only known after the ModelBinding has been validated, as a binding
+     * of the form ns.class.property cannot be distinguished from a binding to a
+     * class until the model has been consulted.
+     *
+     * @return {string} the name of the property, or null
+     */
+    getPropertyName() {
+        return this.propertyName;
+    }
+
     /**
      * Returns the name of the variable of the model element for this ModelBinding.
      *
@@ -146,6 +167,7 @@ class ModelBinding {
      * <ul>
      * <li>If we have a variableName, then qualifiedName cannot be a namespace
      * <li>If we have an instanceId, then qualifiedName cannot be a namespace
+     * <li>If we have a propertyName, then qualifiedName must be a class that has the property
      * </ul>
      * <pre>
      * We assume we have ns.class.property and try to resolve the class in ns
@@ -163,6 +185,12 @@ class ModelBinding {
     validate() {
         const mm = this.getAclRule().getAclFile().getModelManager();
 
+        // qualifiedName is ns.class and the property was specified separately
+        if(this.propertyName) {
+            this.validateProperty(mm, this.qualifiedName, this.propertyName);
+            return;
+        }
+
         // assume qualifiedName is ns.class.property
         const nsDotClass = ModelUtil.getNamespace(this.qualifiedName);
         const ns = ModelUtil.getNamespace(nsDotClass);
@@ -177,6 +205,10 @@ class ModelBinding {
                 if(!property) {
                     throw new Error('Failed to find property ' + this.qualifiedName);
                 }
+
+                // normalize the binding so it refers to the class and property separately
+                this.qualifiedName = nsDotClass;
+                this.propertyName = propertyName;
             }
         }
         else {
@@ -204,6 +236,28 @@ class ModelBinding {
         }
     }
 
+    /**
+     * Check that the specified class exists and has the specified property.
+     *
+     * @param {ModelManager} mm - the ModelManager to use
+     * @param {string} qualifiedName - the fully qualified name of the class
+     * @param {string} propertyName - the name of the property
+     * @throws {InvalidModelException}
+     * @private
+     */
+    validateProperty(mm, qualifiedName, propertyName) {
+        const ns = ModelUtil.getNamespace(qualifiedName);
+        const className = ModelUtil.getShortName(qualifiedName);
+        const modelFile = mm.getModelFile(ns);
+        const classDeclaration = modelFile ? modelFile.getLocalType(className) : null;
+        if(!classDeclaration) {
+            throw new Error('Failed to find class ' + qualifiedName);
+        }
+        if(!classDeclaration.getProperty(propertyName)) {
+            throw new Error('Failed to find property ' + qualifiedName + '.' + propertyName);
+        }
+    }
+
     /**
      * Returns a new object representing this function declaration that is
      * suitable for serializing as JSON.
@@ -213,6 +267,7 @@ class ModelBinding {
         let result = {
             qualifiedName: this.qualifiedName,
             instanceId: this.instanceId,
+            propertyName: this.propertyName,
             variableName: this.variableName
         };
         return result;
@@ -784,13 +784,14 @@ module.exports = (function() {
         peg$c411 = { type: "literal", value: "resource:", description: "\"resource:\"" },
         peg$c412 = "action:",
         peg$c413 = { type: "literal", value: "action:", description: "\"action:\"" },
-        peg$c414 = function(ruleId, description, participant, verb, noun, action) {
+        peg$c414 = function(ruleId, description, participant, verb, noun, transaction, action) {
               return {
                 type: "SimpleRule",
                 id: ruleId,
                 noun: noun,
                 verb: verb,
                 participant: participant,
+                transaction: transaction ? transaction.binding : null,
                 action: action,
                 description: description,
                 location: location()
@@ -799,11 +800,22 @@ module.exports = (function() {
         peg$c415 = function(id) {
           return id;
         },
-        peg$c416 = "resource",
-        peg$c417 = { type: "literal", value: "resource", description: "\"resource\"" },
-        peg$c418 = "condition:",
-        peg$c419 = { type: "literal", value: "condition:", description: "\"condition:\"" },
-        peg$c420 = function(ruleId, description, participantVariable, participant, verb, nounVariable, noun, predicate, action) {
+        peg$c416 = function(variable, binding) {
+          return {
+            binding: binding,
+            variable: variable
+          };
+        },
+        peg$c417 = "identity",
+        peg$c418 = { type: "literal", value: "identity", description: "\"identity\"" },
+        peg$c419 = function(variable) {
+          return variable;
+        },
+        peg$c420 = "resource",
+        peg$c421 = { type: "literal", value: "resource", description: "\"resource\"" },
+        peg$c422 = "condition:",
+        peg$c423 = { type: "literal", value: "condition:", description: "\"condition:\"" },
+        peg$c424 = function(ruleId, description, participantVariable, participant, verb, nounVariable, noun, transaction, identityVariable, predicate, action) {
               return {
                 type: "ConditionalRule",
                 id: ruleId,
@@ -812,45 +824,63 @@ module.exports = (function() {
                 verb: verb,
                 participant: participant,
                 participantVariable: participantVariable,
+                transaction: transaction ? transaction.binding : null,
+                transactionVariable: transaction ? transaction.variable : null,
+                identityVariable: identityVariable,
                 predicate: predicate,
                 action: action,
                 description: description,
                 location: location()
               };
             },
-        peg$c421 = "#",
-        peg$c422 = { type: "literal", value: "#", description: "\"#\"" },
-        peg$c423 = function(id) {
+        peg$c425 = "#",
+        peg$c426 = { type: "literal", value: "#", description: "\"#\"" },
+        peg$c427 = function(id) {
          return id;
         },
-        peg$c424 = function(qualifiedName, instanceId) {
+        peg$c428 = function(name) {
+          return name;
+        },
+        peg$c429 = "#*",
+        peg$c430 = { type: "literal", value: "#*", description: "\"#*\"" },
+        peg$c431 = function(qualifiedName, propertyName) {
+          return {
+            type: "Binding",
+            qualifiedName: qualifiedName,
+            instanceId: null,
+            propertyName: propertyName,
+            location: location()
+          };
+        },
+        peg$c432 = function(qualifiedName, instanceId) {
           return {
             type: "Binding",
             qualifiedName: qualifiedName,
             instanceId: instanceId,
+            propertyName: null,
             location: location()
           };
         },
-        peg$c425 = "CREATE",
-        peg$c426 = { type: "literal", value: "CREATE", description: "\"CREATE\"" },
-        peg$c427 = "READ",
-        peg$c428 = { type: "literal", value: "READ", description: "\"READ\"" },
-        peg$c429 = "UPDATE",
-        peg$c430 = { type: "literal", value: "UPDATE", description: "\"UPDATE\"" },
-        peg$c431 = "ALL",
-        peg$c432 = { type: "literal", value: "ALL", description: "\"ALL\"" },
-        peg$c433 = "DELETE",
-        peg$c434 = { type: "literal", value: "DELETE", description: "\"DELETE\"" },
-        peg$c435 = "ANY",
-        peg$c436 = { type: "literal", value: "ANY", description: "\"ANY\"" },
-        peg$c437 = function(test) {
+        peg$c433 = "CREATE",
+        peg$c434 = { type: "literal", value: "CREATE", description: "\"CREATE\"" },
+        peg$c435 = "READ",
+        peg$c436 = { type: "literal", value: "READ", description: "\"READ\"" },
+        peg$c437 = "UPDATE",
+        peg$c438 = { type: "literal", value: "UPDATE", description: "\"UPDATE\"" },
+        peg$c439 = "ALL",
+        peg$c440 = { type: "literal", value: "ALL", description: "\"ALL\"" },
+        peg$c441 = "DELETE",
+        peg$c442 = { type: "literal", value: "DELETE", description: "\"DELETE\"" },
+        peg$c443 = "ANY",
+        peg$c444 = { type: "literal", value: "ANY", description: "\"ANY\"" },
+        peg$c445 = function(test) {
              return test;
            },
-        peg$c438 = "ALLOW",
-        peg$c439 = { type: "literal", value: "ALLOW", description: "\"ALLOW\"" },
-        peg$c440 = "DENY",
-        peg$c441 = { type: "literal", value: "DENY", description: "\"DENY\"" },
-        peg$c442 = function(chars) {
+        peg$c446 = "ALLOW",
+        peg$c447 = { type: "literal", value: "ALLOW", description: "\"ALLOW\"" },
+        peg$c448 = "DENY",
+        peg$c449 = { type: "literal", value: "DENY", description: "\"DENY\"" },
+        peg$c450 = function(chars) {
                 return chars.join("");
               },
 
@@ -13168,7 +13198,7 @@ module.exports = (function() {
     }
 
     function peg$parseSimpleRule() {
-      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12, s13, s14, s15, s16, s17, s18, s19, s20, s21, s22, s23, s24, s25, s26, s27, s28, s29, s30, s31, s32, s33, s34;
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12, s13, s14, s15, s16, s17, s18, s19, s20, s21, s22, s23, s24, s25, s26, s27, s28, s29, s30, s31, s32, s33, s34, s35, s36;
 
       s0 = peg$currPos;
       if (input.substr(peg$currPos, 4) === peg$c402) {
@@ -13299,33 +13329,48 @@ module.exports = (function() {
                                                           if (s27 !== peg$FAILED) {
                                                             s28 = peg$parse__();
                                                             if (s28 !== peg$FAILED) {
-                                                              if (input.substr(peg$currPos, 7) === peg$c412) {
-                                                                s29 = peg$c412;
-                                                                peg$currPos += 7;
-                                                              } else {
-                                                                s29 = peg$FAILED;
-                                                                if (peg$silentFails === 0) { peg$fail(peg$c413); }
+                                                              s29 = peg$parseTransactionClause();
+                                                              if (s29 === peg$FAILED) {
+                                                                s29 = null;
                                                               }
                                                               if (s29 !== peg$FAILED) {
                                                                 s30 = peg$parse__();
                                                                 if (s30 !== peg$FAILED) {
-                                                                  s31 = peg$parseAction();
+                                                                  if (input.substr(peg$currPos, 7) === peg$c412) {
+                                                                    s31 = peg$c412;
+                                                                    peg$currPos += 7;
+                                                                  } else {
+                                                                    s31 = peg$FAILED;
+                                                                    if (peg$silentFails === 0) { peg$fail(peg$c413); }
+                                                                  }
                                                                   if (s31 !== peg$FAILED) {
                                                                     s32 = peg$parse__();
                                                                     if (s32 !== peg$FAILED) {
-                                                                      if (input.charCodeAt(peg$currPos) === 125) {
-                                                                        s33 = peg$c228;
-                                                                        peg$currPos++;
-                                                                      } else {
-                                                                        s33 = peg$FAILED;
-                                                                        if (peg$silentFails === 0) { peg$fail(peg$c229); }
-                                                                      }
+                                                                      s33 = peg$parseAction();
                                                                       if (s33 !== peg$FAILED) {
                                                                         s34 = peg$parse__();
                                                                         if (s34 !== peg$FAILED) {
-                                                                          peg$savedPos = s0;
-                                                                          s1 = peg$c414(s3, s10, s16, s21, s26, s31);
-                                                                          s0 = s1;
+                                                                          if (input.charCodeAt(peg$currPos) === 125) {
+                                                                            s35 = peg$c228;
+                                                                            peg$currPos++;
+                                                                          } else {
+                                                                            s35 = peg$FAILED;
+                                                                            if (peg$silentFails === 0) { peg$fail(peg$c229); }
+                                                                          }
+                                                                          if (s35 !== peg$FAILED) {
+                                                                            s36 = peg$parse__();
+                                                                            if (s36 !== peg$FAILED) {
+                                                                              peg$savedPos = s0;
+                                                                              s1 = peg$c414(s3, s10, s16, s21, s26, s29, s33);
+                                                                              s0 = s1;
+                                                                            } else {
+                                                                              peg$currPos = s0;
+                                                                              s0 = peg$FAILED;
+                                                                            }
+                                                                          } else {
+                                                                            peg$currPos = s0;
+                                                                            s0 = peg$FAILED;
+                                                                          }
                                                                         } else {
                                                                           peg$currPos = s0;
                                                                           s0 = peg$FAILED;
@@ -13519,8 +13564,135 @@ module.exports = (function() {
       return s0;
     }
 
+    function peg$parseTransactionClause() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 11) === peg$c150) {
+        s1 = peg$c150;
+        peg$currPos += 11;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c151); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse__();
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parseVariableBinding();
+          if (s3 === peg$FAILED) {
+            s3 = null;
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parse__();
+            if (s4 !== peg$FAILED) {
+              if (input.charCodeAt(peg$currPos) === 58) {
+                s5 = peg$c250;
+                peg$currPos++;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c251); }
+              }
+              if (s5 !== peg$FAILED) {
+                s6 = peg$parse__();
+                if (s6 !== peg$FAILED) {
+                  if (input.charCodeAt(peg$currPos) === 34) {
+                    s7 = peg$c73;
+                    peg$currPos++;
+                  } else {
+                    s7 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c74); }
+                  }
+                  if (s7 !== peg$FAILED) {
+                    s8 = peg$parseBinding();
+                    if (s8 !== peg$FAILED) {
+                      if (input.charCodeAt(peg$currPos) === 34) {
+                        s9 = peg$c73;
+                        peg$currPos++;
+                      } else {
+                        s9 = peg$FAILED;
+                        if (peg$silentFails === 0) { peg$fail(peg$c74); }
+                      }
+                      if (s9 !== peg$FAILED) {
+                        peg$savedPos = s0;
+                        s1 = peg$c416(s3, s8);
+                        s0 = s1;
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseIdentityClause() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 8) === peg$c417) {
+        s1 = peg$c417;
+        peg$currPos += 8;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c418); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse__();
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parseVariableBinding();
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c419(s3);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
     function peg$parseConditionalRule() {
-      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12, s13, s14, s15, s16, s17, s18, s19, s20, s21, s22, s23, s24, s25, s26, s27, s28, s29, s30, s31, s32, s33, s34, s35, s36, s37, s38, s39, s40, s41, s42, s43, s44, s45, s46;
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12, s13, s14, s15, s16, s17, s18, s19, s20, s21, s22, s23, s24, s25, s26, s27, s28, s29, s30, s31, s32, s33, s34, s35, s36, s37, s38, s39, s40, s41, s42, s43, s44, s45, s46, s47, s48, s49, s50;
 
       s0 = peg$currPos;
       if (input.substr(peg$currPos, 4) === peg$c402) {
@@ -13638,12 +13810,12 @@ module.exports = (function() {
                                                       if (s25 !== peg$FAILED) {
                                                         s26 = peg$parse__();
                                                         if (s26 !== peg$FAILED) {
-                                                          if (input.substr(peg$currPos, 8) === peg$c416) {
-                                                            s27 = peg$c416;
+                                                          if (input.substr(peg$currPos, 8) === peg$c420) {
+                                                            s27 = peg$c420;
                                                             peg$currPos += 8;
                                                           } else {
                                                             s27 = peg$FAILED;
-                                                            if (peg$silentFails === 0) { peg$fail(peg$c417); }
+                                                            if (peg$silentFails === 0) { peg$fail(peg$c421); }
                                                           }
                                                           if (s27 !== peg$FAILED) {
                                                             s28 = peg$parse__();
@@ -13685,47 +13857,77 @@ module.exports = (function() {
                                                                           if (s35 !== peg$FAILED) {
                                                                             s36 = peg$parse__();
                                                                             if (s36 !== peg$FAILED) {
-                                                                              if (input.substr(peg$currPos, 10) === peg$c418) {
-                                                                                s37 = peg$c418;
-                                                                                peg$currPos += 10;
-                                                                              } else {
-                                                                                s37 = peg$FAILED;
-                                                                                if (peg$silentFails === 0) { peg$fail(peg$c419); }
+                                                                              s37 = peg$parseTransactionClause();
+                                                                              if (s37 === peg$FAILED) {
+                                                                                s37 = null;
                                                                               }
                                                                               if (s37 !== peg$FAILED) {
                                                                                 s38 = peg$parse__();
                                                                                 if (s38 !== peg$FAILED) {
-                                                                                  s39 = peg$parsePredicate();
+                                                                                  s39 = peg$parseIdentityClause();
+                                                                                  if (s39 === peg$FAILED) {
+                                                                                    s39 = null;
+                                                                                  }
                                                                                   if (s39 !== peg$FAILED) {
                                                                                     s40 = peg$parse__();
                                                                                     if (s40 !== peg$FAILED) {
-                                                                                      if (input.substr(peg$currPos, 7) === peg$c412) {
-                                                                                        s41 = peg$c412;
-                                                                                        peg$currPos += 7;
+                                                                                      if (input.substr(peg$currPos, 10) === peg$c422) {
+                                                                                        s41 = peg$c422;
+                                                                                        peg$currPos += 10;
                                                                                       } else {
                                                                                         s41 = peg$FAILED;
-                                                                                        if (peg$silentFails === 0) { peg$fail(peg$c413); }
+                                                                                        if (peg$silentFails === 0) { peg$fail(peg$c423); }
                                                                                       }
                                                                                       if (s41 !== peg$FAILED) {
                                                                                         s42 = peg$parse__();
                                                                                         if (s42 !== peg$FAILED) {
-                                                                                          s43 = peg$parseAction();
+                                                                                          s43 = peg$parsePredicate();
                                                                                           if (s43 !== peg$FAILED) {
                                                                                             s44 = peg$parse__();
                                                                                             if (s44 !== peg$FAILED) {
-                                                                                              if (input.charCodeAt(peg$currPos) === 125) {
-                                                                                                s45 = peg$c228;
-                                                                                                peg$currPos++;
+                                                                                              if (input.substr(peg$currPos, 7) === peg$c412) {
+                                                                                                s45 = peg$c412;
+                                                                                                peg$currPos += 7;
                                                                                               } else {
                                                                                                 s45 = peg$FAILED;
-                                                                                                if (peg$silentFails === 0) { peg$fail(peg$c229); }
+                                                                                                if (peg$silentFails === 0) { peg$fail(peg$c413); }
                                                                                               }
                                                                                               if (s45 !== peg$FAILED) {
                                                                                                 s46 = peg$parse__();
                                                                                                 if (s46 !== peg$FAILED) {
-                                                                                                  peg$savedPos = s0;
-                                                                                                  s1 = peg$c420(s3, s10, s15, s20, s25, s29, s34, s39, s43);
-                                                                                                  s0 = s1;
+                                                                                                  s47 = peg$parseAction();
+                                                                                                  if (s47 !== peg$FAILED) {
+                                                                                                    s48 = peg$parse__();
+                                                                                                    if (s48 !== peg$FAILED) {
+                                                                                                      if (input.charCodeAt(peg$currPos) === 125) {
+                                                                                                        s49 = peg$c228;
+                                                                                                        peg$currPos++;
+                                                                                                      } else {
+                                                                                                        s49 = peg$FAILED;
+                                                                                                        if (peg$silentFails === 0) { peg$fail(peg$c229); }
+                                                                                                      }
+                                                                                                      if (s49 !== peg$FAILED) {
+                                                                                                        s50 = peg$parse__();
+                                                                                                        if (s50 !== peg$FAILED) {
+                                                                                                          peg$savedPos = s0;
+                                                                                                          s1 = peg$c424(s3, s10, s15, s20, s25, s29, s34, s37, s39, s43, s47);
+                                                                                                          s0 = s1;
+                                                                                                        } else {
+                                                                                                          peg$currPos = s0;
+                                                                                                          s0 = peg$FAILED;
+                                                                                                        }
+                                                                                                      } else {
+                                                                                                        peg$currPos = s0;
+                                                                                                        s0 = peg$FAILED;
+                                                                                                      }
+                                                                                                    } else {
+                                                                                                      peg$currPos = s0;
+                                                                                                      s0 = peg$FAILED;
+                                                                                                    }
+                                                                                                  } else {
+                                                                                                    peg$currPos = s0;
+                                                                                                    s0 = peg$FAILED;
+                                                                                                  }
                                                                                                 } else {
                                                                                                   peg$currPos = s0;
                                                                                                   s0 = peg$FAILED;
@@ -13919,17 +14121,17 @@ module.exports = (function() {
 
       s0 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 35) {
-        s1 = peg$c421;
+        s1 = peg$c425;
         peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c422); }
+        if (peg$silentFails === 0) { peg$fail(peg$c426); }
       }
       if (s1 !== peg$FAILED) {
         s2 = peg$parseStringSequence();
         if (s2 !== peg$FAILED) {
           peg$savedPos = s0;
-          s1 = peg$c423(s2);
+          s1 = peg$c427(s2);
           s0 = s1;
         } else {
           peg$currPos = s0;
@@ -13943,19 +14145,28 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parseBinding() {
-      var s0, s1, s2;
+    function peg$parsePropertyName() {
+      var s0, s1, s2, s3;
 
       s0 = peg$currPos;
-      s1 = peg$parseQualifiedName();
+      if (input.charCodeAt(peg$currPos) === 46) {
+        s1 = peg$c54;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c55); }
+      }
       if (s1 !== peg$FAILED) {
-        s2 = peg$parseInstanceId();
-        if (s2 === peg$FAILED) {
-          s2 = null;
+        s2 = peg$currPos;
+        s3 = peg$parseIdentifier();
+        if (s3 !== peg$FAILED) {
+          s2 = input.substring(s2, peg$currPos);
+        } else {
+          s2 = s3;
         }
         if (s2 !== peg$FAILED) {
           peg$savedPos = s0;
-          s1 = peg$c424(s1, s2);
+          s1 = peg$c428(s2);
           s0 = s1;
         } else {
           peg$currPos = s0;
@@ -13969,47 +14180,106 @@ module.exports = (function() {
       return s0;
     }
 
+    function peg$parseBinding() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$currPos;
+      s1 = peg$parseQualifiedName();
+      if (s1 !== peg$FAILED) {
+        if (input.substr(peg$currPos, 2) === peg$c429) {
+          s2 = peg$c429;
+          peg$currPos += 2;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c430); }
+        }
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parsePropertyName();
+          if (s3 === peg$FAILED) {
+            s3 = null;
+          }
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c431(s1, s3);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        s0 = peg$currPos;
+        s1 = peg$parseQualifiedName();
+        if (s1 !== peg$FAILED) {
+          s2 = peg$parseInstanceId();
+          if (s2 === peg$FAILED) {
+            s2 = null;
+          }
+          if (s2 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c432(s1, s2);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      }
+
+      return s0;
+    }
+
     function peg$parseVerb() {
       var s0;
 
-      if (input.substr(peg$currPos, 6) === peg$c425) {
-        s0 = peg$c425;
+      if (input.substr(peg$currPos, 6) === peg$c433) {
+        s0 = peg$c433;
         peg$currPos += 6;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c426); }
+        if (peg$silentFails === 0) { peg$fail(peg$c434); }
       }
       if (s0 === peg$FAILED) {
-        if (input.substr(peg$currPos, 4) === peg$c427) {
-          s0 = peg$c427;
+        if (input.substr(peg$currPos, 4) === peg$c435) {
+          s0 = peg$c435;
           peg$currPos += 4;
         } else {
           s0 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c428); }
+          if (peg$silentFails === 0) { peg$fail(peg$c436); }
         }
         if (s0 === peg$FAILED) {
-          if (input.substr(peg$currPos, 6) === peg$c429) {
-            s0 = peg$c429;
+          if (input.substr(peg$currPos, 6) === peg$c437) {
+            s0 = peg$c437;
             peg$currPos += 6;
           } else {
             s0 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c430); }
+            if (peg$silentFails === 0) { peg$fail(peg$c438); }
           }
           if (s0 === peg$FAILED) {
-            if (input.substr(peg$currPos, 3) === peg$c431) {
-              s0 = peg$c431;
+            if (input.substr(peg$currPos, 3) === peg$c439) {
+              s0 = peg$c439;
               peg$currPos += 3;
             } else {
               s0 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$c432); }
+              if (peg$silentFails === 0) { peg$fail(peg$c440); }
             }
             if (s0 === peg$FAILED) {
-              if (input.substr(peg$currPos, 6) === peg$c433) {
-                s0 = peg$c433;
+              if (input.substr(peg$currPos, 6) === peg$c441) {
+                s0 = peg$c441;
                 peg$currPos += 6;
               } else {
                 s0 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$c434); }
+                if (peg$silentFails === 0) { peg$fail(peg$c442); }
               }
             }
           }
@@ -14022,12 +14292,12 @@ module.exports = (function() {
     function peg$parseParticipant() {
       var s0;
 
-      if (input.substr(peg$currPos, 3) === peg$c435) {
-        s0 = peg$c435;
+      if (input.substr(peg$currPos, 3) === peg$c443) {
+        s0 = peg$c443;
         peg$currPos += 3;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c436); }
+        if (peg$silentFails === 0) { peg$fail(peg$c444); }
       }
       if (s0 === peg$FAILED) {
         s0 = peg$parseBinding();
@@ -14071,7 +14341,7 @@ module.exports = (function() {
                 s6 = peg$parse__();
                 if (s6 !== peg$FAILED) {
                   peg$savedPos = s0;
-                  s1 = peg$c437(s3);
+                  s1 = peg$c445(s3);
                   s0 = s1;
                 } else {
                   peg$currPos = s0;
@@ -14104,20 +14374,20 @@ module.exports = (function() {
     function peg$parseAction() {
       var s0;
 
-      if (input.substr(peg$currPos, 5) === peg$c438) {
-        s0 = peg$c438;
+      if (input.substr(peg$currPos, 5) === peg$c446) {
+        s0 = peg$c446;
         peg$currPos += 5;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c439); }
+        if (peg$silentFails === 0) { peg$fail(peg$c447); }
       }
       if (s0 === peg$FAILED) {
-        if (input.substr(peg$currPos, 4) === peg$c440) {
-          s0 = peg$c440;
+        if (input.substr(peg$currPos, 4) === peg$c448) {
+          s0 = peg$c448;
           peg$currPos += 4;
         } else {
           s0 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c441); }
+          if (peg$silentFails === 0) { peg$fail(peg$c449); }
         }
       }
 
@@ -14137,7 +14407,7 @@ module.exports = (function() {
       }
       if (s1 !== peg$FAILED) {
         peg$savedPos = s0;
-        s1 = peg$c442(s1);
+        s1 = peg$c450(s1);
       }
       s0 = s1;
       peg$silentFails--;
@@ -16,9 +16,13 @@
 
 const Logger = require('./log/logger');
 const ModelManager = require('./modelmanager');
+const ModelFile = require('./introspect/modelfile');
+const ParseException = require('./introspect/parseexception');
 const Introspector = require('./introspect/introspector');
 const AclManager = require('./aclmanager');
 const AclFile = require('./acl/aclfile');
+const QueryManager = require('./querymanager');
+const QueryFile = require('./query/queryfile');
 const Factory = require('./factory');
 const Serializer = require('./serializer');
 const ScriptManager = require('./scriptmanager');
@@ -88,6 +92,7 @@ class BusinessNetworkDefinition {
 
         this.modelManager = new ModelManager();
         this.aclManager = new AclManager(this.modelManager);
+        this.queryManager = new QueryManager(this.modelManager);
         this.scriptManager = new ScriptManager(this.modelManager);
         this.introspector = new Introspector(this.modelManager);
         this.factory = new Factory(this.modelManager);
@@ -153,6 +158,7 @@ class BusinessNetworkDefinition {
             let ctoModelFileNames = [];
             let jsScriptFiles = [];
             let permissionsFiles = [];
+            let queriesFiles = [];
             let businessNetworkDefinition;
             let readmeContents = null;
             let packageJsonContents = null;
@@ -221,12 +227,23 @@ class BusinessNetworkDefinition {
                 });
             }
 
+            LOG.debug(method, 'Loading queries.qry');
+            let queryFile = zip.file('queries.qry');
+            if (queryFile !== null) {
+                const queryPromise = queryFile.async('string');
+                allPromises.push(queryPromise);
+                queryPromise.then(contents => {
+                    LOG.debug(method, 'Loaded queries.qry');
+                    queriesFiles.push(contents);
+                });
+            }
+
             return Promise.all(allPromises)
                 .then(() => {
                     LOG.debug(method, 'Loaded package.json');
                     businessNetworkDefinition = new BusinessNetworkDefinition(null, null, packageJsonContents, readmeContents);
 
-                    LOG.debug(method, 'Loaded all model, JavaScript, and ACL files');
+                    LOG.debug(method, 'Loaded all model, JavaScript, ACL, and query files');
                     LOG.debug(method, 'Adding model files to model manager');
                     businessNetworkDefinition.modelManager.addModelFiles(ctoModelFiles,ctoModelFileNames); // Adds all cto files to model manager
                     LOG.debug(method, 'Added model files to model manager');
@@ -242,6 +259,11 @@ class BusinessNetworkDefinition {
                         businessNetworkDefinition.getAclManager().setAclFile( new AclFile('permissions.acl', businessNetworkDefinition.getModelManager(), permissionFile));
                     });
                     LOG.debug(method, 'Added ACL files to ACL manager');
+                    LOG.debug(method, 'Adding query files to query manager');
+                    queriesFiles.forEach((queriesFile) => {
+                        businessNetworkDefinition.getQueryManager().setQueryFile( new QueryFile('queries.qry', businessNetworkDefinition.getModelManager(), queriesFile));
+                    });
+                    LOG.debug(method, 'Added query files to query manager');
 
                     LOG.exit(method, businessNetworkDefinition.toString());
                     return businessNetworkDefinition; // Returns business network (with model manager and script manager)
@@ -270,6 +292,11 @@ class BusinessNetworkDefinition {
             zip.file(aclFile.getIdentifier(), aclFile.definitions);
         }
 
+        const queryFile = this.getQueryManager().getQueryFile();
+        if(queryFile) {
+            zip.file(queryFile.getIdentifier(), queryFile.definitions);
+        }
+
         let modelManager = this.getModelManager();
         let modelFiles = modelManager.getModelFiles();
         modelFiles.forEach(function(file) {
@@ -305,7 +332,9 @@ class BusinessNetworkDefinition {
      * <p>
      * If package.json contains a dependencies property then this method will search for
      * model (CTO) files under the node_modules directory for each dependency that
-     * passes the options.dependencyGlob pattern.
+     * passes the options.dependencyGlob pattern. Model files in a dependency that
+     * declare a version in their namespace declaration must declare the version of
+     * the dependency, so that other model files can import them at a pinned version.
      * </p>
      * <p>
      * The directory may optionally contain a README.md file which is accessible from the
@@ -402,6 +431,13 @@ class BusinessNetworkDefinition {
                     }
                 }
 
+                // find the installed version of the dependency
+                let dependencyVersion = null;
+                const dependencyPackageJsonPath = fsPath.resolve(dependencyPath, 'package.json');
+                if (fs.existsSync(dependencyPackageJsonPath)) {
+                    dependencyVersion = JSON.parse(fs.readFileSync(dependencyPackageJsonPath, ENCODING)).version;
+                }
+
                 BusinessNetworkDefinition.processDirectory(dependencyPath, {
                     accepts: function(file) {
                         return minimatch(file, options.modelFileGlob);
@@ -410,7 +446,13 @@ class BusinessNetworkDefinition {
                         return true;
                     },
                     process: function(path,contents) {
-                        modelFiles.push(contents);
+                        const modelFile = new ModelFile(businessNetwork.getModelManager(), contents, path);
+                        if (dependencyVersion && modelFile.getVersion() && modelFile.getVersion() !== dependencyVersion) {
+                            throw new ParseException('Model file ' + path + ' declares version ' + modelFile.getVersion() +
+                                ' of namespace ' + modelFile.getNamespace() + ', but version ' + dependencyVersion +
+                                ' of dependency ' + dep + ' is installed.', modelFile.getNamespaceLocation());
+                        }
+                        modelFiles.push(modelFile);
                         LOG.debug(method, 'Found model file', path);
                     }
                 });
@@ -490,6 +532,18 @@ class BusinessNetworkDefinition {
             }
         }
 
+        // grab the queries.qry
+        const queryPath = fsPath.resolve(path, 'queries.qry');
+        if(fs.existsSync(queryPath)) {
+            let queriesContents = fs.readFileSync( queryPath, ENCODING);
+
+            if(queriesContents) {
+                LOG.debug(method, 'Loaded queries.qry', queriesContents);
+                const queryFile = new QueryFile('queries.qry', businessNetwork.getModelManager(), queriesContents);
+                businessNetwork.getQueryManager().setQueryFile(queryFile);
+            }
+        }
+
         LOG.exit(method, path);
         return Promise.resolve(businessNetwork);
     }
@@ -610,6 +664,16 @@ class BusinessNetworkDefinition {
         return this.aclManager;
     }
 
+    /**
+     * Provides access to the QueryManager for this business network. The QueryManager
+     * manage access to the queries that have been defined for this business network.
+     * @return {QueryManager} the QueryManager for this business network
+     * @private
+     */
+    getQueryManager() {
+        return this.queryManager;
+    }
+
     /**
      * Provides access to the ModelManager for this business network. The ModelManager
      * manage access to the models that have been defined within this business network.
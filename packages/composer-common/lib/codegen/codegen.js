@@ -15,7 +15,9 @@
 'use strict';
 
 const BusinessNetworkDefinition = require('../businessnetworkdefinition');
+const CSharpVisitor = require('./fromcto/csharp/csharpvisitor');
 const GoLangVisitor = require('./fromcto/golang/golangvisitor');
+const JavaVisitor = require('./fromcto/java/javavisitor');
 const JSONSchemaVisitor = require('./fromcto/jsonschema/jsonschemavisitor');
 const PlantUMLVisitor = require('./fromcto/plantuml/plantumlvisitor');
 const TypescriptVisitor = require('./fromcto/typescript/typescriptvisitor');
@@ -34,7 +36,7 @@ program
     .version('1.0')
     .description('convert a Business Network Definition to code')
     .usage('[options] <input model files ...>')
-    .option('-f, --format <format>', 'Format of code to generate: Go, PlantUML, Typescript, JSONSchema. Defaults to Go.', 'Go')
+    .option('-f, --format <format>', 'Format of code to generate: Go, PlantUML, Typescript, JSONSchema, Java, CSharp. Defaults to Go.', 'Go')
     .option('-o, --outputDir <outputDir>', 'Output directory')
     .option('-a, --archiveFile <businessNetworkArchive>', 'Business Network Archive');
 
@@ -59,6 +61,12 @@ case 'Typescript':
 case 'JSONSchema':
     visitor = new JSONSchemaVisitor();
     break;
+case 'Java':
+    visitor = new JavaVisitor();
+    break;
+case 'CSharp':
+    visitor = new CSharpVisitor();
+    break;
 default:
     throw new Error ('Unrecognized code generator: ' + program.format );
 }
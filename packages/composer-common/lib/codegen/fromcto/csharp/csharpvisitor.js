@@ -0,0 +1,318 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ModelUtil = require('../../../modelutil');
+const ModelManager = require('../../../modelmanager');
+const ModelFile = require('../../../introspect/modelfile');
+const ClassDeclaration = require('../../../introspect/classdeclaration');
+const Field = require('../../../introspect/field');
+const RelationshipDeclaration = require('../../../introspect/relationshipdeclaration');
+const EnumDeclaration = require('../../../introspect/enumdeclaration');
+const EnumValueDeclaration = require('../../../introspect/enumvaluedeclaration');
+const FunctionDeclaration = require('../../../introspect/functiondeclaration');
+
+/**
+ * Convert the contents of a ModelManager to C# code. The classes and enums
+ * for each model file are written to a single source file, in a C# namespace
+ * with the same name as the namespace of the model file. Properties have
+ * Json.NET attributes, so that the classes can be serialized to and from the
+ * JSON used by Composer. Relationships are represented by their URIs (for
+ * example resource:org.acme.Vehicle#VEH_1), stored as strings. Set a fileWriter
+ * property (instance of FileWriter) on the parameters object to control where
+ * the generated code is written to disk.
+ *
+ * @private
+ * @class
+ * @memberof module:composer-common
+ */
+class CSharpVisitor {
+    /**
+     * Visitor design pattern
+     * @param {Object} thing - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visit(thing, parameters) {
+        if (thing instanceof ModelManager) {
+            return this.visitModelManager(thing, parameters);
+        } else if (thing instanceof ModelFile) {
+            return this.visitModelFile(thing, parameters);
+        } else if (thing instanceof EnumDeclaration) {
+            return this.visitEnumDeclaration(thing, parameters);
+        } else if (thing instanceof ClassDeclaration) {
+            return this.visitClassDeclaration(thing, parameters);
+        } else if (thing instanceof Field) {
+            return this.visitField(thing, parameters);
+        } else if (thing instanceof RelationshipDeclaration) {
+            return this.visitRelationship(thing, parameters);
+        } else if (thing instanceof EnumValueDeclaration) {
+            return this.visitEnumValueDeclaration(thing, parameters);
+        } else if (thing instanceof FunctionDeclaration) {
+            // functions are not represented in the generated code
+        } else {
+            throw new Error('Unrecognised ' + JSON.stringify(thing) );
+        }
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {ModelManager} modelManager - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visitModelManager(modelManager, parameters) {
+        modelManager.getModelFiles().forEach((modelFile) => {
+            modelFile.accept(this,parameters);
+        });
+        return null;
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {ModelFile} modelFile - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visitModelFile(modelFile, parameters) {
+        parameters.fileWriter.openFile(modelFile.getNamespace() + '.cs');
+        parameters.fileWriter.writeLine(0, 'using System;');
+        parameters.fileWriter.writeLine(0, 'using System.Collections.Generic;');
+        parameters.fileWriter.writeLine(0, 'using Newtonsoft.Json;');
+        parameters.fileWriter.writeLine(0, 'using Newtonsoft.Json.Converters;');
+        parameters.fileWriter.writeLine(0, '');
+        parameters.fileWriter.writeLine(0, 'namespace ' + modelFile.getNamespace());
+        parameters.fileWriter.writeLine(0, '{');
+
+        modelFile.getAllDeclarations().forEach((decl, index) => {
+            if (index > 0) {
+                parameters.fileWriter.writeLine(0, '');
+            }
+            decl.accept(this, parameters);
+        });
+
+        parameters.fileWriter.writeLine(0, '}');
+        parameters.fileWriter.closeFile();
+
+        return null;
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {EnumDeclaration} enumDeclaration - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visitEnumDeclaration(enumDeclaration, parameters) {
+        this.writeDocComment(enumDeclaration, 1, parameters);
+        parameters.fileWriter.writeLine(1, '[JsonConverter(typeof(StringEnumConverter))]');
+        parameters.fileWriter.writeLine(1, 'public enum ' + enumDeclaration.getName());
+        parameters.fileWriter.writeLine(1, '{');
+
+        enumDeclaration.getOwnProperties().forEach((property) => {
+            property.accept(this,parameters);
+        });
+
+        parameters.fileWriter.writeLine(1, '}');
+        return null;
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {ClassDeclaration} classDeclaration - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visitClassDeclaration(classDeclaration, parameters) {
+        const namespace = classDeclaration.getModelFile().getNamespace();
+
+        let isAbstract = '';
+        if (classDeclaration.isAbstract()) {
+            isAbstract = 'abstract ';
+        }
+
+        let superType = '';
+        let modifier = 'virtual';
+        if (classDeclaration.getSuperType()) {
+            superType = ' : ' + this.toCSharpClassName(classDeclaration.getSuperType(), namespace);
+            modifier = 'override';
+        }
+
+        this.writeDocComment(classDeclaration, 1, parameters);
+        parameters.fileWriter.writeLine(1, 'public ' + isAbstract + 'class ' + classDeclaration.getName() + superType);
+        parameters.fileWriter.writeLine(1, '{');
+
+        // the $class property holds the fully qualified name of the type
+        parameters.fileWriter.writeLine(2, '[JsonProperty("$class")]');
+        parameters.fileWriter.writeLine(2, 'public ' + modifier + ' string Class => "' + classDeclaration.getFullyQualifiedName() + '";');
+
+        classDeclaration.getOwnProperties().forEach((property) => {
+            property.accept(this,parameters);
+        });
+
+        parameters.fileWriter.writeLine(1, '}');
+        return null;
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {Field} field - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visitField(field, parameters) {
+        parameters.fileWriter.writeLine(0, '');
+        this.writeDocComment(field, 2, parameters);
+        parameters.fileWriter.writeLine(2, '[JsonProperty("' + field.getName() + '")]');
+        parameters.fileWriter.writeLine(2, 'public ' + this.toCSharpPropertyType(field) + ' ' + ModelUtil.capitalizeFirstLetter(field.getName()) + ' { get; set; }');
+        return null;
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {EnumValueDeclaration} enumValueDeclaration - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visitEnumValueDeclaration(enumValueDeclaration, parameters) {
+        const values = enumValueDeclaration.getParent().getOwnProperties();
+        const isLastValue = values[values.length - 1].getName() === enumValueDeclaration.getName();
+        this.writeDocComment(enumValueDeclaration, 2, parameters);
+        parameters.fileWriter.writeLine(2, enumValueDeclaration.getName() + (isLastValue ? '' : ','));
+        return null;
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {Relationship} relationship - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visitRelationship(relationship, parameters) {
+        parameters.fileWriter.writeLine(0, '');
+        this.writeDocComment(relationship, 2, parameters);
+        parameters.fileWriter.writeLine(2, '// relationship to ' + relationship.getFullyQualifiedTypeName());
+        parameters.fileWriter.writeLine(2, '[JsonProperty("' + relationship.getName() + '")]');
+        parameters.fileWriter.writeLine(2, 'public ' + this.toCSharpPropertyType(relationship) + ' ' + ModelUtil.capitalizeFirstLetter(relationship.getName()) + ' { get; set; }');
+        return null;
+    }
+
+    /**
+     * Writes an XML doc comment for a class or property from its description
+     * decorator, and an Obsolete attribute from its deprecated decorator, if it
+     * has either of them.
+     * @param {ClassDeclaration | Property} decorated - the class or property
+     * @param {number} indent - the indentation level of the doc comment
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    writeDocComment(decorated, indent, parameters) {
+        const description = decorated.getDecorator('description');
+        const deprecated = decorated.getDecorator('deprecated');
+
+        if(description) {
+            const text = description.getArguments().join(' ')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;');
+            parameters.fileWriter.writeLine(indent, '/// <summary>');
+            parameters.fileWriter.writeLine(indent, '/// ' + text);
+            parameters.fileWriter.writeLine(indent, '/// </summary>');
+        }
+        if(deprecated) {
+            parameters.fileWriter.writeLine(indent, '[Obsolete(' + JSON.stringify(deprecated.getArguments().join(' ')) + ')]');
+        }
+    }
+
+    /**
+     * Returns the C# type of a property, including any array or map.
+     * Relationships are represented by their URIs, as strings. Optional
+     * properties with value types are nullable.
+     * @param {Property} property  - the property
+     * @return {string} the C# type of the property
+     * @private
+     */
+    toCSharpPropertyType(property) {
+        let type;
+        let valueType = false;
+        if (property instanceof RelationshipDeclaration) {
+            type = 'string';
+        } else if (property.isPrimitive()) {
+            type = this.toCSharpType(property.getType());
+            valueType = property.getType() !== 'String';
+        } else {
+            type = this.toCSharpClassName(property.getFullyQualifiedTypeName(), property.getNamespace());
+            valueType = property.isTypeEnum();
+        }
+
+        if (property.isArray()) {
+            return type + '[]';
+        } else if (property.isMap()) {
+            return 'Dictionary<' + this.toCSharpType(property.getKeyType()) + ', ' + type + '>';
+        } else if (valueType && property.isOptional()) {
+            return type + '?';
+        }
+        return type;
+    }
+
+    /**
+     * Returns the name used to refer to a class from another class. Classes
+     * from other namespaces are referred to by their fully qualified names,
+     * which saves generating using directives.
+     * @param {string} fqn  - the fully qualified name of the class
+     * @param {string} namespace  - the namespace of the referring class
+     * @return {string} the name used to refer to the class
+     * @private
+     */
+    toCSharpClassName(fqn, namespace) {
+        return ModelUtil.getNamespace(fqn) === namespace ? ModelUtil.getShortName(fqn) : fqn;
+    }
+
+    /**
+     * Converts a Composer type to a C# type. Primitive types are converted
+     * everything else is passed through unchanged.
+     * @param {string} type  - the composer type
+     * @return {string} the corresponding type in C#
+     * @private
+     */
+    toCSharpType(type) {
+        switch(type) {
+        case 'DateTime':
+            return 'DateTime';
+        case 'Boolean':
+            return 'bool';
+        case 'String':
+            return 'string';
+        case 'Double':
+            return 'double';
+        case 'Long':
+            return 'long';
+        case 'Integer':
+            return 'int';
+        default:
+            return type;
+        }
+    }
+}
+
+module.exports = CSharpVisitor;
@@ -174,6 +174,8 @@ class GoLangVisitor {
 
         if(field.isArray()) {
             array = '[]';
+        } else if(field.isMap()) {
+            array = 'map[' + this.toGoType(field.getKeyType()) + ']';
         }
 
         // we export all fields by capitalizing them
@@ -0,0 +1,372 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ModelUtil = require('../../../modelutil');
+const ModelManager = require('../../../modelmanager');
+const ModelFile = require('../../../introspect/modelfile');
+const ClassDeclaration = require('../../../introspect/classdeclaration');
+const Field = require('../../../introspect/field');
+const RelationshipDeclaration = require('../../../introspect/relationshipdeclaration');
+const EnumDeclaration = require('../../../introspect/enumdeclaration');
+const EnumValueDeclaration = require('../../../introspect/enumvaluedeclaration');
+const FunctionDeclaration = require('../../../introspect/functiondeclaration');
+
+/**
+ * Convert the contents of a ModelManager to Java code. Each class and enum
+ * is written to its own source file, in a Java package with the same name as
+ * the namespace of the model file that declares it. Classes are plain old Java
+ * objects with Jackson annotations, so that they can be serialized to and from
+ * the JSON used by Composer. Relationships are represented by their URIs (for
+ * example resource:org.acme.Vehicle#VEH_1), stored as strings. Set a fileWriter
+ * property (instance of FileWriter) on the parameters object to control where
+ * the generated code is written to disk.
+ *
+ * @private
+ * @class
+ * @memberof module:composer-common
+ */
+class JavaVisitor {
+    /**
+     * Visitor design pattern
+     * @param {Object} thing - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visit(thing, parameters) {
+        if (thing instanceof ModelManager) {
+            return this.visitModelManager(thing, parameters);
+        } else if (thing instanceof ModelFile) {
+            return this.visitModelFile(thing, parameters);
+        } else if (thing instanceof EnumDeclaration) {
+            return this.visitEnumDeclaration(thing, parameters);
+        } else if (thing instanceof ClassDeclaration) {
+            return this.visitClassDeclaration(thing, parameters);
+        } else if (thing instanceof Field) {
+            return this.visitField(thing, parameters);
+        } else if (thing instanceof RelationshipDeclaration) {
+            return this.visitRelationship(thing, parameters);
+        } else if (thing instanceof EnumValueDeclaration) {
+            return this.visitEnumValueDeclaration(thing, parameters);
+        } else if (thing instanceof FunctionDeclaration) {
+            // functions are not represented in the generated code
+        } else {
+            throw new Error('Unrecognised ' + JSON.stringify(thing) );
+        }
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {ModelManager} modelManager - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visitModelManager(modelManager, parameters) {
+        modelManager.getModelFiles().forEach((modelFile) => {
+            modelFile.accept(this,parameters);
+        });
+        return null;
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {ModelFile} modelFile - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visitModelFile(modelFile, parameters) {
+        modelFile.getAllDeclarations().forEach((decl) => {
+            decl.accept(this, parameters);
+        });
+        return null;
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {EnumDeclaration} enumDeclaration - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visitEnumDeclaration(enumDeclaration, parameters) {
+        this.openSourceFile(enumDeclaration, parameters);
+
+        this.writeDocComment(enumDeclaration, 0, parameters);
+        parameters.fileWriter.writeLine(0, 'public enum ' + enumDeclaration.getName() + ' {' );
+
+        enumDeclaration.getOwnProperties().forEach((property) => {
+            property.accept(this,parameters);
+        });
+
+        parameters.fileWriter.writeLine(0, '}' );
+        parameters.fileWriter.closeFile();
+        return null;
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {ClassDeclaration} classDeclaration - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visitClassDeclaration(classDeclaration, parameters) {
+        this.openSourceFile(classDeclaration, parameters);
+
+        if (this.containsDateTimeField(classDeclaration)) {
+            parameters.fileWriter.writeLine(0, 'import com.fasterxml.jackson.annotation.JsonFormat;');
+        }
+        if (classDeclaration.getOwnProperties().length > 0) {
+            parameters.fileWriter.writeLine(0, 'import com.fasterxml.jackson.annotation.JsonProperty;');
+        }
+        if (!classDeclaration.getSuperType()) {
+            parameters.fileWriter.writeLine(0, 'import com.fasterxml.jackson.annotation.JsonTypeInfo;');
+        }
+        parameters.fileWriter.writeLine(0, '');
+
+        let isAbstract = '';
+        if (classDeclaration.isAbstract()) {
+            isAbstract = 'abstract ';
+        }
+
+        let superType = '';
+        if (classDeclaration.getSuperType()) {
+            superType = ' extends ' + this.toJavaClassName(classDeclaration.getSuperType(), classDeclaration.getModelFile().getNamespace());
+        }
+
+        this.writeDocComment(classDeclaration, 0, parameters);
+
+        // the $class property holds the fully qualified name of the type, which
+        // is also the fully qualified name of the generated Java class
+        if (!classDeclaration.getSuperType()) {
+            parameters.fileWriter.writeLine(0, '@JsonTypeInfo(use = JsonTypeInfo.Id.CLASS, include = JsonTypeInfo.As.PROPERTY, property = "$class")');
+        }
+        parameters.fileWriter.writeLine(0, 'public ' + isAbstract + 'class ' + classDeclaration.getName() + superType + ' {' );
+
+        classDeclaration.getOwnProperties().forEach((property) => {
+            property.accept(this,parameters);
+        });
+
+        classDeclaration.getOwnProperties().forEach((property) => {
+            this.writeAccessors(property, parameters);
+        });
+
+        parameters.fileWriter.writeLine(0, '}' );
+        parameters.fileWriter.closeFile();
+        return null;
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {Field} field - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visitField(field, parameters) {
+        parameters.fileWriter.writeLine(0, '');
+        this.writeDocComment(field, 1, parameters);
+        if (field.getType() === 'DateTime') {
+            parameters.fileWriter.writeLine(1, '@JsonFormat(shape = JsonFormat.Shape.STRING, pattern = "yyyy-MM-dd\'T\'HH:mm:ss.SSSXXX", timezone = "UTC")');
+        }
+        parameters.fileWriter.writeLine(1, '@JsonProperty("' + field.getName() + '")');
+        parameters.fileWriter.writeLine(1, 'private ' + this.toJavaPropertyType(field) + ' ' + field.getName() + ';' );
+        return null;
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {EnumValueDeclaration} enumValueDeclaration - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visitEnumValueDeclaration(enumValueDeclaration, parameters) {
+        const values = enumValueDeclaration.getParent().getOwnProperties();
+        const isLastValue = values[values.length - 1].getName() === enumValueDeclaration.getName();
+        this.writeDocComment(enumValueDeclaration, 1, parameters);
+        parameters.fileWriter.writeLine(1, enumValueDeclaration.getName() + (isLastValue ? '' : ',') );
+        return null;
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {Relationship} relationship - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visitRelationship(relationship, parameters) {
+        parameters.fileWriter.writeLine(0, '');
+        this.writeDocComment(relationship, 1, parameters);
+        parameters.fileWriter.writeLine(1, '// relationship to ' + relationship.getFullyQualifiedTypeName());
+        parameters.fileWriter.writeLine(1, '@JsonProperty("' + relationship.getName() + '")');
+        parameters.fileWriter.writeLine(1, 'private ' + this.toJavaPropertyType(relationship) + ' ' + relationship.getName() + ';' );
+        return null;
+    }
+
+    /**
+     * Opens the source file for a class or enum, and writes the package
+     * declaration for the namespace of the model file that declares it.
+     * @param {ClassDeclaration} classDeclaration - the class or enum
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    openSourceFile(classDeclaration, parameters) {
+        const namespace = classDeclaration.getModelFile().getNamespace();
+        parameters.fileWriter.openRelativeFile(namespace.replace(/\./g, '/'), classDeclaration.getName() + '.java');
+        parameters.fileWriter.writeLine(0, 'package ' + namespace + ';');
+        parameters.fileWriter.writeLine(0, '');
+    }
+
+    /**
+     * Writes the getter and setter methods for a property.
+     * @param {Property} property - the property
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    writeAccessors(property, parameters) {
+        const type = this.toJavaPropertyType(property);
+        const name = property.getName();
+        const suffix = ModelUtil.capitalizeFirstLetter(name);
+        const deprecated = property.getDecorator('deprecated');
+
+        parameters.fileWriter.writeLine(0, '');
+        if (deprecated) {
+            parameters.fileWriter.writeLine(1, '@Deprecated');
+        }
+        parameters.fileWriter.writeLine(1, 'public ' + type + ' get' + suffix + '() {');
+        parameters.fileWriter.writeLine(2, 'return this.' + name + ';');
+        parameters.fileWriter.writeLine(1, '}');
+        parameters.fileWriter.writeLine(0, '');
+        if (deprecated) {
+            parameters.fileWriter.writeLine(1, '@Deprecated');
+        }
+        parameters.fileWriter.writeLine(1, 'public void set' + suffix + '(' + type + ' ' + name + ') {');
+        parameters.fileWriter.writeLine(2, 'this.' + name + ' = ' + name + ';');
+        parameters.fileWriter.writeLine(1, '}');
+    }
+
+    /**
+     * Writes a doc comment for a class or property from its description
+     * and deprecated decorators, if it has either of them. The deprecated
+     * decorator is also written as a Java annotation.
+     * @param {ClassDeclaration | Property} decorated - the class or property
+     * @param {number} indent - the indentation level of the doc comment
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    writeDocComment(decorated, indent, parameters) {
+        const description = decorated.getDecorator('description');
+        const deprecated = decorated.getDecorator('deprecated');
+        if(!description && !deprecated) {
+            return;
+        }
+
+        parameters.fileWriter.writeLine(indent, '/**');
+        if(description) {
+            parameters.fileWriter.writeLine(indent, ' * ' + description.getArguments().join(' '));
+        }
+        if(deprecated) {
+            parameters.fileWriter.writeLine(indent, ' * @deprecated ' + deprecated.getArguments().join(' '));
+        }
+        parameters.fileWriter.writeLine(indent, ' */');
+        if(deprecated) {
+            parameters.fileWriter.writeLine(indent, '@Deprecated');
+        }
+    }
+
+    /**
+     * Returns true if the class declares a field of type DateTime.
+     * @param {ClassDeclaration} classDeclaration  - the class
+     * @return {boolean} true if the class declares a field of type DateTime.
+     * @private
+     */
+    containsDateTimeField(classDeclaration) {
+        return classDeclaration.getOwnProperties().some((property) => {
+            return property instanceof Field && property.getType() === 'DateTime';
+        });
+    }
+
+    /**
+     * Returns the Java type of a property, including any array or map.
+     * Relationships are represented by their URIs, as strings.
+     * @param {Property} property  - the property
+     * @return {string} the Java type of the property
+     * @private
+     */
+    toJavaPropertyType(property) {
+        let type;
+        if (property instanceof RelationshipDeclaration) {
+            type = 'String';
+        } else if (property.isPrimitive()) {
+            type = this.toJavaType(property.getType());
+        } else {
+            type = this.toJavaClassName(property.getFullyQualifiedTypeName(), property.getNamespace());
+        }
+
+        if (property.isArray()) {
+            return type + '[]';
+        } else if (property.isMap()) {
+            return 'java.util.Map<' + this.toJavaType(property.getKeyType()) + ', ' + type + '>';
+        }
+        return type;
+    }
+
+    /**
+     * Returns the name used to refer to a class from another class. Classes
+     * from other namespaces are referred to by their fully qualified names,
+     * which saves generating import statements.
+     * @param {string} fqn  - the fully qualified name of the class
+     * @param {string} namespace  - the namespace of the referring class
+     * @return {string} the name used to refer to the class
+     * @private
+     */
+    toJavaClassName(fqn, namespace) {
+        return ModelUtil.getNamespace(fqn) === namespace ? ModelUtil.getShortName(fqn) : fqn;
+    }
+
+    /**
+     * Converts a Composer type to a Java type. Primitive types are converted
+     * to the corresponding boxed Java types, so that optional values can be
+     * null; everything else is passed through unchanged.
+     * @param {string} type  - the composer type
+     * @return {string} the corresponding type in Java
+     * @private
+     */
+    toJavaType(type) {
+        switch(type) {
+        case 'DateTime':
+            return 'java.util.Date';
+        case 'Boolean':
+            return 'Boolean';
+        case 'String':
+            return 'String';
+        case 'Double':
+            return 'Double';
+        case 'Long':
+            return 'Long';
+        case 'Integer':
+            return 'Integer';
+        default:
+            return type;
+        }
+    }
+}
+
+module.exports = JavaVisitor;
@@ -28,6 +28,17 @@ const TransactionDeclaration = require('../../../introspect/transactiondeclarati
 const debug = require('debug')('concerto:jsonschemavisitor');
 const util = require('util');
 
+/**
+ * Get the description of a class or property from its description decorator.
+ * @private
+ * @param {ClassDeclaration|Property} decorated The class or property.
+ * @returns {String} The description, or null if there is no description decorator.
+ */
+function getDescription(decorated) {
+    const decorator = decorated.getDecorator('description');
+    return decorator ? decorator.getArguments().join(' ') : null;
+}
+
 /**
  * Convert the contents of a {@link ModelManager} instance to a set of JSON
  * Schema v4 files - one per concrete asset and transaction type.
@@ -245,6 +256,11 @@ class JSONSchemaVisitor {
             required: []
         });
 
+        // If the class has a description decorator, use it as the description.
+        if (getDescription(classDeclaration)) {
+            jsonSchema.description = getDescription(classDeclaration);
+        }
+
         // If no description exists, add it now.
         if (!jsonSchema.description) {
             jsonSchema.description = `An instance of ${classDeclaration.getFullyQualifiedName()}`;
@@ -268,6 +284,11 @@ class JSONSchemaVisitor {
             // Get the schema for the property.
             jsonSchema.properties[property.getName()] = property.accept(this, parameters);
 
+            // If the property has a description decorator, use it as the description.
+            if (getDescription(property)) {
+                jsonSchema.properties[property.getName()].description = getDescription(property);
+            }
+
             // If the property is required, add it to the list.
             if (!property.isOptional()) {
                 jsonSchema.required.push(property.getName());
@@ -334,6 +355,16 @@ class JSONSchemaVisitor {
                 jsonSchema.default = field.getDefaultValue();
             }
 
+            // If this field has a length, add it.
+            if (field.getType() === 'String' && field.getValidator()) {
+                if (field.getValidator().getMinLength() !== null) {
+                    jsonSchema.minLength = field.getValidator().getMinLength();
+                }
+                if (field.getValidator().getMaxLength() !== null) {
+                    jsonSchema.maxLength = field.getValidator().getMaxLength();
+                }
+            }
+
             // If this is the identifying field, mark it as such.
             if (field.getName() === field.getParent().getIdentifierFieldName()) {
                 jsonSchema.description = 'The instance identifier for this type';
@@ -356,6 +387,24 @@ class JSONSchemaVisitor {
                 type: 'array',
                 items: jsonSchema
             };
+
+            // If this field has a size, add it.
+            if (field.getArraySizeValidator()) {
+                if (field.getArraySizeValidator().getMinSize() !== null) {
+                    jsonSchema.minItems = field.getArraySizeValidator().getMinSize();
+                }
+                if (field.getArraySizeValidator().getMaxSize() !== null) {
+                    jsonSchema.maxItems = field.getArraySizeValidator().getMaxSize();
+                }
+            }
+        }
+
+        // Is the type a map?
+        if (field.isMap()) {
+            jsonSchema = {
+                type: 'object',
+                additionalProperties: jsonSchema
+            };
         }
 
         // Return the schema.
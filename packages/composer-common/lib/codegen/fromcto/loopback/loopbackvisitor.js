@@ -37,6 +37,17 @@ function loopbackify(fqn) {
     return fqn.replace(/\./g, '_');
 }
 
+/**
+ * Get the description of a class or property from its description decorator.
+ * @private
+ * @param {ClassDeclaration|Property} decorated The class or property.
+ * @returns {String} The description, or null if there is no description decorator.
+ */
+function getDescription(decorated) {
+    const decorator = decorated.getDecorator('description');
+    return decorator ? decorator.getArguments().join(' ') : null;
+}
+
 /**
  * Convert the contents of a {@link ModelManager} instance to a set of LoopBack
  * Definition Language model files - one per concrete asset and transaction type.
@@ -336,6 +347,11 @@ class LoopbackVisitor {
             properties: {}
         });
 
+        // If the class has a description decorator, use it as the description.
+        if (getDescription(classDeclaration)) {
+            jsonSchema.description = getDescription(classDeclaration);
+        }
+
         // If no description exists, add it now.
         if (!jsonSchema.description) {
             jsonSchema.description = `An instance of ${classDeclaration.getName()}`;
@@ -355,6 +371,17 @@ class LoopbackVisitor {
             // Get the schema for the property.
             jsonSchema.properties[property.getName()] = property.accept(this, parameters);
 
+            // If the property has a description decorator, use it as the description.
+            if (getDescription(property)) {
+                jsonSchema.properties[property.getName()].description = getDescription(property);
+            }
+
+            // If the property has a hidden decorator, hide it from the REST API.
+            if (jsonSchema.$first && property.getDecorator('ui.hidden')) {
+                jsonSchema.hidden = jsonSchema.hidden || [];
+                jsonSchema.hidden.push(property.getName());
+            }
+
         });
 
         // If this is a top level schema, now we need to write it to disk.
@@ -413,6 +440,16 @@ class LoopbackVisitor {
                 jsonSchema.default = field.getDefaultValue();
             }
 
+            // If this field has a length, add it.
+            if (field.getType() === 'String' && field.getValidator()) {
+                if (field.getValidator().getMinLength() !== null) {
+                    jsonSchema.minLength = field.getValidator().getMinLength();
+                }
+                if (field.getValidator().getMaxLength() !== null) {
+                    jsonSchema.maxLength = field.getValidator().getMaxLength();
+                }
+            }
+
             // If this is the identifying field, mark it as such.
             if (field.getName() === field.getParent().getIdentifierFieldName()) {
                 jsonSchema.id = true;
@@ -458,6 +495,24 @@ class LoopbackVisitor {
         // Is the type an array?
         if (field.isArray()) {
             jsonSchema.type = [ jsonSchema.type ];
+
+            // If this field has a size, add it.
+            if (field.getArraySizeValidator()) {
+                if (field.getArraySizeValidator().getMinSize() !== null) {
+                    jsonSchema.minItems = field.getArraySizeValidator().getMinSize();
+                }
+                if (field.getArraySizeValidator().getMaxSize() !== null) {
+                    jsonSchema.maxItems = field.getArraySizeValidator().getMaxSize();
+                }
+            }
+        }
+
+        // Is the type a map? LoopBack has no typed dictionaries, so use an
+        // untyped object; any default value is for the values, not the map.
+        if (field.isMap()) {
+            jsonSchema = {
+                type: 'object'
+            };
         }
 
         // Is the field required?
@@ -273,7 +273,13 @@ class PlantUMLVisitor {
             array = '[]';
         }
 
-        parameters.fileWriter.writeLine(1, '+ ' + field.getType() + array + ' ' + field.getName());
+        let type = field.getType() + array;
+
+        if(field.isMap()) {
+            type = 'Map<' + field.getKeyType() + ', ' + type + '>';
+        }
+
+        parameters.fileWriter.writeLine(1, '+ ' + type + ' ' + field.getName());
         return null;
     }
 
@@ -110,6 +110,7 @@ class TypescriptVisitor {
      */
     visitEnumDeclaration(enumDeclaration, parameters) {
 
+        this.writeDocComment(enumDeclaration, 1, parameters);
         parameters.fileWriter.writeLine(1, 'export enum ' + enumDeclaration.getName() + ' {' );
 
         enumDeclaration.getOwnProperties().forEach((property) => {
@@ -143,6 +144,7 @@ class TypescriptVisitor {
             superType = ' extends ' + ModelUtil.getShortName(classDeclaration.getSuperType());
         }
 
+        this.writeDocComment(classDeclaration, 1, parameters);
         parameters.fileWriter.writeLine(1, isAbstract + 'class ' + classDeclaration.getName() + superType + ' {' );
 
         classDeclaration.getOwnProperties().forEach((property) => {
@@ -167,7 +169,14 @@ class TypescriptVisitor {
             array = '[]';
         }
 
-        parameters.fileWriter.writeLine(2, field.getName() + ': ' + this.toTsType(field.getType()) + array + ';' );
+        let type = this.toTsType(field.getType()) + array;
+
+        if(field.isMap()) {
+            type = '{ [key: string]: ' + type + ' }';
+        }
+
+        this.writeDocComment(field, 2, parameters);
+        parameters.fileWriter.writeLine(2, field.getName() + ': ' + type + ';' );
         return null;
     }
 
@@ -179,6 +188,7 @@ class TypescriptVisitor {
      * @private
      */
     visitEnumValueDeclaration(enumValueDeclaration, parameters) {
+        this.writeDocComment(enumValueDeclaration, 2, parameters);
         parameters.fileWriter.writeLine(2, enumValueDeclaration.getName() + ',' );
         return null;
     }
@@ -198,10 +208,36 @@ class TypescriptVisitor {
         }
 
         // we export all relationships by capitalizing them
+        this.writeDocComment(relationship, 2, parameters);
         parameters.fileWriter.writeLine(2, relationship.getName() + ': ' + this.toTsType(relationship.getType()) + array + ';' );
         return null;
     }
 
+    /**
+     * Writes a doc comment for a class or property from its description
+     * and deprecated decorators, if it has either of them.
+     * @param {ClassDeclaration | Property} decorated - the class or property
+     * @param {number} indent - the indentation level of the doc comment
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    writeDocComment(decorated, indent, parameters) {
+        const description = decorated.getDecorator('description');
+        const deprecated = decorated.getDecorator('deprecated');
+        if(!description && !deprecated) {
+            return;
+        }
+
+        parameters.fileWriter.writeLine(indent, '/**');
+        if(description) {
+            parameters.fileWriter.writeLine(indent, ' * ' + description.getArguments().join(' '));
+        }
+        if(deprecated) {
+            parameters.fileWriter.writeLine(indent, ' * @deprecated ' + deprecated.getArguments().join(' '));
+        }
+        parameters.fileWriter.writeLine(indent, ' */');
+    }
+
     /**
      * Converts a Composer type to a Typescript  type. Primitive types are converted
      * everything else is passed through unchanged.
@@ -274,7 +274,25 @@ class JavaScriptParser {
     }
 
     /**
-     * Extracts the return type from a comment block.
+     * Returns the name of a type application, such as Animal[], Array.<Animal>
+     * or Promise.<Animal[]>, parsed from a comment block.
+     * @param {Object} type - the type application parsed by doctrine
+     * @return {string} the name of the type
+     * @private
+     */
+    static getTypeApplicationName(type) {
+        const application = type.applications[0];
+        const name = application.applications ? JavaScriptParser.getTypeApplicationName(application) : application.name;
+        if (type.expression.name === 'Promise') {
+            return name;
+        }
+        return name + '[]';
+    }
+
+    /**
+     * Extracts the return type from a comment block. A promise of a type,
+     * for example Promise.<Animal>, is returned as the type of the value
+     * that the promise is resolved with.
      * @param {string} comment - the comment block
      * @return {string} the return type of the comment
      * @private
@@ -301,7 +319,7 @@ class JavaScriptParser {
                 if (tag.type.name) {
                     result = tag.type.name;
                 } else if (tag.type.applications){
-                    result = tag.type.applications[0].name + '[]';
+                    result = JavaScriptParser.getTypeApplicationName(tag.type);
                 } else if (tag.type.expression) {
                     result = tag.type.expression.name;
 
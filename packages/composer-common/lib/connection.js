@@ -15,15 +15,18 @@
 'use strict';
 
 const ConnectionManager = require('./connectionmanager');
+const EventEmitter = require('events');
 
 /**
  * Base class representing a connection to a business network.
+ * Connections emit an 'events' event with an array of serialized events
+ * whenever events are published by a committed transaction.
  * @private
  * @abstract
  * @class
  * @memberof module:composer-common
  */
-class Connection {
+class Connection extends EventEmitter {
 
     /**
      * Constructor.
@@ -32,6 +35,7 @@ class Connection {
      * @param {string} businessNetworkIdentifier The identifier of the business network for this connection, or null if an admin connection
      */
     constructor(connectionManager, connectionProfile, businessNetworkIdentifier) {
+        super();
         if (!(connectionManager instanceof ConnectionManager)) {
             throw new Error('connectionManager not specified');
         } else if (!connectionProfile) {
@@ -152,7 +156,8 @@ class Connection {
      * @param {SecurityContext} securityContext The participant's security context.
      * @param {string} functionName The name of the chaincode function to invoke.
      * @param {string[]} args The arguments to pass to the chaincode function.
-     * @return {Promise} A promise that is resolved once the chaincode function
+     * @return {Promise} A promise that is resolved with the data returned by the
+     * chaincode function as a Buffer, or undefined if it returned no data, once it
      * has been invoked, or rejected with an error.
      */
     invokeChainCode(securityContext, functionName, args) {
@@ -57,11 +57,13 @@ class ConnectionManager {
      * @param {string} connectionProfile The name of the connection profile
      * @param {string} businessNetworkIdentifier The identifier of the business network, or null if this is an admin connection
      * @param {object} connectionOptions The connection options loaded from the profile
+     * @param {Wallet} [wallet] The wallet specified by the connection profile, or null
+     * if the connection profile does not specify a wallet
      * @return {Promise} A promise that is resolved with a {@link Connection}
      * object once the connection is established, or rejected with a connection error.
      * @abstract
      */
-    connect(connectionProfile, businessNetworkIdentifier, connectionOptions) {
+    connect(connectionProfile, businessNetworkIdentifier, connectionOptions, wallet) {
         return Promise.reject(new Error('abstract function called'));
     }
 
@@ -19,6 +19,13 @@ let LOG;
 const connectionManagerLoaders = [];
 const connectionManagerClasses = {};
 const connectionManagers = {};
+const walletClasses = {};
+
+// The wallet types that are always available; these are loaded on demand.
+const builtInWalletClasses = {
+    file: () => require('./filewallet'),
+    encrypted: () => require('./encryptedfilewallet')
+};
 
 /**
  * A connection profile manager that manages a set of connection profiles. Each
@@ -50,6 +57,16 @@ class ConnectionProfileManager {
         connectionManagerClasses[type] = ctor;
     }
 
+    /**
+     * Register a new Wallet class, so that connection profiles can specify
+     * a wallet of that type.
+     * @param {string} type - the wallet type identifier of the Wallet
+     * @param {function} ctor - the constructor of the Wallet
+     */
+    static registerWallet(type, ctor) {
+        walletClasses[type] = ctor;
+    }
+
     /**
      * Create the ConnectionManager and attach a file system
      * @param {ConnectionProfileStore} connectionProfileStore - Node.js FS implementation, for example BrowserFS
@@ -148,9 +165,34 @@ class ConnectionProfileManager {
         });
     }
 
+    /**
+     * Create a wallet using the wallet options from a connection profile. The
+     * type of the wallet is either one of the built-in wallet types, "file" or
+     * "encrypted", or a wallet type registered using registerWallet. The other
+     * wallet options are passed to the constructor of the wallet.
+     *
+     * @param {Object} walletOptions The wallet options from the connection profile.
+     * @param {string} walletOptions.type The type of the wallet.
+     * @return {Wallet} The new wallet.
+     */
+    createWallet(walletOptions) {
+        LOG.info('createWallet','Creating a wallet of type', walletOptions.type);
+        let type = walletOptions.type;
+        let walletClass;
+        if (walletClasses.hasOwnProperty(type)) {
+            walletClass = walletClasses[type];
+        } else if (builtInWalletClasses.hasOwnProperty(type)) {
+            walletClass = builtInWalletClasses[type]();
+        } else {
+            throw new Error(`Unknown wallet type "${type}"`);
+        }
+        return new(walletClass)(walletOptions);
+    }
+
     /**
      * Establish a connection to the business network, using connection information
-     * from the connection profile.
+     * from the connection profile. If the connection profile specifies a wallet, the
+     * wallet is created and passed to the ConnectionManager.
      *
      * @param {string} connectionProfile The name of the connection profile
      * @param {string} businessNetworkIdentifier The identifier of the business network, or null if this is an admin connection
@@ -164,9 +206,10 @@ class ConnectionProfileManager {
 
         return this.connectionProfileStore.load(connectionProfile)
         .then((connectOptions) => {
+            let wallet = connectOptions.wallet ? this.createWallet(connectOptions.wallet) : null;
             return this.getConnectionManager(connectionProfile)
           .then((connectionManager) => {
-              return connectionManager.connect(connectionProfile, businessNetworkIdentifier, connectOptions);
+              return connectionManager.connect(connectionProfile, businessNetworkIdentifier, connectOptions, wallet);
           });
         });
     }
@@ -191,6 +234,15 @@ class ConnectionProfileManager {
             connectionManagers[key] = null;
         });
     }
+
+    /**
+     * Clear the static object containing all the registered wallet classes
+     */
+    static removeAllWallets() {
+        Object.keys(walletClasses).forEach((key) => {
+            delete walletClasses[key];
+        });
+    }
 }
 
 module.exports = ConnectionProfileManager;
@@ -0,0 +1,197 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const FileWallet = require('./filewallet');
+const Logger = require('./log/logger');
+const path = require('path');
+const thenify = require('thenify');
+
+const LOG = Logger.getLog('EncryptedFileWallet');
+
+const VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const DIGEST = 'sha256';
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const DEFAULT_ITERATIONS = 100000;
+
+const pbkdf2 = thenify(crypto.pbkdf2);
+
+/**
+ * Class implementing a wallet (a container of credentials) that
+ * stores the credentials on the file system, encrypted using a
+ * key that is derived from a passphrase.
+ * @protected
+ */
+class EncryptedFileWallet extends FileWallet {
+
+    /**
+     * Constructor.
+     * @param {Object} options The options to use.
+     * @param {string} [options.passphrase] The passphrase to derive the encryption
+     * key from. If not specified, the passphrase is read from the environment variable
+     * COMPOSER_WALLET_PASSPHRASE.
+     * @param {string} [options.directory] The directory to store
+     * credentials in.
+     * @param {number} [options.iterations] The number of PBKDF2 iterations to use
+     * when deriving the encryption key.
+     * @param {Object} [options.fs] The file system implementation to use.
+     */
+    constructor(options) {
+        const method = 'constructor';
+        LOG.entry(method, options ? Object.assign({}, options, { passphrase: '*' }) : options);
+
+        // Generate the directory if not specified in the options; the encrypted
+        // credentials are kept away from the credentials stored by FileWallet.
+        options = Object.assign({}, options);
+        if (!options.directory) {
+            let h = FileWallet.getHomeDirectory();
+            options.directory = path.resolve(h || '/', '.composer-encrypted-credentials');
+            LOG.debug(method, 'Generated directory', options.directory);
+        }
+        super(options);
+
+        this.passphrase = options.passphrase || process.env.COMPOSER_WALLET_PASSPHRASE;
+        if (!this.passphrase) {
+            throw new Error('A passphrase must be specified for an encrypted wallet');
+        }
+        this.iterations = options.iterations || DEFAULT_ITERATIONS;
+
+        LOG.exit(method);
+    }
+
+    /**
+     * Encrypt the specified credentials.
+     * @private
+     * @param {string} value The credentials.
+     * @return {Promise} A promise that is resolved with the encrypted credentials,
+     * serialized as a JSON string.
+     */
+    encrypt(value) {
+        const salt = crypto.randomBytes(SALT_LENGTH);
+        const iv = crypto.randomBytes(IV_LENGTH);
+        return pbkdf2(this.passphrase, salt, this.iterations, KEY_LENGTH, DIGEST)
+            .then((key) => {
+                const cipher = crypto.createCipheriv(CIPHER, key, iv);
+                const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+                return JSON.stringify({
+                    version: VERSION,
+                    iterations: this.iterations,
+                    salt: salt.toString('base64'),
+                    iv: iv.toString('base64'),
+                    tag: cipher.getAuthTag().toString('base64'),
+                    data: data.toString('base64')
+                });
+            });
+    }
+
+    /**
+     * Decrypt the specified credentials.
+     * @private
+     * @param {string} name The name of the credentials.
+     * @param {string} value The encrypted credentials, serialized as a JSON string.
+     * @return {Promise} A promise that is resolved with the credentials, or rejected
+     * with an error if the credentials could not be decrypted.
+     */
+    decrypt(name, value) {
+        let encrypted;
+        try {
+            encrypted = JSON.parse(value);
+        } catch (e) {
+            encrypted = null;
+        }
+        if (!encrypted || encrypted.version !== VERSION) {
+            return Promise.reject(new Error(`The credentials "${name}" are not encrypted credentials`));
+        }
+        const salt = Buffer.from(encrypted.salt, 'base64');
+        return pbkdf2(this.passphrase, salt, encrypted.iterations, KEY_LENGTH, DIGEST)
+            .then((key) => {
+                const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(encrypted.iv, 'base64'));
+                decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+                const data = Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]);
+                return data.toString('utf8');
+            })
+            .catch((error) => {
+                throw new Error(`Failed to decrypt the credentials "${name}"; the passphrase may be incorrect`);
+            });
+    }
+
+    /**
+     * Get the named credentials from the wallet.
+     * @param {string} name The name of the credentials.
+     * @return {Promise} A promise that is resolved with
+     * the named credentials, or rejected with an error.
+     */
+    get(name) {
+        const method = 'get';
+        LOG.entry(method, name);
+        return super.get(name)
+            .then((value) => {
+                return this.decrypt(name, value);
+            })
+            .then((value) => {
+                LOG.exit(method, '*');
+                return value;
+            })
+            .catch((error) => {
+                LOG.error(method, error);
+                throw error;
+            });
+    }
+
+    /**
+     * Add a new credential to the wallet.
+     * @param {string} name The name of the credentials.
+     * @param {string} value The credentials.
+     * @return {Promise} A promise that is resolved when
+     * complete, or rejected with an error.
+     */
+    add(name, value) {
+        const method = 'add';
+        LOG.entry(method, name, '*');
+        return this.encrypt(value)
+            .then((encrypted) => {
+                return super.add(name, encrypted);
+            })
+            .then(() => {
+                LOG.exit(method);
+            });
+    }
+
+    /**
+     * Update existing credentials in the wallet.
+     * @param {string} name The name of the credentials.
+     * @param {string} value The credentials.
+     * @return {Promise} A promise that is resolved when
+     * complete, or rejected with an error.
+     */
+    update(name, value) {
+        const method = 'update';
+        LOG.entry(method, name, '*');
+        return this.encrypt(value)
+            .then((encrypted) => {
+                return super.update(name, encrypted);
+            })
+            .then(() => {
+                LOG.exit(method);
+            });
+    }
+
+}
+
+module.exports = EncryptedFileWallet;
@@ -25,6 +25,7 @@ const ValidatedResource = require('./model/validatedresource');
 const Concept = require('./model/concept');
 const ValidatedConcept = require('./model/validatedconcept');
 
+const EventDeclaration = require('./introspect/eventdeclaration');
 const ResourceValidator = require('./serializer/resourcevalidator');
 const TransactionDeclaration = require('./introspect/transactiondeclaration');
 const TypedStack = require('./serializer/typedstack');
@@ -281,6 +282,38 @@ class Factory {
         return transaction;
     }
 
+    /**
+     * Create a new event object. The identifier of the event is
+     * set to a UUID.
+     * @param {string} ns - the namespace of the event.
+     * @param {string} type - the type of the event.
+     * @param {string} [id] - an optional identifier for the event; if you do not specify
+     * one then an identifier will be automatically generated.
+     * @param {Object} [options] - an optional set of options
+     * @param {boolean} [options.generate] - pass true if you want the factory to return a
+     * resource instance with generated sample data.
+     * @return {Resource} A resource for the new event.
+     */
+    newEvent(ns, type, id, options) {
+        if (!ns) {
+            throw new Error('ns not specified');
+        } else if (!type) {
+            throw new Error('type not specified');
+        }
+        id = id || uuid.v4();
+        let event = this.newResource(ns, type, id, options);
+        const classDeclaration = event.getClassDeclaration();
+
+        if (!(classDeclaration instanceof EventDeclaration)) {
+            throw new Error(event.getClassDeclaration().getFullyQualifiedName() + ' is not an event');
+        }
+
+        // set the timestamp
+        event.timestamp = new Date();
+
+        return event;
+    }
+
     /**
      * Stop serialization of this object.
      * @return {Object} An empty object.
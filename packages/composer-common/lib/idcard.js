@@ -0,0 +1,223 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const JSZip = require('jszip');
+const Logger = require('./log/logger');
+
+const LOG = Logger.getLog('IdCard');
+
+const VERSION = 1;
+const METADATA_FILE = 'metadata.json';
+const CONNECTION_FILE = 'connection.json';
+const CERTIFICATE_FILE = 'credentials/certificate';
+const PRIVATE_KEY_FILE = 'credentials/privateKey';
+
+/**
+ * A business network card. A business network card bundles together
+ * everything that is required to connect to a business network: a
+ * connection profile, the name of the business network, a user identity
+ * and, optionally, the certificate and private key for that identity.
+ * <p>
+ * Business network cards can be stored as and loaded from an archive,
+ * which can be shared with the user the card was issued to.
+ * </p>
+ * @class
+ * @memberof module:composer-common
+ */
+class IdCard {
+
+    /**
+     * Create the IdCard.
+     * @param {Object} metadata The metadata for the card.
+     * @param {string} metadata.name The name of the card.
+     * @param {string} [metadata.description] The description of the card.
+     * @param {string} [metadata.businessNetwork] The name of the business
+     * network to connect to, if any.
+     * @param {string} metadata.enrollmentId The enrollment ID of the user.
+     * @param {string} [metadata.enrollmentSecret] The enrollment secret of the user.
+     * @param {Object} connectionProfile The connection profile to connect with.
+     * @param {string} connectionProfile.name The name of the connection profile.
+     */
+    constructor(metadata, connectionProfile) {
+        const method = 'constructor';
+        LOG.entry(method, metadata ? Object.assign({}, metadata, { enrollmentSecret: '*' }) : metadata, connectionProfile);
+
+        if (!metadata || !metadata.name) {
+            throw new Error('The business network card does not specify a name');
+        } else if (!metadata.enrollmentId) {
+            throw new Error('The business network card does not specify an enrollment ID');
+        } else if (!connectionProfile || !connectionProfile.name) {
+            throw new Error('The business network card does not specify a named connection profile');
+        }
+
+        this.metadata = Object.assign({}, metadata);
+        this.connectionProfile = Object.assign({}, connectionProfile);
+        this.credentials = {};
+
+        LOG.exit(method);
+    }
+
+    /**
+     * Get the name of the card.
+     * @return {string} The name of the card.
+     */
+    getName() {
+        return this.metadata.name;
+    }
+
+    /**
+     * Get the description of the card.
+     * @return {string} The description of the card, or null if the card
+     * does not have a description.
+     */
+    getDescription() {
+        return this.metadata.description || null;
+    }
+
+    /**
+     * Get the name of the business network to connect to.
+     * @return {string} The name of the business network, or null if the card
+     * does not specify a business network.
+     */
+    getBusinessNetworkName() {
+        return this.metadata.businessNetwork || null;
+    }
+
+    /**
+     * Get the enrollment ID of the user.
+     * @return {string} The enrollment ID of the user.
+     */
+    getEnrollmentId() {
+        return this.metadata.enrollmentId;
+    }
+
+    /**
+     * Get the enrollment secret of the user.
+     * @return {string} The enrollment secret of the user, or null if the card
+     * does not specify an enrollment secret.
+     */
+    getEnrollmentSecret() {
+        return this.metadata.enrollmentSecret || null;
+    }
+
+    /**
+     * Get the connection profile in the card.
+     * @return {Object} The connection profile, including the name of the
+     * connection profile.
+     */
+    getConnectionProfile() {
+        return this.connectionProfile;
+    }
+
+    /**
+     * Get the credentials in the card.
+     * @return {Object} The credentials, which may contain a PEM encoded
+     * certificate and a PEM encoded private key.
+     */
+    getCredentials() {
+        return this.credentials;
+    }
+
+    /**
+     * Set the credentials in the card.
+     * @param {Object} credentials The credentials.
+     * @param {string} [credentials.certificate] The PEM encoded certificate.
+     * @param {string} [credentials.privateKey] The PEM encoded private key.
+     */
+    setCredentials(credentials) {
+        this.credentials = {};
+        if (credentials && credentials.certificate) {
+            this.credentials.certificate = credentials.certificate;
+        }
+        if (credentials && credentials.privateKey) {
+            this.credentials.privateKey = credentials.privateKey;
+        }
+    }
+
+    /**
+     * Create an IdCard from a card archive.
+     * @param {Buffer} buffer The buffer containing the card archive.
+     * @return {Promise} A promise that is resolved with the card, or rejected
+     * with an error if the card archive is not valid.
+     */
+    static fromArchive(buffer) {
+        const method = 'fromArchive';
+        LOG.entry(method, buffer.length);
+        let metadata, connectionProfile;
+        const credentials = {};
+        return JSZip.loadAsync(buffer)
+            .then((zip) => {
+                const readFile = (fileName, required) => {
+                    const file = zip.file(fileName);
+                    if (!file) {
+                        if (required) {
+                            throw new Error(`The business network card archive does not contain ${fileName}`);
+                        }
+                        return Promise.resolve(null);
+                    }
+                    return file.async('string');
+                };
+                return Promise.all([
+                    readFile(METADATA_FILE, true),
+                    readFile(CONNECTION_FILE, true),
+                    readFile(CERTIFICATE_FILE, false),
+                    readFile(PRIVATE_KEY_FILE, false)
+                ]);
+            })
+            .then((contents) => {
+                metadata = JSON.parse(contents[0]);
+                connectionProfile = JSON.parse(contents[1]);
+                credentials.certificate = contents[2];
+                credentials.privateKey = contents[3];
+                if (metadata.version !== VERSION) {
+                    throw new Error(`Unsupported business network card version ${metadata.version}`);
+                }
+                delete metadata.version;
+                const card = new IdCard(metadata, connectionProfile);
+                card.setCredentials(credentials);
+                LOG.exit(method, card.getName());
+                return card;
+            });
+    }
+
+    /**
+     * Store the IdCard as a card archive.
+     * @return {Promise} A promise that is resolved with a buffer containing
+     * the card archive.
+     */
+    toArchive() {
+        const method = 'toArchive';
+        LOG.entry(method);
+        const zip = new JSZip();
+        const metadata = Object.assign({ version: VERSION }, this.metadata);
+        zip.file(METADATA_FILE, JSON.stringify(metadata, null, 4));
+        zip.file(CONNECTION_FILE, JSON.stringify(this.connectionProfile, null, 4));
+        if (this.credentials.certificate) {
+            zip.file(CERTIFICATE_FILE, this.credentials.certificate);
+        }
+        if (this.credentials.privateKey) {
+            zip.file(PRIVATE_KEY_FILE, this.credentials.privateKey);
+        }
+        return zip.generateAsync({ type: 'nodebuffer' })
+            .then((buffer) => {
+                LOG.exit(method, buffer.length);
+                return buffer;
+            });
+    }
+
+}
+
+module.exports = IdCard;
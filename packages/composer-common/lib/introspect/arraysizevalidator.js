@@ -0,0 +1,85 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Validator = require('./validator');
+
+/**
+ * A Validator to enforce that non null arrays have a number of elements
+ * between two values.
+ * @private
+ * @class
+ * @memberof module:composer-common
+ */
+class ArraySizeValidator extends Validator{
+
+    /**
+     * Create an ArraySizeValidator.
+     * @param {Field} field - the field this validator is attached to
+     * @param {Object} ast - The ast for the size defined as [lower,upper] (inclusive).
+     *
+     * @throws {InvalidModelException}
+     */
+    constructor(field, ast) {
+        super(field, ast);
+        this.minSize = ast.lower ? ast.lower.value : null;
+        this.maxSize = ast.upper ? ast.upper.value : null;
+
+        if(!field.isArray()) {
+            this.reportError(null, 'Size can only be specified for array fields.');
+        } else if(this.minSize === null && this.maxSize === null) {
+            // can't specify no upper and lower value
+            this.reportError(null, 'Invalid size, lower and-or upper bound must be specified.');
+        } else if(this.minSize !== null && this.maxSize !== null && this.minSize > this.maxSize) {
+            this.reportError(null, 'Lower bound must be less than or equal to upper bound.');
+        }
+    }
+
+    /**
+     * Returns the minimum number of elements in the array
+     * @return {number} the minimum size, or null if there is no minimum
+     */
+    getMinSize() {
+        return this.minSize;
+    }
+
+    /**
+     * Returns the maximum number of elements in the array
+     * @return {number} the maximum size, or null if there is no maximum
+     */
+    getMaxSize() {
+        return this.maxSize;
+    }
+
+    /**
+     * Validate the property
+     * @param {string} identifier the identifier of the instance being validated
+     * @param {Object} value the value to validate
+     * @throws {InvalidModelException}
+     * @private
+     */
+    validate(identifier, value) {
+        if(value !== null) {
+            if(this.minSize !== null && value.length < this.minSize) {
+                this.reportError(identifier, 'Array has ' + value.length + ' elements, fewer than the minimum size ' + this.minSize);
+            }
+            if(this.maxSize !== null && value.length > this.maxSize) {
+                this.reportError(identifier, 'Array has ' + value.length + ' elements, more than the maximum size ' + this.maxSize);
+            }
+        }
+    }
+}
+
+module.exports = ArraySizeValidator;
@@ -14,6 +14,7 @@
 
 'use strict';
 
+const Decorated = require('./decorated');
 const Field = require('./field');
 const EnumValueDeclaration = require('./enumvaluedeclaration');
 const RelationshipDeclaration = require('./relationshipdeclaration');
@@ -30,9 +31,10 @@ const Globalize = require('../globalize');
  * @private
  * @abstract
  * @class
+ * @extends Decorated
  * @memberof module:composer-common
  */
-class ClassDeclaration {
+class ClassDeclaration extends Decorated {
 
     /**
      * Create a ClassDeclaration from an Abstract Syntax Tree. The AST is the
@@ -47,7 +49,7 @@ class ClassDeclaration {
             throw new IllegalModelException(Globalize.formatMessage('classdeclaration-constructor-modelastreq'));
         }
 
-        this.ast = ast;
+        super(ast);
         this.modelFile = modelFile;
         this.process();
     }
@@ -79,6 +81,7 @@ class ClassDeclaration {
      * @private
      */
     process() {
+        super.process();
         this.name = this.ast.id.name;
         this.properties = [];
         this.superType = null;
@@ -129,6 +132,8 @@ class ClassDeclaration {
      * @private
      */
     validate() {
+        super.validate();
+
         // TODO (LG) check that all imported classes exist, rather than just
         // used imports
 
@@ -238,6 +243,15 @@ class ClassDeclaration {
         return false;
     }
 
+    /**
+     * Returns true if this class is the definition of an event.
+     *
+     * @return {boolean} true if the class is an event
+     */
+    isEvent() {
+        return false;
+    }
+
     /**
      * Returns true if this class can be pointed to by a relationship
      *
@@ -0,0 +1,102 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Validator = require('./validator');
+
+/**
+ * A Validator to enforce that non null date/time values are between two values.
+ * @private
+ * @class
+ * @memberof module:composer-common
+ */
+class DateTimeValidator extends Validator{
+
+    /**
+     * Create a DateTimeValidator.
+     * @param {Field} field - the field this validator is attached to
+     * @param {Object} ast - The ast for the range defined as [lower,upper] (inclusive),
+     * where the bounds are ISO 8601 date/time strings.
+     *
+     * @throws {InvalidModelException}
+     */
+    constructor(field, ast) {
+        super(field, ast);
+        this.lowerBound = ast.lower ? this.parseBound(ast.lower.value) : null;
+        this.upperBound = ast.upper ? this.parseBound(ast.upper.value) : null;
+
+        if(this.lowerBound === null && this.upperBound === null) {
+            // can't specify no upper and lower value
+            this.reportError(null, 'Invalid range, lower and-or upper bound must be specified.');
+        } else if (this.lowerBound === null || this.upperBound === null) {
+            // this is fine and means that we don't need to check whether upper > lower
+        } else {
+            if(this.lowerBound.getTime() > this.upperBound.getTime()) {
+                this.reportError(null, 'Lower bound must be less than or equal to upper bound.');
+            }
+        }
+    }
+
+    /**
+     * Parse a bound of the range.
+     * @param {string} value the bound as an ISO 8601 date/time string
+     * @return {Date} the bound as a date
+     * @throws {Error} if the bound is not a valid date/time
+     * @private
+     */
+    parseBound(value) {
+        const result = new Date(value);
+        if(isNaN(result.getTime())) {
+            this.reportError(null, 'Invalid date/time \'' + value + '\' in range.');
+        }
+        return result;
+    }
+
+    /**
+     * Returns the lower bound of the range
+     * @return {Date} the lower bound, or null if there is no lower bound
+     */
+    getLowerBound() {
+        return this.lowerBound;
+    }
+
+    /**
+     * Returns the upper bound of the range
+     * @return {Date} the upper bound, or null if there is no upper bound
+     */
+    getUpperBound() {
+        return this.upperBound;
+    }
+
+    /**
+     * Validate the property
+     * @param {string} identifier the identifier of the instance being validated
+     * @param {Object} value the value to validate
+     * @throws {InvalidModelException}
+     * @private
+     */
+    validate(identifier, value) {
+        if(value !== null) {
+            if(this.lowerBound && value.getTime() < this.lowerBound.getTime()) {
+                this.reportError(identifier, 'Value is outside lower bound ' + value.toISOString());
+            }
+            if(this.upperBound && value.getTime() > this.upperBound.getTime()) {
+                this.reportError(identifier, 'Value is outside upper bound ' + value.toISOString());
+            }
+        }
+    }
+}
+
+module.exports = DateTimeValidator;
@@ -0,0 +1,106 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Decorator = require('./decorator');
+const IllegalModelException = require('./illegalmodelexception');
+
+/**
+ * Decorated is the base class for model elements that may be decorated,
+ * for example class declarations and properties.
+ * @private
+ * @abstract
+ * @class
+ * @memberof module:composer-common
+ */
+class Decorated {
+
+    /**
+     * Create a Decorated from an Abstract Syntax Tree. The AST is the
+     * result of parsing.
+     *
+     * @param {Object} ast - the AST created by the parser
+     */
+    constructor(ast) {
+        this.ast = ast;
+    }
+
+    /**
+     * Returns the ModelFile that defines this element.
+     * @abstract
+     * @return {ModelFile} the owning ModelFile
+     */
+    getModelFile() {
+        throw new Error('abstract function called');
+    }
+
+    /**
+     * Process the AST and build the decorators
+     *
+     * @throws {IllegalModelException}
+     * @private
+     */
+    process() {
+        this.decorators = [];
+
+        if(this.ast.decorators) {
+            for(let n=0; n < this.ast.decorators.length; n++ ) {
+                this.decorators.push(new Decorator(this, this.ast.decorators[n]));
+            }
+        }
+    }
+
+    /**
+     * Semantic validation of the decorators of this element.
+     *
+     * @throws {IllegalModelException}
+     * @private
+     */
+    validate() {
+        for(let n=0; n < this.decorators.length; n++) {
+            const decorator = this.decorators[n];
+            for(let i=n+1; i < this.decorators.length; i++) {
+                if(decorator.getName() === this.decorators[i].getName()) {
+                    throw new IllegalModelException('Duplicate decorator ' + decorator.getName(), this.getModelFile(), this.decorators[i].ast.location);
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the decorators for this element.
+     * @return {Decorator[]} the decorators for this element
+     */
+    getDecorators() {
+        return this.decorators;
+    }
+
+    /**
+     * Returns the decorator with the specified name, or null if this element
+     * does not have a decorator with the specified name.
+     * @param {string} name - the name of the decorator, for example <code>ui.hidden</code>
+     * @return {Decorator} the decorator, or null
+     */
+    getDecorator(name) {
+        for(let n=0; n < this.decorators.length; n++) {
+            if(this.decorators[n].getName() === name) {
+                return this.decorators[n];
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = Decorated;
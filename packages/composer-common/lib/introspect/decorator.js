@@ -0,0 +1,105 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Decorator encapsulates a decorator (annotation) on a class or property,
+ * for example <code>@description("A vehicle")</code> or <code>@ui.hidden</code>.
+ * A decorator has a name, and an optional list of String, Double, Integer,
+ * Long or Boolean arguments.
+ * @private
+ * @class
+ * @memberof module:composer-common
+ */
+class Decorator {
+
+    /**
+     * Create a Decorator.
+     * @param {ClassDeclaration | Property} parent - the owner of this decorator
+     * @param {Object} ast - The AST created by the parser
+     * @throws {IllegalModelException}
+     */
+    constructor(parent, ast) {
+        this.ast = ast;
+        this.parent = parent;
+        this.process();
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {Object} visitor - the visitor
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    accept(visitor,parameters) {
+        return visitor.visit(this, parameters);
+    }
+
+    /**
+     * Returns the owner of this decorator
+     * @return {ClassDeclaration | Property} the owner of this decorator
+     */
+    getParent() {
+        return this.parent;
+    }
+
+    /**
+     * Process the AST and build the model
+     * @throws {IllegalModelException}
+     * @private
+     */
+    process() {
+        this.name = this.ast.name;
+        this.arguments = (this.ast.arguments || []).map((argument) => {
+            return argument.value;
+        });
+    }
+
+    /**
+     * Returns the name of this decorator, for example <code>ui.hidden</code>
+     * @return {string} the name of this decorator
+     */
+    getName() {
+        return this.name;
+    }
+
+    /**
+     * Returns the arguments of this decorator
+     * @return {Object[]} the arguments of this decorator, as strings, numbers
+     * or booleans
+     */
+    getArguments() {
+        return this.arguments;
+    }
+
+    /**
+     * Stop serialization of this object.
+     * @return {Object} An empty object.
+     */
+    toJSON() {
+        return {};
+    }
+
+    /**
+     * Returns a string representation of this decorator
+     * @return {String} the string version of the decorator.
+     */
+    toString() {
+        return 'Decorator {name=' + this.name + ', arguments=' + JSON.stringify(this.arguments) + '}';
+    }
+}
+
+module.exports = Decorator;
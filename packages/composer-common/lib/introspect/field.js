@@ -14,6 +14,8 @@
 
 'use strict';
 
+const ArraySizeValidator = require('./arraysizevalidator');
+const DateTimeValidator = require('./datetimevalidator');
 const Property = require('./property');
 const NumberValidator = require('./numbervalidator');
 const StringValidator = require('./stringvalidator');
@@ -59,10 +61,21 @@ class Field extends Property {
             }
             break;
         case 'String':
-            if(this.ast.regex) {
-                this.validator = new StringValidator(this, this.ast.regex);
+            if(this.ast.regex || this.ast.length) {
+                this.validator = new StringValidator(this, this.ast.regex, this.ast.length);
             }
             break;
+        case 'DateTime':
+            if(this.ast.range) {
+                this.validator = new DateTimeValidator(this, this.ast.range);
+            }
+            break;
+        }
+
+        this.arraySizeValidator = null;
+
+        if(this.ast.size) {
+            this.arraySizeValidator = new ArraySizeValidator(this, this.ast.size);
         }
 
         if(this.ast.default) {
@@ -80,6 +93,14 @@ class Field extends Property {
         return this.validator;
     }
 
+    /**
+     * Returns the validator for the number of elements in an array field
+     * @return {ArraySizeValidator} the array size validator for the field or null
+     */
+    getArraySizeValidator() {
+        return this.arraySizeValidator;
+    }
+
     /**
      * Returns the default value for the field or null
      * @return {string} the default value for the field or null
@@ -16,6 +16,7 @@
 
 const TransactionDeclaration = require('./transactiondeclaration');
 const IllegalModelException = require('./illegalmodelexception');
+const ModelUtil = require('../modelutil');
 //const Globalize = require('../globalize');
 
 /**
@@ -128,6 +129,43 @@ class FunctionDeclaration {
         return this.returnType;
     }
 
+    /**
+     * Returns the type of the value returned by this function when it processes
+     * a transaction. Only functions decorated with @transaction may return a
+     * value to the submitter of the transaction, and the type must be either a
+     * primitive type or the fully qualified name of a type in the model, with
+     * [] appended if the function returns an array.
+     *
+     * @return {string} the type of the returned value, or null if the function
+     * does not process transactions or does not return a value.
+     */
+    getTransactionReturnType() {
+        if(this.decorators.indexOf('transaction') === -1) {
+            return null;
+        }
+        const returnType = this.returnType;
+        if(!returnType || returnType === 'void' || returnType === 'Promise') {
+            return null;
+        }
+        return returnType;
+    }
+
+    /**
+     * Returns the type of the resources migrated by this function when a
+     * business network is updated. Only functions decorated with @migration
+     * migrate resources. The type is the type in the models that are being
+     * replaced, so it may not exist in the models that the function is
+     * deployed with.
+     * @return {string} the fully qualified name of the type, or null if the
+     * function does not migrate resources.
+     */
+    getMigrationType() {
+        if(this.decorators.indexOf('migration') === -1) {
+            return null;
+        }
+        return this.parameterTypes[0];
+    }
+
     /**
      * Semantic validation of the structure of this function.
      *
@@ -135,6 +173,17 @@ class FunctionDeclaration {
      * @private
      */
     validate() {
+        if(this.decorators.indexOf('migration') > -1) {
+
+            if(this.decorators.indexOf('transaction') > -1 || this.decorators.indexOf('query') > -1) {
+                throw new Error('A function decorated with @migration cannot be decorated with @transaction or @query.');
+            }
+
+            if(this.parameterTypes.length !== 1) {
+                throw new IllegalModelException('Migration function ' + this.name + ' must have 1 function argument of the type that it migrates.' );
+            }
+        }
+
         if(this.decorators.indexOf('transaction') > -1) {
 
             if(this.decorators.indexOf('query') > -1) {
@@ -150,6 +199,18 @@ class FunctionDeclaration {
             if(!(classDecl instanceof TransactionDeclaration)) {
                 throw new IllegalModelException('Function ' + this.getName() + ' processes ' + transactionClassName + ' which is not a transaction.');
             }
+
+            const returnType = this.getTransactionReturnType();
+            if(returnType) {
+                const returnTypeName = returnType.replace(/\[\]$/, '');
+                if(!ModelUtil.isPrimitiveType(returnTypeName)) {
+                    try {
+                        this.modelManager.getType(returnTypeName);
+                    } catch (e) {
+                        throw new IllegalModelException('Function ' + this.getName() + ' returns ' + returnType + ' which is not a primitive type or a type in the model.');
+                    }
+                }
+            }
         }
     }
 
@@ -20,10 +20,12 @@ const EnumDeclaration = require('./enumdeclaration');
 const ConceptDeclaration = require('./conceptdeclaration');
 const ParticipantDeclaration = require('./participantdeclaration');
 const TransactionDeclaration = require('./transactiondeclaration');
+const EventDeclaration = require('./eventdeclaration');
 const IllegalModelException = require('./illegalmodelexception');
 const ParseException = require('./parseexception');
 const ModelUtil = require('../modelutil');
 const Globalize = require('../globalize');
+const semver = require('semver');
 
 /**
  * Class representing a Model File. A Model File contains a single namespace
@@ -48,6 +50,8 @@ class ModelFile {
         this.modelManager = modelManager;
         this.declarations = [];
         this.imports = [];
+        this.importDeclarations = [];
+        this.usedImports = new Set();
         this.fileName = 'UNKNOWN';
 
         if(!definitions || typeof definitions !== 'string') {
@@ -65,7 +69,7 @@ class ModelFile {
         }
         catch(err) {
             if(err.location && err.location.start) {
-                throw new ParseException( 'Syntax error in file ' + this.fileName + '. ' + err.message +  ' Line ' + err.location.start.line + ' column ' + err.location.start.column );
+                throw new ParseException( 'Syntax error in file ' + this.fileName + '. ' + err.message, err.location );
             }
             else {
                 throw err;
@@ -73,9 +77,30 @@ class ModelFile {
         }
 
         this.namespace = this.ast.namespace;
+        this.version = this.ast.version || null;
+
+        if(this.version && !semver.valid(this.version)) {
+            let formatter = Globalize('en').messageFormatter('modelfile-constructor-invalidversion');
+            throw new ParseException(formatter({
+                'version': this.version,
+                'namespace': this.namespace,
+                'fileName': this.fileName
+            }), this.ast.namespaceLocation);
+        }
 
         if(this.ast.imports) {
-            this.imports = this.ast.imports;
+            this.importDeclarations = this.ast.imports;
+            this.imports = this.importDeclarations.map((importDeclaration) => {
+                if(importDeclaration.version && !semver.validRange(importDeclaration.version)) {
+                    let formatter = Globalize('en').messageFormatter('modelfile-constructor-invalidimportversion');
+                    throw new ParseException(formatter({
+                        'version': importDeclaration.version,
+                        'importName': importDeclaration.name,
+                        'fileName': this.fileName
+                    }), importDeclaration.location);
+                }
+                return importDeclaration.name;
+            });
         }
 
         for(let n=0; n < this.ast.body.length; n++ ) {
@@ -87,6 +112,9 @@ class ModelFile {
             else if(thing.type === 'TransactionDeclaration') {
                 this.declarations.push( new TransactionDeclaration(this, thing) );
             }
+            else if(thing.type === 'EventDeclaration') {
+                this.declarations.push( new EventDeclaration(this, thing) );
+            }
             else if(thing.type === 'ParticipantDeclaration') {
                 this.declarations.push( new ParticipantDeclaration(this, thing) );
             }
@@ -127,7 +155,8 @@ class ModelFile {
     }
 
     /**
-     * Returns the types that have been imported into this ModelFile.
+     * Returns the types that have been imported into this ModelFile. Wildcard
+     * imports are returned as the namespace followed by <code>.*</code>.
      *
      * @return {string[]} The array of imports for this ModelFile
      */
@@ -135,17 +164,92 @@ class ModelFile {
         return this.imports;
     }
 
+    /**
+     * Returns the version range that an import has been pinned to.
+     * @param {string} importName - the import, as returned by getImports
+     * @return {string} The version range for the import, or null if the import
+     * is not pinned to a version
+     */
+    getImportVersion(importName) {
+        const importDeclaration = this.importDeclarations.find((importDeclaration) => {
+            return importDeclaration.name === importName;
+        });
+        return (importDeclaration && importDeclaration.version) || null;
+    }
+
     /**
      * Validates the ModelFile.
      *
      * @throws {IllegalModelException} if the model is invalid
+     * @throws {ParseException} if the imports are invalid
      * @private
      */
     validate() {
+        this.usedImports = new Set();
+        this.validateImportVersions();
+
         for(let n=0; n < this.declarations.length; n++) {
             let classDeclaration = this.declarations[n];
             classDeclaration.validate();
         }
+
+        // every import must provide at least one of the types used in this file
+        this.importDeclarations.forEach((importDeclaration) => {
+            if(!this.usedImports.has(importDeclaration)) {
+                let formatter = Globalize('en').messageFormatter('modelfile-validate-unusedimport');
+                throw new ParseException(formatter({
+                    'importName': importDeclaration.name,
+                    'fileName': this.fileName
+                }), importDeclaration.location);
+            }
+        });
+    }
+
+    /**
+     * Check that the versions of the imported namespaces are consistent, and
+     * that they match the versions of the model files in the ModelManager.
+     * @throws {ParseException} if there is a version conflict
+     * @private
+     */
+    validateImportVersions() {
+        const versions = {};
+        this.importDeclarations.forEach((importDeclaration) => {
+            if(!importDeclaration.version) {
+                return;
+            }
+
+            const namespace = ModelUtil.getNamespace(importDeclaration.name);
+            if(versions[namespace] && versions[namespace] !== importDeclaration.version) {
+                let formatter = Globalize('en').messageFormatter('modelfile-validate-conflictingimportversions');
+                throw new ParseException(formatter({
+                    'namespace': namespace,
+                    'version1': versions[namespace],
+                    'version2': importDeclaration.version,
+                    'fileName': this.fileName
+                }), importDeclaration.location);
+            }
+            versions[namespace] = importDeclaration.version;
+
+            const modelFile = this.getModelManager().getModelFile(namespace);
+            if(!modelFile) {
+                return;
+            } else if(!modelFile.getVersion()) {
+                let formatter = Globalize('en').messageFormatter('modelfile-validate-unversionedimport');
+                throw new ParseException(formatter({
+                    'namespace': namespace,
+                    'version': importDeclaration.version,
+                    'fileName': this.fileName
+                }), importDeclaration.location);
+            } else if(!semver.satisfies(modelFile.getVersion(), importDeclaration.version)) {
+                let formatter = Globalize('en').messageFormatter('modelfile-validate-importversionconflict');
+                throw new ParseException(formatter({
+                    'namespace': namespace,
+                    'version': importDeclaration.version,
+                    'actualVersion': modelFile.getVersion(),
+                    'fileName': this.fileName
+                }), importDeclaration.location);
+            }
+        });
     }
 
     /**
@@ -196,13 +300,32 @@ class ModelFile {
      */
     isImportedType(type) {
         //console.log('isImportedType ' + this.getNamespace() + ' ' + type );
-        for(let n=0; n < this.imports.length; n++) {
-            let importName = this.imports[n];
-            if( ModelUtil.getShortName(importName) === type ) {
-                return true;
-            }
+        return this.findImports(type).length > 0;
+    }
+
+    /**
+     * Returns the import declarations that provide a type. An explicit import
+     * of the type takes precedence over any wildcard imports, so more than one
+     * import declaration is only returned for an ambiguous type.
+     * @param {string} type - the short name of the type
+     * @return {Object[]} - the import declarations that provide the type
+     * @private
+     */
+    findImports(type) {
+        const explicitImport = this.importDeclarations.find((importDeclaration) => {
+            return ModelUtil.getShortName(importDeclaration.name) === type;
+        });
+        if(explicitImport) {
+            return [explicitImport];
         }
-        return false;
+
+        return this.importDeclarations.filter((importDeclaration) => {
+            if(ModelUtil.getShortName(importDeclaration.name) !== '*') {
+                return false;
+            }
+            const modelFile = this.getModelManager().getModelFile(ModelUtil.getNamespace(importDeclaration.name));
+            return !!modelFile && modelFile.getLocalType(type) !== null;
+        });
     }
 
     /**
@@ -215,11 +338,19 @@ class ModelFile {
     resolveImport(type) {
         //console.log('resolveImport ' + this.getNamespace() + ' ' + type );
 
-        for(let n=0; n < this.imports.length; n++) {
-            let importName = this.imports[n];
-            if( ModelUtil.getShortName(importName) === type ) {
-                return importName;
-            }
+        const importDeclarations = this.findImports(type);
+        if(importDeclarations.length > 1) {
+            let formatter = Globalize('en').messageFormatter('modelfile-resolveimport-ambiguoustype');
+            throw new ParseException(formatter({
+                'type': type,
+                'imports': importDeclarations.map((importDeclaration) => {
+                    return importDeclaration.name;
+                }),
+                'fileName': this.fileName
+            }), importDeclarations[1].location);
+        } else if(importDeclarations.length === 1) {
+            this.usedImports.add(importDeclarations[0]);
+            return ModelUtil.getNamespace(importDeclarations[0].name) + '.' + type;
         }
         let formatter = Globalize('en').messageFormatter('modelfile-resolveimport-failfindimp');
 
@@ -356,6 +487,20 @@ class ModelFile {
         return null;
     }
 
+    /**
+     * Get the EventDeclaration defined in this ModelFile or null
+     * @param {string} name the name of the type
+     * @return {EventDeclaration} the EventDeclaration with the given short name
+     */
+    getEventDeclaration(name) {
+        let classDeclaration = this.getLocalType(name);
+        if(classDeclaration instanceof EventDeclaration) {
+            return classDeclaration;
+        }
+
+        return null;
+    }
+
     /**
      * Get the ParticipantDeclaration defined in this ModelFile or null
      * @param {string} name the name of the type
@@ -379,6 +524,24 @@ class ModelFile {
         return this.namespace;
     }
 
+    /**
+     * Get the version of this model file, as declared in its namespace declaration.
+     * @return {string} The version of this model file, or null if it does not
+     * declare a version
+     */
+    getVersion() {
+        return this.version;
+    }
+
+    /**
+     * Get the location of the namespace declaration in this model file.
+     * @return {Object} The location of the namespace declaration
+     * @private
+     */
+    getNamespaceLocation() {
+        return this.ast.namespaceLocation;
+    }
+
     /**
      * Get the filename for this model file. Note that this may be null.
      * @return {string} The filename for this model file
@@ -412,6 +575,14 @@ class ModelFile {
         return this.getDeclarations(TransactionDeclaration);
     }
 
+    /**
+     * Get the EventDeclarations defined in this ModelFile
+     * @return {EventDeclaration[]} the EventDeclarations defined in the model file
+     */
+    getEventDeclarations() {
+        return this.getDeclarations(EventDeclaration);
+    }
+
     /**
      * Get the ParticipantDeclarations defined in this ModelFile
      * @return {ParticipantDeclaration[]} the ParticipantDeclaration defined in the model file
@@ -49,6 +49,22 @@ class NumberValidator extends Validator{
         }
     }
 
+    /**
+     * Returns the lower bound of the range
+     * @return {number} the lower bound, or null if there is no lower bound
+     */
+    getLowerBound() {
+        return this.lowerBound ? this.lowerBound.value : null;
+    }
+
+    /**
+     * Returns the upper bound of the range
+     * @return {number} the upper bound, or null if there is no upper bound
+     */
+    getUpperBound() {
+        return this.upperBound ? this.upperBound.value : null;
+    }
+
     /**
      * Validate the property
      * @param {string} identifier the identifier of the instance being validated
@@ -28,9 +28,25 @@ class ParseException extends BaseException {
     /**
      * Create an ParseException
      * @param {string} message - the message for the exception
+     * @param {string} fileLocation - the optional file location associated with the exception
      */
-    constructor(message) {
-        super(message);
+    constructor(message, fileLocation) {
+
+        let messageSuffix = '';
+        if(fileLocation) {
+            messageSuffix = ' Line ' + fileLocation.start.line + ' column ' + fileLocation.start.column;
+        }
+
+        super(message + messageSuffix);
+        this.fileLocation = fileLocation;
+    }
+
+    /**
+     * Returns the file location associated with the exception or null
+     * @return {string} the optional location associated with the exception
+     */
+    getFileLocation() {
+        return this.fileLocation;
     }
 }
 
@@ -14,16 +14,21 @@
 
 'use strict';
 
+const Decorated = require('./decorated');
+const IllegalModelException = require('./illegalmodelexception');
 const ModelUtil = require('../modelutil');
 
+const INDEXABLE_TYPES = ['String', 'Integer', 'Long', 'Double'];
+
 /**
  * Property representing an attribute of a class declaration,
  * either a Field or a Relationship.
  * @private
  * @class
+ * @extends Decorated
  * @memberof module:composer-common
  */
-class Property {
+class Property extends Decorated {
 
     /**
      * Create a Property.
@@ -32,7 +37,7 @@ class Property {
      * @throws {InvalidModelException}
      */
     constructor(parent, ast) {
-        this.ast = ast;
+        super(ast);
         this.parent = parent;
         this.process();
     }
@@ -56,12 +61,21 @@ class Property {
         return this.parent;
     }
 
+    /**
+     * Returns the ModelFile that defines this property
+     * @return {ModelFile} the owning ModelFile
+     */
+    getModelFile() {
+        return this.parent.getModelFile();
+    }
+
      /**
      * Process the AST and build the model
      * @throws {InvalidModelException}
      * @private
      */
     process() {
+        super.process();
         this.name = this.ast.id.name;
 
         if(!this.name) {
@@ -80,6 +94,14 @@ class Property {
             this.array = true;
         }
 
+        this.map = false;
+        this.keyType = null;
+
+        if(this.ast.map) {
+            this.map = true;
+            this.keyType = this.ast.keyType.name;
+        }
+
         if(this.ast.optional) {
             this.optional = true;
         }
@@ -95,9 +117,43 @@ class Property {
      * @private
      */
     validate(classDecl) {
+        super.validate();
+
+        if(this.map && this.keyType !== 'String') {
+            throw new IllegalModelException('Map property ' + this.name + ' must have a key type of String, not ' + this.keyType, classDecl.getModelFile(), this.ast.location);
+        }
+
         if(this.type) {
             classDecl.getModelFile().resolveType('Property type ' + this.name, this.type);
         }
+
+        if(this.isIndexed()) {
+            this.validateIndex(classDecl);
+        }
+    }
+
+    /**
+     * Validate the index decorator of the property. Only single valued fields of
+     * assets and participants whose type is String, Integer, Long, Double or an
+     * enumerated type may be indexed.
+     * @param {ClassDeclaration} classDecl the class declaration of the property
+     * @throws {InvalidModelException}
+     * @private
+     */
+    validateIndex(classDecl) {
+        const decorator = this.getDecorator('index');
+        if(decorator.getArguments().length > 0) {
+            throw new IllegalModelException('Decorator index of property ' + this.name + ' does not accept arguments', classDecl.getModelFile(), decorator.ast.location);
+        }
+        if(!classDecl.isRelationshipTarget()) {
+            throw new IllegalModelException('Property ' + this.name + ' cannot be indexed, only properties of assets and participants can be indexed', classDecl.getModelFile(), this.ast.location);
+        }
+        if(this.isArray() || this.isMap()) {
+            throw new IllegalModelException('Property ' + this.name + ' cannot be indexed, array and map properties cannot be indexed', classDecl.getModelFile(), this.ast.location);
+        }
+        if(!INDEXABLE_TYPES.includes(this.type) && (this.isPrimitive() || !this.isTypeEnum())) {
+            throw new IllegalModelException('Property ' + this.name + ' cannot be indexed, only String, Integer, Long, Double and enumerated type fields can be indexed', classDecl.getModelFile(), this.ast.location);
+        }
     }
 
 
@@ -167,6 +223,16 @@ class Property {
         return this.getParent().getModelFile().getNamespace();
     }
 
+    /**
+     * Returns true if the property is indexed, that is if it has an
+     * <code>@index</code> decorator. Registries maintain an index of the
+     * values of indexed properties, which is used to speed up queries.
+     * @return {boolean} true if the property is indexed
+     */
+    isIndexed() {
+        return !!this.getDecorator('index');
+    }
+
     /**
      * Returns true if the field is declared as an array type
      * @return {boolean} true if the property is an array type
@@ -176,6 +242,23 @@ class Property {
     }
 
 
+    /**
+     * Returns true if the field is declared as a map type. The type of
+     * a map property is the type of the values in the map.
+     * @return {boolean} true if the property is a map type
+     */
+    isMap() {
+        return this.map;
+    }
+
+    /**
+     * Returns the type of the keys of a map property
+     * @return {string} the type of the keys, or null if the property is not a map type
+     */
+    getKeyType() {
+        return this.keyType;
+    }
+
     /**
      * Returns true if the field is declared as an enumerated value
      * @return {boolean} true if the property is an enumerated value
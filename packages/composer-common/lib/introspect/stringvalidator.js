@@ -17,7 +17,8 @@
 const Validator = require('./validator');
 
 /**
- * A Validator to enforce that a string matches a regex
+ * A Validator to enforce that a string matches a regex and-or has a length
+ * between two values.
  * @private
  * @class
  * @memberof module:composer-common
@@ -28,21 +29,54 @@ class StringValidator extends Validator{
      * Create a StringValidator.
      * @param {Field} field - the field this validator is attached to
      * @param {Object} validator - The validation string. This must be a regex
-     * expression.
+     * expression, or null if only the length is to be validated.
+     * @param {Object} [length] - The ast for the length defined as [lower,upper] (inclusive).
      *
      * @throws {InvalidModelException}
      */
-    constructor(field, validator) {
+    constructor(field, validator, length) {
         super(field,validator);
-        try {
-            // discard the leading / and closing /
-            this.regex = new RegExp(validator.substring(1,validator.length-1));
+        this.regex = null;
+        this.minLength = null;
+        this.maxLength = null;
+
+        if(validator) {
+            try {
+                // discard the leading / and closing /
+                this.regex = new RegExp(validator.substring(1,validator.length-1));
+            }
+            catch(exception) {
+                this.reportError(exception.message);
+            }
         }
-        catch(exception) {
-            this.reportError(exception.message);
+
+        if(length) {
+            this.minLength = length.lower ? length.lower.value : null;
+            this.maxLength = length.upper ? length.upper.value : null;
+            if(this.minLength === null && this.maxLength === null) {
+                this.reportError(null, 'Invalid length, lower and-or upper bound must be specified.');
+            } else if(this.minLength !== null && this.maxLength !== null && this.minLength > this.maxLength) {
+                this.reportError(null, 'Lower bound must be less than or equal to upper bound.');
+            }
         }
     }
 
+    /**
+     * Returns the minimum length of the string
+     * @return {number} the minimum length, or null if there is no minimum
+     */
+    getMinLength() {
+        return this.minLength;
+    }
+
+    /**
+     * Returns the maximum length of the string
+     * @return {number} the maximum length, or null if there is no maximum
+     */
+    getMaxLength() {
+        return this.maxLength;
+    }
+
     /**
      * Validate the property
      * @param {string} identifier the identifier of the instance being validated
@@ -52,9 +86,15 @@ class StringValidator extends Validator{
      */
     validate(identifier, value) {
         if(value !== null) {
-            if(!this.regex.test(value)) {
+            if(this.regex && !this.regex.test(value)) {
                 this.reportError(identifier, 'Value + \'' + value + '\' failed to match validation regex: ' + this.regex);
             }
+            if(this.minLength !== null && value.length < this.minLength) {
+                this.reportError(identifier, 'Value \'' + value + '\' is shorter than the minimum length ' + this.minLength);
+            }
+            if(this.maxLength !== null && value.length > this.maxLength) {
+                this.reportError(identifier, 'Value \'' + value + '\' is longer than the maximum length ' + this.maxLength);
+            }
         }
     }
 }
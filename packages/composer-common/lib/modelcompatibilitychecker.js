@@ -0,0 +1,313 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const AssetDeclaration = require('./introspect/assetdeclaration');
+const Field = require('./introspect/field');
+const ParticipantDeclaration = require('./introspect/participantdeclaration');
+const RelationshipDeclaration = require('./introspect/relationshipdeclaration');
+const TransactionDeclaration = require('./introspect/transactiondeclaration');
+
+/**
+ * <p>
+ * Compares the models in two {@link ModelManager}s, for example the models
+ * in a deployed business network and the models in an update to that business
+ * network, and classifies each change as breaking or non-breaking.
+ * </p>
+ * <p>
+ * A change is breaking if assets, participants or transactions that are valid
+ * for the old models may not be valid for the new models. For example, removing
+ * or renaming a type, removing a property, adding a required property, making an
+ * optional property required, changing the type of a property, or removing a value
+ * from an enumeration are all breaking changes. Events are never stored, so
+ * changes to events are never breaking.
+ * </p>
+ * <p>
+ * Each change is described by an object with the following properties:
+ * <ul>
+ * <li><code>type</code> - the fully qualified name of the changed type</li>
+ * <li><code>property</code> - the name of the changed property, or null if
+ * the change is not to a property</li>
+ * <li><code>breaking</code> - true if the change is breaking</li>
+ * <li><code>description</code> - a description of the change</li>
+ * </ul>
+ * </p>
+ * @private
+ * @class
+ * @memberof module:composer-common
+ */
+class ModelCompatibilityChecker {
+
+    /**
+     * Create the ModelCompatibilityChecker.
+     * @param {ModelManager} oldModelManager - the model manager containing the old models
+     * @param {ModelManager} newModelManager - the model manager containing the new models
+     */
+    constructor(oldModelManager, newModelManager) {
+        this.oldModelManager = oldModelManager;
+        this.newModelManager = newModelManager;
+        this.changes = null;
+    }
+
+    /**
+     * Get all of the changes between the old and new models, sorted by the
+     * name of the changed type.
+     * @return {Object[]} the changes
+     */
+    getChanges() {
+        if (!this.changes) {
+            const oldTypes = ModelCompatibilityChecker.getTypes(this.oldModelManager);
+            const newTypes = ModelCompatibilityChecker.getTypes(this.newModelManager);
+            const changes = [];
+            Object.keys(oldTypes).forEach((name) => {
+                const oldType = oldTypes[name];
+                const newType = newTypes[name];
+                if (!newType) {
+                    changes.push(ModelCompatibilityChecker.change(oldType, null, true, 'The type was removed'));
+                } else {
+                    ModelCompatibilityChecker.compareTypes(oldType, newType, changes);
+                }
+            });
+            Object.keys(newTypes).forEach((name) => {
+                if (!oldTypes[name]) {
+                    changes.push(ModelCompatibilityChecker.change(newTypes[name], null, false, 'The type was added'));
+                }
+            });
+
+            // Events are emitted, not stored, so changing them cannot invalidate any data.
+            changes.forEach((change) => {
+                const type = oldTypes[change.type] || newTypes[change.type];
+                if (type.isEvent()) {
+                    change.breaking = false;
+                }
+            });
+            this.changes = changes.sort((change1, change2) => {
+                return change1.type.localeCompare(change2.type);
+            });
+        }
+        return this.changes;
+    }
+
+    /**
+     * Get the breaking changes between the old and new models.
+     * @return {Object[]} the breaking changes
+     */
+    getBreakingChanges() {
+        return this.getChanges().filter((change) => {
+            return change.breaking;
+        });
+    }
+
+    /**
+     * Check whether data that is valid for the old models is also valid for
+     * the new models.
+     * @return {boolean} true if there are no breaking changes
+     */
+    isCompatible() {
+        return this.getBreakingChanges().length === 0;
+    }
+
+    /**
+     * Get all of the types in a model manager, keyed by fully qualified name.
+     * @param {ModelManager} modelManager - the model manager
+     * @return {Object} the class declarations, keyed by fully qualified name
+     * @private
+     */
+    static getTypes(modelManager) {
+        const types = {};
+        modelManager.getModelFiles().forEach((modelFile) => {
+            modelFile.getAllDeclarations().forEach((classDeclaration) => {
+                types[classDeclaration.getFullyQualifiedName()] = classDeclaration;
+            });
+        });
+        return types;
+    }
+
+    /**
+     * Create a change.
+     * @param {ClassDeclaration} classDeclaration - the changed type
+     * @param {string} property - the name of the changed property, or null
+     * @param {boolean} breaking - true if the change is breaking
+     * @param {string} description - the description of the change
+     * @return {Object} the change
+     * @private
+     */
+    static change(classDeclaration, property, breaking, description) {
+        return {
+            type: classDeclaration.getFullyQualifiedName(),
+            property: property,
+            breaking: breaking,
+            description: description
+        };
+    }
+
+    /**
+     * Get the kind of a type, for example asset or enum.
+     * @param {ClassDeclaration} classDeclaration - the type
+     * @return {string} the kind of the type
+     * @private
+     */
+    static getKind(classDeclaration) {
+        if (classDeclaration instanceof AssetDeclaration) {
+            return 'asset';
+        } else if (classDeclaration instanceof ParticipantDeclaration) {
+            return 'participant';
+        } else if (classDeclaration instanceof TransactionDeclaration) {
+            return 'transaction';
+        } else if (classDeclaration.isEvent()) {
+            return 'event';
+        } else if (classDeclaration.isEnum()) {
+            return 'enum';
+        }
+        return 'concept';
+    }
+
+    /**
+     * Compare the old and new versions of a type.
+     * @param {ClassDeclaration} oldType - the old version of the type
+     * @param {ClassDeclaration} newType - the new version of the type
+     * @param {Object[]} changes - the changes to add to
+     * @private
+     */
+    static compareTypes(oldType, newType, changes) {
+        const oldKind = ModelCompatibilityChecker.getKind(oldType);
+        const newKind = ModelCompatibilityChecker.getKind(newType);
+        if (oldKind !== newKind) {
+            changes.push(ModelCompatibilityChecker.change(oldType, null, true, `The type changed from ${oldKind} to ${newKind}`));
+            return;
+        }
+
+        if (!oldType.isAbstract() && newType.isAbstract()) {
+            changes.push(ModelCompatibilityChecker.change(oldType, null, true, 'The type was made abstract'));
+        } else if (oldType.isAbstract() && !newType.isAbstract()) {
+            changes.push(ModelCompatibilityChecker.change(oldType, null, false, 'The type is no longer abstract'));
+        }
+        if (oldType.getSuperType() !== newType.getSuperType()) {
+            changes.push(ModelCompatibilityChecker.change(oldType, null, false, `The super type changed from ${oldType.getSuperType()} to ${newType.getSuperType()}`));
+        }
+        if (oldType.getIdentifierFieldName() !== newType.getIdentifierFieldName()) {
+            changes.push(ModelCompatibilityChecker.change(oldType, null, true, `The identifying field changed from ${oldType.getIdentifierFieldName()} to ${newType.getIdentifierFieldName()}`));
+        }
+
+        const oldProperties = oldType.getProperties();
+        const newProperties = newType.getProperties();
+        oldProperties.forEach((oldProperty) => {
+            const newProperty = newType.getProperty(oldProperty.getName());
+            if (!newProperty) {
+                const description = oldKind === 'enum' ? 'The enumerated value was removed' : 'The property was removed';
+                changes.push(ModelCompatibilityChecker.change(oldType, oldProperty.getName(), true, description));
+            } else if (oldKind !== 'enum') {
+                ModelCompatibilityChecker.compareProperties(oldType, oldProperty, newProperty, changes);
+            }
+        });
+        newProperties.forEach((newProperty) => {
+            if (oldType.getProperty(newProperty.getName())) {
+                return;
+            } else if (oldKind === 'enum') {
+                changes.push(ModelCompatibilityChecker.change(oldType, newProperty.getName(), false, 'The enumerated value was added'));
+            } else if (newProperty.isOptional() || (newProperty instanceof Field && newProperty.getDefaultValue() !== null)) {
+                changes.push(ModelCompatibilityChecker.change(oldType, newProperty.getName(), false, 'An optional property was added'));
+            } else {
+                changes.push(ModelCompatibilityChecker.change(oldType, newProperty.getName(), true, 'A required property was added'));
+            }
+        });
+    }
+
+    /**
+     * Compare the old and new versions of a property.
+     * @param {ClassDeclaration} type - the type that contains the property
+     * @param {Property} oldProperty - the old version of the property
+     * @param {Property} newProperty - the new version of the property
+     * @param {Object[]} changes - the changes to add to
+     * @private
+     */
+    static compareProperties(type, oldProperty, newProperty, changes) {
+        const name = oldProperty.getName();
+        const oldDescription = ModelCompatibilityChecker.describePropertyType(oldProperty);
+        const newDescription = ModelCompatibilityChecker.describePropertyType(newProperty);
+        if (oldDescription !== newDescription) {
+            changes.push(ModelCompatibilityChecker.change(type, name, true, `The type of the property changed from ${oldDescription} to ${newDescription}`));
+            return;
+        }
+
+        if (oldProperty.isOptional() && !newProperty.isOptional()) {
+            changes.push(ModelCompatibilityChecker.change(type, name, true, 'The property was made required'));
+        } else if (!oldProperty.isOptional() && newProperty.isOptional()) {
+            changes.push(ModelCompatibilityChecker.change(type, name, false, 'The property was made optional'));
+        }
+
+        if (oldProperty instanceof Field) {
+            // The checker cannot tell whether existing values pass a changed
+            // validator, so any new or changed validator is breaking.
+            const oldValidator = ModelCompatibilityChecker.describeValidators(oldProperty);
+            const newValidator = ModelCompatibilityChecker.describeValidators(newProperty);
+            if (oldValidator !== newValidator) {
+                changes.push(ModelCompatibilityChecker.change(type, name, newValidator !== null, newValidator ? 'The validator of the property was added or changed' : 'The validator of the property was removed'));
+            }
+            if (oldProperty.getDefaultValue() !== newProperty.getDefaultValue()) {
+                changes.push(ModelCompatibilityChecker.change(type, name, false, 'The default value of the property changed'));
+            }
+        }
+    }
+
+    /**
+     * Describe the type of a property, including whether it is a relationship,
+     * an array or a map.
+     * @param {Property} property - the property
+     * @return {string} the description of the type
+     * @private
+     */
+    static describePropertyType(property) {
+        let description = property.getFullyQualifiedTypeName();
+        if (property.isMap()) {
+            description = `Map<${property.getKeyType()}, ${description}>`;
+        }
+        if (property.isArray()) {
+            description += '[]';
+        }
+        if (property instanceof RelationshipDeclaration) {
+            description = '--> ' + description;
+        }
+        return description;
+    }
+
+    /**
+     * Describe the validators of a field, so that they can be compared.
+     * @param {Field} field - the field
+     * @return {string} the description of the validators, or null if the
+     * field does not have any validators
+     * @private
+     */
+    static describeValidators(field) {
+        const validators = [field.getValidator(), field.getArraySizeValidator()].filter((validator) => {
+            return validator;
+        });
+        if (validators.length === 0) {
+            return null;
+        }
+        // Leave out the field, the AST and the locations in the AST, which do not affect validation.
+        return JSON.stringify(validators.map((validator) => {
+            return { validator: validator.constructor.name, settings: validator };
+        }), (key, value) => {
+            if (key === 'field' || key === 'validator' && typeof value !== 'string' || key === 'location') {
+                return undefined;
+            }
+            return value instanceof RegExp ? value.toString() : value;
+        });
+    }
+
+}
+
+module.exports = ModelCompatibilityChecker;
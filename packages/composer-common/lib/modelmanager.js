@@ -18,6 +18,7 @@ const Globalize = require('./globalize');
 const IllegalModelException = require('./introspect/illegalmodelexception');
 const ModelUtil = require('./modelutil');
 const ModelFile = require('./introspect/modelfile');
+const ParseException = require('./introspect/parseexception');
 
 /**
  * <p>
@@ -129,12 +130,15 @@ class ModelManager {
     }
 
     /**
-     * Add a set of Composer files to the model manager.
+     * Add a set of Composer files to the model manager. The set of Composer
+     * files may not contain more than one version of the same namespace.
      * @param {string[]} modelFiles - An array of Composer files as
      * strings.
      * @param {string[]} fileNames - An optional array of file names to
      * associate with the model files
      * @returns {Object[]} The newly added model files (internal).
+     * @throws {ParseException} if the Composer files contain more than one
+     * version of the same namespace.
      */
     addModelFiles(modelFiles, fileNames) {
         const originalModelFiles = {};
@@ -151,14 +155,13 @@ class ModelManager {
                     fileName = fileNames[n];
                 }
 
+                let m = modelFile;
                 if (typeof modelFile === 'string') {
-                    let m = new ModelFile(this, modelFile, fileName);
-                    this.modelFiles[m.getNamespace()] = m;
-                    newModelFiles.push(m);
-                } else {
-                    this.modelFiles[modelFile.getNamespace()] = modelFile;
-                    newModelFiles.push(modelFile);
+                    m = new ModelFile(this, modelFile, fileName);
                 }
+                this.checkVersionConflict(m, newModelFiles);
+                this.modelFiles[m.getNamespace()] = m;
+                newModelFiles.push(m);
             }
 
             // re-validate all the model files
@@ -176,6 +179,31 @@ class ModelManager {
         }
     }
 
+    /**
+     * Check that a model file does not declare a different version of the same
+     * namespace as any of a set of other model files.
+     * @param {ModelFile} modelFile - the model file to check
+     * @param {ModelFile[]} otherModelFiles - the other model files
+     * @throws {ParseException} if there is a version conflict
+     * @private
+     */
+    checkVersionConflict(modelFile, otherModelFiles) {
+        const otherModelFile = otherModelFiles.find((otherModelFile) => {
+            return otherModelFile.getNamespace() === modelFile.getNamespace() &&
+                otherModelFile.getVersion() !== modelFile.getVersion();
+        });
+        if (otherModelFile) {
+            let formatter = Globalize.messageFormatter('modelmanager-addmodelfiles-versionconflict');
+            throw new ParseException(formatter({
+                namespace: modelFile.getNamespace(),
+                version1: otherModelFile.getVersion() || 'none',
+                fileName1: otherModelFile.getName(),
+                version2: modelFile.getVersion() || 'none',
+                fileName2: modelFile.getName()
+            }), modelFile.getNamespaceLocation());
+        }
+    }
+
     /**
      * Get the array of model file instances
      * @return {ModelFile[]} The ModelFiles registered
@@ -311,6 +339,16 @@ class ModelManager {
         }, []);
     }
 
+    /**
+     * Get the EventDeclarations defined in this model manager
+     * @return {EventDeclaration[]} the EventDeclaration defined in the model manager
+     */
+    getEventDeclarations() {
+        return this.getModelFiles().reduce((prev, cur) => {
+            return prev.concat(cur.getEventDeclarations());
+        }, []);
+    }
+
     /**
      * Get the ParticipantDeclarations defined in this model manager
      * @return {ParticipantDeclaration[]} the ParticipantDeclaration defined in the model manager
@@ -0,0 +1,143 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const IllegalModelException = require('../introspect/illegalmodelexception');
+const Select = require('./select');
+
+/**
+ * Query captures a query, composed of a name, a description and a
+ * SELECT statement. Queries that are built at runtime do not have a name
+ * or a description.
+ *
+ * @private
+ * @class
+ * @memberof module:composer-common
+ */
+class Query {
+
+    /**
+     * Create a Query from an Abstract Syntax Tree. The AST is the
+     * result of parsing.
+     *
+     * @param {QueryFile} queryFile - the QueryFile for this query
+     * @param {Object} ast - the AST created by the parser
+     * @throws {IllegalModelException}
+     */
+    constructor(queryFile, ast) {
+        if(!queryFile || !ast) {
+            throw new IllegalModelException('Invalid QueryFile or AST');
+        }
+
+        this.ast = ast;
+        this.queryFile = queryFile;
+        this.process();
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {Object} visitor - the visitor
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    accept(visitor,parameters) {
+        return visitor.visit(this, parameters);
+    }
+
+    /**
+     * Returns the QueryFile that owns this Query.
+     *
+     * @return {QueryFile} the owning QueryFile
+     */
+    getQueryFile() {
+        return this.queryFile;
+    }
+
+    /**
+     * Process the AST and build the model
+     *
+     * @throws {IllegalModelException}
+     * @private
+     */
+    process() {
+        this.name = this.ast.id;
+        this.description = this.ast.description;
+        this.select = new Select(this, this.ast.select);
+    }
+
+    /**
+     * Semantic validation of the structure of this Query.
+     *
+     * @throws {IllegalModelException}
+     * @private
+     */
+    validate() {
+        this.select.validate();
+    }
+
+    /**
+     * Returns the name of this Query, or null for a query built at runtime.
+     *
+     * @return {string} the name of the Query
+     */
+    getName() {
+        return this.name;
+    }
+
+    /**
+     * Returns the description associated with this Query.
+     *
+     * @return {string} the description
+     */
+    getDescription() {
+        return this.description;
+    }
+
+    /**
+     * Returns the SELECT statement for this Query.
+     *
+     * @return {Select} the SELECT statement
+     */
+    getSelect() {
+        return this.select;
+    }
+
+    /**
+     * Returns the names of the parameters that must be supplied in order
+     * to execute this Query.
+     *
+     * @return {string[]} the names of the parameters
+     */
+    getParameters() {
+        return this.select.getParameters();
+    }
+
+    /**
+     * Returns a new object representing this Query that is
+     * suitable for serializing as JSON.
+     * @return {Object} A new object suitable for serializing as JSON.
+     */
+    toJSON() {
+        let result = {
+            name: this.name,
+            description: this.description,
+            select: this.select
+        };
+        return result;
+    }
+}
+
+module.exports = Query;
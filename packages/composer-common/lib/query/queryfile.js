@@ -0,0 +1,198 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const parser = require('./parser');
+const Query = require('./query');
+const IllegalModelException = require('../introspect/illegalmodelexception');
+const ParseException = require('../introspect/parseexception');
+
+/**
+ * Parse the specified text using the query parser, converting any
+ * syntax errors into a ParseException.
+ * @private
+ * @param {string} text - the text to parse
+ * @param {string} startRule - the parser rule to start parsing from
+ * @return {Object} the AST created by the parser
+ * @throws {ParseException}
+ */
+function parse(text, startRule) {
+    try {
+        return parser.parse(text, { startRule: startRule });
+    }
+    catch(err) {
+        if(err.location && err.location.start) {
+            throw new ParseException(err.message, err.location);
+        }
+        else {
+            throw err;
+        }
+    }
+}
+
+/**
+ * Class representing a Query File. A Query File contains a set of named
+ * queries that are packaged with a business network.
+ * @private
+ * @class
+ * @memberof module:composer-common
+ */
+class QueryFile {
+
+    /**
+     * Create a QueryFile. This should only be called by framework code.
+     * @param {string} id - The identifier of this Query File (may be a filename for example)
+     * @param {ModelManager} modelManager - the ModelManager that manages this
+     * ModelFile and that will be used to validate the queries in the QueryFile
+     * @param {string} definitions - The queries as a string.
+     * @throws {IllegalModelException}
+     */
+    constructor(id, modelManager, definitions) {
+        this.modelManager = modelManager;
+        this.queries = [];
+        this.identifier = id;
+
+        if(typeof definitions !== 'string') {
+            throw new Error('QueryFile expects a QueryFile as a string as input.');
+        }
+        this.definitions = definitions;
+        this.ast = parse(definitions, 'Start');
+
+        for(let n=0; n < this.ast.queries.length; n++ ) {
+            let thing = this.ast.queries[n];
+            const query = new Query(this, thing);
+            if(this.getQuery(query.getName())) {
+                throw new IllegalModelException('Duplicate query name ' + query.getName(), null, thing.location);
+            }
+            this.queries.push(query);
+        }
+    }
+
+    /**
+     * Returns the identifier of this Query File.
+     * @return {string} the identifier of this Query File
+     */
+    getIdentifier() {
+        return this.identifier;
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {Object} visitor - the visitor
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    accept(visitor,parameters) {
+        return visitor.visit(this, parameters);
+    }
+
+    /**
+     * Returns the ModelManager associated with this QueryFile
+     *
+     * @return {ModelManager} The ModelManager for this QueryFile
+     */
+    getModelManager() {
+        return this.modelManager;
+    }
+
+    /**
+     * Validates the QueryFile.
+     *
+     * @throws {IllegalModelException} if the query file is invalid
+     * @private
+     */
+    validate() {
+        for(let n=0; n < this.queries.length; n++) {
+            let query = this.queries[n];
+            query.validate();
+        }
+    }
+
+    /**
+     * Get all queries in this Query file
+     * @return {Query[]} the queries defined in the Query file
+     */
+    getQueries() {
+        return this.queries;
+    }
+
+    /**
+     * Get the named query in this Query file
+     * @param {string} name - the name of the query
+     * @return {Query} the query, or null if it does not exist
+     */
+    getQuery(name) {
+        return this.queries.find((query) => {
+            return query.getName() === name;
+        }) || null;
+    }
+
+    /**
+     * Build an unnamed query from a single SELECT statement. The query is
+     * validated, but it is not added to the queries defined in this Query file.
+     * @param {string} statement - the SELECT statement
+     * @return {Query} the new, validated query
+     * @throws {ParseException} if the statement could not be parsed
+     * @throws {IllegalModelException} if the statement is invalid
+     */
+    buildQuery(statement) {
+        if(!statement || typeof statement !== 'string') {
+            throw new Error('buildQuery expects a statement as a string as input.');
+        }
+        const query = new Query(this, {
+            type: 'Query',
+            id: null,
+            description: null,
+            select: parse(statement, 'SelectStart')
+        });
+        query.validate();
+        return query;
+    }
+
+    /**
+     * Get the definitions for this Query file.
+     * @return {string} The definitions for this Query file.
+     */
+    getDefinitions() {
+        return this.definitions;
+    }
+
+    /**
+     * Convert the specified JSON into an instance of a Query file.
+     * @param {ModelManager} modelManager - the ModelManager that manages this
+     * ModelFile
+     * @param {Object} queryFile - A serialized instance of a QueryFile.
+     * @param {string} queryFile.definitions - The definitions for the QueryFile.
+     * @return {QueryFile} An instance of a QueryFile.
+     */
+    static fromJSON(modelManager, queryFile) {
+        return new QueryFile(queryFile.identifier, modelManager, queryFile.definitions);
+    }
+
+    /**
+     * Convert this Query file into an object that is suitable for converting
+     * into a JSON string for serialization purposes.
+     * @return {Object} An object suitable for converting into a JSON string.
+     */
+    toJSON() {
+        return {
+            identifier: this.identifier,
+            definitions: this.definitions,
+        };
+    }
+}
+
+module.exports = QueryFile;
@@ -0,0 +1,269 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const AssetDeclaration = require('../introspect/assetdeclaration');
+const IllegalModelException = require('../introspect/illegalmodelexception');
+const ParticipantDeclaration = require('../introspect/participantdeclaration');
+const RelationshipDeclaration = require('../introspect/relationshipdeclaration');
+const TransactionDeclaration = require('../introspect/transactiondeclaration');
+
+/**
+ * Select captures a SELECT statement. A SELECT statement selects instances
+ * of a single asset, participant or transaction type, optionally filtered
+ * by a WHERE expression, sorted by an ORDER BY clause, and paged using
+ * LIMIT and SKIP clauses.
+ *
+ * @private
+ * @class
+ * @memberof module:composer-common
+ */
+class Select {
+
+    /**
+     * Create a Select from an Abstract Syntax Tree. The AST is the
+     * result of parsing.
+     *
+     * @param {Query} query - the Query for this SELECT statement
+     * @param {Object} ast - the AST created by the parser
+     * @throws {IllegalModelException}
+     */
+    constructor(query, ast) {
+        if(!query || !ast) {
+            throw new IllegalModelException('Invalid Query or AST');
+        }
+
+        this.ast = ast;
+        this.query = query;
+        this.process();
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {Object} visitor - the visitor
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    accept(visitor,parameters) {
+        return visitor.visit(this, parameters);
+    }
+
+    /**
+     * Returns the Query that owns this Select.
+     *
+     * @return {Query} the owning Query
+     */
+    getQuery() {
+        return this.query;
+    }
+
+    /**
+     * Process the AST and build the model
+     *
+     * @throws {IllegalModelException}
+     * @private
+     */
+    process() {
+        this.text = this.ast.text;
+        this.resource = this.ast.resource;
+        this.where = this.ast.where;
+        this.orderBy = this.ast.orderBy || [];
+        this.limit = this.ast.limit;
+        this.skip = this.ast.skip;
+
+        this.parameters = [];
+        const operands = [];
+        const visit = (expression) => {
+            if(expression.type === 'LogicalExpression') {
+                visit(expression.left);
+                visit(expression.right);
+            } else if(expression.type === 'UnaryExpression') {
+                visit(expression.argument);
+            } else {
+                operands.push(expression.left, expression.right);
+            }
+        };
+        if(this.where) {
+            visit(this.where);
+        }
+        operands.push(this.limit, this.skip);
+        operands.forEach((operand) => {
+            if(operand && operand.type === 'Parameter' && this.parameters.indexOf(operand.name) === -1) {
+                this.parameters.push(operand.name);
+            }
+        });
+    }
+
+    /**
+     * Semantic validation of the structure of this Select.
+     * <p>
+     * The resource must be an asset, participant or transaction; selecting an
+     * abstract type selects the resources of all of its subtypes.
+     * All properties referenced by the WHERE and ORDER BY clauses must exist,
+     * and may only navigate through fields that are concepts.
+     * </p>
+     * @throws {IllegalModelException}
+     * @private
+     */
+    validate() {
+        const modelManager = this.getQuery().getQueryFile().getModelManager();
+        let classDeclaration;
+        try {
+            classDeclaration = modelManager.getType(this.resource);
+        } catch (err) {
+            throw new IllegalModelException('Failed to find class ' + this.resource, null, this.ast.location);
+        }
+        if(!(classDeclaration instanceof AssetDeclaration) &&
+           !(classDeclaration instanceof ParticipantDeclaration) &&
+           !(classDeclaration instanceof TransactionDeclaration)) {
+            throw new IllegalModelException('Class ' + this.resource + ' is not an asset, participant or transaction', null, this.ast.location);
+        }
+
+        const properties = [];
+        const visit = (expression) => {
+            if(expression.type === 'LogicalExpression') {
+                visit(expression.left);
+                visit(expression.right);
+            } else if(expression.type === 'UnaryExpression') {
+                visit(expression.argument);
+            } else {
+                [expression.left, expression.right].forEach((operand) => {
+                    if(operand.type === 'Property') {
+                        properties.push(operand);
+                    }
+                });
+            }
+        };
+        if(this.where) {
+            visit(this.where);
+        }
+        this.orderBy.forEach((sort) => {
+            properties.push(sort.property);
+        });
+        properties.forEach((property) => {
+            this.validateProperty(classDeclaration, property);
+        });
+    }
+
+    /**
+     * Check that a (possibly nested) property exists in the specified class.
+     * @param {ClassDeclaration} classDeclaration - the class declaration
+     * @param {Object} property - the property AST created by the parser
+     * @throws {IllegalModelException}
+     * @private
+     */
+    validateProperty(classDeclaration, property) {
+        const modelManager = classDeclaration.getModelFile().getModelManager();
+        const names = property.name.split('.');
+        let current = classDeclaration;
+        names.forEach((name, index) => {
+            if(!current) {
+                throw new IllegalModelException('Property ' + names.slice(0, index).join('.') + ' is not a concept and has no properties', null, property.location);
+            }
+            const field = current.getProperty(name);
+            if(!field) {
+                throw new IllegalModelException('Failed to find property ' + property.name + ' in class ' + classDeclaration.getFullyQualifiedName(), null, property.location);
+            } else if(field.isArray()) {
+                throw new IllegalModelException('Property ' + property.name + ' is an array and cannot be queried', null, property.location);
+            }
+            const last = (index === names.length - 1);
+            if(!last && field instanceof RelationshipDeclaration) {
+                throw new IllegalModelException('Property ' + property.name + ' navigates through a relationship, which is not supported', null, property.location);
+            }
+            current = (last || field.isPrimitive() || field.isTypeEnum()) ? null : modelManager.getType(field.getFullyQualifiedTypeName());
+        });
+    }
+
+    /**
+     * Returns the text of this SELECT statement.
+     *
+     * @return {string} the text of the SELECT statement
+     */
+    getText() {
+        return this.text;
+    }
+
+    /**
+     * Returns the fully qualified name of the type selected by this statement.
+     *
+     * @return {string} the fully qualified name of the type
+     */
+    getResource() {
+        return this.resource;
+    }
+
+    /**
+     * Returns the WHERE expression of this SELECT statement.
+     *
+     * @return {Object} the WHERE expression, or null
+     */
+    getWhere() {
+        return this.where;
+    }
+
+    /**
+     * Returns the ORDER BY clause of this SELECT statement.
+     *
+     * @return {Object[]} the sorts in the ORDER BY clause; an empty array if there
+     * is no ORDER BY clause
+     */
+    getOrderBy() {
+        return this.orderBy;
+    }
+
+    /**
+     * Returns the LIMIT operand of this SELECT statement.
+     *
+     * @return {Object} the LIMIT operand (a literal or a parameter), or null
+     */
+    getLimit() {
+        return this.limit;
+    }
+
+    /**
+     * Returns the SKIP operand of this SELECT statement.
+     *
+     * @return {Object} the SKIP operand (a literal or a parameter), or null
+     */
+    getSkip() {
+        return this.skip;
+    }
+
+    /**
+     * Returns the names of the parameters used by this SELECT statement.
+     *
+     * @return {string[]} the names of the parameters
+     */
+    getParameters() {
+        return this.parameters;
+    }
+
+    /**
+     * Returns a new object representing this Select that is
+     * suitable for serializing as JSON.
+     * @return {Object} A new object suitable for serializing as JSON.
+     */
+    toJSON() {
+        let result = {
+            text: this.text,
+            resource: this.resource,
+            parameters: this.parameters
+        };
+        return result;
+    }
+}
+
+module.exports = Select;
@@ -0,0 +1,124 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const QueryFile = require('./query/queryfile');
+
+/**
+ * <p>
+ * Manages a set of named queries, and builds queries at runtime.
+ * </p>
+ * @private
+ * @class
+ * @memberof module:composer-common
+ */
+class QueryManager {
+
+    /**
+     * Create the QueryManager.
+     * <p>
+     * <strong>Note: Only to be called by framework code. Applications should
+     * retrieve instances from {@link BusinessNetworkDefinition}</strong>
+     * </p>
+     * @param {ModelManager} modelManager - The ModelManager to use for this QueryManager
+     */
+    constructor(modelManager) {
+        this.modelManager = modelManager;
+        this.queryFile = null;
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {Object} visitor - the visitor
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    accept(visitor,parameters) {
+        return visitor.visit(this, parameters);
+    }
+
+    /**
+     * Create a query file using the specified ID and contents.
+     * @param {string} identifier The identifier of the query file.
+     * @param {string} contents The contents of the query file.
+     * @return {QueryFile} The new query file.
+     */
+    createQueryFile(identifier, contents) {
+        return new QueryFile(identifier, this.modelManager, contents);
+    }
+
+    /**
+     * Set the QueryFile for this QueryManager
+     * @param {QueryFile} queryFile  - the QueryFile to associate with this QueryManager
+     * @private
+     */
+    setQueryFile(queryFile) {
+        queryFile.validate();
+        this.queryFile = queryFile;
+    }
+
+    /**
+     * Get the QueryFile associated with this QueryManager
+     * @return {QueryFile} The QueryFile for this QueryManager or null if it has not been set
+     */
+    getQueryFile() {
+        return this.queryFile;
+    }
+
+    /**
+     * Get the named queries associated with this QueryManager
+     * @return {Query[]} The queries for the QueryManager or an empty array if not set
+     */
+    getQueries() {
+        if(this.queryFile) {
+            return this.queryFile.getQueries();
+        }
+        return [];
+    }
+
+    /**
+     * Get the named query associated with this QueryManager
+     * @param {string} name The name of the query
+     * @return {Query} The query, or null if it does not exist
+     */
+    getQuery(name) {
+        if(this.queryFile) {
+            return this.queryFile.getQuery(name);
+        }
+        return null;
+    }
+
+    /**
+     * Build an unnamed query from a single SELECT statement, and validate it
+     * against the models in the ModelManager.
+     * @param {string} statement The SELECT statement
+     * @return {Query} The new query
+     */
+    buildQuery(statement) {
+        const queryFile = this.queryFile || this.createQueryFile(null, '');
+        return queryFile.buildQuery(statement);
+    }
+
+    /**
+     * Stop serialization of this object.
+     * @return {Object} An empty object.
+     */
+    toJSON() {
+        return {};
+    }
+}
+
+module.exports = QueryManager;
@@ -133,6 +133,56 @@ class ScriptManager {
         return Object.keys(this.scripts);
     }
 
+    /**
+     * Get the type of the value returned to the submitter of a transaction by
+     * the transaction processor functions that process the transaction.
+     * @param {string} transactionType - the fully qualified name of the transaction type
+     * @return {string} the return type, or null if the transaction processor
+     * functions do not return a value
+     * @throws {Error} if the transaction processor functions declare different
+     * return types
+     * @private
+     */
+    getTransactionReturnType(transactionType) {
+        let result = null;
+        this.getScripts().forEach((script) => {
+            script.getFunctionDeclarations().forEach((func) => {
+                const returnType = func.getTransactionReturnType();
+                if (!returnType || func.getParameterTypes()[0] !== transactionType) {
+                    return;
+                } else if (result && result !== returnType) {
+                    throw new Error(`The transaction processor functions for ${transactionType} return different types ${result} and ${returnType}`);
+                }
+                result = returnType;
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Get the names of the migration functions, which migrate the stored
+     * resources of a type when the business network is updated.
+     * @return {Object} the names of the migration functions, keyed by the
+     * fully qualified name of the type that they migrate
+     * @throws {Error} if there is more than one migration function for a type
+     * @private
+     */
+    getMigrationFunctionNames() {
+        let result = {};
+        this.getScripts().forEach((script) => {
+            script.getFunctionDeclarations().forEach((func) => {
+                const migrationType = func.getMigrationType();
+                if (!migrationType) {
+                    return;
+                } else if (result[migrationType]) {
+                    throw new Error(`The migration functions ${result[migrationType]} and ${func.getName()} both migrate ${migrationType}`);
+                }
+                result[migrationType] = func.getName();
+            });
+        });
+        return result;
+    }
+
     /**
      * Stop serialization of this object.
      * @return {Object} An empty object.
@@ -14,6 +14,7 @@
 
 'use strict';
 
+const Concept = require('./model/concept');
 const Resource = require('./model/resource');
 const Globalize = require('./globalize');
 const JSONGenerator = require('./serializer/jsongenerator');
@@ -52,8 +53,8 @@ class Serializer {
 
     /**
      * <p>
-     * Convert a {@link Resource} to a JavaScript object suitable for long-term
-     * peristent storage.
+     * Convert a {@link Resource} or {@link Concept} to a JavaScript object suitable
+     * for long-term peristent storage.
      * </p>
      * @param {Resource} resource - The instance to convert to JSON
      * @param {Object} options - the optional serialization options.
@@ -65,11 +66,11 @@ class Serializer {
      * place of relationships (serializing them as resources), false by default.
      * @return {Object} - The Javascript Object that represents the resource
      * @throws {Error} - throws an exception if resource is not an instance of
-     * Resource or fails validation.
+     * Resource or Concept, or fails validation.
      */
     toJSON(resource, options) {
         // correct instance type
-        if(!(resource instanceof Resource)) {
+        if(!(resource instanceof Resource) && !(resource instanceof Concept)) {
             throw new Error(Globalize.formatMessage('serializer-tojson-notcobject'));
         }
 
@@ -111,7 +112,7 @@ class Serializer {
     }
 
     /**
-     * Create a {@link Resource} from a JavaScript Object representation.
+     * Create a {@link Resource} or {@link Concept} from a JavaScript Object representation.
      * The JavaScript Object should have been created by calling the
      * {@link Serializer#toJSON toJSON} API.
      *
@@ -138,8 +139,14 @@ class Serializer {
         options = options || {};
 
         // create a new instance, using the identifier field name as the ID.
-        let resource = this.factory.newResource( classDeclaration.getModelFile().getNamespace(),
-          classDeclaration.getName(), jsonObject[classDeclaration.getIdentifierFieldName()] );
+        let resource;
+        if (classDeclaration.isConcept()) {
+            resource = this.factory.newConcept(classDeclaration.getModelFile().getNamespace(),
+              classDeclaration.getName());
+        } else {
+            resource = this.factory.newResource( classDeclaration.getModelFile().getNamespace(),
+              classDeclaration.getName(), jsonObject[classDeclaration.getIdentifierFieldName()] );
+        }
 
         // populate the resource based on the jsonObject
         // by walking the classDeclaration
@@ -80,9 +80,16 @@ class InstanceGenerator {
      * @private
      */
     visitField(field, parameters) {
-        if (field.isArray()) {
-            let result = [];
+        if (field.isMap()) {
+            let result = {};
             for (let i = 0; i < 3; i++) {
+                result[randomWords()] = this.getSampleValue(field, parameters);
+            }
+            return result;
+        } else if (field.isArray()) {
+            let result = [];
+            let size = this.getSampleArraySize(field);
+            for (let i = 0; i < size; i++) {
                 result.push(this.getSampleValue(field, parameters));
             }
             return result;
@@ -91,6 +98,85 @@ class InstanceGenerator {
         }
     }
 
+    /**
+     * Get the number of elements to generate for the specified array field,
+     * honouring any size declared for the field.
+     * @param {Field} field - the object being visited
+     * @return {number} The number of elements to generate.
+     */
+    getSampleArraySize(field) {
+        let size = 3;
+        let arraySizeValidator = field.getArraySizeValidator();
+        if (arraySizeValidator) {
+            if (arraySizeValidator.getMinSize() !== null) {
+                size = Math.max(size, arraySizeValidator.getMinSize());
+            }
+            if (arraySizeValidator.getMaxSize() !== null) {
+                size = Math.min(size, arraySizeValidator.getMaxSize());
+            }
+        }
+        return size;
+    }
+
+    /**
+     * Get a sample number for the specified field, honouring any range
+     * declared for the field.
+     * @param {Field} field - the object being visited
+     * @param {number} span - the span of the sample numbers if no range is declared.
+     * @return {number} A sample number for the specified field.
+     */
+    getSampleNumber(field, span) {
+        let validator = field.getValidator();
+        let lower = validator ? validator.getLowerBound() : null;
+        let upper = validator ? validator.getUpperBound() : null;
+        let min = lower !== null ? lower : (upper !== null ? Math.min(0, upper - span) : 0);
+        let max = upper !== null ? upper : min + span;
+        let value = min + Math.random() * (max - min);
+        if (field.getType() === 'Double') {
+            value = Number(value.toFixed(3));
+        } else {
+            value = Math.round(value);
+        }
+        return Math.min(Math.max(value, min), max);
+    }
+
+    /**
+     * Get a sample date/time for the specified field, honouring any range
+     * declared for the field.
+     * @param {Field} field - the object being visited
+     * @return {Date} A sample date/time for the specified field.
+     */
+    getSampleDateTime(field) {
+        let validator = field.getValidator();
+        let lower = validator ? validator.getLowerBound() : null;
+        let upper = validator ? validator.getUpperBound() : null;
+        let min = lower ? lower.getTime() : (upper ? Math.min(0, upper.getTime() - Date.now()) : 0);
+        let max = upper ? upper.getTime() : min + Date.now();
+        return new Date(min + Math.random() * (max - min));
+    }
+
+    /**
+     * Get a sample string for the specified field, honouring any length
+     * declared for the field.
+     * @param {Field} field - the object being visited
+     * @return {string} A sample string for the specified field.
+     */
+    getSampleString(field) {
+        let value = randomWords({min: 1, max: 5}).join(' ');
+        let validator = field.getValidator();
+        if (validator) {
+            let minLength = validator.getMinLength();
+            let maxLength = validator.getMaxLength();
+            while (minLength !== null && value.length < minLength) {
+                value += ' ' + randomWords();
+            }
+            if (maxLength !== null) {
+                value = value.substring(0, maxLength);
+            }
+        }
+        return value;
+    }
+
     /**
      * Get a sample value for the specified field.
      * @param {Field} field - the object being visited
@@ -102,17 +188,17 @@ class InstanceGenerator {
         if (ModelUtil.isPrimitiveType(type)) {
             switch(type) {
             case 'DateTime':
-                return new Date(Math.random() * Date.now());
+                return this.getSampleDateTime(field);
             case 'Integer':
-                return Math.round(Math.random() * Math.pow(2, 16));
+                return this.getSampleNumber(field, Math.pow(2, 16));
             case 'Long':
-                return Math.round(Math.random() * Math.pow(2, 32));
+                return this.getSampleNumber(field, Math.pow(2, 32));
             case 'Double':
-                return Number((Math.random() * Math.pow(2, 8)).toFixed(3));
+                return this.getSampleNumber(field, Math.pow(2, 8));
             case 'Boolean':
                 return Math.round(Math.random()) === 1;
             default:
-                return randomWords({min: 1, max: 5}).join(' ');
+                return this.getSampleString(field);
             }
         }
         let classDeclaration = parameters.modelManager.getType(type);
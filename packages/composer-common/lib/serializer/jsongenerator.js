@@ -108,7 +108,23 @@ class JSONGenerator {
         const obj = parameters.stack.pop();
         parameters.writer.writeKey(field.getName());
 
-        if(field.isArray()) {
+        if(field.isMap()) {
+            parameters.writer.openObject();
+            Object.keys(obj).forEach((key) => {
+                const item = obj[key];
+                parameters.writer.writeKey(key);
+                if(!field.isPrimitive() && !ModelUtil.isEnum(field)) {
+                    parameters.stack.push(item, Typed);
+                    const classDecl = parameters.modelManager.getType(item.getFullyQualifiedType());
+                    classDecl.accept(this, parameters);
+                }
+                else {
+                    parameters.writer.writeValue(this.convertToJSON(field,item));
+                }
+            });
+            parameters.writer.closeObject();
+        }
+        else if(field.isArray()) {
             parameters.writer.openArray();
             for(let n=0; n < obj.length; n++) {
                 const item = obj[n];
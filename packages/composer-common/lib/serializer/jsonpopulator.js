@@ -96,7 +96,13 @@ class JSONPopulator {
         const jsonObj = parameters.jsonStack.pop();
         let result = null;
 
-        if(field.isArray()) {
+        if(field.isMap()) {
+            result = {};
+            Object.keys(jsonObj).forEach((key) => {
+                result[key] = this.convertItem(field, jsonObj[key], parameters);
+            });
+        }
+        else if(field.isArray()) {
             result = [];
             for(let n=0; n < jsonObj.length; n++) {
                 const jsonItem = jsonObj[n];
@@ -200,7 +200,10 @@ class ResourceValidator {
             ResourceValidator.reportFieldTypeViolation(parameters.rootResourceIdentifier, propName, obj, field);
         }
 
-        if(field.isTypeEnum()) {
+        if(field.isMap()) {
+            this.checkMap(obj, field,parameters);
+        }
+        else if(field.isTypeEnum()) {
             this.checkEnum(obj, field,parameters);
         }
         else {
@@ -228,6 +231,10 @@ class ResourceValidator {
             ResourceValidator.reportFieldTypeViolation(parameters.rootResourceIdentifier, field.getName(), obj, field);
         }
 
+        if(field.isArray()) {
+            this.checkArraySize(obj, field);
+        }
+
         const enumDeclaration = field.getParent().getModelFile().getType(field.getType());
 
         if(field.isArray()) {
@@ -244,6 +251,34 @@ class ResourceValidator {
         }
     }
 
+    /**
+     * Check a Field that is declared as a Map.
+     * @param {Object} obj - the object being validated
+     * @param {Field} field - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    checkMap(obj,field,parameters) {
+
+        const prototype = (obj !== null && typeof obj === 'object') ? Object.getPrototypeOf(obj) : undefined;
+        if(prototype !== Object.prototype && prototype !== null) {
+            ResourceValidator.reportFieldTypeViolation(parameters.rootResourceIdentifier, field.getName(), obj, field);
+        }
+
+        const enumDeclaration = field.isTypeEnum() ? field.getParent().getModelFile().getType(field.getType()) : null;
+
+        Object.keys(obj).forEach((key) => {
+            const item = obj[key];
+            if(enumDeclaration) {
+                parameters.stack.push(item);
+                enumDeclaration.accept(this, parameters);
+            }
+            else {
+                this.checkItem(item, field, parameters);
+            }
+        });
+    }
+
     /**
      * Check a Field that is declared as an Array.
      * @param {Object} obj - the object being validated
@@ -257,12 +292,27 @@ class ResourceValidator {
             ResourceValidator.reportFieldTypeViolation(parameters.rootResourceIdentifier, field.getName(), obj, field);
         }
 
+        this.checkArraySize(obj, field);
+
         for(let n=0; n < obj.length; n++) {
             const item = obj[n];
             this.checkItem(item, field, parameters);
         }
     }
 
+    /**
+     * Check the number of elements in a Field that is declared as an Array.
+     * @param {Object} obj - the array being validated
+     * @param {Field} field - the object being visited
+     * @private
+     */
+    checkArraySize(obj,field) {
+        const arraySizeValidator = field.getArraySizeValidator();
+        if(arraySizeValidator) {
+            arraySizeValidator.validate(this.currentIdentifier, obj);
+        }
+    }
+
     /**
      * Check a single (non-array) field.
      * @param {Object} obj - the object being validated
@@ -411,6 +461,7 @@ class ResourceValidator {
      */
     static reportFieldTypeViolation(id, propName, value, field) {
         let isArray = field.isArray() ? '[]' : '';
+        let fieldType = field.isMap() ? `Map<${field.getKeyType()}, ${field.getType()}>` : field.getType() + isArray;
         let typeOfValue = typeof value;
 
         if(value instanceof Identifiable) {
@@ -432,7 +483,7 @@ class ResourceValidator {
         throw new ValidationException(formatter({
             resourceId: id,
             propertyName: propName,
-            fieldType: field.getType() + isArray,
+            fieldType: fieldType,
             value: value,
             typeOfValue: typeOfValue
         }));
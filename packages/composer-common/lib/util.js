@@ -96,6 +96,32 @@ class Util {
         return(typeof(obj) === 'undefined' || obj === null);
     }
 
+    /**
+     * Returns true if the two values are equal, comparing the keys and values
+     * of objects and the elements of arrays. Unlike comparing the JSON
+     * representations, the order of the keys of objects is not significant.
+     * @param {*} value1 - the first value
+     * @param {*} value2 - the second value
+     * @returns {boolean} true if the values are equal
+     */
+    static deepEqual(value1, value2) {
+        if (value1 === value2) {
+            return true;
+        } else if (typeof value1 !== 'object' || typeof value2 !== 'object' || value1 === null || value2 === null) {
+            return false;
+        } else if (Array.isArray(value1) !== Array.isArray(value2)) {
+            return false;
+        }
+        const keys1 = Object.keys(value1);
+        const keys2 = Object.keys(value2);
+        if (keys1.length !== keys2.length) {
+            return false;
+        }
+        return keys1.every((key) => {
+            return value2.hasOwnProperty(key) && Util.deepEqual(value1[key], value2[key]);
+        });
+    }
+
 }
 
 module.exports = Util;
@@ -17,6 +17,7 @@
 const AclFile = require('../../lib/acl/aclfile');
 const parser = require('../../lib/acl/parser');
 const ModelManager = require('../../lib/modelmanager');
+const ParseException = require('../../lib/introspect/parseexception');
 const fs = require('fs');
 const path = require('path');
 
@@ -80,7 +81,7 @@ describe('AclFile', () => {
         it('should throw a ParseException on invalid input', () => {
             (() => {
                 new AclFile('test.acl', modelManager, invalidAcl);
-            }).should.throw(/Line 5/);
+            }).should.throw(ParseException, /but "\\"" found\. Line 5 column 15$/);
         });
     });
 
@@ -88,7 +89,7 @@ describe('AclFile', () => {
 
         it('should parse correctly and preserve order', () => {
             const aclFile = new AclFile('test.acl', modelManager, testAcl);
-            aclFile.getAclRules().length.should.equal(5);
+            aclFile.getAclRules().length.should.equal(9);
             aclFile.getDefinitions().should.equal(testAcl);
 
             const r1 = aclFile.getAclRules()[0];
@@ -96,6 +97,10 @@ describe('AclFile', () => {
             const r3 = aclFile.getAclRules()[2];
             const r4 = aclFile.getAclRules()[3];
             const r5 = aclFile.getAclRules()[4];
+            const r6 = aclFile.getAclRules()[5];
+            const r7 = aclFile.getAclRules()[6];
+            const r8 = aclFile.getAclRules()[7];
+            const r9 = aclFile.getAclRules()[8];
 
             // check names
             r1.getName().should.equal('R1');
@@ -112,6 +117,9 @@ describe('AclFile', () => {
             r3.getNoun().getFullyQualifiedName().should.equal('org.acme.Car.owner');
             r4.getNoun().getFullyQualifiedName().should.equal('org.acme.Car');
             r5.getNoun().getFullyQualifiedName().should.equal('org.acme');
+            r8.getNoun().getFullyQualifiedName().should.equal('org.acme.Car');
+            (r8.getNoun().getInstanceIdentifier() === null).should.be.true;
+            r8.getNoun().getPropertyName().should.equal('owner');
 
             // check verbs
             r1.getVerb().should.equal('DELETE');
@@ -133,12 +141,27 @@ describe('AclFile', () => {
             (r4.getParticipant().getVariableName() === null).should.be.true;
             (r5.getParticipant() === null).should.be.true;
 
+            // check transactions
+            (r1.getTransaction() === null).should.be.true;
+            (r2.getTransaction() === null).should.be.true;
+            r6.getTransaction().getFullyQualifiedName().should.equal('org.acme.ChangeOwner');
+            (r6.getTransaction().getVariableName() === null).should.be.true;
+            r7.getTransaction().getFullyQualifiedName().should.equal('org.acme.ChangeOwner');
+            r7.getTransaction().getVariableName().should.equal('tx');
+
+            // check identities
+            (r7.getIdentityVariableName() === null).should.be.true;
+            r9.getIdentityVariableName().should.equal('i');
+
             // check predicates
             r1.getPredicate().getExpression().should.equal('true');
             r2.getPredicate().getExpression().should.equal('c.owner == r');
             r3.getPredicate().getExpression().should.equal('o == d');
             r4.getPredicate().getExpression().should.equal('true');
             r5.getPredicate().getExpression().should.equal('true');
+            r6.getPredicate().getExpression().should.equal('true');
+            r7.getPredicate().getExpression().should.equal('c.owner == d && tx.car.getIdentifier() == c.getIdentifier()');
+            r9.getPredicate().getExpression().should.equal('c.organization == i.attributes.organization');
 
             // check action
             r1.getAction().should.equal('ALLOW');
@@ -77,6 +77,30 @@ describe('AclRule', () => {
             aclRule = new AclRule( aclFile, ast );
             aclRule.validate();
         });
+
+        it('should validate correct contents with a transaction', () => {
+            mockModelFile.getLocalType.withArgs('ChangeOwner').returns('fake');
+            const txAst = Object.assign({}, ast, {'transaction':{'type':'Binding','qualifiedName':'org.acme.ChangeOwner','instanceId':null,'variableName':null},'transactionVariable':{'type':'Identifier','name':'tx'}});
+            aclRule = new AclRule( aclFile, txAst );
+            aclRule.validate();
+            aclRule.getTransaction().getFullyQualifiedName().should.equal('org.acme.ChangeOwner');
+            aclRule.getTransaction().getVariableName().should.equal('tx');
+        });
+
+        it('should validate correct contents with an identity', () => {
+            const identityAst = Object.assign({}, ast, {'identityVariable':{'type':'Identifier','name':'i'}});
+            aclRule = new AclRule( aclFile, identityAst );
+            aclRule.validate();
+            aclRule.getIdentityVariableName().should.equal('i');
+        });
+
+        it('should throw for a transaction that does not exist', () => {
+            const txAst = Object.assign({}, ast, {'transaction':{'type':'Binding','qualifiedName':'org.acme.NoSuchTransaction','instanceId':null,'variableName':null}});
+            aclRule = new AclRule( aclFile, txAst );
+            (() => {
+                aclRule.validate();
+            }).should.throw(/Failed to find class org.acme.NoSuchTransaction/);
+        });
     });
 
     describe('#accept', () => {
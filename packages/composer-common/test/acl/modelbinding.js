@@ -38,6 +38,10 @@ describe('ModelBinding', () => {
     const missingClass = {'type':'Binding','qualifiedName':'org.acme.Missing','instanceId':'ABC123','variableName':{'type':'Identifier','name':'dan'}};
     const missingNamespace = {'type':'Binding','qualifiedName':'org.missing.Missing'};
     const missingProperty = {'type':'Binding','qualifiedName':'org.acme.Car.missing','instanceId':'ABC123','variableName':{'type':'Identifier','name':'dan'}};
+    const wildcardProperty = {'type':'Binding','qualifiedName':'org.acme.Car','instanceId':null,'propertyName':'owner'};
+    const wildcardMissingProperty = {'type':'Binding','qualifiedName':'org.acme.Car','instanceId':null,'propertyName':'missing'};
+    const wildcardMissingClass = {'type':'Binding','qualifiedName':'org.acme.Missing','instanceId':null,'propertyName':'owner'};
+    const wildcardMissingNamespace = {'type':'Binding','qualifiedName':'org.missing.Missing','instanceId':null,'propertyName':'owner'};
     const missing = {'type':'Binding','qualifiedName':'org.missing.Missing','instanceId':'ABC123','variableName':{'type':'Identifier','name':'dan'}};
 
     beforeEach(() => {
@@ -49,6 +53,7 @@ describe('ModelBinding', () => {
         mockModelManager.getModelFile.withArgs('org.acme').returns(mockModelFile);
         mockModelFile.getLocalType.withArgs('Car').returns(mockClassDeclaration);
         mockModelFile.getLocalType.withArgs('Driver').returns(mockClassDeclaration);
+        mockClassDeclaration.getProperty.withArgs('owner').returns({});
         aclRule = sinon.createStubInstance(AclRule);
         aclRule.getAclFile.returns(aclFile);
         sandbox = sinon.sandbox.create();
@@ -118,6 +123,48 @@ describe('ModelBinding', () => {
                 modelBinding.validate();
             }).should.throw(/Failed to find property org.acme.Car.missing/);
         });
+
+        it('should resolve a reference to a property of a class', () => {
+            const property = {'type':'Binding','qualifiedName':'org.acme.Car.owner','instanceId':'ABC123'};
+            modelBinding = new ModelBinding( aclRule, property );
+            (modelBinding.getPropertyName() === null).should.be.true;
+            modelBinding.validate();
+            modelBinding.getFullyQualifiedName().should.equal('org.acme.Car');
+            modelBinding.getInstanceIdentifier().should.equal('ABC123');
+            modelBinding.getPropertyName().should.equal('owner');
+            modelBinding.validate();
+            modelBinding.getFullyQualifiedName().should.equal('org.acme.Car');
+        });
+
+        it('should validate a reference to a property of all instances of a class', () => {
+            modelBinding = new ModelBinding( aclRule, wildcardProperty, variableAst );
+            modelBinding.validate();
+            modelBinding.getFullyQualifiedName().should.equal('org.acme.Car');
+            (modelBinding.getInstanceIdentifier() === null).should.be.true;
+            modelBinding.getPropertyName().should.equal('owner');
+            modelBinding.toString().should.equal('ModelBinding org.acme.Car#*.owner:dan');
+        });
+
+        it('should detect reference to missing property of all instances of a class', () => {
+            (() => {
+                modelBinding = new ModelBinding( aclRule, wildcardMissingProperty );
+                modelBinding.validate();
+            }).should.throw(/Failed to find property org.acme.Car.missing/);
+        });
+
+        it('should detect reference to property of a missing class', () => {
+            (() => {
+                modelBinding = new ModelBinding( aclRule, wildcardMissingClass );
+                modelBinding.validate();
+            }).should.throw(/Failed to find class org.acme.Missing/);
+        });
+
+        it('should detect reference to property of a class in a missing namespace', () => {
+            (() => {
+                modelBinding = new ModelBinding( aclRule, wildcardMissingNamespace );
+                modelBinding.validate();
+            }).should.throw(/Failed to find class org.missing.Missing/);
+        });
     });
 
     describe('#accept', () => {
@@ -15,6 +15,7 @@
 'use strict';
 
 const BusinessNetworkDefinition = require('../lib/businessnetworkdefinition');
+const ParseException = require('../lib/introspect/parseexception');
 const fs = require('fs');
 require('chai').should();
 describe('BusinessNetworkDefinition', () => {
@@ -72,6 +73,10 @@ describe('BusinessNetworkDefinition', () => {
             businessNetworkDefinition.getScriptManager().should.not.be.null;
         });
 
+        it('should be able to retrieve query manager', () => {
+            businessNetworkDefinition.getQueryManager().should.not.be.null;
+        });
+
         it('should be able to retrieve model manager', () => {
             businessNetworkDefinition.getModelManager().should.not.be.null;
         });
@@ -101,6 +106,8 @@ describe('BusinessNetworkDefinition', () => {
                 Object.keys(businessNetwork.modelManager.modelFiles).should.have.length(3);
                 Object.keys(businessNetwork.scriptManager.scripts).should.have.length(2);
                 businessNetwork.aclManager.getAclRules().should.have.length(5);
+                businessNetwork.getQueryManager().getQueries().should.have.length(2);
+                businessNetwork.getQueryManager().getQuery('Q2').getParameters().should.deep.equal(['species', 'limit']);
 
                 const intro = businessNetwork.getIntrospector();
                 intro.getClassDeclarations().length.should.equal(25);
@@ -134,6 +141,22 @@ describe('BusinessNetworkDefinition', () => {
             });
         });
 
+        it('should be able to create a business network from a directory that imports a versioned npm dependency', () => {
+            return BusinessNetworkDefinition.fromDirectory(__dirname + '/data/zip/test-versioned-archive', { dependencyGlob: 'vehicle-model' }).then(businessNetwork => {
+                const modelManager = businessNetwork.getModelManager();
+                modelManager.getModelFiles().length.should.equal(2);
+                modelManager.getModelFile('org.acme.vehicle').getVersion().should.equal('1.2.0');
+                modelManager.getModelFile('org.acme.lease').getImportVersion('org.acme.vehicle.*').should.equal('^1.0.0');
+                modelManager.getType('org.acme.lease.Lease').getProperty('vehicle').getFullyQualifiedTypeName().should.equal('org.acme.vehicle.Vehicle');
+            });
+        });
+
+        it('should throw if a model file in an npm dependency declares a different version to the dependency', () => {
+            (() => {
+                BusinessNetworkDefinition.fromDirectory(__dirname + '/data/zip/test-versioned-archive');
+            }).should.throw(ParseException, /declares version 1.0.0 of namespace org.acme.conflicting, but version 2.0.0 of dependency conflicting-model is installed/);
+        });
+
         it('should be able to store business network as a ZIP archive (using fromArchive and toArchive)', () => {
             /*
              We first need to read a ZIP and create a business network.
@@ -147,9 +170,13 @@ describe('BusinessNetworkDefinition', () => {
                 businessNetwork.getMetadata().getREADME().should.equal('This is a test');
                 Object.keys(businessNetwork.modelManager.modelFiles).should.have.length(3);
                 Object.keys(businessNetwork.scriptManager.scripts).should.have.length(2);
+                businessNetwork.getQueryManager().getQueries().should.have.length(2);
 
                 return businessNetwork.toArchive().then(buffer => {
                     buffer.should.be.Buffer;
+                    return BusinessNetworkDefinition.fromArchive(buffer);
+                }).then((businessNetwork2) => {
+                    businessNetwork2.getQueryManager().getQueryFile().getDefinitions().should.equal(businessNetwork.getQueryManager().getQueryFile().getDefinitions());
                 });
             });
         });
@@ -52,5 +52,26 @@ describe('GoLangVisitor', function(){
             sinon.assert.calledWith(mockFileWriter.openFile, 'main.go');
             sinon.assert.calledWith(mockFileWriter.openFile, 'orgacme.go');
         });
+
+        it('should generate Go code for map fields', function() {
+            let modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.acme
+            concept Address {
+                o String city
+            }
+            asset Building identified by buildingId {
+                o String buildingId
+                o Map<String, Integer> floors
+                o Map<String, Address> addresses
+            }`);
+
+            let visitor = new GoLangVisitor();
+            let parameters = {};
+            parameters.fileWriter = mockFileWriter;
+            modelManager.accept(visitor, parameters);
+
+            sinon.assert.calledWith(mockFileWriter.writeLine, 1, 'Floors map[string]int32 `json:"floors"`');
+            sinon.assert.calledWith(mockFileWriter.writeLine, 1, 'Addresses map[string]Address `json:"addresses"`');
+        });
     });
 });
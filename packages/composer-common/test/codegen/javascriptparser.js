@@ -167,6 +167,32 @@ describe('JavascriptParser', () => {
             returns.should.equal('Animal[]');
         });
 
+        it('should return the type that a promise is resolved with', () => {
+            const comment = `
+            /**
+             * Sell the animal
+             * @param {org.acme.SellAnimal} sellAnimal - the transaction
+             * @returns {Promise.<org.acme.Receipt>} - the receipt for the sale
+            */
+           `;
+
+            const returns  = JavascriptParser.getReturnType(comment);
+            returns.should.equal('org.acme.Receipt');
+        });
+
+        it('should return the array type that a promise is resolved with', () => {
+            const comment = `
+            /**
+             * Sell the animals
+             * @param {org.acme.SellAnimals} sellAnimals - the transaction
+             * @returns {Promise.<Array.<org.acme.Receipt>>} - the receipts for the sale
+            */
+           `;
+
+            const returns  = JavascriptParser.getReturnType(comment);
+            returns.should.equal('org.acme.Receipt[]');
+        });
+
         it('should throw if there is more than one return/returns tag', () => {
             const comment = `
             /**
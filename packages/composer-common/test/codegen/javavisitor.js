@@ -0,0 +1,129 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+require('chai').should();
+const FunctionDeclaration = require('../../lib/introspect/functiondeclaration');
+const ModelManager = require('../../lib/modelmanager');
+const JavaVisitor = require('../../lib/codegen/fromcto/java/javavisitor');
+const Writer = require('../../lib/codegen/writer');
+
+const fs = require('fs');
+const path = require('path');
+const sinon = require('sinon');
+
+const MODELS_DIR = path.resolve(__dirname, '../data/codegen/models');
+const GOLDEN_DIR = path.resolve(__dirname, '../data/codegen/java');
+
+/**
+ * A writer that keeps the generated files in memory, keyed by their paths.
+ * @private
+ */
+class MemoryFileWriter extends Writer {
+
+    /**
+     * Constructor.
+     */
+    constructor() {
+        super();
+        this.files = {};
+        this.fileName = null;
+    }
+
+    /**
+     * Opens a file for writing.
+     * @param {string} fileName The name of the file.
+     */
+    openFile(fileName) {
+        this.fileName = fileName;
+    }
+
+    /**
+     * Opens a file for writing in a directory.
+     * @param {string} relativeDir The directory of the file.
+     * @param {string} fileName The name of the file.
+     */
+    openRelativeFile(relativeDir, fileName) {
+        this.fileName = relativeDir + '/' + fileName;
+    }
+
+    /**
+     * Closes the current file.
+     */
+    closeFile() {
+        this.files[this.fileName] = this.getBuffer();
+        this.fileName = null;
+        this.clearBuffer();
+    }
+
+}
+
+/**
+ * List the files in a directory and its subdirectories.
+ * @param {string} dir The directory.
+ * @return {string[]} The paths of the files, relative to the directory.
+ */
+function listFiles(dir) {
+    return fs.readdirSync(dir).reduce((result, name) => {
+        const file = path.resolve(dir, name);
+        if (fs.statSync(file).isDirectory()) {
+            return result.concat(listFiles(file).map((child) => name + '/' + child));
+        }
+        return result.concat(name);
+    }, []).sort();
+}
+
+describe('JavaVisitor', () => {
+
+    let modelManager;
+    let fileWriter;
+
+    beforeEach(() => {
+        const fileNames = fs.readdirSync(MODELS_DIR).sort();
+        modelManager = new ModelManager();
+        modelManager.addModelFiles(fileNames.map((fileName) => {
+            return fs.readFileSync(path.resolve(MODELS_DIR, fileName), 'utf8');
+        }), fileNames);
+        fileWriter = new MemoryFileWriter();
+    });
+
+    describe('#visit', () => {
+
+        it('should generate the same files as the golden files', () => {
+            modelManager.accept(new JavaVisitor(), { fileWriter: fileWriter });
+            Object.keys(fileWriter.files).sort().should.deep.equal(listFiles(GOLDEN_DIR));
+        });
+
+        listFiles(GOLDEN_DIR).forEach((fileName) => {
+            it('should generate Java code matching the golden file ' + fileName, () => {
+                modelManager.accept(new JavaVisitor(), { fileWriter: fileWriter });
+                fileWriter.files[fileName].should.equal(fs.readFileSync(path.resolve(GOLDEN_DIR, fileName), 'utf8'));
+            });
+        });
+
+        it('should ignore functions', () => {
+            const functionDeclaration = sinon.createStubInstance(FunctionDeclaration);
+            (new JavaVisitor().visit(functionDeclaration, { fileWriter: fileWriter }) === undefined).should.be.true;
+            fileWriter.getBuffer().should.equal('');
+        });
+
+        it('should throw for an unrecognised object', () => {
+            (() => {
+                new JavaVisitor().visit({ such: 'object' }, { fileWriter: fileWriter });
+            }).should.throw(/Unrecognised/);
+        });
+
+    });
+
+});
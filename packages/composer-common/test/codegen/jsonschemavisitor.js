@@ -210,6 +210,95 @@ describe('JSONSchemaVisitor', () => {
 
         });
 
+        it('should generate JSON Schema v4 files for map fields', () => {
+            modelManager.addModelFile(`namespace org.acme
+            concept Address {
+                o String city
+            }
+            asset Building identified by buildingId {
+                o String buildingId
+                o Map<String, Integer> floors
+                o Map<String, Address> addresses
+            }`);
+            modelManager.accept(visitor, { fileWriter: mockFileWriter });
+
+            let jsonSchema;
+            for (let x = 0; x < mockFileWriter.write.callCount; x++) {
+                if (mockFileWriter.openFile.getCall(x).calledWith('org.acme.Building.json')) {
+                    jsonSchema = JSON.parse(mockFileWriter.write.getCall(x).args[0]);
+                }
+            }
+            jsonSchema.properties.floors.should.deep.equal({
+                type: 'object',
+                additionalProperties: {
+                    type: 'integer'
+                }
+            });
+
+            const instance = {
+                $class: 'org.acme.Building',
+                buildingId: 'BUILDING_1',
+                floors: { ground: 0, first: 1 },
+                addresses: { home: { city: 'Winchester' } }
+            };
+            ajv.validate(jsonSchema, instance).should.be.true;
+            instance.floors.first = 'one';
+            ajv.validate(jsonSchema, instance).should.be.false;
+        });
+
+        it('should generate JSON Schema v4 files for fields with a length or size', () => {
+            modelManager.addModelFile(`namespace org.acme
+            asset Building identified by buildingId {
+                o String buildingId
+                o String name length=[2,10]
+                o String[] tags length=[,4] size=[1,]
+                o Integer[] floors size=[,3]
+            }`);
+            modelManager.accept(visitor, { fileWriter: mockFileWriter });
+
+            let jsonSchema;
+            for (let x = 0; x < mockFileWriter.write.callCount; x++) {
+                if (mockFileWriter.openFile.getCall(x).calledWith('org.acme.Building.json')) {
+                    jsonSchema = JSON.parse(mockFileWriter.write.getCall(x).args[0]);
+                }
+            }
+            jsonSchema.properties.name.should.deep.equal({ type: 'string', minLength: 2, maxLength: 10 });
+            jsonSchema.properties.tags.should.deep.equal({ type: 'array', items: { type: 'string', maxLength: 4 }, minItems: 1 });
+            jsonSchema.properties.floors.should.deep.equal({ type: 'array', items: { type: 'integer' }, maxItems: 3 });
+
+            const instance = {
+                $class: 'org.acme.Building',
+                buildingId: 'BUILDING_1',
+                name: 'Tower',
+                tags: ['tall'],
+                floors: [1, 2, 3]
+            };
+            ajv.validate(jsonSchema, instance).should.be.true;
+            instance.tags = [];
+            ajv.validate(jsonSchema, instance).should.be.false;
+        });
+
+        it('should generate JSON Schema v4 files with descriptions from decorators', () => {
+            modelManager.addModelFile(`namespace org.acme
+            @description("A building", "with floors")
+            asset Building identified by buildingId {
+                o String buildingId
+                @description("The name of the building") o String name
+                o Integer floors
+            }`);
+            modelManager.accept(visitor, { fileWriter: mockFileWriter });
+
+            let jsonSchema;
+            for (let x = 0; x < mockFileWriter.write.callCount; x++) {
+                if (mockFileWriter.openFile.getCall(x).calledWith('org.acme.Building.json')) {
+                    jsonSchema = JSON.parse(mockFileWriter.write.getCall(x).args[0]);
+                }
+            }
+            jsonSchema.description.should.equal('A building with floors');
+            jsonSchema.properties.name.should.deep.equal({ type: 'string', description: 'The name of the building' });
+            jsonSchema.properties.floors.should.deep.equal({ type: 'integer' });
+        });
+
     });
 
 });
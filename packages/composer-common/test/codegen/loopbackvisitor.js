@@ -196,6 +196,65 @@ describe('LoopbackVisitor', () => {
                     }]);
                 });
 
+                it('should generate a schema for an asset with map fields', () => {
+                    const modelFile = new ModelFile(modelManager, `
+                    namespace org.acme
+                    concept Address {
+                        o String city
+                    }
+                    asset MyAsset identified by assetId {
+                        o String assetId
+                        o Map<String, Integer> floors
+                        o Map<String, Address> addresses optional
+                    }
+                    `);
+                    const schemas = modelFile.accept(visitor, { fileWriter: mockFileWriter });
+                    const schema = schemas.find((schema) => {
+                        return schema.options.composer.name === 'MyAsset';
+                    });
+                    schema.properties.floors.should.deep.equal({
+                        type: 'object',
+                        required: true
+                    });
+                    schema.properties.addresses.should.deep.equal({
+                        type: 'object',
+                        required: false
+                    });
+                });
+
+                it('should generate a schema for an asset with fields with a length or size', () => {
+                    const modelFile = new ModelFile(modelManager, `
+                    namespace org.acme
+                    asset MyAsset identified by assetId {
+                        o String assetId
+                        o String name length=[2,10]
+                        o String[] tags length=[,4] size=[1,]
+                        o Integer[] floors size=[,3]
+                    }
+                    `);
+                    const schemas = modelFile.accept(visitor, { fileWriter: mockFileWriter });
+                    schemas[0].properties.name.should.deep.equal({ type: 'string', minLength: 2, maxLength: 10, required: true });
+                    schemas[0].properties.tags.should.deep.equal({ type: ['string'], maxLength: 4, minItems: 1, required: true });
+                    schemas[0].properties.floors.should.deep.equal({ type: ['number'], maxItems: 3, required: true });
+                });
+
+                it('should generate a schema for an asset with decorators', () => {
+                    const modelFile = new ModelFile(modelManager, `
+                    namespace org.acme
+                    @description("My asset")
+                    asset MyAsset identified by assetId {
+                        o String assetId
+                        @description("The name") o String name
+                        @ui.hidden o String secret
+                        @ui.hidden --> MyAsset other optional
+                    }
+                    `);
+                    const schemas = modelFile.accept(visitor, { fileWriter: mockFileWriter });
+                    schemas[0].description.should.equal('My asset');
+                    schemas[0].properties.name.should.deep.equal({ type: 'string', description: 'The name', required: true });
+                    schemas[0].hidden.should.deep.equal(['secret', 'other']);
+                });
+
                 it('should generate two schemas for an asset that extends another asset', () => {
                     const modelFile = new ModelFile(modelManager, `
                     namespace org.acme
@@ -21,6 +21,7 @@ const FileWriter = require('../../lib/codegen/filewriter');
 
 const fs = require('fs');
 const path = require('path');
+const sinon = require('sinon');
 
 describe('PlantUMLVisitor', function(){
 
@@ -44,5 +45,27 @@ describe('PlantUMLVisitor', function(){
             // check the file exists
             fs.accessSync('./out/mozart/model.uml', fs.F_OK);
         });
+
+        it('should generate PlantUML code for map fields', function() {
+            const mockFileWriter = sinon.createStubInstance(FileWriter);
+            const businessNetworkDefinition = new BusinessNetworkDefinition('org.acme@1.0.0', 'Map Network');
+            businessNetworkDefinition.getModelManager().addModelFile(`namespace org.acme
+            concept Address {
+                o String city
+            }
+            asset Building identified by buildingId {
+                o String buildingId
+                o Map<String, Integer> floors
+                o Map<String, Address> addresses
+            }`);
+
+            let visitor = new PlantUMLVisitor();
+            let parameters = {};
+            parameters.fileWriter = mockFileWriter;
+            businessNetworkDefinition.accept(visitor, parameters);
+
+            sinon.assert.calledWith(mockFileWriter.writeLine, 1, '+ Map<String, Integer> floors');
+            sinon.assert.calledWith(mockFileWriter.writeLine, 1, '+ Map<String, Address> addresses');
+        });
     });
 });
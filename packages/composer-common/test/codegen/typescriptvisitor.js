@@ -52,5 +52,80 @@ describe('TypescriptVisitor', function(){
             sinon.assert.calledWith(mockFileWriter.openFile, 'concerto.ts');
             sinon.assert.calledWith(mockFileWriter.openFile, 'org.acme.ts');
         });
+
+        it('should generate Typescript code for map fields', function() {
+            let modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.acme
+            concept Address {
+                o String city
+            }
+            asset Building identified by buildingId {
+                o String buildingId
+                o Map<String, Integer> floors
+                o Map<String, Address> addresses
+            }`);
+
+            let visitor = new TypescriptVisitor();
+            let parameters = {};
+            parameters.fileWriter = mockFileWriter;
+            modelManager.accept(visitor, parameters);
+
+            sinon.assert.calledWith(mockFileWriter.writeLine, 2, 'floors: { [key: string]: number };');
+            sinon.assert.calledWith(mockFileWriter.writeLine, 2, 'addresses: { [key: string]: Address };');
+        });
+
+        it('should generate doc comments for description and deprecated decorators', function() {
+            let modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.acme
+            @description("A state")
+            enum State {
+                @deprecated o OLD
+                o NEW
+            }
+            @description("A building") @deprecated("Use Tower")
+            asset Building identified by buildingId {
+                o String buildingId
+                @description("The floors") o Integer floors
+                @deprecated --> Building next
+            }`);
+
+            let visitor = new TypescriptVisitor();
+            let parameters = {};
+            parameters.fileWriter = mockFileWriter;
+            modelManager.accept(visitor, parameters);
+
+            const lines = mockFileWriter.writeLine.getCalls().filter((call) => {
+                return call.args[0] > 0;
+            }).map((call) => {
+                return call.args;
+            });
+            lines.should.deep.equal([
+                [1, '/**'],
+                [1, ' * A state'],
+                [1, ' */'],
+                [1, 'export enum State {'],
+                [2, '/**'],
+                [2, ' * @deprecated '],
+                [2, ' */'],
+                [2, 'OLD,'],
+                [2, 'NEW,'],
+                [1, '}'],
+                [1, '/**'],
+                [1, ' * A building'],
+                [1, ' * @deprecated Use Tower'],
+                [1, ' */'],
+                [1, 'export class Building {'],
+                [2, 'buildingId: string;'],
+                [2, '/**'],
+                [2, ' * The floors'],
+                [2, ' */'],
+                [2, 'floors: number;'],
+                [2, '/**'],
+                [2, ' * @deprecated '],
+                [2, ' */'],
+                [2, 'next: Building;'],
+                [1, '}']
+            ]);
+        });
     });
 });
@@ -373,13 +373,13 @@ describe('Globalization', function() {
 
         it('check message in toJSON()', function() {
             let formatter = Globalize.messageFormatter('serializer-tojson-notcobject');
-            formatter().should.equal('Serializer.toJSON only accepts instances of Resource.');
+            formatter().should.equal('Serializer.toJSON only accepts instances of Resource or Concept.');
 
             const modelManager = new ModelManager();
             expect(function() {
                 let serializer = new Serializer(true, modelManager);
                 serializer.toJSON({});
-            }).to.throw(Error, 'Serializer.toJSON only accepts instances of Resource.');
+            }).to.throw(Error, 'Serializer.toJSON only accepts instances of Resource or Concept.');
         });
     });
 
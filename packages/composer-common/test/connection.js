@@ -16,6 +16,7 @@
 
 const Connection = require('../lib/connection');
 const ConnectionManager = require('../lib/connectionmanager');
+const EventEmitter = require('events');
 
 const chai = require('chai');
 chai.should();
@@ -50,6 +51,11 @@ describe('Connection', () => {
             c.connectionManager.should.equal(mockConnectionManager);
         });
 
+        it('should create an event emitter', () => {
+            let c = new Connection(mockConnectionManager, 'debFabric1', 'org.acme.Business');
+            c.should.be.an.instanceOf(EventEmitter);
+        });
+
     });
 
     describe('#getConnectionManager', () => {
@@ -18,6 +18,9 @@ const ConnectionProfileManager = require('../lib/connectionprofilemanager');
 const ConnectionProfileStore = require('../lib/connectionprofilestore');
 const ConnectionManager = require('../lib/connectionmanager');
 const Connection = require('../lib/connection');
+const EncryptedFileWallet = require('../lib/encryptedfilewallet');
+const FileWallet = require('../lib/filewallet');
+const Wallet = require('../lib/wallet');
 
 const chai = require('chai');
 chai.should();
@@ -38,6 +41,7 @@ describe('ConnectionProfileManager', () => {
     afterEach(() => {
         mockery.deregisterAll();
         ConnectionProfileManager.removeAllConnectionManagers();
+        ConnectionProfileManager.removeAllWallets();
     });
 
     describe('#construct', () => {
@@ -164,8 +168,81 @@ describe('ConnectionProfileManager', () => {
             return cpm.connect( 'foo', 'myNetwork' )
             .then((connection) => {
                 connection.should.equal(stubConnection);
+                sinon.assert.calledWith(connectionManager.connect, 'foo', 'myNetwork', profile, null);
             });
         });
+
+        it('should pass the wallet specified by the connection profile to the connection manager', () => {
+            const store = sinon.createStubInstance(ConnectionProfileStore);
+            const profile = {type: 'foo', data : 'data', wallet: { type: 'file', directory: '/tmp/wallet' }};
+            store.load.returns( Promise.resolve(profile) );
+            const connectionManager = sinon.createStubInstance(ConnectionManager);
+            const stubConnection = sinon.createStubInstance(Connection);
+            connectionManager.connect.returns(stubConnection);
+            let cpm = new ConnectionProfileManager(store);
+            cpm.addConnectionManager( 'foo', connectionManager);
+            return cpm.connect( 'foo', 'myNetwork' )
+            .then((connection) => {
+                connection.should.equal(stubConnection);
+                sinon.assert.calledWith(connectionManager.connect, 'foo', 'myNetwork', profile, sinon.match.instanceOf(FileWallet));
+                connectionManager.connect.args[0][3].directory.should.equal('/tmp/wallet');
+            });
+        });
+    });
+
+    describe('#createWallet', () => {
+
+        let cpm;
+
+        beforeEach(() => {
+            const store = sinon.createStubInstance(ConnectionProfileStore);
+            cpm = new ConnectionProfileManager(store);
+        });
+
+        it('should create a file wallet', () => {
+            let wallet = cpm.createWallet({ type: 'file', directory: '/tmp/wallet' });
+            wallet.should.be.an.instanceOf(FileWallet);
+            wallet.directory.should.equal('/tmp/wallet');
+        });
+
+        it('should create an encrypted file wallet', () => {
+            let wallet = cpm.createWallet({ type: 'encrypted', directory: '/tmp/wallet', passphrase: 'such secret' });
+            wallet.should.be.an.instanceOf(EncryptedFileWallet);
+            wallet.directory.should.equal('/tmp/wallet');
+            wallet.passphrase.should.equal('such secret');
+        });
+
+        it('should create a registered wallet', () => {
+            /** Test wallet class. */
+            class TestWallet extends Wallet {
+                /**
+                 * Constructor.
+                 * @param {Object} options The options.
+                 */
+                constructor(options) {
+                    super();
+                    this.options = options;
+                }
+            }
+            ConnectionProfileManager.registerWallet('test', TestWallet);
+            let wallet = cpm.createWallet({ type: 'test', foo: 'bar' });
+            wallet.should.be.an.instanceOf(TestWallet);
+            wallet.options.should.deep.equal({ type: 'test', foo: 'bar' });
+        });
+
+        it('should prefer a registered wallet over a built-in wallet', () => {
+            const wallet = sinon.createStubInstance(Wallet);
+            const ctor = sinon.stub().returns(wallet);
+            ConnectionProfileManager.registerWallet('file', ctor);
+            cpm.createWallet({ type: 'file' }).should.equal(wallet);
+        });
+
+        it('should throw for an unknown wallet type', () => {
+            (() => {
+                cpm.createWallet({ type: 'toString' });
+            }).should.throw(/Unknown wallet type "toString"/);
+        });
+
     });
 
 
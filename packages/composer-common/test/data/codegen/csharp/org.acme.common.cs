@@ -0,0 +1,52 @@
+using System;
+using System.Collections.Generic;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Converters;
+
+namespace org.acme.common
+{
+   /// <summary>
+   /// A postal address
+   /// </summary>
+   public class Address
+   {
+      [JsonProperty("$class")]
+      public virtual string Class => "org.acme.common.Address";
+
+      [JsonProperty("street")]
+      public string Street { get; set; }
+
+      [JsonProperty("city")]
+      public string City { get; set; }
+
+      [JsonProperty("postcode")]
+      public string Postcode { get; set; }
+   }
+
+   [JsonConverter(typeof(StringEnumConverter))]
+   public enum Country
+   {
+      UK,
+      USA,
+      [Obsolete("Use UK")]
+      GB
+   }
+
+   public abstract class Person
+   {
+      [JsonProperty("$class")]
+      public virtual string Class => "org.acme.common.Person";
+
+      [JsonProperty("personId")]
+      public string PersonId { get; set; }
+
+      [JsonProperty("firstName")]
+      public string FirstName { get; set; }
+
+      [JsonProperty("lastName")]
+      public string LastName { get; set; }
+
+      [JsonProperty("address")]
+      public Address Address { get; set; }
+   }
+}
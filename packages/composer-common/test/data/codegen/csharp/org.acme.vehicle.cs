@@ -0,0 +1,111 @@
+using System;
+using System.Collections.Generic;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Converters;
+
+namespace org.acme.vehicle
+{
+   [JsonConverter(typeof(StringEnumConverter))]
+   public enum VehicleStatus
+   {
+      ACTIVE,
+      OFF_THE_ROAD,
+      SCRAPPED
+   }
+
+   /// <summary>
+   /// A vehicle that is registered to an owner
+   /// </summary>
+   public class Vehicle
+   {
+      [JsonProperty("$class")]
+      public virtual string Class => "org.acme.vehicle.Vehicle";
+
+      [JsonProperty("vin")]
+      public string Vin { get; set; }
+
+      [JsonProperty("status")]
+      public VehicleStatus Status { get; set; }
+
+      [JsonProperty("previousStatus")]
+      public VehicleStatus? PreviousStatus { get; set; }
+
+      [JsonProperty("registeredIn")]
+      public org.acme.common.Country RegisteredIn { get; set; }
+
+      [JsonProperty("registrationDate")]
+      public DateTime RegistrationDate { get; set; }
+
+      [JsonProperty("numberOfSeats")]
+      public int NumberOfSeats { get; set; }
+
+      [JsonProperty("mileage")]
+      public long? Mileage { get; set; }
+
+      [JsonProperty("serviceCosts")]
+      public double[] ServiceCosts { get; set; }
+
+      [JsonProperty("electric")]
+      public bool Electric { get; set; }
+
+      [JsonProperty("options")]
+      public Dictionary<string, string> Options { get; set; }
+
+      // relationship to org.acme.vehicle.Owner
+      [JsonProperty("owner")]
+      public string Owner { get; set; }
+
+      // relationship to org.acme.vehicle.Owner
+      [JsonProperty("previousOwners")]
+      public string[] PreviousOwners { get; set; }
+   }
+
+   public class Owner : org.acme.common.Person
+   {
+      [JsonProperty("$class")]
+      public override string Class => "org.acme.vehicle.Owner";
+
+      [Obsolete("Use addresses")]
+      [JsonProperty("correspondenceAddress")]
+      public org.acme.common.Address CorrespondenceAddress { get; set; }
+
+      [JsonProperty("addresses")]
+      public org.acme.common.Address[] Addresses { get; set; }
+   }
+
+   public class TransferVehicle
+   {
+      [JsonProperty("$class")]
+      public virtual string Class => "org.acme.vehicle.TransferVehicle";
+
+      [JsonProperty("transactionId")]
+      public string TransactionId { get; set; }
+
+      // relationship to org.acme.vehicle.Vehicle
+      [JsonProperty("vehicle")]
+      public string Vehicle { get; set; }
+
+      // relationship to org.acme.vehicle.Owner
+      [JsonProperty("newOwner")]
+      public string NewOwner { get; set; }
+
+      [JsonProperty("timestamp")]
+      public DateTime Timestamp { get; set; }
+   }
+
+   public class VehicleTransferred
+   {
+      [JsonProperty("$class")]
+      public virtual string Class => "org.acme.vehicle.VehicleTransferred";
+
+      [JsonProperty("eventId")]
+      public string EventId { get; set; }
+
+      // relationship to org.acme.vehicle.Vehicle
+      [JsonProperty("vehicle")]
+      public string Vehicle { get; set; }
+
+      [JsonProperty("timestamp")]
+      public DateTime Timestamp { get; set; }
+   }
+}
@@ -0,0 +1,44 @@
+package org.acme.common;
+
+import com.fasterxml.jackson.annotation.JsonProperty;
+import com.fasterxml.jackson.annotation.JsonTypeInfo;
+
+/**
+ * A postal address
+ */
+@JsonTypeInfo(use = JsonTypeInfo.Id.CLASS, include = JsonTypeInfo.As.PROPERTY, property = "$class")
+public class Address {
+
+   @JsonProperty("street")
+   private String street;
+
+   @JsonProperty("city")
+   private String city;
+
+   @JsonProperty("postcode")
+   private String postcode;
+
+   public String getStreet() {
+      return this.street;
+   }
+
+   public void setStreet(String street) {
+      this.street = street;
+   }
+
+   public String getCity() {
+      return this.city;
+   }
+
+   public void setCity(String city) {
+      this.city = city;
+   }
+
+   public String getPostcode() {
+      return this.postcode;
+   }
+
+   public void setPostcode(String postcode) {
+      this.postcode = postcode;
+   }
+}
@@ -0,0 +1,11 @@
+package org.acme.common;
+
+public enum Country {
+   UK,
+   USA,
+   /**
+    * @deprecated Use UK
+    */
+   @Deprecated
+   GB
+}
@@ -0,0 +1,52 @@
+package org.acme.common;
+
+import com.fasterxml.jackson.annotation.JsonProperty;
+import com.fasterxml.jackson.annotation.JsonTypeInfo;
+
+@JsonTypeInfo(use = JsonTypeInfo.Id.CLASS, include = JsonTypeInfo.As.PROPERTY, property = "$class")
+public abstract class Person {
+
+   @JsonProperty("personId")
+   private String personId;
+
+   @JsonProperty("firstName")
+   private String firstName;
+
+   @JsonProperty("lastName")
+   private String lastName;
+
+   @JsonProperty("address")
+   private Address address;
+
+   public String getPersonId() {
+      return this.personId;
+   }
+
+   public void setPersonId(String personId) {
+      this.personId = personId;
+   }
+
+   public String getFirstName() {
+      return this.firstName;
+   }
+
+   public void setFirstName(String firstName) {
+      this.firstName = firstName;
+   }
+
+   public String getLastName() {
+      return this.lastName;
+   }
+
+   public void setLastName(String lastName) {
+      this.lastName = lastName;
+   }
+
+   public Address getAddress() {
+      return this.address;
+   }
+
+   public void setAddress(Address address) {
+      this.address = address;
+   }
+}
@@ -0,0 +1,34 @@
+package org.acme.vehicle;
+
+import com.fasterxml.jackson.annotation.JsonProperty;
+
+public class Owner extends org.acme.common.Person {
+
+   /**
+    * @deprecated Use addresses
+    */
+   @Deprecated
+   @JsonProperty("correspondenceAddress")
+   private org.acme.common.Address correspondenceAddress;
+
+   @JsonProperty("addresses")
+   private org.acme.common.Address[] addresses;
+
+   @Deprecated
+   public org.acme.common.Address getCorrespondenceAddress() {
+      return this.correspondenceAddress;
+   }
+
+   @Deprecated
+   public void setCorrespondenceAddress(org.acme.common.Address correspondenceAddress) {
+      this.correspondenceAddress = correspondenceAddress;
+   }
+
+   public org.acme.common.Address[] getAddresses() {
+      return this.addresses;
+   }
+
+   public void setAddresses(org.acme.common.Address[] addresses) {
+      this.addresses = addresses;
+   }
+}
@@ -0,0 +1,56 @@
+package org.acme.vehicle;
+
+import com.fasterxml.jackson.annotation.JsonFormat;
+import com.fasterxml.jackson.annotation.JsonProperty;
+import com.fasterxml.jackson.annotation.JsonTypeInfo;
+
+@JsonTypeInfo(use = JsonTypeInfo.Id.CLASS, include = JsonTypeInfo.As.PROPERTY, property = "$class")
+public class TransferVehicle {
+
+   @JsonProperty("transactionId")
+   private String transactionId;
+
+   // relationship to org.acme.vehicle.Vehicle
+   @JsonProperty("vehicle")
+   private String vehicle;
+
+   // relationship to org.acme.vehicle.Owner
+   @JsonProperty("newOwner")
+   private String newOwner;
+
+   @JsonFormat(shape = JsonFormat.Shape.STRING, pattern = "yyyy-MM-dd'T'HH:mm:ss.SSSXXX", timezone = "UTC")
+   @JsonProperty("timestamp")
+   private java.util.Date timestamp;
+
+   public String getTransactionId() {
+      return this.transactionId;
+   }
+
+   public void setTransactionId(String transactionId) {
+      this.transactionId = transactionId;
+   }
+
+   public String getVehicle() {
+      return this.vehicle;
+   }
+
+   public void setVehicle(String vehicle) {
+      this.vehicle = vehicle;
+   }
+
+   public String getNewOwner() {
+      return this.newOwner;
+   }
+
+   public void setNewOwner(String newOwner) {
+      this.newOwner = newOwner;
+   }
+
+   public java.util.Date getTimestamp() {
+      return this.timestamp;
+   }
+
+   public void setTimestamp(java.util.Date timestamp) {
+      this.timestamp = timestamp;
+   }
+}
@@ -0,0 +1,147 @@
+package org.acme.vehicle;
+
+import com.fasterxml.jackson.annotation.JsonFormat;
+import com.fasterxml.jackson.annotation.JsonProperty;
+import com.fasterxml.jackson.annotation.JsonTypeInfo;
+
+/**
+ * A vehicle that is registered to an owner
+ */
+@JsonTypeInfo(use = JsonTypeInfo.Id.CLASS, include = JsonTypeInfo.As.PROPERTY, property = "$class")
+public class Vehicle {
+
+   @JsonProperty("vin")
+   private String vin;
+
+   @JsonProperty("status")
+   private VehicleStatus status;
+
+   @JsonProperty("previousStatus")
+   private VehicleStatus previousStatus;
+
+   @JsonProperty("registeredIn")
+   private org.acme.common.Country registeredIn;
+
+   @JsonFormat(shape = JsonFormat.Shape.STRING, pattern = "yyyy-MM-dd'T'HH:mm:ss.SSSXXX", timezone = "UTC")
+   @JsonProperty("registrationDate")
+   private java.util.Date registrationDate;
+
+   @JsonProperty("numberOfSeats")
+   private Integer numberOfSeats;
+
+   @JsonProperty("mileage")
+   private Long mileage;
+
+   @JsonProperty("serviceCosts")
+   private Double[] serviceCosts;
+
+   @JsonProperty("electric")
+   private Boolean electric;
+
+   @JsonProperty("options")
+   private java.util.Map<String, String> options;
+
+   // relationship to org.acme.vehicle.Owner
+   @JsonProperty("owner")
+   private String owner;
+
+   // relationship to org.acme.vehicle.Owner
+   @JsonProperty("previousOwners")
+   private String[] previousOwners;
+
+   public String getVin() {
+      return this.vin;
+   }
+
+   public void setVin(String vin) {
+      this.vin = vin;
+   }
+
+   public VehicleStatus getStatus() {
+      return this.status;
+   }
+
+   public void setStatus(VehicleStatus status) {
+      this.status = status;
+   }
+
+   public VehicleStatus getPreviousStatus() {
+      return this.previousStatus;
+   }
+
+   public void setPreviousStatus(VehicleStatus previousStatus) {
+      this.previousStatus = previousStatus;
+   }
+
+   public org.acme.common.Country getRegisteredIn() {
+      return this.registeredIn;
+   }
+
+   public void setRegisteredIn(org.acme.common.Country registeredIn) {
+      this.registeredIn = registeredIn;
+   }
+
+   public java.util.Date getRegistrationDate() {
+      return this.registrationDate;
+   }
+
+   public void setRegistrationDate(java.util.Date registrationDate) {
+      this.registrationDate = registrationDate;
+   }
+
+   public Integer getNumberOfSeats() {
+      return this.numberOfSeats;
+   }
+
+   public void setNumberOfSeats(Integer numberOfSeats) {
+      this.numberOfSeats = numberOfSeats;
+   }
+
+   public Long getMileage() {
+      return this.mileage;
+   }
+
+   public void setMileage(Long mileage) {
+      this.mileage = mileage;
+   }
+
+   public Double[] getServiceCosts() {
+      return this.serviceCosts;
+   }
+
+   public void setServiceCosts(Double[] serviceCosts) {
+      this.serviceCosts = serviceCosts;
+   }
+
+   public Boolean getElectric() {
+      return this.electric;
+   }
+
+   public void setElectric(Boolean electric) {
+      this.electric = electric;
+   }
+
+   public java.util.Map<String, String> getOptions() {
+      return this.options;
+   }
+
+   public void setOptions(java.util.Map<String, String> options) {
+      this.options = options;
+   }
+
+   public String getOwner() {
+      return this.owner;
+   }
+
+   public void setOwner(String owner) {
+      this.owner = owner;
+   }
+
+   public String[] getPreviousOwners() {
+      return this.previousOwners;
+   }
+
+   public void setPreviousOwners(String[] previousOwners) {
+      this.previousOwners = previousOwners;
+   }
+}
@@ -0,0 +1,7 @@
+package org.acme.vehicle;
+
+public enum VehicleStatus {
+   ACTIVE,
+   OFF_THE_ROAD,
+   SCRAPPED
+}
@@ -0,0 +1,44 @@
+package org.acme.vehicle;
+
+import com.fasterxml.jackson.annotation.JsonFormat;
+import com.fasterxml.jackson.annotation.JsonProperty;
+import com.fasterxml.jackson.annotation.JsonTypeInfo;
+
+@JsonTypeInfo(use = JsonTypeInfo.Id.CLASS, include = JsonTypeInfo.As.PROPERTY, property = "$class")
+public class VehicleTransferred {
+
+   @JsonProperty("eventId")
+   private String eventId;
+
+   // relationship to org.acme.vehicle.Vehicle
+   @JsonProperty("vehicle")
+   private String vehicle;
+
+   @JsonFormat(shape = JsonFormat.Shape.STRING, pattern = "yyyy-MM-dd'T'HH:mm:ss.SSSXXX", timezone = "UTC")
+   @JsonProperty("timestamp")
+   private java.util.Date timestamp;
+
+   public String getEventId() {
+      return this.eventId;
+   }
+
+   public void setEventId(String eventId) {
+      this.eventId = eventId;
+   }
+
+   public String getVehicle() {
+      return this.vehicle;
+   }
+
+   public void setVehicle(String vehicle) {
+      this.vehicle = vehicle;
+   }
+
+   public java.util.Date getTimestamp() {
+      return this.timestamp;
+   }
+
+   public void setTimestamp(java.util.Date timestamp) {
+      this.timestamp = timestamp;
+   }
+}
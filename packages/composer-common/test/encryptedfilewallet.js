@@ -0,0 +1,219 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const BrowserFS = require('browserfs/dist/node/index');
+const bfs_fs = BrowserFS.BFSRequire('fs');
+const EncryptedFileWallet = require('../lib/encryptedfilewallet');
+const FileWallet = require('../lib/filewallet');
+const mkdirp = require('mkdirp');
+const path = require('path');
+
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+const sinon = require('sinon');
+
+describe('EncryptedFileWallet', () => {
+
+    let sandbox;
+    let inmemfs;
+    let wallet;
+    let directory;
+    let passphrase;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        inmemfs = new BrowserFS.FileSystem.InMemory();
+        BrowserFS.initialize(inmemfs);
+        passphrase = process.env.COMPOSER_WALLET_PASSPHRASE;
+        delete process.env.COMPOSER_WALLET_PASSPHRASE;
+        wallet = new EncryptedFileWallet({ fs: bfs_fs, passphrase: 'such secret', iterations: 10 });
+        directory = wallet.directory;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        if (passphrase) {
+            process.env.COMPOSER_WALLET_PASSPHRASE = passphrase;
+        } else {
+            delete process.env.COMPOSER_WALLET_PASSPHRASE;
+        }
+    });
+
+    describe('#constructor', () => {
+
+        it('should be a file wallet', () => {
+            wallet.should.be.an.instanceOf(FileWallet);
+        });
+
+        it('should use the home directory by default', () => {
+            sandbox.stub(FileWallet, 'getHomeDirectory').returns('/home/doge1');
+            wallet = new EncryptedFileWallet({ passphrase: 'such secret' });
+            wallet.directory.should.equal(path.resolve('/home/doge1', '.composer-encrypted-credentials'));
+        });
+
+        it('should use the root directory by default if no home directory available', () => {
+            sandbox.stub(FileWallet, 'getHomeDirectory').returns(null);
+            wallet = new EncryptedFileWallet({ passphrase: 'such secret' });
+            wallet.directory.should.equal(path.resolve('/', '.composer-encrypted-credentials'));
+        });
+
+        it('should use the specified directory', () => {
+            wallet = new EncryptedFileWallet({ directory: '/var/doge1', passphrase: 'such secret' });
+            wallet.directory.should.equal('/var/doge1');
+        });
+
+        it('should use the passphrase from the environment if not specified', () => {
+            process.env.COMPOSER_WALLET_PASSPHRASE = 'much secret';
+            wallet = new EncryptedFileWallet();
+            wallet.passphrase.should.equal('much secret');
+        });
+
+        it('should use the default number of iterations if not specified', () => {
+            wallet = new EncryptedFileWallet({ passphrase: 'such secret' });
+            wallet.iterations.should.equal(100000);
+        });
+
+        it('should throw if a passphrase is not specified', () => {
+            (() => {
+                new EncryptedFileWallet({ directory: '/var/doge1' });
+            }).should.throw(/A passphrase must be specified for an encrypted wallet/);
+        });
+
+    });
+
+    describe('#add', () => {
+
+        it('should add new encrypted credentials', () => {
+            return wallet.add('doge1', 'wow such credentials')
+                .then(() => {
+                    let contents = bfs_fs.readFileSync(path.resolve(directory, 'doge1'), 'utf8');
+                    contents.should.not.match(/wow such credentials/);
+                    let encrypted = JSON.parse(contents);
+                    encrypted.version.should.equal(1);
+                    encrypted.iterations.should.equal(10);
+                    return wallet.get('doge1');
+                })
+                .should.eventually.be.equal('wow such credentials');
+        });
+
+        it('should use a new salt and IV for each credential', () => {
+            return wallet.add('doge1', 'wow such credentials')
+                .then(() => {
+                    return wallet.add('doge2', 'wow such credentials');
+                })
+                .then(() => {
+                    let encrypted1 = JSON.parse(bfs_fs.readFileSync(path.resolve(directory, 'doge1'), 'utf8'));
+                    let encrypted2 = JSON.parse(bfs_fs.readFileSync(path.resolve(directory, 'doge2'), 'utf8'));
+                    encrypted1.salt.should.not.equal(encrypted2.salt);
+                    encrypted1.iv.should.not.equal(encrypted2.iv);
+                    encrypted1.data.should.not.equal(encrypted2.data);
+                });
+        });
+
+        it('should throw an error if the credentials already exist', () => {
+            return wallet.add('doge1', 'wow such credentials')
+                .then(() => {
+                    return wallet.add('doge1', 'wow such credentials');
+                })
+                .should.be.rejectedWith(/EEXIST/);
+        });
+
+    });
+
+    describe('#get', () => {
+
+        it('should throw an error if the credentials do not exist', () => {
+            return wallet.get('doge1')
+                .should.be.rejectedWith(/ENOENT/);
+        });
+
+        it('should throw an error if the passphrase is incorrect', () => {
+            return wallet.add('doge1', 'wow such credentials')
+                .then(() => {
+                    wallet = new EncryptedFileWallet({ fs: bfs_fs, passphrase: 'wrong secret', iterations: 10 });
+                    return wallet.get('doge1');
+                })
+                .should.be.rejectedWith(/Failed to decrypt the credentials "doge1"; the passphrase may be incorrect/);
+        });
+
+        it('should throw an error if the credentials are not JSON', () => {
+            mkdirp.sync(directory, { fs: bfs_fs });
+            bfs_fs.writeFileSync(path.resolve(directory, 'doge1'), 'wow such credentials');
+            return wallet.get('doge1')
+                .should.be.rejectedWith(/The credentials "doge1" are not encrypted credentials/);
+        });
+
+        it('should throw an error if the credentials are an unknown version', () => {
+            mkdirp.sync(directory, { fs: bfs_fs });
+            bfs_fs.writeFileSync(path.resolve(directory, 'doge1'), JSON.stringify({ version: 2 }));
+            return wallet.get('doge1')
+                .should.be.rejectedWith(/The credentials "doge1" are not encrypted credentials/);
+        });
+
+    });
+
+    describe('#update', () => {
+
+        it('should update existing credentials', () => {
+            return wallet.add('doge1', 'wow such credentials')
+                .then(() => {
+                    return wallet.update('doge1', 'wow much credentials');
+                })
+                .then(() => {
+                    return wallet.get('doge1');
+                })
+                .should.eventually.be.equal('wow much credentials');
+        });
+
+        it('should throw an error if the credentials do not exist', () => {
+            return wallet.update('doge1', 'wow such credentials')
+                .should.be.rejectedWith(/ENOENT/);
+        });
+
+    });
+
+    describe('#list', () => {
+
+        it('should list the credentials', () => {
+            return wallet.add('doge2', 'wow such credentials')
+                .then(() => {
+                    return wallet.add('doge1', 'wow such credentials');
+                })
+                .then(() => {
+                    return wallet.list();
+                })
+                .should.eventually.be.deep.equal(['doge1', 'doge2']);
+        });
+
+    });
+
+    describe('#remove', () => {
+
+        it('should remove existing credentials', () => {
+            return wallet.add('doge1', 'wow such credentials')
+                .then(() => {
+                    return wallet.remove('doge1');
+                })
+                .then(() => {
+                    return wallet.contains('doge1');
+                })
+                .should.eventually.be.false;
+        });
+
+    });
+
+});
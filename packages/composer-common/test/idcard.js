@@ -0,0 +1,276 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const IdCard = require('../lib/idcard');
+const JSZip = require('jszip');
+
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+
+describe('IdCard', () => {
+
+    let metadata;
+    let connectionProfile;
+    let card;
+
+    beforeEach(() => {
+        metadata = {
+            name: 'dogecard',
+            description: 'such card',
+            businessNetwork: 'doge-network',
+            enrollmentId: 'doge',
+            enrollmentSecret: 'suchsecret'
+        };
+        connectionProfile = {
+            name: 'dogeprofile',
+            type: 'embedded'
+        };
+        card = new IdCard(metadata, connectionProfile);
+    });
+
+    describe('#constructor', () => {
+
+        it('should throw if metadata is not specified', () => {
+            (() => {
+                new IdCard(null, connectionProfile);
+            }).should.throw(/does not specify a name/);
+        });
+
+        it('should throw if a name is not specified', () => {
+            delete metadata.name;
+            (() => {
+                new IdCard(metadata, connectionProfile);
+            }).should.throw(/does not specify a name/);
+        });
+
+        it('should throw if an enrollment ID is not specified', () => {
+            delete metadata.enrollmentId;
+            (() => {
+                new IdCard(metadata, connectionProfile);
+            }).should.throw(/does not specify an enrollment ID/);
+        });
+
+        it('should throw if a connection profile is not specified', () => {
+            (() => {
+                new IdCard(metadata);
+            }).should.throw(/does not specify a named connection profile/);
+        });
+
+        it('should throw if the connection profile is not named', () => {
+            delete connectionProfile.name;
+            (() => {
+                new IdCard(metadata, connectionProfile);
+            }).should.throw(/does not specify a named connection profile/);
+        });
+
+    });
+
+    describe('#getName', () => {
+
+        it('should return the name', () => {
+            card.getName().should.equal('dogecard');
+        });
+
+    });
+
+    describe('#getDescription', () => {
+
+        it('should return the description', () => {
+            card.getDescription().should.equal('such card');
+        });
+
+        it('should return null if no description is specified', () => {
+            delete metadata.description;
+            card = new IdCard(metadata, connectionProfile);
+            (card.getDescription() === null).should.be.true;
+        });
+
+    });
+
+    describe('#getBusinessNetworkName', () => {
+
+        it('should return the business network name', () => {
+            card.getBusinessNetworkName().should.equal('doge-network');
+        });
+
+        it('should return null if no business network is specified', () => {
+            delete metadata.businessNetwork;
+            card = new IdCard(metadata, connectionProfile);
+            (card.getBusinessNetworkName() === null).should.be.true;
+        });
+
+    });
+
+    describe('#getEnrollmentId', () => {
+
+        it('should return the enrollment ID', () => {
+            card.getEnrollmentId().should.equal('doge');
+        });
+
+    });
+
+    describe('#getEnrollmentSecret', () => {
+
+        it('should return the enrollment secret', () => {
+            card.getEnrollmentSecret().should.equal('suchsecret');
+        });
+
+        it('should return null if no enrollment secret is specified', () => {
+            delete metadata.enrollmentSecret;
+            card = new IdCard(metadata, connectionProfile);
+            (card.getEnrollmentSecret() === null).should.be.true;
+        });
+
+    });
+
+    describe('#getConnectionProfile', () => {
+
+        it('should return the connection profile', () => {
+            card.getConnectionProfile().should.deep.equal({ name: 'dogeprofile', type: 'embedded' });
+        });
+
+    });
+
+    describe('#getCredentials', () => {
+
+        it('should return no credentials by default', () => {
+            card.getCredentials().should.deep.equal({});
+        });
+
+    });
+
+    describe('#setCredentials', () => {
+
+        it('should set the certificate and private key', () => {
+            card.setCredentials({ certificate: 'such cert', privateKey: 'such key' });
+            card.getCredentials().should.deep.equal({ certificate: 'such cert', privateKey: 'such key' });
+        });
+
+        it('should ignore missing credentials', () => {
+            card.setCredentials({ certificate: 'such cert', privateKey: null });
+            card.getCredentials().should.deep.equal({ certificate: 'such cert' });
+        });
+
+        it('should clear the credentials', () => {
+            card.setCredentials({ certificate: 'such cert', privateKey: 'such key' });
+            card.setCredentials(null);
+            card.getCredentials().should.deep.equal({});
+        });
+
+    });
+
+    describe('#toArchive', () => {
+
+        it('should write the metadata and connection profile', () => {
+            return card.toArchive()
+                .then((buffer) => {
+                    return JSZip.loadAsync(buffer);
+                })
+                .then((zip) => {
+                    zip.file(/credentials\//).should.have.lengthOf(0);
+                    return Promise.all([
+                        zip.file('metadata.json').async('string'),
+                        zip.file('connection.json').async('string')
+                    ]);
+                })
+                .then((contents) => {
+                    JSON.parse(contents[0]).should.deep.equal(Object.assign({ version: 1 }, metadata));
+                    JSON.parse(contents[1]).should.deep.equal(connectionProfile);
+                });
+        });
+
+        it('should write the credentials', () => {
+            card.setCredentials({ certificate: 'such cert', privateKey: 'such key' });
+            return card.toArchive()
+                .then((buffer) => {
+                    return JSZip.loadAsync(buffer);
+                })
+                .then((zip) => {
+                    return Promise.all([
+                        zip.file('credentials/certificate').async('string'),
+                        zip.file('credentials/privateKey').async('string')
+                    ]);
+                })
+                .should.eventually.be.deep.equal(['such cert', 'such key']);
+        });
+
+    });
+
+    describe('#fromArchive', () => {
+
+        it('should read a card without credentials', () => {
+            return card.toArchive()
+                .then((buffer) => {
+                    return IdCard.fromArchive(buffer);
+                })
+                .then((card) => {
+                    card.should.be.an.instanceOf(IdCard);
+                    card.getName().should.equal('dogecard');
+                    card.getDescription().should.equal('such card');
+                    card.getBusinessNetworkName().should.equal('doge-network');
+                    card.getEnrollmentId().should.equal('doge');
+                    card.getEnrollmentSecret().should.equal('suchsecret');
+                    card.getConnectionProfile().should.deep.equal(connectionProfile);
+                    card.getCredentials().should.deep.equal({});
+                });
+        });
+
+        it('should read a card with credentials', () => {
+            card.setCredentials({ certificate: 'such cert', privateKey: 'such key' });
+            return card.toArchive()
+                .then((buffer) => {
+                    return IdCard.fromArchive(buffer);
+                })
+                .then((card) => {
+                    card.getCredentials().should.deep.equal({ certificate: 'such cert', privateKey: 'such key' });
+                });
+        });
+
+        it('should throw if the archive does not contain the metadata', () => {
+            const zip = new JSZip();
+            zip.file('connection.json', JSON.stringify(connectionProfile));
+            return zip.generateAsync({ type: 'nodebuffer' })
+                .then((buffer) => {
+                    return IdCard.fromArchive(buffer);
+                })
+                .should.be.rejectedWith(/does not contain metadata.json/);
+        });
+
+        it('should throw if the archive does not contain the connection profile', () => {
+            const zip = new JSZip();
+            zip.file('metadata.json', JSON.stringify(Object.assign({ version: 1 }, metadata)));
+            return zip.generateAsync({ type: 'nodebuffer' })
+                .then((buffer) => {
+                    return IdCard.fromArchive(buffer);
+                })
+                .should.be.rejectedWith(/does not contain connection.json/);
+        });
+
+        it('should throw if the archive is an unsupported version', () => {
+            const zip = new JSZip();
+            zip.file('metadata.json', JSON.stringify(Object.assign({ version: 2 }, metadata)));
+            zip.file('connection.json', JSON.stringify(connectionProfile));
+            return zip.generateAsync({ type: 'nodebuffer' })
+                .then((buffer) => {
+                    return IdCard.fromArchive(buffer);
+                })
+                .should.be.rejectedWith(/Unsupported business network card version 2/);
+        });
+
+    });
+
+});
@@ -0,0 +1,118 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Field = require('../../lib/introspect/field');
+const ArraySizeValidator = require('../../lib/introspect/arraysizevalidator');
+
+require('chai').should();
+const chai = require('chai'), should = chai.should();
+
+const sinon = require('sinon');
+
+describe('ArraySizeValidator', () => {
+
+    let mockField;
+
+    // valid test parms
+    let VALID_UPPER_AND_LOWER_BOUND_AST = {'lower' : { 'type' : 'Literal' , 'value' : 1 }, 'upper' : { 'type' : 'Literal' , 'value' : 3 } };
+    let NO_LOWER_BOUND_AST = {'lower' : null, 'upper' : { 'type' : 'Literal' , 'value' : 3 } };
+    let NO_UPPER_BOUND_AST = {'lower' : { 'type' : 'Literal' , 'value' : 1 }, 'upper' : null };
+
+    // error parms
+    let NO_PARMS_IN_AST = {'lower' : null, 'upper' : null };
+    let LOWER_IS_HIGHER_THAN_UPPER = {'lower' : { 'type' : 'Literal' , 'value' : 4 }, 'upper' : { 'type' : 'Literal' , 'value' : 3 } };
+
+    beforeEach(() => {
+        mockField = sinon.createStubInstance(Field);
+        mockField.getFullyQualifiedName.returns('org.acme.myField');
+        mockField.isArray.returns(true);
+    });
+
+    describe('#constructor', () => {
+        it('should accept valid constructor parms VALID_UPPER_AND_LOWER_BOUND_AST', () => {
+            let validator = new ArraySizeValidator(mockField, VALID_UPPER_AND_LOWER_BOUND_AST);
+            validator.getMinSize().should.equal(1);
+            validator.getMaxSize().should.equal(3);
+        });
+
+        it('should accept valid constructor parms NO_LOWER_BOUND_AST', () => {
+            let validator = new ArraySizeValidator(mockField, NO_LOWER_BOUND_AST);
+            should.equal(validator.getMinSize(), null);
+            validator.getMaxSize().should.equal(3);
+        });
+
+        it('should accept valid constructor parms NO_UPPER_BOUND_AST', () => {
+            let validator = new ArraySizeValidator(mockField, NO_UPPER_BOUND_AST);
+            validator.getMinSize().should.equal(1);
+            should.equal(validator.getMaxSize(), null);
+        });
+
+        it('should throw an error for constructor parms NO_PARMS_IN_AST', () => {
+            (() => {
+                new ArraySizeValidator(mockField, NO_PARMS_IN_AST);
+            }).should.throw(/Invalid size, lower and-or upper bound must be specified./);
+        });
+
+        it('should throw an error for constructor parms LOWER_IS_HIGHER_THAN_UPPER', () => {
+            (() => {
+                new ArraySizeValidator(mockField, LOWER_IS_HIGHER_THAN_UPPER);
+            }).should.throw(/Lower bound must be less than or equal to upper bound./);
+        });
+
+        it('should throw an error for a field that is not an array', () => {
+            mockField.isArray.returns(false);
+            (() => {
+                new ArraySizeValidator(mockField, VALID_UPPER_AND_LOWER_BOUND_AST);
+            }).should.throw(/Size can only be specified for array fields./);
+        });
+    });
+
+    describe('#validate', () => {
+
+        it('should validate', () => {
+            let v = new ArraySizeValidator(mockField, VALID_UPPER_AND_LOWER_BOUND_AST);
+            v.validate('id', [1]);
+            v.validate('id', [1, 2, 3]);
+            v.validate('id', null);
+        });
+
+        it('should detect lower bound violation', () => {
+            let v = new ArraySizeValidator(mockField, VALID_UPPER_AND_LOWER_BOUND_AST);
+
+            (() => {
+                v.validate('id', []);
+            }).should.throw(/org.acme.myField: Array has 0 elements, fewer than the minimum size 1/);
+        });
+
+        it('should detect upper bound violation', () => {
+            let v = new ArraySizeValidator(mockField, VALID_UPPER_AND_LOWER_BOUND_AST);
+
+            (() => {
+                v.validate('id', [1, 2, 3, 4]);
+            }).should.throw(/org.acme.myField: Array has 4 elements, more than the maximum size 3/);
+        });
+
+        it('should ignore missing upper bound', () => {
+            let v = new ArraySizeValidator(mockField, NO_UPPER_BOUND_AST);
+            v.validate('id', [1, 2, 3, 4]);
+        });
+
+        it('should ignore missing lower bound', () => {
+            let v = new ArraySizeValidator(mockField, NO_LOWER_BOUND_AST);
+            v.validate('id', []);
+        });
+    });
+});
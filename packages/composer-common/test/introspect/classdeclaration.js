@@ -104,6 +104,23 @@ describe('ClassDeclaration', () => {
 
     });
 
+    describe('#isEvent', () => {
+
+        it('should return false', () => {
+            let clz = new ClassDeclaration(mockModelFile, {
+                id: {
+                    name: 'suchName'
+                },
+                body: {
+                    declarations: [
+                    ]
+                }
+            });
+            clz.isEvent().should.be.false;
+        });
+
+    });
+
     describe('#getName', () => {
 
         it('should return the class name', () => {
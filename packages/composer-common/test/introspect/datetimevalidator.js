@@ -0,0 +1,118 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Field = require('../../lib/introspect/field');
+const DateTimeValidator = require('../../lib/introspect/datetimevalidator');
+
+require('chai').should();
+const chai = require('chai'), should = chai.should();
+
+const sinon = require('sinon');
+
+describe('DateTimeValidator', () => {
+
+    let mockField;
+
+    // valid test parms
+    let VALID_UPPER_AND_LOWER_BOUND_AST = {'lower' : { 'type' : 'Literal' , 'value' : '2017-01-01T00:00:00.000Z' }, 'upper' : { 'type' : 'Literal' , 'value' : '2017-12-31T00:00:00.000Z' } };
+    let NO_LOWER_BOUND_AST = {'lower' : null, 'upper' : { 'type' : 'Literal' , 'value' : '2017-12-31T00:00:00.000Z' } };
+    let NO_UPPER_BOUND_AST = {'lower' : { 'type' : 'Literal' , 'value' : '2017-01-01T00:00:00.000Z' }, 'upper' : null };
+
+    // error parms
+    let NO_PARMS_IN_AST = {'lower' : null, 'upper' : null };
+    let LOWER_IS_HIGHER_THAN_UPPER = {'lower' : { 'type' : 'Literal' , 'value' : '2018-01-01T00:00:00.000Z' }, 'upper' : { 'type' : 'Literal' , 'value' : '2017-12-31T00:00:00.000Z' } };
+    let INVALID_DATE_TIME = {'lower' : { 'type' : 'Literal' , 'value' : 'not a date' }, 'upper' : null };
+
+    beforeEach(() => {
+        mockField = sinon.createStubInstance(Field);
+        mockField.getFullyQualifiedName.returns('org.acme.myField');
+    });
+
+    describe('#constructor', () => {
+        it('should accept valid constructor parms VALID_UPPER_AND_LOWER_BOUND_AST', () => {
+            let validator = new DateTimeValidator(mockField, VALID_UPPER_AND_LOWER_BOUND_AST);
+            validator.getLowerBound().toISOString().should.equal('2017-01-01T00:00:00.000Z');
+            validator.getUpperBound().toISOString().should.equal('2017-12-31T00:00:00.000Z');
+        });
+
+        it('should accept valid constructor parms NO_LOWER_BOUND_AST', () => {
+            let validator = new DateTimeValidator(mockField, NO_LOWER_BOUND_AST);
+            should.equal(validator.getLowerBound(), null);
+            validator.getUpperBound().toISOString().should.equal('2017-12-31T00:00:00.000Z');
+        });
+
+        it('should accept valid constructor parms NO_UPPER_BOUND_AST', () => {
+            let validator = new DateTimeValidator(mockField, NO_UPPER_BOUND_AST);
+            validator.getLowerBound().toISOString().should.equal('2017-01-01T00:00:00.000Z');
+            should.equal(validator.getUpperBound(), null);
+        });
+
+        it('should throw an error for constructor parms NO_PARMS_IN_AST', () => {
+            (() => {
+                new DateTimeValidator(mockField, NO_PARMS_IN_AST);
+            }).should.throw(/Invalid range, lower and-or upper bound must be specified./);
+        });
+
+        it('should throw an error for constructor parms LOWER_IS_HIGHER_THAN_UPPER', () => {
+            (() => {
+                new DateTimeValidator(mockField, LOWER_IS_HIGHER_THAN_UPPER);
+            }).should.throw(/Lower bound must be less than or equal to upper bound./);
+        });
+
+        it('should throw an error for constructor parms INVALID_DATE_TIME', () => {
+            (() => {
+                new DateTimeValidator(mockField, INVALID_DATE_TIME);
+            }).should.throw(/Invalid date\/time 'not a date' in range./);
+        });
+    });
+
+    describe('#validate', () => {
+
+        it('should validate', () => {
+            let v = new DateTimeValidator(mockField, VALID_UPPER_AND_LOWER_BOUND_AST);
+            v.validate('id', new Date('2017-01-01T00:00:00.000Z'));
+            v.validate('id', new Date('2017-06-01T00:00:00.000Z'));
+            v.validate('id', new Date('2017-12-31T00:00:00.000Z'));
+            v.validate('id', null);
+        });
+
+        it('should detect lower bound violation', () => {
+            let v = new DateTimeValidator(mockField, VALID_UPPER_AND_LOWER_BOUND_AST);
+
+            (() => {
+                v.validate('id', new Date('2016-12-31T23:59:59.999Z'));
+            }).should.throw(/org.acme.myField: Value is outside lower bound 2016-12-31T23:59:59.999Z/);
+        });
+
+        it('should detect upper bound violation', () => {
+            let v = new DateTimeValidator(mockField, VALID_UPPER_AND_LOWER_BOUND_AST);
+
+            (() => {
+                v.validate('id', new Date('2017-12-31T00:00:00.001Z'));
+            }).should.throw(/org.acme.myField: Value is outside upper bound 2017-12-31T00:00:00.001Z/);
+        });
+
+        it('should ignore missing upper bound', () => {
+            let v = new DateTimeValidator(mockField, NO_UPPER_BOUND_AST);
+            v.validate('id', new Date('2099-01-01T00:00:00.000Z'));
+        });
+
+        it('should ignore missing lower bound', () => {
+            let v = new DateTimeValidator(mockField, NO_LOWER_BOUND_AST);
+            v.validate('id', new Date(0));
+        });
+    });
+});
@@ -0,0 +1,145 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Decorated = require('../../lib/introspect/decorated');
+const ModelFile = require('../../lib/introspect/modelfile');
+const ModelManager = require('../../lib/modelmanager');
+
+const should = require('chai').should();
+const sinon = require('sinon');
+
+describe('Decorated', () => {
+
+    let mockModelManager;
+
+    beforeEach(() => {
+        mockModelManager = sinon.createStubInstance(ModelManager);
+    });
+
+    describe('#getModelFile', () => {
+
+        it('should throw as abstract', () => {
+            let d = new Decorated({});
+            (() => {
+                d.getModelFile();
+            }).should.throw(/abstract function called/);
+        });
+
+    });
+
+    describe('#process', () => {
+
+        it('should handle no decorators', () => {
+            let d = new Decorated({});
+            d.process();
+            d.getDecorators().should.deep.equal([]);
+        });
+
+        it('should create the decorators', () => {
+            let d = new Decorated({
+                decorators: [ { name: 'pii' }, { name: 'description', arguments: [ { type: 'Literal', value: 'Hello' } ] } ]
+            });
+            d.process();
+            d.getDecorators().map((decorator) => {
+                return decorator.getName();
+            }).should.deep.equal(['pii', 'description']);
+            d.getDecorators()[0].getParent().should.equal(d);
+        });
+
+    });
+
+    describe('#getDecorator', () => {
+
+        it('should return the specified decorator', () => {
+            let d = new Decorated({
+                decorators: [ { name: 'pii' }, { name: 'description', arguments: [ { type: 'Literal', value: 'Hello' } ] } ]
+            });
+            d.process();
+            d.getDecorator('description').getArguments().should.deep.equal(['Hello']);
+        });
+
+        it('should return null if the decorator does not exist', () => {
+            let d = new Decorated({
+                decorators: [ { name: 'pii' } ]
+            });
+            d.process();
+            should.equal(d.getDecorator('description'), null);
+        });
+
+    });
+
+    describe('#validate', () => {
+
+        it('should parse and validate decorators on classes, properties and enum values', () => {
+            let modelFile = new ModelFile(mockModelManager, `namespace org.acme
+            /**
+             * A building
+             */
+            @description("A building") @ui.hidden
+            @version(1, -2.5, true)
+            asset Building identified by buildingId {
+                o String buildingId
+                @pii o String owner
+                @description('The address')
+                o String address optional
+                @ui.hidden() --> Building next optional
+            }
+            @deprecated
+            enum State {
+                @description("Active") o ACTIVE
+                o INACTIVE
+            }`);
+            let building = modelFile.getAssetDeclaration('Building');
+            building.getDecorators().map((decorator) => {
+                return decorator.getName();
+            }).should.deep.equal(['description', 'ui.hidden', 'version']);
+            building.getDecorator('version').getArguments().should.deep.equal([1, -2.5, true]);
+            building.getProperty('buildingId').getDecorators().should.deep.equal([]);
+            should.not.equal(building.getProperty('owner').getDecorator('pii'), null);
+            building.getProperty('address').getDecorator('description').getArguments().should.deep.equal(['The address']);
+            building.getProperty('address').isOptional().should.be.true;
+            building.getProperty('next').getDecorator('ui.hidden').getArguments().should.deep.equal([]);
+            let state = modelFile.getType('State');
+            should.not.equal(state.getDecorator('deprecated'), null);
+            state.getProperty('ACTIVE').getDecorator('description').getArguments().should.deep.equal(['Active']);
+            modelFile.validate();
+        });
+
+        it('should throw for a duplicate decorator on a class', () => {
+            let modelFile = new ModelFile(mockModelManager, `namespace org.acme
+            @pii @pii
+            asset Building identified by buildingId {
+                o String buildingId
+            }`);
+            (() => {
+                modelFile.validate();
+            }).should.throw(/Duplicate decorator pii/);
+        });
+
+        it('should throw for a duplicate decorator on a property', () => {
+            let modelFile = new ModelFile(mockModelManager, `namespace org.acme
+            asset Building identified by buildingId {
+                o String buildingId
+                @description("one") @description("two") o String name
+            }`);
+            (() => {
+                modelFile.validate();
+            }).should.throw(/Duplicate decorator description/);
+        });
+
+    });
+
+});
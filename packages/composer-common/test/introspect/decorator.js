@@ -0,0 +1,91 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ClassDeclaration = require('../../lib/introspect/classdeclaration');
+const Decorator = require('../../lib/introspect/decorator');
+
+require('chai').should();
+const sinon = require('sinon');
+
+describe('Decorator', () => {
+
+    let mockClassDeclaration;
+
+    beforeEach(() => {
+        mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
+    });
+
+    describe('#constructor', () => {
+
+        it('should save the name and the arguments', () => {
+            let d = new Decorator(mockClassDeclaration, {
+                name: 'ui.label',
+                arguments: [ { type: 'Literal', value: 'Hello' }, { type: 'Literal', value: 2 }, { type: 'Literal', value: true } ]
+            });
+            d.getName().should.equal('ui.label');
+            d.getArguments().should.deep.equal(['Hello', 2, true]);
+            d.getParent().should.equal(mockClassDeclaration);
+        });
+
+        it('should handle missing arguments', () => {
+            let d = new Decorator(mockClassDeclaration, {
+                name: 'pii'
+            });
+            d.getArguments().should.deep.equal([]);
+        });
+
+    });
+
+    describe('#accept', () => {
+
+        it('should call the visitor', () => {
+            let d = new Decorator(mockClassDeclaration, {
+                name: 'pii'
+            });
+            let visitor = {
+                visit: sinon.stub()
+            };
+            d.accept(visitor, ['some', 'args']);
+            sinon.assert.calledOnce(visitor.visit);
+            sinon.assert.calledWith(visitor.visit, d, ['some', 'args']);
+        });
+
+    });
+
+    describe('#toJSON', () => {
+
+        it('should return an empty object', () => {
+            let d = new Decorator(mockClassDeclaration, {
+                name: 'pii'
+            });
+            d.toJSON().should.deep.equal({});
+        });
+
+    });
+
+    describe('#toString', () => {
+
+        it('should return the name and the arguments', () => {
+            let d = new Decorator(mockClassDeclaration, {
+                name: 'description',
+                arguments: [ { type: 'Literal', value: 'Hello' } ]
+            });
+            d.toString().should.equal('Decorator {name=description, arguments=["Hello"]}');
+        });
+
+    });
+
+});
@@ -0,0 +1,101 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const EventDeclaration = require('../../lib/introspect/eventdeclaration');
+const ModelFile = require('../../lib/introspect/modelfile');
+const ModelManager = require('../../lib/modelmanager');
+
+require('chai').should();
+const sinon = require('sinon');
+
+describe('EventDeclaration', () => {
+
+    let mockModelManager;
+
+    beforeEach(() => {
+        mockModelManager = sinon.createStubInstance(ModelManager);
+    });
+
+    let loadEventDeclaration = (modelDefinitions) => {
+        let modelFile = new ModelFile(mockModelManager, modelDefinitions);
+        let events = modelFile.getEventDeclarations();
+        events.should.have.lengthOf(1);
+        return events[0];
+    };
+
+    describe('#constructor', () => {
+
+        it('should throw if modelFile not specified', () => {
+            (() => {
+                new EventDeclaration(null, {});
+            }).should.throw(/required/);
+        });
+
+    });
+
+    describe('#process', () => {
+
+        it('should add a timestamp property', () => {
+            let event = loadEventDeclaration(`
+            namespace org.acme
+            event MyEvent identified by eventId {
+                o String eventId
+            }`);
+            event.getProperty('timestamp').getType().should.equal('DateTime');
+        });
+
+        it('should not replace an existing timestamp property', () => {
+            let event = loadEventDeclaration(`
+            namespace org.acme
+            event MyEvent identified by eventId {
+                o String eventId
+                o DateTime timestamp optional
+            }`);
+            event.getProperties().filter((property) => {
+                return property.getName() === 'timestamp';
+            }).should.have.lengthOf(1);
+            event.getProperty('timestamp').isOptional().should.be.true;
+        });
+
+        it('should validate an event that extends another event', () => {
+            let modelManager = new ModelManager();
+            modelManager.addModelFile(`
+            namespace org.acme
+            abstract event BaseEvent identified by eventId {
+                o String eventId
+            }
+            event MyEvent extends BaseEvent {
+                o String message
+            }`);
+            modelManager.getType('org.acme.MyEvent').getIdentifierFieldName().should.equal('eventId');
+        });
+
+    });
+
+    describe('#isEvent', () => {
+
+        it('should return true', () => {
+            let event = loadEventDeclaration(`
+            namespace org.acme
+            event MyEvent identified by eventId {
+                o String eventId
+            }`);
+            event.isEvent().should.be.true;
+        });
+
+    });
+
+});
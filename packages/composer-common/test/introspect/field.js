@@ -90,6 +90,56 @@ describe('Field', () => {
             f.optional.should.equal(true);
         });
 
+        it('should save the incoming length validator', () => {
+            let f = new Field(mockClassDeclaration, {
+                id: {
+                    name: 'field',
+                },
+                propertyType: {
+                    name: 'String'
+                },
+                length: { lower: { type: 'Literal', value: 1 }, upper: null }
+            });
+            f.getValidator().getMinLength().should.equal(1);
+        });
+
+        it('should save the incoming date/time range validator', () => {
+            let f = new Field(mockClassDeclaration, {
+                id: {
+                    name: 'field',
+                },
+                propertyType: {
+                    name: 'DateTime'
+                },
+                range: { lower: { type: 'Literal', value: '2017-01-01T00:00:00.000Z' }, upper: null }
+            });
+            f.getValidator().getLowerBound().toISOString().should.equal('2017-01-01T00:00:00.000Z');
+        });
+
+        it('should not have an array size validator by default', () => {
+            let f = new Field(mockClassDeclaration, {
+                id: {
+                    name: 'field',
+                },
+                array: true
+            });
+            should.equal(f.getArraySizeValidator(), null);
+        });
+
+        it('should save the incoming array size validator', () => {
+            let f = new Field(mockClassDeclaration, {
+                id: {
+                    name: 'field',
+                },
+                propertyType: {
+                    name: 'String'
+                },
+                array: true,
+                size: { lower: null, upper: { type: 'Literal', value: 5 } }
+            });
+            f.getArraySizeValidator().getMaxSize().should.equal(5);
+        });
+
     });
 
     describe('#toJSON', () => {
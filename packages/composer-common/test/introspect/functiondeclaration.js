@@ -19,13 +19,13 @@ const Script = require('../../lib/introspect/script');
 const ModelManager = require('../../lib/modelmanager');
 const fs = require('fs');
 
-require('chai').should();
+const should = require('chai').should();
 const sinon = require('sinon');
 
 describe('FunctionDeclaration', () => {
 
     const modelManager = new ModelManager();
-    modelManager.addModelFile('namespace org.acme transaction TestTransaction identified by id {o String id}');
+    modelManager.addModelFile('namespace org.acme transaction TestTransaction identified by id {o String id} concept TestResult {o String result}');
     let mozartModel = fs.readFileSync('test/data/model/mozart.cto', 'utf8');
     modelManager.addModelFile(mozartModel, 'mozart.cto');
 
@@ -105,6 +105,49 @@ describe('FunctionDeclaration', () => {
 
     });
 
+    describe('#getTransactionReturnType', () => {
+
+        it('should return null if the function does not declare a return type', () => {
+            let func = loadFunctionDeclaration('test/data/parser/functiondeclaration.good.js');
+            should.equal(func.getTransactionReturnType(), null);
+        });
+
+        it('should return null if the function returns a promise with no type', () => {
+            let func = loadFunctionDeclaration('test/data/parser/functiondeclaration.returnspromise.js');
+            should.equal(func.getTransactionReturnType(), null);
+        });
+
+        it('should return the primitive type returned by the function', () => {
+            let func = loadFunctionDeclaration('test/data/parser/functiondeclaration.returnsprimitive.js');
+            func.getTransactionReturnType().should.equal('DateTime');
+        });
+
+        it('should return the type that the promise returned by the function is resolved with', () => {
+            let func = loadFunctionDeclaration('test/data/parser/functiondeclaration.returns.js');
+            func.getTransactionReturnType().should.equal('org.acme.TestResult[]');
+        });
+
+        it('should return null if the function is not a transaction processor function', () => {
+            let func = new FunctionDeclaration(modelManager, 'JS', 'getResult', '+', 'String', '', [], [], ['query'], '');
+            should.equal(func.getTransactionReturnType(), null);
+        });
+
+    });
+
+    describe('#getMigrationType', () => {
+
+        it('should return the type migrated by the function', () => {
+            let func = loadFunctionDeclaration('test/data/parser/functiondeclaration.migration.js');
+            func.getMigrationType().should.equal('org.acme.OldVehicle');
+        });
+
+        it('should return null if the function is not a migration function', () => {
+            let func = loadFunctionDeclaration('test/data/parser/functiondeclaration.good.js');
+            should.equal(func.getMigrationType(), null);
+        });
+
+    });
+
     describe('#getFullyQualifiedName', () => {
 
         it('should return the fully qualified name if function is in a namespace', () => {
@@ -138,6 +181,13 @@ describe('FunctionDeclaration', () => {
             }).should.throw(/is not a transaction/);
         });
 
+        it('should throw if the function returns a type that does not exist', () => {
+            (() => {
+                let func = loadFunctionDeclaration('test/data/parser/functiondeclaration.returnsmissing.js');
+                func.validate();
+            }).should.throw(/returns org.acme.TestResultLulz which is not a primitive type or a type in the model/);
+        });
+
         it('should throw if the function is decorated with both @transaction and @query', () => {
             (() => {
                 let func = loadFunctionDeclaration('test/data/parser/functiondeclaration.queryandtransaction.js');
@@ -145,6 +195,32 @@ describe('FunctionDeclaration', () => {
             }).should.throw(/cannot be decorated with both/);
         });
 
+        it('should not check that the type migrated by a migration function exists', () => {
+            let func = loadFunctionDeclaration('test/data/parser/functiondeclaration.migration.js');
+            func.validate();
+        });
+
+        it('should throw if a migration function is also decorated with @transaction', () => {
+            (() => {
+                let func = new FunctionDeclaration(modelManager, 'JS', 'migrate', '+', '', '', ['tx'], ['org.acme.TestTransaction'], ['migration', 'transaction'], '');
+                func.validate();
+            }).should.throw(/cannot be decorated with @transaction or @query/);
+        });
+
+        it('should throw if a migration function is also decorated with @query', () => {
+            (() => {
+                let func = new FunctionDeclaration(modelManager, 'JS', 'migrate', '+', '', '', ['tx'], ['org.acme.TestTransaction'], ['migration', 'query'], '');
+                func.validate();
+            }).should.throw(/cannot be decorated with @transaction or @query/);
+        });
+
+        it('should throw if a migration function does not have 1 argument', () => {
+            (() => {
+                let func = new FunctionDeclaration(modelManager, 'JS', 'migrate', '+', '', '', [], [], ['migration'], '');
+                func.validate();
+            }).should.throw(/Migration function migrate must have 1 function argument/);
+        });
+
         it('should throw if first brace around param type is missing', () => {
             (() => {
                 let func = loadFunctionDeclaration('test/data/parser/functiondeclaration.missingfirstbrace.js');
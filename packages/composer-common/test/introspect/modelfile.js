@@ -15,6 +15,7 @@
 'use strict';
 
 const AssetDeclaration = require('../../lib/introspect/assetdeclaration');
+const EventDeclaration = require('../../lib/introspect/eventdeclaration');
 const ParticipantDeclaration = require('../../lib/introspect/participantdeclaration');
 const TransactionDeclaration = require('../../lib/introspect/transactiondeclaration');
 const ModelFile = require('../../lib/introspect/modelfile');
@@ -69,7 +70,7 @@ describe('ModelFile', () => {
         });
 
         it('should call the parser with the definitions and save any imports', () => {
-            const imports = [ 'org.freddos', 'org.doge' ];
+            const imports = [ { name: 'org.freddos' }, { name: 'org.doge' } ];
             const ast = {
                 namespace: 'org.acme',
                 imports: imports,
@@ -77,7 +78,42 @@ describe('ModelFile', () => {
             };
             sandbox.stub(parser, 'parse').returns(ast);
             let mf = new ModelFile(mockModelManager, 'fake definitions');
-            mf.imports.should.deep.equal(imports);
+            mf.importDeclarations.should.deep.equal(imports);
+            mf.imports.should.deep.equal([ 'org.freddos', 'org.doge' ]);
+        });
+
+        it('should parse a namespace version and versioned and wildcard imports', () => {
+            let mf = new ModelFile(mockModelManager, `namespace org.acme@1.0.0-beta.1
+            import org.doge.Coin@1.2.0
+            import org.fry.*@^2.0.0
+            import org.freddos.*
+            asset Building identified by buildingId {
+                o String buildingId
+            }`);
+            mf.getVersion().should.equal('1.0.0-beta.1');
+            mf.getNamespaceLocation().start.line.should.equal(1);
+            mf.getImports().should.deep.equal([ 'org.doge.Coin', 'org.fry.*', 'org.freddos.*' ]);
+            mf.getImportVersion('org.doge.Coin').should.equal('1.2.0');
+            mf.getImportVersion('org.fry.*').should.equal('^2.0.0');
+            should.equal(mf.getImportVersion('org.freddos.*'), null);
+            should.equal(mf.getImportVersion('org.wow.*'), null);
+        });
+
+        it('should return null for a model file without a version', () => {
+            let mf = new ModelFile(mockModelManager, carLeaseModel);
+            should.equal(mf.getVersion(), null);
+        });
+
+        it('should throw for an invalid namespace version', () => {
+            (() => {
+                new ModelFile(mockModelManager, 'namespace org.acme@1.x', 'acme.cto');
+            }).should.throw(ParseException, /Invalid version 1.x for namespace org.acme in file acme.cto. Line 1 column 1/);
+        });
+
+        it('should throw for an invalid import version', () => {
+            (() => {
+                new ModelFile(mockModelManager, 'namespace org.acme\nimport org.doge.Coin@wow', 'acme.cto');
+            }).should.throw(ParseException, /Invalid version wow for import org.doge.Coin in file acme.cto. Line 2 column 1/);
         });
 
         it('should handle a normal parsing exception', () => {
@@ -89,9 +125,15 @@ describe('ModelFile', () => {
                     }
                 }
             });
-            (() => {
+            let error;
+            try {
                 new ModelFile(mockModelManager, 'fake definitions');
-            }).should.throw(ParseException, /Line 99 column 99/);
+            } catch (e) {
+                error = e;
+            }
+            error.should.be.an.instanceOf(ParseException);
+            error.message.should.match(/Line 99 column 99/);
+            error.getFileLocation().start.line.should.equal(99);
         });
 
         it('should handle any other parsing exception', () => {
@@ -120,6 +162,75 @@ describe('ModelFile', () => {
             }).should.throw(/BlahType/);
         });
 
+        it('should parse map fields', () => {
+            let modelFile = new ModelFile(mockModelManager, `namespace org.acme
+            concept Address {
+                o String city
+            }
+            asset Building identified by buildingId {
+                o String buildingId
+                o Map<String, Integer> floors
+                o Map<String, Address> addresses optional
+                o Map mapAsAName
+            }`);
+            let building = modelFile.getAssetDeclaration('Building');
+            let floors = building.getProperty('floors');
+            floors.isMap().should.equal(true);
+            floors.getKeyType().should.equal('String');
+            floors.getType().should.equal('Integer');
+            let addresses = building.getProperty('addresses');
+            addresses.isMap().should.equal(true);
+            addresses.getType().should.equal('Address');
+            addresses.isOptional().should.equal(true);
+            let mapAsAName = building.getProperty('mapAsAName');
+            mapAsAName.isMap().should.equal(false);
+            mapAsAName.getType().should.equal('Map');
+        });
+
+        it('should parse field validators', () => {
+            let modelFile = new ModelFile(mockModelManager, `namespace org.acme
+            asset Building identified by buildingId {
+                o String buildingId regex=/^B/ length=[2,10]
+                o String name length=[,32] optional
+                o Integer[] floors range=[-2,100] size=[1,]
+                o DateTime built range=["1900-01-01T00:00:00Z",]
+                o Boolean[] flags size=[,4]
+                o DateTime[] inspections range=[,"2100-01-01T00:00:00Z"] size=[0,10]
+            }`);
+            let building = modelFile.getAssetDeclaration('Building');
+            let buildingId = building.getProperty('buildingId').getValidator();
+            buildingId.validate('id', 'B1234');
+            buildingId.getMinLength().should.equal(2);
+            buildingId.getMaxLength().should.equal(10);
+            let name = building.getProperty('name').getValidator();
+            should.equal(name.getMinLength(), null);
+            name.getMaxLength().should.equal(32);
+            building.getProperty('name').isOptional().should.equal(true);
+            let floors = building.getProperty('floors').getValidator();
+            floors.getLowerBound().should.equal(-2);
+            floors.getUpperBound().should.equal(100);
+            let built = building.getProperty('built').getValidator();
+            built.getLowerBound().toISOString().should.equal('1900-01-01T00:00:00.000Z');
+            should.equal(built.getUpperBound(), null);
+            let flags = building.getProperty('flags').getArraySizeValidator();
+            should.equal(flags.getMinSize(), null);
+            flags.getMaxSize().should.equal(4);
+            let inspections = building.getProperty('inspections');
+            inspections.getValidator().getUpperBound().toISOString().should.equal('2100-01-01T00:00:00.000Z');
+            inspections.getArraySizeValidator().getMinSize().should.equal(0);
+            inspections.getArraySizeValidator().getMaxSize().should.equal(10);
+        });
+
+        it('should throw for a size on a field that is not an array', () => {
+            (() => {
+                new ModelFile(mockModelManager, `namespace org.acme
+                asset Building identified by buildingId {
+                    o String buildingId
+                    o Integer floors size=[1,]
+                }`);
+            }).should.throw(/Size can only be specified for array fields./);
+        });
+
     });
 
     describe('#accept', () => {
@@ -150,7 +261,7 @@ describe('ModelFile', () => {
         it('should find the fully qualified name of the import', () => {
             const ast = {
                 namespace: 'org.acme',
-                imports: [ 'org.doge.Coin' ],
+                imports: [ { name: 'org.doge.Coin' } ],
                 body: [ ]
             };
             sandbox.stub(parser, 'parse').returns(ast);
@@ -161,7 +272,7 @@ describe('ModelFile', () => {
         it('should throw if it cannot find the fully qualified name of the import', () => {
             const ast = {
                 namespace: 'org.acme',
-                imports: [ 'org.doge.Wow' ],
+                imports: [ { name: 'org.doge.Wow' } ],
                 body: [ ]
             };
             sandbox.stub(parser, 'parse').returns(ast);
@@ -171,6 +282,173 @@ describe('ModelFile', () => {
             }).should.throw(/Coin/);
         });
 
+        it('should prefer an explicit import to a wildcard import', () => {
+            const ast = {
+                namespace: 'org.acme',
+                imports: [ { name: 'org.fry.*' }, { name: 'org.doge.Coin' } ],
+                body: [ ]
+            };
+            sandbox.stub(parser, 'parse').returns(ast);
+            let mf = new ModelFile(mockModelManager, 'fake definitions');
+            mf.resolveImport('Coin').should.equal('org.doge.Coin');
+            sinon.assert.notCalled(mockModelManager.getModelFile);
+        });
+
+    });
+
+    describe('#validate', () => {
+
+        let modelManager;
+
+        beforeEach(() => {
+            modelManager = new ModelManager();
+            modelManager.addModelFiles([`namespace org.doge@1.2.0
+            asset Coin identified by coinId {
+                o String coinId
+            }
+            participant Shibe identified by shibeId {
+                o String shibeId
+            }`, `namespace org.fry
+            asset Coin identified by coinId {
+                o String coinId
+            }
+            concept Bender {
+                o String name
+            }`], ['doge.cto', 'fry.cto']);
+        });
+
+        it('should resolve types from wildcard imports', () => {
+            let mf = new ModelFile(modelManager, `namespace org.acme
+            import org.doge.*
+            import org.fry.*
+            asset Wallet identified by walletId {
+                o String walletId
+                o Bender bender
+                --> Shibe owner
+            }`);
+            mf.validate();
+            mf.getType('Bender').getFullyQualifiedName().should.equal('org.fry.Bender');
+            mf.getFullyQualifiedTypeName('Shibe').should.equal('org.doge.Shibe');
+            mf.isImportedType('Coin').should.be.true;
+            mf.isImportedType('Wallet').should.be.false;
+        });
+
+        it('should throw for a type that is provided by more than one wildcard import', () => {
+            let mf = new ModelFile(modelManager, `namespace org.acme
+            import org.doge.*
+            import org.fry.*
+            asset Wallet identified by walletId {
+                o String walletId
+                --> Coin coin
+            }`, 'acme.cto');
+            (() => {
+                mf.validate();
+            }).should.throw(ParseException, /Type Coin is ambiguous in file acme.cto, as it is imported by more than one of the imports \[org.doge.\*,org.fry.\*\]. Line 3 column 13/);
+        });
+
+        it('should use an explicit import to resolve an ambiguous type', () => {
+            let mf = new ModelFile(modelManager, `namespace org.acme
+            import org.doge.*
+            import org.fry.*
+            import org.fry.Coin
+            asset Wallet identified by walletId {
+                o String walletId
+                o Bender bender
+                --> Shibe owner
+                --> Coin coin
+            }`);
+            mf.validate();
+            mf.getFullyQualifiedTypeName('Coin').should.equal('org.fry.Coin');
+        });
+
+        it('should throw for an unused import', () => {
+            let mf = new ModelFile(modelManager, `namespace org.acme
+            import org.doge.Coin
+            import org.doge.Shibe
+            asset Wallet identified by walletId {
+                o String walletId
+                --> Coin coin
+            }`, 'acme.cto');
+            (() => {
+                mf.validate();
+            }).should.throw(ParseException, /Unused import org.doge.Shibe in file acme.cto. Line 3 column 13/);
+        });
+
+        it('should throw for an unused wildcard import', () => {
+            let mf = new ModelFile(modelManager, `namespace org.acme
+            import org.doge.*
+            import org.fry.*
+            asset Wallet identified by walletId {
+                o String walletId
+                --> Shibe owner
+            }`, 'acme.cto');
+            (() => {
+                mf.validate();
+            }).should.throw(ParseException, /Unused import org.fry.\* in file acme.cto/);
+        });
+
+        it('should accept an import that matches the version of the imported namespace', () => {
+            let mf = new ModelFile(modelManager, `namespace org.acme
+            import org.doge.Coin@1.2.0
+            import org.doge.Shibe@1.2.0
+            import org.fry.Bender
+            asset Wallet identified by walletId {
+                o String walletId
+                o Bender bender
+                --> Coin coin
+                --> Shibe owner
+            }`);
+            mf.validate();
+        });
+
+        it('should throw for an import that does not match the version of the imported namespace', () => {
+            let mf = new ModelFile(modelManager, `namespace org.acme
+            import org.doge.Coin@^2.0.0
+            asset Wallet identified by walletId {
+                o String walletId
+                --> Coin coin
+            }`, 'acme.cto');
+            (() => {
+                mf.validate();
+            }).should.throw(ParseException, /Namespace org.doge is imported at version \^2.0.0 in file acme.cto, but version 1.2.0 is loaded. Line 2 column 13/);
+        });
+
+        it('should throw for a versioned import of a namespace that does not declare a version', () => {
+            let mf = new ModelFile(modelManager, `namespace org.acme
+            import org.fry.Bender@1.0.0
+            concept Wallet {
+                o Bender bender
+            }`, 'acme.cto');
+            (() => {
+                mf.validate();
+            }).should.throw(ParseException, /Namespace org.fry is imported at version 1.0.0 in file acme.cto, but it does not declare a version/);
+        });
+
+        it('should throw for imports of the same namespace at different versions', () => {
+            let mf = new ModelFile(modelManager, `namespace org.acme
+            import org.doge.Coin@1.2.0
+            import org.doge.Shibe@1.2.1
+            asset Wallet identified by walletId {
+                o String walletId
+                --> Coin coin
+                --> Shibe owner
+            }`, 'acme.cto');
+            (() => {
+                mf.validate();
+            }).should.throw(ParseException, /Namespace org.doge is imported at conflicting versions 1.2.0 and 1.2.1 in file acme.cto. Line 3 column 13/);
+        });
+
+        it('should ignore the version of an import of a namespace that has not been loaded', () => {
+            let mf = new ModelFile(modelManager, `namespace org.acme
+            import org.wow.Such@1.0.0
+            concept Wallet {
+                o String name
+            }`, 'acme.cto');
+            (() => {
+                mf.validate();
+            }).should.throw(ParseException, /Unused import org.wow.Such/);
+        });
+
     });
 
     describe('#getType', () => {
@@ -245,4 +523,26 @@ describe('ModelFile', () => {
 
     });
 
+    describe('#getEventDeclaration', () => {
+
+        const eventModel = `
+        namespace org.acme
+        event MyEvent identified by eventId {
+            o String eventId
+        }`;
+
+        it('should return the specified Event declaration', () => {
+            let modelFile = new ModelFile(mockModelManager, eventModel);
+            let event = modelFile.getEventDeclaration('MyEvent');
+            event.should.be.an.instanceOf(EventDeclaration);
+        });
+
+        it('should return null if it cannot find the specified Event declaration', () => {
+            let modelFile = new ModelFile(mockModelManager, eventModel);
+            let event = modelFile.getEventDeclaration('Blobby');
+            should.equal(event, null);
+        });
+
+    });
+
 });
@@ -45,6 +45,13 @@ describe('NumberValidator', () => {
             let validator = new NumberValidator(mockField, VALID_UPPER_AND_LOWER_BOUND_AST);
             validator.lowerBound.value.should.equal(0);
             validator.upperBound.value.should.equal(100);
+            validator.getLowerBound().should.equal(0);
+            validator.getUpperBound().should.equal(100);
+        });
+
+        it('should return null for missing bounds', () => {
+            should.equal(new NumberValidator(mockField, NO_LOWER_BOUND_AST).getLowerBound(), null);
+            should.equal(new NumberValidator(mockField, NO_UPPER_BOUND_AST).getUpperBound(), null);
         });
 
         it('should accept valid constructor parms NO_LOWER_BOUND_AST', () => {
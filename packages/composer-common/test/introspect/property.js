@@ -15,6 +15,8 @@
 'use strict';
 
 const ClassDeclaration = require('../../lib/introspect/classdeclaration');
+const ModelFile = require('../../lib/introspect/modelfile');
+const ModelManager = require('../../lib/modelmanager');
 const Property = require('../../lib/introspect/property');
 
 const should = require('chai').should();
@@ -79,6 +81,122 @@ describe('Property', () => {
             p.array.should.equal(true);
         });
 
+        it('should not be a map by default', () => {
+            let p = new Property(mockClassDeclaration, {
+                id: {
+                    name: 'property',
+                }
+            });
+            p.isMap().should.equal(false);
+            should.equal(p.getKeyType(), null);
+        });
+
+        it('should mark as a map if required', () => {
+            let p = new Property(mockClassDeclaration, {
+                id: {
+                    name: 'property',
+                },
+                propertyType: {
+                    name: 'Integer'
+                },
+                map: true,
+                keyType: {
+                    name: 'String'
+                }
+            });
+            p.isMap().should.equal(true);
+            p.getKeyType().should.equal('String');
+            p.getType().should.equal('Integer');
+        });
+
+    });
+
+    describe('#validate', () => {
+
+        it('should throw for a map with a key type that is not String', () => {
+            let p = new Property(mockClassDeclaration, {
+                id: {
+                    name: 'property',
+                },
+                propertyType: {
+                    name: 'String'
+                },
+                map: true,
+                keyType: {
+                    name: 'Integer'
+                }
+            });
+            mockClassDeclaration.getModelFile.returns(sinon.createStubInstance(ModelFile));
+            (() => {
+                p.validate(mockClassDeclaration);
+            }).should.throw(/Map property property must have a key type of String, not Integer/);
+        });
+
+        /**
+         * Create a model file containing an asset with the specified property.
+         * @param {string} property The property declaration.
+         * @param {string} [type] The type of the class declaration.
+         * @return {ModelFile} The model file.
+         */
+        function createModelFile(property, type) {
+            return new ModelFile(sinon.createStubInstance(ModelManager), `namespace org.acme
+            enum State {
+                o ACTIVE
+                o INACTIVE
+            }
+            ${type || 'asset'} Car identified by vin {
+                o String vin
+                ${property}
+            }`);
+        }
+
+        it('should validate indexed fields of assets and participants', () => {
+            createModelFile('@index o String make').validate();
+            createModelFile('@index o Integer year optional').validate();
+            createModelFile('@index o State state', 'participant').validate();
+            let modelFile = createModelFile('@index o Double price');
+            modelFile.validate();
+            let car = modelFile.getAssetDeclaration('Car');
+            car.getProperty('price').isIndexed().should.be.true;
+            car.getProperty('vin').isIndexed().should.be.false;
+        });
+
+        it('should throw for an index decorator with arguments', () => {
+            (() => {
+                createModelFile('@index("make") o String make').validate();
+            }).should.throw(/Decorator index of property make does not accept arguments/);
+        });
+
+        it('should throw for an indexed field of a transaction', () => {
+            (() => {
+                createModelFile('@index o String make', 'transaction').validate();
+            }).should.throw(/Property make cannot be indexed, only properties of assets and participants can be indexed/);
+        });
+
+        it('should throw for an indexed array field', () => {
+            (() => {
+                createModelFile('@index o String[] makes').validate();
+            }).should.throw(/Property makes cannot be indexed, array and map properties cannot be indexed/);
+        });
+
+        it('should throw for an indexed map field', () => {
+            (() => {
+                createModelFile('@index o Map<String, String> makes').validate();
+            }).should.throw(/Property makes cannot be indexed, array and map properties cannot be indexed/);
+        });
+
+        it('should throw for an indexed field that is not a supported primitive type', () => {
+            (() => {
+                createModelFile('@index o Boolean scrapped').validate();
+            }).should.throw(/Property scrapped cannot be indexed, only String, Integer, Long, Double and enumerated type fields can be indexed/);
+        });
+
+        it('should throw for an indexed relationship', () => {
+            (() => {
+                createModelFile('@index --> Car next').validate();
+            }).should.throw(/Property next cannot be indexed/);
+        });
+
     });
 
     describe('#toJSON', () => {
@@ -43,5 +43,65 @@ describe('StringValidator', () => {
                 v.validate('id', 'xyz');
             }).should.throw(/Invalid validator for field id org.acme.myField/);
         });
+
+        it('should validate the length', () => {
+            let v = new StringValidator(mockField, null, { lower: { type: 'Literal', value: 2 }, upper: { type: 'Literal', value: 4 } });
+            v.validate('id', 'ab');
+            v.validate('id', 'abcd');
+        });
+
+        it('should detect a string that is too short', () => {
+            let v = new StringValidator(mockField, null, { lower: { type: 'Literal', value: 2 }, upper: null });
+
+            (() => {
+                v.validate('id', 'a');
+            }).should.throw(/org.acme.myField: Value 'a' is shorter than the minimum length 2/);
+        });
+
+        it('should detect a string that is too long', () => {
+            let v = new StringValidator(mockField, null, { lower: null, upper: { type: 'Literal', value: 4 } });
+
+            (() => {
+                v.validate('id', 'abcde');
+            }).should.throw(/org.acme.myField: Value 'abcde' is longer than the maximum length 4/);
+        });
+
+        it('should validate the regex and the length', () => {
+            let v = new StringValidator(mockField, '/^[A-z]+$/', { lower: null, upper: { type: 'Literal', value: 4 } });
+            v.validate('id', 'abcd');
+
+            (() => {
+                v.validate('id', 'ab1');
+            }).should.throw(/failed to match validation regex/);
+            (() => {
+                v.validate('id', 'abcde');
+            }).should.throw(/is longer than the maximum length 4/);
+        });
+
+        it('should ignore null values', () => {
+            let v = new StringValidator(mockField, '/^[A-z]+$/', { lower: { type: 'Literal', value: 2 }, upper: null });
+            v.validate('id', null);
+        });
+    });
+
+    describe('#constructor', () => {
+
+        it('should save the length', () => {
+            let v = new StringValidator(mockField, null, { lower: { type: 'Literal', value: 2 }, upper: { type: 'Literal', value: 4 } });
+            v.getMinLength().should.equal(2);
+            v.getMaxLength().should.equal(4);
+        });
+
+        it('should throw if no length bounds are specified', () => {
+            (() => {
+                new StringValidator(mockField, null, { lower: null, upper: null });
+            }).should.throw(/Invalid length, lower and-or upper bound must be specified./);
+        });
+
+        it('should throw if the lower bound is higher than the upper bound', () => {
+            (() => {
+                new StringValidator(mockField, null, { lower: { type: 'Literal', value: 4 }, upper: { type: 'Literal', value: 2 } });
+            }).should.throw(/Lower bound must be less than or equal to upper bound./);
+        });
     });
 });
@@ -0,0 +1,281 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ModelCompatibilityChecker = require('../lib/modelcompatibilitychecker');
+const ModelManager = require('../lib/modelmanager');
+
+require('chai').should();
+
+describe('ModelCompatibilityChecker', () => {
+
+    const base = `
+    namespace org.acme
+    enum Colour {
+      o RED
+      o BLUE
+    }
+    concept Address {
+      o String city
+    }
+    abstract participant Party identified by partyId {
+      o String partyId
+    }
+    participant Person extends Party {
+      o String name
+      o String nickname optional
+    }
+    asset Vehicle identified by vin {
+      o String vin
+      o Colour colour
+      o String registration regex=/^[A-Z]+$/
+      o Integer year range=[1990,] optional
+      o String make default="Acme"
+      o String[] tags optional
+      o Address address optional
+      --> Person owner
+    }
+    transaction Sell identified by transactionId {
+      o String transactionId
+      --> Vehicle vehicle
+    }
+    event Sold identified by eventId {
+      o String eventId
+    }`;
+
+    /**
+     * Check the changes between the base model and a model created by
+     * replacing some of the text in the base model.
+     * @param {string} search The text to replace.
+     * @param {string} replacement The replacement text.
+     * @return {ModelCompatibilityChecker} The checker.
+     */
+    function compare(search, replacement) {
+        const oldModelManager = new ModelManager();
+        oldModelManager.addModelFile(base);
+        const newModelManager = new ModelManager();
+        const model = base.replace(search, replacement);
+        model.should.not.equal(base);
+        newModelManager.addModelFile(model);
+        return new ModelCompatibilityChecker(oldModelManager, newModelManager);
+    }
+
+    /**
+     * Check the changes between the base model and an identical model.
+     * @return {ModelCompatibilityChecker} The checker.
+     */
+    function compareUnchanged() {
+        const oldModelManager = new ModelManager();
+        oldModelManager.addModelFile(base);
+        const newModelManager = new ModelManager();
+        newModelManager.addModelFile(base);
+        return new ModelCompatibilityChecker(oldModelManager, newModelManager);
+    }
+
+    describe('#getChanges', () => {
+
+        it('should return no changes for the same models', () => {
+            compareUnchanged().getChanges().should.deep.equal([]);
+        });
+
+        it('should return the same changes when called again', () => {
+            const checker = compare(/Vehicle/g, 'Car');
+            checker.getChanges().should.equal(checker.getChanges());
+        });
+
+        it('should sort the changes by type', () => {
+            compare(/Vehicle/g, 'Car').getChanges().map((change) => {
+                return change.type;
+            }).should.deep.equal(['org.acme.Car', 'org.acme.Sell', 'org.acme.Vehicle']);
+        });
+
+        it('should report a type that was removed or renamed as breaking', () => {
+            compare(/Vehicle/g, 'Car').getChanges().should.deep.include.members([
+                { type: 'org.acme.Vehicle', property: null, breaking: true, description: 'The type was removed' },
+                { type: 'org.acme.Car', property: null, breaking: false, description: 'The type was added' }
+            ]);
+        });
+
+        it('should report a type that was added as not breaking', () => {
+            compare('concept Address', 'concept Postcode { o String code }\n    concept Address').getChanges().should.deep.equal([
+                { type: 'org.acme.Postcode', property: null, breaking: false, description: 'The type was added' }
+            ]);
+        });
+
+        it('should report a change to the kind of a type as breaking', () => {
+            compare('asset Vehicle', 'participant Vehicle').getChanges().should.deep.equal([
+                { type: 'org.acme.Vehicle', property: null, breaking: true, description: 'The type changed from asset to participant' }
+            ]);
+        });
+
+        it('should report a type that was made abstract as breaking', () => {
+            compare('participant Person', 'abstract participant Person').getChanges().should.deep.equal([
+                { type: 'org.acme.Person', property: null, breaking: true, description: 'The type was made abstract' }
+            ]);
+        });
+
+        it('should report a type that is no longer abstract as not breaking', () => {
+            compare('abstract participant Party', 'participant Party').getChanges().should.deep.equal([
+                { type: 'org.acme.Party', property: null, breaking: false, description: 'The type is no longer abstract' }
+            ]);
+        });
+
+        it('should report a change to the super type as not breaking', () => {
+            compare('participant Person extends Party {', 'abstract participant Party2 identified by partyId { o String partyId }\n    participant Person extends Party2 {').getChanges().should.deep.equal([
+                { type: 'org.acme.Party2', property: null, breaking: false, description: 'The type was added' },
+                { type: 'org.acme.Person', property: null, breaking: false, description: 'The super type changed from org.acme.Party to org.acme.Party2' }
+            ]);
+        });
+
+        it('should report a change to the identifying field as breaking', () => {
+            compare('asset Vehicle identified by vin', 'asset Vehicle identified by registration').getChanges().should.deep.equal([
+                { type: 'org.acme.Vehicle', property: null, breaking: true, description: 'The identifying field changed from vin to registration' }
+            ]);
+        });
+
+        it('should report a property that was removed or renamed as breaking', () => {
+            compare('o String name', 'o String fullName').getChanges().should.deep.equal([
+                { type: 'org.acme.Person', property: 'name', breaking: true, description: 'The property was removed' },
+                { type: 'org.acme.Person', property: 'fullName', breaking: true, description: 'A required property was added' }
+            ]);
+        });
+
+        it('should report an optional property that was added as not breaking', () => {
+            compare('o String name', 'o String name\n      o String title optional').getChanges().should.deep.equal([
+                { type: 'org.acme.Person', property: 'title', breaking: false, description: 'An optional property was added' }
+            ]);
+        });
+
+        it('should report a property with a default value that was added as not breaking', () => {
+            compare('o String name', 'o String name\n      o String title default="Dr"').getChanges().should.deep.equal([
+                { type: 'org.acme.Person', property: 'title', breaking: false, description: 'An optional property was added' }
+            ]);
+        });
+
+        it('should report a relationship that was added as breaking', () => {
+            compare('o String name', 'o String name\n      --> Vehicle vehicle').getChanges().should.deep.equal([
+                { type: 'org.acme.Person', property: 'vehicle', breaking: true, description: 'A required property was added' }
+            ]);
+        });
+
+        it('should report changes to the properties of a super type in the sub types', () => {
+            compare('o String partyId', 'o String partyId\n      o String email').getChanges().should.deep.equal([
+                { type: 'org.acme.Party', property: 'email', breaking: true, description: 'A required property was added' },
+                { type: 'org.acme.Person', property: 'email', breaking: true, description: 'A required property was added' }
+            ]);
+        });
+
+        it('should report an enumerated value that was removed as breaking', () => {
+            compare('o BLUE', 'o GREEN').getChanges().should.deep.equal([
+                { type: 'org.acme.Colour', property: 'BLUE', breaking: true, description: 'The enumerated value was removed' },
+                { type: 'org.acme.Colour', property: 'GREEN', breaking: false, description: 'The enumerated value was added' }
+            ]);
+        });
+
+        it('should report a change to the type of a property as breaking', () => {
+            compare('o Integer year', 'o Long year').getChanges().should.deep.equal([
+                { type: 'org.acme.Vehicle', property: 'year', breaking: true, description: 'The type of the property changed from Integer to Long' }
+            ]);
+        });
+
+        it('should report a property that was made an array as breaking', () => {
+            compare('o Address address', 'o Address[] address').getChanges().should.deep.equal([
+                { type: 'org.acme.Vehicle', property: 'address', breaking: true, description: 'The type of the property changed from org.acme.Address to org.acme.Address[]' }
+            ]);
+        });
+
+        it('should report a property that was made a map as breaking', () => {
+            compare('o String[] tags', 'o Map<String, String> tags').getChanges().should.deep.equal([
+                { type: 'org.acme.Vehicle', property: 'tags', breaking: true, description: 'The type of the property changed from String[] to Map<String, String>' }
+            ]);
+        });
+
+        it('should report a relationship that was made a field as breaking', () => {
+            compare('--> Person owner', 'o Address owner').getChanges().should.deep.equal([
+                { type: 'org.acme.Vehicle', property: 'owner', breaking: true, description: 'The type of the property changed from --> org.acme.Person to org.acme.Address' }
+            ]);
+        });
+
+        it('should report a property that was made required as breaking', () => {
+            compare('o String nickname optional', 'o String nickname').getChanges().should.deep.equal([
+                { type: 'org.acme.Person', property: 'nickname', breaking: true, description: 'The property was made required' }
+            ]);
+        });
+
+        it('should report a property that was made optional as not breaking', () => {
+            compare('o String name', 'o String name optional').getChanges().should.deep.equal([
+                { type: 'org.acme.Person', property: 'name', breaking: false, description: 'The property was made optional' }
+            ]);
+        });
+
+        it('should report a validator that was added as breaking', () => {
+            compare('o String vin', 'o String vin regex=/^V/').getChanges().should.deep.equal([
+                { type: 'org.acme.Vehicle', property: 'vin', breaking: true, description: 'The validator of the property was added or changed' }
+            ]);
+        });
+
+        it('should report a validator that was changed as breaking', () => {
+            compare('range=[1990,]', 'range=[2000,]').getChanges().should.deep.equal([
+                { type: 'org.acme.Vehicle', property: 'year', breaking: true, description: 'The validator of the property was added or changed' }
+            ]);
+        });
+
+        it('should report a validator that was removed as not breaking', () => {
+            compare(' regex=/^[A-Z]+$/', '').getChanges().should.deep.equal([
+                { type: 'org.acme.Vehicle', property: 'registration', breaking: false, description: 'The validator of the property was removed' }
+            ]);
+        });
+
+        it('should not report a validator that was only moved in the model file', () => {
+            compare('asset Vehicle', '\n\n    asset Vehicle').getChanges().should.deep.equal([]);
+        });
+
+        it('should report a change to the default value as not breaking', () => {
+            compare('default="Acme"', 'default="Acme Corp"').getChanges().should.deep.equal([
+                { type: 'org.acme.Vehicle', property: 'make', breaking: false, description: 'The default value of the property changed' }
+            ]);
+        });
+
+        it('should report changes to events as not breaking', () => {
+            compare('o String eventId', 'o String eventId\n      o String buyer').getChanges().should.deep.equal([
+                { type: 'org.acme.Sold', property: 'buyer', breaking: false, description: 'A required property was added' }
+            ]);
+        });
+
+    });
+
+    describe('#getBreakingChanges', () => {
+
+        it('should return only the breaking changes', () => {
+            compare('o BLUE', 'o GREEN').getBreakingChanges().should.deep.equal([
+                { type: 'org.acme.Colour', property: 'BLUE', breaking: true, description: 'The enumerated value was removed' }
+            ]);
+        });
+
+    });
+
+    describe('#isCompatible', () => {
+
+        it('should return true if there are no breaking changes', () => {
+            compare('o String name', 'o String name optional').isCompatible().should.be.true;
+        });
+
+        it('should return false if there are breaking changes', () => {
+            compare('o String name', 'o Integer name').isCompatible().should.be.false;
+        });
+
+    });
+
+});
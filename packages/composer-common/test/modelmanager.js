@@ -16,8 +16,10 @@
 
 const AssetDeclaration = require('../lib/introspect/assetdeclaration');
 const EnumDeclaration = require('../lib/introspect/enumdeclaration');
+const EventDeclaration = require('../lib/introspect/eventdeclaration');
 const ModelFile = require('../lib/introspect/modelfile');
 const ModelManager = require('../lib/modelmanager');
+const ParseException = require('../lib/introspect/parseexception');
 const ParticipantDeclaration = require('../lib/introspect/participantdeclaration');
 const TransactionDeclaration = require('../lib/introspect/transactiondeclaration');
 const fs = require('fs');
@@ -205,6 +207,27 @@ describe('ModelManager', () => {
             should.equal(mm.modelFiles['org.fry'], undefined);
         });
 
+        it('should add model files that declare the same version of a namespace', () => {
+            let mm = new ModelManager();
+            mm.addModelFiles(['namespace org.doge@1.0.0', 'namespace org.doge@1.0.0']);
+            mm.getModelFile('org.doge').getVersion().should.equal('1.0.0');
+        });
+
+        it('should throw for model files that declare different versions of a namespace', () => {
+            let mm = new ModelManager();
+            (() => {
+                mm.addModelFiles(['namespace org.doge@1.0.0', 'namespace org.fry', 'namespace org.doge@2.0.0'], ['doge1.cto', 'fry.cto', 'doge2.cto']);
+            }).should.throw(ParseException, /Namespace org.doge is defined at version 1.0.0 in file doge1.cto and at version 2.0.0 in file doge2.cto. Line 1 column 1/);
+            mm.getModelFiles().should.have.length(0);
+        });
+
+        it('should throw for model files that declare a version and no version of a namespace', () => {
+            let mm = new ModelManager();
+            (() => {
+                mm.addModelFiles(['namespace org.doge', 'namespace org.doge@2.0.0'], ['doge1.cto', 'doge2.cto']);
+            }).should.throw(ParseException, /Namespace org.doge is defined at version none in file doge1.cto and at version 2.0.0 in file doge2.cto/);
+        });
+
     });
 
     describe('#updateModelFile', () => {
@@ -357,6 +380,19 @@ describe('ModelManager', () => {
 
     });
 
+    describe('#getEventDeclarations', () => {
+
+        it('should return all of the event declarations', () => {
+            let mm = new ModelManager();
+            let modelBase = fs.readFileSync('./test/data/model/model-base.cto', 'utf8');
+            mm.addModelFile(modelBase);
+            let decls = mm.getEventDeclarations();
+            decls.should.have.lengthOf(2);
+            decls.should.all.be.an.instanceOf(EventDeclaration);
+        });
+
+    });
+
     describe('#getParticipantDeclarations', () => {
 
         it('should return all of the participant declarations', () => {
@@ -0,0 +1,119 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Query = require('../../lib/query/query');
+const QueryFile = require('../../lib/query/queryfile');
+const Select = require('../../lib/query/select');
+
+require('chai').should();
+const sinon = require('sinon');
+
+describe('Query', () => {
+
+    let queryFile;
+    let sandbox;
+    const ast = {
+        type: 'Query',
+        id: 'Q1',
+        description: 'Select all cars',
+        select: {
+            type: 'SelectStatement',
+            resource: 'org.acme.Car',
+            where: null,
+            orderBy: null,
+            limit: { type: 'Parameter', name: 'limit' },
+            skip: null,
+            text: 'SELECT org.acme.Car LIMIT _$limit'
+        }
+    };
+
+    beforeEach(() => {
+        queryFile = sinon.createStubInstance(QueryFile);
+        sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    describe('#constructor', () => {
+
+        it('should throw when null QueryFile provided', () => {
+            (() => {
+                new Query(null, ast);
+            }).should.throw(/Invalid QueryFile or AST/);
+        });
+
+        it('should throw when null AST provided', () => {
+            (() => {
+                new Query(queryFile, null);
+            }).should.throw(/Invalid QueryFile or AST/);
+        });
+
+        it('should process the AST', () => {
+            const query = new Query(queryFile, ast);
+            query.getQueryFile().should.equal(queryFile);
+            query.getName().should.equal('Q1');
+            query.getDescription().should.equal('Select all cars');
+            query.getSelect().should.be.an.instanceOf(Select);
+            query.getParameters().should.deep.equal(['limit']);
+        });
+
+    });
+
+    describe('#validate', () => {
+
+        it('should validate the SELECT statement', () => {
+            const query = new Query(queryFile, ast);
+            const stub = sandbox.stub(query.getSelect(), 'validate');
+            query.validate();
+            sinon.assert.calledOnce(stub);
+        });
+
+    });
+
+    describe('#accept', () => {
+
+        it('should call the visitor', () => {
+            const query = new Query(queryFile, ast);
+            let visitor = {
+                visit: sinon.stub()
+            };
+            query.accept(visitor, ['some', 'args']);
+            sinon.assert.calledOnce(visitor.visit);
+            sinon.assert.calledWith(visitor.visit, query, ['some', 'args']);
+        });
+
+    });
+
+    describe('#toJSON', () => {
+
+        it('should generate a JSON representation', () => {
+            const query = new Query(queryFile, ast);
+            JSON.parse(JSON.stringify(query)).should.deep.equal({
+                name: 'Q1',
+                description: 'Select all cars',
+                select: {
+                    text: 'SELECT org.acme.Car LIMIT _$limit',
+                    resource: 'org.acme.Car',
+                    parameters: ['limit']
+                }
+            });
+        });
+
+    });
+
+});
@@ -0,0 +1,217 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const IllegalModelException = require('../../lib/introspect/illegalmodelexception');
+const ModelManager = require('../../lib/modelmanager');
+const ParseException = require('../../lib/introspect/parseexception');
+const parser = require('../../lib/query/parser');
+const Query = require('../../lib/query/query');
+const QueryFile = require('../../lib/query/queryfile');
+const fs = require('fs');
+const path = require('path');
+
+require('chai').should();
+const sinon = require('sinon');
+
+describe('QueryFile', () => {
+
+    const testQuery = fs.readFileSync(path.resolve(__dirname, './test.qry'), 'utf8');
+    const invalidQuery = fs.readFileSync(path.resolve(__dirname, './invalid.qry'), 'utf8');
+    const testModel = fs.readFileSync(path.resolve(__dirname, './model.cto'), 'utf8');
+
+    let modelManager;
+    let sandbox;
+
+    beforeEach(() => {
+        modelManager = new ModelManager();
+        modelManager.addModelFile(testModel);
+        sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    describe('#fromJSON', () => {
+
+        it('should round trip the query file', () => {
+            let queryFile1 = new QueryFile('test', modelManager, testQuery);
+            let json = JSON.stringify(queryFile1);
+            let queryFile2 = QueryFile.fromJSON(modelManager, JSON.parse(json));
+            queryFile2.should.deep.equal(queryFile1);
+            queryFile1.getIdentifier().should.equal(queryFile2.getIdentifier());
+        });
+
+    });
+
+    describe('#constructor', () => {
+
+        it('should throw when null definitions provided', () => {
+            (() => {
+                new QueryFile('test', modelManager, null);
+            }).should.throw(/as a string as input/);
+        });
+
+        it('should throw when invalid definitions provided', () => {
+            (() => {
+                new QueryFile('test', modelManager, [{}]);
+            }).should.throw(/as a string as input/);
+        });
+
+        it('should call the parser with the definitions and save the abstract syntax tree', () => {
+            const ast = {
+                queries: [ { id: 'fake', description: 'fake', select: { resource: 'org.acme.Car', text: 'SELECT org.acme.Car' } } ]
+            };
+            sandbox.stub(parser, 'parse').returns(ast);
+            let queryFile = new QueryFile('test', modelManager, 'fake definitions');
+            queryFile.ast.should.equal(ast);
+            sinon.assert.calledWith(parser.parse, 'fake definitions', { startRule: 'Start' });
+        });
+
+        it('should accept an empty query file', () => {
+            let queryFile = new QueryFile('test', modelManager, '');
+            queryFile.getQueries().should.deep.equal([]);
+        });
+
+        it('should throw a ParseException on invalid input', () => {
+            (() => {
+                new QueryFile('test.qry', modelManager, invalidQuery);
+            }).should.throw(ParseException, /but "}" found\. Line 9 column 1$/);
+        });
+
+        it('should rethrow any other errors from the parser', () => {
+            sandbox.stub(parser, 'parse').throws(new Error('such error'));
+            (() => {
+                new QueryFile('test.qry', modelManager, testQuery);
+            }).should.throw(/such error/);
+        });
+
+        it('should throw on duplicate query names', () => {
+            (() => {
+                new QueryFile('test.qry', modelManager, testQuery + testQuery);
+            }).should.throw(IllegalModelException, /Duplicate query name Q1/);
+        });
+
+        it('should parse correctly and preserve order', () => {
+            const queryFile = new QueryFile('test.qry', modelManager, testQuery);
+            queryFile.getQueries().length.should.equal(3);
+            queryFile.getDefinitions().should.equal(testQuery);
+            queryFile.getModelManager().should.equal(modelManager);
+
+            const q1 = queryFile.getQueries()[0];
+            const q2 = queryFile.getQueries()[1];
+            const q3 = queryFile.getQueries()[2];
+
+            q1.getName().should.equal('Q1');
+            q1.getDescription().should.equal('Select all cars');
+            q1.getSelect().getText().should.equal('SELECT org.acme.Car');
+            q1.getParameters().should.deep.equal([]);
+
+            q2.getName().should.equal('Q2');
+            q2.getDescription().should.equal('Select the cars owned by a driver');
+            q2.getSelect().getResource().should.equal('org.acme.Car');
+            q2.getSelect().getOrderBy().map((sort) => {
+                return sort.property.name + ' ' + sort.direction;
+            }).should.deep.equal(['make ASC', 'year DESC']);
+            q2.getSelect().getLimit().should.deep.equal({ type: 'Parameter', name: 'limit' });
+            q2.getSelect().getSkip().should.deep.equal({ type: 'Literal', value: 5 });
+            q2.getParameters().should.deep.equal(['owner', 'limit']);
+
+            q3.getName().should.equal('Q3');
+            q3.getSelect().getWhere().operator.should.equal('OR');
+            q3.getSelect().getOrderBy()[0].direction.should.equal('ASC');
+            q3.getParameters().should.deep.equal(['city']);
+        });
+    });
+
+    describe('#validate', () => {
+
+        it('should validate correct contents', () => {
+            const queryFile = new QueryFile('test', modelManager, testQuery);
+            queryFile.validate();
+        });
+
+        it('should throw for invalid contents', () => {
+            const queryFile = new QueryFile('test', modelManager, 'query Q1 { description: "bad" statement: SELECT org.acme.Missing }');
+            (() => {
+                queryFile.validate();
+            }).should.throw(IllegalModelException, /Failed to find class org.acme.Missing/);
+        });
+    });
+
+    describe('#getQuery', () => {
+
+        it('should return the named query', () => {
+            const queryFile = new QueryFile('test', modelManager, testQuery);
+            queryFile.getQuery('Q2').should.equal(queryFile.getQueries()[1]);
+        });
+
+        it('should return null if the named query does not exist', () => {
+            const queryFile = new QueryFile('test', modelManager, testQuery);
+            (queryFile.getQuery('Q4') === null).should.be.true;
+        });
+    });
+
+    describe('#buildQuery', () => {
+
+        let queryFile;
+
+        beforeEach(() => {
+            queryFile = new QueryFile('test', modelManager, testQuery);
+        });
+
+        it('should throw when no statement is provided', () => {
+            (() => {
+                queryFile.buildQuery(null);
+            }).should.throw(/as a string as input/);
+        });
+
+        it('should build and validate an unnamed query', () => {
+            const query = queryFile.buildQuery('  SELECT org.acme.Car WHERE make == _$make ');
+            query.should.be.an.instanceOf(Query);
+            (query.getName() === null).should.be.true;
+            query.getSelect().getText().should.equal('SELECT org.acme.Car WHERE make == _$make');
+            query.getParameters().should.deep.equal(['make']);
+            queryFile.getQueries().length.should.equal(3);
+        });
+
+        it('should throw a ParseException on invalid input', () => {
+            (() => {
+                queryFile.buildQuery('SELECT org.acme.Car WHERE');
+            }).should.throw(ParseException, /but end of input found\. Line 1 column 26$/);
+        });
+
+        it('should throw an IllegalModelException on an invalid statement', () => {
+            (() => {
+                queryFile.buildQuery('SELECT org.acme.Car WHERE missing == 1');
+            }).should.throw(IllegalModelException, /Failed to find property missing/);
+        });
+    });
+
+    describe('#accept', () => {
+
+        it('should call the visitor', () => {
+            let queryFile = new QueryFile('test.qry', modelManager, testQuery);
+            let visitor = {
+                visit: sinon.stub()
+            };
+            queryFile.accept(visitor, ['some', 'args']);
+            sinon.assert.calledOnce(visitor.visit);
+            sinon.assert.calledWith(visitor.visit, queryFile, ['some', 'args']);
+        });
+
+    });
+});
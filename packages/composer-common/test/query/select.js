@@ -0,0 +1,185 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const IllegalModelException = require('../../lib/introspect/illegalmodelexception');
+const ModelManager = require('../../lib/modelmanager');
+const Query = require('../../lib/query/query');
+const QueryFile = require('../../lib/query/queryfile');
+const Select = require('../../lib/query/select');
+const fs = require('fs');
+const path = require('path');
+
+require('chai').should();
+const sinon = require('sinon');
+
+describe('Select', () => {
+
+    const testModel = fs.readFileSync(path.resolve(__dirname, './model.cto'), 'utf8');
+
+    let modelManager;
+    let queryFile;
+
+    beforeEach(() => {
+        modelManager = new ModelManager();
+        modelManager.addModelFile(testModel);
+        queryFile = new QueryFile('test.qry', modelManager, '');
+    });
+
+    describe('#constructor', () => {
+
+        it('should throw when null Query provided', () => {
+            (() => {
+                new Select(null, {});
+            }).should.throw(/Invalid Query or AST/);
+        });
+
+        it('should throw when null AST provided', () => {
+            (() => {
+                new Select(sinon.createStubInstance(Query), null);
+            }).should.throw(/Invalid Query or AST/);
+        });
+
+    });
+
+    describe('#getParameters', () => {
+
+        it('should return an empty array if there are no parameters', () => {
+            const select = queryFile.buildQuery('SELECT org.acme.Car').getSelect();
+            select.getParameters().should.deep.equal([]);
+            select.getOrderBy().should.deep.equal([]);
+            (select.getWhere() === null).should.be.true;
+            (select.getLimit() === null).should.be.true;
+            (select.getSkip() === null).should.be.true;
+        });
+
+        it('should return the unique parameters in order of use', () => {
+            const select = queryFile.buildQuery('SELECT org.acme.Car WHERE (_$a == make OR NOT (year > _$b)) AND make != _$a LIMIT _$c SKIP _$d').getSelect();
+            select.getParameters().should.deep.equal(['a', 'b', 'c', 'd']);
+        });
+
+    });
+
+    describe('#validate', () => {
+
+        it('should accept an asset', () => {
+            queryFile.buildQuery('SELECT org.acme.Car');
+        });
+
+        it('should accept a participant', () => {
+            queryFile.buildQuery('SELECT org.acme.Driver');
+        });
+
+        it('should accept a transaction', () => {
+            queryFile.buildQuery('SELECT org.acme.Sell');
+        });
+
+        it('should throw for a class in a missing namespace', () => {
+            (() => {
+                queryFile.buildQuery('SELECT org.missing.Car');
+            }).should.throw(IllegalModelException, /Failed to find class org.missing.Car/);
+        });
+
+        it('should throw for a missing class', () => {
+            (() => {
+                queryFile.buildQuery('SELECT org.acme.Missing');
+            }).should.throw(IllegalModelException, /Failed to find class org.acme.Missing/);
+        });
+
+        it('should throw for a concept', () => {
+            (() => {
+                queryFile.buildQuery('SELECT org.acme.Address');
+            }).should.throw(IllegalModelException, /is not an asset, participant or transaction/);
+        });
+
+        it('should throw for an event', () => {
+            (() => {
+                queryFile.buildQuery('SELECT org.acme.Sold');
+            }).should.throw(IllegalModelException, /is not an asset, participant or transaction/);
+        });
+
+        it('should accept an abstract class', () => {
+            queryFile.buildQuery('SELECT org.acme.Base');
+        });
+
+        it('should accept properties, including inherited properties, relationships, enums and concepts', () => {
+            queryFile.buildQuery('SELECT org.acme.Car WHERE vin == \'abc\' AND owner == _$owner AND colour == \'RED\' AND address.city == \'Winchester\' ORDER BY [year DESC]');
+        });
+
+        it('should throw for a missing property in the WHERE clause', () => {
+            (() => {
+                queryFile.buildQuery('SELECT org.acme.Car WHERE NOT (model == \'Mini\')');
+            }).should.throw(IllegalModelException, /Failed to find property model in class org.acme.Car/);
+        });
+
+        it('should throw for a missing property in the ORDER BY clause', () => {
+            (() => {
+                queryFile.buildQuery('SELECT org.acme.Car ORDER BY model');
+            }).should.throw(IllegalModelException, /Failed to find property model in class org.acme.Car/);
+        });
+
+        it('should throw for a missing nested property', () => {
+            (() => {
+                queryFile.buildQuery('SELECT org.acme.Car WHERE address.postcode == \'SO23\'');
+            }).should.throw(IllegalModelException, /Failed to find property address.postcode/);
+        });
+
+        it('should throw for an array property', () => {
+            (() => {
+                queryFile.buildQuery('SELECT org.acme.Car WHERE tags == \'fast\'');
+            }).should.throw(IllegalModelException, /Property tags is an array/);
+        });
+
+        it('should throw for an array relationship', () => {
+            (() => {
+                queryFile.buildQuery('SELECT org.acme.Car WHERE previousOwners == _$owner');
+            }).should.throw(IllegalModelException, /Property previousOwners is an array/);
+        });
+
+        it('should throw when navigating through a relationship', () => {
+            (() => {
+                queryFile.buildQuery('SELECT org.acme.Car WHERE owner.firstName == \'Fred\'');
+            }).should.throw(IllegalModelException, /navigates through a relationship/);
+        });
+
+        it('should throw when navigating through a primitive', () => {
+            (() => {
+                queryFile.buildQuery('SELECT org.acme.Car WHERE make.length == 4');
+            }).should.throw(IllegalModelException, /Property make is not a concept/);
+        });
+
+        it('should throw when navigating through an enum', () => {
+            (() => {
+                queryFile.buildQuery('SELECT org.acme.Car WHERE colour.RED == true');
+            }).should.throw(IllegalModelException, /Property colour is not a concept/);
+        });
+
+    });
+
+    describe('#accept', () => {
+
+        it('should call the visitor', () => {
+            const select = queryFile.buildQuery('SELECT org.acme.Car').getSelect();
+            let visitor = {
+                visit: sinon.stub()
+            };
+            select.accept(visitor, ['some', 'args']);
+            sinon.assert.calledOnce(visitor.visit);
+            sinon.assert.calledWith(visitor.visit, select, ['some', 'args']);
+        });
+
+    });
+
+});
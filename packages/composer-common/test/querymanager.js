@@ -0,0 +1,113 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ModelManager = require('../lib/modelmanager');
+const Query = require('../lib/query/query');
+const QueryFile = require('../lib/query/queryfile');
+const QueryManager = require('../lib/querymanager');
+const fs = require('fs');
+const path = require('path');
+
+const chai = require('chai');
+const should = chai.should();
+chai.use(require('chai-things'));
+const sinon = require('sinon');
+
+describe('QueryManager', () => {
+
+    const testModel = fs.readFileSync(path.resolve(__dirname, './query/model.cto'), 'utf8');
+
+    let modelManager;
+    let queryFile;
+    let dummyQueries = ['test'];
+
+    beforeEach(() => {
+        modelManager = new ModelManager();
+        modelManager.addModelFile(testModel);
+        queryFile = sinon.createStubInstance(QueryFile);
+        queryFile.getQueries.returns(dummyQueries);
+        queryFile.getQuery.withArgs('test').returns('test');
+    });
+
+    describe('#accept', () => {
+
+        it('should call the visitor', () => {
+            let qm = new QueryManager(modelManager);
+            let visitor = {
+                visit: sinon.stub()
+            };
+            qm.accept(visitor, ['some', 'args']);
+            sinon.assert.calledOnce(visitor.visit);
+            sinon.assert.calledWith(visitor.visit, qm, ['some', 'args']);
+        });
+
+    });
+
+    describe('#createQueryFile', () => {
+
+        it('should create a new query file', () => {
+            let qm = new QueryManager(modelManager);
+            let qf = qm.createQueryFile('queries.qry', 'query Q1 { description: "all cars" statement: SELECT org.acme.Car }');
+            qf.should.be.an.instanceOf(QueryFile);
+            qf.getIdentifier().should.equal('queries.qry');
+            qf.getModelManager().should.equal(modelManager);
+        });
+
+    });
+
+    describe('#queryFile', () => {
+
+        it('should set & get the query file', () => {
+            let qm = new QueryManager(modelManager);
+            qm.getQueries().length.should.equal(0);
+            should.equal(qm.getQuery('test'), null);
+            qm.setQueryFile(queryFile);
+            sinon.assert.calledOnce(queryFile.validate);
+            qm.getQueryFile().should.equal(queryFile);
+            qm.getQueries().should.equal(dummyQueries);
+            qm.getQuery('test').should.equal('test');
+        });
+    });
+
+    describe('#buildQuery', () => {
+
+        it('should build a query without a query file', () => {
+            let qm = new QueryManager(modelManager);
+            let query = qm.buildQuery('SELECT org.acme.Car');
+            query.should.be.an.instanceOf(Query);
+            query.getSelect().getResource().should.equal('org.acme.Car');
+        });
+
+        it('should build a query using the query file', () => {
+            let qm = new QueryManager(modelManager);
+            qm.setQueryFile(queryFile);
+            queryFile.buildQuery.returns('built');
+            qm.buildQuery('SELECT org.acme.Car').should.equal('built');
+            sinon.assert.calledWith(queryFile.buildQuery, 'SELECT org.acme.Car');
+        });
+
+    });
+
+    describe('#toJSON', () => {
+
+        it('should return an empty object', () => {
+            let qm = new QueryManager(modelManager);
+            qm.toJSON().should.deep.equal({});
+        });
+
+    });
+
+});
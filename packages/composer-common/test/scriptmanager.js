@@ -124,6 +124,86 @@ describe('ScriptManager', () => {
         });
     });
 
+    describe('#getTransactionReturnType', () => {
+
+        const returns = (name, transactionType, returnType) => {
+            return `
+            /**
+             * @param {${transactionType}} tx The transaction.
+             * @returns {${returnType}} The result.
+             * @transaction
+             */
+            function ${name}(tx) { return null; }`;
+        };
+
+        beforeEach(() => {
+            modelManager.addModelFile(`namespace org.acme
+            transaction T1 identified by id { o String id }
+            transaction T2 identified by id { o String id }`);
+        });
+
+        it('should return null if there are no transaction processor functions for the transaction', () => {
+            scriptManager.addScript(scriptManager.createScript('SCRIPT_001', 'JS', returns('f1', 'org.acme.T2', 'String')));
+            (scriptManager.getTransactionReturnType('org.acme.T1') === null).should.be.true;
+        });
+
+        it('should return null if the transaction processor functions do not return a value', () => {
+            scriptManager.addScript(scriptManager.createScript('SCRIPT_001', 'JS', returns('f1', 'org.acme.T1', 'Promise')));
+            (scriptManager.getTransactionReturnType('org.acme.T1') === null).should.be.true;
+        });
+
+        it('should return the type returned by the transaction processor functions', () => {
+            scriptManager.addScript(scriptManager.createScript('SCRIPT_001', 'JS', returns('f1', 'org.acme.T1', 'Promise')));
+            scriptManager.addScript(scriptManager.createScript('SCRIPT_002', 'JS', returns('f2', 'org.acme.T1', 'Integer[]')));
+            scriptManager.addScript(scriptManager.createScript('SCRIPT_003', 'JS', returns('f3', 'org.acme.T1', 'Integer[]')));
+            scriptManager.getTransactionReturnType('org.acme.T1').should.equal('Integer[]');
+        });
+
+        it('should throw if the transaction processor functions return different types', () => {
+            scriptManager.addScript(scriptManager.createScript('SCRIPT_001', 'JS', returns('f1', 'org.acme.T1', 'Integer')));
+            scriptManager.addScript(scriptManager.createScript('SCRIPT_002', 'JS', returns('f2', 'org.acme.T1', 'String')));
+            (() => {
+                scriptManager.getTransactionReturnType('org.acme.T1');
+            }).should.throw(/return different types Integer and String/);
+        });
+
+    });
+
+    describe('#getMigrationFunctionNames', () => {
+
+        const migrates = (name, type) => {
+            return `
+            /**
+             * @param {${type}} resource The resource.
+             * @migration
+             */
+            function ${name}(resource) { return resource; }`;
+        };
+
+        it('should return an empty object if there are no migration functions', () => {
+            scriptManager.addScript(scriptManager.createScript('SCRIPT_001', 'JS', 'function foo() {return 0;}'));
+            scriptManager.getMigrationFunctionNames().should.deep.equal({});
+        });
+
+        it('should return the names of the migration functions keyed by type', () => {
+            scriptManager.addScript(scriptManager.createScript('SCRIPT_001', 'JS', migrates('f1', 'org.acme.A1')));
+            scriptManager.addScript(scriptManager.createScript('SCRIPT_002', 'JS', migrates('f2', 'org.acme.A2')));
+            scriptManager.getMigrationFunctionNames().should.deep.equal({
+                'org.acme.A1': 'f1',
+                'org.acme.A2': 'f2'
+            });
+        });
+
+        it('should throw if there is more than one migration function for a type', () => {
+            scriptManager.addScript(scriptManager.createScript('SCRIPT_001', 'JS', migrates('f1', 'org.acme.A1')));
+            scriptManager.addScript(scriptManager.createScript('SCRIPT_002', 'JS', migrates('f2', 'org.acme.A1')));
+            (() => {
+                scriptManager.getMigrationFunctionNames();
+            }).should.throw(/The migration functions f1 and f2 both migrate org.acme.A1/);
+        });
+
+    });
+
     describe('#toJSON', () => {
 
         it('should return an empty object', () => {
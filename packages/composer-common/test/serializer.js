@@ -14,6 +14,7 @@
 
 'use strict';
 
+const Concept = require('../lib/model/concept');
 const Factory = require('../lib/factory');
 const ModelManager = require('../lib/modelmanager');
 const Resource = require('../lib/model/resource');
@@ -110,6 +111,21 @@ describe('Serializer', () => {
             sinon.assert.neverCalledWith(mockClassDeclaration.accept, sinon.match.instanceOf(ResourceValidator));
         });
 
+        it('should serialize a concept', () => {
+            let modelManager = new ModelManager();
+            modelManager.addModelFile('namespace org.acme concept Address { o String city o String[] lines }');
+            let factory = new Factory(modelManager);
+            let serializer = new Serializer(factory, modelManager);
+            let address = factory.newConcept('org.acme', 'Address');
+            address.city = 'Winchester';
+            address.lines = ['1 High Street'];
+            serializer.toJSON(address).should.deep.equal({
+                $class: 'org.acme.Address',
+                city: 'Winchester',
+                lines: ['1 High Street']
+            });
+        });
+
         it('should handle an error parsing the generated JSON', () => {
             let mockResource = sinon.createStubInstance(Resource);
             let serializer = new Serializer(mockFactory, mockModelManager);
@@ -150,6 +166,22 @@ describe('Serializer', () => {
             }).should.throw(/Failed to find type/);
         });
 
+        it('should deserialize a concept', () => {
+            let modelManager = new ModelManager();
+            modelManager.addModelFile('namespace org.acme concept Address { o String city o String[] lines }');
+            let factory = new Factory(modelManager);
+            let serializer = new Serializer(factory, modelManager);
+            let address = serializer.fromJSON({
+                $class: 'org.acme.Address',
+                city: 'Winchester',
+                lines: ['1 High Street']
+            });
+            address.should.be.an.instanceOf(Concept);
+            address.getFullyQualifiedType().should.equal('org.acme.Address');
+            address.city.should.equal('Winchester');
+            address.lines.should.deep.equal(['1 High Street']);
+        });
+
     });
 
 });
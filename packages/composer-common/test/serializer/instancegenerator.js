@@ -266,6 +266,92 @@ describe('InstanceGenerator', () => {
             resource.theValues[2].theValue.should.be.a('string');
         });
 
+        it('should generate a default value for a map property', () => {
+            let resource = test(`namespace org.acme.test
+            asset MyAsset identified by assetId {
+                o String assetId
+                o Map<String, Integer> theValues
+            }`);
+            Object.keys(resource.theValues).should.not.be.empty;
+            Object.keys(resource.theValues).forEach((key) => {
+                key.should.be.a('string');
+                resource.theValues[key].should.be.a('number');
+            });
+        });
+
+        it('should generate a default value for a concept map property', () => {
+            let resource = test(`namespace org.acme.test
+            concept MyConcept {
+                o String theValue
+            }
+            asset MyAsset identified by assetId {
+                o String assetId
+                o Map<String, MyConcept> theValues
+            }`);
+            Object.keys(resource.theValues).should.not.be.empty;
+            Object.keys(resource.theValues).forEach((key) => {
+                resource.theValues[key].getFullyQualifiedType().should.equal('org.acme.test.MyConcept');
+                resource.theValues[key].theValue.should.be.a('string');
+            });
+        });
+
+        it('should generate a default value for a string property with a length', () => {
+            for (let i = 0; i < 10; i++) {
+                let resource = test(`namespace org.acme.test
+                asset MyAsset identified by assetId {
+                    o String assetId
+                    o String shortValue length=[,4]
+                    o String longValue length=[30,]
+                }`);
+                resource.shortValue.length.should.be.at.most(4);
+                resource.longValue.length.should.be.at.least(30);
+            }
+        });
+
+        it('should generate a default value for a number property with a range', () => {
+            for (let i = 0; i < 10; i++) {
+                let resource = test(`namespace org.acme.test
+                asset MyAsset identified by assetId {
+                    o String assetId
+                    o Integer integerValue range=[-5,5]
+                    o Long longValue range=[,-100]
+                    o Double doubleValue range=[1000.5,]
+                }`);
+                resource.integerValue.should.be.within(-5, 5);
+                Number.isInteger(resource.integerValue).should.be.true;
+                resource.longValue.should.be.at.most(-100);
+                resource.doubleValue.should.be.at.least(1000.5);
+            }
+        });
+
+        it('should generate a default value for a date/time property with a range', () => {
+            for (let i = 0; i < 10; i++) {
+                let resource = test(`namespace org.acme.test
+                asset MyAsset identified by assetId {
+                    o String assetId
+                    o DateTime boundedValue range=["2017-01-01T00:00:00Z","2017-01-02T00:00:00Z"]
+                    o DateTime pastValue range=[,"1960-01-01T00:00:00Z"]
+                    o DateTime futureValue range=["2100-01-01T00:00:00Z",]
+                }`);
+                resource.boundedValue.getTime().should.be.within(Date.parse('2017-01-01T00:00:00Z'), Date.parse('2017-01-02T00:00:00Z'));
+                resource.pastValue.getTime().should.be.at.most(Date.parse('1960-01-01T00:00:00Z'));
+                resource.futureValue.getTime().should.be.at.least(Date.parse('2100-01-01T00:00:00Z'));
+            }
+        });
+
+        it('should generate a default value for an array property with a size', () => {
+            let resource = test(`namespace org.acme.test
+            asset MyAsset identified by assetId {
+                o String assetId
+                o String[] smallValues size=[,1]
+                o Integer[] largeValues size=[5,10]
+                o Boolean[] unboundedValues size=[0,]
+            }`);
+            resource.smallValues.should.have.lengthOf(1);
+            resource.largeValues.should.have.lengthOf(5);
+            resource.unboundedValues.should.have.lengthOf(3);
+        });
+
         it('should generate a default value for base class properties', () => {
             let resource = test(`namespace org.acme.test
             abstract asset BaseAsset {
@@ -14,7 +14,7 @@
 
 'use strict';
 
-// const Factory = require('../../lib/factory');
+const Factory = require('../../lib/factory');
 // const Field = require('../../lib/introspect/field');
 const JSONGenerator = require('../../lib/serializer/jsongenerator');
 const JSONWriter = require('../../lib/codegen/jsonwriter');
@@ -74,6 +74,19 @@ describe('JSONGenerator', () => {
                 o String assetId
                 --> SimpleAssetCircleArray[] next
             }
+            enum MyEnum {
+                o ONE
+                o TWO
+            }
+            concept MyConcept {
+                o String value
+            }
+            asset MyMapAsset identified by assetId {
+                o String assetId
+                o Map<String, DateTime> dateTimes
+                o Map<String, MyEnum> enums
+                o Map<String, MyConcept> concepts
+            }
         `);
         // assetDeclaration1 = modelManager.getType('org.acme.SimpleAssetCircle').getProperty('myAsset');
         relationshipDeclaration1 = modelManager.getType('org.acme.MyTx1').getProperty('myAsset');
@@ -135,6 +148,60 @@ describe('JSONGenerator', () => {
 
     });
 
+    describe('#visitField', () => {
+
+        /**
+         * Serialize the specified value for the specified map field.
+         * @param {string} fieldName The name of the field.
+         * @param {Object} value The value.
+         * @return {Object} The parsed JSON.
+         */
+        function serializeMap(fieldName, value) {
+            let writer = new JSONWriter();
+            let options = {
+                stack: new TypedStack({}),
+                writer: writer,
+                modelManager: modelManager
+            };
+            options.stack.push(value);
+            writer.openObject();
+            jsonGenerator.visitField(modelManager.getType('org.acme.MyMapAsset').getProperty(fieldName), options);
+            writer.closeObject();
+            return JSON.parse(writer.getBuffer())[fieldName];
+        }
+
+        it('should serialize a map of primitive values', () => {
+            serializeMap('dateTimes', {
+                start: new Date('2017-01-01T00:00:00.000Z'),
+                end: new Date('2017-12-31T00:00:00.000Z')
+            }).should.deep.equal({
+                start: '2017-01-01T00:00:00.000Z',
+                end: '2017-12-31T00:00:00.000Z'
+            });
+        });
+
+        it('should serialize a map of enum values', () => {
+            serializeMap('enums', { first: 'ONE', second: 'TWO' }).should.deep.equal({ first: 'ONE', second: 'TWO' });
+        });
+
+        it('should serialize a map of concept values', () => {
+            let factory = new Factory(modelManager);
+            let concept1 = factory.newConcept('org.acme', 'MyConcept');
+            concept1.value = 'hello';
+            let concept2 = factory.newConcept('org.acme', 'MyConcept');
+            concept2.value = 'world';
+            serializeMap('concepts', { first: concept1, second: concept2 }).should.deep.equal({
+                first: { $class: 'org.acme.MyConcept', value: 'hello' },
+                second: { $class: 'org.acme.MyConcept', value: 'world' }
+            });
+        });
+
+        it('should serialize an empty map', () => {
+            serializeMap('enums', {}).should.deep.equal({});
+        });
+
+    });
+
     describe('#visitRelationshipDeclaration', () => {
 
         it('should serialize a relationship', () => {
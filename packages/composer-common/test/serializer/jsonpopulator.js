@@ -62,6 +62,14 @@ describe('JSONPopulator', () => {
                 o String transactionId
                 --> MyAsset1[] myAssets
             }
+            concept MyConcept {
+                o String value
+            }
+            asset MyMapAsset identified by assetId {
+                o String assetId
+                o Map<String, Integer> integers
+                o Map<String, MyConcept> concepts
+            }
         `);
         assetDeclaration1 = modelManager.getType('org.acme.MyContainerAsset1').getProperty('myAsset');
         relationshipDeclaration1 = modelManager.getType('org.acme.MyTx1').getProperty('myAsset');
@@ -240,6 +248,40 @@ describe('JSONPopulator', () => {
 
     });
 
+    describe('#visitField', () => {
+
+        it('should create a map of primitive values from an object', () => {
+            let options = {
+                jsonStack: new TypedStack({ first: '1', second: 2 }),
+                resourceStack: new TypedStack({}),
+                factory: mockFactory,
+                modelManager: modelManager
+            };
+            let field = modelManager.getType('org.acme.MyMapAsset').getProperty('integers');
+            jsonPopulator.visitField(field, options).should.deep.equal({ first: 1, second: 2 });
+        });
+
+        it('should create a map of concept values from an object', () => {
+            let options = {
+                jsonStack: new TypedStack({
+                    first: { $class: 'org.acme.MyConcept', value: 'hello' },
+                    second: { value: 'world' }
+                }),
+                resourceStack: new TypedStack({}),
+                factory: new Factory(modelManager),
+                modelManager: modelManager
+            };
+            let field = modelManager.getType('org.acme.MyMapAsset').getProperty('concepts');
+            let result = jsonPopulator.visitField(field, options);
+            Object.keys(result).should.deep.equal(['first', 'second']);
+            result.first.getFullyQualifiedType().should.equal('org.acme.MyConcept');
+            result.first.value.should.equal('hello');
+            result.second.getFullyQualifiedType().should.equal('org.acme.MyConcept');
+            result.second.value.should.equal('world');
+        });
+
+    });
+
     describe('#visitRelationshipDeclaration', () => {
 
         it('should create a new relationship from a string', () => {
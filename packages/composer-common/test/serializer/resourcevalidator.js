@@ -76,6 +76,17 @@ describe('ResourceValidator', function () {
       --> Person[] owners optional
       o Person[] containment optional
       o Person singlePerson optional
+      o Map<String, Integer> mileage optional
+      o Map<String, VehicleType> vehicleTypesByRegion optional
+      o String nickname length=[2,8] optional
+      o Integer doors range=[2,5] optional
+      o DateTime registered range=["2000-01-01T00:00:00Z",] optional
+      o String[] tags size=[,2] optional
+      o VehicleType[] previousTypes size=[1,] optional
+    }
+    event CarEvent identified by eventId {
+      o String eventId
+      --> Car car
     }`;
 
     const abstractLevelThreeModel = `namespace org.acme.l3
@@ -263,6 +274,119 @@ describe('ResourceValidator', function () {
             const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
             field.accept(resourceValidator,parameters );
         });
+
+        it('should allow using a valid object for a map field', function () {
+            const typedStack = new TypedStack({ north: 100, south: 200 });
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('mileage');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+            field.accept(resourceValidator,parameters );
+        });
+
+        it('should detect using an array for a map field', function () {
+            const typedStack = new TypedStack([100, 200]);
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('mileage');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Model violation in instance TEST field mileage has value \[100,200\] \(object\) expected type Map<String, Integer>/);
+        });
+
+        it('should detect using a primitive for a map field', function () {
+            const typedStack = new TypedStack(100);
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('mileage');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Model violation in instance TEST field mileage has value 100 \(number\) expected type Map<String, Integer>/);
+        });
+
+        it('should detect using an invalid value in a map field', function () {
+            const typedStack = new TypedStack({ north: 100, south: 'FOO' });
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('mileage');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Model violation in instance TEST field mileage has value "FOO" \(string\) expected type Map<String, Integer>/);
+        });
+
+        it('should detect using an invalid enum value in a map field', function () {
+            const typedStack = new TypedStack({ north: 'CAR', south: 'BOAT' });
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('vehicleTypesByRegion');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Instance TEST invalid enum value BOAT for field VehicleType/);
+        });
+
+        it('should allow using valid enum values in a map field', function () {
+            const typedStack = new TypedStack({ north: 'CAR', south: 'TRUCK' });
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('vehicleTypesByRegion');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+            field.accept(resourceValidator,parameters );
+        });
+    });
+
+    describe('#visitField validators', function() {
+
+        /**
+         * Validate the specified value for the specified field of a car.
+         * @param {string} fieldName The name of the field.
+         * @param {*} value The value.
+         */
+        function validateField(fieldName, value) {
+            const typedStack = new TypedStack(value);
+            const field = modelManager.getType('org.acme.l3.Car').getProperty(fieldName);
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+            field.accept(resourceValidator, parameters);
+        }
+
+        it('should validate the length of a string', function () {
+            validateField('nickname', 'Herbie');
+            (function () {
+                validateField('nickname', 'H');
+            }).should.throw(/org.acme.l3.Car.nickname: Value 'H' is shorter than the minimum length 2/);
+            (function () {
+                validateField('nickname', 'Chitty Chitty Bang Bang');
+            }).should.throw(/org.acme.l3.Car.nickname: Value 'Chitty Chitty Bang Bang' is longer than the maximum length 8/);
+        });
+
+        it('should validate the range of a number', function () {
+            validateField('doors', 4);
+            (function () {
+                validateField('doors', 6);
+            }).should.throw(/org.acme.l3.Car.doors: Value is outside upper bound 6/);
+        });
+
+        it('should validate the range of a date/time', function () {
+            validateField('registered', new Date('2010-01-01T00:00:00Z'));
+            (function () {
+                validateField('registered', new Date('1999-12-31T00:00:00Z'));
+            }).should.throw(/org.acme.l3.Car.registered: Value is outside lower bound 1999-12-31T00:00:00.000Z/);
+        });
+
+        it('should validate the size of an array', function () {
+            validateField('tags', ['fast', 'red']);
+            (function () {
+                validateField('tags', ['fast', 'red', 'shiny']);
+            }).should.throw(/org.acme.l3.Car.tags: Array has 3 elements, more than the maximum size 2/);
+        });
+
+        it('should validate the size of an enum array', function () {
+            validateField('previousTypes', ['CAR']);
+            (function () {
+                validateField('previousTypes', []);
+            }).should.throw(/org.acme.l3.Car.previousTypes: Array has 0 elements, fewer than the minimum size 1/);
+        });
     });
 
     describe('#visitEnumDeclaration', function() {
@@ -286,6 +410,26 @@ describe('ResourceValidator', function () {
 
     describe('#visitClassDeclaration', function() {
 
+        it('should validate an event', function () {
+            const event = factory.newEvent('org.acme.l3', 'CarEvent', 'ABC');
+            event.car = factory.newRelationship('org.acme.l3', 'Car', 'DEF');
+            const typedStack = new TypedStack(event);
+            const eventDeclaration = modelManager.getType('org.acme.l3.CarEvent');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'ABC' };
+            eventDeclaration.accept(resourceValidator,parameters );
+        });
+
+        it('should detect an event with a missing required field', function () {
+            const event = factory.newEvent('org.acme.l3', 'CarEvent', 'ABC');
+            const typedStack = new TypedStack(event);
+            const eventDeclaration = modelManager.getType('org.acme.l3.CarEvent');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'ABC' };
+
+            (function () {
+                eventDeclaration.accept(resourceValidator,parameters );
+            }).should.throw(/missing required field car/);
+        });
+
         it('should detect visiting a non resource', function () {
             const typedStack = new TypedStack('Invalid');
             const assetDeclaration = modelManager.getType('org.acme.l2.Vehicle');
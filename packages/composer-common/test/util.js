@@ -161,4 +161,47 @@ describe('Util', function () {
 
     });
 
+    describe('#deepEqual', function () {
+
+        it('should return true for equal primitive values', function () {
+            Util.deepEqual('hello', 'hello').should.equal(true);
+            Util.deepEqual(1, 1).should.equal(true);
+            Util.deepEqual(null, null).should.equal(true);
+        });
+
+        it('should return false for different primitive values', function () {
+            Util.deepEqual('hello', 'world').should.equal(false);
+            Util.deepEqual(1, '1').should.equal(false);
+        });
+
+        it('should return false when comparing null with an object', function () {
+            Util.deepEqual(null, {}).should.equal(false);
+            Util.deepEqual({}, null).should.equal(false);
+        });
+
+        it('should return true for objects with the same keys and values in a different order', function () {
+            Util.deepEqual({ type: 'hlfv1', peers: [{ requestURL: 'grpc://localhost:7051' }], orderers: ['grpc://localhost:7050'] },
+                { orderers: ['grpc://localhost:7050'], type: 'hlfv1', peers: [{ requestURL: 'grpc://localhost:7051' }] }).should.equal(true);
+        });
+
+        it('should return false for objects with different values', function () {
+            Util.deepEqual({ type: 'hlfv1', peers: [{ requestURL: 'grpc://localhost:7051' }] },
+                { type: 'hlfv1', peers: [{ requestURL: 'grpc://localhost:8051' }] }).should.equal(false);
+        });
+
+        it('should return false for objects with different keys', function () {
+            Util.deepEqual({ type: 'hlfv1', keyValStore: '/tmp' }, { type: 'hlfv1', timeout: 300 }).should.equal(false);
+            Util.deepEqual({ type: 'hlfv1' }, { type: 'hlfv1', timeout: 300 }).should.equal(false);
+        });
+
+        it('should return false for arrays with elements in a different order', function () {
+            Util.deepEqual(['a', 'b'], ['b', 'a']).should.equal(false);
+        });
+
+        it('should return false when comparing an array with an object', function () {
+            Util.deepEqual(['a'], { 0: 'a' }).should.equal(false);
+        });
+
+    });
+
 });
@@ -15,6 +15,7 @@
 'use strict';
 
 const Connection = require('composer-common').Connection;
+const crypto = require('crypto');
 const Engine = require('composer-runtime').Engine;
 const EmbeddedContainer = require('composer-runtime-embedded').EmbeddedContainer;
 const EmbeddedContext = require('composer-runtime-embedded').EmbeddedContext;
@@ -26,6 +27,9 @@ const businessNetworks = {};
 // A mapping of chaincode IDs to their instance objects.
 const chaincodes = {};
 
+// A mapping of user IDs to the secrets of identities created by createIdentity.
+const identities = {};
+
 /**
  * Base class representing a connection to a business network.
  * @protected
@@ -43,6 +47,9 @@ class EmbeddedConnection extends Connection {
         for (let id in chaincodes) {
             delete chaincodes[id];
         }
+        for (let id in identities) {
+            delete identities[id];
+        }
     }
 
     /**
@@ -126,6 +133,10 @@ class EmbeddedConnection extends Connection {
      */
     constructor(connectionManager, connectionProfile, businessNetworkIdentifier) {
         super(connectionManager, connectionProfile, businessNetworkIdentifier);
+        this.eventSink = null;
+        this.eventListener = (events) => {
+            this.emit('events', events);
+        };
     }
 
     /**
@@ -134,6 +145,10 @@ class EmbeddedConnection extends Connection {
      * terminated, or rejected with an error.
      */
     disconnect() {
+        if (this.eventSink) {
+            this.eventSink.removeListener('events', this.eventListener);
+            this.eventSink = null;
+        }
         return Promise.resolve();
     }
 
@@ -145,11 +160,21 @@ class EmbeddedConnection extends Connection {
      * object representing the logged in participant, or rejected with a login error.
      */
     login(enrollmentID, enrollmentSecret) {
-        let result = new EmbeddedSecurityContext(this);
+        let userSecret = identities[`${enrollmentID}@${this.connectionProfile}`];
+        if (userSecret && userSecret !== enrollmentSecret) {
+            return Promise.reject(new Error(`Invalid enrollment secret for user '${enrollmentID}'`));
+        }
+        let result = new EmbeddedSecurityContext(this, enrollmentID);
         if (this.businessNetworkIdentifier) {
             let chaincodeUUID = EmbeddedConnection.getBusinessNetwork(this.businessNetworkIdentifier, this.connectionProfile);
             if (chaincodeUUID) {
                 result.setChaincodeID(chaincodeUUID);
+                if (!this.eventSink) {
+                    // Subscribe to events published by the chaincode container.
+                    let chaincode = EmbeddedConnection.getChaincode(chaincodeUUID);
+                    this.eventSink = chaincode.container.getEventSink();
+                    this.eventSink.on('events', this.eventListener);
+                }
             } else {
                 return Promise.reject(new Error(`No chaincode ID found for business network '${this.businessNetworkIdentifier}'`));
             }
@@ -171,7 +196,7 @@ class EmbeddedConnection extends Connection {
         let engine = EmbeddedConnection.createEngine(container);
         EmbeddedConnection.addBusinessNetwork(businessNetwork.getName(), this.connectionProfile, chaincodeUUID);
         EmbeddedConnection.addChaincode(chaincodeUUID, container, engine);
-        let context = new EmbeddedContext(engine);
+        let context = new EmbeddedContext(engine, securityContext.getUser());
         return businessNetwork.toArchive()
             .then((businessNetworkArchive) => {
                 return engine.init(context, 'init', [businessNetworkArchive.toString('base64')]);
@@ -234,7 +259,7 @@ class EmbeddedConnection extends Connection {
     queryChainCode(securityContext, functionName, args) {
         let chaincodeUUID = securityContext.getChaincodeID();
         let chaincode = EmbeddedConnection.getChaincode(chaincodeUUID);
-        let context = new EmbeddedContext(chaincode.engine);
+        let context = new EmbeddedContext(chaincode.engine, securityContext.getUser());
         return chaincode.engine.query(context, functionName, args)
             .then((data) => {
                 return Buffer.from(JSON.stringify(data));
@@ -246,19 +271,45 @@ class EmbeddedConnection extends Connection {
      * @param {SecurityContext} securityContext The participant's security context.
      * @param {string} functionName The name of the chaincode function to invoke.
      * @param {string[]} args The arguments to pass to the chaincode function.
-     * @return {Promise} A promise that is resolved once the chaincode function
-     * has been invoked, or rejected with an error.
+     * @return {Promise} A promise that is resolved with the data returned by the
+     * chaincode function, if any, once it has been invoked, or rejected with an error.
      */
     invokeChainCode(securityContext, functionName, args) {
         let chaincodeUUID = securityContext.getChaincodeID();
         let chaincode = EmbeddedConnection.getChaincode(chaincodeUUID);
-        let context = new EmbeddedContext(chaincode.engine);
+        let context = new EmbeddedContext(chaincode.engine, securityContext.getUser());
         return chaincode.engine.invoke(context, functionName, args)
             .then((data) => {
-                return undefined;
+                if (data === undefined) {
+                    return undefined;
+                }
+                return Buffer.from(JSON.stringify(data));
             });
     }
 
+    /**
+     * Create a new identity for the specified user ID. The embedded connection
+     * has no certificate authority, so the identity is just a generated user
+     * secret that must be used when logging in as the new identity.
+     * @param {SecurityContext} securityContext The participant's security context.
+     * @param {string} userID The user ID.
+     * @param {object} [options] Options for the new identity.
+     * @return {Promise} A promise that is resolved with a generated user
+     * secret once the new identity has been created, or rejected with an error.
+     */
+    createIdentity(securityContext, userID, options) {
+        let key = `${userID}@${this.connectionProfile}`;
+        if (identities[key]) {
+            return Promise.reject(new Error(`User '${userID}' already exists`));
+        }
+        let userSecret = crypto.randomBytes(8).toString('hex');
+        identities[key] = userSecret;
+        return Promise.resolve({
+            userID: userID,
+            userSecret: userSecret
+        });
+    }
+
 }
 
 module.exports = EmbeddedConnection;
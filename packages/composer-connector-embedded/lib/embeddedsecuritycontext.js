@@ -24,12 +24,22 @@ class EmbeddedSecurityContext extends SecurityContext {
     /**
      * Constructor.
      * @param {Connection} connection The owning connection.
+     * @param {string} userID The current user ID.
      */
-    constructor(connection) {
+    constructor(connection, userID) {
         super(connection);
+        this.userID = userID;
         this.chaincodeID = null;
     }
 
+    /**
+     * Get the current user ID.
+     * @return {string} The current user ID.
+     */
+    getUser() {
+        return this.userID;
+    }
+
     /**
      * Get the chaincode ID.
      * @return {string} The chaincode ID.
@@ -23,6 +23,7 @@ const EmbeddedConnection = require('../lib/embeddedconnection');
 const EmbeddedContainer = require('composer-runtime-embedded').EmbeddedContainer;
 const EmbeddedSecurityContext = require('../lib/embeddedsecuritycontext');
 const Engine = require('composer-runtime').Engine;
+const EventEmitter = require('events');
 const LoggingService = require('composer-runtime').LoggingService;
 
 const chai = require('chai');
@@ -83,6 +84,22 @@ describe('EmbeddedConnection', () => {
             return connection.disconnect();
         });
 
+        it('should unsubscribe from events published by the chaincode container', () => {
+            let eventSink = new EventEmitter();
+            let mockContainer = sinon.createStubInstance(EmbeddedContainer);
+            mockContainer.getEventSink.returns(eventSink);
+            EmbeddedConnection.addBusinessNetwork('org.acme.Business', 'devFabric1', '6eeb8858-eced-4a32-b1cd-2491f1e3718f');
+            EmbeddedConnection.addChaincode('6eeb8858-eced-4a32-b1cd-2491f1e3718f', mockContainer, null);
+            return connection.login('doge', 'suchs3cret')
+                .then(() => {
+                    eventSink.listenerCount('events').should.equal(1);
+                    return connection.disconnect();
+                })
+                .then(() => {
+                    eventSink.listenerCount('events').should.equal(0);
+                });
+        });
+
     });
 
     describe('#login', () => {
@@ -101,8 +118,39 @@ describe('EmbeddedConnection', () => {
                 .should.be.rejectedWith(/No chaincode ID found/);
         });
 
+        it('should return a new security context for the specified user ID', () => {
+            connection = new EmbeddedConnection(mockConnectionManager, 'devFabric1');
+            return connection.login('doge', 'suchs3cret')
+                .then((securityContext) => {
+                    securityContext.getUser().should.equal('doge');
+                });
+        });
+
+        it('should login as an identity created by createIdentity', () => {
+            connection = new EmbeddedConnection(mockConnectionManager, 'devFabric1');
+            return connection.createIdentity(mockSecurityContext, 'doge')
+                .then((identity) => {
+                    return connection.login('doge', identity.userSecret);
+                })
+                .then((securityContext) => {
+                    securityContext.getUser().should.equal('doge');
+                });
+        });
+
+        it('should throw if the secret for an identity created by createIdentity is wrong', () => {
+            connection = new EmbeddedConnection(mockConnectionManager, 'devFabric1');
+            return connection.createIdentity(mockSecurityContext, 'doge')
+                .then(() => {
+                    return connection.login('doge', 'suchwrongs3cret');
+                })
+                .should.be.rejectedWith(/Invalid enrollment secret for user 'doge'/);
+        });
+
         it('should return a new security context with a non-null chaincode ID if the business network does exist', () => {
+            let mockContainer = sinon.createStubInstance(EmbeddedContainer);
+            mockContainer.getEventSink.returns(new EventEmitter());
             EmbeddedConnection.addBusinessNetwork('org.acme.Business', 'devFabric1', '6eeb8858-eced-4a32-b1cd-2491f1e3718f');
+            EmbeddedConnection.addChaincode('6eeb8858-eced-4a32-b1cd-2491f1e3718f', mockContainer, null);
             return connection.login('doge', 'suchs3cret')
                 .then((securityContext) => {
                     securityContext.should.be.an.instanceOf(EmbeddedSecurityContext);
@@ -110,6 +158,25 @@ describe('EmbeddedConnection', () => {
                 });
         });
 
+        it('should emit events published by the chaincode container', () => {
+            let eventSink = new EventEmitter();
+            let mockContainer = sinon.createStubInstance(EmbeddedContainer);
+            mockContainer.getEventSink.returns(eventSink);
+            EmbeddedConnection.addBusinessNetwork('org.acme.Business', 'devFabric1', '6eeb8858-eced-4a32-b1cd-2491f1e3718f');
+            EmbeddedConnection.addChaincode('6eeb8858-eced-4a32-b1cd-2491f1e3718f', mockContainer, null);
+            let spy = sinon.spy();
+            connection.on('events', spy);
+            return connection.login('doge', 'suchs3cret')
+                .then(() => {
+                    return connection.login('doge', 'suchs3cret');
+                })
+                .then(() => {
+                    eventSink.emit('events', [{ $class: 'org.acme.Event' }]);
+                    sinon.assert.calledOnce(spy);
+                    sinon.assert.calledWith(spy, [{ $class: 'org.acme.Event' }]);
+                });
+        });
+
     });
 
     describe('#deploy', () => {
@@ -228,11 +295,13 @@ describe('EmbeddedConnection', () => {
             EmbeddedConnection.addBusinessNetwork('org.acme.Business', 'devFabric1', '6eeb8858-eced-4a32-b1cd-2491f1e3718f');
             EmbeddedConnection.addChaincode('6eeb8858-eced-4a32-b1cd-2491f1e3718f', mockContainer, mockEngine);
             mockSecurityContext.getChaincodeID.returns('6eeb8858-eced-4a32-b1cd-2491f1e3718f');
+            mockSecurityContext.getUser.returns('doge');
             mockEngine.query.resolves({ test: 'data from engine' });
             return connection.queryChainCode(mockSecurityContext, 'testFunction', ['arg1', 'arg2'])
                 .then((result) => {
                     sinon.assert.calledOnce(mockEngine.query);
                     sinon.assert.calledWith(mockEngine.query, sinon.match.instanceOf(Context), 'testFunction', ['arg1', 'arg2']);
+                    mockEngine.query.args[0][0].getIdentityService().getCurrentUserID().should.equal('doge');
                     result.should.be.an.instanceOf(Buffer);
                     JSON.parse(result.toString()).should.deep.equal({ test: 'data from engine' });
                 });
@@ -251,7 +320,28 @@ describe('EmbeddedConnection', () => {
             EmbeddedConnection.addBusinessNetwork('org.acme.Business', 'devFabric1', '6eeb8858-eced-4a32-b1cd-2491f1e3718f');
             EmbeddedConnection.addChaincode('6eeb8858-eced-4a32-b1cd-2491f1e3718f', mockContainer, mockEngine);
             mockSecurityContext.getChaincodeID.returns('6eeb8858-eced-4a32-b1cd-2491f1e3718f');
+            mockSecurityContext.getUser.returns('doge');
             mockEngine.invoke.resolves({ test: 'data from engine' });
+            return connection.invokeChainCode(mockSecurityContext, 'testFunction', ['arg1', 'arg2'])
+                .then((result) => {
+                    sinon.assert.calledOnce(mockEngine.invoke);
+                    sinon.assert.calledWith(mockEngine.invoke, sinon.match.instanceOf(Context), 'testFunction', ['arg1', 'arg2']);
+                    mockEngine.invoke.args[0][0].getIdentityService().getCurrentUserID().should.equal('doge');
+                    result.should.be.an.instanceOf(Buffer);
+                    JSON.parse(result.toString()).should.deep.equal({ test: 'data from engine' });
+                });
+        });
+
+        it('should handle no data returned by the engine invoke method', () => {
+            let mockDataService = sinon.createStubInstance(DataService);
+            let mockContainer = sinon.createStubInstance(EmbeddedContainer);
+            mockContainer.getDataService.returns(mockDataService);
+            let mockEngine = sinon.createStubInstance(Engine);
+            mockEngine.getContainer.returns(mockContainer);
+            EmbeddedConnection.addBusinessNetwork('org.acme.Business', 'devFabric1', '6eeb8858-eced-4a32-b1cd-2491f1e3718f');
+            EmbeddedConnection.addChaincode('6eeb8858-eced-4a32-b1cd-2491f1e3718f', mockContainer, mockEngine);
+            mockSecurityContext.getChaincodeID.returns('6eeb8858-eced-4a32-b1cd-2491f1e3718f');
+            mockEngine.invoke.resolves();
             return connection.invokeChainCode(mockSecurityContext, 'testFunction', ['arg1', 'arg2'])
                 .then((result) => {
                     sinon.assert.calledOnce(mockEngine.invoke);
@@ -262,4 +352,33 @@ describe('EmbeddedConnection', () => {
 
     });
 
+    describe('#createIdentity', () => {
+
+        it('should create a new identity with a generated secret', () => {
+            return connection.createIdentity(mockSecurityContext, 'doge')
+                .then((identity) => {
+                    identity.userID.should.equal('doge');
+                    identity.userSecret.should.match(/^[0-9a-f]{16}$/);
+                });
+        });
+
+        it('should throw if the identity already exists', () => {
+            return connection.createIdentity(mockSecurityContext, 'doge')
+                .then(() => {
+                    return connection.createIdentity(mockSecurityContext, 'doge');
+                })
+                .should.be.rejectedWith(/User 'doge' already exists/);
+        });
+
+        it('should forget identities when reset', () => {
+            return connection.createIdentity(mockSecurityContext, 'doge')
+                .then(() => {
+                    EmbeddedConnection.reset();
+                    return connection.createIdentity(mockSecurityContext, 'doge');
+                })
+                .should.eventually.have.property('userID', 'doge');
+        });
+
+    });
+
 });
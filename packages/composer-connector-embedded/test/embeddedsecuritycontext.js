@@ -38,6 +38,15 @@ describe('EmbeddedSecurityContext', () => {
 
     });
 
+    describe('#getUser', () => {
+
+        it('should get the current user ID', () => {
+            let securityContext = new EmbeddedSecurityContext(mockConnection, 'doge');
+            securityContext.getUser().should.equal('doge');
+        });
+
+    });
+
     describe('#getChaincodeID', () => {
 
         it('should get the chaincode ID', () => {
@@ -50,6 +50,8 @@ class HFCConnection extends Connection {
         LOG.info('constructor', 'Creating connection', this.getIdentifier());
         this.chain = chain;
         this.connectOptions = connectOptions;
+        this.eventHub = null;
+        this.ccEvent = null;
     }
 
     /**
@@ -67,6 +69,11 @@ class HFCConnection extends Connection {
      */
     disconnect() {
         const self = this;
+        if (self.ccEvent) {
+            self.eventHub.unregisterChaincodeEvent(self.ccEvent);
+            self.eventHub = null;
+            self.ccEvent = null;
+        }
         return self.getConnectionManager().onDisconnect(self)
             .then(() => {
                 return new Promise((resolve, reject) => {
@@ -123,6 +130,7 @@ class HFCConnection extends Connection {
 
                             if (chaincodeID) {
                                 securityContext.setChaincodeID(chaincodeID);
+                                self.registerForEvents(securityContext.getEventHub(), chaincodeID);
                             } else {
                                 const msg = 'Failed to set chaincode id on security context. Check that the connection profile ' + self.connectionProfile + ' defines the network ' + self.businessNetworkIdentifier;
                                 LOG.error('login', msg, self.getIdentifier());
@@ -136,6 +144,24 @@ class HFCConnection extends Connection {
             });
     }
 
+    /**
+     * Listen for events published by the business network chaincode.
+     * @private
+     * @param {hfc.EventHub} eventHub The event hub to listen to.
+     * @param {string} chaincodeID The chaincode ID of the business network.
+     */
+    registerForEvents(eventHub, chaincodeID) {
+        if (this.ccEvent || !eventHub) {
+            return;
+        }
+        LOG.info('registerForEvents', 'Registering for chaincode events', chaincodeID);
+        this.eventHub = eventHub;
+        this.ccEvent = eventHub.registerChaincodeEvent(chaincodeID, '^composer$', (chaincodeEvent) => {
+            let events = JSON.parse(chaincodeEvent.payload.toString());
+            this.emit('events', events);
+        });
+    }
+
     /**
      * Deploy all business network artifacts.
      * @param {HFCSecurityContext} securityContext The participant's security context.
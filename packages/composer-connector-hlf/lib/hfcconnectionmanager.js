@@ -18,6 +18,7 @@ const ConnectionManager = require('composer-common').ConnectionManager;
 const Globalize = require('composer-common').Globalize;
 const hfc = require('hfc');
 const HFCConnection = require('./hfcconnection');
+const HFCUtil = require('./hfcutil');
 const HFCWalletProxy = require('./hfcwalletproxy');
 const LOG = require('composer-common').Logger.getLog('HFCConnectionManager');
 const Wallet = require('composer-common').Wallet;
@@ -68,12 +69,13 @@ class HFCConnectionManager extends ConnectionManager {
      * @param {string} connectionProfile The name of the connection profile
      * @param {string} businessNetworkIdentifier The identifier of the business network (no version!)
      * @param {object} connectOptions The connection options loaded from the profile
+     * @param {Wallet} [wallet] The wallet specified by the connection profile, if any
      * @return {Promise} A promise that is resolved with a {@link Connection}
      * object once the connection is established, or rejected with a connection error.
      */
-    connect(connectionProfile, businessNetworkIdentifier, connectOptions) {
+    connect(connectionProfile, businessNetworkIdentifier, connectOptions, wallet) {
         const method = 'connect';
-        LOG.entry(method, connectionProfile, businessNetworkIdentifier, connectOptions);
+        LOG.entry(method, connectionProfile, businessNetworkIdentifier, HFCUtil.maskConnectOptions(connectOptions), wallet ? wallet.constructor.name : wallet);
         const self = this;
         let chainIdentifier = connectionProfile;
 
@@ -106,7 +108,8 @@ class HFCConnectionManager extends ConnectionManager {
 
             return new Promise((resolve, reject) => {
                 let chain = hfc.getChain(chainIdentifier, true);
-                let wallet = Wallet.getWallet();
+                // Prefer the wallet specified by the connection profile.
+                wallet = wallet || Wallet.getWallet();
                 if (wallet) {
                     chain.setKeyValStore(new HFCWalletProxy(wallet));
                 } else {
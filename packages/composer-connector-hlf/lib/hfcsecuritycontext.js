@@ -80,17 +80,6 @@ class HFCSecurityContext extends SecurityContext {
      */
     setChaincodeID(chaincodeID) {
         this.chaincodeID = chaincodeID;
-        // if (this.eventHub) {
-            // TODO: this shouldn't be here, and needs moving into Concerto once
-            // the "network connect" function has been integrated.
-            // this.eventHub.registerChaincodeEvent(chaincodeID, '^concerto$', (chaincodeEvent) => {
-            //     let events = JSON.parse(chaincodeEvent.payload.toString());
-            //     events.forEach((event) => {
-            //         let eventName = event.name.replace(/:.*/, '');
-            //         this.concerto.emit(eventName, event.data);
-            //     });
-            // });
-        // }
     }
 
     /**
@@ -48,6 +48,21 @@ class HFCUtil {
         }
     }
 
+    /**
+     * Create a copy of the connection options that is safe to log, with the
+     * passphrase of any wallet specified by the connection options masked.
+     * @param {object} connectOptions The connection options.
+     * @return {object} The connection options with the passphrase masked.
+     */
+    static maskConnectOptions(connectOptions) {
+        if (!connectOptions || !connectOptions.wallet || !connectOptions.wallet.passphrase) {
+            return connectOptions;
+        }
+        return Object.assign({}, connectOptions, {
+            wallet: Object.assign({}, connectOptions.wallet, { passphrase: '*' })
+        });
+    }
+
     /**
      * Submit a query request to the chain-code
      * @param {HFCSecurityContext} securityContext - The user's security context
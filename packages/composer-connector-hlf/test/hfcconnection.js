@@ -114,6 +114,19 @@ describe('HFCConnection', () => {
                     sinon.assert.calledOnce(mockConnectionManager.onDisconnect);
                 });
         });
+
+        it('should unregister for chaincode events', () => {
+            const ccEvent = { ccid: '123' };
+            mockEventHub.registerChaincodeEvent.returns(ccEvent);
+            return connection.login('doge', 'suchsecret')
+                .then(() => {
+                    return connection.disconnect();
+                })
+                .then(() => {
+                    sinon.assert.calledOnce(mockEventHub.unregisterChaincodeEvent);
+                    sinon.assert.calledWith(mockEventHub.unregisterChaincodeEvent, ccEvent);
+                });
+        });
     });
 
     describe('#login', function() {
@@ -180,6 +193,32 @@ describe('HFCConnection', () => {
 
         });
 
+        it('should register for and emit chaincode events', () => {
+            mockEventHub.registerChaincodeEvent.returns({ ccid: '123' });
+            let spy = sinon.spy();
+            connection.on('events', spy);
+            return connection.login('doge', 'suchsecret')
+                .then(() => {
+                    return connection.login('doge', 'suchsecret');
+                })
+                .then(() => {
+                    sinon.assert.calledOnce(mockEventHub.registerChaincodeEvent);
+                    sinon.assert.calledWith(mockEventHub.registerChaincodeEvent, '123', '^composer$', sinon.match.func);
+                    const callback = mockEventHub.registerChaincodeEvent.args[0][2];
+                    callback({ payload: Buffer.from(JSON.stringify([{ $class: 'org.acme.Event' }])) });
+                    sinon.assert.calledOnce(spy);
+                    sinon.assert.calledWith(spy, [{ $class: 'org.acme.Event' }]);
+                });
+        });
+
+        it('should not register for chaincode events if there is no event hub', () => {
+            mockChain.getEventHub.returns(null);
+            return connection.login('doge', 'suchsecret')
+                .then(() => {
+                    sinon.assert.notCalled(mockEventHub.registerChaincodeEvent);
+                });
+        });
+
         it('should throw if the chaincode ID does not exist', function() {
 
             // Login to the Hyperledger Fabric using the mock hfc.
@@ -195,6 +195,26 @@ describe('HFCConnectionManager', () => {
                 });
         });
 
+        it('should create and configure a new connection using the wallet specified by the connection profile', function() {
+
+            // Set the wallet singleton, which should not be used.
+            Wallet.setWallet(sinon.createStubInstance(Wallet));
+            let mockWallet = sinon.createStubInstance(Wallet);
+
+            // Set up the hfc mock.
+            let mockChain = sinon.createStubInstance(hfcChain);
+            mockHFC.getChain.returns(mockChain);
+
+            // Connect to the Hyperledger Fabric using the mock hfc.
+            return connectionManager.connect('test', 'testnetwork', connectOptions, mockWallet)
+                .then(function(connection) {
+                    // Check for the correct interactions with hfc.
+                    sinon.assert.calledOnce(mockChain.setKeyValStore);
+                    sinon.assert.calledWith(mockChain.setKeyValStore, sinon.match.instanceOf(HFCWalletProxy));
+                    mockChain.setKeyValStore.args[0][0].wallet.should.equal(mockWallet);
+                });
+        });
+
         it('should pool connections', function() {
 
             // Set up the hfc mock.
@@ -920,4 +920,24 @@ describe('HFCUtil', function () {
 
     });
 
+    describe('#maskConnectOptions', () => {
+
+        it('should return connection options without a wallet', () => {
+            const connectOptions = { type: 'hlf' };
+            HFCUtil.maskConnectOptions(connectOptions).should.equal(connectOptions);
+        });
+
+        it('should return connection options with a wallet without a passphrase', () => {
+            const connectOptions = { type: 'hlf', wallet: { type: 'file' } };
+            HFCUtil.maskConnectOptions(connectOptions).should.equal(connectOptions);
+        });
+
+        it('should mask the passphrase of the wallet', () => {
+            const connectOptions = { type: 'hlf', wallet: { type: 'encrypted', passphrase: 'suchsecret' } };
+            HFCUtil.maskConnectOptions(connectOptions).should.deep.equal({ type: 'hlf', wallet: { type: 'encrypted', passphrase: '*' } });
+            connectOptions.wallet.passphrase.should.equal('suchsecret');
+        });
+
+    });
+
 });
@@ -63,7 +63,7 @@ class HLFConnection extends Connection {
     constructor(connectionManager, connectionProfile, businessNetworkIdentifier, connectOptions, client, chain, eventHubs, caClient) {
         super(connectionManager, connectionProfile, businessNetworkIdentifier);
         const method = 'constructor';
-        LOG.entry(method, connectionManager, connectionProfile, businessNetworkIdentifier, connectOptions, client, chain, eventHubs, caClient);
+        LOG.entry(method, connectionManager, connectionProfile, businessNetworkIdentifier, HLFUtil.maskConnectOptions(connectOptions), client, chain, eventHubs, caClient);
 
         // Validate all the arguments.
         if (!connectOptions) {
@@ -89,6 +89,17 @@ class HLFConnection extends Connection {
         this.fs = thenifyAll(fs);
         this.temp = thenifyAll(temp);
 
+        // If we have a business network and an event hub, then listen for
+        // events published by the business network chaincode.
+        if (businessNetworkIdentifier && this.eventHubs.length > 0) {
+            LOG.debug(method, 'Registering for chaincode events', businessNetworkIdentifier);
+            this.ccEvent = this.eventHubs[0].registerChaincodeEvent(businessNetworkIdentifier, 'composer', (event) => {
+                let events = JSON.parse(event.payload.toString('utf8'));
+                LOG.debug(method, 'Received chaincode events', events);
+                this.emit('events', events);
+            });
+        }
+
         LOG.exit(method);
     }
 
@@ -112,6 +123,10 @@ class HLFConnection extends Connection {
         // Disconnect from the business network.
         return Promise.resolve()
             .then(() => {
+                if (this.ccEvent) {
+                    this.eventHubs[0].unregisterChaincodeEvent(this.ccEvent);
+                    this.ccEvent = null;
+                }
                 this.eventHubs.forEach((eventHub) => {
                     if (eventHub.isconnected()) {
                         eventHub.disconnect();
@@ -571,8 +586,9 @@ class HLFConnection extends Connection {
      * @param {SecurityContext} securityContext The participant's security context.
      * @param {string} functionName The name of the chaincode function to invoke.
      * @param {string[]} args The arguments to pass to the chaincode function.
-     * @return {Promise} A promise that is resolved once the chaincode function
-     * has been invoked, or rejected with an error.
+     * @return {Promise} A promise that is resolved with the data returned by the
+     * chaincode function, if any, once it has been invoked and committed, or
+     * rejected with an error.
      */
     invokeChainCode(securityContext, functionName, args) {
         const method = 'invokeChainCode';
@@ -605,6 +621,7 @@ class HLFConnection extends Connection {
             args: args,
             attrs: ['userID']
         };
+        let payload;
         return this.chain.sendTransactionProposal(request)
             .then((results) => {
 
@@ -613,6 +630,9 @@ class HLFConnection extends Connection {
                 const proposalResponses = results[0];
                 this._validateResponses(proposalResponses);
 
+                // Keep the data returned by the chaincode function, which is the same in all of the endorsements.
+                payload = proposalResponses[0].response.payload;
+
                 // Submit the endorsed transaction to the orderers.
                 const proposal = results[1];
                 const header = results[2];
@@ -633,6 +653,11 @@ class HLFConnection extends Connection {
                 }
                 return this._waitForEvents(txId);
             })
+            .then(() => {
+                const result = payload && payload.length ? payload : undefined;
+                LOG.exit(method, result);
+                return result;
+            })
             .catch((error) => {
                 LOG.error(method, error);
                 throw error;
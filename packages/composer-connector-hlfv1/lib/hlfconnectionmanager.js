@@ -73,6 +73,7 @@ const ConnectionManager = require('composer-common').ConnectionManager;
 const EventHub = require('fabric-client/lib/EventHub');
 const FabricCAClientImpl = require('fabric-ca-client');
 const HLFConnection = require('./hlfconnection');
+const HLFUtil = require('./hlfutil');
 const HLFWalletProxy = require('./hlfwalletproxy');
 const Orderer = require('fabric-client/lib/Orderer');
 const Peer = require('fabric-client/lib/Peer');
@@ -148,12 +149,13 @@ class HLFConnectionManager extends ConnectionManager {
      * @param {string} connectionProfile The name of the connection profile
      * @param {string} businessNetworkIdentifier The identifier of the business network (no version!)
      * @param {object} connectOptions The connection options loaded from the profile
+     * @param {Wallet} [wallet] The wallet specified by the connection profile, if any
      * @return {Promise} A promise that is resolved with a {@link Connection}
      * object once the connection is established, or rejected with a connection error.
      */
-    connect(connectionProfile, businessNetworkIdentifier, connectOptions) {
+    connect(connectionProfile, businessNetworkIdentifier, connectOptions, wallet) {
         const method = 'connect';
-        LOG.entry(method, connectionProfile, businessNetworkIdentifier, connectOptions);
+        LOG.entry(method, connectionProfile, businessNetworkIdentifier, HLFUtil.maskConnectOptions(connectOptions), wallet ? wallet.constructor.name : wallet);
 
         // Validate all the arguments.
         if (!connectionProfile) {
@@ -162,8 +164,8 @@ class HLFConnectionManager extends ConnectionManager {
             throw new Error('connectOptions not specified');
         }
 
-        // Validate the connection profile.
-        let wallet = Wallet.getWallet();
+        // Validate the connection profile, preferring the wallet specified by the connection profile.
+        wallet = wallet || Wallet.getWallet();
         if (!Array.isArray(connectOptions.orderers)) {
             throw new Error('The orderers array has not been specified in the connection profile');
         } else if (!connectOptions.orderers.length) {
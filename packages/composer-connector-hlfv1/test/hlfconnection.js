@@ -31,7 +31,7 @@ const connectorPackageJSON = require('../package.json');
 const originalVersion = connectorPackageJSON.version;
 
 const chai = require('chai');
-chai.should();
+const should = chai.should();
 chai.use(require('chai-as-promised'));
 const sinon = require('sinon');
 require('sinon-as-promised');
@@ -129,6 +129,26 @@ describe('HLFConnection', () => {
             }).should.throw(/caClient not specified/);
         });
 
+        it('should register for events published by the business network', () => {
+            sinon.assert.calledOnce(mockEventHub.registerChaincodeEvent);
+            sinon.assert.calledWith(mockEventHub.registerChaincodeEvent, 'org.acme.biznet', 'composer', sinon.match.func);
+        });
+
+        it('should emit events published by the business network', () => {
+            let spy = sinon.spy();
+            connection.on('events', spy);
+            const callback = mockEventHub.registerChaincodeEvent.args[0][2];
+            callback({ payload: Buffer.from(JSON.stringify([{ $class: 'org.acme.Event' }])) });
+            sinon.assert.calledOnce(spy);
+            sinon.assert.calledWith(spy, [{ $class: 'org.acme.Event' }]);
+        });
+
+        it('should not register for events if no business network is specified', () => {
+            mockEventHub.registerChaincodeEvent.reset();
+            new HLFConnection(mockConnectionManager, 'hlfabric1', null, connectOptions, mockClient, mockChain, [mockEventHub], mockCAClient);
+            sinon.assert.notCalled(mockEventHub.registerChaincodeEvent);
+        });
+
     });
 
     describe('#getConnectionOptions', () => {
@@ -149,6 +169,17 @@ describe('HLFConnection', () => {
                 });
         });
 
+        it('should unregister for events published by the business network', () => {
+            const ccEvent = { ccid: 'org.acme.biznet' };
+            connection.ccEvent = ccEvent;
+            mockEventHub.isconnected.returns(true);
+            return connection.disconnect()
+                .then(() => {
+                    sinon.assert.calledOnce(mockEventHub.unregisterChaincodeEvent);
+                    sinon.assert.calledWith(mockEventHub.unregisterChaincodeEvent, ccEvent);
+                });
+        });
+
         it('should not disconnect from the event hub if not connected', () => {
             mockEventHub.isconnected.returns(false);
             return connection.disconnect()
@@ -800,6 +831,37 @@ describe('HLFConnection', () => {
                         attrs: ['userID']
                     });
                     sinon.assert.calledOnce(mockChain.sendTransaction);
+                    should.equal(result, undefined);
+                });
+        });
+
+        it('should resolve with the data returned by the chaincode', () => {
+            // This is the generated nonce.
+            sandbox.stub(utils, 'getNonce').returns('11111111-1111-1111-1111-111111111111');
+            // This is the generated transaction
+            mockChain.buildTransactionID.returns('00000000-0000-0000-0000-000000000000');
+            // mock out getUserContext version in case we need to return to using this one
+            mockChain.buildTransactionID_getUserContext.resolves('00000000-0000-0000-0000-000000000000');
+            // This is the transaction proposal and response (from the peers).
+            const proposalResponses = [{
+                response: {
+                    status: 200,
+                    payload: Buffer.from('"hello world"')
+                }
+            }];
+            const proposal = { proposal: 'i do' };
+            const header = { header: 'gooooal' };
+            mockChain.sendTransactionProposal.resolves([ proposalResponses, proposal, header ]);
+            // This is the commit proposal and response (from the orderer).
+            const response = {
+                status: 'SUCCESS'
+            };
+            mockChain.sendTransaction.withArgs({ proposalResponses: proposalResponses, proposal: proposal, header: header }).resolves(response);
+            // This is the event hub response.
+            mockEventHub.registerTxEvent.yields('00000000-0000-0000-0000-000000000000', 'VALID');
+            return connection.invokeChainCode(mockSecurityContext, 'myfunc', ['arg1', 'arg2'])
+                .then((result) => {
+                    result.toString().should.equal('"hello world"');
                 });
         });
 
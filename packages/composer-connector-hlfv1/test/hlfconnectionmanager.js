@@ -407,6 +407,15 @@ describe('HLFConnectionManager', () => {
                 });
         });
 
+        it('should configure a wallet proxy if a wallet is specified by the connection profile', () => {
+            Wallet.setWallet(sinon.createStubInstance(Wallet));
+            return connectionManager.connect('hlfabric1', 'org.acme.biznet', connectOptions, mockWallet)
+                .then((connection) => {
+                    sinon.assert.calledWith(mockClient.setStateStore, sinon.match.instanceOf(HLFWalletProxy));
+                    mockClient.setStateStore.args[0][0].wallet.should.equal(mockWallet);
+                });
+        });
+
         it('should set a default deploy wait time', () => {
             return connectionManager.connect('hlfabric1', 'org.acme.biznet', connectOptions)
                 .then((connection) => {
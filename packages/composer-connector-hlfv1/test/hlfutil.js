@@ -64,4 +64,24 @@ describe('HLFUtil', () => {
 
     });
 
+    describe('#maskConnectOptions', () => {
+
+        it('should return connection options without a wallet', () => {
+            const connectOptions = { type: 'hlfv1' };
+            HLFUtil.maskConnectOptions(connectOptions).should.equal(connectOptions);
+        });
+
+        it('should return connection options with a wallet without a passphrase', () => {
+            const connectOptions = { type: 'hlfv1', wallet: { type: 'file' } };
+            HLFUtil.maskConnectOptions(connectOptions).should.equal(connectOptions);
+        });
+
+        it('should mask the passphrase of the wallet', () => {
+            const connectOptions = { type: 'hlfv1', wallet: { type: 'encrypted', passphrase: 'suchsecret' } };
+            HLFUtil.maskConnectOptions(connectOptions).should.deep.equal({ type: 'hlfv1', wallet: { type: 'encrypted', passphrase: '*' } });
+            connectOptions.wallet.passphrase.should.equal('suchsecret');
+        });
+
+    });
+
 });
@@ -37,6 +37,12 @@ class ProxyConnection extends Connection {
         super(connectionManager, connectionProfile, businessNetworkIdentifier);
         this.socket = socket;
         this.connectionID = connectionID;
+        this.eventListener = (connectionID, events) => {
+            if (connectionID === this.connectionID) {
+                this.emit('events', events);
+            }
+        };
+        this.socket.on('events', this.eventListener);
     }
 
     /**
@@ -45,6 +51,7 @@ class ProxyConnection extends Connection {
      * terminated, or rejected with an error.
      */
     disconnect() {
+        this.socket.removeListener('events', this.eventListener);
         return new Promise((resolve, reject) => {
             this.socket.emit('/api/connectionDisconnect', this.connectionID, (error) => {
                 if (error) {
@@ -176,16 +183,18 @@ class ProxyConnection extends Connection {
      * @param {SecurityContext} securityContext The participant's security context.
      * @param {string} functionName The name of the chaincode function to invoke.
      * @param {string[]} args The arguments to pass to the chaincode function.
-     * @return {Promise} A promise that is resolved once the chaincode function
-     * has been invoked, or rejected with an error.
+     * @return {Promise} A promise that is resolved with the data returned by the
+     * chaincode function, if any, once it has been invoked, or rejected with an error.
      */
     invokeChainCode(securityContext, functionName, args) {
         return new Promise((resolve, reject) => {
-            this.socket.emit('/api/connectionInvokeChainCode', this.connectionID, securityContext.securityContextID, functionName, args, (error) => {
+            this.socket.emit('/api/connectionInvokeChainCode', this.connectionID, securityContext.securityContextID, functionName, args, (error, result) => {
                 if (error) {
                     return reject(inflaterr(error));
+                } else if (result === undefined || result === null) {
+                    return resolve();
                 }
-                resolve();
+                resolve(Buffer.from(result));
             });
         });
     }
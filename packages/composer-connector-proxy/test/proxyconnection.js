@@ -14,6 +14,57 @@
 
 'use strict';
 
+const ConnectionManager = require('composer-common').ConnectionManager;
+const EventEmitter = require('events');
+const ProxyConnection = require('../lib/proxyconnection');
+
+require('chai').should();
+const sinon = require('sinon');
+
 describe('ProxyConnection', () => {
 
+    let mockConnectionManager;
+    let mockSocket;
+    let connection;
+
+    beforeEach(() => {
+        mockConnectionManager = sinon.createStubInstance(ConnectionManager);
+        mockSocket = new EventEmitter();
+        connection = new ProxyConnection(mockConnectionManager, 'defaultProfile', 'org-acme-biznet', mockSocket, '3d382385-47a5-4be9-99b0-6b10166b9497');
+    });
+
+    describe('#constructor', () => {
+
+        it('should emit events for this connection received from the connector server', () => {
+            let spy = sinon.spy();
+            connection.on('events', spy);
+            mockSocket.emit('events', '3d382385-47a5-4be9-99b0-6b10166b9497', [{ $class: 'org.acme.Event' }]);
+            sinon.assert.calledOnce(spy);
+            sinon.assert.calledWith(spy, [{ $class: 'org.acme.Event' }]);
+        });
+
+        it('should ignore events for other connections received from the connector server', () => {
+            let spy = sinon.spy();
+            connection.on('events', spy);
+            mockSocket.emit('events', 'e7c5b2a4-3b1c-4b3a-8c4e-4f1a2b3c4d5e', [{ $class: 'org.acme.Event' }]);
+            sinon.assert.notCalled(spy);
+        });
+
+    });
+
+    describe('#disconnect', () => {
+
+        it('should stop listening for events and disconnect from the connector server', () => {
+            mockSocket.on('/api/connectionDisconnect', (connectionID, callback) => {
+                connectionID.should.equal('3d382385-47a5-4be9-99b0-6b10166b9497');
+                callback(null);
+            });
+            return connection.disconnect()
+                .then(() => {
+                    mockSocket.listenerCount('events').should.equal(0);
+                });
+        });
+
+    });
+
 });
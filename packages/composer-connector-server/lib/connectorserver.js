@@ -64,6 +64,7 @@ class ConnectorServer {
             }
         });
         this.connections = {};
+        this.eventHandlers = {};
         this.securityContexts = {};
         LOG.exit(method);
     }
@@ -95,6 +96,12 @@ class ConnectorServer {
             .then((connection) => {
                 let connectionID = uuid.v4();
                 this.connections[connectionID] = connection;
+                const eventHandler = (events) => {
+                    LOG.debug(method, 'Forwarding events to client', connectionID, events);
+                    this.socket.emit('events', connectionID, events);
+                };
+                this.eventHandlers[connectionID] = eventHandler;
+                connection.on('events', eventHandler);
                 callback(null, connectionID);
                 LOG.exit(method, connectionID);
             })
@@ -122,6 +129,11 @@ class ConnectorServer {
             LOG.exit(method, null);
             return;
         }
+
+        // Stop forwarding events and forget the connection, even if the disconnect fails.
+        connection.removeListener('events', this.eventHandlers[connectionID]);
+        delete this.eventHandlers[connectionID];
+        delete this.connections[connectionID];
         return connection.disconnect()
             .then(() => {
                 callback(null);
@@ -400,9 +412,14 @@ class ConnectorServer {
             return;
         }
         return connection.invokeChainCode(securityContext, functionName, args)
-            .then(() => {
-                callback(null);
-                LOG.exit(method);
+            .then((result) => {
+                if (result === undefined || result === null) {
+                    callback(null);
+                    LOG.exit(method);
+                    return;
+                }
+                callback(null, result.toString());
+                LOG.exit(method, result.toString());
             })
             .catch((error) => {
                 LOG.error(error);
@@ -14,14 +14,209 @@
 
 'use strict';
 
-/* const ConnectorServer = */ require('..');
+const Connection = require('composer-common').Connection;
+const ConnectionProfileManager = require('composer-common').ConnectionProfileManager;
+const ConnectionProfileStore = require('composer-common').ConnectionProfileStore;
+const ConnectorServer = require('..');
+const SecurityContext = require('composer-common').SecurityContext;
+
+const should = require('chai').should();
+const sinon = require('sinon');
 
 describe('ConnectorServer', () => {
 
+    const connectionOptions = { type: 'embedded' };
+
+    let mockConnectionProfileStore;
+    let mockConnectionProfileManager;
+    let mockSocket;
+    let mockConnection;
+    let mockSecurityContext;
+    let connectorServer;
+
+    beforeEach(() => {
+        mockConnectionProfileStore = sinon.createStubInstance(ConnectionProfileStore);
+        mockConnectionProfileManager = sinon.createStubInstance(ConnectionProfileManager);
+        mockSocket = {
+            on: sinon.stub(),
+            emit: sinon.stub()
+        };
+        mockConnection = sinon.createStubInstance(Connection);
+        mockSecurityContext = sinon.createStubInstance(SecurityContext);
+        connectorServer = new ConnectorServer(mockConnectionProfileStore, mockConnectionProfileManager, mockSocket);
+    });
+
+    /**
+     * Connect to the business network using the connector server.
+     * @return {Promise} A promise that is resolved with the connection ID.
+     */
+    function connect() {
+        mockConnectionProfileStore.load.returns(Promise.reject(new Error('such error')));
+        mockConnectionProfileStore.save.returns(Promise.resolve());
+        mockConnectionProfileManager.connect.returns(Promise.resolve(mockConnection));
+        const callback = sinon.stub();
+        return connectorServer.connectionManagerConnect('defaultProfile', 'org-acme-biznet', connectionOptions, callback)
+            .then(() => {
+                sinon.assert.calledOnce(callback);
+                sinon.assert.calledWith(callback, null, sinon.match.string);
+                return callback.args[0][1];
+            });
+    }
+
     describe('#constructor', () => {
 
-        it('should do something', () => {
+        it('should register a socket handler for each request', () => {
+            sinon.assert.calledWith(mockSocket.on, '/api/connectionManagerConnect', sinon.match.func);
+            sinon.assert.calledWith(mockSocket.on, '/api/connectionDisconnect', sinon.match.func);
+            sinon.assert.calledWith(mockSocket.on, '/api/connectionInvokeChainCode', sinon.match.func);
+            sinon.assert.neverCalledWith(mockSocket.on, '/api/constructor');
+        });
+
+    });
+
+    describe('#connectionManagerConnect', () => {
+
+        it('should save the connection profile and connect to the business network', () => {
+            return connect()
+                .then((connectionID) => {
+                    sinon.assert.calledWith(mockConnectionProfileStore.save, 'defaultProfile', connectionOptions);
+                    sinon.assert.calledWith(mockConnectionProfileManager.connect, 'defaultProfile', 'org-acme-biznet');
+                    connectorServer.connections[connectionID].should.equal(mockConnection);
+                });
+        });
+
+        it('should forward events from the connection to the client', () => {
+            return connect()
+                .then((connectionID) => {
+                    sinon.assert.calledOnce(mockConnection.on);
+                    sinon.assert.calledWith(mockConnection.on, 'events', sinon.match.func);
+                    const events = [{ event: 'such event' }];
+                    mockConnection.on.args[0][1](events);
+                    sinon.assert.calledOnce(mockSocket.emit);
+                    sinon.assert.calledWith(mockSocket.emit, 'events', connectionID, events);
+                });
+        });
+
+        it('should return errors from connecting to the business network', () => {
+            mockConnectionProfileStore.load.returns(Promise.resolve({}));
+            mockConnectionProfileStore.save.returns(Promise.resolve());
+            mockConnectionProfileManager.connect.returns(Promise.reject(new Error('such error')));
+            const callback = sinon.stub();
+            return connectorServer.connectionManagerConnect('defaultProfile', 'org-acme-biznet', connectionOptions, callback)
+                .then(() => {
+                    sinon.assert.calledOnce(callback);
+                    callback.args[0][0].message.should.equal('such error');
+                    connectorServer.connections.should.deep.equal({});
+                });
+        });
+
+    });
+
+    describe('#connectionDisconnect', () => {
+
+        it('should stop forwarding events and disconnect from the business network', () => {
+            mockConnection.disconnect.returns(Promise.resolve());
+            let connectionID;
+            return connect()
+                .then((result) => {
+                    connectionID = result;
+                    const eventHandler = mockConnection.on.args[0][1];
+                    const callback = sinon.stub();
+                    return connectorServer.connectionDisconnect(connectionID, callback)
+                        .then(() => {
+                            sinon.assert.calledOnce(mockConnection.removeListener);
+                            sinon.assert.calledWith(mockConnection.removeListener, 'events', eventHandler);
+                            sinon.assert.calledOnce(mockConnection.disconnect);
+                            sinon.assert.calledWith(callback, null);
+                            should.equal(connectorServer.connections[connectionID], undefined);
+                            should.equal(connectorServer.eventHandlers[connectionID], undefined);
+                        });
+                });
+        });
+
+        it('should stop forwarding events even if disconnecting fails', () => {
+            mockConnection.disconnect.returns(Promise.reject(new Error('such error')));
+            let connectionID;
+            return connect()
+                .then((result) => {
+                    connectionID = result;
+                    const callback = sinon.stub();
+                    return connectorServer.connectionDisconnect(connectionID, callback)
+                        .then(() => {
+                            sinon.assert.calledWith(mockConnection.removeListener, 'events', sinon.match.func);
+                            callback.args[0][0].message.should.equal('such error');
+                            should.equal(connectorServer.eventHandlers[connectionID], undefined);
+                        });
+                });
+        });
+
+        it('should return an error for an unknown connection', () => {
+            const callback = sinon.stub();
+            connectorServer.connectionDisconnect('doge', callback);
+            sinon.assert.calledOnce(callback);
+            callback.args[0][0].message.should.equal('No connection found with ID doge');
+        });
+
+    });
+
+    describe('#connectionInvokeChainCode', () => {
+
+        let connectionID;
+
+        beforeEach(() => {
+            return connect()
+                .then((result) => {
+                    connectionID = result;
+                    connectorServer.securityContexts.securityContextID = mockSecurityContext;
+                });
+        });
+
+        it('should return the result of the invoke request', () => {
+            mockConnection.invokeChainCode.returns(Promise.resolve(Buffer.from('such result')));
+            const callback = sinon.stub();
+            return connectorServer.connectionInvokeChainCode(connectionID, 'securityContextID', 'doge', ['such', 'args'], callback)
+                .then(() => {
+                    sinon.assert.calledWith(mockConnection.invokeChainCode, mockSecurityContext, 'doge', ['such', 'args']);
+                    sinon.assert.calledOnce(callback);
+                    sinon.assert.calledWithExactly(callback, null, 'such result');
+                });
+        });
+
+        it('should not return a result if the invoke request does not return one', () => {
+            mockConnection.invokeChainCode.returns(Promise.resolve());
+            const callback = sinon.stub();
+            return connectorServer.connectionInvokeChainCode(connectionID, 'securityContextID', 'doge', [], callback)
+                .then(() => {
+                    sinon.assert.calledOnce(callback);
+                    sinon.assert.calledWithExactly(callback, null);
+                });
+        });
+
+        it('should not return a result if the invoke request returns null', () => {
+            mockConnection.invokeChainCode.returns(Promise.resolve(null));
+            const callback = sinon.stub();
+            return connectorServer.connectionInvokeChainCode(connectionID, 'securityContextID', 'doge', [], callback)
+                .then(() => {
+                    sinon.assert.calledOnce(callback);
+                    sinon.assert.calledWithExactly(callback, null);
+                });
+        });
+
+        it('should return errors from the invoke request', () => {
+            mockConnection.invokeChainCode.returns(Promise.reject(new Error('such error')));
+            const callback = sinon.stub();
+            return connectorServer.connectionInvokeChainCode(connectionID, 'securityContextID', 'doge', [], callback)
+                .then(() => {
+                    sinon.assert.calledOnce(callback);
+                    callback.args[0][0].message.should.equal('such error');
+                });
+        });
 
+        it('should return an error for an unknown security context', () => {
+            const callback = sinon.stub();
+            connectorServer.connectionInvokeChainCode(connectionID, 'doge', 'doge', [], callback);
+            sinon.assert.calledOnce(callback);
+            callback.args[0][0].message.should.equal('No security context found with ID doge');
         });
 
     });
@@ -127,6 +127,10 @@ class WebConnection extends Connection {
      */
     constructor(connectionManager, connectionProfile, businessNetworkIdentifier) {
         super(connectionManager, connectionProfile, businessNetworkIdentifier);
+        this.eventSink = null;
+        this.eventListener = (events) => {
+            this.emit('events', events);
+        };
     }
 
     /**
@@ -135,6 +139,10 @@ class WebConnection extends Connection {
      * terminated, or rejected with an error.
      */
     disconnect() {
+        if (this.eventSink) {
+            this.eventSink.removeListener('events', this.eventListener);
+            this.eventSink = null;
+        }
         return Promise.resolve();
     }
 
@@ -158,6 +166,12 @@ class WebConnection extends Connection {
                             WebConnection.addChaincode(chaincodeID, container, engine);
                         }
                         result.setChaincodeID(chaincodeID);
+                        if (!this.eventSink) {
+                            // Subscribe to events published by the chaincode container.
+                            let chaincode = WebConnection.getChaincode(chaincodeID);
+                            this.eventSink = chaincode.container.getEventSink();
+                            this.eventSink.on('events', this.eventListener);
+                        }
                     } else {
                         throw new Error(`No chaincode ID found for business network '${this.businessNetworkIdentifier}'`);
                     }
@@ -260,8 +274,8 @@ class WebConnection extends Connection {
      * @param {SecurityContext} securityContext The participant's security context.
      * @param {string} functionName The name of the chaincode function to invoke.
      * @param {string[]} args The arguments to pass to the chaincode function.
-     * @return {Promise} A promise that is resolved once the chaincode function
-     * has been invoked, or rejected with an error.
+     * @return {Promise} A promise that is resolved with the data returned by the
+     * chaincode function, if any, once it has been invoked, or rejected with an error.
      */
     invokeChainCode(securityContext, functionName, args) {
         let chaincodeID = securityContext.getChaincodeID();
@@ -269,7 +283,10 @@ class WebConnection extends Connection {
         let context = new WebContext(chaincode.engine);
         return chaincode.engine.invoke(context, functionName, args)
             .then((data) => {
-                return undefined;
+                if (data === undefined) {
+                    return undefined;
+                }
+                return Buffer.from(JSON.stringify(data));
             });
     }
 
@@ -22,6 +22,7 @@ const ConnectionProfileStore = require('composer-common').ConnectionProfileStore
 const Context = require('composer-runtime').Context;
 const DataService = require('composer-runtime').DataService;
 const Engine = require('composer-runtime').Engine;
+const EventEmitter = require('events');
 const LoggingService = require('composer-runtime').LoggingService;
 const WebConnection = require('../lib/webconnection');
 const WebContainer = require('composer-runtime-web').WebContainer;
@@ -96,6 +97,23 @@ describe('WebConnection', () => {
             return connection.disconnect();
         });
 
+        it('should unsubscribe from events published by the chaincode container', () => {
+            let eventSink = new EventEmitter();
+            let mockContainer = sinon.createStubInstance(WebContainer);
+            mockContainer.getEventSink.returns(eventSink);
+            let mockEngine = sinon.createStubInstance(Engine);
+            WebConnection.addBusinessNetwork('org.acme.business', 'devFabric1', '133c00a3-8555-4aa5-9165-9de9a8f8a838');
+            WebConnection.addChaincode('133c00a3-8555-4aa5-9165-9de9a8f8a838', mockContainer, mockEngine);
+            return connection.login('doge', 'suchs3cret')
+                .then(() => {
+                    eventSink.listenerCount('events').should.equal(1);
+                    return connection.disconnect();
+                })
+                .then(() => {
+                    eventSink.listenerCount('events').should.equal(0);
+                });
+        });
+
     });
 
     describe('#login', () => {
@@ -128,6 +146,7 @@ describe('WebConnection', () => {
 
         it('should use an existing runtime and return a new security context with a non-null chaincode ID if the business network does exist', () => {
             let mockContainer = sinon.createStubInstance(WebContainer);
+            mockContainer.getEventSink.returns(new EventEmitter());
             let mockEngine = sinon.createStubInstance(Engine);
             WebConnection.addBusinessNetwork('org.acme.business', 'devFabric1', '133c00a3-8555-4aa5-9165-9de9a8f8a838');
             WebConnection.addChaincode('133c00a3-8555-4aa5-9165-9de9a8f8a838', mockContainer, mockEngine);
@@ -141,6 +160,26 @@ describe('WebConnection', () => {
                 });
         });
 
+        it('should emit events published by the chaincode container', () => {
+            let eventSink = new EventEmitter();
+            let mockContainer = sinon.createStubInstance(WebContainer);
+            mockContainer.getEventSink.returns(eventSink);
+            let mockEngine = sinon.createStubInstance(Engine);
+            WebConnection.addBusinessNetwork('org.acme.business', 'devFabric1', '133c00a3-8555-4aa5-9165-9de9a8f8a838');
+            WebConnection.addChaincode('133c00a3-8555-4aa5-9165-9de9a8f8a838', mockContainer, mockEngine);
+            let spy = sinon.spy();
+            connection.on('events', spy);
+            return connection.login('doge', 'suchs3cret')
+                .then(() => {
+                    return connection.login('doge', 'suchs3cret');
+                })
+                .then(() => {
+                    eventSink.emit('events', [{ $class: 'org.acme.Event' }]);
+                    sinon.assert.calledOnce(spy);
+                    sinon.assert.calledWith(spy, [{ $class: 'org.acme.Event' }]);
+                });
+        });
+
     });
 
     describe('#deploy', () => {
@@ -283,6 +322,25 @@ describe('WebConnection', () => {
             WebConnection.addChaincode('6eeb8858-eced-4a32-b1cd-2491f1e3718f', mockContainer, mockEngine);
             mockSecurityContext.getChaincodeID.returns('6eeb8858-eced-4a32-b1cd-2491f1e3718f');
             mockEngine.invoke.resolves({ test: 'data from engine' });
+            return connection.invokeChainCode(mockSecurityContext, 'testFunction', ['arg1', 'arg2'])
+                .then((result) => {
+                    sinon.assert.calledOnce(mockEngine.invoke);
+                    sinon.assert.calledWith(mockEngine.invoke, sinon.match.instanceOf(Context), 'testFunction', ['arg1', 'arg2']);
+                    result.should.be.an.instanceOf(Buffer);
+                    JSON.parse(result.toString()).should.deep.equal({ test: 'data from engine' });
+                });
+        });
+
+        it('should handle no data returned by the engine invoke method', () => {
+            let mockDataService = sinon.createStubInstance(DataService);
+            let mockContainer = sinon.createStubInstance(WebContainer);
+            mockContainer.getDataService.returns(mockDataService);
+            let mockEngine = sinon.createStubInstance(Engine);
+            mockEngine.getContainer.returns(mockContainer);
+            WebConnection.addBusinessNetwork('org.acme.Business', 'devFabric1', '6eeb8858-eced-4a32-b1cd-2491f1e3718f');
+            WebConnection.addChaincode('6eeb8858-eced-4a32-b1cd-2491f1e3718f', mockContainer, mockEngine);
+            mockSecurityContext.getChaincodeID.returns('6eeb8858-eced-4a32-b1cd-2491f1e3718f');
+            mockEngine.invoke.resolves();
             return connection.invokeChainCode(mockSecurityContext, 'testFunction', ['arg1', 'arg2'])
                 .then((result) => {
                     sinon.assert.calledOnce(mockEngine.invoke);
@@ -34,7 +34,9 @@ export class TransactionComponent implements OnInit {
 
   private resourceDefinition: string = null;
   private submitInProgress: boolean = false;
+  private simulateInProgress: boolean = false;
   private defitionError: string = null;
+  private simulation = null;
 
   private generateParameters = {generate : true};
 
@@ -126,6 +128,8 @@ export class TransactionComponent implements OnInit {
    * Validate the defition of the TransactionDeclaration, accounting for hidden fields.
    */
   private onDefinitionChanged() {
+    // Any previous dry run no longer applies to the changed definition
+    this.simulation = null;
     try {
       let json = JSON.parse(this.resourceDefinition);
       // Add required items that are hidden from user
@@ -141,6 +145,50 @@ export class TransactionComponent implements OnInit {
     }
   }
 
+  /**
+   * Create a transaction from the TransactionDeclaration definition
+   * @return {Resource} the transaction
+   */
+  private createTransaction() {
+    let json = JSON.parse(this.resourceDefinition);
+    // Add UUID but not timestamp, as this is generated upon submission
+    let id = this.selectedTransaction.getIdentifierFieldName();
+    json[id] = this.hiddenTransactionItems.get(id);
+    let serializer = this.clientService.getBusinessNetwork().getSerializer();
+    return serializer.fromJSON(json);
+  }
+
+  /**
+   * Simulate the TransactionDeclaration definition, and display the changes
+   * that it would make without submitting it
+   */
+  private simulateTransaction() {
+    this.simulateInProgress = true;
+    this.simulation = null;
+    return Promise.resolve()
+      .then(() => {
+        let resource = this.createTransaction();
+        return this.clientService.getBusinessNetworkConnection().simulateTransaction(resource);
+      })
+      .then((simulation) => {
+        this.simulateInProgress = false;
+        this.defitionError = null;
+        this.simulation = {
+          changes: simulation.changes.map((change) => {
+            let details = change.operation === 'update' ? change.patches : (change.resource || change.oldResource);
+            return Object.assign({}, change, { details: JSON.stringify(details, null, 2) });
+          }),
+          events: simulation.events.map((event) => {
+            return JSON.stringify(event, null, 2);
+          })
+        };
+      })
+      .catch((error) => {
+        this.defitionError = error.toString();
+        this.simulateInProgress = false;
+      });
+  }
+
   /**
    * Submit the TransactionDeclaration definition
    */
@@ -148,12 +196,7 @@ export class TransactionComponent implements OnInit {
     this.submitInProgress = true;
     return Promise.resolve()
       .then(() => {
-        let json = JSON.parse(this.resourceDefinition);
-        // Add UUID but not timestamp, as this is generated upon submission
-        let id = this.selectedTransaction.getIdentifierFieldName();
-        json[id] = this.hiddenTransactionItems.get(id);
-        let serializer = this.clientService.getBusinessNetwork().getSerializer();
-        let resource = serializer.fromJSON(json);
+        let resource = this.createTransaction();
         return this.clientService.getBusinessNetworkConnection().submitTransaction(resource);
       })
       .then(() => {
@@ -18,5 +18,6 @@ module.exports.EmbeddedContainer = require('./lib/embeddedcontainer');
 module.exports.EmbeddedContext = require('./lib/embeddedcontext');
 module.exports.EmbeddedDataCollection = require('./lib/embeddeddatacollection');
 module.exports.EmbeddedDataService = require('./lib/embeddeddataservice');
+module.exports.EmbeddedEventService = require('./lib/embeddedeventservice');
 module.exports.EmbeddedIdentityService = require('./lib/embeddedidentityservice');
 module.exports.EmbeddedLoggingService = require('./lib/embeddedloggingservice');
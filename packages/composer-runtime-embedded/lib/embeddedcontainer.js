@@ -17,6 +17,7 @@
 const Container = require('composer-runtime').Container;
 const EmbeddedDataService = require('./embeddeddataservice');
 const EmbeddedLoggingService = require('./embeddedloggingservice');
+const EventEmitter = require('events');
 const uuid = require('uuid');
 const version = require('../package.json').version;
 
@@ -34,6 +35,7 @@ class EmbeddedContainer extends Container {
         this.uuid = uuid.v4();
         this.dataService = new EmbeddedDataService(this.uuid);
         this.loggingService = new EmbeddedLoggingService();
+        this.eventSink = new EventEmitter();
     }
 
     /**
@@ -60,6 +62,15 @@ class EmbeddedContainer extends Container {
         return this.loggingService;
     }
 
+    /**
+     * Get the event sink that events published by transactions executed in
+     * the chaincode container are emitted on.
+     * @return {EventEmitter} The event sink.
+     */
+    getEventSink() {
+        return this.eventSink;
+    }
+
     /**
      * Get the UUID of the chaincode container.
      * @return {string} The UUID of the chaincode container.
@@ -15,6 +15,7 @@
 'use strict';
 
 const Context = require('composer-runtime').Context;
+const EmbeddedEventService = require('./embeddedeventservice');
 const EmbeddedIdentityService = require('./embeddedidentityservice');
 
 /**
@@ -26,11 +27,13 @@ class EmbeddedContext extends Context {
     /**
      * Constructor.
      * @param {Engine} engine The owning engine.
+     * @param {string} [userID] The user ID of the user who submitted the request.
      */
-    constructor(engine) {
+    constructor(engine, userID) {
         super(engine);
         this.dataService = engine.getContainer().getDataService();
-        this.identityService = new EmbeddedIdentityService();
+        this.identityService = new EmbeddedIdentityService(userID);
+        this.eventService = new EmbeddedEventService(engine.getContainer().getEventSink());
     }
 
     /**
@@ -49,6 +52,14 @@ class EmbeddedContext extends Context {
         return this.identityService;
     }
 
+    /**
+     * Get the event service provided by the chaincode container.
+     * @return {EventService} The event service provided by the chaincode container.
+     */
+    getEventService() {
+        return this.eventService;
+    }
+
 }
 
 module.exports = EmbeddedContext;
@@ -16,8 +16,11 @@
 
 const DataService = require('composer-runtime').DataService;
 const Dexie = require('dexie');
+const Logger = require('composer-common').Logger;
 const EmbeddedDataCollection = require('./embeddeddatacollection');
 
+const LOG = Logger.getLog('EmbeddedDataService');
+
 /**
  * fake-indexeddb seems to maintain too much state, even though we ask dexie to
  * create a new database for each chaincode (using a UUID as part of the database
@@ -52,6 +55,15 @@ class EmbeddedDataService extends DataService {
             collections: '&id',
             objects: '[id+collectionId],collectionId'
         });
+        this.db.version(2).stores({
+            indexes: '[collectionId+name+id],[collectionId+name+value],[collectionId+id],collectionId'
+        });
+        this.db.version(3).stores({
+            objects: '[id+collectionId],collectionId,[collectionId+id]'
+        });
+        this.journal = null;
+        this.transactionEnded = Promise.resolve();
+        this.endTransaction = null;
     }
 
     /**
@@ -80,6 +92,9 @@ class EmbeddedDataService extends DataService {
                 return this.db.collections.add({id: id});
             })
             .then(() => {
+                if (this.journal) {
+                    this.journal.push({ collectionId: id, created: true });
+                }
                 return new EmbeddedDataCollection(this, this.db, id);
             });
     }
@@ -102,6 +117,9 @@ class EmbeddedDataService extends DataService {
                 }
                 return this.db.objects.where('collectionId').equals(id).delete();
             })
+            .then(() => {
+                return this.db.indexes.where('collectionId').equals(id).delete();
+            })
             .then(() => {
                 return this.db.collections.delete(id);
             });
@@ -123,7 +141,7 @@ class EmbeddedDataService extends DataService {
                 if (!collection) {
                     throw new Error(`Collection with ID '${id}' does not exist`);
                 }
-                return new EmbeddedDataCollection(this, this.db, id);
+                return new EmbeddedDataCollection(this, this.db, id, collection.indexes);
             });
     }
 
@@ -144,6 +162,96 @@ class EmbeddedDataService extends DataService {
             });
     }
 
+    /**
+     * Start a transaction. The previous state of every object that is changed,
+     * and every collection that is created, is recorded in a journal until the
+     * transaction is committed or rolled back, so that the changes can be undone.
+     * Only one transaction runs at a time; if another transaction is running, the
+     * transaction is started when the other transaction is committed or rolled back.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    transactionStart() {
+        LOG.debug('transactionStart', 'Transaction started');
+        const previousTransactionEnded = this.transactionEnded;
+        let endTransaction;
+        this.transactionEnded = new Promise((resolve) => {
+            endTransaction = resolve;
+        });
+        return previousTransactionEnded
+            .then(() => {
+                this.journal = [];
+                this.endTransaction = endTransaction;
+            });
+    }
+
+    /**
+     * Commit the current transaction, keeping all of the changes made as part
+     * of the transaction.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    transactionCommit() {
+        LOG.debug('transactionCommit', 'Transaction committed');
+        this.journal = null;
+        this.endTransaction();
+        return Promise.resolve();
+    }
+
+    /**
+     * Roll back the current transaction, undoing all of the changes made as
+     * part of the transaction in the reverse order that they were made.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    transactionRollback() {
+        LOG.debug('transactionRollback', 'Transaction rolled back');
+        // Stop recording changes, so that undoing the changes is not recorded.
+        const journal = this.journal;
+        this.journal = null;
+        return journal.reverse().reduce((promise, entry) => {
+            return promise.then(() => {
+                if (entry.created) {
+                    return this.deleteCollection(entry.collectionId);
+                }
+                return this.getCollection(entry.collectionId)
+                    .then((collection) => {
+                        if (entry.object === undefined) {
+                            return collection.remove(entry.id);
+                        }
+                        return collection.update(entry.id, entry.object);
+                    });
+            });
+        }, Promise.resolve())
+            .then(() => {
+                this.endTransaction();
+            }, (error) => {
+                this.endTransaction();
+                throw error;
+            });
+    }
+
+    /**
+     * Record the current state of the specified object in the journal of the
+     * current transaction, before the object is changed. This does nothing if
+     * a transaction has not been started.
+     * @private
+     * @param {string} collectionId The ID of the collection.
+     * @param {string} id The ID of the object.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    journalObject(collectionId, id) {
+        const journal = this.journal;
+        if (!journal) {
+            return Promise.resolve();
+        }
+        return this.db.objects.where('[id+collectionId]').equals([id, collectionId]).first()
+            .then((object) => {
+                journal.push({ collectionId: collectionId, id: id, object: object ? object.object : undefined });
+            });
+    }
+
 }
 
 module.exports = EmbeddedDataService;
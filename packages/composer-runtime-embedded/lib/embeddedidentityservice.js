@@ -22,13 +22,27 @@ const IdentityService = require('composer-runtime').IdentityService;
  */
 class EmbeddedIdentityService extends IdentityService {
 
+    /**
+     * Constructor.
+     * @param {string} [userID] The user ID of the user who submitted the request.
+     */
+    constructor(userID) {
+        super();
+        this.userID = userID || null;
+    }
+
     /**
      * Retrieve the current user ID.
      * @return {string} The current user ID, or null if the current user ID cannot
      * be determined or has not been specified.
      */
     getCurrentUserID() {
-        return null;
+        // TODO: temporary, as with Hyperledger Fabric v1.0 the admin user has
+        // no identity and is given full authority.
+        if (this.userID === 'admin') {
+            return null;
+        }
+        return this.userID;
     }
 
 }
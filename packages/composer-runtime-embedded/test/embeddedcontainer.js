@@ -18,6 +18,7 @@ const Container = require('composer-runtime').Container;
 const DataService = require('composer-runtime').DataService;
 const LoggingService = require('composer-runtime').LoggingService;
 const EmbeddedContainer = require('..').EmbeddedContainer;
+const EventEmitter = require('events');
 const uuid = require('uuid');
 const version = require('../package.json').version;
 
@@ -72,6 +73,15 @@ describe('EmbeddedContainer', () => {
 
     });
 
+    describe('#getEventSink', () => {
+
+        it('should return the container event sink', () => {
+            let container = new EmbeddedContainer();
+            container.getEventSink().should.be.an.instanceOf(EventEmitter);
+        });
+
+    });
+
     describe('#getUUID', () => {
 
         it('should return the container UUID', () => {
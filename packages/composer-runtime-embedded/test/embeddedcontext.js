@@ -19,6 +19,8 @@ const DataService = require('composer-runtime').DataService;
 const Engine = require('composer-runtime').Engine;
 const EmbeddedContainer = require('..').EmbeddedContainer;
 const EmbeddedContext = require('..').EmbeddedContext;
+const EventEmitter = require('events');
+const EventService = require('composer-runtime').EventService;
 const IdentityService = require('composer-runtime').IdentityService;
 
 require('chai').should();
@@ -36,6 +38,7 @@ describe('EmbeddedContext', () => {
         mockEngine = sinon.createStubInstance(Engine);
         mockEngine.getContainer.returns(mockEmbeddedContainer);
         mockEmbeddedContainer.getDataService.returns(mockDataService);
+        mockEmbeddedContainer.getEventSink.returns(new EventEmitter());
     });
 
     describe('#constructor', () => {
@@ -63,6 +66,20 @@ describe('EmbeddedContext', () => {
             context.getIdentityService().should.be.an.instanceOf(IdentityService);
         });
 
+        it('should return an identity service for the specified user ID', () => {
+            let context = new EmbeddedContext(mockEngine, 'doge');
+            context.getIdentityService().getCurrentUserID().should.equal('doge');
+        });
+
+    });
+
+    describe('#getEventService', () => {
+
+        it('should return the container event service', () => {
+            let context = new EmbeddedContext(mockEngine);
+            context.getEventService().should.be.an.instanceOf(EventService);
+        });
+
     });
 
 });
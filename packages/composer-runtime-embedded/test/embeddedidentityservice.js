@@ -44,7 +44,17 @@ describe('EmbeddedIdentityService', () => {
 
     describe('#getCurrentUserID', () => {
 
-        it('should return null', () => {
+        it('should return null if no user ID was specified', () => {
+            should.equal(identityService.getCurrentUserID(), null);
+        });
+
+        it('should return the user ID', () => {
+            identityService = new EmbeddedIdentityService('doge');
+            identityService.getCurrentUserID().should.equal('doge');
+        });
+
+        it('should return null for the admin user', () => {
+            identityService = new EmbeddedIdentityService('admin');
             should.equal(identityService.getCurrentUserID(), null);
         });
 
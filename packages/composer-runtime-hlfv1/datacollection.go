@@ -16,6 +16,7 @@ package main
 
 import (
 	"fmt"
+	"unicode/utf8"
 
 	"github.com/hyperledger/fabric/core/chaincode/shim"
 	"github.com/robertkrimen/otto"
@@ -51,6 +52,7 @@ func NewDataCollection(vm *otto.Otto, dataService *DataService, stub shim.Chainc
 
 	// Bind the methods into the JavaScript object.
 	result.This.Set("_getAll", result.getAll)
+	result.This.Set("_getPage", result.getPage)
 	result.This.Set("_get", result.get)
 	result.This.Set("_exists", result.exists)
 	result.This.Set("_add", result.add)
@@ -118,6 +120,122 @@ func (dataCollection *DataCollection) getAll(call otto.FunctionCall) (result ott
 	return otto.UndefinedValue()
 }
 
+// getPage retrieves a page of the objects in this collection from the world state.
+// The bookmark is the ID of the last object in the previous page, and the page is
+// read with a range query that starts at the bookmark.
+func (dataCollection *DataCollection) getPage(call otto.FunctionCall) (result otto.Value) {
+	logger.Debug("Entering DataCollection.getPage", call)
+	defer func() { logger.Debug("Exiting DataCollection.getPage", result) }()
+
+	// Validate the arguments from JavaScript.
+	pageSize, bookmark, callback := call.Argument(0), call.Argument(1), call.Argument(2)
+	if !pageSize.IsNumber() {
+		panic(fmt.Errorf("pageSize not specified or is not a number"))
+	} else if !bookmark.IsString() && !bookmark.IsNull() {
+		panic(fmt.Errorf("bookmark not specified or is not a string"))
+	} else if !callback.IsFunction() {
+		panic(fmt.Errorf("callback not specified or is not a string"))
+	}
+	size, err := pageSize.ToInteger()
+	if err != nil {
+		panic(err)
+	}
+
+	// Create the composite keys for the start and end of the range.
+	// The objects are stored with composite keys of collectionID + objectID.
+	attributes := []string{}
+	if bookmark.IsString() {
+		attributes = append(attributes, bookmark.String())
+	}
+	startKey, err := dataCollection.Stub.CreateCompositeKey(dataCollection.CollectionID, attributes)
+	if err != nil {
+		_, err = callback.Call(callback, call.Otto.MakeCustomError("Error", err.Error()))
+		if err != nil {
+			panic(err)
+		}
+		return otto.UndefinedValue()
+	}
+	partialKey, err := dataCollection.Stub.CreateCompositeKey(dataCollection.CollectionID, []string{})
+	if err != nil {
+		_, err = callback.Call(callback, call.Otto.MakeCustomError("Error", err.Error()))
+		if err != nil {
+			panic(err)
+		}
+		return otto.UndefinedValue()
+	}
+	endKey := partialKey + string(utf8.MaxRune)
+	iterator, err := dataCollection.Stub.GetStateByRange(startKey, endKey)
+	if err != nil {
+		_, err = callback.Call(callback, call.Otto.MakeCustomError("Error", err.Error()))
+		if err != nil {
+			panic(err)
+		}
+		return otto.UndefinedValue()
+	}
+
+	// Must close iterator to free resources.
+	defer iterator.Close()
+
+	// Iterate over the keys in the range until the page is full.
+	objects := []interface{}{}
+	nextBookmark := otto.NullValue()
+	lastID := ""
+	for iterator.HasNext() {
+
+		// Read the current key and value.
+		key, value, err := iterator.Next()
+		if err != nil {
+			_, err = callback.Call(callback, call.Otto.MakeCustomError("Error", err.Error()))
+			if err != nil {
+				panic(err)
+			}
+			return otto.UndefinedValue()
+		}
+
+		// The range starts at the bookmark, which was in the previous page.
+		if bookmark.IsString() && key == startKey {
+			continue
+		}
+
+		// If the page is already full, there is another page that starts after the last object.
+		if int64(len(objects)) >= size {
+			nextBookmark, err = call.Otto.ToValue(lastID)
+			if err != nil {
+				panic(err)
+			}
+			break
+		}
+
+		// Parse the current value.
+		object, err := call.Otto.Call("JSON.parse", nil, string(value))
+		if err != nil {
+			_, err = callback.Call(callback, call.Otto.MakeCustomError("Error", err.Error()))
+			if err != nil {
+				panic(err)
+			}
+			return otto.UndefinedValue()
+		}
+		objects = append(objects, object)
+
+		// Remember the ID of the current object in case it is the last object in the page.
+		_, keyAttributes, err := dataCollection.Stub.SplitCompositeKey(key)
+		if err != nil {
+			_, err = callback.Call(callback, call.Otto.MakeCustomError("Error", err.Error()))
+			if err != nil {
+				panic(err)
+			}
+			return otto.UndefinedValue()
+		}
+		lastID = keyAttributes[0]
+
+	}
+	_, err = callback.Call(callback, nil, map[string]interface{}{"objects": objects, "bookmark": nextBookmark})
+	if err != nil {
+		panic(err)
+	}
+	return otto.UndefinedValue()
+}
+
 // get retrieves a specific object in this collection from the world state.
 func (dataCollection *DataCollection) get(call otto.FunctionCall) (result otto.Value) {
 	logger.Debug("Entering DataCollection.get", call)
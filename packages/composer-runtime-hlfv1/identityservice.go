@@ -56,6 +56,7 @@ func NewIdentityService(vm *otto.Otto, context *Context, stub shim.ChaincodeStub
 
 	// Bind the methods into the JavaScript object.
 	result.This.Set("getCurrentUserID", result.getCurrentUserID)
+	result.This.Set("getCurrentCertificate", result.getCurrentCertificate)
 	return result
 
 }
@@ -119,3 +120,30 @@ func (identityService *IdentityService) getCurrentUserID(call otto.FunctionCall)
 	//return otto.NullValue()
 
 }
+
+// getCurrentCertificate retrieves the PEM encoded certificate of the current user.
+func (identityService *IdentityService) getCurrentCertificate(call otto.FunctionCall) (result otto.Value) {
+	logger.Debug("Entering IdentityService.getCurrentCertificate", call)
+	defer func() { logger.Debug("Exiting IdentityService.getCurrentCertificate", result) }()
+
+	creator, err := identityService.Stub.GetCreator()
+	if err != nil {
+		logger.Debug("Error received on GetCreator", err)
+		return otto.NullValue()
+	}
+	certStart := bytes.Index(creator, []byte("-----BEGIN CERTIFICATE-----"))
+	if certStart == -1 {
+		logger.Debug("No certificate found")
+		return otto.NullValue()
+	}
+	block, _ := pem.Decode(creator[certStart:])
+	if block == nil {
+		logger.Debug("Error received on pem.Decode of certificate", creator[certStart:])
+		return otto.NullValue()
+	}
+	result, err = otto.ToValue(string(pem.EncodeToMemory(block)))
+	if err != nil {
+		panic(call.Otto.MakeCustomError("Error", err.Error()))
+	}
+	return result
+}
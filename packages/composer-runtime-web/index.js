@@ -18,5 +18,6 @@ module.exports.WebContainer = require('./lib/webcontainer');
 module.exports.WebContext = require('./lib/webcontext');
 module.exports.WebDataCollection = require('./lib/webdatacollection');
 module.exports.WebDataService = require('./lib/webdataservice');
+module.exports.WebEventService = require('./lib/webeventservice');
 module.exports.WebIdentityService = require('./lib/webidentityservice');
 module.exports.WebLoggingService = require('./lib/webloggingservice');
@@ -15,6 +15,7 @@
 'use strict';
 
 const Container = require('composer-runtime').Container;
+const EventEmitter = require('events');
 const uuidv4 = require('uuid');
 const version = require('../package.json').version;
 const WebDataService = require('./webdataservice');
@@ -35,6 +36,7 @@ class WebContainer extends Container {
         this.uuid = uuid || uuidv4.v4();
         this.dataService = new WebDataService(this.uuid);
         this.loggingService = new WebLoggingService();
+        this.eventSink = new EventEmitter();
     }
 
     /**
@@ -61,6 +63,15 @@ class WebContainer extends Container {
         return this.loggingService;
     }
 
+    /**
+     * Get the event sink that events published by transactions executed in
+     * the chaincode container are emitted on.
+     * @return {EventEmitter} The event sink.
+     */
+    getEventSink() {
+        return this.eventSink;
+    }
+
     /**
      * Get the UUID of the chaincode container.
      * @return {string} The UUID of the chaincode container.
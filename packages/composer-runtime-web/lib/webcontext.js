@@ -15,6 +15,7 @@
 'use strict';
 
 const Context = require('composer-runtime').Context;
+const WebEventService = require('./webeventservice');
 const WebIdentityService = require('./webidentityservice');
 
 /**
@@ -31,6 +32,7 @@ class WebContext extends Context {
         super(engine);
         this.dataService = engine.getContainer().getDataService();
         this.identityService = new WebIdentityService();
+        this.eventService = new WebEventService(engine.getContainer().getEventSink());
     }
 
     /**
@@ -49,6 +51,14 @@ class WebContext extends Context {
         return this.identityService;
     }
 
+    /**
+     * Get the event service provided by the chaincode container.
+     * @return {EventService} The event service provided by the chaincode container.
+     */
+    getEventService() {
+        return this.eventService;
+    }
+
 }
 
 module.exports = WebContext;
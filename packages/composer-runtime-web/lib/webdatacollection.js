@@ -15,6 +15,7 @@
 'use strict';
 
 const DataCollection = require('composer-runtime').DataCollection;
+const Dexie = require('dexie');
 
 /**
  * Base class representing a data collection provided by a {@link DataService}.
@@ -28,11 +29,13 @@ class WebDataCollection extends DataCollection {
      * @param {DataService} dataService The owning data service.
      * @param {Dexie} db The database to use.
      * @param {string} collectionId The collection ID to use.
+     * @param {string[]} [indexes] The names of the indexed properties.
      */
-    constructor(dataService, db, collectionId) {
+    constructor(dataService, db, collectionId, indexes) {
         super(dataService);
         this.db = db;
         this.collectionId = collectionId;
+        this.indexes = indexes || [];
     }
 
     /**
@@ -50,6 +53,35 @@ class WebDataCollection extends DataCollection {
             });
     }
 
+    /**
+     * Get a page of the objects in this collection, ordered by ID. The bookmark
+     * is the ID of the last object in the previous page.
+     * @param {number} pageSize The maximum number of objects to return.
+     * @param {string} [bookmark] The bookmark returned with the previous page,
+     * or null to get the first page.
+     * @return {Promise} A promise that will be resolved with an object containing
+     * an array of objects in the <code>objects</code> property, and a bookmark for
+     * the next page in the <code>bookmark</code> property (or null if this is the
+     * last page), or rejected with an error.
+     */
+    getPage(pageSize, bookmark) {
+        // Start at the bookmark using the compound index, rather than scanning
+        // from the start of the collection for every page.
+        let collection = this.db.objects.where('[collectionId+id]')
+            .between([this.collectionId, bookmark || ''], [this.collectionId, Dexie.maxKey], !bookmark, true);
+        // Get one more object than we need to find out if there is another page.
+        return collection.limit(pageSize + 1).toArray()
+            .then((objects) => {
+                const page = objects.slice(0, pageSize);
+                return {
+                    objects: page.map((object) => {
+                        return object.object;
+                    }),
+                    bookmark: objects.length > pageSize ? page[page.length - 1].id : null
+                };
+            });
+    }
+
     /**
      * Get the specified object in this collection.
      * @abstract
@@ -90,11 +122,17 @@ class WebDataCollection extends DataCollection {
      * with an error.
      */
     add(id, object) {
-        return this.db.objects.add({
-            id: id,
-            collectionId: this.collectionId,
-            object: object
-        });
+        return this.dataService.journalObject(this.collectionId, id)
+            .then(() => {
+                return this.db.objects.add({
+                    id: id,
+                    collectionId: this.collectionId,
+                    object: object
+                });
+            })
+            .then(() => {
+                return this.addIndexEntries([{ id: id, object: object }]);
+            });
     }
 
     /**
@@ -106,11 +144,20 @@ class WebDataCollection extends DataCollection {
      * with an error.
      */
     update(id, object) {
-        return this.db.objects.put({
-            id: id,
-            collectionId: this.collectionId,
-            object: object
-        });
+        return this.dataService.journalObject(this.collectionId, id)
+            .then(() => {
+                return this.db.objects.put({
+                    id: id,
+                    collectionId: this.collectionId,
+                    object: object
+                });
+            })
+            .then(() => {
+                return this.removeIndexEntries(id);
+            })
+            .then(() => {
+                return this.addIndexEntries([{ id: id, object: object }]);
+            });
     }
 
     /**
@@ -121,7 +168,122 @@ class WebDataCollection extends DataCollection {
      * with an error.
      */
     remove(id) {
-        return this.db.objects.where('[id+collectionId]').equals([id, this.collectionId]).delete();
+        return this.dataService.journalObject(this.collectionId, id)
+            .then(() => {
+                return this.db.objects.where('[id+collectionId]').equals([id, this.collectionId]).delete();
+            })
+            .then(() => {
+                return this.removeIndexEntries(id);
+            });
+    }
+
+    /**
+     * Set the names of the indexed properties of the objects in this collection.
+     * If the indexed properties have changed, the index entries for all of the
+     * objects in this collection are rebuilt.
+     * @param {string[]} names The names of the indexed properties.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    setIndexes(names) {
+        if (names.slice().sort().join() === this.indexes.slice().sort().join()) {
+            return Promise.resolve();
+        }
+        this.indexes = names.slice();
+        return this.db.collections.put({ id: this.collectionId, indexes: this.indexes })
+            .then(() => {
+                return this.db.indexes.where('collectionId').equals(this.collectionId).delete();
+            })
+            .then(() => {
+                return this.db.objects.where('collectionId').equals(this.collectionId).toArray();
+            })
+            .then((objects) => {
+                return this.addIndexEntries(objects);
+            });
+    }
+
+    /**
+     * Get the objects in this collection where the value of the specified indexed
+     * property is in the specified range.
+     * @param {string} name The name of the indexed property.
+     * @param {IndexRange} range The range of values.
+     * @return {Promise} A promise that will be resolved with an array of objects,
+     * or rejected with an error.
+     */
+    queryIndex(name, range) {
+        if (this.indexes.indexOf(name) === -1) {
+            // The property is not indexed, so check every object.
+            return this.getAll()
+                .then((objects) => {
+                    return objects.filter((object) => {
+                        return DataCollection.inRange(object[name], range);
+                    });
+                });
+        }
+        // Values of different types are never in the same range, so an unbounded
+        // range of strings or numbers starts or ends at the lowest or highest key
+        // of that type (all arrays are higher than all strings).
+        const minKey = typeof (range.lower !== undefined ? range.lower : range.upper) === 'string' ? '' : -Infinity;
+        const maxKey = typeof (range.upper !== undefined ? range.upper : range.lower) === 'string' ? [] : Infinity;
+        const lower = [this.collectionId, name, range.lower !== undefined ? range.lower : minKey];
+        const upper = [this.collectionId, name, range.upper !== undefined ? range.upper : maxKey];
+        return this.db.indexes.where('[collectionId+name+value]').between(lower, upper, !range.lowerOpen, !range.upperOpen).toArray()
+            .then((entries) => {
+                if (entries.length === 0) {
+                    return [];
+                }
+                return this.db.objects.where('[id+collectionId]').anyOf(entries.map((entry) => {
+                    return [entry.id, this.collectionId];
+                })).toArray();
+            })
+            .then((objects) => {
+                return objects.map((object) => {
+                    return object.object;
+                });
+            });
+    }
+
+    /**
+     * Add the index entries for the specified objects.
+     * @private
+     * @param {Object[]} objects The objects, each with an <code>id</code> and
+     * an <code>object</code> property.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    addIndexEntries(objects) {
+        let entries = [];
+        objects.forEach((object) => {
+            this.indexes.forEach((name) => {
+                const value = object.object[name];
+                if (typeof value === 'string' || typeof value === 'number') {
+                    entries.push({
+                        collectionId: this.collectionId,
+                        name: name,
+                        id: object.id,
+                        value: value
+                    });
+                }
+            });
+        });
+        if (entries.length === 0) {
+            return Promise.resolve();
+        }
+        return this.db.indexes.bulkAdd(entries);
+    }
+
+    /**
+     * Remove the index entries for the specified object.
+     * @private
+     * @param {string} id The ID of the object.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    removeIndexEntries(id) {
+        if (this.indexes.length === 0) {
+            return Promise.resolve();
+        }
+        return this.db.indexes.where('[collectionId+id]').equals([this.collectionId, id]).delete();
     }
 
 }
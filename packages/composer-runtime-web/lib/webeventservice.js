@@ -0,0 +1,50 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const EventService = require('composer-runtime').EventService;
+
+/**
+ * The event service for the web runtime, which publishes the events emitted
+ * by a transaction to the connection when the transaction is committed.
+ * @protected
+ */
+class WebEventService extends EventService {
+
+    /**
+     * Constructor.
+     * @param {EventEmitter} eventSink The event emitter to publish events to.
+     */
+    constructor(eventSink) {
+        super();
+        this.eventSink = eventSink;
+    }
+
+    /**
+     * Publish all of the events in the buffer.
+     * @private
+     * @param {commitCallback} callback The callback function to call when complete.
+     */
+    _commit(callback) {
+        const events = this.getEvents();
+        if (events.length) {
+            this.eventSink.emit('events', events);
+        }
+        callback(null);
+    }
+
+}
+
+module.exports = WebEventService;
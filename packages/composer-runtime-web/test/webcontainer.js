@@ -16,6 +16,7 @@
 
 const Container = require('composer-runtime').Container;
 const DataService = require('composer-runtime').DataService;
+const EventEmitter = require('events');
 const LoggingService = require('composer-runtime').LoggingService;
 const WebContainer = require('..').WebContainer;
 const uuid = require('uuid');
@@ -80,6 +81,15 @@ describe('WebContainer', () => {
 
     });
 
+    describe('#getEventSink', () => {
+
+        it('should return the container event sink', () => {
+            let container = new WebContainer();
+            container.getEventSink().should.be.an.instanceOf(EventEmitter);
+        });
+
+    });
+
     describe('#getUUID', () => {
 
         it('should return the container UUID', () => {
@@ -17,6 +17,8 @@
 const Context = require('composer-runtime').Context;
 const DataService = require('composer-runtime').DataService;
 const Engine = require('composer-runtime').Engine;
+const EventEmitter = require('events');
+const EventService = require('composer-runtime').EventService;
 const IdentityService = require('composer-runtime').IdentityService;
 const WebContainer = require('..').WebContainer;
 const WebContext = require('..').WebContext;
@@ -36,6 +38,7 @@ describe('WebContext', () => {
         mockEngine = sinon.createStubInstance(Engine);
         mockEngine.getContainer.returns(mockWebContainer);
         mockWebContainer.getDataService.returns(mockDataService);
+        mockWebContainer.getEventSink.returns(new EventEmitter());
     });
 
     describe('#constructor', () => {
@@ -65,4 +68,13 @@ describe('WebContext', () => {
 
     });
 
+    describe('#getEventService', () => {
+
+        it('should return the container event service', () => {
+            let context = new WebContext(mockEngine);
+            context.getEventService().should.be.an.instanceOf(EventService);
+        });
+
+    });
+
 });
@@ -15,8 +15,9 @@
 'use strict';
 
 const DataCollection = require('composer-runtime').DataCollection;
-const DataService = require('composer-runtime').DataService;
+const Dexie = require('dexie');
 const WebDataCollection = require('..').WebDataCollection;
+const WebDataService = require('..').WebDataService;
 
 const chai = require('chai');
 chai.should();
@@ -31,7 +32,8 @@ describe('WebDataCollection', () => {
     let dataCollection;
 
     beforeEach(() => {
-        mockDataService = sinon.createStubInstance(DataService);
+        mockDataService = sinon.createStubInstance(WebDataService);
+        mockDataService.journalObject.resolves();
         mockDB = {
             objects: {
                 where: function () { },
@@ -73,6 +75,55 @@ describe('WebDataCollection', () => {
 
     });
 
+    describe('#getPage', () => {
+
+        let betweenStub, limitStub, toArrayStub;
+
+        beforeEach(() => {
+            toArrayStub = sinon.stub();
+            limitStub = sinon.stub().returns({ toArray: toArrayStub });
+            betweenStub = sinon.stub().returns({ limit: limitStub });
+            sinon.stub(dataCollection.db.objects, 'where').withArgs('[collectionId+id]').returns({ between: betweenStub });
+        });
+
+        it('should get the first page of objects', () => {
+            toArrayStub.resolves([{
+                collectionId: 'doge',
+                id: 'thing1',
+                object: { thing: 1 }
+            }, {
+                collectionId: 'doge',
+                id: 'thing2',
+                object: { thing: 2 }
+            }, {
+                collectionId: 'doge',
+                id: 'thing3',
+                object: { thing: 3 }
+            }]);
+            return dataCollection.getPage(2)
+                .then((page) => {
+                    sinon.assert.calledWith(betweenStub, ['doge', ''], ['doge', Dexie.maxKey], true, true);
+                    sinon.assert.calledWith(limitStub, 3);
+                    page.should.deep.equal({ objects: [{ thing: 1 }, { thing: 2 }], bookmark: 'thing2' });
+                });
+        });
+
+        it('should get the last page of objects after the bookmark', () => {
+            toArrayStub.resolves([{
+                collectionId: 'doge',
+                id: 'thing3',
+                object: { thing: 3 }
+            }]);
+            return dataCollection.getPage(2, 'thing2')
+                .then((page) => {
+                    sinon.assert.calledWith(betweenStub, ['doge', 'thing2'], ['doge', Dexie.maxKey], false, true);
+                    sinon.assert.calledWith(limitStub, 3);
+                    page.should.deep.equal({ objects: [{ thing: 3 }], bookmark: null });
+                });
+        });
+
+    });
+
     describe('#get', () => {
 
         it('should throw if the specified object does not exist', () => {
@@ -183,4 +234,156 @@ describe('WebDataCollection', () => {
 
     });
 
+
+    describe('indexes', () => {
+
+        let dataService;
+
+        beforeEach(() => {
+            dataService = new WebDataService('6e0c9b3b-8f43-4d6c-a1a5-8ac9a1d1e1a1');
+            return dataService.createCollection('cars')
+                .then((result) => {
+                    dataCollection = result;
+                    return dataCollection.add('CAR_1', { vin: 'CAR_1', make: 'Ford', year: 2010 });
+                })
+                .then(() => {
+                    return dataCollection.add('CAR_2', { vin: 'CAR_2', make: 'Fiat', year: 2015 });
+                })
+                .then(() => {
+                    return dataCollection.add('CAR_3', { vin: 'CAR_3', make: 'Ford' });
+                });
+        });
+
+        afterEach(() => {
+            const db = new Dexie('Concerto:6e0c9b3b-8f43-4d6c-a1a5-8ac9a1d1e1a1');
+            return db.delete();
+        });
+
+        /**
+         * Get the IDs of the objects in the range of an index.
+         * @param {string} name The name of the index.
+         * @param {Object} range The range.
+         * @return {Promise} A promise that will be resolved with the sorted IDs.
+         */
+        function queryIndex(name, range) {
+            return dataCollection.queryIndex(name, range)
+                .then((objects) => {
+                    return objects.map((object) => {
+                        return object.vin;
+                    }).sort();
+                });
+        }
+
+        it('should query an unindexed property by checking every object', () => {
+            return queryIndex('make', { lower: 'Ford', upper: 'Ford' })
+                .should.eventually.deep.equal(['CAR_1', 'CAR_3']);
+        });
+
+        it('should build the indexes for existing objects and persist them', () => {
+            return dataCollection.setIndexes(['make', 'year'])
+                .then(() => {
+                    return dataService.db.indexes.count();
+                })
+                .then((count) => {
+                    count.should.equal(5);
+                    return dataService.getCollection('cars');
+                })
+                .then((result) => {
+                    result.indexes.should.deep.equal(['make', 'year']);
+                });
+        });
+
+        it('should do nothing if the indexes have not changed', () => {
+            return dataCollection.setIndexes(['make', 'year'])
+                .then(() => {
+                    sinon.spy(dataService.db.collections, 'put');
+                    return dataCollection.setIndexes(['year', 'make']);
+                })
+                .then(() => {
+                    sinon.assert.notCalled(dataService.db.collections.put);
+                });
+        });
+
+        it('should rebuild the indexes if they change', () => {
+            return dataCollection.setIndexes(['make', 'year'])
+                .then(() => {
+                    return dataCollection.setIndexes(['year']);
+                })
+                .then(() => {
+                    return dataService.db.indexes.count();
+                })
+                .then((count) => {
+                    count.should.equal(2);
+                    return dataCollection.setIndexes([]);
+                })
+                .then(() => {
+                    return dataService.db.indexes.count();
+                })
+                .then((count) => {
+                    count.should.equal(0);
+                });
+        });
+
+        it('should query a range of an index', () => {
+            return dataCollection.setIndexes(['make', 'year'])
+                .then(() => {
+                    return queryIndex('make', { lower: 'Ford', upper: 'Ford' });
+                })
+                .then((ids) => {
+                    ids.should.deep.equal(['CAR_1', 'CAR_3']);
+                    return queryIndex('make', { upper: 'Ford', upperOpen: true });
+                })
+                .then((ids) => {
+                    ids.should.deep.equal(['CAR_2']);
+                    return queryIndex('make', { lower: 'Fiat', lowerOpen: true });
+                })
+                .then((ids) => {
+                    ids.should.deep.equal(['CAR_1', 'CAR_3']);
+                    return queryIndex('year', { lower: 2010, lowerOpen: true });
+                })
+                .then((ids) => {
+                    ids.should.deep.equal(['CAR_2']);
+                    return queryIndex('year', { upper: 2015 });
+                })
+                .then((ids) => {
+                    ids.should.deep.equal(['CAR_1', 'CAR_2']);
+                    return queryIndex('year', { lower: 2020 });
+                })
+                .then((ids) => {
+                    ids.should.deep.equal([]);
+                });
+        });
+
+        it('should maintain the indexes when objects are added, updated and removed', () => {
+            return dataCollection.setIndexes(['make'])
+                .then(() => {
+                    return dataCollection.add('CAR_4', { vin: 'CAR_4', make: 'Ford' });
+                })
+                .then(() => {
+                    return dataCollection.update('CAR_1', { vin: 'CAR_1', make: 'Fiat' });
+                })
+                .then(() => {
+                    return dataCollection.remove('CAR_3');
+                })
+                .then(() => {
+                    return queryIndex('make', { lower: 'Ford', upper: 'Ford' });
+                })
+                .then((ids) => {
+                    ids.should.deep.equal(['CAR_4']);
+                    return queryIndex('make', { lower: 'Fiat', upper: 'Fiat' });
+                })
+                .then((ids) => {
+                    ids.should.deep.equal(['CAR_1', 'CAR_2']);
+                    return dataService.deleteCollection('cars');
+                })
+                .then(() => {
+                    return dataService.db.indexes.count();
+                })
+                .then((count) => {
+                    count.should.equal(0);
+                });
+        });
+
+    });
+
 });
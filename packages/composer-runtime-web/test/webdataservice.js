@@ -20,7 +20,7 @@ const WebDataCollection = require('..').WebDataCollection;
 const WebDataService = require('..').WebDataService;
 
 const chai = require('chai');
-chai.should();
+const should = chai.should();
 chai.use(require('chai-as-promised'));
 const sinon = require('sinon');
 require('sinon-as-promised');
@@ -163,4 +163,141 @@ describe('WebDataService', () => {
 
     });
 
+    describe('transactions', () => {
+
+        let collection;
+
+        beforeEach(() => {
+            return dataService.createCollection('doge')
+                .then((collection_) => {
+                    collection = collection_;
+                    return collection.add('thing1', { thing: 1 });
+                })
+                .then(() => {
+                    return collection.add('thing2', { thing: 2 });
+                });
+        });
+
+        it('should keep the changes made in a committed transaction', () => {
+            return dataService.transactionStart()
+                .then(() => {
+                    return collection.add('thing3', { thing: 3 });
+                })
+                .then(() => {
+                    return collection.update('thing1', { thing: 11 });
+                })
+                .then(() => {
+                    return collection.remove('thing2');
+                })
+                .then(() => {
+                    return dataService.transactionCommit();
+                })
+                .then(() => {
+                    return collection.getAll();
+                })
+                .then((objects) => {
+                    objects.should.deep.equal([{ thing: 11 }, { thing: 3 }]);
+                });
+        });
+
+        it('should undo the changes made in a rolled back transaction', () => {
+            return dataService.transactionStart()
+                .then(() => {
+                    return collection.add('thing3', { thing: 3 });
+                })
+                .then(() => {
+                    return collection.update('thing1', { thing: 11 });
+                })
+                .then(() => {
+                    return collection.update('thing1', { thing: 111 });
+                })
+                .then(() => {
+                    return collection.remove('thing2');
+                })
+                .then(() => {
+                    return dataService.createCollection('doge2');
+                })
+                .then((collection2) => {
+                    return collection2.add('thing4', { thing: 4 });
+                })
+                .then(() => {
+                    return dataService.transactionRollback();
+                })
+                .then(() => {
+                    return collection.getAll();
+                })
+                .then((objects) => {
+                    objects.should.deep.equal([{ thing: 1 }, { thing: 2 }]);
+                    return dataService.existsCollection('doge2');
+                })
+                .then((exists) => {
+                    exists.should.be.false;
+                    should.equal(dataService.journal, null);
+                });
+        });
+
+        it('should not record changes made outside of a transaction', () => {
+            return dataService.transactionStart()
+                .then(() => {
+                    return dataService.transactionCommit();
+                })
+                .then(() => {
+                    return collection.add('thing3', { thing: 3 });
+                })
+                .then(() => {
+                    return dataService.transactionStart();
+                })
+                .then(() => {
+                    dataService.journal.should.deep.equal([]);
+                    return dataService.transactionRollback();
+                })
+                .then(() => {
+                    return collection.getAll();
+                })
+                .then((objects) => {
+                    objects.should.deep.equal([{ thing: 1 }, { thing: 2 }, { thing: 3 }]);
+                });
+        });
+
+        it('should not start a transaction until the current transaction has ended', () => {
+            let events = [];
+            return dataService.transactionStart()
+                .then(() => {
+                    let promise = dataService.transactionStart()
+                        .then(() => {
+                            events.push('started');
+                        });
+                    events.push('committing');
+                    return dataService.transactionCommit()
+                        .then(() => {
+                            return promise;
+                        });
+                })
+                .then(() => {
+                    events.should.deep.equal(['committing', 'started']);
+                    return dataService.transactionCommit();
+                });
+        });
+
+        it('should end the transaction if it cannot be rolled back', () => {
+            return dataService.transactionStart()
+                .then(() => {
+                    return collection.add('thing3', { thing: 3 });
+                })
+                .then(() => {
+                    sinon.stub(dataService, 'getCollection').rejects(new Error('such error'));
+                    return dataService.transactionRollback()
+                        .should.be.rejectedWith(/such error/);
+                })
+                .then(() => {
+                    dataService.getCollection.restore();
+                    return dataService.transactionStart();
+                })
+                .then(() => {
+                    return dataService.transactionCommit();
+                });
+        });
+
+    });
+
 });
@@ -0,0 +1,66 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const EventService = require('composer-runtime').EventService;
+const WebEventService = require('..').WebEventService;
+
+require('chai').should();
+const sinon = require('sinon');
+
+describe('WebEventService', () => {
+
+    let eventSink;
+    let eventService;
+
+    beforeEach(() => {
+        eventSink = new EventEmitter();
+        eventService = new WebEventService(eventSink);
+    });
+
+    describe('#constructor', () => {
+
+        it('should create an event service', () => {
+            eventService.should.be.an.instanceOf(EventService);
+        });
+
+    });
+
+    describe('#commit', () => {
+
+        it('should publish the buffered events to the event sink', () => {
+            let spy = sinon.spy();
+            eventSink.on('events', spy);
+            eventService.emit({ $class: 'org.acme.Event' });
+            return eventService.commit()
+                .then(() => {
+                    sinon.assert.calledOnce(spy);
+                    sinon.assert.calledWith(spy, [{ $class: 'org.acme.Event' }]);
+                });
+        });
+
+        it('should not publish anything if no events were emitted', () => {
+            let spy = sinon.spy();
+            eventSink.on('events', spy);
+            return eventService.commit()
+                .then(() => {
+                    sinon.assert.notCalled(spy);
+                });
+        });
+
+    });
+
+});
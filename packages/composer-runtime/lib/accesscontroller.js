@@ -37,6 +37,8 @@ class AccessController {
         LOG.entry(method, aclManager);
         this.aclManager = aclManager;
         this.participant = null;
+        this.identity = null;
+        this.transaction = null;
         LOG.exit(method);
     }
 
@@ -56,19 +58,53 @@ class AccessController {
         this.participant = participant;
     }
 
+    /**
+     * Get the current identity.
+     * @return {Object} The current identity.
+     */
+    getIdentity() {
+        return this.identity;
+    }
+
+    /**
+     * Set the current identity.
+     * @param {Object} identity The current identity.
+     */
+    setIdentity(identity) {
+        this.identity = identity;
+    }
+
+    /**
+     * Get the current transaction.
+     * @return {Resource} The current transaction.
+     */
+    getTransaction() {
+        return this.transaction;
+    }
+
+    /**
+     * Set the current transaction.
+     * @param {Resource} transaction The current transaction.
+     */
+    setTransaction(transaction) {
+        this.transaction = transaction;
+    }
+
     /**
      * Check that the specified participant has the specified
-     * level of access to the specified resource.
+     * level of access to the specified resource, or to the specified
+     * property of the specified resource.
      * @param {Resource} resource The resource.
      * @param {string} access The level of access.
-     * @param {Resource} participant The participant.
+     * @param {string} [property] The name of the property, if checking
+     * access to a property rather than to the whole resource.
      * @throws {AccessException} If the specified participant
      * does not have the specified level of access to the specified
      * resource.
      */
-    check(resource, access) {
+    check(resource, access, property) {
         const method = 'check';
-        LOG.entry(method, resource.getFullyQualifiedIdentifier(), access);
+        LOG.entry(method, resource.getFullyQualifiedIdentifier(), access, property);
         try {
 
             // Check to see if a participant has been set. If not, then ACL
@@ -93,7 +129,7 @@ class AccessController {
             let aclRules = this.aclManager.getAclRules();
             let result = aclRules.some((aclRule) => {
                 LOG.debug(method, 'Processing rule', aclRule);
-                let value = this.checkRule(resource, access, participant, aclRule);
+                let value = this.checkRule(resource, access, participant, aclRule, property);
                 LOG.debug(method, 'Processed rule', value);
                 return value;
             });
@@ -105,7 +141,7 @@ class AccessController {
             }
 
             // Otherwise no ACL rule permitted the action.
-            throw new AccessException(resource, access, participant);
+            throw new AccessException(resource, access, participant, property);
 
         } catch (e) {
             LOG.error(method, e);
@@ -120,15 +156,17 @@ class AccessController {
      * @param {string} access The level of access.
      * @param {Resource} participant The participant.
      * @param {AclRule} aclRule The ACL rule.
+     * @param {string} [property] The name of the property, if checking
+     * access to a property rather than to the whole resource.
      * @returns {boolean} True if the specified ACL rule permits
      * the specified level of access to the specified resource.
      */
-    checkRule(resource, access, participant, aclRule) {
+    checkRule(resource, access, participant, aclRule, property) {
         const method = 'checkRule';
-        LOG.entry(method, participant.getFullyQualifiedIdentifier(), resource, access, participant, aclRule);
+        LOG.entry(method, participant.getFullyQualifiedIdentifier(), resource, access, participant, aclRule, property);
 
         // Is the ACL rule relevant to the specified noun?
-        if (!this.matchNoun(resource, aclRule)) {
+        if (!this.matchNoun(resource, aclRule, property)) {
             LOG.debug(method, 'Noun does not match');
             LOG.exit(method, false);
             return false;
@@ -148,6 +186,13 @@ class AccessController {
             return false;
         }
 
+        // Is the ACL rule relevant to the current transaction?
+        if (!this.matchTransaction(this.transaction, aclRule)) {
+            LOG.debug(method, 'Transaction does not match');
+            LOG.exit(method, false);
+            return false;
+        }
+
         // Is the predicate met?
         if (!this.matchPredicate(resource, access, participant, aclRule)) {
             LOG.debug(method, 'Predicate does not match');
@@ -162,7 +207,7 @@ class AccessController {
         }
 
         // This must be an explicit deny rule, so throw.
-        let e = new AccessException(resource, access, participant);
+        let e = new AccessException(resource, access, participant, property);
         LOG.error(method, e);
         throw e;
 
@@ -173,12 +218,14 @@ class AccessController {
      * level of access to the specified resource.
      * @param {Resource} resource The resource.
      * @param {AclRule} aclRule The ACL rule.
+     * @param {string} [property] The name of the property, if checking
+     * access to a property rather than to the whole resource.
      * @returns {boolean} True if the specified ACL rule permits
      * the specified level of access to the specified resource.
      */
-    matchNoun(resource, aclRule) {
+    matchNoun(resource, aclRule, property) {
         const method = 'matchNoun';
-        LOG.entry(method, resource.getFullyQualifiedIdentifier(), aclRule);
+        LOG.entry(method, resource.getFullyQualifiedIdentifier(), aclRule, property);
 
         // Determine the input fully qualified name and ID.
         let fqn = resource.getFullyQualifiedType();
@@ -214,6 +261,22 @@ class AccessController {
             // Noun does not specify identifier.
         }
 
+        // Check to see if the property matches (if specified). Rules for a
+        // property only apply when checking access to that property, but rules
+        // for the whole resource also apply when checking access to a property.
+        let reqProperty = noun.getPropertyName();
+        if (reqProperty) {
+            if (property === reqProperty) {
+                // Noun is matching property.
+            } else {
+                // Noun does not match.
+                LOG.exit(method, false);
+                return false;
+            }
+        } else {
+            // Noun does not specify property.
+        }
+
         LOG.exit(method, true);
         return true;
     }
@@ -297,6 +360,67 @@ class AccessController {
         return true;
     }
 
+    /**
+     * Check that the specified transaction matches the transaction
+     * specified in the ACL rule, if any.
+     * @param {Resource} transaction The current transaction, or null
+     * if there is no transaction currently executing.
+     * @param {AclRule} aclRule The ACL rule.
+     * @returns {boolean} True if the ACL rule does not specify a
+     * transaction, or if the specified transaction matches it.
+     */
+    matchTransaction(transaction, aclRule) {
+        const method = 'matchTransaction';
+        LOG.entry(method, transaction ? transaction.getFullyQualifiedIdentifier() : null, aclRule);
+
+        // Is a transaction specified in the ACL rule?
+        let reqTransaction = aclRule.getTransaction();
+        if (!reqTransaction) {
+            LOG.exit(method, true);
+            return true;
+        }
+
+        // A transaction is specified, so there must be a current transaction.
+        if (!transaction) {
+            LOG.exit(method, false);
+            return false;
+        }
+
+        // Determine the input fully qualified name and ID.
+        let ns = transaction.getNamespace();
+        let fqn = transaction.getFullyQualifiedType();
+        let id = transaction.getIdentifier();
+
+        // Check to see if the fully qualified name matches.
+        let reqFQN = reqTransaction.getFullyQualifiedName();
+        if (fqn === reqFQN) {
+            // Transaction is matching fully qualified type.
+        } else if (ns === reqFQN) {
+            // Transaction is matching namespace.
+        } else {
+            // Transaction does not match.
+            LOG.exit(method, false);
+            return false;
+        }
+
+        // Check to see if the identifier matches (if specified).
+        let reqID = reqTransaction.getInstanceIdentifier();
+        if (reqID) {
+            if (id === reqID) {
+                // Transaction is matching identifier.
+            } else {
+                // Transaction does not match.
+                LOG.exit(method, false);
+                return false;
+            }
+        } else {
+            // Transaction does not specify identifier.
+        }
+
+        LOG.exit(method, true);
+        return true;
+    }
+
     /**
      * Check that the specified participant has the specified
      * level of access to the specified resource.
@@ -345,6 +469,23 @@ class AccessController {
             }
         }
 
+        // Check to see if the transaction needs to be bound.
+        let reqTransaction = aclRule.getTransaction();
+        if (reqTransaction) {
+            let transactionVar = reqTransaction.getVariableName();
+            if (transactionVar) {
+                argNames.push(transactionVar);
+                argValues.push(this.transaction);
+            }
+        }
+
+        // Check to see if the identity needs to be bound.
+        let identityVar = aclRule.getIdentityVariableName();
+        if (identityVar) {
+            argNames.push(identityVar);
+            argValues.push(this.identity);
+        }
+
         // Compile and execute the function.
         let result;
         try {
@@ -31,11 +31,15 @@ class AccessException extends BaseException {
      * @param {Resource} resource The resource.
      * @param {string} access The level of access.
      * @param {Resource} participant The participant.
+     * @param {string} [property] The name of the property.
      * @return {string} The exception message.
      */
-    static generateMessage(resource, access, participant) {
+    static generateMessage(resource, access, participant, property) {
         let resourceId = resource.getFullyQualifiedIdentifier();
         let participantId = participant.getFullyQualifiedIdentifier();
+        if (property) {
+            return `Participant '${participantId}' does not have '${access}' access to property '${property}' of resource '${resourceId}'`;
+        }
         return `Participant '${participantId}' does not have '${access}' access to resource '${resourceId}'`;
     }
 
@@ -44,9 +48,10 @@ class AccessException extends BaseException {
      * @param {Resource} resource The resource.
      * @param {string} access The level of access.
      * @param {Resource} participant The participant.
+     * @param {string} [property] The name of the property.
      */
-    constructor(resource, access, participant) {
-        super(AccessException.generateMessage(resource, access, participant));
+    constructor(resource, access, participant, property) {
+        super(AccessException.generateMessage(resource, access, participant, property));
     }
 
 }
@@ -37,11 +37,14 @@ class Api {
      * @param {Factory} factory The factory to use.
      * @param {Resource} participant The current participant.
      * @param {RegistryManager} registryManager The registry manager to use.
+     * @param {Serializer} serializer The serializer to use.
+     * @param {EventService} eventService The event service to use.
+     * @param {Object} identity The current identity.
      * @private
      */
-    constructor(factory, participant, registryManager) {
+    constructor(factory, participant, registryManager, serializer, eventService, identity) {
         const method = 'constructor';
-        LOG.entry(method, factory, participant, registryManager);
+        LOG.entry(method, factory, participant, registryManager, serializer, eventService, identity);
 
         /**
          * Get the factory. The factory can be used to create new instances of
@@ -161,6 +164,65 @@ class Api {
             return result;
         };
 
+        /**
+         * Get the current identity. The current identity is the identity that
+         * was used to submit the current transaction. The attributes of the
+         * certificate for the identity, such as those issued by the Hyperledger
+         * Fabric certificate authority, are available as the attributes property.
+         * @example
+         * // Get the current identity.
+         * var currentIdentity = getCurrentIdentity();
+         * // Check to see if the current identity belongs to the first organization.
+         * if (currentIdentity.attributes.org !== 'org1') {
+         *   // Throw an error as the current identity does not belong to the first organization.
+         *   throw new Error('Current identity does not belong to the first organization');
+         * }
+         * @method module:composer-runtime#getCurrentIdentity
+         * @public
+         * @return {Object} The current identity, with the properties name, issuer,
+         * certificate, fingerprint, state, issued, participant, and attributes, or
+         * null if the transaction was submitted using an identity that does not map
+         * to a participant.
+         */
+        this.getCurrentIdentity = function getCurrentIdentity() {
+            const method = 'getCurrentIdentity';
+            LOG.entry(method);
+            let result = identity ? JSON.parse(JSON.stringify(identity)) : null;
+            LOG.exit(method, result);
+            return result;
+        };
+
+        /**
+         * Emit an event defined in the business network. The event is not
+         * published immediately; it is published to all subscribed clients
+         * when the current transaction is committed. If the current transaction
+         * fails, the event is discarded.
+         * @example
+         * // Get the factory.
+         * var factory = getFactory();
+         * // Create a new event.
+         * var event = factory.newEvent('org.acme', 'VehicleMoved');
+         * // Set the properties of the new event.
+         * event.vehicle = factory.newRelationship('org.acme', 'Vehicle', 'VEHICLE_1');
+         * // Emit the event.
+         * emit(event);
+         * @method module:composer-runtime#emit
+         * @public
+         * @param {module:composer-common.Resource} event The event to emit.
+         * @throws {Error} If the event is not an instance of an event defined
+         * in the business network, or if the event is not valid.
+         */
+        this.emit = function emit(event) {
+            const method = 'emit';
+            LOG.entry(method, event);
+            let classDeclaration = event.getClassDeclaration();
+            if (!classDeclaration.isEvent()) {
+                throw new Error(`${classDeclaration.getFullyQualifiedName()} is not an event`);
+            }
+            eventService.emit(serializer.toJSON(event));
+            LOG.exit(method);
+        };
+
         Object.freeze(this);
         LOG.exit(method);
     }
@@ -154,6 +154,32 @@ class Factory {
             return factory.newConcept(ns, type);
         };
 
+        /**
+         * Create a new event with a given namespace and type. The properties of
+         * the new event should be set as standard JavaScript object properties.
+         * The new event can then be emitted using the {@link
+         * module:composer-runtime#emit emit} function.
+         * @example
+         * // Get the factory.
+         * var factory = getFactory();
+         * // Create a new event.
+         * var event = factory.newEvent('org.acme', 'VehicleMoved');
+         * // Set the properties of the new event.
+         * event.vehicle = factory.newRelationship('org.acme', 'Vehicle', 'VEHICLE_1');
+         * // Emit the event.
+         * emit(event);
+         * @public
+         * @method module:composer-runtime.Factory#newEvent
+         * @param {string} ns The namespace of the event.
+         * @param {string} type The type of the event.
+         * @return {Resource} The new instance of the event.
+         * @throws {Error} If the specified type (specified by the namespace and
+         * type) is not defined in the current version of the business network.
+         */
+        this.newEvent = function newEvent(ns, type) {
+            return factory.newEvent(ns, type);
+        };
+
         Object.freeze(this);
         LOG.exit(method);
     }
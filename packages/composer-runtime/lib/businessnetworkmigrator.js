@@ -0,0 +1,421 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const AssetDeclaration = require('composer-common').AssetDeclaration;
+const ConceptDeclaration = require('composer-common').ConceptDeclaration;
+const Logger = require('composer-common').Logger;
+const ModelCompatibilityChecker = require('composer-common').ModelCompatibilityChecker;
+const ParticipantDeclaration = require('composer-common').ParticipantDeclaration;
+const TransactionDeclaration = require('composer-common').TransactionDeclaration;
+
+const LOG = Logger.getLog('BusinessNetworkMigrator');
+
+/**
+ * A class for migrating the resources stored in the registries when a deployed
+ * business network is updated with a business network definition that has
+ * different models.
+ * <p>
+ * Migration functions are functions in the scripts of the new business network
+ * definition that are decorated with <code>@migration</code>, and have one
+ * parameter whose type is the type being migrated in the old models. They are
+ * called with the JSON object for each stored resource or concept of that type,
+ * and return the JSON object for the new models. A migration function may return
+ * a JSON object with a different <code>$class</code>, for example if the type was
+ * renamed, in which case the resource is moved to the registry for the new type.
+ * </p>
+ * @protected
+ */
+class BusinessNetworkMigrator {
+
+    /**
+     * Constructor.
+     * @param {ModelManager} oldModelManager The model manager for the deployed
+     * business network definition.
+     * @param {BusinessNetworkDefinition} businessNetworkDefinition The new
+     * business network definition.
+     */
+    constructor(oldModelManager, businessNetworkDefinition) {
+        this.oldModelManager = oldModelManager;
+        this.businessNetworkDefinition = businessNetworkDefinition;
+        this.migrationFunctionNames = businessNetworkDefinition.getScriptManager().getMigrationFunctionNames();
+    }
+
+    /**
+     * Check that every breaking change between the old and new models has a
+     * migration function. A breaking change to a type is migrated by a migration
+     * function for that type, or for a type that has a property of that type,
+     * for example a breaking change to an enumeration is migrated by a migration
+     * function for the assets that use that enumeration.
+     * @throws {Error} If there are breaking changes without a migration function.
+     */
+    check() {
+        const method = 'check';
+        LOG.entry(method);
+        const checker = new ModelCompatibilityChecker(this.oldModelManager, this.businessNetworkDefinition.getModelManager());
+        const unmigrated = checker.getBreakingChanges().filter((change) => {
+            return !this.isMigrated(change.type);
+        });
+        if (unmigrated.length > 0) {
+            const descriptions = unmigrated.map((change) => {
+                return change.property ? `${change.type}.${change.property}: ${change.description}` : `${change.type}: ${change.description}`;
+            });
+            LOG.error(method, 'Breaking changes without migration functions', descriptions);
+            throw new Error(`The business network cannot be updated, as there are breaking changes to the models without a migration function: ${descriptions.join('; ')}`);
+        }
+        LOG.exit(method);
+    }
+
+    /**
+     * Check whether there is a migration function that migrates a type.
+     * @private
+     * @param {string} type The fully qualified name of the type in the old models.
+     * @return {boolean} True if the type is migrated.
+     */
+    isMigrated(type) {
+        if (this.migrationFunctionNames[type]) {
+            return true;
+        }
+        return this.oldModelManager.getModelFiles().some((modelFile) => {
+            return modelFile.getAllDeclarations().some((classDeclaration) => {
+                if (!this.migrationFunctionNames[classDeclaration.getFullyQualifiedName()] || classDeclaration.isEnum()) {
+                    return false;
+                }
+                return classDeclaration.getProperties().some((property) => {
+                    return property.getFullyQualifiedTypeName() === type;
+                });
+            });
+        });
+    }
+
+    /**
+     * Run the migration functions against the resources stored in the registries.
+     * Only the registries that contain resources that need to be migrated are read,
+     * one registry at a time. The migrated resources are validated against the new
+     * models. This must be called after the registries for the new models have been
+     * created.
+     * @param {Context} context The request context, initialized with the new
+     * business network definition.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    migrate(context) {
+        const method = 'migrate';
+        LOG.entry(method, context);
+        if (Object.keys(this.migrationFunctionNames).length === 0) {
+            LOG.exit(method, 'No migration functions');
+            return Promise.resolve();
+        }
+        const functions = this.compileScripts();
+
+        // The IDs of the resources that have been moved to another registry, keyed
+        // by collection ID, so that they are not migrated again if that registry
+        // has not been migrated yet.
+        const moved = {};
+        return context.getSystemRegistries().getAll()
+            .then((registries) => {
+                return registries.reduce((promise, registry) => {
+                    return promise.then(() => {
+                        if (!this.isRegistryMigrated(registry)) {
+                            LOG.debug(method, 'No resources to migrate in registry', registry.type, registry.id);
+                            return;
+                        }
+                        return this.migrateRegistry(context, registry, functions, moved);
+                    });
+                }, Promise.resolve());
+            })
+            .then(() => {
+                LOG.exit(method);
+            });
+    }
+
+    /**
+     * Check whether the resources stored in a registry need to be migrated. They
+     * do if the type of the registry was removed or changed, or if there is a
+     * migration function for the types that are stored in the registry, or for
+     * the concepts that they contain.
+     * @private
+     * @param {Object} registry The record for the registry in the $sysregistries collection.
+     * @return {boolean} True if the resources stored in the registry need to be migrated.
+     */
+    isRegistryMigrated(registry) {
+        if (registry.type === 'Transaction') {
+            return this.getOldClassDeclarations().some((classDeclaration) => {
+                return classDeclaration instanceof TransactionDeclaration && this.hasMigrationFunction(classDeclaration.getFullyQualifiedName(), {});
+            });
+        }
+        return this.getRegistryType(registry.id) !== registry.type || this.hasMigrationFunction(registry.id, {});
+    }
+
+    /**
+     * Check whether there is a migration function for a type in the old models,
+     * or for any of the concepts that the instances of that type can contain.
+     * @private
+     * @param {string} type The fully qualified name of the type in the old models.
+     * @param {Object} visited The types that have already been checked.
+     * @return {boolean} True if there is a migration function.
+     */
+    hasMigrationFunction(type, visited) {
+        if (visited[type]) {
+            return false;
+        }
+        visited[type] = true;
+        if (this.migrationFunctionNames[type]) {
+            return true;
+        }
+        const classDeclaration = this.getOldClassDeclarations().find((classDeclaration) => {
+            return classDeclaration.getFullyQualifiedName() === type;
+        });
+        if (!classDeclaration) {
+            return false;
+        }
+        return classDeclaration.getProperties().some((property) => {
+            // A property can contain a concept of the type of the property, or of any of its subtypes.
+            const propertyType = property.getFullyQualifiedTypeName();
+            return this.getOldClassDeclarations().some((conceptDeclaration) => {
+                return conceptDeclaration instanceof ConceptDeclaration &&
+                    this.isAssignableTo(conceptDeclaration, propertyType) &&
+                    this.hasMigrationFunction(conceptDeclaration.getFullyQualifiedName(), visited);
+            });
+        });
+    }
+
+    /**
+     * Check whether a class declaration in the old models is, or extends, a type.
+     * @private
+     * @param {ClassDeclaration} classDeclaration The class declaration.
+     * @param {string} type The fully qualified name of the type.
+     * @return {boolean} True if the class declaration is assignable to the type.
+     */
+    isAssignableTo(classDeclaration, type) {
+        while (classDeclaration) {
+            if (classDeclaration.getFullyQualifiedName() === type) {
+                return true;
+            }
+            const superType = classDeclaration.getSuperType();
+            classDeclaration = superType ? this.oldModelManager.getType(superType) : null;
+        }
+        return false;
+    }
+
+    /**
+     * Get all of the class declarations in the old models.
+     * @private
+     * @return {ClassDeclaration[]} The class declarations.
+     */
+    getOldClassDeclarations() {
+        return this.oldModelManager.getModelFiles().reduce((result, modelFile) => {
+            return result.concat(modelFile.getAllDeclarations());
+        }, []);
+    }
+
+    /**
+     * Migrate the resources stored in a registry. Registries for types that were
+     * removed from the models, or that no longer have a registry of this type, are
+     * deleted once their resources have been migrated.
+     * @private
+     * @param {Context} context The request context.
+     * @param {Object} registry The record for the registry in the $sysregistries collection.
+     * @param {Object} functions The migration functions, keyed by type.
+     * @param {Object} moved The IDs of the resources that have been moved to another
+     * registry, keyed by collection ID.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    migrateRegistry(context, registry, functions, moved) {
+        const method = 'migrateRegistry';
+        LOG.entry(method, registry);
+        const collectionID = `${registry.type}:${registry.id}`;
+        const movedIDs = moved[collectionID] || {};
+        let collection;
+        return context.getDataService().getCollection(collectionID)
+            .then((result) => {
+                collection = result;
+                return collection.getAll();
+            })
+            .then((objects) => {
+                return objects.reduce((promise, object) => {
+                    return promise.then(() => {
+                        if (Object.keys(movedIDs).length > 0) {
+                            // The resources moved into this registry are of the type of this registry in the new models.
+                            const identifierFieldName = this.businessNetworkDefinition.getModelManager().getType(registry.id).getIdentifierFieldName();
+                            if (movedIDs[object[identifierFieldName]]) {
+                                LOG.debug(method, 'Resource has already been migrated', object[identifierFieldName]);
+                                return;
+                            }
+                        }
+                        return this.migrateResource(context, registry, collection, object, functions, moved);
+                    });
+                }, Promise.resolve());
+            })
+            .then(() => {
+                if (registry.type === 'Transaction' || this.getRegistryType(registry.id) === registry.type) {
+                    return;
+                }
+                LOG.debug(method, 'Deleting registry for removed or changed type', collectionID);
+                return context.getDataService().deleteCollection(collectionID)
+                    .then(() => {
+                        return context.getSystemRegistries().remove(collectionID);
+                    });
+            })
+            .then(() => {
+                LOG.exit(method);
+            });
+    }
+
+    /**
+     * Migrate a resource stored in a registry, and store the migrated resource.
+     * @private
+     * @param {Context} context The request context.
+     * @param {Object} registry The record for the registry in the $sysregistries collection.
+     * @param {DataCollection} collection The collection for the registry.
+     * @param {Object} object The JSON object for the stored resource.
+     * @param {Object} functions The migration functions, keyed by type.
+     * @param {Object} moved The IDs of the resources that have been moved to another
+     * registry, keyed by collection ID.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    migrateResource(context, registry, collection, object, functions, moved) {
+        const method = 'migrateResource';
+        const oldID = object[this.oldModelManager.getType(object.$class).getIdentifierFieldName()];
+        const migrated = this.migrateObject(object, functions);
+        if (JSON.stringify(migrated) === JSON.stringify(object) && this.getRegistryType(object.$class) === registry.type) {
+            return Promise.resolve();
+        }
+
+        // Check that the migrated resource is valid for the new models, which
+        // also catches resources of removed types that were not migrated.
+        const serializer = this.businessNetworkDefinition.getSerializer();
+        let resource, json;
+        try {
+            resource = serializer.fromJSON(migrated);
+            json = serializer.toJSON(resource);
+        } catch (error) {
+            LOG.error(method, 'Migrated resource is not valid', error);
+            throw new Error(`The migrated resource ${object.$class}#${oldID} is not valid: ${error.message}`);
+        }
+        const type = resource.getFullyQualifiedType();
+
+        // Transactions of all types are in the same registry, but assets and
+        // participants have a registry for each type, and can be migrated to
+        // another type or kind of resource.
+        const registryType = this.getRegistryType(type);
+        if (!registryType || (registryType === 'Transaction') !== (registry.type === 'Transaction')) {
+            LOG.error(method, 'Migrated resource cannot be stored', type);
+            throw new Error(`The migrated resource ${object.$class}#${oldID} cannot be stored as a ${type}`);
+        }
+        const registryID = registryType === 'Transaction' ? registry.id : type;
+        const id = resource.getIdentifier();
+        LOG.debug(method, 'Migrated resource', object.$class, oldID, type, id);
+        if (registryType === registry.type && registryID === registry.id) {
+            if (id === oldID) {
+                return collection.update(id, json);
+            }
+            return collection.remove(oldID)
+                .then(() => {
+                    return collection.add(id, json);
+                });
+        }
+        const newCollectionID = `${registryType}:${registryID}`;
+        return collection.remove(oldID)
+            .then(() => {
+                return context.getDataService().getCollection(newCollectionID);
+            })
+            .then((newCollection) => {
+                return newCollection.add(id, json);
+            })
+            .then(() => {
+                moved[newCollectionID] = moved[newCollectionID] || {};
+                moved[newCollectionID][id] = true;
+            });
+    }
+
+    /**
+     * Migrate a JSON object, and all of the JSON objects that it contains.
+     * The contained objects are migrated first.
+     * @private
+     * @param {*} value The JSON value to migrate.
+     * @param {Object} functions The migration functions, keyed by type.
+     * @return {*} The migrated copy of the JSON value.
+     */
+    migrateObject(value, functions) {
+        if (Array.isArray(value)) {
+            return value.map((element) => {
+                return this.migrateObject(element, functions);
+            });
+        } else if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        const result = {};
+        Object.keys(value).forEach((key) => {
+            result[key] = this.migrateObject(value[key], functions);
+        });
+        const func = functions[result.$class];
+        if (!func) {
+            return result;
+        }
+        // The migration function can either modify and return the object, or just modify it.
+        return func(result) || result;
+    }
+
+    /**
+     * Get the type of registry that stores the resources of a type in the new models.
+     * @private
+     * @param {string} type The fully qualified name of the type.
+     * @return {string} The type of registry, or null if the type does not exist
+     * or its resources cannot be stored.
+     */
+    getRegistryType(type) {
+        const classDeclaration = this.businessNetworkDefinition.getIntrospector().getClassDeclarations().find((classDeclaration) => {
+            return classDeclaration.getFullyQualifiedName() === type;
+        });
+        if (!classDeclaration || classDeclaration.isAbstract()) {
+            return null;
+        } else if (classDeclaration instanceof AssetDeclaration) {
+            return 'Asset';
+        } else if (classDeclaration instanceof ParticipantDeclaration) {
+            return 'Participant';
+        } else if (classDeclaration instanceof TransactionDeclaration) {
+            return 'Transaction';
+        }
+        return null;
+    }
+
+    /**
+     * Compile the scripts into a function for each migration function.
+     * @private
+     * @return {Object} The functions, keyed by the type that they migrate.
+     */
+    compileScripts() {
+        const method = 'compileScripts';
+        LOG.entry(method);
+        const scriptManager = this.businessNetworkDefinition.getScriptManager();
+        const source = scriptManager.getScripts().map((script) => {
+            return script.getContents() + '\n';
+        }).join('');
+        const functions = {};
+        Object.keys(this.migrationFunctionNames).forEach((type) => {
+            const functionName = this.migrationFunctionNames[type];
+            LOG.debug(method, 'Building function for migration function', functionName);
+            functions[type] = new Function('$resource', `${source}return ${functionName}($resource);\n`);
+        });
+        LOG.exit(method);
+        return functions;
+    }
+
+}
+
+module.exports = BusinessNetworkMigrator;
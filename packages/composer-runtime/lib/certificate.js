@@ -0,0 +1,196 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const createHash = require('sha.js');
+
+const COMMON_NAME_OID = '550403';
+const ATTRIBUTES_OID = '2a03040506070801';
+
+/**
+ * Read the DER encoded element at the specified offset.
+ * @private
+ * @param {Buffer} der The DER encoded data.
+ * @param {number} offset The offset of the element.
+ * @return {Object} The tag of the element, and the offsets of the start and
+ * end of the contents of the element.
+ */
+function readElement(der, offset) {
+    let tag = der[offset];
+    let length = der[offset + 1];
+    let start = offset + 2;
+    if (length & 0x80) {
+        let count = length & 0x7f;
+        length = 0;
+        for (let i = 0; i < count; i++) {
+            length = (length * 256) + der[start + i];
+        }
+        start += count;
+    }
+    let end = start + length;
+    if (end > der.length) {
+        throw new Error('Invalid length');
+    }
+    return { tag: tag, start: start, end: end };
+}
+
+/**
+ * Read all of the DER encoded elements contained by the specified element.
+ * @private
+ * @param {Buffer} der The DER encoded data.
+ * @param {Object} element The containing element.
+ * @return {Object[]} The contained elements.
+ */
+function readChildren(der, element) {
+    let result = [];
+    let offset = element.start;
+    while (offset < element.end) {
+        let child = readElement(der, offset);
+        result.push(child);
+        offset = child.end;
+    }
+    return result;
+}
+
+/**
+ * A class representing an X.509 certificate, such as the certificate for an
+ * identity that is bound to a participant.
+ * @protected
+ */
+class Certificate {
+
+    /**
+     * Constructor.
+     * @param {string} pem The PEM encoded certificate.
+     */
+    constructor(pem) {
+        let match = /-----BEGIN CERTIFICATE-----([\s\S]+?)-----END CERTIFICATE-----/.exec(pem || '');
+        if (!match) {
+            throw new Error('Invalid certificate');
+        }
+        this.der = Buffer.from(match[1].replace(/\s/g, ''), 'base64');
+        try {
+            // Certificate ::= SEQUENCE { tbsCertificate, signatureAlgorithm, signatureValue }
+            let certificate = readElement(this.der, 0);
+            let tbsCertificate = readChildren(this.der, readChildren(this.der, certificate)[0]);
+            // TBSCertificate ::= SEQUENCE { [0] version OPTIONAL, serialNumber, signature, issuer, validity, subject, ... }
+            let index = tbsCertificate[0].tag === 0xa0 ? 1 : 0;
+            this.name = this.readCommonName(tbsCertificate[index + 4]);
+            this.attributes = this.readAttributes(tbsCertificate);
+        } catch (e) {
+            throw new Error('Invalid certificate');
+        }
+        if (!this.name) {
+            throw new Error('The certificate does not specify a common name');
+        }
+        this.pem = '-----BEGIN CERTIFICATE-----\n' + this.der.toString('base64').match(/.{1,64}/g).join('\n') + '\n-----END CERTIFICATE-----\n';
+        this.fingerprint = createHash('sha256').update(this.der).digest('hex');
+    }
+
+    /**
+     * Read the common name from the specified distinguished name.
+     * @private
+     * @param {Object} element The element containing the distinguished name.
+     * @return {string} The common name, or null if the distinguished name does
+     * not contain a common name.
+     */
+    readCommonName(element) {
+        // Name ::= SEQUENCE OF SET OF SEQUENCE { type, value }
+        let result = null;
+        readChildren(this.der, element).forEach((set) => {
+            readChildren(this.der, set).forEach((attribute) => {
+                let children = readChildren(this.der, attribute);
+                let type = this.der.toString('hex', children[0].start, children[0].end);
+                if (type === COMMON_NAME_OID) {
+                    result = this.der.toString('utf8', children[1].start, children[1].end);
+                }
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Read the attributes from the extensions of the certificate. Attributes are
+     * stored by the Hyperledger Fabric certificate authority as a JSON object in
+     * an extension with the object identifier 1.2.3.4.5.6.7.8.1.
+     * @private
+     * @param {Object[]} tbsCertificate The elements of the TBS certificate.
+     * @return {Object} The attributes, or an empty object if the certificate
+     * does not contain any valid attributes.
+     */
+    readAttributes(tbsCertificate) {
+        // extensions [3] EXPLICIT SEQUENCE OF SEQUENCE { extnID, critical BOOLEAN DEFAULT FALSE, extnValue }
+        let result = {};
+        let extensions = tbsCertificate.find((element) => {
+            return element.tag === 0xa3;
+        });
+        if (!extensions) {
+            return result;
+        }
+        readChildren(this.der, readChildren(this.der, extensions)[0]).forEach((extension) => {
+            let children = readChildren(this.der, extension);
+            let type = this.der.toString('hex', children[0].start, children[0].end);
+            if (type !== ATTRIBUTES_OID) {
+                return;
+            }
+            let value = children[children.length - 1];
+            try {
+                let json = JSON.parse(this.der.toString('utf8', value.start, value.end));
+                result = Object.assign({}, json.attrs);
+            } catch (e) {
+                // Ignore the attributes if they are not valid JSON.
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Get the PEM encoded certificate.
+     * @return {string} The PEM encoded certificate.
+     */
+    getCertificate() {
+        return this.pem;
+    }
+
+    /**
+     * Get the fingerprint of the certificate, which is the SHA-256 hash of the
+     * DER encoded certificate.
+     * @return {string} The fingerprint of the certificate, as a hex string.
+     */
+    getFingerprint() {
+        return this.fingerprint;
+    }
+
+    /**
+     * Get the name of the identity that the certificate was issued to, which
+     * is the common name of the subject of the certificate.
+     * @return {string} The name of the identity.
+     */
+    getName() {
+        return this.name;
+    }
+
+    /**
+     * Get the attributes that were issued with the certificate, for example
+     * by the Hyperledger Fabric certificate authority.
+     * @return {Object} The attributes, as a map of attribute names to values.
+     */
+    getAttributes() {
+        return this.attributes;
+    }
+
+}
+
+module.exports = Certificate;
@@ -17,10 +17,13 @@
 const AccessController = require('./accesscontroller');
 const Api = require('./api');
 const BusinessNetworkDefinition = require('composer-common').BusinessNetworkDefinition;
+const Certificate = require('./certificate');
+const Historian = require('./historian');
 const IdentityManager = require('./identitymanager');
 const JSTransactionExecutor = require('./jstransactionexecutor');
 const Logger = require('composer-common').Logger;
 const LRU = require('lru-cache');
+const OverlayDataService = require('./overlaydataservice');
 const QueryExecutor = require('./queryexecutor');
 const RegistryManager = require('./registrymanager');
 const Resolver = require('./resolver');
@@ -62,12 +65,18 @@ class Context {
         this.api = null;
         this.queryExecutor = null;
         this.identityManager = null;
+        this.historian = null;
         this.participant = null;
+        this.identity = null;
         this.transaction = null;
+        this.transactionLogger = null;
         this.transactionExecutors = [];
         this.accessController = null;
         this.sysregistries = null;
         this.sysidentities = null;
+        this.syshistorian = null;
+        this.readOnly = false;
+        this.simulatedDataService = null;
     }
 
     /**
@@ -126,9 +135,20 @@ class Context {
         let currentUserID = this.getIdentityService().getCurrentUserID();
         LOG.debug(method, 'Got current user ID', currentUserID);
         if (currentUserID) {
-            return this.getIdentityManager().getParticipant(currentUserID)
+            let identityManager = this.getIdentityManager();
+            return identityManager.getParticipant(currentUserID)
                 .then((participant) => {
                     LOG.debug(method, 'Found current participant', participant.getFullyQualifiedIdentifier());
+                    if (this.readOnly) {
+                        return participant;
+                    }
+                    // The identity is being used to submit a transaction.
+                    return identityManager.activateIdentity(currentUserID)
+                        .then(() => {
+                            return participant;
+                        });
+                })
+                .then((participant) => {
                     LOG.exit(method, participant);
                     return participant;
                 })
@@ -145,6 +165,56 @@ class Context {
         }
     }
 
+    /**
+     * Load the current identity. The current identity is the identity record
+     * for the current user, combined with the certificate, fingerprint and
+     * attributes of the certificate that was used to submit the request.
+     * @return {Promise} A promise that will be resolved with the current identity,
+     * or null if the current user ID has not been specified, when complete, or
+     * rejected with an error.
+     */
+    loadCurrentIdentity() {
+        const method = 'loadCurrentIdentity';
+        LOG.entry(method);
+        let identityService = this.getIdentityService();
+        let currentUserID = identityService.getCurrentUserID();
+        LOG.debug(method, 'Got current user ID', currentUserID);
+        if (!currentUserID) {
+            LOG.debug(method, 'Could not determine current user ID');
+            LOG.exit(method, null);
+            return Promise.resolve(null);
+        }
+        let identityManager = this.getIdentityManager();
+        return identityManager.getIdentity(currentUserID)
+            .then((identity) => {
+                // The certificate that was used to submit the request must match the
+                // certificate bound to the identity, if any. Issued identities do not
+                // have a certificate in the identity record, so the certificate, the
+                // fingerprint and the attributes are all taken from the certificate
+                // that was used to submit the request.
+                identityManager.validateCertificate(identity);
+                let certificate = identityService.getCurrentCertificate();
+                let fingerprint = null;
+                let attributes = {};
+                if (certificate) {
+                    try {
+                        let parsed = new Certificate(certificate);
+                        fingerprint = parsed.getFingerprint();
+                        attributes = parsed.getAttributes();
+                    } catch (e) {
+                        LOG.warn(method, 'Could not read attributes from certificate', e);
+                    }
+                }
+                let result = Object.assign({}, identity, {
+                    certificate: fingerprint ? certificate : null,
+                    fingerprint: fingerprint,
+                    attributes: attributes
+                });
+                LOG.exit(method, result);
+                return result;
+            });
+    }
+
     /**
      * Initialize the context for use.
      * @param {Object} [options] The options to use.
@@ -153,6 +223,9 @@ class Context {
      * business network, falsey value if not.
      * @param {DataCollection} [options.sysregistries] The system registries collection to use.
      * @param {DataCollection} [options.sysidentities] The system identities collection to use.
+     * @param {DataCollection} [options.syshistorian] The system historian collection to use.
+     * @param {boolean} [options.readOnly] Set to true if the registries must not be modified, for
+     * example when handling a query request, falsey value if not.
      * @return {Promise} A promise that will be resolved when complete, or rejected
      * with an error.
      */
@@ -160,6 +233,7 @@ class Context {
         const method = 'initialize';
         LOG.entry(method, options);
         options = options || {};
+        this.readOnly = !!options.readOnly;
         return Promise.resolve()
             .then(() => {
                 if (options.businessNetworkDefinition) {
@@ -196,6 +270,17 @@ class Context {
                         });
                 }
             })
+            .then(() => {
+                LOG.debug(method, 'Loading syshistorian collection', options.syshistorian);
+                if (options.syshistorian) {
+                    this.syshistorian = options.syshistorian;
+                } else {
+                    return this.getDataService().getCollection('$syshistorian')
+                        .then((syshistorian) => {
+                            this.syshistorian = syshistorian;
+                        });
+                }
+            })
             .then(() => {
                 LOG.debug(method, 'Loading current participant');
                 return this.loadCurrentParticipant();
@@ -204,9 +289,14 @@ class Context {
                 if (!options.reinitialize) {
                     LOG.debug(method, 'Setting current participant', participant);
                     this.setParticipant(participant);
+                    return this.loadCurrentIdentity()
+                        .then((identity) => {
+                            LOG.debug(method, 'Setting current identity', identity);
+                            this.setIdentity(identity);
+                        });
                 } else {
-                    // We don't want to change the participant in the middle of a update.
-                    LOG.debug(method, 'Reinitializing, not setting current participant', participant);
+                    // We don't want to change the participant or identity in the middle of a update.
+                    LOG.debug(method, 'Reinitializing, not setting current participant or identity', participant);
                 }
             })
             .then(() => {
@@ -237,6 +327,15 @@ class Context {
         throw new Error('abstract function called');
     }
 
+    /**
+     * Get the event service provided by the chaincode container.
+     * @abstract
+     * @return {EventService} The event service provided by the chaincode container.
+     */
+    getEventService() {
+        throw new Error('abstract function called');
+    }
+
     /**
      * Get the model manager.
      * @return {ModelManager} The model manager.
@@ -270,6 +369,17 @@ class Context {
         return this.businessNetworkDefinition.getAclManager();
     }
 
+    /**
+     * Get the query manager.
+     * @return {QueryManager} The query manager.
+     */
+    getQueryManager() {
+        if (!this.businessNetworkDefinition) {
+            throw new Error('must call initialize before calling this function');
+        }
+        return this.businessNetworkDefinition.getQueryManager();
+    }
+
     /**
      * Get the factory.
      * @return {Factory} The factory.
@@ -309,11 +419,46 @@ class Context {
      */
     getRegistryManager() {
         if (!this.registryManager) {
-            this.registryManager = new RegistryManager(this.getDataService(), this.getIntrospector(), this.getSerializer(), this.getAccessController(), this.getSystemRegistries());
+            this.registryManager = new RegistryManager(this.getRegistryDataService(), this.getIntrospector(), this.getSerializer(), this.getAccessController(), this.getSystemRegistries(), this.readOnly);
         }
         return this.registryManager;
     }
 
+    /**
+     * Get the data service used by the registry manager and the identity manager;
+     * the overlay of the data service if simulating, or the data service provided
+     * by the chaincode container if not.
+     * @private
+     * @return {DataService} The data service.
+     */
+    getRegistryDataService() {
+        return this.simulatedDataService || this.getDataService();
+    }
+
+    /**
+     * Start simulating changes to the registries. The registries are no longer
+     * read-only, but all changes made to them are kept in a copy-on-write overlay
+     * of the data service provided by the chaincode container, and are never
+     * persisted.
+     * @return {OverlayDataService} The overlay of the data service, which can be
+     * used to retrieve the changes made to the registries.
+     */
+    startSimulation() {
+        this.simulatedDataService = new OverlayDataService(this.getDataService());
+        // The system collections were retrieved from the data service when this
+        // context was initialized, so changes to them must also be overlaid.
+        this.sysregistries = this.simulatedDataService.overlayCollection('$sysregistries', this.getSystemRegistries());
+        this.sysidentities = this.simulatedDataService.overlayCollection('$sysidentities', this.getSystemIdentities());
+        this.readOnly = false;
+        // Discard everything that uses the registries, so that it is created again using the overlay.
+        this.registryManager = null;
+        this.resolver = null;
+        this.api = null;
+        this.queryExecutor = null;
+        this.identityManager = null;
+        return this.simulatedDataService;
+    }
+
     /**
      * Get the resolver.
      * @return {Resolver} The resolver.
@@ -331,7 +476,7 @@ class Context {
      */
     getApi() {
         if (!this.api) {
-            this.api = new Api(this.getFactory(), this.getParticipant(), this.getRegistryManager());
+            this.api = new Api(this.getFactory(), this.getParticipant(), this.getRegistryManager(), this.getSerializer(), this.getEventService(), this.getIdentity());
         }
         return this.api;
     }
@@ -353,11 +498,22 @@ class Context {
      */
     getIdentityManager() {
         if (!this.identityManager) {
-            this.identityManager = new IdentityManager(this.getDataService(), this.getRegistryManager(), this.getSystemIdentities());
+            this.identityManager = new IdentityManager(this.getRegistryDataService(), this.getRegistryManager(), this.getSystemIdentities(), this.getIdentityService());
         }
         return this.identityManager;
     }
 
+    /**
+     * Get the historian.
+     * @return {Historian} The historian.
+     */
+    getHistorian() {
+        if (!this.historian) {
+            this.historian = new Historian(this.getSerializer(), this.getAccessController(), this.getSystemHistorian());
+        }
+        return this.historian;
+    }
+
     /**
      * Get the current participant.
      * @return {Resource} the current participant.
@@ -378,6 +534,27 @@ class Context {
         this.getAccessController().setParticipant(participant);
     }
 
+    /**
+     * Get the current identity.
+     * @return {Object} the current identity, or null if the current user ID has
+     * not been specified.
+     */
+    getIdentity() {
+        return this.identity;
+    }
+
+    /**
+     * Set the current identity.
+     * @param {Object} identity the current identity.
+     */
+    setIdentity(identity) {
+        if (this.identity) {
+            throw new Error('A current identity has already been specified');
+        }
+        this.identity = identity;
+        this.getAccessController().setIdentity(identity);
+    }
+
     /**
      * Get the current transaction.
      * @return {Resource} the current transaction.
@@ -395,9 +572,32 @@ class Context {
             throw new Error('A current transaction has already been specified');
         }
         this.transaction = transaction;
+        this.getAccessController().setTransaction(transaction);
         this.transactionLogger = new TransactionLogger(this.transaction, this.getRegistryManager(), this.getSerializer());
     }
 
+    /**
+     * Clear the current transaction, so that another transaction can be
+     * specified. The transaction logger for the current transaction stops
+     * recording changes.
+     */
+    clearTransaction() {
+        if (this.transactionLogger) {
+            this.transactionLogger.close();
+        }
+        this.transaction = null;
+        this.transactionLogger = null;
+        this.getAccessController().setTransaction(null);
+    }
+
+    /**
+     * Get the transaction logger for the current transaction.
+     * @return {TransactionLogger} the transaction logger for the current transaction.
+     */
+    getTransactionLogger() {
+        return this.transactionLogger;
+    }
+
     /**
      * Add a transaction executor.
      * @param {TransactionExecutor} transactionExecutor The transaction executor.
@@ -462,6 +662,26 @@ class Context {
         return this.sysidentities;
     }
 
+    /**
+     * Get the system historian collection.
+     * @return {DataCollection} The system historian collection.
+     */
+    getSystemHistorian() {
+        if (!this.syshistorian) {
+            throw new Error('must call initialize before calling this function');
+        }
+        return this.syshistorian;
+    }
+
+    /**
+     * Determine whether the registries must not be modified, for example when
+     * handling a query request.
+     * @return {boolean} True if the registries must not be modified, false otherwise.
+     */
+    isReadOnly() {
+        return this.readOnly;
+    }
+
     /**
      * Stop serialization of this object.
      * @return {Object} An empty object.
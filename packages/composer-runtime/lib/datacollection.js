@@ -64,6 +64,180 @@ class DataCollection {
         throw new Error('abstract function called');
     }
 
+    /**
+     * Get a page of the objects in this collection.
+     * @param {number} pageSize The maximum number of objects to return.
+     * @param {string} [bookmark] The bookmark returned with the previous page,
+     * or null to get the first page.
+     * @return {Promise} A promise that will be resolved with an object containing
+     * an array of objects in the <code>objects</code> property, and a bookmark for
+     * the next page in the <code>bookmark</code> property (or null if this is the
+     * last page), or rejected with an error.
+     */
+    getPage(pageSize, bookmark) {
+        return new Promise((resolve, reject) => {
+            this._getPage(pageSize, bookmark || null, (error, result) => {
+                if (error) {
+                    return reject(error);
+                }
+                return resolve(result);
+            });
+        });
+    }
+
+    /**
+     * @callback getPageCallback
+     * @protected
+     * @param {Error} error The error if any.
+     * @param {Object} page The page, containing the objects in the <code>objects</code>
+     * property and the bookmark for the next page in the <code>bookmark</code> property.
+     */
+
+    /**
+     * Get a page of the objects in this collection. This implementation gets all
+     * of the objects in this collection and uses an offset as the bookmark, and
+     * should be overridden by data collections that can retrieve a page directly.
+     * @private
+     * @param {number} pageSize The maximum number of objects to return.
+     * @param {string} bookmark The bookmark returned with the previous page, or null.
+     * @param {getPageCallback} callback The callback function to call when complete.
+     */
+    _getPage(pageSize, bookmark, callback) {
+        this._getAll((error, objects) => {
+            if (error) {
+                return callback(error);
+            }
+            const start = bookmark ? parseInt(bookmark, 10) : 0;
+            const end = start + pageSize;
+            return callback(null, {
+                objects: objects.slice(start, end),
+                bookmark: end < objects.length ? String(end) : null
+            });
+        });
+    }
+
+    /**
+     * Set the names of the indexed properties of the objects in this collection.
+     * Data collections that maintain indexes should build the index entries for
+     * the objects already in this collection when the indexed properties change,
+     * and maintain the index entries when objects are added, updated or removed.
+     * @param {string[]} names The names of the indexed properties.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    setIndexes(names) {
+        return new Promise((resolve, reject) => {
+            this._setIndexes(names, (error) => {
+                if (error) {
+                    return reject(error);
+                }
+                return resolve();
+            });
+        });
+    }
+
+    /**
+     * @callback setIndexesCallback
+     * @protected
+     * @param {Error} error The error if any.
+     */
+
+    /**
+     * Set the names of the indexed properties of the objects in this collection.
+     * This implementation does not maintain any indexes, and should be overridden
+     * by data collections that can maintain indexes.
+     * @private
+     * @param {string[]} names The names of the indexed properties.
+     * @param {setIndexesCallback} callback The callback function to call when complete.
+     */
+    _setIndexes(names, callback) {
+        callback(null);
+    }
+
+    /**
+     * @typedef {Object} IndexRange
+     * @protected
+     * @property {*} [lower] The lower bound of the range, or undefined if the
+     * range has no lower bound.
+     * @property {*} [upper] The upper bound of the range, or undefined if the
+     * range has no upper bound.
+     * @property {boolean} [lowerOpen] True if the lower bound is excluded from the range.
+     * @property {boolean} [upperOpen] True if the upper bound is excluded from the range.
+     */
+
+    /**
+     * Get the objects in this collection where the value of the specified indexed
+     * property is in the specified range.
+     * @param {string} name The name of the indexed property.
+     * @param {IndexRange} range The range of values.
+     * @return {Promise} A promise that will be resolved with an array of objects,
+     * or rejected with an error.
+     */
+    queryIndex(name, range) {
+        return new Promise((resolve, reject) => {
+            this._queryIndex(name, range, (error, result) => {
+                if (error) {
+                    return reject(error);
+                }
+                return resolve(result);
+            });
+        });
+    }
+
+    /**
+     * @callback queryIndexCallback
+     * @protected
+     * @param {Error} error The error if any.
+     * @param {Object[]} objects The objects in the range.
+     */
+
+    /**
+     * Get the objects in this collection where the value of the specified indexed
+     * property is in the specified range. This implementation gets all of the
+     * objects in this collection and checks the value of the property of each
+     * object, and should be overridden by data collections that maintain indexes.
+     * @private
+     * @param {string} name The name of the indexed property.
+     * @param {IndexRange} range The range of values.
+     * @param {queryIndexCallback} callback The callback function to call when complete.
+     */
+    _queryIndex(name, range, callback) {
+        this._getAll((error, objects) => {
+            if (error) {
+                return callback(error);
+            }
+            return callback(null, objects.filter((object) => {
+                return DataCollection.inRange(object[name], range);
+            }));
+        });
+    }
+
+    /**
+     * Determine whether the specified value of an indexed property is in the
+     * specified range. Only strings and numbers are indexed, and strings are
+     * never in a range with numeric bounds (and vice versa).
+     * @param {*} value The value.
+     * @param {IndexRange} range The range of values.
+     * @return {boolean} True if the value is in the range, false otherwise.
+     */
+    static inRange(value, range) {
+        const type = typeof value;
+        if (type !== 'string' && type !== 'number') {
+            return false;
+        }
+        if (range.lower !== undefined) {
+            if (typeof range.lower !== type || value < range.lower || (range.lowerOpen && value === range.lower)) {
+                return false;
+            }
+        }
+        if (range.upper !== undefined) {
+            if (typeof range.upper !== type || value > range.upper || (range.upperOpen && value === range.upper)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
     /**
      * Get the specified object in this collection.
      * @abstract
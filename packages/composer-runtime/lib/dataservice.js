@@ -168,6 +168,107 @@ class DataService {
         throw new Error('abstract function called');
     }
 
+    /**
+     * Start a transaction. All of the changes made to the collections in this
+     * data service until the transaction is committed or rolled back are made
+     * as part of the transaction.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    transactionStart() {
+        return new Promise((resolve, reject) => {
+            this._transactionStart((error) => {
+                if (error) {
+                    return reject(error);
+                }
+                return resolve();
+            });
+        });
+    }
+
+    /**
+     * @callback transactionStartCallback
+     * @protected
+     * @param {Error} error The error if any.
+     */
+
+    /**
+     * Start a transaction. This implementation does nothing, and should be
+     * overridden by data services that do not discard the changes made by a
+     * failed invocation themselves.
+     * @private
+     * @param {transactionStartCallback} callback The callback function to call when complete.
+     */
+    _transactionStart(callback) {
+        callback(null);
+    }
+
+    /**
+     * Commit the current transaction, keeping all of the changes made as part
+     * of the transaction.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    transactionCommit() {
+        return new Promise((resolve, reject) => {
+            this._transactionCommit((error) => {
+                if (error) {
+                    return reject(error);
+                }
+                return resolve();
+            });
+        });
+    }
+
+    /**
+     * @callback transactionCommitCallback
+     * @protected
+     * @param {Error} error The error if any.
+     */
+
+    /**
+     * Commit the current transaction. This implementation does nothing, and
+     * should be overridden by data services that override {@link DataService#_transactionStart}.
+     * @private
+     * @param {transactionCommitCallback} callback The callback function to call when complete.
+     */
+    _transactionCommit(callback) {
+        callback(null);
+    }
+
+    /**
+     * Roll back the current transaction, discarding all of the changes made as
+     * part of the transaction.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    transactionRollback() {
+        return new Promise((resolve, reject) => {
+            this._transactionRollback((error) => {
+                if (error) {
+                    return reject(error);
+                }
+                return resolve();
+            });
+        });
+    }
+
+    /**
+     * @callback transactionRollbackCallback
+     * @protected
+     * @param {Error} error The error if any.
+     */
+
+    /**
+     * Roll back the current transaction. This implementation does nothing, and
+     * should be overridden by data services that override {@link DataService#_transactionStart}.
+     * @private
+     * @param {transactionRollbackCallback} callback The callback function to call when complete.
+     */
+    _transactionRollback(callback) {
+        callback(null);
+    }
+
 
     /**
      * Stop serialization of this object.
@@ -15,6 +15,7 @@
 'use strict';
 
 const BusinessNetworkDefinition = require('composer-common').BusinessNetworkDefinition;
+const BusinessNetworkMigrator = require('./businessnetworkmigrator');
 const Context = require('./context');
 const createHash = require('sha.js');
 const Logger = require('composer-common').Logger;
@@ -102,7 +103,7 @@ class EngineBusinessNetworks {
             throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'updateBusinessNetwork', ['businessNetworkArchive']));
         }
         let dataService = context.getDataService();
-        let businessNetworkBase64, businessNetworkHash, businessNetworkDefinition;
+        let businessNetworkBase64, businessNetworkHash, businessNetworkDefinition, migrator;
         return Promise.resolve()
             .then(() => {
 
@@ -118,9 +119,14 @@ class EngineBusinessNetworks {
             })
             .then((businessNetworkDefinition_) => {
 
-                // Cache the business network.
+                // Refuse the update if it would invalidate the stored resources.
                 businessNetworkDefinition = businessNetworkDefinition_;
-                LOG.debug(method, 'Loaded business network definition, storing in cache');
+                LOG.debug(method, 'Loaded business network definition, checking model changes');
+                migrator = new BusinessNetworkMigrator(context.getModelManager(), businessNetworkDefinition);
+                migrator.check();
+
+                // Cache the business network.
+                LOG.debug(method, 'Storing business network definition in cache');
                 Context.cacheBusinessNetwork(businessNetworkHash, businessNetworkDefinition);
 
                 // Get the sysdata collection where the business network definition is stored.
@@ -154,6 +160,13 @@ class EngineBusinessNetworks {
                 let registryManager = context.getRegistryManager();
                 return registryManager.createDefaults();
 
+            })
+            .then(() => {
+
+                // Migrate the stored resources to the new models.
+                LOG.debug(method, 'Migrating resources');
+                return migrator.migrate(context);
+
             })
             .then(() => {
                 LOG.exit(method);
@@ -193,6 +206,16 @@ class EngineBusinessNetworks {
                     }, Promise.resolve());
                 });
             })
+            .then(() => {
+
+                // Clear the historian, as the transactions it records no longer exist.
+                LOG.debug(method, 'Deleting $syshistorian collection');
+                return dataService.deleteCollection('$syshistorian')
+                    .then(() => {
+                        return dataService.createCollection('$syshistorian', true);
+                    });
+
+            })
             .then(() => {
 
                 // Create the default transaction registry as it won't exist
@@ -0,0 +1,73 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Logger = require('composer-common').Logger;
+const util = require('util');
+
+const LOG = Logger.getLog('EngineHistorian');
+
+/**
+ * The JavaScript engine responsible for processing chaincode commands.
+ * @protected
+ * @memberof module:composer-runtime
+ */
+class EngineHistorian {
+
+    /**
+     * Get all of the historian records.
+     * @param {Context} context The request context.
+     * @param {string[]} args The arguments to pass to the chaincode function.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    getAllHistorianRecords(context, args) {
+        const method = 'getAllHistorianRecords';
+        LOG.entry(method, context, args);
+        if (args.length !== 0) {
+            LOG.error(method, 'Invalid arguments', args);
+            throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'getAllHistorianRecords', []));
+        }
+        return context.getHistorian().getAllRecords()
+            .then((records) => {
+                LOG.exit(method, records);
+                return records;
+            });
+    }
+
+    /**
+     * Get the historian record for the specified transaction.
+     * @param {Context} context The request context.
+     * @param {string[]} args The arguments to pass to the chaincode function.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    getHistorianRecord(context, args) {
+        const method = 'getHistorianRecord';
+        LOG.entry(method, context, args);
+        if (args.length !== 1) {
+            LOG.error(method, 'Invalid arguments', args);
+            throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'getHistorianRecord', ['transactionId']));
+        }
+        return context.getHistorian().getRecord(args[0])
+            .then((record) => {
+                LOG.exit(method, record);
+                return record;
+            });
+    }
+
+}
+
+module.exports = EngineHistorian;
@@ -27,51 +27,117 @@ const LOG = Logger.getLog('EngineIdentities');
 class EngineIdentities {
 
     /**
-     * Add a mapping from the specified identity, or user ID, to the specified
-     * participant.
+     * Issue a new identity, or user ID, and map it to the specified participant.
      * @param {Context} context The request context.
      * @param {string[]} args The arguments to pass to the chaincode function.
      * @return {Promise} A promise that will be resolved when complete, or rejected
      * with an error.
      */
-    addParticipantIdentity(context, args) {
-        const method = 'addParticipantIdentity';
+    issueIdentity(context, args) {
+        const method = 'issueIdentity';
         LOG.entry(method, context, args);
-        if (args.length !== 2) {
+        if (args.length !== 3) {
             LOG.error(method, 'Invalid arguments', args);
-            throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'addParticipantIdentity', ['participantId', 'userId']));
+            throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'issueIdentity', ['participantId', 'userId', 'issued']));
         }
         let participantId = args[0];
         let userId = args[1];
+        let issued = args[2];
         let identityManager = context.getIdentityManager();
-        return identityManager.addIdentityMapping(participantId, userId)
+        return identityManager.issueIdentity(participantId, userId, issued)
             .then(() => {
                 LOG.exit(method);
             });
     }
 
     /**
-     * Remove any mapping for the specified identity, or user ID.
+     * Bind an existing certificate to the specified participant.
      * @param {Context} context The request context.
      * @param {string[]} args The arguments to pass to the chaincode function.
      * @return {Promise} A promise that will be resolved when complete, or rejected
      * with an error.
      */
-    removeIdentity(context, args) {
-        const method = 'removeIdentity';
+    bindIdentity(context, args) {
+        const method = 'bindIdentity';
+        LOG.entry(method, context, args);
+        if (args.length !== 3) {
+            LOG.error(method, 'Invalid arguments', args);
+            throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'bindIdentity', ['participantId', 'certificate', 'issued']));
+        }
+        let participantId = args[0];
+        let certificate = args[1];
+        let issued = args[2];
+        let identityManager = context.getIdentityManager();
+        return identityManager.bindIdentity(participantId, certificate, issued)
+            .then(() => {
+                LOG.exit(method);
+            });
+    }
+
+    /**
+     * Revoke the specified identity, or user ID.
+     * @param {Context} context The request context.
+     * @param {string[]} args The arguments to pass to the chaincode function.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    revokeIdentity(context, args) {
+        const method = 'revokeIdentity';
         LOG.entry(method, context, args);
         if (args.length !== 1) {
             LOG.error(method, 'Invalid arguments', args);
-            throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'removeIdentity', ['userId']));
+            throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'revokeIdentity', ['userId']));
         }
         let userId = args[0];
         let identityManager = context.getIdentityManager();
-        return identityManager.removeIdentityMapping(userId)
+        return identityManager.revokeIdentity(userId)
             .then(() => {
                 LOG.exit(method);
             });
     }
 
+    /**
+     * Get all of the identities.
+     * @param {Context} context The request context.
+     * @param {string[]} args The arguments to pass to the chaincode function.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    getAllIdentities(context, args) {
+        const method = 'getAllIdentities';
+        LOG.entry(method, context, args);
+        if (args.length !== 0) {
+            LOG.error(method, 'Invalid arguments', args);
+            throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'getAllIdentities', []));
+        }
+        return context.getIdentityManager().getIdentities()
+            .then((identities) => {
+                LOG.exit(method, identities);
+                return identities;
+            });
+    }
+
+    /**
+     * Get the specified identity, or user ID.
+     * @param {Context} context The request context.
+     * @param {string[]} args The arguments to pass to the chaincode function.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    getIdentity(context, args) {
+        const method = 'getIdentity';
+        LOG.entry(method, context, args);
+        if (args.length !== 1) {
+            LOG.error(method, 'Invalid arguments', args);
+            throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'getIdentity', ['userId']));
+        }
+        return context.getIdentityManager().getIdentity(args[0])
+            .then((identity) => {
+                LOG.exit(method, identity);
+                return identity;
+            });
+    }
+
 }
 
 module.exports = EngineIdentities;
@@ -15,6 +15,7 @@
 'use strict';
 
 const BusinessNetworkDefinition = require('composer-common').BusinessNetworkDefinition;
+const BusinessNetworkMigrator = require('./businessnetworkmigrator');
 const Context = require('./context');
 const createHash = require('sha.js');
 const Logger = require('composer-common').Logger;
@@ -104,8 +105,8 @@ class Engine {
             throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'init', ['businessNetworkArchive']));
         }
         let dataService = context.getDataService();
-        let businessNetworkBase64, businessNetworkHash, businessNetworkDefinition;
-        let sysregistries, sysidentities;
+        let businessNetworkBase64, businessNetworkHash, businessNetworkDefinition, migrator;
+        let sysregistries, sysidentities, syshistorian;
         return Promise.resolve()
             .then(() => {
 
@@ -140,13 +141,34 @@ class Engine {
 
             })
             .then((sysdata) => {
+                return sysdata.exists('businessnetwork')
+                    .then((exists) => {
+
+                        // Add the business network definition to the sysdata collection.
+                        if (!exists) {
+                            return sysdata.add('businessnetwork', {
+                                data: businessNetworkBase64,
+                                hash: businessNetworkHash
+                            });
+                        }
 
-                // Add the business network definition to the sysdata collection.
-                return sysdata.add('businessnetwork', {
-                    data: businessNetworkBase64,
-                    hash: businessNetworkHash
-                });
+                        // The chaincode is being upgraded, so this is an update to the deployed
+                        // business network; refuse it if it would invalidate the stored resources.
+                        LOG.debug(method, 'Business network definition already exists, checking model changes');
+                        return sysdata.get('businessnetwork')
+                            .then((object) => {
+                                return BusinessNetworkDefinition.fromArchive(Buffer.from(object.data, 'base64'));
+                            })
+                            .then((oldBusinessNetworkDefinition) => {
+                                migrator = new BusinessNetworkMigrator(oldBusinessNetworkDefinition.getModelManager(), businessNetworkDefinition);
+                                migrator.check();
+                                return sysdata.update('businessnetwork', {
+                                    data: businessNetworkBase64,
+                                    hash: businessNetworkHash
+                                });
+                            });
 
+                    });
             })
             .then(() => {
 
@@ -183,6 +205,24 @@ class Engine {
                         sysidentities = sysidentities_;
                     });
 
+            })
+            .then(() => {
+
+                // Ensure that the system historian collection exists.
+                LOG.debug(method, 'Ensuring that syshistorian collection exists');
+                return dataService.getCollection('$syshistorian')
+                    .then((syshistorian_) => {
+                        LOG.debug(method, 'The $syshistorian collection already exists');
+                        return syshistorian_;
+                    })
+                    .catch((error) => {
+                        LOG.debug(method, 'The $syshistorian collection does not exist, creating');
+                        return dataService.createCollection('$syshistorian');
+                    })
+                    .then((syshistorian_) => {
+                        syshistorian = syshistorian_;
+                    });
+
             })
             .then(() => {
 
@@ -191,7 +231,8 @@ class Engine {
                 return context.initialize({
                     businessNetworkDefinition: businessNetworkDefinition,
                     sysregistries: sysregistries,
-                    sysidentities: sysidentities
+                    sysidentities: sysidentities,
+                    syshistorian: syshistorian
                 });
 
             })
@@ -217,6 +258,15 @@ class Engine {
                         return registryManager.add('Transaction', 'default', 'Default Transaction Registry');
                     });
 
+            })
+            .then(() => {
+
+                // Migrate the stored resources to the new models if this is an update.
+                if (migrator) {
+                    LOG.debug(method, 'Migrating resources');
+                    return migrator.migrate(context);
+                }
+
             })
             .catch((error) => {
                 LOG.error(method, 'Caught error, rethrowing', error);
@@ -257,12 +307,37 @@ class Engine {
         const method = 'invoke';
         LOG.entry(method, context, fcn, args);
         if (this[fcn]) {
-            LOG.debug(method, 'Initializing context');
-            return context.initialize()
+            // All of the changes made by an invocation, including any changes made while
+            // initializing the context, are committed or discarded together.
+            LOG.debug(method, 'Starting transaction');
+            const dataService = context.getDataService();
+            let transactionStarted = false;
+            return dataService.transactionStart()
+                .then(() => {
+                    transactionStarted = true;
+                    LOG.debug(method, 'Initializing context');
+                    return context.initialize();
+                })
                 .then(() => {
                     LOG.debug(method, 'Calling engine function', fcn);
                     return this[fcn](context, args);
                 })
+                .then((result) => {
+                    LOG.debug(method, 'Committing transaction');
+                    return dataService.transactionCommit()
+                        .then(() => {
+                            return result;
+                        });
+                }, (error) => {
+                    if (!transactionStarted) {
+                        throw error;
+                    }
+                    LOG.debug(method, 'Rolling back transaction');
+                    return dataService.transactionRollback()
+                        .then(() => {
+                            throw error;
+                        });
+                })
                 .catch((error) => {
                     LOG.error(method, 'Caught error, rethrowing', error);
                     throw error;
@@ -308,7 +383,7 @@ class Engine {
         LOG.entry(method, context, fcn, args);
         if (this[fcn]) {
             LOG.debug(method, 'Initializing context');
-            return context.initialize()
+            return context.initialize({ readOnly: true })
                 .then(() => {
                     LOG.debug(method, 'Calling engine function', fcn);
                     return this[fcn](context, args);
@@ -396,7 +471,9 @@ function mixin(sourceClass) {
 }
 
 mixin(require('./engine.businessnetworks'));
+mixin(require('./engine.historian'));
 mixin(require('./engine.identities'));
+mixin(require('./engine.queries'));
 mixin(require('./engine.registries'));
 mixin(require('./engine.resources'));
 mixin(require('./engine.transactions'));
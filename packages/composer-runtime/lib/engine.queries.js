@@ -0,0 +1,131 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const AssetDeclaration = require('composer-common').AssetDeclaration;
+const Logger = require('composer-common').Logger;
+const ParticipantDeclaration = require('composer-common').ParticipantDeclaration;
+const QueryEvaluator = require('./queryevaluator');
+const util = require('util');
+
+const LOG = Logger.getLog('EngineQueries');
+
+/**
+ * Check whether a type is the same as, or a subtype of, another type.
+ * @private
+ * @param {Introspector} introspector The introspector.
+ * @param {ClassDeclaration} classDeclaration The type to check.
+ * @param {string} fqn The fully qualified name of the other type.
+ * @return {boolean} True if the type is assignable to the other type.
+ */
+function isAssignableTo(introspector, classDeclaration, fqn) {
+    while (classDeclaration) {
+        if (classDeclaration.getFullyQualifiedName() === fqn) {
+            return true;
+        }
+        const superType = classDeclaration.getSuperType();
+        classDeclaration = superType ? introspector.getClassDeclaration(superType) : null;
+    }
+    return false;
+}
+
+/**
+ * The JavaScript engine responsible for processing chaincode commands.
+ * @protected
+ * @memberof module:composer-runtime
+ */
+class EngineQueries {
+
+    /**
+     * Execute a query, either a named query defined in the business network
+     * or a query built from a SELECT statement, and return the selected
+     * resources.
+     * @param {Context} context The request context.
+     * @param {string[]} args The arguments to pass to the chaincode function.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    executeQuery(context, args) {
+        const method = 'executeQuery';
+        LOG.entry(method, context, args);
+        if (args.length !== 3) {
+            LOG.error(method, 'Invalid arguments', args);
+            throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'executeQuery', ['queryType', 'query', 'parameters']));
+        }
+        let queryType = args[0];
+        let query;
+        if (queryType === 'build') {
+            LOG.debug(method, 'Building query', args[1]);
+            query = context.getQueryManager().buildQuery(args[1]);
+        } else if (queryType === 'named') {
+            LOG.debug(method, 'Looking up named query', args[1]);
+            query = context.getQueryManager().getQuery(args[1]);
+            if (!query) {
+                throw new Error(util.format('Named query "%s" does not exist', args[1]));
+            }
+        } else {
+            throw new Error(util.format('Invalid query type "%s", expecting "build" or "named"', queryType));
+        }
+        let parameters = JSON.parse(args[2]);
+        let select = query.getSelect();
+        let fqn = select.getResource();
+        let introspector = context.getIntrospector();
+        let classDeclaration = introspector.getClassDeclaration(fqn);
+        let registries;
+        if (classDeclaration instanceof AssetDeclaration || classDeclaration instanceof ParticipantDeclaration) {
+            // Each concrete asset and participant type has its own registry, so
+            // select from the registries for the type and all of its subtypes.
+            let registryType = classDeclaration instanceof AssetDeclaration ? 'Asset' : 'Participant';
+            registries = introspector.getClassDeclarations().filter((subclassDeclaration) => {
+                return !subclassDeclaration.isAbstract() && isAssignableTo(introspector, subclassDeclaration, fqn);
+            }).map((subclassDeclaration) => {
+                return { type: registryType, id: subclassDeclaration.getFullyQualifiedName() };
+            });
+        } else {
+            // Transactions are all stored in the default transaction registry.
+            registries = [{ type: 'Transaction', id: 'default' }];
+        }
+        return registries.reduce((promise, registry) => {
+            return promise.then((resources) => {
+                LOG.debug(method, 'Getting registry', registry.type, registry.id);
+                return context.getRegistryManager().get(registry.type, registry.id)
+                    .then((registry) => {
+                        return registry.getAll();
+                    })
+                    .then((registryResources) => {
+                        return resources.concat(registryResources);
+                    });
+            });
+        }, Promise.resolve([]))
+            .then((resources) => {
+                return resources.filter((resource) => {
+                    return isAssignableTo(introspector, resource.getClassDeclaration(), fqn);
+                }).map((resource) => {
+                    return context.getSerializer().toJSON(resource, { validate: false });
+                });
+            })
+            .then((resources) => {
+                let queryEvaluator = new QueryEvaluator();
+                return queryEvaluator.evaluate(select, resources, parameters);
+            })
+            .then((result) => {
+                LOG.exit(method, result);
+                return result;
+            });
+    }
+
+}
+
+module.exports = EngineQueries;
@@ -19,6 +19,50 @@ const util = require('util');
 
 const LOG = Logger.getLog('EngineResources');
 
+/**
+ * Parse the page size argument to a chaincode function.
+ * @private
+ * @param {string} pageSize The page size argument.
+ * @return {number} The page size.
+ * @throws {Error} If the page size is not a positive integer.
+ */
+function parsePageSize(pageSize) {
+    const result = Number(pageSize);
+    if (!Number.isInteger(result) || result < 1) {
+        throw new Error(util.format('Invalid page size "%s", expecting a positive integer', pageSize));
+    }
+    return result;
+}
+
+/**
+ * Serialize the resources that match the specified JSONata expression.
+ * @private
+ * @param {Context} context The request context.
+ * @param {string} expression The JSONata expression.
+ * @param {Resource[]} resources The resources.
+ * @return {Promise} A promise that will be resolved with an array of the
+ * serialized resources that match the JSONata expression.
+ */
+function findResources(context, expression, resources) {
+    const method = 'findResources';
+    let queryExecutor = context.getQueryExecutor();
+    return queryExecutor.queryAll(expression, resources)
+        .then((queryResults) => {
+            let result = [];
+            queryResults.forEach((queryResult, index) => {
+                let resource = resources[index];
+                LOG.debug(method, 'Checking query results for resource', resource.getFullyQualifiedIdentifier());
+                if (queryResult) {
+                    LOG.debug(method, 'Query returned truthy value for resource');
+                    result.push(context.getSerializer().toJSON(resource, { convertResourcesToRelationships: true }));
+                } else {
+                    LOG.debug(method, 'Query returned falsey value for resource');
+                }
+            });
+            return result;
+        });
+}
+
 /**
  * The JavaScript engine responsible for processing chaincode commands.
  * @protected
@@ -48,7 +92,7 @@ class EngineResources {
             })
             .then((resources) => {
                 return resources.map((resource) => {
-                    return context.getSerializer().toJSON(resource);
+                    return context.getSerializer().toJSON(resource, { validate: false });
                 });
             })
             .then((result) => {
@@ -57,6 +101,43 @@ class EngineResources {
             });
     }
 
+    /**
+     * Get a page of the resources in the specified registry.
+     * @param {Context} context The request context.
+     * @param {string[]} args The arguments to pass to the chaincode function.
+     * @return {Promise} A promise that will be resolved with an object containing
+     * the page of resources and the bookmark for the next page, or rejected with
+     * an error.
+     */
+    getPageOfResourcesInRegistry(context, args) {
+        const method = 'getPageOfResourcesInRegistry';
+        LOG.entry(method, context, args);
+        if (args.length !== 4) {
+            LOG.error(method, 'Invalid arguments', args);
+            throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'getPageOfResourcesInRegistry', ['registryType', 'registryId', 'pageSize', 'bookmark']));
+        }
+        let registryType = args[0];
+        let registryId = args[1];
+        let pageSize = parsePageSize(args[2]);
+        let bookmark = args[3];
+        return context.getRegistryManager().get(registryType, registryId)
+            .then((registry) => {
+                return registry.getPage(pageSize, bookmark);
+            })
+            .then((page) => {
+                return {
+                    resources: page.resources.map((resource) => {
+                        return context.getSerializer().toJSON(resource, { validate: false });
+                    }),
+                    bookmark: page.bookmark
+                };
+            })
+            .then((result) => {
+                LOG.exit(method, result);
+                return result;
+            });
+    }
+
     /**
      * Get the specified resource in the specified registry.
      * @param {Context} context The request context.
@@ -79,7 +160,7 @@ class EngineResources {
                 return registry.get(resourceId);
             })
             .then((resource) => {
-                return context.getSerializer().toJSON(resource);
+                return context.getSerializer().toJSON(resource, { validate: false });
             })
             .then((result) => {
                 LOG.exit(method, result);
@@ -362,7 +443,8 @@ class EngineResources {
     /**
      * Query all of the the resources in the specified registry using the given
      * expression, and return all of the resources for which the expression returns
-     * a truthy value.
+     * a truthy value. An index is used to find the resources to query if the
+     * expression tests an indexed property.
      * @param {Context} context The request context.
      * @param {string[]} args The arguments to pass to the chaincode function.
      * @return {Promise} A promise that will be resolved when complete, or rejected
@@ -379,27 +461,56 @@ class EngineResources {
         let registryId = args[1];
         let expression = args[2];
         return context.getRegistryManager().get(registryType, registryId)
-            .then((registryManager) => {
-                return registryManager.getAll();
+            .then((registry) => {
+                return context.getQueryExecutor().getResourcesToQuery(expression, registry);
             })
             .then((resources) => {
-                let queryExecutor = context.getQueryExecutor();
-                return queryExecutor.queryAll(expression, resources)
-                    .then((queryResults) => {
-                        let result = [];
-                        queryResults.forEach((queryResult, index) => {
-                            let resource = resources[index];
-                            LOG.debug(method, 'Checking query results for resource', resource.getFullyQualifiedIdentifier());
-                            if (queryResult) {
-                                LOG.debug(method, 'Query returned truthy value for resource');
-                                result.push(context.getSerializer().toJSON(resource, { convertResourcesToRelationships: true }));
-                            } else {
-                                LOG.debug(method, 'Query returned falsey value for resource');
-                            }
-                        });
-                        LOG.exit(method, result);
-                        return result;
+                return findResources(context, expression, resources);
+            })
+            .then((result) => {
+                LOG.exit(method, result);
+                return result;
+            });
+    }
+
+    /**
+     * Find the resources in a page of the resources in the specified registry
+     * that match the specified JSONata expression. The page may contain fewer
+     * resources than the page size even if it is not the last page.
+     * @param {Context} context The request context.
+     * @param {string[]} args The arguments to pass to the chaincode function.
+     * @return {Promise} A promise that will be resolved with an object containing
+     * the matching resources and the bookmark for the next page, or rejected with
+     * an error.
+     */
+    findPageOfResourcesInRegistry(context, args) {
+        const method = 'findPageOfResourcesInRegistry';
+        LOG.entry(method, context, args);
+        if (args.length !== 5) {
+            LOG.error(method, 'Invalid arguments', args);
+            throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'findPageOfResourcesInRegistry', ['registryType', 'registryId', 'expression', 'pageSize', 'bookmark']));
+        }
+        let registryType = args[0];
+        let registryId = args[1];
+        let expression = args[2];
+        let pageSize = parsePageSize(args[3]);
+        let bookmark = args[4];
+        return context.getRegistryManager().get(registryType, registryId)
+            .then((registry) => {
+                return registry.getPage(pageSize, bookmark);
+            })
+            .then((page) => {
+                return findResources(context, expression, page.resources)
+                    .then((resources) => {
+                        return {
+                            resources: resources,
+                            bookmark: page.bookmark
+                        };
                     });
+            })
+            .then((result) => {
+                LOG.exit(method, result);
+                return result;
             });
     }
 
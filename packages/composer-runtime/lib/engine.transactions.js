@@ -14,11 +14,244 @@
 
 'use strict';
 
+const jsonpatch = require('fast-json-patch');
 const Logger = require('composer-common').Logger;
 const util = require('util');
 
 const LOG = Logger.getLog('EngineTransactions');
 
+/**
+ * Validate a value returned by the transaction processor functions for a
+ * transaction against the type that they declare they return, and convert
+ * it into a value that can be serialized as JSON.
+ * @private
+ * @param {Context} context The request context.
+ * @param {Resource} transaction The transaction.
+ * @param {string} returnType The declared return type.
+ * @param {*} value The returned value.
+ * @return {*} The value as a JavaScript object suitable for serialization.
+ * @throws {Error} If the value is not of the declared return type.
+ */
+function serializeReturnValue(context, transaction, returnType, value) {
+    const invalid = () => {
+        return new Error(util.format('The transaction processor functions for transaction "%s" returned a value that is not of type "%s"', transaction.getFullyQualifiedType(), returnType));
+    };
+
+    // Arrays must contain values of the declared type.
+    if (returnType.endsWith('[]')) {
+        if (!Array.isArray(value)) {
+            throw invalid();
+        }
+        const itemType = returnType.substring(0, returnType.length - 2);
+        return value.map((item) => {
+            return serializeReturnValue(context, transaction, itemType, item);
+        });
+    }
+
+    // Check primitive values, converting dates into ISO 8601 strings.
+    switch (returnType) {
+    case 'String':
+        if (typeof value !== 'string') {
+            throw invalid();
+        }
+        return value;
+    case 'Boolean':
+        if (typeof value !== 'boolean') {
+            throw invalid();
+        }
+        return value;
+    case 'Double':
+        if (typeof value !== 'number' || !isFinite(value)) {
+            throw invalid();
+        }
+        return value;
+    case 'Integer':
+    case 'Long':
+        if (!Number.isInteger(value)) {
+            throw invalid();
+        }
+        return value;
+    case 'DateTime':
+        if (!(value instanceof Date) || isNaN(value.getTime())) {
+            throw invalid();
+        }
+        return value.toISOString();
+    }
+
+    // Enumerated values must be the name of one of the values of the enumeration.
+    const introspector = context.getIntrospector();
+    const classDeclaration = introspector.getClassDeclaration(returnType);
+    if (classDeclaration.isEnum()) {
+        const names = classDeclaration.getProperties().map((property) => {
+            return property.getName();
+        });
+        if (names.indexOf(value) === -1) {
+            throw invalid();
+        }
+        return value;
+    }
+
+    // Anything else must be an instance of the declared type, or one of its subtypes.
+    if (!value || typeof value.getFullyQualifiedType !== 'function') {
+        throw invalid();
+    }
+    let type = value.getFullyQualifiedType();
+    while (type && type !== returnType) {
+        type = introspector.getClassDeclaration(type).getSuperType();
+    }
+    if (!type) {
+        throw invalid();
+    }
+    return context.getSerializer().toJSON(value);
+}
+
+/**
+ * Run the transaction processor functions for a transaction, and validate and
+ * serialize the value that they return.
+ * @private
+ * @param {Context} context The request context.
+ * @param {Object} transactionData The serialized transaction.
+ * @return {Promise} A promise that will be resolved with an object containing
+ * the processed transaction and the serialized value returned by the transaction
+ * processor functions, if any, when complete, or rejected with an error.
+ */
+function processTransaction(context, transactionData) {
+    const method = 'processTransaction';
+    LOG.entry(method, context, transactionData);
+    let transaction = null, resolvedTransaction = null, returnValue = undefined;
+
+    // Now we need to convert the JavaScript object into a transaction resource.
+    LOG.debug(method, 'Parsing transaction from parsed JSON object');
+    // First we parse *our* copy, that is not resolved. This is the copy that gets added to the
+    // transaction registry, and is the one in the context (for adding log entries).
+    transaction = context.getSerializer().fromJSON(transactionData);
+    // Then we parse the *users* copy, that is resolved, and they can modify to their hearts content.
+    // This is only given to the user, and is discarded afterwards.
+    resolvedTransaction = context.getSerializer().fromJSON(transactionData);
+
+    // Store the transaction in the context.
+    context.setTransaction(transaction);
+
+    // Resolve the users copy of the transaction.
+    LOG.debug(method, 'Parsed transaction, resolving it', resolvedTransaction);
+    return context.getResolver().resolve(resolvedTransaction)
+        .then(() => {
+
+            // Get the list of transaction executors.
+            let transactionExecutors = context.getTransactionExecutors();
+            let api = context.getApi();
+            let scriptManager = context.getScriptManager();
+
+            // Let each one process the transaction in turn, keeping the last value returned.
+            return transactionExecutors.reduce((result, transactionExecutor) => {
+                return result.then((value) => {
+                    LOG.debug(method, 'Calling transaction executor', transactionExecutor.getType());
+                    return transactionExecutor.execute(api, scriptManager, transaction, resolvedTransaction)
+                        .then((executorValue) => {
+                            return executorValue === undefined ? value : executorValue;
+                        });
+                });
+            }, Promise.resolve());
+
+        })
+        .then((value) => {
+
+            // Validate and serialize the value returned by the transaction processor functions.
+            let returnType = context.getScriptManager().getTransactionReturnType(transaction.getFullyQualifiedType());
+            if (returnType) {
+                LOG.debug(method, 'Serializing value returned by transaction processor functions', returnType);
+                if (value === undefined || value === null) {
+                    throw new Error(util.format('The transaction processor functions for transaction "%s" did not return a value of type "%s"', transaction.getFullyQualifiedType(), returnType));
+                }
+                returnValue = serializeReturnValue(context, transaction, returnType, value);
+            }
+            LOG.exit(method, transaction, returnValue);
+            return { transaction: transaction, returnValue: returnValue };
+
+        });
+}
+
+/**
+ * Execute a transaction, store it in the transaction registry, and record it
+ * and the changes that it made in the historian.
+ * @private
+ * @param {Context} context The request context.
+ * @param {Object} transactionData The serialized transaction.
+ * @return {Promise} A promise that will be resolved with an object containing
+ * the executed transaction and the serialized value returned by the transaction
+ * processor functions, if any, when complete, or rejected with an error.
+ */
+function executeTransaction(context, transactionData) {
+    const method = 'executeTransaction';
+    LOG.entry(method, context, transactionData);
+    let transaction = null, returnValue = undefined;
+    return processTransaction(context, transactionData)
+        .then((result) => {
+            transaction = result.transaction;
+            returnValue = result.returnValue;
+
+            // Get the default transaction registry.
+            LOG.debug(method, 'Getting default transaction registry');
+            return context.getRegistryManager().get('Transaction', 'default');
+
+        })
+        .then((transactionRegistry) => {
+
+            // Store the transaction in the transaction registry.
+            LOG.debug(method, 'Storing executed transaction in transaction registry');
+            return transactionRegistry.add(transaction);
+
+        })
+        .then(() => {
+
+            // Record the transaction and the changes it made in the historian.
+            LOG.debug(method, 'Recording executed transaction in historian');
+            return context.getHistorian().addRecord(
+                transaction,
+                context.getParticipant(),
+                context.getIdentityService().getCurrentUserID(),
+                context.getTransactionLogger().getChanges()
+            );
+
+        })
+        .then(() => {
+            LOG.exit(method, transaction, returnValue);
+            return { transaction: transaction, returnValue: returnValue };
+        });
+}
+
+/**
+ * Convert the changes made to the collections in an overlay of the data service
+ * into the changes that would be made to the resources in the registries. The
+ * system collections are not included.
+ * @private
+ * @param {OverlayChange[]} changes The changes made to the collections.
+ * @return {Object[]} The changes that would be made to the resources.
+ */
+function createDiff(changes) {
+    return changes.filter((change) => {
+        return !change.collectionId.startsWith('$');
+    }).map((change) => {
+        let separator = change.collectionId.indexOf(':');
+        let result = {
+            operation: change.operation,
+            registryType: change.collectionId.substring(0, separator),
+            registryId: change.collectionId.substring(separator + 1),
+            resourceId: change.id
+        };
+        if (change.oldObject) {
+            result.oldResource = change.oldObject;
+        }
+        if (change.object) {
+            result.resource = change.object;
+        }
+        if (change.operation === 'update') {
+            result.patches = jsonpatch.compare(change.oldObject, change.object);
+        }
+        return result;
+    });
+}
+
 /**
  * The JavaScript engine responsible for processing chaincode commands.
  * @protected
@@ -30,8 +263,9 @@ class EngineTransactions {
      * Submit a transaction for execution.
      * @param {Context} context The request context.
      * @param {string[]} args The arguments to pass to the chaincode function.
-     * @return {Promise} A promise that will be resolved when complete, or rejected
-     * with an error.
+     * @return {Promise} A promise that will be resolved with the serialized value
+     * returned by the transaction processor functions, if any, when complete, or
+     * rejected with an error.
      */
     submitTransaction(context, args) {
         const method = 'submitTransaction';
@@ -41,58 +275,176 @@ class EngineTransactions {
             throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'submitTransaction', ['registryId', 'serializedResource']));
         }
 
-        // Find the default transaction registry.
-        let registryManager = context.getRegistryManager();
-        let transaction = null, resolvedTransaction = null;
-
         // Parse the transaction from the JSON string..
         LOG.debug(method, 'Parsing transaction from JSON');
         let transactionData = JSON.parse(args[1]);
 
-        // Now we need to convert the JavaScript object into a transaction resource.
-        LOG.debug(method, 'Parsing transaction from parsed JSON object');
-        // First we parse *our* copy, that is not resolved. This is the copy that gets added to the
-        // transaction registry, and is the one in the context (for adding log entries).
-        transaction = context.getSerializer().fromJSON(transactionData);
-        // Then we parse the *users* copy, that is resolved, and they can modify to their hearts content.
-        // This is only given to the user, and is discarded afterwards.
-        resolvedTransaction = context.getSerializer().fromJSON(transactionData);
-
-        // Store the transaction in the context.
-        context.setTransaction(transaction);
-
-        // Resolve the users copy of the transaction.
-        LOG.debug(method, 'Parsed transaction, resolving it', resolvedTransaction);
-        return context.getResolver().resolve(resolvedTransaction)
-            .then(() => {
-
-                // Get the list of transaction executors.
-                let transactionExecutors = context.getTransactionExecutors();
-                let api = context.getApi();
-                let scriptManager = context.getScriptManager();
+        let returnValue;
+        return executeTransaction(context, transactionData)
+            .then((result) => {
 
-                // Let each one process the transaction in turn.
-                return transactionExecutors.reduce((result, transactionExecutor) => {
-                    return result.then(() => {
-                        LOG.debug(method, 'Calling transaction executor', transactionExecutor.getType());
-                        return transactionExecutor.execute(api, scriptManager, transaction, resolvedTransaction);
-                    });
-                }, Promise.resolve());
+                // Publish any events emitted by the transaction.
+                returnValue = result.returnValue;
+                LOG.debug(method, 'Committing events emitted by the transaction');
+                return context.getEventService().commit();
 
             })
             .then(() => {
+                LOG.exit(method, returnValue);
+                return returnValue;
+            });
 
-                // Get the default transaction registry.
-                LOG.debug(method, 'Getting default transaction registry');
-                return registryManager.get('Transaction', 'default');
+    }
 
-            })
-            .then((transactionRegistry) => {
+    /**
+     * Evaluate a transaction without committing any changes. The transaction
+     * processor functions for the transaction are run, but they cannot add,
+     * update, or remove any resources, the transaction is not stored in the
+     * transaction registry or recorded in the historian, and any events emitted
+     * by the transaction are discarded. This function must be called using a
+     * query request.
+     * @param {Context} context The request context.
+     * @param {string[]} args The arguments to pass to the chaincode function.
+     * @return {Promise} A promise that will be resolved with the serialized value
+     * returned by the transaction processor functions, or null if they do not
+     * return a value, when complete, or rejected with an error.
+     */
+    evaluateTransaction(context, args) {
+        const method = 'evaluateTransaction';
+        LOG.entry(method, context, args);
+        if (args.length !== 1) {
+            LOG.error(method, 'Invalid arguments', args);
+            throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'evaluateTransaction', ['serializedResource']));
+        } else if (!context.isReadOnly()) {
+            LOG.error(method, 'Not called using a query request');
+            throw new Error('Transactions can only be evaluated using a query request');
+        }
 
-                // Store the transaction in the transaction registry.
-                LOG.debug(method, 'Storing executed transaction in transaction registry');
-                return transactionRegistry.add(transaction);
+        // Parse the transaction from the JSON string.
+        LOG.debug(method, 'Parsing transaction from JSON');
+        let transactionData = JSON.parse(args[0]);
+
+        return processTransaction(context, transactionData)
+            .then((result) => {
+                let returnValue = result.returnValue === undefined ? null : result.returnValue;
+                LOG.exit(method, returnValue);
+                return returnValue;
+            });
+
+    }
+
+    /**
+     * Simulate a transaction, and return the changes that it would make without
+     * committing them. The transaction processor functions for the transaction
+     * are run against a copy-on-write overlay of the data service, the transaction
+     * is not stored in the transaction registry or recorded in the historian, and
+     * any events emitted by the transaction are discarded. This function must be
+     * called using a query request.
+     * @param {Context} context The request context.
+     * @param {string[]} args The arguments to pass to the chaincode function.
+     * @return {Promise} A promise that will be resolved with the simulation when
+     * complete, or rejected with an error. The simulation contains the changes
+     * that the transaction would make to resources in the <code>changes</code>
+     * property, the serialized events that it would emit in the <code>events</code>
+     * property, and the serialized value returned by the transaction processor
+     * functions, if any, in the <code>returnValue</code> property.
+     */
+    simulateTransaction(context, args) {
+        const method = 'simulateTransaction';
+        LOG.entry(method, context, args);
+        if (args.length !== 1) {
+            LOG.error(method, 'Invalid arguments', args);
+            throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'simulateTransaction', ['serializedResource']));
+        } else if (!context.isReadOnly()) {
+            LOG.error(method, 'Not called using a query request');
+            throw new Error('Transactions can only be simulated using a query request');
+        }
 
+        // Parse the transaction from the JSON string.
+        LOG.debug(method, 'Parsing transaction from JSON');
+        let transactionData = JSON.parse(args[0]);
+
+        // Make all changes to the registries in an overlay of the data service.
+        LOG.debug(method, 'Starting simulation');
+        let dataService = context.startSimulation();
+
+        return processTransaction(context, transactionData)
+            .then((result) => {
+                let simulation = {
+                    changes: createDiff(dataService.getChanges()),
+                    events: context.getEventService().getEvents()
+                };
+                if (result.returnValue !== undefined) {
+                    simulation.returnValue = result.returnValue;
+                }
+                LOG.exit(method, simulation);
+                return simulation;
+            });
+
+    }
+
+    /**
+     * Submit a batch of transactions for execution. The transactions are executed
+     * in order, and if any of the transactions fails then the whole batch fails,
+     * and none of the changes made by the transactions in the batch are kept.
+     * @param {Context} context The request context.
+     * @param {string[]} args The arguments to pass to the chaincode function.
+     * @return {Promise} A promise that will be resolved with an array of results,
+     * one for each transaction, when complete, or rejected with an error. Each
+     * result contains the identifier of the transaction, and the serialized value
+     * returned by the transaction processor functions, if any.
+     */
+    submitTransactions(context, args) {
+        const method = 'submitTransactions';
+        LOG.entry(method, context, args);
+        if (args.length !== 2) {
+            LOG.error(method, 'Invalid arguments', args);
+            throw new Error(util.format('Invalid arguments "%j" to function "%s", expecting "%j"', args, 'submitTransactions', ['registryId', 'serializedResources']));
+        }
+
+        // Parse the transactions from the JSON string.
+        LOG.debug(method, 'Parsing transactions from JSON');
+        let transactionDatas = JSON.parse(args[1]);
+        if (!Array.isArray(transactionDatas)) {
+            LOG.error(method, 'Transactions are not an array', transactionDatas);
+            throw new Error('The transactions to submit must be specified as an array');
+        }
+
+        // Execute each transaction in turn.
+        let results = [];
+        return transactionDatas.reduce((promise, transactionData, index) => {
+            return promise.then(() => {
+                LOG.debug(method, 'Executing transaction', index);
+                return Promise.resolve()
+                    .then(() => {
+                        return executeTransaction(context, transactionData);
+                    })
+                    .catch((error) => {
+                        LOG.error(method, 'Transaction failed, failing batch', index, error);
+                        throw new Error(util.format('Transaction %d of %d in batch failed: %s', index + 1, transactionDatas.length, error.message));
+                    })
+                    .then((executed) => {
+                        let result = {
+                            transactionId: executed.transaction.getIdentifier()
+                        };
+                        if (executed.returnValue !== undefined) {
+                            result.returnValue = executed.returnValue;
+                        }
+                        results.push(result);
+                        context.clearTransaction();
+                    });
+            });
+        }, Promise.resolve())
+            .then(() => {
+
+                // Publish any events emitted by the transactions.
+                LOG.debug(method, 'Committing events emitted by the transactions');
+                return context.getEventService().commit();
+
+            })
+            .then(() => {
+                LOG.exit(method, results);
+                return results;
             });
 
     }
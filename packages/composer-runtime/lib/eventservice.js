@@ -0,0 +1,102 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Base class representing the event service provided by a {@link Container}.
+ * Events emitted during a transaction are buffered by the event service, and
+ * are only published when the transaction is committed.
+ * @protected
+ * @abstract
+ * @memberof module:composer-runtime
+ */
+class EventService {
+
+    /**
+     * Constructor.
+     */
+    constructor() {
+        this.eventBuffer = [];
+    }
+
+    /**
+     * Add a serialized event to the buffer of events to be published when the
+     * current transaction is committed.
+     * @param {Object} event The serialized event.
+     */
+    emit(event) {
+        this.eventBuffer.push(event);
+    }
+
+    /**
+     * Get the buffer of serialized events that will be published when the
+     * current transaction is committed.
+     * @return {Object[]} The buffer of serialized events.
+     */
+    getEvents() {
+        return this.eventBuffer;
+    }
+
+    /**
+     * Get the buffer of serialized events as a JSON string.
+     * @return {string} The buffer of serialized events as a JSON string.
+     */
+    serializeBuffer() {
+        return JSON.stringify(this.eventBuffer);
+    }
+
+    /**
+     * Publish all of the events in the buffer.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    commit() {
+        return new Promise((resolve, reject) => {
+            this._commit((error) => {
+                if (error) {
+                    return reject(error);
+                }
+                return resolve();
+            });
+        });
+    }
+
+    /**
+     * @callback commitCallback
+     * @protected
+     * @param {Error} error The error if any.
+     */
+
+    /**
+     * Publish all of the events in the buffer.
+     * @abstract
+     * @private
+     * @param {commitCallback} callback The callback function to call when complete.
+     */
+    _commit(callback) {
+        throw new Error('abstract function called');
+    }
+
+    /**
+     * Stop serialization of this object.
+     * @return {Object} An empty object.
+     */
+    toJSON() {
+        return {};
+    }
+
+}
+
+module.exports = EventService;
@@ -0,0 +1,184 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Logger = require('composer-common').Logger;
+
+const LOG = Logger.getLog('Historian');
+
+/**
+ * A class for recording and retrieving historian records. A historian record
+ * is created for every transaction that is submitted, and contains the transaction,
+ * the participant and identity that submitted it, and the changes that it made.
+ * @protected
+ */
+class Historian {
+
+    /**
+     * Constructor.
+     * @param {Serializer} serializer The serializer to use.
+     * @param {AccessController} accessController The access controller to use.
+     * @param {DataCollection} syshistorian The system historian collection.
+     */
+    constructor(serializer, accessController, syshistorian) {
+        this.serializer = serializer;
+        this.accessController = accessController;
+        this.syshistorian = syshistorian;
+    }
+
+    /**
+     * Add a historian record for the specified transaction.
+     * @param {Resource} transaction The transaction.
+     * @param {Resource} participant The participant that submitted the
+     * transaction, or null if it is not known.
+     * @param {string} userID The identity (user ID) that submitted the
+     * transaction, or null if it is not known.
+     * @param {Object[]} changes The changes made by the transaction.
+     * @return {Promise} A promise that is resolved with the historian record
+     * when it has been added.
+     */
+    addRecord(transaction, participant, userID, changes) {
+        const method = 'addRecord';
+        LOG.entry(method, transaction, participant, userID, changes);
+        let transactionID = transaction.getIdentifier();
+        let record = {
+            transactionId: transactionID,
+            transaction: this.serializer.toJSON(transaction),
+            participant: participant ? participant.getFullyQualifiedIdentifier() : null,
+            identity: userID || null,
+            timestamp: transaction.timestamp.toISOString(),
+            changes: changes
+        };
+        return this.syshistorian.add(transactionID, record)
+            .then(() => {
+                LOG.exit(method, record);
+                return record;
+            });
+    }
+
+    /**
+     * Get all of the historian records that the current participant can read.
+     * @return {Promise} A promise that is resolved with an array of historian
+     * records, or rejected with an error.
+     */
+    getAllRecords() {
+        const method = 'getAllRecords';
+        LOG.entry(method);
+        return this.syshistorian.getAll()
+            .then((records) => {
+                let result = records.map((record) => {
+                    return this.filterRecord(record);
+                }).filter((record) => {
+                    return record !== null;
+                });
+                LOG.exit(method, result);
+                return result;
+            });
+    }
+
+    /**
+     * Get the historian record for the specified transaction.
+     * @param {string} id The ID of the transaction.
+     * @return {Promise} A promise that is resolved with the historian record,
+     * or rejected with an error if it does not exist or cannot be read by the
+     * current participant.
+     */
+    getRecord(id) {
+        const method = 'getRecord';
+        LOG.entry(method, id);
+        return this.syshistorian.get(id)
+            .then((record) => {
+                let result = this.filterRecord(record);
+                if (!result) {
+                    throw new Error(`Historian record with ID '${id}' does not exist`);
+                }
+                LOG.exit(method, result);
+                return result;
+            });
+    }
+
+    /**
+     * Filter the specified historian record so that it only contains what the
+     * current participant can read. A historian record can be read if the
+     * transaction can be read. Changes to resources that cannot be read are
+     * removed, as are the properties of the transaction and resources, and the
+     * JSON Patches for the properties, that cannot be read.
+     * @private
+     * @param {Object} record The historian record.
+     * @return {Object} The filtered historian record, or null if the historian
+     * record cannot be read.
+     */
+    filterRecord(record) {
+        let transaction = this.filterResource(record.transaction);
+        if (!transaction) {
+            return null;
+        }
+        let changes = [];
+        record.changes.forEach((change) => {
+            // Changes recorded without the resource cannot be checked, so are never returned.
+            let resource = change.resource ? this.filterResource(change.resource) : null;
+            if (!resource) {
+                return;
+            }
+            let result = Object.assign({}, change, { resource: resource.json });
+            if (change.patches) {
+                result.patches = change.patches.filter((patch) => {
+                    let name = patch.path.split('/')[1];
+                    return resource.unreadable.indexOf(name) === -1;
+                });
+            }
+            changes.push(result);
+        });
+        return Object.assign({}, record, { transaction: transaction.json, changes: changes });
+    }
+
+    /**
+     * Filter the specified serialized resource so that it only contains the
+     * properties that the current participant can read.
+     * @private
+     * @param {Object} json The serialized resource.
+     * @return {Object} An object containing the filtered serialized resource as
+     * <code>json</code>, and the names of the properties that were removed as
+     * <code>unreadable</code>, or null if the resource cannot be read.
+     */
+    filterResource(json) {
+        let resource;
+        try {
+            resource = this.serializer.fromJSON(json);
+            this.accessController.check(resource, 'READ');
+        } catch (e) {
+            return null;
+        }
+        let result = { json: Object.assign({}, json), unreadable: [] };
+        let classDeclaration = resource.getClassDeclaration();
+        let identifierFieldName = classDeclaration.getIdentifierFieldName();
+        classDeclaration.getProperties().forEach((property) => {
+            let name = property.getName();
+            if (name === identifierFieldName) {
+                return;
+            }
+            try {
+                this.accessController.check(resource, 'READ', name);
+            } catch (e) {
+                delete result.json[name];
+                result.unreadable.push(name);
+            }
+        });
+        return result;
+    }
+
+}
+
+module.exports = Historian;
@@ -14,11 +14,37 @@
 
 'use strict';
 
+const Certificate = require('./certificate');
 const Logger = require('composer-common').Logger;
 const Resource = require('composer-common').Resource;
 
 const LOG = Logger.getLog('IdentityManager');
 
+// The states of an identity; issued and bound identities become activated
+// when they are first used to submit a transaction.
+const ISSUED = 'ISSUED';
+const BOUND = 'BOUND';
+const ACTIVATED = 'ACTIVATED';
+const REVOKED = 'REVOKED';
+
+/**
+ * An identity, as stored in the system identities collection.
+ * @typedef {Object} Identity
+ * @property {string} name The name of the identity, which is the user ID.
+ * @property {string} issuer The name of the identity that issued or bound the
+ * identity, or null if it was issued or bound by the administrator.
+ * @property {string} certificate The PEM encoded certificate for the identity,
+ * or null if the identity was issued and the certificate is not known.
+ * @property {string} fingerprint The SHA-256 fingerprint of the certificate, or
+ * null if the certificate is not known.
+ * @property {string} state The state of the identity, one of ISSUED, BOUND,
+ * ACTIVATED, or REVOKED.
+ * @property {string} issued The date and time the identity was issued or bound,
+ * as an ISO-8601 string.
+ * @property {string} participant The fully qualified identifier of the participant
+ * that the identity is mapped to.
+ */
+
 /**
  * A class for managing and persisting identities.
  * @protected
@@ -30,25 +56,81 @@ class IdentityManager {
      * @param {DataService} dataService The data service to use.
      * @param {RegistryManager} registryManager The registry manager to use.
      * @param {DataCollection} sysidentities The system identities collection.
+     * @param {IdentityService} identityService The identity service to use.
      */
-    constructor(dataService, registryManager, sysidentities) {
+    constructor(dataService, registryManager, sysidentities, identityService) {
         this.dataService = dataService;
         this.registryManager = registryManager;
         this.sysidentities = sysidentities;
+        this.identityService = identityService;
     }
 
     /**
-     * Add a new mapping for the specified identity (user ID) to the specified
-     * participant.
+     * Issue a new identity (user ID), and map it to the specified participant.
      * @param {(Resource|string)} participant The participant, or the unique
      * identifier of the participant.
      * @param {string} userID The identity (user ID) to map to the participant.
-     * @return {Promise} A promise that is resolved when a new mapping for the
-     * specified identity has been created.
+     * @param {string} issued The date and time the identity was issued, as an
+     * ISO-8601 string.
+     * @return {Promise} A promise that is resolved with the new {@link Identity}
+     * when it has been added.
+     */
+    issueIdentity(participant, userID, issued) {
+        const method = 'issueIdentity';
+        LOG.entry(method, participant, userID, issued);
+        return this.addIdentity(participant, {
+            name: userID,
+            certificate: null,
+            fingerprint: null,
+            state: ISSUED,
+            issued: issued
+        })
+            .then((identity) => {
+                LOG.exit(method, identity);
+                return identity;
+            });
+    }
+
+    /**
+     * Bind an existing certificate to the specified participant. The name of
+     * the identity (user ID) is the common name of the subject of the certificate.
+     * @param {(Resource|string)} participant The participant, or the unique
+     * identifier of the participant.
+     * @param {string} certificate The PEM encoded certificate.
+     * @param {string} issued The date and time the identity was bound, as an
+     * ISO-8601 string.
+     * @return {Promise} A promise that is resolved with the new {@link Identity}
+     * when it has been added.
      */
-    addIdentityMapping(participant, userID) {
-        const method = 'addIdentityMapping';
-        LOG.entry(method, participant, userID);
+    bindIdentity(participant, certificate, issued) {
+        const method = 'bindIdentity';
+        LOG.entry(method, participant, certificate, issued);
+        let parsed = new Certificate(certificate);
+        return this.addIdentity(participant, {
+            name: parsed.getName(),
+            certificate: parsed.getCertificate(),
+            fingerprint: parsed.getFingerprint(),
+            state: BOUND,
+            issued: issued
+        })
+            .then((identity) => {
+                LOG.exit(method, identity);
+                return identity;
+            });
+    }
+
+    /**
+     * Add a new identity, mapped to the specified participant.
+     * @private
+     * @param {(Resource|string)} participant The participant, or the unique
+     * identifier of the participant.
+     * @param {Object} identity The identity, without the issuer and participant.
+     * @return {Promise} A promise that is resolved with the new {@link Identity}
+     * when it has been added.
+     */
+    addIdentity(participant, identity) {
+        const method = 'addIdentity';
+        LOG.entry(method, participant, identity);
         let participantFQI, participantFQT, participantID;
         if (participant instanceof Resource) {
             participantFQI = participant.getFullyQualifiedIdentifier();
@@ -63,6 +145,16 @@ class IdentityManager {
             participantFQT = participantFQI.substring(0, hashIndex);
             participantID = participantFQI.substring(hashIndex + 1);
         }
+        let userID = identity.name;
+        let record = {
+            name: userID,
+            issuer: this.identityService.getCurrentUserID() || null,
+            certificate: identity.certificate,
+            fingerprint: identity.fingerprint,
+            state: identity.state,
+            issued: identity.issued,
+            participant: participantFQI
+        };
         LOG.debug(method, 'Looking for participant registry', participantFQT);
         return this.registryManager.get('Participant', participantFQT)
             .then((participantRegistry) => {
@@ -70,42 +162,69 @@ class IdentityManager {
                 return participantRegistry.get(participantID);
             })
             .then((participant) => {
-                LOG.debug(method, 'Got $sysidentities collection, checking for existing mapping');
+                LOG.debug(method, 'Got $sysidentities collection, checking for existing identity');
                 return this.sysidentities.exists(userID);
             })
             .then((exists) => {
                 if (exists) {
-                    LOG.error(method, 'Found an existing mapping for user ID', userID);
+                    LOG.error(method, 'Found an existing identity for user ID', userID);
                     throw new Error(`Found an existing mapping for user ID '${userID}'`);
                 }
-                LOG.debug(method, 'No existing mapping exists for user ID, adding');
-                return this.sysidentities.add(userID, {
-                    participant: participantFQI
-                });
+                LOG.debug(method, 'No existing identity exists for user ID, adding');
+                return this.sysidentities.add(userID, record);
             })
             .then(() => {
-                LOG.exit(method);
+                LOG.exit(method, record);
+                return record;
             });
     }
 
     /**
-     * Remove an existing mapping for the specified identity (user ID) to a
-     * participant.
+     * Revoke the specified identity (user ID). The identity is kept so that
+     * it can still be listed, but it can no longer be used.
      * @param {string} userID The identity (user ID).
-     * @return {Promise} A promise that is resolved when a new mapping for the
-     * specified identity has been created.
+     * @return {Promise} A promise that is resolved when the identity has been
+     * revoked.
      */
-    removeIdentityMapping(userID) {
-        const method = 'removeIdentityMapping';
+    revokeIdentity(userID) {
+        const method = 'revokeIdentity';
         LOG.entry(method, userID);
-        LOG.debug(method, 'Got $sysidentities collection, checking for existing mapping');
+        LOG.debug(method, 'Got $sysidentities collection, checking for existing identity');
         return this.sysidentities.exists(userID)
             .then((exists) => {
                 if (!exists) {
-                    LOG.debug('No existing mapping exists for user ID, ignoring');
+                    LOG.debug('No existing identity exists for user ID, ignoring');
+                    return;
+                }
+                return this.sysidentities.get(userID)
+                    .then((identity) => {
+                        identity.state = REVOKED;
+                        return this.sysidentities.update(userID, identity);
+                    });
+            })
+            .then(() => {
+                LOG.exit(method);
+            });
+    }
+
+    /**
+     * Activate the specified identity (user ID) if it has not been activated,
+     * as it is being used to submit a transaction.
+     * @param {string} userID The identity (user ID).
+     * @return {Promise} A promise that is resolved when the identity has been
+     * activated.
+     */
+    activateIdentity(userID) {
+        const method = 'activateIdentity';
+        LOG.entry(method, userID);
+        return this.sysidentities.get(userID)
+            .then((identity) => {
+                if (identity.state !== ISSUED && identity.state !== BOUND) {
+                    LOG.debug(method, 'Identity does not need to be activated', identity.state);
                     return;
                 }
-                return this.sysidentities.remove(userID);
+                identity.state = ACTIVATED;
+                return this.sysidentities.update(userID, identity);
             })
             .then(() => {
                 LOG.exit(method);
@@ -113,7 +232,66 @@ class IdentityManager {
     }
 
     /**
-     * Retrieve the participant for the specified identity (user ID).
+     * Get all of the identities.
+     * @return {Promise} A promise that is resolved with an array of
+     * {@link Identity} objects, or rejected with an error.
+     */
+    getIdentities() {
+        const method = 'getIdentities';
+        LOG.entry(method);
+        return this.sysidentities.getAll()
+            .then((identities) => {
+                LOG.exit(method, identities);
+                return identities;
+            });
+    }
+
+    /**
+     * Get the specified identity (user ID).
+     * @param {string} userID The identity (user ID).
+     * @return {Promise} A promise that is resolved with an {@link Identity},
+     * or rejected with an error if it does not exist.
+     */
+    getIdentity(userID) {
+        const method = 'getIdentity';
+        LOG.entry(method, userID);
+        return this.sysidentities.get(userID)
+            .then((identity) => {
+                LOG.exit(method, identity);
+                return identity;
+            });
+    }
+
+    /**
+     * Check that the certificate that was used to submit the request is the
+     * certificate that is bound to the specified identity. Identities that were
+     * issued do not have a certificate, and are only matched by name.
+     * @param {Identity} identity The identity.
+     * @throws {Error} If the identity has a certificate, and the certificate that
+     * was used to submit the request is missing or does not match it.
+     */
+    validateCertificate(identity) {
+        const method = 'validateCertificate';
+        LOG.entry(method, identity);
+        if (identity.fingerprint) {
+            let certificate = this.identityService.getCurrentCertificate();
+            let fingerprint = null;
+            try {
+                fingerprint = new Certificate(certificate).getFingerprint();
+            } catch (e) {
+                LOG.warn(method, 'Could not read the certificate used to submit the request', e);
+            }
+            if (fingerprint !== identity.fingerprint) {
+                LOG.error(method, 'The certificate does not match the identity', identity.name, fingerprint);
+                throw new Error(`The certificate used to submit the request does not match the certificate for the identity '${identity.name}'`);
+            }
+        }
+        LOG.exit(method);
+    }
+
+    /**
+     * Retrieve the participant for the specified identity (user ID), which must
+     * be the identity that was used to submit the request.
      * @param {string} userID The identity (user ID).
      * @return {Promise} A promise that is resolved with a {@link Resource}
      * representing the participant, or rejected with an error.
@@ -125,8 +303,13 @@ class IdentityManager {
         let participantFQI, participantFQT, participantID;
         LOG.debug(method, 'Got $sysidentities collection, checking for existing mapping');
         return this.sysidentities.get(userID)
-            .then((mapping) => {
-                participantFQI = mapping.participant;
+            .then((identity) => {
+                if (identity.state === REVOKED) {
+                    LOG.error(method, 'The identity has been revoked', userID);
+                    throw new Error(`The identity '${userID}' has been revoked`);
+                }
+                this.validateCertificate(identity);
+                participantFQI = identity.participant;
                 LOG.debug(method, 'Found mapping, participant is', participantFQI);
                 let hashIndex = participantFQI.indexOf('#');
                 if (hashIndex === -1) {
@@ -32,6 +32,17 @@ class IdentityService {
         throw new Error('abstract function called');
     }
 
+    /**
+     * Retrieve the PEM encoded certificate for the current user. This
+     * implementation returns null, and should be overridden by identity
+     * services that have access to the certificate of the current user.
+     * @return {string} The PEM encoded certificate for the current user, or
+     * null if the certificate cannot be determined.
+     */
+    getCurrentCertificate() {
+        return null;
+    }
+
     /**
      * Stop serialization of this object.
      * @return {Object} An empty object.
@@ -39,8 +39,9 @@ class JSTransactionExecutor extends TransactionExecutor {
      * @param {ScriptManager} scriptManager The script manager to use.
      * @param {Resource} transaction The transaction to execute.
      * @param {Resource} resolvedTransaction The resolved transaction to execute.
-     * @return {Promise} A promise that is resolved when the transaction has been
-     * executed, or rejected with an error.
+     * @return {Promise} A promise that is resolved with the value returned by
+     * the transaction processor functions that declare a return type, if any,
+     * when the transaction has been executed, or rejected with an error.
      */
     execute(api, scriptManager, transaction, resolvedTransaction) {
         const method = 'execute';
@@ -55,6 +56,9 @@ class JSTransactionExecutor extends TransactionExecutor {
             throw new Error(`Could not find any functions to execute for transaction ${transaction.getFullyQualifiedIdentifier()}`);
         }
 
+        // Find the function names of the functions that return a value.
+        let returningFunctionNames = this.findReturningFunctionNames(scriptManager, transaction);
+
         // Find all of the scripts, and build a function for each script function to call.
         let functions = this.compileScripts(scriptManager, functionNames);
 
@@ -64,22 +68,29 @@ class JSTransactionExecutor extends TransactionExecutor {
             global[key] = api[key].bind(api);
         });
 
-        // Execute each function for the transaction.
-        return functions.reduce((result, func) => {
-            return result.then(() => {
+        // Execute each function for the transaction, keeping the value returned
+        // by the last function that returns a value.
+        return functions.reduce((result, func, index) => {
+            return result.then((returnValue) => {
                 LOG.debug(method, 'Executing function');
+                let returnsValue = returningFunctionNames.indexOf(functionNames[index]) !== -1;
                 let funcResult = func(resolvedTransaction);
-                if (funcResult instanceof Promise) {
-                    return funcResult.then(() => {
+                // The function may return a promise from another library (for example,
+                // the promises returned by the data service), so check for a thenable.
+                if (funcResult && typeof funcResult.then === 'function') {
+                    return Promise.resolve(funcResult).then((value) => {
                         LOG.debug(method, 'Function executed (returned promise)');
+                        return returnsValue ? value : returnValue;
                     });
                 } else {
                     LOG.debug(method, 'Function executed');
+                    return returnsValue ? funcResult : returnValue;
                 }
             });
         }, Promise.resolve())
-            .then(() => {
-                LOG.exit(method);
+            .then((returnValue) => {
+                LOG.exit(method, returnValue);
+                return returnValue;
             });
 
     }
@@ -136,6 +147,29 @@ class JSTransactionExecutor extends TransactionExecutor {
         return functionNames;
     }
 
+    /**
+     * Find all of the names of the functions that should be executed and that
+     * return a value to the submitter of the transaction.
+     * @param {ScriptManager} scriptManager The script manager to use.
+     * @param {Resource} transaction The transaction to execute.
+     * @return {string[]} All function names that return a value.
+     */
+    findReturningFunctionNames(scriptManager, transaction) {
+        const method = 'findReturningFunctionNames';
+        LOG.entry(method, scriptManager, transaction);
+        let functionNames = [];
+        scriptManager.getScripts().forEach((script) => {
+            script.getFunctionDeclarations().forEach((functionDeclaration) => {
+                if (functionDeclaration.getTransactionReturnType() && functionDeclaration.getParameterTypes()[0] === transaction.getFullyQualifiedType()) {
+                    LOG.debug(method, 'Function returns a value', functionDeclaration.getName());
+                    functionNames.push(functionDeclaration.getName());
+                }
+            });
+        });
+        LOG.exit(method, functionNames);
+        return functionNames;
+    }
+
     /**
      * Compile the scripts into functions for execution.
      * @param {ScriptManager} scriptManager The script manager to use.
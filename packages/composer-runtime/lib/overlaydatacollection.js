@@ -0,0 +1,275 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const DataCollection = require('./datacollection');
+
+/**
+ * A data collection that overlays a data collection provided by a {@link DataService}.
+ * Objects are read from the underlying data collection until they are added,
+ * updated, or removed; the changes are kept in memory by the overlay, and are
+ * never written to the underlying data collection.
+ * @protected
+ */
+class OverlayDataCollection extends DataCollection {
+
+    /**
+     * Constructor.
+     * @param {OverlayDataService} dataService The owning data service.
+     * @param {string} collectionId The ID of the collection.
+     * @param {DataCollection} [dataCollection] The underlying data collection,
+     * or null if the collection was created in the overlay.
+     */
+    constructor(dataService, collectionId, dataCollection) {
+        super(dataService);
+        this.collectionId = collectionId;
+        this.dataCollection = dataCollection || null;
+        this.changes = {};
+    }
+
+    /**
+     * Get all of the objects in this collection.
+     * @private
+     * @param {getAllCallback} callback The callback function to call when complete.
+     */
+    _getAll(callback) {
+        this.getUnderlyingObjects()
+            .then((objects) => {
+                // The underlying objects do not include their IDs, so find the ones
+                // that have been changed by comparing them with the original objects.
+                let replaced = [];
+                Object.keys(this.changes).forEach((id) => {
+                    let change = this.changes[id];
+                    if (change.oldObject) {
+                        replaced.push(JSON.stringify(change.oldObject));
+                    }
+                });
+                let result = objects.filter((object) => {
+                    let index = replaced.indexOf(JSON.stringify(object));
+                    if (index === -1) {
+                        return true;
+                    }
+                    replaced.splice(index, 1);
+                    return false;
+                });
+                Object.keys(this.changes).forEach((id) => {
+                    let change = this.changes[id];
+                    if (change.object) {
+                        result.push(change.object);
+                    }
+                });
+                callback(null, result);
+            })
+            .catch((error) => {
+                callback(error);
+            });
+    }
+
+    /**
+     * Get the specified object in this collection.
+     * @private
+     * @param {string} id The ID of the object.
+     * @param {getCallback} callback The callback function to call when complete.
+     */
+    _get(id, callback) {
+        this.getObject(id)
+            .then((object) => {
+                if (!object) {
+                    throw new Error(`Object with ID '${id}' in collection with ID '${this.collectionId}' does not exist`);
+                }
+                callback(null, object);
+            })
+            .catch((error) => {
+                callback(error);
+            });
+    }
+
+    /**
+     * Check to see if the specified object exists in this collection.
+     * @private
+     * @param {string} id The ID of the object.
+     * @param {existsCallback} callback The callback function to call when complete.
+     */
+    _exists(id, callback) {
+        this.getObject(id)
+            .then((object) => {
+                callback(null, !!object);
+            })
+            .catch((error) => {
+                callback(error);
+            });
+    }
+
+    /**
+     * Add an object to the collection.
+     * @private
+     * @param {string} id The ID of the object.
+     * @param {Object} object The object.
+     * @param {boolean} force don't check for existence, force it
+     * @param {addCallback} callback The callback function to call when complete.
+     */
+    _add(id, object, force, callback) {
+        this.getObject(id)
+            .then((existingObject) => {
+                if (existingObject && !force) {
+                    throw new Error(`Failed to add object with ID '${id}' in collection with ID '${this.collectionId}' as the object already exists`);
+                }
+                return this.recordChange(id, object);
+            })
+            .then(() => {
+                callback(null);
+            })
+            .catch((error) => {
+                callback(error);
+            });
+    }
+
+    /**
+     * Update an object in the collection.
+     * @private
+     * @param {string} id The ID of the object.
+     * @param {Object} object The object.
+     * @param {updateCallback} callback The callback function to call when complete.
+     */
+    _update(id, object, callback) {
+        this.recordChange(id, object)
+            .then(() => {
+                callback(null);
+            })
+            .catch((error) => {
+                callback(error);
+            });
+    }
+
+    /**
+     * Remove an object from the collection.
+     * @private
+     * @param {string} id The ID of the object.
+     * @param {removeCallback} callback The callback function to call when complete.
+     */
+    _remove(id, callback) {
+        this.recordChange(id, null)
+            .then(() => {
+                callback(null);
+            })
+            .catch((error) => {
+                callback(error);
+            });
+    }
+
+    /**
+     * Get all of the objects in the underlying data collection.
+     * @private
+     * @return {Promise} A promise that will be resolved with an array of objects,
+     * or rejected with an error.
+     */
+    getUnderlyingObjects() {
+        if (!this.dataCollection) {
+            return Promise.resolve([]);
+        }
+        return this.dataCollection.getAll();
+    }
+
+    /**
+     * Get the current version of the specified object, from the overlay if it
+     * has been changed, or from the underlying data collection if not.
+     * @private
+     * @param {string} id The ID of the object.
+     * @return {Promise} A promise that will be resolved with the object, or null
+     * if it does not exist, or rejected with an error.
+     */
+    getObject(id) {
+        if (this.changes.hasOwnProperty(id)) {
+            return Promise.resolve(this.changes[id].object);
+        } else if (!this.dataCollection) {
+            return Promise.resolve(null);
+        }
+        return this.dataCollection.exists(id)
+            .then((exists) => {
+                if (!exists) {
+                    return null;
+                }
+                return this.dataCollection.get(id);
+            });
+    }
+
+    /**
+     * Record a change to the specified object in the overlay, keeping the
+     * original version of the object the first time that it is changed.
+     * @private
+     * @param {string} id The ID of the object.
+     * @param {Object} object The new version of the object, or null if the
+     * object has been removed.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    recordChange(id, object) {
+        if (this.changes.hasOwnProperty(id)) {
+            this.changes[id].object = object;
+            return Promise.resolve();
+        }
+        return this.getObject(id)
+            .then((oldObject) => {
+                this.changes[id] = { oldObject: oldObject, object: object };
+            });
+    }
+
+    /**
+     * @typedef {Object} OverlayChange
+     * @protected
+     * @property {string} operation The operation (add, update, or remove).
+     * @property {string} collectionId The ID of the collection.
+     * @property {string} id The ID of the object.
+     * @property {Object} [oldObject] The original version of the object, for
+     * updates and removals.
+     * @property {Object} [object] The new version of the object, for additions
+     * and updates.
+     */
+
+    /**
+     * Get the changes made to the objects in this collection. Objects that have
+     * been changed back to their original version are not included.
+     * @return {OverlayChange[]} The changes, ordered by the ID of the object.
+     */
+    getChanges() {
+        let result = [];
+        Object.keys(this.changes).sort().forEach((id) => {
+            let change = this.changes[id];
+            let operation;
+            if (!change.oldObject && change.object) {
+                operation = 'add';
+            } else if (change.oldObject && !change.object) {
+                operation = 'remove';
+            } else if (change.oldObject && JSON.stringify(change.oldObject) !== JSON.stringify(change.object)) {
+                operation = 'update';
+            } else {
+                return;
+            }
+            let entry = { operation: operation, collectionId: this.collectionId, id: id };
+            if (change.oldObject) {
+                entry.oldObject = change.oldObject;
+            }
+            if (change.object) {
+                entry.object = change.object;
+            }
+            result.push(entry);
+        });
+        return result;
+    }
+
+}
+
+module.exports = OverlayDataCollection;
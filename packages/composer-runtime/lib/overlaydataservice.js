@@ -0,0 +1,169 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const DataService = require('./dataservice');
+const OverlayDataCollection = require('./overlaydatacollection');
+
+/**
+ * A copy-on-write overlay of a {@link DataService}. Collections and objects are
+ * read from the underlying data service until they are changed; all changes are
+ * kept in memory by the overlay, and are never written to the underlying data
+ * service. The changes can then be retrieved, for example to show what a
+ * transaction would change without committing it.
+ * @protected
+ */
+class OverlayDataService extends DataService {
+
+    /**
+     * Constructor.
+     * @param {DataService} dataService The underlying data service.
+     */
+    constructor(dataService) {
+        super();
+        this.dataService = dataService;
+        this.collections = {};
+    }
+
+    /**
+     * Create a collection with the specified ID.
+     * @private
+     * @param {string} id The ID of the collection.
+     * @param {force} force force creation, don't check for existence 1st
+     * @param {createCollectionCallback} callback The callback function to call when complete.
+     */
+    _createCollection(id, force, callback) {
+        this.existsCollection(id)
+            .then((exists) => {
+                if (exists && !force) {
+                    throw new Error(`Failed to create collection with ID '${id}' as it already exists`);
+                }
+                let dataCollection = new OverlayDataCollection(this, id);
+                this.collections[id] = dataCollection;
+                callback(null, dataCollection);
+            })
+            .catch((error) => {
+                callback(error);
+            });
+    }
+
+    /**
+     * Delete a collection with the specified ID.
+     * @private
+     * @param {string} id The ID of the collection.
+     * @param {deleteCollectionCallback} callback The callback function to call when complete.
+     */
+    _deleteCollection(id, callback) {
+        this.existsCollection(id)
+            .then((exists) => {
+                if (!exists) {
+                    throw new Error(`Collection with ID '${id}' does not exist`);
+                }
+                this.collections[id] = null;
+                callback(null);
+            })
+            .catch((error) => {
+                callback(error);
+            });
+    }
+
+    /**
+     * Get the collection with the specified ID.
+     * @private
+     * @param {string} id The ID of the collection.
+     * @param {getCollectionCallback} callback The callback function to call when complete.
+     */
+    _getCollection(id, callback) {
+        Promise.resolve()
+            .then(() => {
+                if (this.collections.hasOwnProperty(id)) {
+                    if (!this.collections[id]) {
+                        throw new Error(`Collection with ID '${id}' does not exist`);
+                    }
+                    return this.collections[id];
+                }
+                return this.dataService.getCollection(id)
+                    .then((underlyingCollection) => {
+                        let dataCollection = new OverlayDataCollection(this, id, underlyingCollection);
+                        this.collections[id] = dataCollection;
+                        return dataCollection;
+                    });
+            })
+            .then((dataCollection) => {
+                callback(null, dataCollection);
+            })
+            .catch((error) => {
+                callback(error);
+            });
+    }
+
+    /**
+     * Determine whether the collection with the specified ID exists.
+     * @private
+     * @param {string} id The ID of the collection.
+     * @param {getCollectionCallback} callback The callback function to call when complete.
+     */
+    _existsCollection(id, callback) {
+        Promise.resolve()
+            .then(() => {
+                if (this.collections.hasOwnProperty(id)) {
+                    return !!this.collections[id];
+                }
+                return this.dataService.existsCollection(id);
+            })
+            .then((exists) => {
+                callback(null, exists);
+            })
+            .catch((error) => {
+                callback(error);
+            });
+    }
+
+    /**
+     * Get an overlay of a collection that has already been retrieved from the
+     * underlying data service, so that changes made to it are kept in this
+     * data service instead of being written to the underlying collection.
+     * @param {string} id The ID of the collection.
+     * @param {DataCollection} dataCollection The underlying data collection.
+     * @return {OverlayDataCollection} The overlay of the data collection.
+     */
+    overlayCollection(id, dataCollection) {
+        if (!this.collections[id]) {
+            this.collections[id] = new OverlayDataCollection(this, id, dataCollection);
+        }
+        return this.collections[id];
+    }
+
+    /**
+     * Get the changes made to the objects in all of the collections in this
+     * data service, ordered by the ID of the collection and then the ID of
+     * the object.
+     * @return {OverlayChange[]} The changes.
+     */
+    getChanges() {
+        let result = [];
+        Object.keys(this.collections).sort().forEach((id) => {
+            let dataCollection = this.collections[id];
+            if (dataCollection) {
+                result = result.concat(dataCollection.getChanges());
+            }
+        });
+        return result;
+    }
+
+}
+
+module.exports = OverlayDataService;
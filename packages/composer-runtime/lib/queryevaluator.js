@@ -0,0 +1,210 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Logger = require('composer-common').Logger;
+
+const LOG = Logger.getLog('QueryEvaluator');
+
+/**
+ * A query evaluator evaluates the SELECT statement of a query against a set
+ * of serialized resources, applying the WHERE, ORDER BY, SKIP and LIMIT
+ * clauses in that order.
+ *
+ * Resources are evaluated in their serialized (JSON) form, so relationships
+ * are compared using the identifier of the related resource, and DateTime
+ * values are compared using their ISO 8601 string representation.
+ * @protected
+ */
+class QueryEvaluator {
+
+    /**
+     * Evaluate the SELECT statement against the specified resources.
+     * @param {Select} select The SELECT statement to evaluate.
+     * @param {Object[]} resources The serialized resources.
+     * @param {Object} parameters The values of the parameters used by the
+     * SELECT statement, keyed by parameter name.
+     * @return {Object[]} The serialized resources selected by the statement.
+     */
+    evaluate(select, resources, parameters) {
+        const method = 'evaluate';
+        LOG.entry(method, select, resources.length, parameters);
+        select.getParameters().forEach((parameter) => {
+            if (!parameters.hasOwnProperty(parameter)) {
+                throw new Error(`Query parameter ${parameter} has not been specified`);
+            }
+        });
+
+        let result = resources;
+        const where = select.getWhere();
+        if (where) {
+            result = result.filter((resource) => {
+                return this.evaluateExpression(where, resource, parameters);
+            });
+        }
+
+        const orderBy = select.getOrderBy();
+        if (orderBy.length) {
+            // Array.prototype.sort is not guaranteed to be stable, so use the index as a tie breaker.
+            result = result.map((resource, index) => {
+                return { resource: resource, index: index };
+            }).sort((a, b) => {
+                for (let sort of orderBy) {
+                    let order = this.compare(this.getProperty(a.resource, sort.property.name), this.getProperty(b.resource, sort.property.name));
+                    if (order !== 0) {
+                        return (sort.direction === 'DESC') ? -order : order;
+                    }
+                }
+                return a.index - b.index;
+            }).map((item) => {
+                return item.resource;
+            });
+        }
+
+        const skip = select.getSkip();
+        if (skip) {
+            result = result.slice(this.getCount('SKIP', skip, parameters));
+        }
+
+        const limit = select.getLimit();
+        if (limit) {
+            result = result.slice(0, this.getCount('LIMIT', limit, parameters));
+        }
+
+        LOG.exit(method, result.length);
+        return result;
+    }
+
+    /**
+     * Evaluate a WHERE expression against a serialized resource.
+     * @private
+     * @param {Object} expression The expression.
+     * @param {Object} resource The serialized resource.
+     * @param {Object} parameters The values of the parameters.
+     * @return {boolean} The result of the expression.
+     */
+    evaluateExpression(expression, resource, parameters) {
+        switch (expression.type) {
+        case 'LogicalExpression':
+            if (expression.operator === 'AND') {
+                return this.evaluateExpression(expression.left, resource, parameters) &&
+                    this.evaluateExpression(expression.right, resource, parameters);
+            }
+            return this.evaluateExpression(expression.left, resource, parameters) ||
+                this.evaluateExpression(expression.right, resource, parameters);
+        case 'UnaryExpression':
+            return !this.evaluateExpression(expression.argument, resource, parameters);
+        default: {
+            const left = this.evaluateOperand(expression.left, resource, parameters);
+            const right = this.evaluateOperand(expression.right, resource, parameters);
+            switch (expression.operator) {
+            case '==':
+                return left === right;
+            case '!=':
+                return left !== right;
+            }
+            if (left === null || right === null || typeof left !== typeof right) {
+                return false;
+            }
+            switch (expression.operator) {
+            case '<':
+                return left < right;
+            case '<=':
+                return left <= right;
+            case '>':
+                return left > right;
+            default:
+                return left >= right;
+            }
+        }
+        }
+    }
+
+    /**
+     * Evaluate an operand (a property, a parameter or a literal) against a
+     * serialized resource.
+     * @private
+     * @param {Object} operand The operand.
+     * @param {Object} resource The serialized resource.
+     * @param {Object} parameters The values of the parameters.
+     * @return {*} The value of the operand, or null if it has no value.
+     */
+    evaluateOperand(operand, resource, parameters) {
+        let value;
+        switch (operand.type) {
+        case 'Property':
+            return this.getProperty(resource, operand.name);
+        case 'Parameter':
+            value = parameters[operand.name];
+            break;
+        default:
+            value = operand.value;
+            break;
+        }
+        return (value === undefined) ? null : value;
+    }
+
+    /**
+     * Get the value of a (possibly nested) property of a serialized resource.
+     * @private
+     * @param {Object} resource The serialized resource.
+     * @param {string} name The name of the property, for example address.city.
+     * @return {*} The value of the property, or null if it has no value.
+     */
+    getProperty(resource, name) {
+        let value = name.split('.').reduce((result, part) => {
+            return (result === null || result === undefined) ? null : result[part];
+        }, resource);
+        return (value === undefined) ? null : value;
+    }
+
+    /**
+     * Compare two property values for sorting. Null values are sorted
+     * before all other values.
+     * @private
+     * @param {*} a The first value.
+     * @param {*} b The second value.
+     * @return {number} A negative number, zero, or a positive number.
+     */
+    compare(a, b) {
+        if (a === b) {
+            return 0;
+        } else if (a === null) {
+            return -1;
+        } else if (b === null) {
+            return 1;
+        }
+        return (a < b) ? -1 : 1;
+    }
+
+    /**
+     * Get the value of a SKIP or LIMIT clause.
+     * @private
+     * @param {string} clause The name of the clause, used in error messages.
+     * @param {Object} operand The operand (a literal or a parameter).
+     * @param {Object} parameters The values of the parameters.
+     * @return {number} The value of the clause.
+     */
+    getCount(clause, operand, parameters) {
+        const value = this.evaluateOperand(operand, null, parameters);
+        if (typeof value !== 'number' || value < 0 || Math.floor(value) !== value) {
+            throw new Error(`The value ${JSON.stringify(value)} for ${clause} is not a non-negative integer`);
+        }
+        return value;
+    }
+
+}
+
+module.exports = QueryEvaluator;
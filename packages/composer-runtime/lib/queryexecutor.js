@@ -21,6 +21,16 @@ const Resource = require('composer-common').Resource;
 
 const LOG = Logger.getLog('QueryEngine');
 
+// The comparison operators that can use an index, mapped to the operator to use
+// if the operands are swapped.
+const COMPARISON_OPERATORS = {
+    '=': '=',
+    '<': '>',
+    '<=': '>=',
+    '>': '<',
+    '>=': '<='
+};
+
 /**
  * Design documentation:
  *
@@ -151,6 +161,159 @@ class QueryExecutor {
 
     }
 
+    /**
+     * Get the resources in the specified registry that must be queried using
+     * the given JSONata expression in order to find all of the resources that
+     * the expression returns a truthy value for. If the expression is an equality
+     * or range test on an indexed property, then only the resources in that range
+     * of the index are returned; otherwise all of the resources are returned.
+     * @param {string} expression The JSONata expression.
+     * @param {Registry} registry The registry.
+     * @return {Promise} A promise that will be resolved with an array of
+     * {@link Resource} objects, or rejected with an error.
+     */
+    getResourcesToQuery(expression, registry) {
+        const method = 'getResourcesToQuery';
+        LOG.entry(method, expression, registry);
+        const indexRange = this.findIndexRange(expression, registry.getIndexes());
+        let promise;
+        if (indexRange) {
+            LOG.debug(method, 'Using index', indexRange);
+            promise = registry.getAllByIndex(indexRange.name, indexRange.range);
+        } else {
+            LOG.debug(method, 'No index can be used, using all resources');
+            promise = registry.getAll();
+        }
+        return promise
+            .then((resources) => {
+                LOG.exit(method, resources);
+                return resources;
+            });
+    }
+
+    /**
+     * Find a range of values of one of the specified indexed properties that a
+     * resource must be in for the given JSONata expression to return a truthy
+     * value. A range can be found if the expression is an equality or range test
+     * of an indexed property against a string or number literal, or if it is a
+     * conjunction (<code>and</code>) of expressions where one of them is.
+     * @param {string} expression The JSONata expression.
+     * @param {string[]} indexes The names of the indexed properties.
+     * @return {Object} An object containing the name of the indexed property in
+     * the <code>name</code> property and the {@link IndexRange} in the
+     * <code>range</code> property, or null if no range can be found.
+     */
+    findIndexRange(expression, indexes) {
+        const method = 'findIndexRange';
+        LOG.entry(method, expression, indexes);
+        if (indexes.length === 0) {
+            LOG.exit(method, null);
+            return null;
+        }
+        let tests = [];
+        this.findIndexTests(jsonata(expression).ast(), indexes, tests);
+        if (tests.length === 0) {
+            LOG.exit(method, null);
+            return null;
+        }
+
+        // Combine all the tests on the first indexed property found into one range.
+        const name = tests[0].name;
+        const type = typeof tests[0].value;
+        let range = {};
+        tests.filter((test) => {
+            return test.name === name && typeof test.value === type;
+        }).forEach((test) => {
+            if (test.operator !== '<' && test.operator !== '<=') {
+                const open = test.operator === '>';
+                if (range.lower === undefined || test.value > range.lower) {
+                    range.lower = test.value;
+                    range.lowerOpen = open;
+                } else if (test.value === range.lower) {
+                    range.lowerOpen = range.lowerOpen || open;
+                }
+            }
+            if (test.operator !== '>' && test.operator !== '>=') {
+                const open = test.operator === '<';
+                if (range.upper === undefined || test.value < range.upper) {
+                    range.upper = test.value;
+                    range.upperOpen = open;
+                } else if (test.value === range.upper) {
+                    range.upperOpen = range.upperOpen || open;
+                }
+            }
+        });
+        const result = { name: name, range: range };
+        LOG.exit(method, result);
+        return result;
+    }
+
+    /**
+     * @private
+     * @typedef {Object} IndexTest
+     * @property {string} name The name of the indexed property.
+     * @property {string} operator The comparison operator.
+     * @property {*} value The string or number that the property is compared to.
+     */
+
+    /**
+     * Find all of the equality and range tests on indexed properties in a parsed
+     * JSONata expression that must be true for the expression to be true.
+     * @private
+     * @param {Object} node The node of the parsed JSONata expression.
+     * @param {string[]} indexes The names of the indexed properties.
+     * @param {IndexTest[]} tests The working array of tests.
+     */
+    findIndexTests(node, indexes, tests) {
+        if (node.type === 'block' && node.expressions.length === 1) {
+            this.findIndexTests(node.expressions[0], indexes, tests);
+            return;
+        } else if (node.type !== 'binary') {
+            return;
+        } else if (node.value === 'and') {
+            this.findIndexTests(node.lhs, indexes, tests);
+            this.findIndexTests(node.rhs, indexes, tests);
+            return;
+        } else if (!COMPARISON_OPERATORS[node.value]) {
+            return;
+        }
+        let name = this.getIndexedPropertyName(node.lhs, indexes);
+        let literal = node.rhs;
+        let operator = node.value;
+        if (!name) {
+            // The property may be on the right hand side, for example "Ford" = make.
+            name = this.getIndexedPropertyName(node.rhs, indexes);
+            literal = node.lhs;
+            operator = COMPARISON_OPERATORS[node.value];
+        }
+        if (name && (literal.type === 'string' || literal.type === 'number')) {
+            tests.push({ name: name, operator: operator, value: literal.value });
+        }
+    }
+
+    /**
+     * Get the name of the indexed property that a node of a parsed JSONata
+     * expression refers to.
+     * @private
+     * @param {Object} node The node of the parsed JSONata expression.
+     * @param {string[]} indexes The names of the indexed properties.
+     * @return {string} The name of the indexed property, or null if the node
+     * does not refer to an indexed property.
+     */
+    getIndexedPropertyName(node, indexes) {
+        if (node.type !== 'path' || node.steps.length !== 1) {
+            return null;
+        }
+        const step = node.steps[0];
+        const simple = Object.keys(step).every((key) => {
+            return key === 'type' || key === 'value' || key === 'position';
+        });
+        if (step.type !== 'name' || !simple || indexes.indexOf(step.value) === -1) {
+            return null;
+        }
+        return step.value;
+    }
+
     /**
      * Query the specified resource using the given JSONata expression.
      * @param {string} expression The JSONata expression.
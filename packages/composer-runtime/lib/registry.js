@@ -31,8 +31,12 @@ class Registry extends EventEmitter {
      * @param {string} type The type of the registry.
      * @param {string} id The ID of the registry.
      * @param {string} name The name of the registry.
+     * @param {string[]} [indexes] The names of the indexed properties of the
+     * resources in the registry.
+     * @param {boolean} [readOnly] True if resources cannot be added to, updated
+     * in, or removed from the registry, false otherwise.
      */
-    constructor(dataCollection, serializer, accessController, type, id, name) {
+    constructor(dataCollection, serializer, accessController, type, id, name, indexes, readOnly) {
         super();
         this.dataCollection = dataCollection;
         this.serializer = serializer;
@@ -40,6 +44,26 @@ class Registry extends EventEmitter {
         this.type = type;
         this.id = id;
         this.name = name;
+        this.indexes = indexes || [];
+        this.readOnly = !!readOnly;
+    }
+
+    /**
+     * Get the names of the indexed properties of the resources in this registry.
+     * @return {string[]} The names of the indexed properties.
+     */
+    getIndexes() {
+        return this.indexes;
+    }
+
+    /**
+     * Ensure that the data collection for this registry maintains the indexes
+     * for the indexed properties of the resources in this registry.
+     * @return {Promise} A promise that will be resolved when complete, or rejected
+     * with an error.
+     */
+    updateIndexes() {
+        return this.dataCollection.setIndexes(this.indexes);
     }
 
     /**
@@ -49,20 +73,71 @@ class Registry extends EventEmitter {
      */
     getAll() {
         return this.dataCollection.getAll()
-            .then((resources) => {
-                return resources.map((resource) => {
-                    return this.serializer.fromJSON(resource);
-                }).filter((resource) => {
-                    try {
-                        this.accessController.check(resource, 'READ');
-                        return true;
-                    } catch (e) {
-                        return false;
-                    }
-                });
+            .then((objects) => {
+                return this.readResources(objects);
             });
     }
 
+    /**
+     * Get a page of the resources in this registry. Resources that the current
+     * participant does not have access to read are removed from the page, so a
+     * page may contain fewer resources than the page size even if it is not
+     * the last page.
+     * @param {number} pageSize The maximum number of resources to return.
+     * @param {string} [bookmark] The bookmark returned with the previous page,
+     * or null to get the first page.
+     * @return {Promise} A promise that will be resolved with an object containing
+     * an array of {@link Resource} objects in the <code>resources</code> property,
+     * and a bookmark for the next page in the <code>bookmark</code> property (or
+     * null if this is the last page), or rejected with an error.
+     */
+    getPage(pageSize, bookmark) {
+        return this.dataCollection.getPage(pageSize, bookmark)
+            .then((page) => {
+                return {
+                    resources: this.readResources(page.objects),
+                    bookmark: page.bookmark
+                };
+            });
+    }
+
+    /**
+     * Get the resources in this registry where the value of the specified indexed
+     * property is in the specified range.
+     * @param {string} name The name of the indexed property.
+     * @param {IndexRange} range The range of values.
+     * @return {Promise} A promise that will be resolved with an array of {@link
+     * Resource} objects when complete, or rejected with an error.
+     */
+    getAllByIndex(name, range) {
+        return this.dataCollection.queryIndex(name, range)
+            .then((objects) => {
+                return this.readResources(objects);
+            });
+    }
+
+    /**
+     * Deserialize the specified objects into resources, removing any resources
+     * and properties that the current participant does not have access to read.
+     * @private
+     * @param {Object[]} objects The serialized resources.
+     * @return {Resource[]} The resources.
+     */
+    readResources(objects) {
+        return objects.map((object) => {
+            return this.serializer.fromJSON(object);
+        }).filter((resource) => {
+            try {
+                this.accessController.check(resource, 'READ');
+                return true;
+            } catch (e) {
+                return false;
+            }
+        }).map((resource) => {
+            return this.removeUnreadableProperties(resource);
+        });
+    }
+
     /**
      * Get the specified resource in this registry.
      * @param {string} id The ID of the resource.
@@ -75,10 +150,10 @@ class Registry extends EventEmitter {
                 let result = this.serializer.fromJSON(resource);
                 try {
                     this.accessController.check(result, 'READ');
-                    return result;
                 } catch (e) {
                     throw new Error(`Object with ID '${id}' in collection with ID '${this.type}:${this.id}' does not exist`);
                 }
+                return this.removeUnreadableProperties(result);
             });
     }
 
@@ -150,7 +225,11 @@ class Registry extends EventEmitter {
         let object = this.serializer.toJSON(resource, {
             convertResourcesToRelationships: options.convertResourcesToRelationships
         });
-        return this.dataCollection.add(id, object)
+        return Promise.resolve()
+            .then(() => {
+                this.checkWritable();
+                return this.dataCollection.add(id, object);
+            })
             .then(() => {
                 this.emit('resourceadded', {
                     registry: this,
@@ -199,16 +278,23 @@ class Registry extends EventEmitter {
     update(resource, options) {
         options = options || {};
         let id = resource.getIdentifier();
+        // Properties that the current participant cannot read may be missing,
+        // so the resource is validated once they have been restored below.
         let object = this.serializer.toJSON(resource, {
+            validate: false,
             convertResourcesToRelationships: options.convertResourcesToRelationships
         });
-        return this.dataCollection.get(id)
-            .then((oldResource) => {
-                return this.serializer.fromJSON(oldResource);
+        return Promise.resolve()
+            .then(() => {
+                this.checkWritable();
+                return this.dataCollection.get(id);
             })
-            .then((oldResource) => {
+            .then((oldObject) => {
                 // We must perform access control checks on the old version of the resource!
+                let oldResource = this.serializer.fromJSON(oldObject);
                 this.accessController.check(oldResource, 'UPDATE');
+                this.checkUpdatedProperties(oldResource, oldObject, resource, object);
+                this.serializer.toJSON(this.serializer.fromJSON(object), { validate: true });
                 return this.dataCollection.update(id, object)
                     .then(() => {
                         this.emit('resourceupdated', {
@@ -226,6 +312,7 @@ class Registry extends EventEmitter {
      * @protected
      * @type {object}
      * @param {Registry} registry The registry.
+     * @param {Resource} resource The resource.
      * @param {string} resourceID The ID of the resource.
      */
 
@@ -252,6 +339,7 @@ class Registry extends EventEmitter {
     remove(resource) {
         return Promise.resolve()
             .then(() => {
+                this.checkWritable();
                 // If the resource is a string, then we need to retrieve
                 // the resource using its ID from the registry. We need to
                 // do this to figure out the type of the resource for
@@ -272,12 +360,90 @@ class Registry extends EventEmitter {
                     .then(() => {
                         this.emit('resourceremoved', {
                             registry: this,
+                            resource: resource,
                             resourceID: id
                         });
                     });
             });
     }
 
+    /**
+     * Check that resources can be added to, updated in, or removed from this
+     * registry.
+     * @private
+     * @throws {Error} If this registry is read-only.
+     */
+    checkWritable() {
+        if (this.readOnly) {
+            throw new Error(`The ${this.type} registry '${this.id}' is read-only and cannot be modified`);
+        }
+    }
+
+    /**
+     * Remove all of the properties of the specified resource that the current
+     * participant does not have access to read.
+     * @private
+     * @param {Resource} resource The resource.
+     * @return {Resource} The resource.
+     */
+    removeUnreadableProperties(resource) {
+        let classDeclaration = resource.getClassDeclaration();
+        let identifierFieldName = classDeclaration.getIdentifierFieldName();
+        classDeclaration.getProperties().forEach((property) => {
+            let name = property.getName();
+            if (name !== identifierFieldName && !this.canReadProperty(resource, name)) {
+                delete resource[name];
+            }
+        });
+        return resource;
+    }
+
+    /**
+     * Check that the current participant has access to update all of the
+     * properties of the specified resource that have been changed. Properties
+     * that the current participant does not have access to read were removed
+     * when the resource was retrieved, so if they are missing they are restored
+     * from the old version of the resource.
+     * @private
+     * @param {Resource} oldResource The old version of the resource.
+     * @param {Object} oldObject The serialized old version of the resource.
+     * @param {Resource} newResource The new version of the resource.
+     * @param {Object} newObject The serialized new version of the resource.
+     * @throws {AccessException} If the current participant does not have
+     * access to update a property that has been changed.
+     */
+    checkUpdatedProperties(oldResource, oldObject, newResource, newObject) {
+        oldResource.getClassDeclaration().getProperties().forEach((property) => {
+            let name = property.getName();
+            if (JSON.stringify(oldObject[name]) === JSON.stringify(newObject[name])) {
+                return;
+            } else if (newObject[name] === undefined && !this.canReadProperty(oldResource, name)) {
+                newObject[name] = oldObject[name];
+                newResource[name] = oldResource[name];
+                return;
+            }
+            this.accessController.check(oldResource, 'UPDATE', name);
+        });
+    }
+
+    /**
+     * Determine whether the current participant has access to read the
+     * specified property of the specified resource.
+     * @private
+     * @param {Resource} resource The resource.
+     * @param {string} name The name of the property.
+     * @return {boolean} True if the current participant has access to read
+     * the property, false otherwise.
+     */
+    canReadProperty(resource, name) {
+        try {
+            this.accessController.check(resource, 'READ', name);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
     /**
      * Return an object suitable for serialization.
      * @return {Object} An object suitable for serialization.
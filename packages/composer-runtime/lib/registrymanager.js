@@ -32,14 +32,17 @@ class RegistryManager extends EventEmitter {
      * @param {Serializer} serializer The serializer to use.
      * @param {AccessController} accessController The access controller to use.
      * @param {DataCollection} sysregistries The system registries collection to use.
+     * @param {boolean} [readOnly] True if the registries returned by this registry
+     * manager must be read-only, false otherwise.
      */
-    constructor(dataService, introspector, serializer, accessController, sysregistries) {
+    constructor(dataService, introspector, serializer, accessController, sysregistries, readOnly) {
         super();
         this.dataService = dataService;
         this.introspector = introspector;
         this.serializer = serializer;
         this.accessController = accessController;
         this.sysregistries = sysregistries;
+        this.readOnly = !!readOnly;
     }
 
     /**
@@ -54,7 +57,7 @@ class RegistryManager extends EventEmitter {
      * @return {Registry} The new registry instance.
      */
     createRegistry(dataCollection, serializer, accessController, type, id, name) {
-        let registry = new Registry(dataCollection, serializer, accessController, type, id, name);
+        let registry = new Registry(dataCollection, serializer, accessController, type, id, name, this.getIndexes(type, id), this.readOnly);
         ['resourceadded', 'resourceupdated', 'resourceremoved'].forEach((event) => {
             registry.on(event, (data) => {
                 this.emit(event, data);
@@ -64,7 +67,36 @@ class RegistryManager extends EventEmitter {
     }
 
     /**
-     * Ensure that the default registries exist.
+     * Get the names of the indexed properties of the resources in a registry.
+     * Only the default registries for asset and participant types have indexes,
+     * which are the properties of the type that have an <code>@index</code> decorator.
+     * @private
+     * @param {string} type The type of the registry.
+     * @param {string} id The ID of the registry.
+     * @return {string[]} The names of the indexed properties.
+     */
+    getIndexes(type, id) {
+        if (type !== 'Asset' && type !== 'Participant') {
+            return [];
+        }
+        let classDeclaration = null;
+        try {
+            classDeclaration = this.introspector.getClassDeclaration(id);
+        } catch (e) {
+            // Not a default registry, as there is no type with this ID.
+        }
+        if (!classDeclaration) {
+            return [];
+        }
+        return classDeclaration.getProperties().filter((property) => {
+            return property.isIndexed();
+        }).map((property) => {
+            return property.getName();
+        });
+    }
+
+    /**
+     * Ensure that the default registries exist, and that their indexes are up to date.
      * @param {boolean} force if set to true, will add without checking for existence
      * @returns {Promise} A promise that is resolved once all default registries
      * have been created, or rejected with an error.
@@ -86,27 +118,35 @@ class RegistryManager extends EventEmitter {
             .then(() => {
                 return assetDeclarations.reduce((result, assetDeclaration) => {
                     let fqn = assetDeclaration.getFullyQualifiedName();
-                    if (force) {
-                        return this.add('Asset', fqn, `Asset registry for ${fqn}`, true);
-                    } else {
-                        return this.get('Asset', fqn)
-                            .catch(() => {
-                                return this.add('Asset', fqn, `Asset registry for ${fqn}`);
-                            });
-                    }
+                    return result.then(() => {
+                        if (force) {
+                            return this.add('Asset', fqn, `Asset registry for ${fqn}`, true);
+                        } else {
+                            return this.get('Asset', fqn)
+                                .catch(() => {
+                                    return this.add('Asset', fqn, `Asset registry for ${fqn}`);
+                                });
+                        }
+                    }).then((registry) => {
+                        return registry.updateIndexes();
+                    });
                 }, Promise.resolve());
             })
             .then(() => {
                 return participantDeclarations.reduce((result, participantDeclaration) => {
                     let fqn = participantDeclaration.getFullyQualifiedName();
-                    if (force) {
-                        return this.add('Participant', fqn, `Participant registry for ${fqn}`, true);
-                    } else {
-                        return this.get('Participant', fqn)
-                            .catch(() => {
-                                return this.add('Participant', fqn, `Participant registry for ${fqn}`);
-                            });
-                    }
+                    return result.then(() => {
+                        if (force) {
+                            return this.add('Participant', fqn, `Participant registry for ${fqn}`, true);
+                        } else {
+                            return this.get('Participant', fqn)
+                                .catch(() => {
+                                    return this.add('Participant', fqn, `Participant registry for ${fqn}`);
+                                });
+                        }
+                    }).then((registry) => {
+                        return registry.updateIndexes();
+                    });
                 }, Promise.resolve());
             });
     }
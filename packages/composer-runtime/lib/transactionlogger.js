@@ -19,9 +19,9 @@ const Logger = require('composer-common').Logger;
 
 const LOG = Logger.getLog('TransactionLogger');
 
-/* istanbul ignore next */
 /**
- * A class for logging the changes made by a transaction.
+ * A class for logging the changes made by a transaction. The changes are
+ * recorded in the historian once the transaction has been executed.
  * @protected
  * @abstract
  * @memberof module:composer-runtime
@@ -40,12 +40,61 @@ class TransactionLogger {
         this.transaction = transaction;
         this.registryManager = registryManager;
         this.serializer = serializer;
-        registryManager.on('resourceadded', this.onResourceAdded.bind(this));
-        registryManager.on('resourceupdated', this.onResourceUpdated.bind(this));
-        registryManager.on('resourceremoved', this.onResourceRemoved.bind(this));
+        this.changes = [];
+        this.listeners = {
+            resourceadded: this.onResourceAdded.bind(this),
+            resourceupdated: this.onResourceUpdated.bind(this),
+            resourceremoved: this.onResourceRemoved.bind(this)
+        };
+        Object.keys(this.listeners).forEach((event) => {
+            registryManager.on(event, this.listeners[event]);
+        });
+        LOG.exit(method);
+    }
+
+    /**
+     * Stop recording changes made by the transaction, by unsubscribing from
+     * the events emitted by the registry manager.
+     */
+    close() {
+        const method = 'close';
+        LOG.entry(method);
+        Object.keys(this.listeners).forEach((event) => {
+            this.registryManager.removeListener(event, this.listeners[event]);
+        });
         LOG.exit(method);
     }
 
+    /**
+     * Get the changes made by the transaction.
+     * @return {Object[]} The changes made by the transaction, in the order
+     * that they were made.
+     */
+    getChanges() {
+        return this.changes;
+    }
+
+    /**
+     * Record a change made by the transaction.
+     * @private
+     * @param {string} operation The operation (add, update, or remove).
+     * @param {Registry} registry The registry that was changed.
+     * @param {string} resourceID The ID of the resource that was changed.
+     * @param {Object} [data] Additional data describing the change.
+     */
+    recordChange(operation, registry, resourceID, data) {
+        // Transactions are recorded by the historian, so don't record them twice.
+        if (registry.type === 'Transaction') {
+            return;
+        }
+        this.changes.push(Object.assign({
+            operation: operation,
+            registryType: registry.type,
+            registryId: registry.id,
+            resourceId: resourceID
+        }, data));
+    }
+
     /**
      * Handle a resource being added to a registry.
      * @param {Registry#resourceadded} event The resource added event.
@@ -53,12 +102,20 @@ class TransactionLogger {
     onResourceAdded(event) {
         const method = 'onResourceAdded';
         LOG.entry(method, event);
+
+        // Serialize the new resource.
+        let json = this.serializer.toJSON(event.resource, {
+            convertResourcesToRelationships: true
+        });
+        LOG.debug(method, 'Serialized new resource');
+        this.recordChange('add', event.registry, event.resource.getIdentifier(), { resource: json });
+
         LOG.exit();
     }
 
     /**
-     * Handle a resource being added to a registry.
-     * @param {Registry#resourceupdated} event The resource added event.
+     * Handle a resource being updated in a registry.
+     * @param {Registry#resourceupdated} event The resource updated event.
      */
     onResourceUpdated(event) {
         const method = 'onResourceUpdated';
@@ -77,17 +134,26 @@ class TransactionLogger {
         // Generate a JSON Patch from the two resources.
         let patches = jsonpatch.compare(oldJSON, newJSON);
         LOG.debug(method, 'Generated JSON Patch', patches);
+        this.recordChange('update', event.registry, event.newResource.getIdentifier(), { resource: newJSON, patches: patches });
 
         LOG.exit();
     }
 
     /**
-     * Handle a resource being added to a registry.
-     * @param {Registry#resourceremoved} event The resource added event.
+     * Handle a resource being removed from a registry.
+     * @param {Registry#resourceremoved} event The resource removed event.
      */
     onResourceRemoved(event) {
         const method = 'onResourceRemoved';
         LOG.entry(method, event);
+
+        // Serialize the removed resource, so that access to the change can be checked.
+        let json = this.serializer.toJSON(event.resource, {
+            convertResourcesToRelationships: true
+        });
+        LOG.debug(method, 'Serialized removed resource');
+        this.recordChange('remove', event.registry, event.resourceID, { resource: json });
+
         LOG.exit();
     }
 
@@ -31,6 +31,7 @@ describe('AccessController', () => {
     let factory;
     let asset;
     let participant;
+    let transaction;
     let controller;
 
     beforeEach(() => {
@@ -58,6 +59,12 @@ describe('AccessController', () => {
         }
         participant TestParticipant2 identified by participantId extends BaseParticipant {
             o String participantId
+        }
+        transaction TestTransaction identified by transactionId {
+            o String transactionId
+        }
+        transaction TestTransaction2 identified by transactionId {
+            o String transactionId
         }`);
         modelManager.addModelFile(`
         namespace org.acme.test2
@@ -68,11 +75,15 @@ describe('AccessController', () => {
         }
         participant TestParticipant2 identified by participantId extends BaseParticipant {
             o String participantId
+        }
+        transaction TestTransaction2 identified by transactionId {
+            o String transactionId
         }`);
         aclManager = new AclManager(modelManager);
         factory = new Factory(modelManager);
         asset = factory.newResource('org.acme.test', 'TestAsset', 'A1234');
         participant = factory.newResource('org.acme.test', 'TestParticipant', 'P5678');
+        transaction = factory.newResource('org.acme.test', 'TestTransaction', 'T9012');
         controller = new AccessController(aclManager);
         controller.setParticipant(participant);
     });
@@ -100,6 +111,44 @@ describe('AccessController', () => {
 
     });
 
+    describe('#getIdentity', () => {
+
+        it('should return the current identity', () => {
+            let identity = { name: 'alice1' };
+            controller.setIdentity(identity);
+            controller.getIdentity().should.equal(identity);
+        });
+
+    });
+
+    describe('#setIdentity', () => {
+
+        it('should set the current identity', () => {
+            let identity = { name: 'alice1' };
+            controller.setIdentity(identity);
+            controller.identity.should.equal(identity);
+        });
+
+    });
+
+    describe('#getTransaction', () => {
+
+        it('should return the current transaction', () => {
+            controller.setTransaction(transaction);
+            controller.getTransaction().should.equal(transaction);
+        });
+
+    });
+
+    describe('#setTransaction', () => {
+
+        it('should set the current transaction', () => {
+            controller.setTransaction(transaction);
+            controller.transaction.should.equal(transaction);
+        });
+
+    });
+
     describe('#check', () => {
 
         it('should do nothing if there is no participant', () => {
@@ -209,6 +258,50 @@ describe('AccessController', () => {
 
     });
 
+    describe('#check with a property', () => {
+
+        beforeEach(() => {
+            asset.theValue = 'the value';
+        });
+
+        it('should apply rules for the whole resource to a property', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "org.acme.test.TestParticipant" operation: READ resource: "org.acme.test.TestAsset" action: ALLOW}');
+            controller.check(asset, 'READ');
+            controller.check(asset, 'READ', 'theValue');
+        });
+
+        it('should throw if a rule for the property denies access', () => {
+            setAclFile(`rule R1 {description: "Test R1" participant: "org.acme.test.TestParticipant" operation: READ resource: "org.acme.test.TestAsset#*.theValue" action: DENY}
+            rule R2 {description: "Test R2" participant: "org.acme.test.TestParticipant" operation: READ resource: "org.acme.test.TestAsset" action: ALLOW}`);
+            controller.check(asset, 'READ');
+            (() => {
+                controller.check(asset, 'READ', 'theValue');
+            }).should.throw(AccessException, /does not have 'READ' access to property 'theValue' of resource/);
+        });
+
+        it('should throw if no rule permits access to the property', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "org.acme.test.TestParticipant" operation: READ resource: "org.acme.test.TestAsset#*.theValue" action: ALLOW}');
+            (() => {
+                controller.check(asset, 'READ');
+            }).should.throw(AccessException, /does not have 'READ' access to resource/);
+            controller.check(asset, 'READ', 'theValue');
+            (() => {
+                controller.check(asset, 'READ', 'assetId');
+            }).should.throw(AccessException, /does not have 'READ' access to property 'assetId' of resource/);
+        });
+
+        it('should apply rules for a property specified as part of the class name', () => {
+            setAclFile(`rule R1 {description: "Test R1" participant: "org.acme.test.TestParticipant" operation: UPDATE resource: "org.acme.test.TestAsset.theValue" action: DENY}
+            rule R2 {description: "Test R2" participant: "org.acme.test.TestParticipant" operation: ALL resource: "org.acme.test.TestAsset" action: ALLOW}`);
+            controller.check(asset, 'UPDATE');
+            controller.check(asset, 'READ', 'theValue');
+            (() => {
+                controller.check(asset, 'UPDATE', 'theValue');
+            }).should.throw(AccessException, /does not have 'UPDATE' access to property 'theValue' of resource/);
+        });
+
+    });
+
     describe('#checkRule', () => {
 
         it('should return false if the noun is not matched', () => {
@@ -235,6 +328,21 @@ describe('AccessController', () => {
             sinon.assert.calledOnce(spy);
         });
 
+        it('should return false if the transaction is not matched', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "org.acme.test.TestParticipant#P5678" operation: READ resource: "org.acme.test.TestAsset#A1234" transaction: "org.acme.test.TestTransaction" action: ALLOW}');
+            let spy = sinon.spy(controller, 'matchTransaction');
+            controller.checkRule(asset, 'READ', participant, aclManager.getAclRules()[0])
+                .should.be.false;
+            sinon.assert.calledOnce(spy);
+        });
+
+        it('should return true if the transaction is matched', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "org.acme.test.TestParticipant#P5678" operation: READ resource: "org.acme.test.TestAsset#A1234" transaction: "org.acme.test.TestTransaction" action: ALLOW}');
+            controller.setTransaction(transaction);
+            controller.checkRule(asset, 'READ', participant, aclManager.getAclRules()[0])
+                .should.be.true;
+        });
+
         it('should return false if the predicate is not matched', () => {
             setAclFile('rule R1 {description: "Test R1" participant: "org.acme.test.TestParticipant#P5678" operation: READ resource: "org.acme.test.TestAsset#A1234" condition: (false) action: ALLOW}');
             let spy = sinon.spy(controller, 'matchPredicate');
@@ -298,6 +406,34 @@ describe('AccessController', () => {
 
     });
 
+    describe('#matchNoun with a property', () => {
+
+        it('should return true if the ACL rule specifies a matching property', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#*.theValue" action: ALLOW}');
+            controller.matchNoun(asset, aclManager.getAclRules()[0], 'theValue')
+                .should.be.true;
+        });
+
+        it('should return false if the ACL rule specifies a non-matching property', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#*.theValue" action: ALLOW}');
+            controller.matchNoun(asset, aclManager.getAclRules()[0], 'assetId')
+                .should.be.false;
+        });
+
+        it('should return false if the ACL rule specifies a property and the whole resource is being checked', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#*.theValue" action: ALLOW}');
+            controller.matchNoun(asset, aclManager.getAclRules()[0])
+                .should.be.false;
+        });
+
+        it('should return true if the ACL rule does not specify a property and a property is being checked', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset" action: ALLOW}');
+            controller.matchNoun(asset, aclManager.getAclRules()[0], 'theValue')
+                .should.be.true;
+        });
+
+    });
+
     describe('#matchVerb', () => {
 
         ['CREATE', 'READ', 'UPDATE', 'DELETE'].forEach((verb) => {
@@ -371,6 +507,60 @@ describe('AccessController', () => {
 
     });
 
+    describe('#matchTransaction', () => {
+
+        it('should return true if the ACL rule does not specify a transaction', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#A1234" action: ALLOW}');
+            controller.matchTransaction(null, aclManager.getAclRules()[0])
+                .should.be.true;
+            controller.matchTransaction(transaction, aclManager.getAclRules()[0])
+                .should.be.true;
+        });
+
+        it('should return false if the ACL rule specifies a transaction and there is no current transaction', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#A1234" transaction: "org.acme.test.TestTransaction" action: ALLOW}');
+            controller.matchTransaction(null, aclManager.getAclRules()[0])
+                .should.be.false;
+        });
+
+        it('should return true if the ACL rule specifies a matching fully qualified identifier', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#A1234" transaction: "org.acme.test.TestTransaction#T9012" action: ALLOW}');
+            controller.matchTransaction(transaction, aclManager.getAclRules()[0])
+                .should.be.true;
+        });
+
+        it('should return true if the ACL rule specifies a matching fully qualified name', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#A1234" transaction: "org.acme.test.TestTransaction" action: ALLOW}');
+            controller.matchTransaction(transaction, aclManager.getAclRules()[0])
+                .should.be.true;
+        });
+
+        it('should return true if the ACL rule specifies a matching namespace', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#A1234" transaction: "org.acme.test" action: ALLOW}');
+            controller.matchTransaction(transaction, aclManager.getAclRules()[0])
+                .should.be.true;
+        });
+
+        it('should return false if the ACL rule specifies a non-matching fully qualified identifier', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#A1234" transaction: "org.acme.test.TestTransaction#T1234" action: ALLOW}');
+            controller.matchTransaction(transaction, aclManager.getAclRules()[0])
+                .should.be.false;
+        });
+
+        it('should return false if the ACL rule specifies a non-matching fully qualified name', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#A1234" transaction: "org.acme.test.TestTransaction2" action: ALLOW}');
+            controller.matchTransaction(transaction, aclManager.getAclRules()[0])
+                .should.be.false;
+        });
+
+        it('should return false if the ACL rule specifies a non-matching namespace', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#A1234" transaction: "org.acme.test2" action: ALLOW}');
+            controller.matchTransaction(transaction, aclManager.getAclRules()[0])
+                .should.be.false;
+        });
+
+    });
+
     describe('#matchPredicate', () => {
 
         it('should return true if the ACL rule specifies a predicate of (true)', () => {
@@ -433,6 +623,48 @@ describe('AccessController', () => {
                 .should.be.false;
         });
 
+        it('should return true if the ACL rule specifies a predicate that accesses the bound transaction and returns a truthy expression', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#A1234" transaction(tx): "org.acme.test.TestTransaction" condition: (tx.getIdentifier() === \'T9012\') action: ALLOW}');
+            controller.setTransaction(transaction);
+            controller.matchPredicate(asset, 'READ', participant, aclManager.getAclRules()[0])
+                .should.be.true;
+        });
+
+        it('should return false if the ACL rule specifies a predicate that accesses the bound transaction and returns a falsey expression', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#A1234" transaction(tx): "org.acme.test.TestTransaction" condition: (tx.getIdentifier() !== \'T9012\') action: ALLOW}');
+            controller.setTransaction(transaction);
+            controller.matchPredicate(asset, 'READ', participant, aclManager.getAclRules()[0])
+                .should.be.false;
+        });
+
+        it('should return true if the ACL rule specifies a transaction without binding it', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#A1234" transaction: "org.acme.test.TestTransaction" condition: (typeof tx === \'undefined\') action: ALLOW}');
+            controller.setTransaction(transaction);
+            controller.matchPredicate(asset, 'READ', participant, aclManager.getAclRules()[0])
+                .should.be.true;
+        });
+
+        it('should return true if the ACL rule specifies a predicate that accesses the bound identity and returns a truthy expression', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#A1234" identity(i) condition: (i.name === \'alice1\' && i.attributes.org === \'org1\') action: ALLOW}');
+            controller.setIdentity({ name: 'alice1', attributes: { org: 'org1' } });
+            controller.matchPredicate(asset, 'READ', participant, aclManager.getAclRules()[0])
+                .should.be.true;
+        });
+
+        it('should return false if the ACL rule specifies a predicate that accesses the bound identity and returns a falsey expression', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#A1234" identity(i) condition: (i.attributes.org === \'org2\') action: ALLOW}');
+            controller.setIdentity({ name: 'alice1', attributes: { org: 'org1' } });
+            controller.matchPredicate(asset, 'READ', participant, aclManager.getAclRules()[0])
+                .should.be.false;
+        });
+
+        it('should throw if the ACL rule specifies a predicate that accesses the bound identity and there is no current identity', () => {
+            setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource: "org.acme.test.TestAsset#A1234" identity(i) condition: (i.attributes.org === \'org1\') action: ALLOW}');
+            (() => {
+                controller.matchPredicate(asset, 'READ', participant, aclManager.getAclRules()[0]);
+            }).should.throw(AccessException, /does not have/);
+        });
+
         it('should throw if the ACL rule specifies a predicate that is faulty and causes an exception to be thrown', () => {
             setAclFile('rule R1 {description: "Test R1" participant: "ANY" operation: READ resource(asset): "org.acme.test.TestAsset#A1234" condition: (asset.not.a.real.property = {}) action: ALLOW}');
             (() => {
@@ -55,6 +55,11 @@ describe('AccessException', function () {
             exc.should.match(/org.acme.test.TestParticipant#P5678.*READ.*org.acme.test.TestAsset#A1234/);
         });
 
+        it('should have a useful message for a property', function () {
+            let exc = new AccessException(asset, 'READ', participant, 'theValue');
+            exc.should.match(/org.acme.test.TestParticipant#P5678.*READ.*property 'theValue'.*org.acme.test.TestAsset#A1234/);
+        });
+
     });
 
 });
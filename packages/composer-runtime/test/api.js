@@ -16,12 +16,15 @@
 
 const Api = require('../lib/api');
 const AssetRegistry = require('../lib/api/assetregistry');
+const ClassDeclaration = require('composer-common').ClassDeclaration;
+const EventService = require('../lib/eventservice');
 const Factory = require('../lib/api/factory');
 const ParticipantRegistry = require('../lib/api/participantregistry');
 const realFactory = require('composer-common').Factory;
 const Registry = require('../lib/registry');
 const RegistryManager = require('../lib/registrymanager');
 const Resource = require('composer-common').Resource;
+const Serializer = require('composer-common').Serializer;
 
 const chai = require('chai');
 chai.should();
@@ -35,13 +38,19 @@ describe('Api', () => {
     let mockFactory;
     let mockParticipant;
     let mockRegistryManager;
+    let mockSerializer;
+    let mockEventService;
+    let identity;
     let api;
 
     beforeEach(() => {
         mockFactory = sinon.createStubInstance(realFactory);
         mockParticipant = sinon.createStubInstance(Resource);
         mockRegistryManager = sinon.createStubInstance(RegistryManager);
-        api = new Api(mockFactory, mockParticipant, mockRegistryManager);
+        mockSerializer = sinon.createStubInstance(Serializer);
+        mockEventService = sinon.createStubInstance(EventService);
+        identity = { name: 'alice1', participant: 'org.acme.Person#P1', attributes: { org: 'org1' } };
+        api = new Api(mockFactory, mockParticipant, mockRegistryManager, mockSerializer, mockEventService, identity);
     });
 
     describe('#constructor', () => {
@@ -106,4 +115,60 @@ describe('Api', () => {
 
     });
 
+    describe('#getCurrentIdentity', () => {
+
+        it('should return a copy of the current identity', () => {
+            let result = api.getCurrentIdentity();
+            result.should.deep.equal(identity);
+            result.should.not.equal(identity);
+            result.attributes.org = 'org2';
+            identity.attributes.org.should.equal('org1');
+        });
+
+        it('should return null if there is no current identity', () => {
+            api = new Api(mockFactory, mockParticipant, mockRegistryManager, mockSerializer, mockEventService, null);
+            (api.getCurrentIdentity() === null).should.be.true;
+        });
+
+    });
+
+    describe('#emit', () => {
+
+        let mockEvent;
+        let mockClassDeclaration;
+
+        beforeEach(() => {
+            mockEvent = sinon.createStubInstance(Resource);
+            mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
+            mockClassDeclaration.getFullyQualifiedName.returns('org.doge.DogeEvent');
+            mockEvent.getClassDeclaration.returns(mockClassDeclaration);
+        });
+
+        it('should serialize the event and add it to the event service', () => {
+            mockClassDeclaration.isEvent.returns(true);
+            mockSerializer.toJSON.withArgs(mockEvent).returns({ $class: 'org.doge.DogeEvent' });
+            api.emit(mockEvent);
+            sinon.assert.calledOnce(mockEventService.emit);
+            sinon.assert.calledWith(mockEventService.emit, { $class: 'org.doge.DogeEvent' });
+        });
+
+        it('should throw if the resource is not an event', () => {
+            mockClassDeclaration.isEvent.returns(false);
+            (() => {
+                api.emit(mockEvent);
+            }).should.throw(/org.doge.DogeEvent is not an event/);
+            sinon.assert.notCalled(mockEventService.emit);
+        });
+
+        it('should throw if the event is not valid', () => {
+            mockClassDeclaration.isEvent.returns(true);
+            mockSerializer.toJSON.withArgs(mockEvent).throws(new Error('such invalid'));
+            (() => {
+                api.emit(mockEvent);
+            }).should.throw(/such invalid/);
+            sinon.assert.notCalled(mockEventService.emit);
+        });
+
+    });
+
 });
@@ -91,4 +91,13 @@ describe('AssetRegistry', () => {
 
     });
 
+    describe('#newEvent', () => {
+
+        it('should proxy to the factory', () => {
+            mockFactory.newEvent.withArgs('org.acme', 'DogeEvent').returns(mockResource);
+            factory.newEvent('org.acme', 'DogeEvent').should.equal(mockResource);
+        });
+
+    });
+
 });
@@ -0,0 +1,509 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const BusinessNetworkDefinition = require('composer-common').BusinessNetworkDefinition;
+const BusinessNetworkMigrator = require('../lib/businessnetworkmigrator');
+const Context = require('../lib/context');
+const DataCollection = require('../lib/datacollection');
+const DataService = require('../lib/dataservice');
+const ModelManager = require('composer-common').ModelManager;
+
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+describe('BusinessNetworkMigrator', () => {
+
+    const oldModel = `
+    namespace org.acme
+    enum Colour {
+      o RED
+      o BLUE
+    }
+    concept Address {
+      o String city
+    }
+    concept UKAddress extends Address {
+      o String postcode optional
+    }
+    participant Person identified by email {
+      o String email
+      o Address address optional
+      o Address[] previousAddresses optional
+    }
+    asset Vehicle identified by vin {
+      o String vin
+      o Colour colour
+    }
+    transaction Sell identified by transactionId {
+      o String transactionId
+      o String vin
+    }`;
+
+    let oldModelManager;
+    let mockContext;
+    let mockDataService;
+    let mockSysRegistries;
+    let registries;
+    let collections;
+
+    /**
+     * Create a business network definition for the models created by replacing
+     * some of the text in the old models.
+     * @param {string|RegExp} search The text to replace.
+     * @param {string} replacement The replacement text.
+     * @param {string} [script] The contents of the script file.
+     * @return {BusinessNetworkDefinition} The business network definition.
+     */
+    function createBusinessNetworkDefinition(search, replacement, script) {
+        const businessNetworkDefinition = new BusinessNetworkDefinition('test-network@1.0.0', 'Test network');
+        businessNetworkDefinition.getModelManager().addModelFile(oldModel.replace(search, replacement));
+        if (script) {
+            const scriptManager = businessNetworkDefinition.getScriptManager();
+            scriptManager.addScript(scriptManager.createScript('lib/migration.js', 'JS', script));
+        }
+        return businessNetworkDefinition;
+    }
+
+    /**
+     * Add a registry and the resources stored in it.
+     * @param {string} type The type of the registry.
+     * @param {string} id The ID of the registry.
+     * @param {Object[]} objects The JSON objects for the stored resources.
+     * @return {DataCollection} The mock collection for the registry.
+     */
+    function addRegistry(type, id, objects) {
+        const collection = sinon.createStubInstance(DataCollection);
+        collection.getAll.resolves(objects);
+        collection.add.resolves();
+        collection.update.resolves();
+        collection.remove.resolves();
+        registries.push({ type: type, id: id, name: `Registry for ${id}` });
+        collections[`${type}:${id}`] = collection;
+        mockDataService.getCollection.withArgs(`${type}:${id}`).resolves(collection);
+        return collection;
+    }
+
+    beforeEach(() => {
+        oldModelManager = new ModelManager();
+        oldModelManager.addModelFile(oldModel);
+        mockContext = sinon.createStubInstance(Context);
+        mockDataService = sinon.createStubInstance(DataService);
+        mockDataService.deleteCollection.resolves();
+        mockContext.getDataService.returns(mockDataService);
+        registries = [];
+        collections = {};
+        mockSysRegistries = sinon.createStubInstance(DataCollection);
+        mockSysRegistries.getAll.resolves(registries);
+        mockSysRegistries.remove.resolves();
+        mockContext.getSystemRegistries.returns(mockSysRegistries);
+    });
+
+    describe('#check', () => {
+
+        it('should not throw if there are no changes', () => {
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('Vehicle', 'Vehicle'));
+            migrator.check();
+        });
+
+        it('should not throw if there are only non-breaking changes', () => {
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('o Colour colour', 'o Colour colour\n      o String make optional'));
+            migrator.check();
+        });
+
+        it('should throw if there are breaking changes without a migration function', () => {
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition(/Vehicle/g, 'Car'));
+            (() => {
+                migrator.check();
+            }).should.throw(/The business network cannot be updated, as there are breaking changes to the models without a migration function: org.acme.Vehicle: The type was removed$/);
+        });
+
+        it('should throw if there are breaking changes to properties without a migration function', () => {
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('o Colour colour', 'o Colour colour\n      o String make'));
+            (() => {
+                migrator.check();
+            }).should.throw(/without a migration function: org.acme.Vehicle.make: A required property was added$/);
+        });
+
+        it('should not throw if there are breaking changes with a migration function', () => {
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('o Colour colour', 'o Colour colour\n      o String make', `
+            /**
+             * @param {org.acme.Vehicle} vehicle
+             * @migration
+             */
+            function migrateVehicle(vehicle) {
+                vehicle.make = 'Acme';
+            }`));
+            migrator.check();
+        });
+
+        it('should not throw if there are breaking changes to a type migrated by a migration function for a type that uses it', () => {
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('o BLUE', 'o GREEN', `
+            /**
+             * @param {org.acme.Vehicle} vehicle
+             * @migration
+             */
+            function migrateVehicle(vehicle) {
+                vehicle.colour = vehicle.colour === 'BLUE' ? 'GREEN' : vehicle.colour;
+            }`));
+            migrator.check();
+        });
+
+        it('should throw if there are breaking changes to a type that is only used by types without a migration function', () => {
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('o String city', 'o String town', `
+            /**
+             * @param {org.acme.Colour} colour
+             * @migration
+             */
+            function migrateColour(colour) {
+            }
+            /**
+             * @param {org.acme.Vehicle} vehicle
+             * @migration
+             */
+            function migrateVehicle(vehicle) {
+            }`));
+            (() => {
+                migrator.check();
+            }).should.throw(/org.acme.Address.city: The property was removed; org.acme.Address.town: A required property was added; org.acme.UKAddress.city: The property was removed; org.acme.UKAddress.town: A required property was added$/);
+        });
+
+    });
+
+    describe('#migrate', () => {
+
+        it('should do nothing if there are no migration functions', () => {
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('Vehicle', 'Vehicle'));
+            return migrator.migrate(mockContext)
+                .then(() => {
+                    sinon.assert.notCalled(mockContext.getSystemRegistries);
+                });
+        });
+
+        it('should update the migrated resources in their registry', () => {
+            const vehicles = addRegistry('Asset', 'org.acme.Vehicle', [
+                { $class: 'org.acme.Vehicle', vin: 'VEH_1', colour: 'RED' },
+                { $class: 'org.acme.Vehicle', vin: 'VEH_2', colour: 'BLUE' }
+            ]);
+            const people = addRegistry('Participant', 'org.acme.Person', [
+                { $class: 'org.acme.Person', email: 'alice@acme.org' }
+            ]);
+            const transactions = addRegistry('Transaction', 'default', [
+                { $class: 'org.acme.Sell', transactionId: 'TX_1', vin: 'VEH_1', timestamp: '1970-01-01T00:00:00.000Z' }
+            ]);
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('o Colour colour', 'o Colour colour\n      o String make', `
+            /**
+             * @param {org.acme.Vehicle} vehicle
+             * @migration
+             */
+            function migrateVehicle(vehicle) {
+                vehicle.make = vehicle.colour === 'RED' ? 'Acme' : 'Other';
+            }`));
+            return migrator.migrate(mockContext)
+                .then(() => {
+                    sinon.assert.calledTwice(vehicles.update);
+                    sinon.assert.calledWith(vehicles.update, 'VEH_1', { $class: 'org.acme.Vehicle', vin: 'VEH_1', colour: 'RED', make: 'Acme' });
+                    sinon.assert.calledWith(vehicles.update, 'VEH_2', { $class: 'org.acme.Vehicle', vin: 'VEH_2', colour: 'BLUE', make: 'Other' });
+                    sinon.assert.notCalled(people.getAll);
+                    sinon.assert.notCalled(transactions.getAll);
+                    sinon.assert.notCalled(mockDataService.deleteCollection);
+                });
+        });
+
+        it('should replace the migrated resources if their identifiers changed', () => {
+            const vehicles = addRegistry('Asset', 'org.acme.Vehicle', [
+                { $class: 'org.acme.Vehicle', vin: 'VEH_1', colour: 'RED' }
+            ]);
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('Vehicle', 'Vehicle', `
+            /**
+             * @param {org.acme.Vehicle} vehicle
+             * @migration
+             */
+            function migrateVehicle(vehicle) {
+                vehicle.vin = 'ACME_' + vehicle.vin;
+                return vehicle;
+            }`));
+            return migrator.migrate(mockContext)
+                .then(() => {
+                    sinon.assert.notCalled(vehicles.update);
+                    sinon.assert.calledOnce(vehicles.remove);
+                    sinon.assert.calledWith(vehicles.remove, 'VEH_1');
+                    sinon.assert.calledOnce(vehicles.add);
+                    sinon.assert.calledWith(vehicles.add, 'ACME_VEH_1', { $class: 'org.acme.Vehicle', vin: 'ACME_VEH_1', colour: 'RED' });
+                    sinon.assert.callOrder(vehicles.remove, vehicles.add);
+                });
+        });
+
+        it('should move the migrated resources of a renamed type to the new registry and delete the old registry', () => {
+            const vehicles = addRegistry('Asset', 'org.acme.Vehicle', [
+                { $class: 'org.acme.Vehicle', vin: 'VEH_1', colour: 'RED' }
+            ]);
+            const cars = addRegistry('Asset', 'org.acme.Car', []);
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('asset Vehicle', 'asset Car', `
+            /**
+             * @param {org.acme.Vehicle} vehicle
+             * @migration
+             */
+            function migrateVehicle(vehicle) {
+                vehicle.$class = 'org.acme.Car';
+            }`));
+            return migrator.migrate(mockContext)
+                .then(() => {
+                    sinon.assert.calledOnce(vehicles.remove);
+                    sinon.assert.calledWith(vehicles.remove, 'VEH_1');
+                    sinon.assert.calledOnce(cars.add);
+                    sinon.assert.calledWith(cars.add, 'VEH_1', { $class: 'org.acme.Car', vin: 'VEH_1', colour: 'RED' });
+                    sinon.assert.calledOnce(mockDataService.deleteCollection);
+                    sinon.assert.calledWith(mockDataService.deleteCollection, 'Asset:org.acme.Vehicle');
+                    sinon.assert.calledOnce(mockSysRegistries.remove);
+                    sinon.assert.calledWith(mockSysRegistries.remove, 'Asset:org.acme.Vehicle');
+                });
+        });
+
+        it('should move the resources of an asset type that was changed to a participant type to the new registry', () => {
+            const vehicles = addRegistry('Asset', 'org.acme.Vehicle', [
+                { $class: 'org.acme.Vehicle', vin: 'VEH_1', colour: 'RED' }
+            ]);
+            const vehicleParticipants = addRegistry('Participant', 'org.acme.Vehicle', []);
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('asset Vehicle', 'participant Vehicle', `
+            /**
+             * @param {org.acme.Vehicle} vehicle
+             * @migration
+             */
+            function migrateVehicle(vehicle) {
+            }`));
+            return migrator.migrate(mockContext)
+                .then(() => {
+                    sinon.assert.calledOnce(vehicles.remove);
+                    sinon.assert.calledWith(vehicles.remove, 'VEH_1');
+                    sinon.assert.calledOnce(vehicleParticipants.add);
+                    sinon.assert.calledWith(vehicleParticipants.add, 'VEH_1', { $class: 'org.acme.Vehicle', vin: 'VEH_1', colour: 'RED' });
+                    sinon.assert.calledOnce(mockDataService.deleteCollection);
+                    sinon.assert.calledWith(mockDataService.deleteCollection, 'Asset:org.acme.Vehicle');
+                });
+        });
+
+        it('should migrate transactions in the transaction registry', () => {
+            const transactions = addRegistry('Transaction', 'default', [
+                { $class: 'org.acme.Sell', transactionId: 'TX_1', vin: 'VEH_1', timestamp: '1970-01-01T00:00:00.000Z' }
+            ]);
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition(/Sell/g, 'Sale', `
+            /**
+             * @param {org.acme.Sell} sell
+             * @migration
+             */
+            function migrateSell(sell) {
+                sell.$class = 'org.acme.Sale';
+            }`));
+            return migrator.migrate(mockContext)
+                .then(() => {
+                    sinon.assert.calledOnce(transactions.update);
+                    sinon.assert.calledWith(transactions.update, 'TX_1', { $class: 'org.acme.Sale', transactionId: 'TX_1', vin: 'VEH_1', timestamp: '1970-01-01T00:00:00.000Z' });
+                    sinon.assert.notCalled(mockDataService.deleteCollection);
+                });
+        });
+
+        it('should migrate the concepts in resources before the resources', () => {
+            const vehicles = addRegistry('Asset', 'org.acme.Vehicle', [
+                { $class: 'org.acme.Vehicle', vin: 'VEH_1', colour: 'RED' }
+            ]);
+            const people = addRegistry('Participant', 'org.acme.Person', [
+                {
+                    $class: 'org.acme.Person',
+                    email: 'alice@acme.org',
+                    address: { $class: 'org.acme.Address', city: 'Winchester' },
+                    previousAddresses: [{ $class: 'org.acme.Address', city: 'Southampton' }]
+                },
+                { $class: 'org.acme.Person', email: 'bob@acme.org' }
+            ]);
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('o String city', 'o String[] lines', `
+            /**
+             * @param {org.acme.Address} address
+             * @migration
+             */
+            function migrateAddress(address) {
+                return { $class: address.$class, lines: [address.city] };
+            }
+            /**
+             * @param {org.acme.Person} person
+             * @migration
+             */
+            function migratePerson(person) {
+                if (person.address) {
+                    person.address.lines.unshift(person.email);
+                }
+            }`));
+            return migrator.migrate(mockContext)
+                .then(() => {
+                    sinon.assert.calledOnce(people.update);
+                    sinon.assert.calledWith(people.update, 'alice@acme.org', {
+                        $class: 'org.acme.Person',
+                        email: 'alice@acme.org',
+                        address: { $class: 'org.acme.Address', lines: ['alice@acme.org', 'Winchester'] },
+                        previousAddresses: [{ $class: 'org.acme.Address', lines: ['Southampton'] }]
+                    });
+                    sinon.assert.notCalled(vehicles.getAll);
+                });
+        });
+
+        it('should migrate the resources that contain concepts of a subtype of the type of a property', () => {
+            const vehicles = addRegistry('Asset', 'org.acme.Vehicle', [
+                { $class: 'org.acme.Vehicle', vin: 'VEH_1', colour: 'RED' }
+            ]);
+            const people = addRegistry('Participant', 'org.acme.Person', [
+                { $class: 'org.acme.Person', email: 'alice@acme.org', address: { $class: 'org.acme.UKAddress', city: 'Winchester' } }
+            ]);
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('Vehicle', 'Vehicle', `
+            /**
+             * @param {org.acme.UKAddress} address
+             * @migration
+             */
+            function migrateUKAddress(address) {
+                address.postcode = 'SO23';
+            }`));
+            return migrator.migrate(mockContext)
+                .then(() => {
+                    sinon.assert.calledOnce(people.update);
+                    sinon.assert.calledWith(people.update, 'alice@acme.org');
+                    sinon.assert.notCalled(vehicles.getAll);
+                });
+        });
+
+        it('should migrate one registry at a time and not migrate resources moved to a registry again', () => {
+            const vehicles = addRegistry('Asset', 'org.acme.Vehicle', [
+                { $class: 'org.acme.Vehicle', vin: 'VEH_1', colour: 'RED' }
+            ]);
+            // The registry for people is read after the vehicle has been moved to it.
+            const people = addRegistry('Participant', 'org.acme.Person', [
+                { $class: 'org.acme.Person', email: 'alice@acme.org' },
+                { $class: 'org.acme.Person', email: 'VEH_1' }
+            ]);
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('Vehicle', 'Vehicle', `
+            /**
+             * @param {org.acme.Vehicle} vehicle
+             * @migration
+             */
+            function migrateVehicle(vehicle) {
+                return { $class: 'org.acme.Person', email: vehicle.vin };
+            }
+            /**
+             * @param {org.acme.Person} person
+             * @migration
+             */
+            function migratePerson(person) {
+                person.address = { $class: 'org.acme.Address', city: 'Winchester' };
+            }`));
+            return migrator.migrate(mockContext)
+                .then(() => {
+                    sinon.assert.callOrder(vehicles.getAll, vehicles.remove, people.add, people.getAll, people.update);
+                    sinon.assert.calledOnce(people.add);
+                    sinon.assert.calledWith(people.add, 'VEH_1', { $class: 'org.acme.Person', email: 'VEH_1' });
+                    sinon.assert.calledOnce(people.update);
+                    sinon.assert.calledWith(people.update, 'alice@acme.org', {
+                        $class: 'org.acme.Person',
+                        email: 'alice@acme.org',
+                        address: { $class: 'org.acme.Address', city: 'Winchester' }
+                    });
+                });
+        });
+
+        it('should reject if a migrated resource is not valid', () => {
+            addRegistry('Asset', 'org.acme.Vehicle', [
+                { $class: 'org.acme.Vehicle', vin: 'VEH_1', colour: 'RED' }
+            ]);
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('o Colour colour', 'o Colour colour\n      o String make', `
+            /**
+             * @param {org.acme.Vehicle} vehicle
+             * @migration
+             */
+            function migrateVehicle(vehicle) {
+                vehicle.model = 'Acme';
+            }`));
+            return migrator.migrate(mockContext)
+                .should.be.rejectedWith(/The migrated resource org.acme.Vehicle#VEH_1 is not valid: /);
+        });
+
+        it('should reject if the resources of a removed type are not migrated', () => {
+            const vehicles = addRegistry('Asset', 'org.acme.Vehicle', [
+                { $class: 'org.acme.Vehicle', vin: 'VEH_1', colour: 'RED' }
+            ]);
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('asset Vehicle', 'asset Car', `
+            /**
+             * @param {org.acme.Person} person
+             * @migration
+             */
+            function migratePerson(person) {
+            }`));
+            return migrator.migrate(mockContext)
+                .should.be.rejectedWith(/The migrated resource org.acme.Vehicle#VEH_1 is not valid: /)
+                .then(() => {
+                    sinon.assert.notCalled(vehicles.remove);
+                    sinon.assert.notCalled(mockDataService.deleteCollection);
+                });
+        });
+
+        it('should reject if a migrated asset is not an asset or participant', () => {
+            addRegistry('Asset', 'org.acme.Vehicle', [
+                { $class: 'org.acme.Vehicle', vin: 'VEH_1', colour: 'RED' }
+            ]);
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('Vehicle', 'Vehicle', `
+            /**
+             * @param {org.acme.Vehicle} vehicle
+             * @migration
+             */
+            function migrateVehicle(vehicle) {
+                return { $class: 'org.acme.Sell', transactionId: vehicle.vin, vin: vehicle.vin, timestamp: '1970-01-01T00:00:00.000Z' };
+            }`));
+            return migrator.migrate(mockContext)
+                .should.be.rejectedWith(/The migrated resource org.acme.Vehicle#VEH_1 cannot be stored as a org.acme.Sell/);
+        });
+
+        it('should reject if a migrated asset is a concept', () => {
+            addRegistry('Asset', 'org.acme.Vehicle', [
+                { $class: 'org.acme.Vehicle', vin: 'VEH_1', colour: 'RED' }
+            ]);
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('Vehicle', 'Vehicle', `
+            /**
+             * @param {org.acme.Vehicle} vehicle
+             * @migration
+             */
+            function migrateVehicle(vehicle) {
+                return { $class: 'org.acme.Address', city: vehicle.vin };
+            }`));
+            return migrator.migrate(mockContext)
+                .should.be.rejectedWith(/The migrated resource org.acme.Vehicle#VEH_1 cannot be stored as a org.acme.Address/);
+        });
+
+        it('should reject if a migrated resource has an abstract type', () => {
+            addRegistry('Asset', 'org.acme.Vehicle', [
+                { $class: 'org.acme.Vehicle', vin: 'VEH_1', colour: 'RED' }
+            ]);
+            const migrator = new BusinessNetworkMigrator(oldModelManager, createBusinessNetworkDefinition('asset Vehicle', 'abstract asset Vehicle', `
+            /**
+             * @param {org.acme.Vehicle} vehicle
+             * @migration
+             */
+            function migrateVehicle(vehicle) {
+            }`));
+            return migrator.migrate(mockContext)
+                .should.be.rejectedWith(/The migrated resource org.acme.Vehicle#VEH_1 /);
+        });
+
+    });
+
+});
@@ -0,0 +1,188 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Certificate = require('../lib/certificate');
+
+require('chai').should();
+
+// A version 1 certificate issued by a certificate authority.
+const certificate = [
+    '-----BEGIN CERTIFICATE-----',
+    'MIIBVzCB/QIBATAKBggqhkjOPQQDAjAvMRQwEgYDVQQKDAtIeXBlcmxlZGdlcjEX',
+    'MBUGA1UEAwwOY2EuZXhhbXBsZS5jb20wHhcNMjYxMDE5MDgxNzMwWhcNMzYxMDE2',
+    'MDgxNzMwWjBAMRQwEgYDVQQKDAtIeXBlcmxlZGdlcjEPMA0GA1UECwwGY2xpZW50',
+    'MRcwFQYDVQQDDA5ib2JAdWsuaWJtLmNvbTBZMBMGByqGSM49AgEGCCqGSM49AwEH',
+    'A0IABEebZDKuK20Ik07gYFjUMlx3HdaRbSfdB57S9lgd+D0dzMaxbEOCCT/vvoYL',
+    'xDGz/Z15+fYctEximF5y+muvBW0wCgYIKoZIzj0EAwIDSQAwRgIhAMIOWQ1UCU0+',
+    'ZmTP1WLCfDNLQusPlPcC/7/c733w4x1uAiEAlF2NtOn+Mfc6mbBWz4Q/vrKOqZSo',
+    'eXuMQuRqkDnhhM8=',
+    '-----END CERTIFICATE-----'
+].join('\n');
+
+// A version 3 self-signed certificate with extensions.
+const selfSignedCertificate = [
+    '-----BEGIN CERTIFICATE-----',
+    'MIICITCCAcegAwIBAgIUDELGgtI/NVqpLEDlLvFstbmCOUUwCgYIKoZIzj0EAwIw',
+    'ZjELMAkGA1UEBhMCVVMxFzAVBgNVBAgMDk5vcnRoIENhcm9saW5hMRQwEgYDVQQK',
+    'DAtIeXBlcmxlZGdlcjEPMA0GA1UECwwGRmFicmljMRcwFQYDVQQDDA5ib2JAdWsu',
+    'aWJtLmNvbTAeFw0yNjEwMTkwODE3MjZaFw0zNjEwMTYwODE3MjZaMGYxCzAJBgNV',
+    'BAYTAlVTMRcwFQYDVQQIDA5Ob3J0aCBDYXJvbGluYTEUMBIGA1UECgwLSHlwZXJs',
+    'ZWRnZXIxDzANBgNVBAsMBkZhYnJpYzEXMBUGA1UEAwwOYm9iQHVrLmlibS5jb20w',
+    'WTATBgcqhkjOPQIBBggqhkjOPQMBBwNCAAQ/z6a1bQhU544xBlHhX6SV60PSy2+R',
+    'ZiebuxVwPXLEpZiuikGXjHcN6JOxbUJEH2EtbC2BSza3ga1tya8yddVno1MwUTAd',
+    'BgNVHQ4EFgQUwjLNBydBuWI/B0qAxhtFHdXI4PQwHwYDVR0jBBgwFoAUwjLNBydB',
+    'uWI/B0qAxhtFHdXI4PQwDwYDVR0TAQH/BAUwAwEB/zAKBggqhkjOPQQDAgNIADBF',
+    'AiAUENRtPwoaVOcfyyS5eZ/Bqn0Rbu4rnellkvda3l4T0wIhAJ+rN2uXglAFUbzu',
+    'jfbDDhyRrhyVIyPA1uP9LLvVSv8b',
+    '-----END CERTIFICATE-----'
+].join('\n');
+
+// A version 3 self-signed certificate with attributes.
+const attributesCertificate = [
+    '-----BEGIN CERTIFICATE-----',
+    'MIICDzCCAbagAwIBAgIULInL/oH8J4PfKWO2ThhfqahM7rEwCgYIKoZIzj0EAwIw',
+    'QjEUMBIGA1UECgwLSHlwZXJsZWRnZXIxDzANBgNVBAsMBmNsaWVudDEZMBcGA1UE',
+    'AwwQYWxpY2VAdWsuaWJtLmNvbTAeFw0yNjEwMTkwODI1NThaFw0zNjEwMTYwODI1',
+    'NThaMEIxFDASBgNVBAoMC0h5cGVybGVkZ2VyMQ8wDQYDVQQLDAZjbGllbnQxGTAX',
+    'BgNVBAMMEGFsaWNlQHVrLmlibS5jb20wWTATBgcqhkjOPQIBBggqhkjOPQMBBwNC',
+    'AASuaQTaTi/wM8DTwyur7juEUWRrWYNpPECH7kmjjtA3F98dXkXyyDbDU5dXqN5U',
+    'wfCdUPmrjzUARfMX4ZPo/RZLo4GJMIGGMB0GA1UdDgQWBBSSdzS2OiTISzXqq6/i',
+    'E1GP6zahhDAfBgNVHSMEGDAWgBSSdzS2OiTISzXqq6/iE1GP6zahhDAPBgNVHRMB',
+    'Af8EBTADAQH/MDMGCCoDBAUGBwgBBCd7ImF0dHJzIjp7Im9yZyI6Im9yZzEiLCJy',
+    'b2xlIjoiYWRtaW4ifX0wCgYIKoZIzj0EAwIDRwAwRAIgEMipoEzIXdUBD9YHdTCJ',
+    'Livt2xdD7SS6qtlSbmhIhgECIDSNKPtQivGbOBbcsAaRjuLp95UP6LqNo/2Kk4Dv',
+    'Hhw4',
+    '-----END CERTIFICATE-----'
+].join('\n');
+
+// A version 3 self-signed certificate with attributes that are not valid JSON.
+const invalidAttributesCertificate = [
+    '-----BEGIN CERTIFICATE-----',
+    'MIIB7zCCAZWgAwIBAgIUOsO9oaoENhXp6IfAoigA6c+EzKMwCgYIKoZIzj0EAwIw',
+    'QjEUMBIGA1UECgwLSHlwZXJsZWRnZXIxDzANBgNVBAsMBmNsaWVudDEZMBcGA1UE',
+    'AwwQYWxpY2VAdWsuaWJtLmNvbTAeFw0yNjEwMTkwODI1NThaFw0zNjEwMTYwODI1',
+    'NThaMEIxFDASBgNVBAoMC0h5cGVybGVkZ2VyMQ8wDQYDVQQLDAZjbGllbnQxGTAX',
+    'BgNVBAMMEGFsaWNlQHVrLmlibS5jb20wWTATBgcqhkjOPQIBBggqhkjOPQMBBwNC',
+    'AASuaQTaTi/wM8DTwyur7juEUWRrWYNpPECH7kmjjtA3F98dXkXyyDbDU5dXqN5U',
+    'wfCdUPmrjzUARfMX4ZPo/RZLo2kwZzAdBgNVHQ4EFgQUknc0tjokyEs16quv4hNR',
+    'j+s2oYQwHwYDVR0jBBgwFoAUknc0tjokyEs16quv4hNRj+s2oYQwDwYDVR0TAQH/',
+    'BAUwAwEB/zAUBggqAwQFBgcIAQQIbm90IGpzb24wCgYIKoZIzj0EAwIDSAAwRQIh',
+    'AIgXgQ1CgywBm7V55oYcU+gtO+1vOebQ8PgRMgTvsuWFAiA7TFKLh8Pfxd1HrRE9',
+    'EeORHTXetV4tfIaohkEwqQsW6g==',
+    '-----END CERTIFICATE-----'
+].join('\n');
+
+describe('Certificate', () => {
+
+    describe('#constructor', () => {
+
+        it('should throw if the certificate is not PEM encoded', () => {
+            (() => {
+                new Certificate('such certificate');
+            }).should.throw(/Invalid certificate/);
+        });
+
+        it('should throw if the certificate is not specified', () => {
+            (() => {
+                new Certificate();
+            }).should.throw(/Invalid certificate/);
+        });
+
+        it('should throw if the certificate is empty', () => {
+            (() => {
+                new Certificate('-----BEGIN CERTIFICATE-----\n-----END CERTIFICATE-----');
+            }).should.throw(/Invalid certificate/);
+        });
+
+        it('should throw if the certificate is truncated', () => {
+            let lines = certificate.split('\n');
+            let truncated = lines.slice(0, 3).concat(lines.slice(-1)).join('\n');
+            (() => {
+                new Certificate(truncated);
+            }).should.throw(/Invalid certificate/);
+        });
+
+        it('should throw if the subject of the certificate does not specify a common name', () => {
+            // Replace the common name object identifier (2.5.4.3) with the pseudonym object identifier (2.5.4.65).
+            let der = Buffer.from(certificate.split('\n').slice(1, -1).join(''), 'base64');
+            let index = der.lastIndexOf(Buffer.from([0x06, 0x03, 0x55, 0x04, 0x03]));
+            der[index + 4] = 0x41;
+            let pem = '-----BEGIN CERTIFICATE-----\n' + der.toString('base64') + '\n-----END CERTIFICATE-----';
+            (() => {
+                new Certificate(pem);
+            }).should.throw(/The certificate does not specify a common name/);
+        });
+
+    });
+
+    describe('#getCertificate', () => {
+
+        it('should return the PEM encoded certificate', () => {
+            new Certificate(certificate).getCertificate().should.equal(certificate + '\n');
+        });
+
+        it('should normalize the PEM encoded certificate', () => {
+            let pem = '  ' + certificate.replace(/\n/g, '\r\n') + '\r\n\r\n';
+            new Certificate(pem).getCertificate().should.equal(certificate + '\n');
+        });
+
+    });
+
+    describe('#getFingerprint', () => {
+
+        it('should return the SHA-256 fingerprint of a certificate', () => {
+            new Certificate(certificate).getFingerprint().should.equal('aefa5f383588e0b91bf7976639dd73437a23dbbec2dfaaf8877ae28fa77eee00');
+        });
+
+        it('should return the SHA-256 fingerprint of a self-signed certificate', () => {
+            new Certificate(selfSignedCertificate).getFingerprint().should.equal('6baa2c907632ac09caf10fbdccaf55dc6a5b4b8d640bd9f496dd077d7ae7614a');
+        });
+
+    });
+
+    describe('#getName', () => {
+
+        it('should return the common name of the subject of a certificate', () => {
+            new Certificate(certificate).getName().should.equal('bob@uk.ibm.com');
+        });
+
+        it('should return the common name of the subject of a self-signed certificate', () => {
+            new Certificate(selfSignedCertificate).getName().should.equal('bob@uk.ibm.com');
+        });
+
+    });
+
+    describe('#getAttributes', () => {
+
+        it('should return an empty object for a certificate without extensions', () => {
+            new Certificate(certificate).getAttributes().should.deep.equal({});
+        });
+
+        it('should return an empty object for a certificate without attributes', () => {
+            new Certificate(selfSignedCertificate).getAttributes().should.deep.equal({});
+        });
+
+        it('should return the attributes of a certificate', () => {
+            new Certificate(attributesCertificate).getAttributes().should.deep.equal({ org: 'org1', role: 'admin' });
+        });
+
+        it('should return an empty object for a certificate with invalid attributes', () => {
+            new Certificate(invalidAttributesCertificate).getAttributes().should.deep.equal({});
+        });
+
+    });
+
+});
@@ -18,17 +18,23 @@ const AccessController = require('../lib/accesscontroller');
 const AclManager = require('composer-common').AclManager;
 const Api = require('../lib/api');
 const BusinessNetworkDefinition = require('composer-common').BusinessNetworkDefinition;
+const Certificate = require('../lib/certificate');
 const Context = require('../lib/context');
 const DataCollection = require('../lib/datacollection');
 const DataService = require('../lib/dataservice');
 const Engine = require('../lib/engine');
+const EventService = require('../lib/eventservice');
 const Factory = require('composer-common').Factory;
+const Historian = require('../lib/historian');
 const IdentityManager = require('../lib/identitymanager');
 const IdentityService = require('../lib/identityservice');
 const Introspector = require('composer-common').Introspector;
 const JSTransactionExecutor = require('../lib/jstransactionexecutor');
 const ModelManager = require('composer-common').ModelManager;
+const OverlayDataCollection = require('../lib/overlaydatacollection');
+const OverlayDataService = require('../lib/overlaydataservice');
 const QueryExecutor = require('../lib/queryexecutor');
+const QueryManager = require('composer-common').QueryManager;
 const RegistryManager = require('../lib/registrymanager');
 const Resolver = require('../lib/resolver');
 const Resource = require('composer-common').Resource;
@@ -43,6 +49,24 @@ chai.use(require('chai-as-promised'));
 const sinon = require('sinon');
 require('sinon-as-promised');
 
+// A version 3 self-signed certificate with attributes.
+const attributesCertificate = [
+    '-----BEGIN CERTIFICATE-----',
+    'MIICDzCCAbagAwIBAgIULInL/oH8J4PfKWO2ThhfqahM7rEwCgYIKoZIzj0EAwIw',
+    'QjEUMBIGA1UECgwLSHlwZXJsZWRnZXIxDzANBgNVBAsMBmNsaWVudDEZMBcGA1UE',
+    'AwwQYWxpY2VAdWsuaWJtLmNvbTAeFw0yNjEwMTkwODI1NThaFw0zNjEwMTYwODI1',
+    'NThaMEIxFDASBgNVBAoMC0h5cGVybGVkZ2VyMQ8wDQYDVQQLDAZjbGllbnQxGTAX',
+    'BgNVBAMMEGFsaWNlQHVrLmlibS5jb20wWTATBgcqhkjOPQIBBggqhkjOPQMBBwNC',
+    'AASuaQTaTi/wM8DTwyur7juEUWRrWYNpPECH7kmjjtA3F98dXkXyyDbDU5dXqN5U',
+    'wfCdUPmrjzUARfMX4ZPo/RZLo4GJMIGGMB0GA1UdDgQWBBSSdzS2OiTISzXqq6/i',
+    'E1GP6zahhDAfBgNVHSMEGDAWgBSSdzS2OiTISzXqq6/iE1GP6zahhDAPBgNVHRMB',
+    'Af8EBTADAQH/MDMGCCoDBAUGBwgBBCd7ImF0dHJzIjp7Im9yZyI6Im9yZzEiLCJy',
+    'b2xlIjoiYWRtaW4ifX0wCgYIKoZIzj0EAwIDRwAwRAIgEMipoEzIXdUBD9YHdTCJ',
+    'Livt2xdD7SS6qtlSbmhIhgECIDSNKPtQivGbOBbcsAaRjuLp95UP6LqNo/2Kk4Dv',
+    'Hhw4',
+    '-----END CERTIFICATE-----'
+].join('\n');
+
 describe('Context', () => {
 
     let mockEngine;
@@ -143,6 +167,25 @@ describe('Context', () => {
         });
 
         it('should load the current participant if an identity is specified', () => {
+            let mockIdentityService = sinon.createStubInstance(IdentityService);
+            sandbox.stub(context, 'getIdentityService').returns(mockIdentityService);
+            let mockIdentityManager = sinon.createStubInstance(IdentityManager);
+            sandbox.stub(context, 'getIdentityManager').returns(mockIdentityManager);
+            mockIdentityService.getCurrentUserID.returns('dogeid1');
+            let mockParticipant = sinon.createStubInstance(Resource);
+            mockParticipant.getFullyQualifiedIdentifier.returns('org.doge.Doge#DOGE_1');
+            mockIdentityManager.getParticipant.withArgs('dogeid1').resolves(mockParticipant);
+            mockIdentityManager.activateIdentity.withArgs('dogeid1').resolves();
+            return context.loadCurrentParticipant()
+                .then((participant) => {
+                    participant.should.equal(mockParticipant);
+                    sinon.assert.calledOnce(mockIdentityManager.activateIdentity);
+                    sinon.assert.calledWith(mockIdentityManager.activateIdentity, 'dogeid1');
+                });
+        });
+
+        it('should load the current participant without activating the identity if read only', () => {
+            context.readOnly = true;
             let mockIdentityService = sinon.createStubInstance(IdentityService);
             sandbox.stub(context, 'getIdentityService').returns(mockIdentityService);
             let mockIdentityManager = sinon.createStubInstance(IdentityManager);
@@ -152,7 +195,10 @@ describe('Context', () => {
             mockParticipant.getFullyQualifiedIdentifier.returns('org.doge.Doge#DOGE_1');
             mockIdentityManager.getParticipant.withArgs('dogeid1').resolves(mockParticipant);
             return context.loadCurrentParticipant()
-                .should.eventually.be.equal(mockParticipant);
+                .then((participant) => {
+                    participant.should.equal(mockParticipant);
+                    sinon.assert.notCalled(mockIdentityManager.activateIdentity);
+                });
         });
 
         it('should throw an error if an invalid identity is specified', () => {
@@ -168,14 +214,102 @@ describe('Context', () => {
 
     });
 
+    describe('#loadCurrentIdentity', () => {
+
+        let mockIdentityService, mockIdentityManager, identity;
+
+        beforeEach(() => {
+            mockIdentityService = sinon.createStubInstance(IdentityService);
+            sandbox.stub(context, 'getIdentityService').returns(mockIdentityService);
+            mockIdentityManager = sinon.createStubInstance(IdentityManager);
+            sandbox.stub(context, 'getIdentityManager').returns(mockIdentityManager);
+            identity = {
+                name: 'dogeid1',
+                issuer: null,
+                certificate: null,
+                fingerprint: null,
+                state: 'ACTIVATED',
+                issued: '2026-10-19T00:00:00.000Z',
+                participant: 'org.doge.Doge#DOGE_1'
+            };
+            mockIdentityManager.getIdentity.withArgs('dogeid1').resolves(identity);
+        });
+
+        it('should return null if no identity is specified', () => {
+            mockIdentityService.getCurrentUserID.returns(null);
+            return context.loadCurrentIdentity()
+                .should.eventually.be.equal(null);
+        });
+
+        it('should load the current identity without attributes if no certificate is available', () => {
+            mockIdentityService.getCurrentUserID.returns('dogeid1');
+            mockIdentityService.getCurrentCertificate.returns(null);
+            return context.loadCurrentIdentity()
+                .then((result) => {
+                    result.should.deep.equal(Object.assign({}, identity, { attributes: {} }));
+                    sinon.assert.calledWith(mockIdentityManager.validateCertificate, identity);
+                });
+        });
+
+        it('should load the current identity with the attributes from the current certificate', () => {
+            mockIdentityService.getCurrentUserID.returns('dogeid1');
+            mockIdentityService.getCurrentCertificate.returns(attributesCertificate);
+            return context.loadCurrentIdentity()
+                .then((result) => {
+                    result.name.should.equal('dogeid1');
+                    result.certificate.should.equal(attributesCertificate);
+                    result.fingerprint.should.equal(new Certificate(attributesCertificate).getFingerprint());
+                    result.attributes.should.deep.equal({ org: 'org1', role: 'admin' });
+                    should.equal(identity.certificate, null);
+                    should.equal(identity.fingerprint, null);
+                });
+        });
+
+        it('should load a bound identity with the attributes from the current certificate', () => {
+            identity.certificate = attributesCertificate;
+            identity.fingerprint = new Certificate(attributesCertificate).getFingerprint();
+            mockIdentityService.getCurrentUserID.returns('dogeid1');
+            mockIdentityService.getCurrentCertificate.returns(attributesCertificate);
+            return context.loadCurrentIdentity()
+                .then((result) => {
+                    result.certificate.should.equal(attributesCertificate);
+                    result.fingerprint.should.equal(identity.fingerprint);
+                    result.attributes.should.deep.equal({ org: 'org1', role: 'admin' });
+                });
+        });
+
+        it('should throw if the current certificate does not match a bound identity', () => {
+            identity.certificate = attributesCertificate;
+            identity.fingerprint = new Certificate(attributesCertificate).getFingerprint();
+            mockIdentityService.getCurrentUserID.returns('dogeid1');
+            mockIdentityService.getCurrentCertificate.returns(null);
+            mockIdentityManager.validateCertificate.withArgs(identity).throws(new Error('such mismatch'));
+            return context.loadCurrentIdentity()
+                .should.be.rejectedWith(/such mismatch/);
+        });
+
+        it('should load the current identity without attributes if the certificate is invalid', () => {
+            mockIdentityService.getCurrentUserID.returns('dogeid1');
+            mockIdentityService.getCurrentCertificate.returns('such certificate');
+            return context.loadCurrentIdentity()
+                .then((result) => {
+                    should.equal(result.certificate, null);
+                    should.equal(result.fingerprint, null);
+                    result.attributes.should.deep.equal({});
+                });
+        });
+
+    });
+
     describe('#initialize', () => {
 
-        let mockBusinessNetwork, mockSystemRegistries, mockSystemIdentities;
+        let mockBusinessNetwork, mockSystemRegistries, mockSystemIdentities, mockSystemHistorian;
 
         beforeEach(() => {
             mockBusinessNetwork = sinon.createStubInstance(BusinessNetworkDefinition);
             sinon.stub(context, 'loadBusinessNetworkDefinition').resolves(mockBusinessNetwork);
             sinon.stub(context, 'loadCurrentParticipant').resolves(null);
+            sinon.stub(context, 'loadCurrentIdentity').resolves(null);
             let mockDataService = sinon.createStubInstance(DataService);
             sinon.stub(context, 'getDataService').returns(mockDataService);
             sinon.stub(context, 'addTransactionExecutor');
@@ -183,6 +317,8 @@ describe('Context', () => {
             mockDataService.getCollection.withArgs('$sysregistries').resolves(mockSystemRegistries);
             mockSystemIdentities = sinon.createStubInstance(DataCollection);
             mockDataService.getCollection.withArgs('$sysidentities').resolves(mockSystemIdentities);
+            mockSystemHistorian = sinon.createStubInstance(DataCollection);
+            mockDataService.getCollection.withArgs('$syshistorian').resolves(mockSystemHistorian);
         });
 
         it('should initialize the context', () => {
@@ -192,10 +328,13 @@ describe('Context', () => {
                     context.businessNetworkDefinition.should.equal(mockBusinessNetwork);
                     sinon.assert.calledOnce(context.loadCurrentParticipant);
                     should.equal(context.participant, null);
+                    sinon.assert.calledOnce(context.loadCurrentIdentity);
+                    should.equal(context.identity, null);
                     sinon.assert.calledOnce(context.addTransactionExecutor);
                     sinon.assert.calledWith(context.addTransactionExecutor, sinon.match.instanceOf(JSTransactionExecutor));
                     context.sysregistries.should.equal(mockSystemRegistries);
                     context.sysidentities.should.equal(mockSystemIdentities);
+                    context.syshistorian.should.equal(mockSystemHistorian);
                 });
         });
 
@@ -208,23 +347,28 @@ describe('Context', () => {
                 });
         });
 
-        it('should initialize the context with the current participant if found', () => {
+        it('should initialize the context with the current participant and identity if found', () => {
             let mockParticipant = sinon.createStubInstance(Resource);
             mockParticipant.getFullyQualifiedIdentifier.returns('org.doge.Doge#DOGE_1');
             context.loadCurrentParticipant.resolves(mockParticipant);
+            let identity = { name: 'dogeid1', attributes: {} };
+            context.loadCurrentIdentity.resolves(identity);
             return context.initialize()
                 .then(() => {
                     context.participant.should.equal(mockParticipant);
+                    context.identity.should.equal(identity);
                 });
         });
 
-        it('should not initialize the context with the current participant if reinitializing', () => {
+        it('should not initialize the context with the current participant or identity if reinitializing', () => {
             let mockParticipant = sinon.createStubInstance(Resource);
             mockParticipant.getFullyQualifiedIdentifier.returns('org.doge.Doge#DOGE_1');
             context.loadCurrentParticipant.resolves(mockParticipant);
             return context.initialize({ reinitialize: true })
                 .then(() => {
                     should.equal(context.participant, null);
+                    sinon.assert.notCalled(context.loadCurrentIdentity);
+                    should.equal(context.identity, null);
                 });
         });
 
@@ -244,6 +388,21 @@ describe('Context', () => {
                 });
         });
 
+        it('should initialize the context with a specified system historian collection', () => {
+            let mockSystemHistorian2 = sinon.createStubInstance(DataCollection);
+            return context.initialize({ syshistorian: mockSystemHistorian2 })
+                .then(() => {
+                    context.syshistorian.should.equal(mockSystemHistorian2);
+                });
+        });
+
+        it('should initialize the context as read-only', () => {
+            return context.initialize({ readOnly: true })
+                .then(() => {
+                    context.readOnly.should.be.true;
+                });
+        });
+
     });
 
     describe('#getDataService', () => {
@@ -266,6 +425,16 @@ describe('Context', () => {
 
     });
 
+    describe('#getEventService', () => {
+
+        it('should throw as abstract method', () => {
+            (() => {
+                context.getEventService();
+            }).should.throw(/abstract function called/);
+        });
+
+    });
+
     describe('#getModelManager', () => {
 
         it('should throw if not initialized', () => {
@@ -317,6 +486,23 @@ describe('Context', () => {
 
     });
 
+    describe('#getQueryManager', () => {
+
+        it('should throw if not initialized', () => {
+            (() => {
+                context.getQueryManager();
+            }).should.throw(/must call initialize before calling this function/);
+        });
+
+        it('should return the business networks query manager', () => {
+            let mockQueryManager = sinon.createStubInstance(QueryManager);
+            context.businessNetworkDefinition = sinon.createStubInstance(BusinessNetworkDefinition);
+            context.businessNetworkDefinition.getQueryManager.returns(mockQueryManager);
+            context.getQueryManager().should.equal(mockQueryManager);
+        });
+
+    });
+
     describe('#getFactory', () => {
 
         it('should throw if not initialized', () => {
@@ -384,6 +570,16 @@ describe('Context', () => {
             context.getRegistryManager().should.be.an.instanceOf(RegistryManager);
         });
 
+        it('should return a new read-only registry manager if the context is read-only', () => {
+            sinon.stub(context, 'getDataService').returns(sinon.createStubInstance(DataService));
+            sinon.stub(context, 'getIntrospector').returns(sinon.createStubInstance(Introspector));
+            sinon.stub(context, 'getSerializer').returns(sinon.createStubInstance(Serializer));
+            sinon.stub(context, 'getAccessController').returns(sinon.createStubInstance(AccessController));
+            sinon.stub(context, 'getSystemRegistries').returns(sinon.createStubInstance(DataCollection));
+            context.readOnly = true;
+            context.getRegistryManager().readOnly.should.be.true;
+        });
+
         it('should return an existing registry manager', () => {
             let mockRegistryManager = sinon.createStubInstance(RegistryManager);
             context.registryManager = mockRegistryManager;
@@ -419,6 +615,11 @@ describe('Context', () => {
             sinon.stub(context, 'getParticipant').returns(mockParticipant);
             let mockRegistryManager = sinon.createStubInstance(RegistryManager);
             sinon.stub(context, 'getRegistryManager').returns(mockRegistryManager);
+            let mockSerializer = sinon.createStubInstance(Serializer);
+            sinon.stub(context, 'getSerializer').returns(mockSerializer);
+            let mockEventService = sinon.createStubInstance(EventService);
+            sinon.stub(context, 'getEventService').returns(mockEventService);
+            sinon.stub(context, 'getIdentity').returns({ name: 'dogeid1' });
             context.getApi().should.be.an.instanceOf(Api);
         });
 
@@ -455,7 +656,10 @@ describe('Context', () => {
             sinon.stub(context, 'getRegistryManager').returns(mockRegistryManager);
             let mockSystemIdentities = sinon.createStubInstance(DataCollection);
             sinon.stub(context, 'getSystemIdentities').returns(mockSystemIdentities);
+            let mockIdentityService = sinon.createStubInstance(IdentityService);
+            sinon.stub(context, 'getIdentityService').returns(mockIdentityService);
             context.getIdentityManager().should.be.an.instanceOf(IdentityManager);
+            context.getIdentityManager().identityService.should.equal(mockIdentityService);
         });
 
         it('should return an existing registry manager', () => {
@@ -466,6 +670,26 @@ describe('Context', () => {
 
     });
 
+    describe('#getHistorian', () => {
+
+        it('should return a new historian', () => {
+            let mockSerializer = sinon.createStubInstance(Serializer);
+            sinon.stub(context, 'getSerializer').returns(mockSerializer);
+            let mockAccessController = sinon.createStubInstance(AccessController);
+            sinon.stub(context, 'getAccessController').returns(mockAccessController);
+            let mockSystemHistorian = sinon.createStubInstance(DataCollection);
+            sinon.stub(context, 'getSystemHistorian').returns(mockSystemHistorian);
+            context.getHistorian().should.be.an.instanceOf(Historian);
+        });
+
+        it('should return an existing historian', () => {
+            let mockHistorian = sinon.createStubInstance(Historian);
+            context.historian = mockHistorian;
+            context.getHistorian().should.equal(mockHistorian);
+        });
+
+    });
+
     describe('#getParticipant', () => {
 
         it('should return the current participant', () => {
@@ -500,6 +724,40 @@ describe('Context', () => {
 
     });
 
+    describe('#getIdentity', () => {
+
+        it('should return the current identity', () => {
+            let identity = { name: 'dogeid1' };
+            context.identity = identity;
+            context.getIdentity().should.equal(identity);
+        });
+
+    });
+
+    describe('#setIdentity', () => {
+
+        it('should set the current identity', () => {
+            let identity = { name: 'dogeid1' };
+            let mockAccessController = sinon.createStubInstance(AccessController);
+            context.accessController = mockAccessController;
+            context.setIdentity(identity);
+            context.identity.should.equal(identity);
+            sinon.assert.calledOnce(mockAccessController.setIdentity);
+            sinon.assert.calledWith(mockAccessController.setIdentity, identity);
+        });
+
+        it('should throw if an identity has already been set', () => {
+            let identity = { name: 'dogeid1' };
+            let mockAccessController = sinon.createStubInstance(AccessController);
+            context.accessController = mockAccessController;
+            context.setIdentity(identity);
+            (() => {
+                context.setIdentity(identity);
+            }).should.throw(/A current identity has already been specified/);
+        });
+
+    });
+
     describe('#getTransaction', () => {
 
         it('should return the current transaction', () => {
@@ -518,8 +776,12 @@ describe('Context', () => {
             sinon.stub(context, 'getRegistryManager').returns(mockRegistryManager);
             let mockSerializer = sinon.createStubInstance(Serializer);
             sinon.stub(context, 'getSerializer').returns(mockSerializer);
+            let mockAccessController = sinon.createStubInstance(AccessController);
+            sinon.stub(context, 'getAccessController').returns(mockAccessController);
             context.setTransaction(mockTransaction);
             context.transaction.should.equal(mockTransaction);
+            sinon.assert.calledOnce(mockAccessController.setTransaction);
+            sinon.assert.calledWith(mockAccessController.setTransaction, mockTransaction);
             context.transactionLogger.should.be.an.instanceOf(TransactionLogger);
         });
 
@@ -529,6 +791,8 @@ describe('Context', () => {
             sinon.stub(context, 'getRegistryManager').returns(mockRegistryManager);
             let mockSerializer = sinon.createStubInstance(Serializer);
             sinon.stub(context, 'getSerializer').returns(mockSerializer);
+            let mockAccessController = sinon.createStubInstance(AccessController);
+            sinon.stub(context, 'getAccessController').returns(mockAccessController);
             context.setTransaction(mockTransaction);
             (() => {
                 context.setTransaction(mockTransaction);
@@ -537,6 +801,37 @@ describe('Context', () => {
 
     });
 
+    describe('#clearTransaction', () => {
+
+        it('should clear the current transaction and close the transaction logger', () => {
+            let mockTransaction = sinon.createStubInstance(Resource);
+            let mockTransactionLogger = sinon.createStubInstance(TransactionLogger);
+            let mockAccessController = sinon.createStubInstance(AccessController);
+            sinon.stub(context, 'getAccessController').returns(mockAccessController);
+            context.transaction = mockTransaction;
+            context.transactionLogger = mockTransactionLogger;
+            context.clearTransaction();
+            should.equal(context.transaction, null);
+            should.equal(context.transactionLogger, null);
+            sinon.assert.calledOnce(mockTransactionLogger.close);
+            sinon.assert.calledWith(mockAccessController.setTransaction, null);
+        });
+
+        it('should allow another transaction to be set', () => {
+            let mockTransaction = sinon.createStubInstance(Resource);
+            let mockRegistryManager = sinon.createStubInstance(RegistryManager);
+            sinon.stub(context, 'getRegistryManager').returns(mockRegistryManager);
+            let mockSerializer = sinon.createStubInstance(Serializer);
+            sinon.stub(context, 'getSerializer').returns(mockSerializer);
+            let mockAccessController = sinon.createStubInstance(AccessController);
+            sinon.stub(context, 'getAccessController').returns(mockAccessController);
+            context.clearTransaction();
+            context.setTransaction(mockTransaction);
+            context.transaction.should.equal(mockTransaction);
+        });
+
+    });
+
     describe('#addTransactionExecutor', () => {
 
         it('should add a new transaction executor', () => {
@@ -576,6 +871,16 @@ describe('Context', () => {
 
     });
 
+    describe('#getTransactionLogger', () => {
+
+        it('should return the transaction logger', () => {
+            let mockTransactionLogger = sinon.createStubInstance(TransactionLogger);
+            context.transactionLogger = mockTransactionLogger;
+            context.getTransactionLogger().should.equal(mockTransactionLogger);
+        });
+
+    });
+
     describe('#getTransactionExecutors', () => {
 
         it('should return no transaction executors by default', () => {
@@ -642,6 +947,98 @@ describe('Context', () => {
 
     });
 
+    describe('#getSystemHistorian', () => {
+
+        it('should throw if not initialized', () => {
+            (() => {
+                context.getSystemHistorian();
+            }).should.throw(/must call initialize before calling this function/);
+        });
+
+        it('should return the system historian data collection', () => {
+            let mockSystemHistorian = sinon.createStubInstance(DataCollection);
+            context.syshistorian = mockSystemHistorian;
+            context.getSystemHistorian().should.equal(mockSystemHistorian);
+        });
+
+    });
+
+    describe('#startSimulation', () => {
+
+        it('should use an overlay of the data service for the registries', () => {
+            let mockDataService = sinon.createStubInstance(DataService);
+            sinon.stub(context, 'getDataService').returns(mockDataService);
+            sinon.stub(context, 'getIntrospector').returns(sinon.createStubInstance(Introspector));
+            sinon.stub(context, 'getSerializer').returns(sinon.createStubInstance(Serializer));
+            sinon.stub(context, 'getAccessController').returns(sinon.createStubInstance(AccessController));
+            let mockSystemRegistries = sinon.createStubInstance(DataCollection);
+            context.sysregistries = mockSystemRegistries;
+            let mockSystemIdentities = sinon.createStubInstance(DataCollection);
+            context.sysidentities = mockSystemIdentities;
+            sinon.stub(context, 'getIdentityService').returns(sinon.createStubInstance(IdentityService));
+            context.readOnly = true;
+            let mockRegistryManager = sinon.createStubInstance(RegistryManager);
+            context.registryManager = mockRegistryManager;
+            context.identityManager = sinon.createStubInstance(IdentityManager);
+            let dataService = context.startSimulation();
+            dataService.should.be.an.instanceOf(OverlayDataService);
+            dataService.dataService.should.equal(mockDataService);
+            context.isReadOnly().should.be.false;
+            let registryManager = context.getRegistryManager();
+            registryManager.should.not.equal(mockRegistryManager);
+            registryManager.dataService.should.equal(dataService);
+            registryManager.readOnly.should.be.false;
+            registryManager.sysregistries.should.be.an.instanceOf(OverlayDataCollection);
+            registryManager.sysregistries.dataCollection.should.equal(mockSystemRegistries);
+            let identityManager = context.getIdentityManager();
+            identityManager.dataService.should.equal(dataService);
+            identityManager.sysidentities.should.be.an.instanceOf(OverlayDataCollection);
+            identityManager.sysidentities.dataCollection.should.equal(mockSystemIdentities);
+        });
+
+        it('should not change the system registries when simulating a transaction that adds a registry', () => {
+            let mockDataService = sinon.createStubInstance(DataService);
+            mockDataService.existsCollection.withArgs('Asset:org.acme.Cat').resolves(false);
+            sinon.stub(context, 'getDataService').returns(mockDataService);
+            sinon.stub(context, 'getIntrospector').returns(sinon.createStubInstance(Introspector));
+            sinon.stub(context, 'getSerializer').returns(sinon.createStubInstance(Serializer));
+            sinon.stub(context, 'getAccessController').returns(sinon.createStubInstance(AccessController));
+            let mockSystemRegistries = sinon.createStubInstance(DataCollection);
+            mockSystemRegistries.exists.withArgs('Asset:org.acme.Cat').resolves(false);
+            context.sysregistries = mockSystemRegistries;
+            context.sysidentities = sinon.createStubInstance(DataCollection);
+            context.readOnly = true;
+            let dataService = context.startSimulation();
+            return context.getRegistryManager().add('Asset', 'org.acme.Cat', 'The cats registry')
+                .then(() => {
+                    sinon.assert.notCalled(mockSystemRegistries.add);
+                    sinon.assert.notCalled(mockDataService.createCollection);
+                    dataService.getChanges().should.deep.equal([{
+                        operation: 'add',
+                        collectionId: '$sysregistries',
+                        id: 'Asset:org.acme.Cat',
+                        object: { type: 'Asset', id: 'org.acme.Cat', name: 'The cats registry' }
+                    }]);
+                    return context.getRegistryManager().exists('Asset', 'org.acme.Cat');
+                })
+                .should.eventually.be.true;
+        });
+
+    });
+
+    describe('#isReadOnly', () => {
+
+        it('should return false by default', () => {
+            context.isReadOnly().should.be.false;
+        });
+
+        it('should return true if initialized as read-only', () => {
+            context.readOnly = true;
+            context.isReadOnly().should.be.true;
+        });
+
+    });
+
     describe('#toJSON', () => {
 
         it('should return an empty object', () => {
@@ -63,6 +63,171 @@ describe('DataCollection', () => {
 
     });
 
+    describe('#getPage', () => {
+
+        it('should call _getPage and handle no error', () => {
+            sinon.stub(dataCollection, '_getPage').yields(null, { objects: [], bookmark: null });
+            return dataCollection.getPage(10)
+                .then((result) => {
+                    sinon.assert.calledWith(dataCollection._getPage, 10, null);
+                    result.should.deep.equal({ objects: [], bookmark: null });
+                });
+        });
+
+        it('should call _getPage and handle an error', () => {
+            sinon.stub(dataCollection, '_getPage').yields(new Error('error'), null);
+            return dataCollection.getPage(10, '20')
+                .then((result) => {
+                    throw new Error('should not get here');
+                })
+                .catch((error) => {
+                    sinon.assert.calledWith(dataCollection._getPage, 10, '20');
+                    error.should.match(/error/);
+                });
+        });
+
+    });
+
+    describe('#_getPage', () => {
+
+        beforeEach(() => {
+            sinon.stub(dataCollection, '_getAll').yields(null, [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }, { id: 5 }]);
+        });
+
+        it('should return the first page', () => {
+            const callback = sinon.stub();
+            dataCollection._getPage(2, null, callback);
+            sinon.assert.calledWith(callback, null, { objects: [{ id: 1 }, { id: 2 }], bookmark: '2' });
+        });
+
+        it('should return the next page', () => {
+            const callback = sinon.stub();
+            dataCollection._getPage(2, '2', callback);
+            sinon.assert.calledWith(callback, null, { objects: [{ id: 3 }, { id: 4 }], bookmark: '4' });
+        });
+
+        it('should return the last page', () => {
+            const callback = sinon.stub();
+            dataCollection._getPage(2, '4', callback);
+            sinon.assert.calledWith(callback, null, { objects: [{ id: 5 }], bookmark: null });
+        });
+
+        it('should handle an error from _getAll', () => {
+            dataCollection._getAll.yields(new Error('error'), null);
+            const callback = sinon.stub();
+            dataCollection._getPage(2, null, callback);
+            sinon.assert.calledWith(callback, sinon.match.instanceOf(Error));
+        });
+
+    });
+
+    describe('#setIndexes', () => {
+
+        it('should call _setIndexes and handle no error', () => {
+            sinon.stub(dataCollection, '_setIndexes').yields(null);
+            return dataCollection.setIndexes(['make'])
+                .then(() => {
+                    sinon.assert.calledWith(dataCollection._setIndexes, ['make']);
+                });
+        });
+
+        it('should call _setIndexes and handle an error', () => {
+            sinon.stub(dataCollection, '_setIndexes').yields(new Error('error'));
+            return dataCollection.setIndexes(['make'])
+                .then((result) => {
+                    throw new Error('should not get here');
+                })
+                .catch((error) => {
+                    error.should.match(/error/);
+                });
+        });
+
+    });
+
+    describe('#_setIndexes', () => {
+
+        it('should do nothing', () => {
+            const callback = sinon.stub();
+            dataCollection._setIndexes(['make'], callback);
+            sinon.assert.calledWith(callback, null);
+        });
+
+    });
+
+    describe('#queryIndex', () => {
+
+        it('should call _queryIndex and handle no error', () => {
+            sinon.stub(dataCollection, '_queryIndex').yields(null, [{ make: 'Ford' }]);
+            return dataCollection.queryIndex('make', { lower: 'Ford', upper: 'Ford' })
+                .then((result) => {
+                    sinon.assert.calledWith(dataCollection._queryIndex, 'make', { lower: 'Ford', upper: 'Ford' });
+                    result.should.deep.equal([{ make: 'Ford' }]);
+                });
+        });
+
+        it('should call _queryIndex and handle an error', () => {
+            sinon.stub(dataCollection, '_queryIndex').yields(new Error('error'), null);
+            return dataCollection.queryIndex('make', { lower: 'Ford', upper: 'Ford' })
+                .then((result) => {
+                    throw new Error('should not get here');
+                })
+                .catch((error) => {
+                    error.should.match(/error/);
+                });
+        });
+
+    });
+
+    describe('#_queryIndex', () => {
+
+        beforeEach(() => {
+            sinon.stub(dataCollection, '_getAll').yields(null, [{ year: 2010 }, { year: 2015 }, { year: '2015' }, { }, { year: 2020 }]);
+        });
+
+        it('should return the objects in the range', () => {
+            const callback = sinon.stub();
+            dataCollection._queryIndex('year', { lower: 2015, upper: 2020, upperOpen: true }, callback);
+            sinon.assert.calledWith(callback, null, [{ year: 2015 }]);
+        });
+
+        it('should handle an error from _getAll', () => {
+            dataCollection._getAll.yields(new Error('error'), null);
+            const callback = sinon.stub();
+            dataCollection._queryIndex('year', { lower: 2015, upper: 2015 }, callback);
+            sinon.assert.calledWith(callback, sinon.match.instanceOf(Error));
+        });
+
+    });
+
+    describe('#inRange', () => {
+
+        it('should return false for values that are not strings or numbers', () => {
+            DataCollection.inRange(undefined, {}).should.be.false;
+            DataCollection.inRange(true, {}).should.be.false;
+            DataCollection.inRange({ wow: 'such object' }, {}).should.be.false;
+        });
+
+        it('should return true for any string or number in an unbounded range', () => {
+            DataCollection.inRange('Ford', {}).should.be.true;
+            DataCollection.inRange(2015, {}).should.be.true;
+        });
+
+        it('should check the lower bound of the range', () => {
+            DataCollection.inRange(2015, { lower: 2015 }).should.be.true;
+            DataCollection.inRange(2015, { lower: 2015, lowerOpen: true }).should.be.false;
+            DataCollection.inRange(2014, { lower: 2015 }).should.be.false;
+            DataCollection.inRange('2015', { lower: 2015 }).should.be.false;
+        });
+
+        it('should check the upper bound of the range', () => {
+            DataCollection.inRange('Ford', { upper: 'Ford' }).should.be.true;
+            DataCollection.inRange('Ford', { upper: 'Ford', upperOpen: true }).should.be.false;
+            DataCollection.inRange('Honda', { upper: 'Ford' }).should.be.false;
+            DataCollection.inRange('Ford', { upper: 2015 }).should.be.false;
+        });
+
+    });
+
     describe('#get', () => {
 
         it('should call _get and handle no error', () => {
@@ -176,6 +176,111 @@ describe('DataService', () => {
 
     });
 
+    describe('#transactionStart', () => {
+
+        it('should call _transactionStart and handle no error', () => {
+            sinon.stub(dataService, '_transactionStart').yields(null);
+            return dataService.transactionStart()
+                .then(() => {
+                    sinon.assert.calledOnce(dataService._transactionStart);
+                });
+        });
+
+        it('should call _transactionStart and handle an error', () => {
+            sinon.stub(dataService, '_transactionStart').yields(new Error('error'));
+            return dataService.transactionStart()
+                .then(() => {
+                    throw new Error('should not get here');
+                })
+                .catch((error) => {
+                    sinon.assert.calledOnce(dataService._transactionStart);
+                    error.should.match(/error/);
+                });
+        });
+
+    });
+
+    describe('#_transactionStart', () => {
+
+        it('should do nothing', () => {
+            const callback = sinon.stub();
+            dataService._transactionStart(callback);
+            sinon.assert.calledOnce(callback);
+            sinon.assert.calledWith(callback, null);
+        });
+
+    });
+
+    describe('#transactionCommit', () => {
+
+        it('should call _transactionCommit and handle no error', () => {
+            sinon.stub(dataService, '_transactionCommit').yields(null);
+            return dataService.transactionCommit()
+                .then(() => {
+                    sinon.assert.calledOnce(dataService._transactionCommit);
+                });
+        });
+
+        it('should call _transactionCommit and handle an error', () => {
+            sinon.stub(dataService, '_transactionCommit').yields(new Error('error'));
+            return dataService.transactionCommit()
+                .then(() => {
+                    throw new Error('should not get here');
+                })
+                .catch((error) => {
+                    sinon.assert.calledOnce(dataService._transactionCommit);
+                    error.should.match(/error/);
+                });
+        });
+
+    });
+
+    describe('#_transactionCommit', () => {
+
+        it('should do nothing', () => {
+            const callback = sinon.stub();
+            dataService._transactionCommit(callback);
+            sinon.assert.calledOnce(callback);
+            sinon.assert.calledWith(callback, null);
+        });
+
+    });
+
+    describe('#transactionRollback', () => {
+
+        it('should call _transactionRollback and handle no error', () => {
+            sinon.stub(dataService, '_transactionRollback').yields(null);
+            return dataService.transactionRollback()
+                .then(() => {
+                    sinon.assert.calledOnce(dataService._transactionRollback);
+                });
+        });
+
+        it('should call _transactionRollback and handle an error', () => {
+            sinon.stub(dataService, '_transactionRollback').yields(new Error('error'));
+            return dataService.transactionRollback()
+                .then(() => {
+                    throw new Error('should not get here');
+                })
+                .catch((error) => {
+                    sinon.assert.calledOnce(dataService._transactionRollback);
+                    error.should.match(/error/);
+                });
+        });
+
+    });
+
+    describe('#_transactionRollback', () => {
+
+        it('should do nothing', () => {
+            const callback = sinon.stub();
+            dataService._transactionRollback(callback);
+            sinon.assert.calledOnce(callback);
+            sinon.assert.calledWith(callback, null);
+        });
+
+    });
+
 
     describe('#toJSON', () => {
 
@@ -15,13 +15,16 @@
 'use strict';
 
 const BusinessNetworkDefinition = require('composer-common').BusinessNetworkDefinition;
+const BusinessNetworkMigrator = require('../lib/businessnetworkmigrator');
 const Container = require('../lib/container');
 const Context = require('../lib/context');
 const DataCollection = require('../lib/datacollection');
 const DataService = require('../lib/dataservice');
 const Engine = require('../lib/engine');
 const LoggingService = require('../lib/loggingservice');
+const ModelManager = require('composer-common').ModelManager;
 const RegistryManager = require('../lib/registrymanager');
+const ScriptManager = require('composer-common').ScriptManager;
 const version = require('../package.json').version;
 
 const chai = require('chai');
@@ -50,6 +53,9 @@ describe('EngineBusinessNetworks', () => {
         mockDataService = sinon.createStubInstance(DataService);
         mockRegistryManager = sinon.createStubInstance(RegistryManager);
         mockContext.getDataService.returns(mockDataService);
+        mockDataService.transactionStart.resolves();
+        mockDataService.transactionCommit.resolves();
+        mockDataService.transactionRollback.resolves();
         mockContext.getRegistryManager.returns(mockRegistryManager);
         engine = new Engine(mockContainer);
         sandbox = sinon.sandbox.create();
@@ -104,6 +110,16 @@ describe('EngineBusinessNetworks', () => {
 
     describe('#updateBusinessNetwork', () => {
 
+        let mockScriptManager;
+
+        beforeEach(() => {
+            mockContext.getModelManager.returns(sinon.createStubInstance(ModelManager));
+            mockScriptManager = sinon.createStubInstance(ScriptManager);
+            mockScriptManager.getMigrationFunctionNames.returns({});
+            sandbox.stub(BusinessNetworkMigrator.prototype, 'check');
+            sandbox.stub(BusinessNetworkMigrator.prototype, 'migrate').resolves();
+        });
+
         it('should throw for invalid arguments', () => {
             let result = engine.invoke(mockContext, 'updateBusinessNetwork', ['no', 'args', 'supported']);
             return result.should.be.rejectedWith(/Invalid arguments "\["no","args","supported"\]" to function "updateBusinessNetwork", expecting "\[\"businessNetworkArchive\"\]"/);
@@ -114,11 +130,16 @@ describe('EngineBusinessNetworks', () => {
             sysdata.update.withArgs('businessnetwork', { data: 'aGVsbG8gd29ybGQ=' }).resolves();
             mockDataService.getCollection.withArgs('$sysdata').resolves(sysdata);
             let mockBusinessNetwork = sinon.createStubInstance(BusinessNetworkDefinition);
+            mockBusinessNetwork.getScriptManager.returns(mockScriptManager);
             sandbox.stub(BusinessNetworkDefinition, 'fromArchive').resolves(mockBusinessNetwork);
             sandbox.stub(Context, 'cacheBusinessNetwork');
             mockRegistryManager.createDefaults.resolves();
             return engine.invoke(mockContext, 'updateBusinessNetwork', ['aGVsbG8gd29ybGQ='])
                 .then((result) => {
+                    sinon.assert.calledOnce(BusinessNetworkMigrator.prototype.check);
+                    sinon.assert.calledOnce(BusinessNetworkMigrator.prototype.migrate);
+                    sinon.assert.calledWith(BusinessNetworkMigrator.prototype.migrate, mockContext);
+                    sinon.assert.callOrder(mockRegistryManager.createDefaults, BusinessNetworkMigrator.prototype.migrate);
                     sinon.assert.calledOnce(sysdata.update);
                     sinon.assert.calledWith(sysdata.update, 'businessnetwork', { data: 'aGVsbG8gd29ybGQ=', hash: 'dc9c1c09907c36f5379d615ae61c02b46ba254d92edb77cb63bdcc5247ccd01c' });
                     sinon.assert.calledOnce(Context.cacheBusinessNetwork);
@@ -132,6 +153,24 @@ describe('EngineBusinessNetworks', () => {
                 });
         });
 
+        it('should not update the business network archive if there are breaking changes without migration functions', () => {
+            let sysdata = sinon.createStubInstance(DataCollection);
+            mockDataService.getCollection.withArgs('$sysdata').resolves(sysdata);
+            let mockBusinessNetwork = sinon.createStubInstance(BusinessNetworkDefinition);
+            mockBusinessNetwork.getScriptManager.returns(mockScriptManager);
+            sandbox.stub(BusinessNetworkDefinition, 'fromArchive').resolves(mockBusinessNetwork);
+            sandbox.stub(Context, 'cacheBusinessNetwork');
+            BusinessNetworkMigrator.prototype.check.throws(new Error('there are breaking changes'));
+            return engine.invoke(mockContext, 'updateBusinessNetwork', ['aGVsbG8gd29ybGQ='])
+                .should.be.rejectedWith(/there are breaking changes/)
+                .then(() => {
+                    sinon.assert.notCalled(Context.cacheBusinessNetwork);
+                    sinon.assert.notCalled(sysdata.update);
+                    sinon.assert.notCalled(BusinessNetworkMigrator.prototype.migrate);
+                    sinon.assert.calledOnce(mockDataService.transactionRollback);
+                });
+        });
+
     });
 
     describe('#resetBusinessNetwork', () => {
@@ -159,6 +198,8 @@ describe('EngineBusinessNetworks', () => {
                 .then(() => {
                     sinon.assert.calledWith(mockDataService.deleteCollection, 'Asset:sheeps');
                     sinon.assert.calledWith(mockDataService.deleteCollection, 'Participants:farmers');
+                    sinon.assert.calledWith(mockDataService.deleteCollection, '$syshistorian');
+                    sinon.assert.calledWith(mockDataService.createCollection, '$syshistorian', true);
                     sinon.assert.calledWith(mockDataCollection.remove, 'Asset:sheeps');
                     sinon.assert.calledWith(mockDataCollection.remove, 'Participants:farmers');
                     sinon.assert.calledOnce(mockRegistryManager.add);
@@ -0,0 +1,82 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Container = require('../lib/container');
+const Context = require('../lib/context');
+const Engine = require('../lib/engine');
+const Historian = require('../lib/historian');
+const LoggingService = require('../lib/loggingservice');
+
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+describe('EngineHistorian', () => {
+
+    let mockContainer;
+    let mockLoggingService;
+    let mockContext;
+    let mockHistorian;
+    let engine;
+
+    beforeEach(() => {
+        mockContainer = sinon.createStubInstance(Container);
+        mockLoggingService = sinon.createStubInstance(LoggingService);
+        mockContainer.getLoggingService.returns(mockLoggingService);
+        mockContext = sinon.createStubInstance(Context);
+        mockContext.initialize.resolves();
+        mockHistorian = sinon.createStubInstance(Historian);
+        mockContext.getHistorian.returns(mockHistorian);
+        engine = new Engine(mockContainer);
+    });
+
+    describe('#getAllHistorianRecords', () => {
+
+        it('should throw for invalid arguments', () => {
+            let result = engine.query(mockContext, 'getAllHistorianRecords', ['no', 'args', 'supported', 'here']);
+            return result.should.be.rejectedWith(/Invalid arguments "\["no","args","supported","here"\]" to function "getAllHistorianRecords", expecting "\[\]"/);
+        });
+
+        it('should return all of the historian records', () => {
+            mockHistorian.getAllRecords.resolves([{ transactionId: 'TX_1' }, { transactionId: 'TX_2' }]);
+            return engine.query(mockContext, 'getAllHistorianRecords', [])
+                .then((result) => {
+                    result.should.deep.equal([{ transactionId: 'TX_1' }, { transactionId: 'TX_2' }]);
+                });
+        });
+
+    });
+
+    describe('#getHistorianRecord', () => {
+
+        it('should throw for invalid arguments', () => {
+            let result = engine.query(mockContext, 'getHistorianRecord', ['no', 'args', 'supported', 'here']);
+            return result.should.be.rejectedWith(/Invalid arguments "\["no","args","supported","here"\]" to function "getHistorianRecord", expecting "\["transactionId"\]"/);
+        });
+
+        it('should return the specified historian record', () => {
+            mockHistorian.getRecord.withArgs('TX_1').resolves({ transactionId: 'TX_1' });
+            return engine.query(mockContext, 'getHistorianRecord', ['TX_1'])
+                .then((result) => {
+                    result.should.deep.equal({ transactionId: 'TX_1' });
+                });
+        });
+
+    });
+
+});
@@ -16,6 +16,7 @@
 
 const Container = require('../lib/container');
 const Context = require('../lib/context');
+const DataService = require('../lib/dataservice');
 const Engine = require('../lib/engine');
 const IdentityManager = require('../lib/identitymanager');
 const LoggingService = require('../lib/loggingservice');
@@ -31,6 +32,7 @@ describe('EngineIdentities', () => {
     let mockContainer;
     let mockLoggingService;
     let mockContext;
+    let mockDataService;
     let mockIdentityManager;
     let engine;
 
@@ -40,42 +42,99 @@ describe('EngineIdentities', () => {
         mockContainer.getLoggingService.returns(mockLoggingService);
         mockContext = sinon.createStubInstance(Context);
         mockContext.initialize.resolves();
+        mockDataService = sinon.createStubInstance(DataService);
+        mockDataService.transactionStart.resolves();
+        mockDataService.transactionCommit.resolves();
+        mockDataService.transactionRollback.resolves();
+        mockContext.getDataService.returns(mockDataService);
         mockIdentityManager = sinon.createStubInstance(IdentityManager);
         mockContext.getIdentityManager.returns(mockIdentityManager);
         engine = new Engine(mockContainer);
     });
 
-    describe('#addParticipantIdentity', () => {
+    describe('#issueIdentity', () => {
 
         it('should throw for invalid arguments', () => {
-            let result = engine.invoke(mockContext, 'addParticipantIdentity', ['no', 'args', 'supported', 'here']);
-            return result.should.be.rejectedWith(/Invalid arguments "\["no","args","supported","here"\]" to function "addParticipantIdentity", expecting "\["participantId","userId"]"/);
+            let result = engine.invoke(mockContext, 'issueIdentity', ['no', 'args', 'supported', 'here']);
+            return result.should.be.rejectedWith(/Invalid arguments "\["no","args","supported","here"\]" to function "issueIdentity", expecting "\["participantId","userId","issued"]"/);
         });
 
-        it('should add the identity mapping', () => {
-            mockIdentityManager.addIdentityMapping.withArgs('org.doge.Doge#DOGE_1', 'dogeid1').resolves();
-            return engine.invoke(mockContext, 'addParticipantIdentity', ['org.doge.Doge#DOGE_1', 'dogeid1'])
+        it('should issue the identity', () => {
+            mockIdentityManager.issueIdentity.withArgs('org.doge.Doge#DOGE_1', 'dogeid1', '2017-05-01T00:00:00.000Z').resolves();
+            return engine.invoke(mockContext, 'issueIdentity', ['org.doge.Doge#DOGE_1', 'dogeid1', '2017-05-01T00:00:00.000Z'])
                 .then(() => {
-                    sinon.assert.calledOnce(mockIdentityManager.addIdentityMapping);
-                    sinon.assert.calledWith(mockIdentityManager.addIdentityMapping, 'org.doge.Doge#DOGE_1', 'dogeid1');
+                    sinon.assert.calledOnce(mockIdentityManager.issueIdentity);
+                    sinon.assert.calledWith(mockIdentityManager.issueIdentity, 'org.doge.Doge#DOGE_1', 'dogeid1', '2017-05-01T00:00:00.000Z');
                 });
         });
 
     });
 
-    describe('#removeIdentity', () => {
+    describe('#bindIdentity', () => {
 
         it('should throw for invalid arguments', () => {
-            let result = engine.invoke(mockContext, 'removeIdentity', ['no', 'args', 'supported', 'here']);
-            return result.should.be.rejectedWith(/Invalid arguments "\["no","args","supported","here"\]" to function "removeIdentity", expecting "\["userId"]"/);
+            let result = engine.invoke(mockContext, 'bindIdentity', ['no', 'args', 'supported', 'here']);
+            return result.should.be.rejectedWith(/Invalid arguments "\["no","args","supported","here"\]" to function "bindIdentity", expecting "\["participantId","certificate","issued"]"/);
         });
 
-        it('should remove the identity mapping', () => {
-            mockIdentityManager.removeIdentityMapping.withArgs('dogeid1').resolves();
-            return engine.invoke(mockContext, 'removeIdentity', ['dogeid1'])
+        it('should bind the identity', () => {
+            mockIdentityManager.bindIdentity.withArgs('org.doge.Doge#DOGE_1', 'such certificate', '2017-05-01T00:00:00.000Z').resolves();
+            return engine.invoke(mockContext, 'bindIdentity', ['org.doge.Doge#DOGE_1', 'such certificate', '2017-05-01T00:00:00.000Z'])
                 .then(() => {
-                    sinon.assert.calledOnce(mockIdentityManager.removeIdentityMapping);
-                    sinon.assert.calledWith(mockIdentityManager.removeIdentityMapping, 'dogeid1');
+                    sinon.assert.calledOnce(mockIdentityManager.bindIdentity);
+                    sinon.assert.calledWith(mockIdentityManager.bindIdentity, 'org.doge.Doge#DOGE_1', 'such certificate', '2017-05-01T00:00:00.000Z');
+                });
+        });
+
+    });
+
+    describe('#revokeIdentity', () => {
+
+        it('should throw for invalid arguments', () => {
+            let result = engine.invoke(mockContext, 'revokeIdentity', ['no', 'args', 'supported', 'here']);
+            return result.should.be.rejectedWith(/Invalid arguments "\["no","args","supported","here"\]" to function "revokeIdentity", expecting "\["userId"]"/);
+        });
+
+        it('should revoke the identity', () => {
+            mockIdentityManager.revokeIdentity.withArgs('dogeid1').resolves();
+            return engine.invoke(mockContext, 'revokeIdentity', ['dogeid1'])
+                .then(() => {
+                    sinon.assert.calledOnce(mockIdentityManager.revokeIdentity);
+                    sinon.assert.calledWith(mockIdentityManager.revokeIdentity, 'dogeid1');
+                });
+        });
+
+    });
+
+    describe('#getAllIdentities', () => {
+
+        it('should throw for invalid arguments', () => {
+            let result = engine.query(mockContext, 'getAllIdentities', ['no', 'args', 'supported', 'here']);
+            return result.should.be.rejectedWith(/Invalid arguments "\["no","args","supported","here"\]" to function "getAllIdentities", expecting "\[\]"/);
+        });
+
+        it('should return all of the identities', () => {
+            mockIdentityManager.getIdentities.resolves([{ name: 'dogeid1' }, { name: 'dogeid2' }]);
+            return engine.query(mockContext, 'getAllIdentities', [])
+                .then((result) => {
+                    result.should.deep.equal([{ name: 'dogeid1' }, { name: 'dogeid2' }]);
+                });
+        });
+
+    });
+
+    describe('#getIdentity', () => {
+
+        it('should throw for invalid arguments', () => {
+            let result = engine.query(mockContext, 'getIdentity', ['no', 'args', 'supported', 'here']);
+            return result.should.be.rejectedWith(/Invalid arguments "\["no","args","supported","here"\]" to function "getIdentity", expecting "\["userId"]"/);
+        });
+
+        it('should return the specified identity', () => {
+            mockIdentityManager.getIdentity.withArgs('dogeid1').resolves({ name: 'dogeid1' });
+            return engine.query(mockContext, 'getIdentity', ['dogeid1'])
+                .then((result) => {
+                    result.should.deep.equal({ name: 'dogeid1' });
                 });
         });
 
@@ -15,6 +15,7 @@
 'use strict';
 
 const BusinessNetworkDefinition = require('composer-common').BusinessNetworkDefinition;
+const BusinessNetworkMigrator = require('../lib/businessnetworkmigrator');
 const Container = require('../lib/container');
 const Context = require('../lib/context');
 const DataCollection = require('../lib/datacollection');
@@ -22,8 +23,10 @@ const DataService = require('../lib/dataservice');
 const Engine = require('../lib/engine');
 const Logger = require('composer-common').Logger;
 const LoggingService = require('../lib/loggingservice');
+const ModelManager = require('composer-common').ModelManager;
 const RegistryManager = require('../lib/registrymanager');
 const Resource = require('composer-common').Resource;
+const ScriptManager = require('composer-common').ScriptManager;
 const version = require('../package.json').version;
 
 const chai = require('chai');
@@ -55,6 +58,9 @@ describe('Engine', () => {
         mockRegistryManager = sinon.createStubInstance(RegistryManager);
         mockContext.initialize.resolves();
         mockContext.getDataService.returns(mockDataService);
+        mockDataService.transactionStart.resolves();
+        mockDataService.transactionCommit.resolves();
+        mockDataService.transactionRollback.resolves();
         mockContext.getRegistryManager.returns(mockRegistryManager);
         engine = new Engine(mockContainer);
         sandbox = sinon.sandbox.create();
@@ -138,21 +144,25 @@ describe('Engine', () => {
             let sysdata = sinon.createStubInstance(DataCollection);
             let sysregistries = sinon.createStubInstance(DataCollection);
             let sysidentities = sinon.createStubInstance(DataCollection);
+            let syshistorian = sinon.createStubInstance(DataCollection);
             mockDataService.getCollection.withArgs('$sysdata').rejects();
             mockDataService.createCollection.withArgs('$sysdata').resolves(sysdata);
             let mockBusinessNetwork = sinon.createStubInstance(BusinessNetworkDefinition);
             sandbox.stub(BusinessNetworkDefinition, 'fromArchive').resolves(mockBusinessNetwork);
+            sysdata.exists.withArgs('businessnetwork').resolves(false);
             sysdata.add.withArgs('businessnetwork', sinon.match.any).resolves();
             mockDataService.getCollection.withArgs('$sysregistries').rejects();
             mockDataService.createCollection.withArgs('$sysregistries').resolves(sysregistries);
             mockDataService.getCollection.withArgs('$sysidentities').rejects();
             mockDataService.createCollection.withArgs('$sysidentities').resolves(sysidentities);
+            mockDataService.getCollection.withArgs('$syshistorian').rejects();
+            mockDataService.createCollection.withArgs('$syshistorian').resolves(syshistorian);
             mockRegistryManager.get.withArgs('Transaction', 'default').rejects();
             mockRegistryManager.add.withArgs('Transaction', 'default', 'Default Transaction Registry').resolves();
             mockRegistryManager.createDefaults.resolves();
             return engine.init(mockContext, 'init', ['aGVsbG8gd29ybGQ='])
                 .then(() => {
-                    sinon.assert.calledThrice(mockDataService.createCollection);
+                    sinon.assert.callCount(mockDataService.createCollection, 4);
                     sinon.assert.calledWith(mockDataService.createCollection, '$sysdata');
                     sinon.assert.calledOnce(BusinessNetworkDefinition.fromArchive);
                     sinon.assert.calledWith(BusinessNetworkDefinition.fromArchive, sinon.match((archive) => {
@@ -162,6 +172,7 @@ describe('Engine', () => {
                     sinon.assert.calledWith(sysdata.add, 'businessnetwork', { data: 'aGVsbG8gd29ybGQ=', hash: 'dc9c1c09907c36f5379d615ae61c02b46ba254d92edb77cb63bdcc5247ccd01c' });
                     sinon.assert.calledWith(mockDataService.createCollection, '$sysregistries');
                     sinon.assert.calledWith(mockDataService.createCollection, '$sysidentities');
+                    sinon.assert.calledWith(mockDataService.createCollection, '$syshistorian');
                     sinon.assert.calledOnce(mockRegistryManager.add);
                     sinon.assert.calledWith(mockRegistryManager.add, 'Transaction', 'default', 'Default Transaction Registry');
                     sinon.assert.calledOnce(mockRegistryManager.createDefaults);
@@ -169,7 +180,8 @@ describe('Engine', () => {
                     sinon.assert.calledWith(mockContext.initialize, {
                         businessNetworkDefinition: mockBusinessNetwork,
                         sysregistries: sysregistries,
-                        sysidentities: sysidentities
+                        sysidentities: sysidentities,
+                        syshistorian: syshistorian
                     });
                 });
         });
@@ -179,11 +191,14 @@ describe('Engine', () => {
             mockDataService.getCollection.withArgs('$sysdata').resolves(sysdata);
             let mockBusinessNetwork = sinon.createStubInstance(BusinessNetworkDefinition);
             sandbox.stub(BusinessNetworkDefinition, 'fromArchive').resolves(mockBusinessNetwork);
+            sysdata.exists.withArgs('businessnetwork').resolves(false);
             sysdata.add.withArgs('businessnetwork', sinon.match.any).resolves();
             mockDataService.getCollection.withArgs('$sysregistries').rejects();
             mockDataService.createCollection.withArgs('$sysregistries').resolves();
             mockDataService.getCollection.withArgs('$sysidentities').rejects();
             mockDataService.createCollection.withArgs('$sysidentities').resolves();
+            mockDataService.getCollection.withArgs('$syshistorian').rejects();
+            mockDataService.createCollection.withArgs('$syshistorian').resolves();
             mockRegistryManager.get.rejects();
             mockRegistryManager.add.resolves();
             return engine.init(mockContext, 'init', ['aGVsbG8gd29ybGQ='])
@@ -198,12 +213,16 @@ describe('Engine', () => {
             mockDataService.createCollection.withArgs('$sysdata').resolves(sysdata);
             let mockBusinessNetwork = sinon.createStubInstance(BusinessNetworkDefinition);
             sandbox.stub(BusinessNetworkDefinition, 'fromArchive').resolves(mockBusinessNetwork);
+            sysdata.exists.withArgs('businessnetwork').resolves(false);
             sysdata.add.withArgs('businessnetwork', sinon.match.any).resolves();
             let sysregistries = sinon.createStubInstance(DataCollection);
             let sysidentities = sinon.createStubInstance(DataCollection);
+            let syshistorian = sinon.createStubInstance(DataCollection);
             mockDataService.getCollection.withArgs('$sysregistries').resolves(sysregistries);
             mockDataService.getCollection.withArgs('$sysidentities').rejects();
             mockDataService.createCollection.withArgs('$sysidentities').resolves(sysidentities);
+            mockDataService.getCollection.withArgs('$syshistorian').rejects();
+            mockDataService.createCollection.withArgs('$syshistorian').resolves(syshistorian);
             mockRegistryManager.get.rejects();
             mockRegistryManager.add.resolves();
             return engine.init(mockContext, 'init', ['aGVsbG8gd29ybGQ='])
@@ -213,7 +232,8 @@ describe('Engine', () => {
                     sinon.assert.calledWith(mockContext.initialize, {
                         businessNetworkDefinition: mockBusinessNetwork,
                         sysregistries: sysregistries,
-                        sysidentities: sysidentities
+                        sysidentities: sysidentities,
+                        syshistorian: syshistorian
                     });
                 });
         });
@@ -223,12 +243,16 @@ describe('Engine', () => {
             mockDataService.getCollection.withArgs('$sysdata').resolves(sysdata);
             let mockBusinessNetwork = sinon.createStubInstance(BusinessNetworkDefinition);
             sandbox.stub(BusinessNetworkDefinition, 'fromArchive').resolves(mockBusinessNetwork);
+            sysdata.exists.withArgs('businessnetwork').resolves(false);
             sysdata.add.withArgs('businessnetwork', sinon.match.any).resolves();
             let sysregistries = sinon.createStubInstance(DataCollection);
             let sysidentities = sinon.createStubInstance(DataCollection);
             mockDataService.getCollection.withArgs('$sysregistries').rejects();
             mockDataService.createCollection.withArgs('$sysregistries').resolves(sysregistries);
+            let syshistorian = sinon.createStubInstance(DataCollection);
             mockDataService.getCollection.withArgs('$sysidentities').resolves(sysidentities);
+            mockDataService.getCollection.withArgs('$syshistorian').rejects();
+            mockDataService.createCollection.withArgs('$syshistorian').resolves(syshistorian);
             mockRegistryManager.get.rejects();
             mockRegistryManager.add.resolves();
             return engine.init(mockContext, 'init', ['aGVsbG8gd29ybGQ='])
@@ -238,7 +262,36 @@ describe('Engine', () => {
                     sinon.assert.calledWith(mockContext.initialize, {
                         businessNetworkDefinition: mockBusinessNetwork,
                         sysregistries: sysregistries,
-                        sysidentities: sysidentities
+                        sysidentities: sysidentities,
+                        syshistorian: syshistorian
+                    });
+                });
+        });
+
+        it('should ignore existing system historian collection', () => {
+            let sysdata = sinon.createStubInstance(DataCollection);
+            mockDataService.getCollection.withArgs('$sysdata').resolves(sysdata);
+            let mockBusinessNetwork = sinon.createStubInstance(BusinessNetworkDefinition);
+            sandbox.stub(BusinessNetworkDefinition, 'fromArchive').resolves(mockBusinessNetwork);
+            sysdata.exists.withArgs('businessnetwork').resolves(false);
+            sysdata.add.withArgs('businessnetwork', sinon.match.any).resolves();
+            let sysregistries = sinon.createStubInstance(DataCollection);
+            let sysidentities = sinon.createStubInstance(DataCollection);
+            let syshistorian = sinon.createStubInstance(DataCollection);
+            mockDataService.getCollection.withArgs('$sysregistries').resolves(sysregistries);
+            mockDataService.getCollection.withArgs('$sysidentities').resolves(sysidentities);
+            mockDataService.getCollection.withArgs('$syshistorian').resolves(syshistorian);
+            mockRegistryManager.get.rejects();
+            mockRegistryManager.add.resolves();
+            return engine.init(mockContext, 'init', ['aGVsbG8gd29ybGQ='])
+                .then(() => {
+                    sinon.assert.neverCalledWith(mockDataService.createCollection, '$syshistorian');
+                    sinon.assert.calledOnce(mockContext.initialize);
+                    sinon.assert.calledWith(mockContext.initialize, {
+                        businessNetworkDefinition: mockBusinessNetwork,
+                        sysregistries: sysregistries,
+                        sysidentities: sysidentities,
+                        syshistorian: syshistorian
                     });
                 });
         });
@@ -247,6 +300,7 @@ describe('Engine', () => {
             let mockDataCollection = sinon.createStubInstance(DataCollection);
             mockDataService.getCollection.rejects();
             mockDataService.createCollection.resolves(mockDataCollection);
+            mockDataCollection.exists.withArgs('businessnetwork').resolves(false);
             let mockBusinessNetwork = sinon.createStubInstance(BusinessNetworkDefinition);
             sandbox.stub(BusinessNetworkDefinition, 'fromArchive').resolves(mockBusinessNetwork);
             mockRegistryManager.get.withArgs('Transaction', 'default').resolves();
@@ -256,10 +310,69 @@ describe('Engine', () => {
                 });
         });
 
+        it('should update and migrate an existing business network', () => {
+            let sysdata = sinon.createStubInstance(DataCollection);
+            mockDataService.getCollection.rejects();
+            mockDataService.getCollection.withArgs('$sysdata').resolves(sysdata);
+            mockDataService.createCollection.resolves(sinon.createStubInstance(DataCollection));
+            sysdata.exists.withArgs('businessnetwork').resolves(true);
+            sysdata.get.withArgs('businessnetwork').resolves({ data: 'b2xkIG5ldHdvcms=', hash: 'oldhash' });
+            sysdata.update.resolves();
+            let mockOldBusinessNetwork = sinon.createStubInstance(BusinessNetworkDefinition);
+            let mockOldModelManager = sinon.createStubInstance(ModelManager);
+            mockOldBusinessNetwork.getModelManager.returns(mockOldModelManager);
+            let mockBusinessNetwork = sinon.createStubInstance(BusinessNetworkDefinition);
+            let mockScriptManager = sinon.createStubInstance(ScriptManager);
+            mockScriptManager.getMigrationFunctionNames.returns({});
+            mockBusinessNetwork.getScriptManager.returns(mockScriptManager);
+            let fromArchive = sandbox.stub(BusinessNetworkDefinition, 'fromArchive');
+            fromArchive.onFirstCall().resolves(mockBusinessNetwork);
+            fromArchive.onSecondCall().resolves(mockOldBusinessNetwork);
+            sandbox.stub(BusinessNetworkMigrator.prototype, 'check');
+            sandbox.stub(BusinessNetworkMigrator.prototype, 'migrate').resolves();
+            mockRegistryManager.get.withArgs('Transaction', 'default').resolves();
+            mockRegistryManager.createDefaults.resolves();
+            return engine.init(mockContext, 'init', ['aGVsbG8gd29ybGQ='])
+                .then(() => {
+                    sinon.assert.calledWith(BusinessNetworkDefinition.fromArchive, sinon.match((archive) => {
+                        return archive.compare(Buffer.from('old network')) === 0;
+                    }));
+                    sinon.assert.calledOnce(BusinessNetworkMigrator.prototype.check);
+                    sinon.assert.calledOn(BusinessNetworkMigrator.prototype.check, sinon.match({ oldModelManager: mockOldModelManager, businessNetworkDefinition: mockBusinessNetwork }));
+                    sinon.assert.notCalled(sysdata.add);
+                    sinon.assert.calledOnce(sysdata.update);
+                    sinon.assert.calledWith(sysdata.update, 'businessnetwork', { data: 'aGVsbG8gd29ybGQ=', hash: 'dc9c1c09907c36f5379d615ae61c02b46ba254d92edb77cb63bdcc5247ccd01c' });
+                    sinon.assert.calledOnce(BusinessNetworkMigrator.prototype.migrate);
+                    sinon.assert.calledWith(BusinessNetworkMigrator.prototype.migrate, mockContext);
+                    sinon.assert.callOrder(mockRegistryManager.createDefaults, BusinessNetworkMigrator.prototype.migrate);
+                });
+        });
+
+        it('should not update an existing business network if there are breaking changes without migration functions', () => {
+            let sysdata = sinon.createStubInstance(DataCollection);
+            mockDataService.getCollection.withArgs('$sysdata').resolves(sysdata);
+            sysdata.exists.withArgs('businessnetwork').resolves(true);
+            sysdata.get.withArgs('businessnetwork').resolves({ data: 'b2xkIG5ldHdvcms=', hash: 'oldhash' });
+            let mockBusinessNetwork = sinon.createStubInstance(BusinessNetworkDefinition);
+            let mockScriptManager = sinon.createStubInstance(ScriptManager);
+            mockScriptManager.getMigrationFunctionNames.returns({});
+            mockBusinessNetwork.getScriptManager.returns(mockScriptManager);
+            sandbox.stub(BusinessNetworkDefinition, 'fromArchive').resolves(mockBusinessNetwork);
+            sandbox.stub(BusinessNetworkMigrator.prototype, 'check').throws(new Error('there are breaking changes'));
+            sandbox.stub(BusinessNetworkMigrator.prototype, 'migrate').resolves();
+            return engine.init(mockContext, 'init', ['aGVsbG8gd29ybGQ='])
+                .should.be.rejectedWith(/there are breaking changes/)
+                .then(() => {
+                    sinon.assert.notCalled(sysdata.update);
+                    sinon.assert.notCalled(BusinessNetworkMigrator.prototype.migrate);
+                });
+        });
+
         it('should throw if an error occurs', () => {
             let mockDataCollection = sinon.createStubInstance(DataCollection);
             mockDataService.getCollection.rejects();
             mockDataService.createCollection.resolves(mockDataCollection);
+            mockDataCollection.exists.withArgs('businessnetwork').resolves(false);
             let mockBusinessNetwork = sinon.createStubInstance(BusinessNetworkDefinition);
             sandbox.stub(BusinessNetworkDefinition, 'fromArchive').resolves(mockBusinessNetwork);
             mockRegistryManager.get.withArgs('Transaction', 'default').rejects();
@@ -316,6 +429,51 @@ describe('Engine', () => {
                 });
         });
 
+        it('should call the engine function in a transaction and commit it', () => {
+            engine.test = sinon.stub().resolves({ hello: 'world' });
+            return engine.invoke(mockContext, 'test', ['arg'])
+                .then((result) => {
+                    result.should.deep.equal({ hello: 'world' });
+                    sinon.assert.callOrder(mockDataService.transactionStart, mockContext.initialize, engine.test, mockDataService.transactionCommit);
+                    sinon.assert.calledWith(engine.test, mockContext, ['arg']);
+                    sinon.assert.notCalled(mockDataService.transactionRollback);
+                });
+        });
+
+        it('should roll back the transaction if the engine function fails', () => {
+            engine.test = sinon.stub().rejects(new Error('such error'));
+            return engine.invoke(mockContext, 'test', [])
+                .should.be.rejectedWith(/such error/)
+                .then(() => {
+                    sinon.assert.callOrder(mockDataService.transactionStart, engine.test, mockDataService.transactionRollback);
+                    sinon.assert.notCalled(mockDataService.transactionCommit);
+                });
+        });
+
+        it('should roll back the transaction if the context cannot be initialized', () => {
+            engine.test = sinon.stub().resolves();
+            mockContext.initialize.rejects(new Error('such error'));
+            return engine.invoke(mockContext, 'test', [])
+                .should.be.rejectedWith(/such error/)
+                .then(() => {
+                    sinon.assert.callOrder(mockDataService.transactionStart, mockContext.initialize, mockDataService.transactionRollback);
+                    sinon.assert.notCalled(mockDataService.transactionCommit);
+                    sinon.assert.notCalled(engine.test);
+                });
+        });
+
+        it('should not roll back the transaction if it cannot be started', () => {
+            engine.test = sinon.stub().resolves();
+            mockDataService.transactionStart.rejects(new Error('such error'));
+            return engine.invoke(mockContext, 'test', [])
+                .should.be.rejectedWith(/such error/)
+                .then(() => {
+                    sinon.assert.notCalled(mockContext.initialize);
+                    sinon.assert.notCalled(mockDataService.transactionRollback);
+                    sinon.assert.notCalled(engine.test);
+                });
+        });
+
     });
 
     describe('#_invoke', () => {
@@ -361,6 +519,7 @@ describe('Engine', () => {
             return engine.query(mockContext, 'test', [])
                 .then(() => {
                     sinon.assert.calledOnce(mockContext.initialize);
+                    sinon.assert.calledWith(mockContext.initialize, { readOnly: true });
                 });
         });
 
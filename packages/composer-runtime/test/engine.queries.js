@@ -0,0 +1,217 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Container = require('../lib/container');
+const Context = require('../lib/context');
+const Engine = require('../lib/engine');
+const Factory = require('composer-common').Factory;
+const Introspector = require('composer-common').Introspector;
+const LoggingService = require('../lib/loggingservice');
+const ModelManager = require('composer-common').ModelManager;
+const QueryManager = require('composer-common').QueryManager;
+const Registry = require('../lib/registry');
+const RegistryManager = require('../lib/registrymanager');
+const Serializer = require('composer-common').Serializer;
+
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+chai.use(require('chai-things'));
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+describe('EngineQueries', () => {
+
+    let mockContainer;
+    let mockLoggingService;
+    let mockContext;
+    let mockRegistryManager;
+    let mockRegistry;
+    let modelManager;
+    let factory;
+    let serializer;
+    let queryManager;
+    let engine;
+
+    beforeEach(() => {
+        mockContainer = sinon.createStubInstance(Container);
+        mockLoggingService = sinon.createStubInstance(LoggingService);
+        mockContainer.getLoggingService.returns(mockLoggingService);
+        mockContext = sinon.createStubInstance(Context);
+        mockContext.initialize.resolves();
+        modelManager = new ModelManager();
+        modelManager.addModelFile(`
+        namespace org.acme
+        asset Car identified by vin {
+            o String vin
+            o String make
+            o Integer year
+        }
+        asset SportsCar extends Car {
+        }
+        abstract participant Person identified by email {
+            o String email
+        }
+        participant Driver extends Person {
+        }
+        transaction Sell identified by transactionId {
+            o String transactionId
+            --> Car car
+        }
+        transaction Scrap identified by transactionId {
+            o String transactionId
+        }`);
+        factory = new Factory(modelManager);
+        serializer = new Serializer(factory, modelManager);
+        queryManager = new QueryManager(modelManager);
+        queryManager.setQueryFile(queryManager.createQueryFile('queries.qry', `
+        query CarsByMake {
+            description: "Select cars by make"
+            statement: SELECT org.acme.Car WHERE make == _$make ORDER BY [year DESC]
+        }`));
+        mockContext.getQueryManager.returns(queryManager);
+        mockContext.getIntrospector.returns(new Introspector(modelManager));
+        mockContext.getSerializer.returns(serializer);
+        mockRegistryManager = sinon.createStubInstance(RegistryManager);
+        mockRegistry = sinon.createStubInstance(Registry);
+        mockContext.getRegistryManager.returns(mockRegistryManager);
+        engine = new Engine(mockContainer);
+    });
+
+    /**
+     * Create a new car.
+     * @param {string} vin The VIN.
+     * @param {string} make The make.
+     * @param {number} year The year.
+     * @return {Resource} The new car.
+     */
+    function newCar(vin, make, year) {
+        let car = factory.newResource('org.acme', 'Car', vin);
+        car.make = make;
+        car.year = year;
+        return car;
+    }
+
+    describe('#executeQuery', () => {
+
+        it('should throw for invalid arguments', () => {
+            let result = engine.query(mockContext, 'executeQuery', ['no', 'args']);
+            return result.should.be.rejectedWith(/Invalid arguments "\["no","args"\]" to function "executeQuery", expecting "\["queryType","query","parameters"\]"/);
+        });
+
+        it('should throw for an invalid query type', () => {
+            let result = engine.query(mockContext, 'executeQuery', ['wow', 'CarsByMake', '{}']);
+            return result.should.be.rejectedWith(/Invalid query type "wow"/);
+        });
+
+        it('should throw for a named query that does not exist', () => {
+            let result = engine.query(mockContext, 'executeQuery', ['named', 'NoSuchQuery', '{}']);
+            return result.should.be.rejectedWith(/Named query "NoSuchQuery" does not exist/);
+        });
+
+        it('should throw for an invalid statement', () => {
+            let result = engine.query(mockContext, 'executeQuery', ['build', 'SELECT org.acme.Car WHERE', '{}']);
+            return result.should.be.rejectedWith(/Line 1 column 26/);
+        });
+
+        it('should execute a named query against an asset registry', () => {
+            mockRegistryManager.get.withArgs('Asset', 'org.acme.Car').resolves(mockRegistry);
+            let mockSportsCarRegistry = sinon.createStubInstance(Registry);
+            mockRegistryManager.get.withArgs('Asset', 'org.acme.SportsCar').resolves(mockSportsCarRegistry);
+            mockSportsCarRegistry.getAll.resolves([]);
+            mockRegistry.getAll.resolves([newCar('CAR_1', 'Ford', 2010), newCar('CAR_2', 'Ford', 2015), newCar('CAR_3', 'Fiat', 2016)]);
+            return engine.query(mockContext, 'executeQuery', ['named', 'CarsByMake', JSON.stringify({ make: 'Ford' })])
+                .then((result) => {
+                    result.map((car) => {
+                        return car.vin;
+                    }).should.deep.equal(['CAR_2', 'CAR_1']);
+                    result[0].should.deep.equal({ $class: 'org.acme.Car', vin: 'CAR_2', make: 'Ford', year: 2015 });
+                });
+        });
+
+        it('should return resources of the selected type and its subtypes', () => {
+            mockRegistryManager.get.withArgs('Asset', 'org.acme.Car').resolves(mockRegistry);
+            let mockSportsCarRegistry = sinon.createStubInstance(Registry);
+            mockRegistryManager.get.withArgs('Asset', 'org.acme.SportsCar').resolves(mockSportsCarRegistry);
+            let sportsCar = factory.newResource('org.acme', 'SportsCar', 'CAR_2');
+            sportsCar.make = 'Ford';
+            sportsCar.year = 2015;
+            mockRegistry.getAll.resolves([newCar('CAR_1', 'Ford', 2010)]);
+            mockSportsCarRegistry.getAll.resolves([sportsCar]);
+            return engine.query(mockContext, 'executeQuery', ['build', 'SELECT org.acme.Car', '{}'])
+                .then((result) => {
+                    result.map((car) => {
+                        return car.vin;
+                    }).should.deep.equal(['CAR_1', 'CAR_2']);
+                });
+        });
+
+        it('should only return resources of the selected type from the registries of its subtypes', () => {
+            mockRegistryManager.get.withArgs('Asset', 'org.acme.SportsCar').resolves(mockRegistry);
+            let sportsCar = factory.newResource('org.acme', 'SportsCar', 'CAR_2');
+            sportsCar.make = 'Ford';
+            sportsCar.year = 2015;
+            mockRegistry.getAll.resolves([newCar('CAR_1', 'Ford', 2010), sportsCar]);
+            return engine.query(mockContext, 'executeQuery', ['build', 'SELECT org.acme.SportsCar', '{}'])
+                .then((result) => {
+                    sinon.assert.calledOnce(mockRegistryManager.get);
+                    result.map((car) => {
+                        return car.vin;
+                    }).should.deep.equal(['CAR_2']);
+                });
+        });
+
+        it('should execute a built query against the registries of the subtypes of an abstract type', () => {
+            mockRegistryManager.get.withArgs('Participant', 'org.acme.Driver').resolves(mockRegistry);
+            mockRegistry.getAll.resolves([factory.newResource('org.acme', 'Driver', 'alice@email.com')]);
+            return engine.query(mockContext, 'executeQuery', ['build', 'SELECT org.acme.Person', '{}'])
+                .then((result) => {
+                    sinon.assert.calledOnce(mockRegistryManager.get);
+                    result.should.deep.equal([{ $class: 'org.acme.Driver', email: 'alice@email.com' }]);
+                });
+        });
+
+        it('should execute a built query against a participant registry', () => {
+            mockRegistryManager.get.withArgs('Participant', 'org.acme.Driver').resolves(mockRegistry);
+            mockRegistry.getAll.resolves([factory.newResource('org.acme', 'Driver', 'alice@email.com'), factory.newResource('org.acme', 'Driver', 'bob@email.com')]);
+            return engine.query(mockContext, 'executeQuery', ['build', 'SELECT org.acme.Driver ORDER BY email DESC LIMIT 1', '{}'])
+                .then((result) => {
+                    result.should.deep.equal([{ $class: 'org.acme.Driver', email: 'bob@email.com' }]);
+                });
+        });
+
+        it('should execute a built query against the transaction registry', () => {
+            mockRegistryManager.get.withArgs('Transaction', 'default').resolves(mockRegistry);
+            let tx1 = factory.newResource('org.acme', 'Sell', 'TX_1');
+            tx1.timestamp = new Date(0);
+            tx1.car = factory.newRelationship('org.acme', 'Car', 'CAR_1');
+            let tx2 = factory.newResource('org.acme', 'Scrap', 'TX_2');
+            tx2.timestamp = new Date(0);
+            let tx3 = factory.newResource('org.acme', 'Sell', 'TX_3');
+            tx3.timestamp = new Date(0);
+            tx3.car = factory.newRelationship('org.acme', 'Car', 'CAR_2');
+            mockRegistry.getAll.resolves([tx1, tx2, tx3]);
+            return engine.query(mockContext, 'executeQuery', ['build', 'SELECT org.acme.Sell WHERE car == _$car', JSON.stringify({ car: 'CAR_2' })])
+                .then((result) => {
+                    result.map((tx) => {
+                        return tx.transactionId;
+                    }).should.deep.equal(['TX_3']);
+                });
+        });
+
+    });
+
+});
@@ -16,6 +16,7 @@
 
 const Container = require('../lib/container');
 const Context = require('../lib/context');
+const DataService = require('../lib/dataservice');
 const Engine = require('../lib/engine');
 const LoggingService = require('../lib/loggingservice');
 const QueryExecutor = require('../lib/queryexecutor');
@@ -37,6 +38,7 @@ describe('EngineResources', () => {
     let mockContainer;
     let mockLoggingService;
     let mockContext;
+    let mockDataService;
     let mockQueryExecutor;
     let mockRegistry;
     let mockRegistryManager;
@@ -50,6 +52,11 @@ describe('EngineResources', () => {
         mockContainer.getLoggingService.returns(mockLoggingService);
         mockContext = sinon.createStubInstance(Context);
         mockContext.initialize.resolves();
+        mockDataService = sinon.createStubInstance(DataService);
+        mockDataService.transactionStart.resolves();
+        mockDataService.transactionCommit.resolves();
+        mockDataService.transactionRollback.resolves();
+        mockContext.getDataService.returns(mockDataService);
         mockRegistryManager = sinon.createStubInstance(RegistryManager);
         mockRegistry = sinon.createStubInstance(Registry);
         mockRegistryManager.get.withArgs('Asset', 'doges').resolves(mockRegistry);
@@ -96,6 +103,53 @@ describe('EngineResources', () => {
 
     });
 
+    describe('#getPageOfResourcesInRegistry', () => {
+
+        it('should throw for invalid arguments', () => {
+            let result = engine.query(mockContext, 'getPageOfResourcesInRegistry', ['no', 'args', 'supported']);
+            return result.should.be.rejectedWith(/Invalid arguments "\["no","args","supported"\]" to function "getPageOfResourcesInRegistry", expecting "\["registryType","registryId","pageSize","bookmark"\]"/);
+        });
+
+        ['0', '-1', '2.5', 'wow'].forEach((pageSize) => {
+
+            it(`should throw for an invalid page size ${pageSize}`, () => {
+                let result = engine.query(mockContext, 'getPageOfResourcesInRegistry', ['Asset', 'doges', pageSize, '']);
+                return result.should.be.rejectedWith(/Invalid page size .*, expecting a positive integer/);
+            });
+
+        });
+
+        it('should return a page of the resources', () => {
+            let mockResource1 = sinon.createStubInstance(Resource);
+            mockResource1.assetId = 'doge1';
+            let mockResource2 = sinon.createStubInstance(Resource);
+            mockResource2.assetId = 'doge2';
+            mockRegistry.getPage.withArgs(2, 'doge0').resolves({ resources: [mockResource1, mockResource2], bookmark: 'doge2' });
+            mockSerializer.toJSON.withArgs(mockResource1).returns({
+                $class: 'org.doge.Doge',
+                assetId: 'doge1'
+            });
+            mockSerializer.toJSON.withArgs(mockResource2).returns({
+                $class: 'org.doge.Doge',
+                assetId: 'doge2'
+            });
+            return engine.query(mockContext, 'getPageOfResourcesInRegistry', ['Asset', 'doges', '2', 'doge0'])
+                .then((page) => {
+                    page.should.deep.equal({
+                        resources: [{
+                            $class: 'org.doge.Doge',
+                            assetId: 'doge1'
+                        }, {
+                            $class: 'org.doge.Doge',
+                            assetId: 'doge2'
+                        }],
+                        bookmark: 'doge2'
+                    });
+                });
+        });
+
+    });
+
     describe('#getResourceInRegistry', () => {
 
         it('should throw for invalid arguments', () => {
@@ -370,7 +424,7 @@ describe('EngineResources', () => {
             let mockResource2 = sinon.createStubInstance(Resource);
             let mockResource3 = sinon.createStubInstance(Resource);
             let resources = [mockResource1, mockResource2, mockResource3];
-            mockRegistry.getAll.withArgs().resolves([mockResource1, mockResource2, mockResource3]);
+            mockQueryExecutor.getResourcesToQuery.withArgs('some query string', mockRegistry).resolves(resources);
             mockQueryExecutor.queryAll.withArgs('some query string', resources).resolves([true, false, true]);
             mockSerializer.toJSON.withArgs(mockResource1, { convertResourcesToRelationships: true }).onFirstCall().returns({
                 $class: 'org.doge.Doge',
@@ -395,6 +449,43 @@ describe('EngineResources', () => {
 
     });
 
+    describe('#findPageOfResourcesInRegistry', () => {
+
+        it('should throw for invalid arguments', () => {
+            let result = engine.query(mockContext, 'findPageOfResourcesInRegistry', ['no', 'args', 'supported', 'here']);
+            return result.should.be.rejectedWith(/Invalid arguments "\["no","args","supported","here"\]" to function "findPageOfResourcesInRegistry", expecting "\["registryType","registryId","expression","pageSize","bookmark"\]"/);
+        });
+
+        it('should throw for an invalid page size', () => {
+            let result = engine.query(mockContext, 'findPageOfResourcesInRegistry', ['Asset', 'doges', 'some query string', '0', '']);
+            return result.should.be.rejectedWith(/Invalid page size "0", expecting a positive integer/);
+        });
+
+        it('should return the resources in the page for which the query returns a truthy value', () => {
+            let mockResource1 = sinon.createStubInstance(Resource);
+            let mockResource2 = sinon.createStubInstance(Resource);
+            let resources = [mockResource1, mockResource2];
+            mockRegistry.getPage.withArgs(2, '').resolves({ resources: resources, bookmark: 'doge2' });
+            mockQueryExecutor.queryAll.withArgs('some query string', resources).resolves([false, true]);
+            mockSerializer.toJSON.withArgs(mockResource2, { convertResourcesToRelationships: true }).returns({
+                $class: 'org.doge.Doge',
+                assetId: 'doge2'
+            });
+            return engine.query(mockContext, 'findPageOfResourcesInRegistry', ['Asset', 'doges', 'some query string', '2', ''])
+                .then((page) => {
+                    sinon.assert.calledOnce(mockQueryExecutor.queryAll);
+                    page.should.deep.equal({
+                        resources: [{
+                            $class: 'org.doge.Doge',
+                            assetId: 'doge2'
+                        }],
+                        bookmark: 'doge2'
+                    });
+                });
+        });
+
+    });
+
     describe('#queryResourcesInRegistry', () => {
 
         it('should throw for invalid arguments', () => {
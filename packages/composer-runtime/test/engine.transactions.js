@@ -17,8 +17,16 @@
 const Api = require('../lib/api');
 const Container = require('../lib/container');
 const Context = require('../lib/context');
+const DataService = require('../lib/dataservice');
 const Engine = require('../lib/engine');
+const EventService = require('../lib/eventservice');
+const Factory = require('composer-common').Factory;
+const Historian = require('../lib/historian');
+const IdentityService = require('../lib/identityservice');
+const Introspector = require('composer-common').Introspector;
 const LoggingService = require('../lib/loggingservice');
+const ModelManager = require('composer-common').ModelManager;
+const OverlayDataService = require('../lib/overlaydataservice');
 const Registry = require('../lib/registry');
 const RegistryManager = require('../lib/registrymanager');
 const Resolver = require('../lib/resolver');
@@ -26,6 +34,7 @@ const Resource = require('composer-common').Resource;
 const ScriptManager = require('composer-common').ScriptManager;
 const Serializer = require('composer-common').Serializer;
 const TransactionExecutor = require('../lib/transactionexecutor');
+const TransactionLogger = require('../lib/transactionlogger');
 
 const chai = require('chai');
 const should = chai.should();
@@ -39,6 +48,7 @@ describe('EngineTransactions', () => {
     let mockContainer;
     let mockLoggingService;
     let mockContext;
+    let mockDataService;
     let engine;
     let mockRegistryManager;
     let mockSerializer;
@@ -47,6 +57,11 @@ describe('EngineTransactions', () => {
     let mockScriptManager;
     let mockTransactionExecutor;
     let mockRegistry;
+    let mockEventService;
+    let mockHistorian;
+    let mockIdentityService;
+    let mockTransactionLogger;
+    let mockParticipant;
 
     beforeEach(() => {
         mockContainer = sinon.createStubInstance(Container);
@@ -54,6 +69,11 @@ describe('EngineTransactions', () => {
         mockContainer.getLoggingService.returns(mockLoggingService);
         mockContext = sinon.createStubInstance(Context);
         mockContext.initialize.resolves();
+        mockDataService = sinon.createStubInstance(DataService);
+        mockDataService.transactionStart.resolves();
+        mockDataService.transactionCommit.resolves();
+        mockDataService.transactionRollback.resolves();
+        mockContext.getDataService.returns(mockDataService);
         engine = new Engine(mockContainer);
         mockRegistryManager = sinon.createStubInstance(RegistryManager);
         mockContext.getRegistryManager.returns(mockRegistryManager);
@@ -71,6 +91,20 @@ describe('EngineTransactions', () => {
         mockContext.getTransactionExecutors.returns([mockTransactionExecutor]);
         mockRegistry = sinon.createStubInstance(Registry);
         mockRegistryManager.get.withArgs('Transaction', 'default').resolves(mockRegistry);
+        mockEventService = sinon.createStubInstance(EventService);
+        mockEventService.commit.resolves();
+        mockContext.getEventService.returns(mockEventService);
+        mockHistorian = sinon.createStubInstance(Historian);
+        mockHistorian.addRecord.resolves();
+        mockContext.getHistorian.returns(mockHistorian);
+        mockIdentityService = sinon.createStubInstance(IdentityService);
+        mockIdentityService.getCurrentUserID.returns('dogeid1');
+        mockContext.getIdentityService.returns(mockIdentityService);
+        mockTransactionLogger = sinon.createStubInstance(TransactionLogger);
+        mockTransactionLogger.getChanges.returns([{ operation: 'remove' }]);
+        mockContext.getTransactionLogger.returns(mockTransactionLogger);
+        mockParticipant = sinon.createStubInstance(Resource);
+        mockContext.getParticipant.returns(mockParticipant);
     });
 
     describe('#submitTransaction', () => {
@@ -114,6 +148,15 @@ describe('EngineTransactions', () => {
                         should.equal(transaction.$resolved, undefined);
                         return true;
                     }));
+                    sinon.assert.calledOnce(mockHistorian.addRecord);
+                    sinon.assert.calledWith(mockHistorian.addRecord, sinon.match((transaction) => {
+                        // We should record the unresolved transaction.
+                        transaction.should.be.an.instanceOf(Resource);
+                        should.equal(transaction.$resolved, undefined);
+                        return true;
+                    }), mockParticipant, 'dogeid1', [{ operation: 'remove' }]);
+                    sinon.assert.calledOnce(mockEventService.commit);
+                    sinon.assert.callOrder(mockRegistry.add, mockHistorian.addRecord, mockEventService.commit);
                 });
         });
 
@@ -160,6 +203,425 @@ describe('EngineTransactions', () => {
                         should.equal(transaction.$resolved, undefined);
                         return true;
                     }));
+                    sinon.assert.calledOnce(mockEventService.commit);
+                });
+        });
+
+        it('should not commit any events if the transaction fails', () => {
+            const fakeJSON = { fake: 'data' };
+            let mockTransaction1 = sinon.createStubInstance(Resource);
+            let mockTransaction2 = sinon.createStubInstance(Resource);
+            mockSerializer.fromJSON.withArgs(fakeJSON).onFirstCall().returns(mockTransaction1);
+            mockSerializer.fromJSON.withArgs(fakeJSON).onSecondCall().returns(mockTransaction2);
+            mockResolver.resolve.resolves();
+            mockTransactionExecutor.execute.rejects(new Error('such error'));
+            return engine.invoke(mockContext, 'submitTransaction', ['Transaction:default', JSON.stringify(fakeJSON)])
+                .should.be.rejectedWith(/such error/)
+                .then(() => {
+                    sinon.assert.notCalled(mockRegistry.add);
+                    sinon.assert.notCalled(mockEventService.commit);
+                });
+        });
+
+    });
+
+    describe('#submitTransaction return values', () => {
+
+        let modelManager;
+        let factory;
+        let transactionJSON;
+
+        beforeEach(() => {
+            modelManager = new ModelManager();
+            modelManager.addModelFile(`
+            namespace org.acme
+            enum Colour {
+                o RED
+                o GREEN
+            }
+            concept Result {
+                o String value
+            }
+            concept DetailedResult extends Result {
+                o String detail
+            }
+            concept OtherResult {
+                o String value
+            }
+            transaction TestTransaction identified by transactionId {
+                o String transactionId
+            }`);
+            factory = new Factory(modelManager);
+            let serializer = new Serializer(factory, modelManager);
+            mockContext.getSerializer.returns(serializer);
+            mockContext.getIntrospector.returns(new Introspector(modelManager));
+            mockResolver.resolve.resolves();
+            transactionJSON = {
+                $class: 'org.acme.TestTransaction',
+                transactionId: '1',
+                timestamp: '2017-07-01T12:00:00.000Z'
+            };
+        });
+
+        /**
+         * Create a concept.
+         * @param {string} type The type of the concept.
+         * @param {Object} values The values of the properties of the concept.
+         * @return {Concept} The concept.
+         */
+        function createConcept(type, values) {
+            return Object.assign(factory.newConcept('org.acme', type), values);
+        }
+
+        /**
+         * Submit the test transaction, returning a value from the transaction executor.
+         * @param {string} returnType The declared return type.
+         * @param {*} returnValue The value returned by the transaction executor.
+         * @return {Promise} The promise returned by the engine.
+         */
+        function submitTransaction(returnType, returnValue) {
+            mockScriptManager.getTransactionReturnType.withArgs('org.acme.TestTransaction').returns(returnType);
+            mockTransactionExecutor.execute.resolves(returnValue);
+            return engine.invoke(mockContext, 'submitTransaction', ['Transaction:default', JSON.stringify(transactionJSON)]);
+        }
+
+        it('should not return a value if the transaction processor functions do not declare a return type', () => {
+            return submitTransaction(null, 'hello world')
+                .should.eventually.be.undefined;
+        });
+
+        [
+            ['String', 'hello world', 'hello world'],
+            ['Boolean', false, false],
+            ['Double', 3.142, 3.142],
+            ['Integer', 42, 42],
+            ['Long', 42, 42],
+            ['DateTime', new Date('2017-07-01T12:00:00.000Z'), '2017-07-01T12:00:00.000Z'],
+            ['org.acme.Colour', 'GREEN', 'GREEN'],
+            ['String[]', ['hello', 'world'], ['hello', 'world']],
+            ['String[]', [], []]
+        ].forEach(([returnType, returnValue, expectedValue]) => {
+
+            it(`should return a value of type ${returnType}`, () => {
+                return submitTransaction(returnType, returnValue)
+                    .should.eventually.deep.equal(expectedValue);
+            });
+
+        });
+
+        it('should return a concept', () => {
+            return submitTransaction('org.acme.Result', createConcept('Result', { value: 'hello world' }))
+                .should.eventually.deep.equal({ $class: 'org.acme.Result', value: 'hello world' });
+        });
+
+        it('should return a concept that is a subtype of the declared type', () => {
+            return submitTransaction('org.acme.Result[]', [createConcept('DetailedResult', { value: 'hello', detail: 'world' })])
+                .should.eventually.deep.equal([{ $class: 'org.acme.DetailedResult', value: 'hello', detail: 'world' }]);
+        });
+
+        it('should keep the value returned by an earlier transaction executor', () => {
+            let mockTransactionExecutor2 = sinon.createStubInstance(TransactionExecutor);
+            mockTransactionExecutor2.getType.returns('JS2');
+            mockTransactionExecutor2.execute.resolves();
+            mockContext.getTransactionExecutors.returns([mockTransactionExecutor, mockTransactionExecutor2]);
+            return submitTransaction('String', 'hello world')
+                .should.eventually.equal('hello world');
+        });
+
+        it('should throw if a value is not returned', () => {
+            return submitTransaction('String', undefined)
+                .should.be.rejectedWith(/The transaction processor functions for transaction "org.acme.TestTransaction" did not return a value of type "String"/)
+                .then(() => {
+                    sinon.assert.notCalled(mockRegistry.add);
+                    sinon.assert.notCalled(mockEventService.commit);
+                });
+        });
+
+        [
+            ['String', 42],
+            ['Boolean', 'true'],
+            ['Double', Infinity],
+            ['Integer', 3.142],
+            ['Long', '42'],
+            ['DateTime', '2017-07-01T12:00:00.000Z'],
+            ['DateTime', new Date('not a date')],
+            ['org.acme.Colour', 'PURPLE'],
+            ['org.acme.Result', 'hello world'],
+            ['String[]', 'hello world']
+        ].forEach(([returnType, returnValue]) => {
+
+            it(`should throw if the value ${JSON.stringify(returnValue)} is not of type ${returnType}`, () => {
+                return submitTransaction(returnType, returnValue)
+                    .should.be.rejectedWith(new RegExp(`returned a value that is not of type "${returnType.replace(/[[\]]/g, '\\$&')}"`))
+                    .then(() => {
+                        sinon.assert.notCalled(mockRegistry.add);
+                    });
+            });
+
+        });
+
+        it('should throw if an element of an array is not of the declared type', () => {
+            return submitTransaction('String[]', ['hello', 42])
+                .should.be.rejectedWith(/returned a value that is not of type "String"/);
+        });
+
+        it('should throw if a concept is not of the declared type', () => {
+            return submitTransaction('org.acme.Result', createConcept('OtherResult', { value: 'hello world' }))
+                .should.be.rejectedWith(/returned a value that is not of type "org.acme.Result"/);
+        });
+
+        it('should throw if a concept is not valid', () => {
+            return submitTransaction('org.acme.Result', createConcept('Result', { value: 42 }))
+                .should.be.rejectedWith(/Model violation/);
+        });
+
+        it('should return the values returned for a batch of transactions', () => {
+            mockScriptManager.getTransactionReturnType.withArgs('org.acme.TestTransaction').returns('String');
+            mockTransactionExecutor.execute.onFirstCall().resolves('hello');
+            mockTransactionExecutor.execute.onSecondCall().resolves('world');
+            let transactionJSON2 = Object.assign({}, transactionJSON, { transactionId: '2' });
+            return engine.invoke(mockContext, 'submitTransactions', ['Transaction:default', JSON.stringify([transactionJSON, transactionJSON2])])
+                .should.eventually.deep.equal([
+                    { transactionId: '1', returnValue: 'hello' },
+                    { transactionId: '2', returnValue: 'world' }
+                ]);
+        });
+
+    });
+
+    describe('#evaluateTransaction', () => {
+
+        const fakeJSON = { fake: 'data' };
+        let mockTransaction1;
+        let mockTransaction2;
+
+        beforeEach(() => {
+            mockContext.isReadOnly.returns(true);
+            mockTransaction1 = sinon.createStubInstance(Resource);
+            mockTransaction1.getFullyQualifiedType.returns('org.acme.TestTransaction');
+            mockTransaction2 = sinon.createStubInstance(Resource);
+            mockSerializer.fromJSON.withArgs(fakeJSON).onFirstCall().returns(mockTransaction1);
+            mockSerializer.fromJSON.withArgs(fakeJSON).onSecondCall().returns(mockTransaction2);
+            mockResolver.resolve.resolves();
+        });
+
+        it('should throw for invalid arguments', () => {
+            let result = engine.query(mockContext, 'evaluateTransaction', ['no', 'args', 'supported', 'here']);
+            return result.should.be.rejectedWith(/Invalid arguments "\["no","args","supported","here"\]" to function "evaluateTransaction", expecting "\["serializedResource"\]"/);
+        });
+
+        it('should throw if not called using a query request', () => {
+            mockContext.isReadOnly.returns(false);
+            let result = engine.invoke(mockContext, 'evaluateTransaction', [JSON.stringify(fakeJSON)]);
+            return result.should.be.rejectedWith(/Transactions can only be evaluated using a query request/);
+        });
+
+        it('should execute the transaction without storing it or committing any events', () => {
+            mockScriptManager.getTransactionReturnType.withArgs('org.acme.TestTransaction').returns('String');
+            mockTransactionExecutor.execute.resolves('hello world');
+            return engine.query(mockContext, 'evaluateTransaction', [JSON.stringify(fakeJSON)])
+                .then((result) => {
+                    result.should.equal('hello world');
+                    sinon.assert.calledOnce(mockContext.setTransaction);
+                    sinon.assert.calledWith(mockContext.setTransaction, mockTransaction1);
+                    sinon.assert.calledOnce(mockResolver.resolve);
+                    sinon.assert.calledWith(mockResolver.resolve, mockTransaction2);
+                    sinon.assert.calledOnce(mockTransactionExecutor.execute);
+                    sinon.assert.calledWith(mockTransactionExecutor.execute, mockApi, mockScriptManager, mockTransaction1, mockTransaction2);
+                    sinon.assert.notCalled(mockRegistry.add);
+                    sinon.assert.notCalled(mockHistorian.addRecord);
+                    sinon.assert.notCalled(mockEventService.commit);
+                });
+        });
+
+        it('should return null if the transaction processor functions do not declare a return type', () => {
+            mockScriptManager.getTransactionReturnType.withArgs('org.acme.TestTransaction').returns(null);
+            mockTransactionExecutor.execute.resolves('hello world');
+            return engine.query(mockContext, 'evaluateTransaction', [JSON.stringify(fakeJSON)])
+                .then((result) => {
+                    should.equal(result, null);
+                });
+        });
+
+        it('should throw if the transaction fails', () => {
+            mockTransactionExecutor.execute.rejects(new Error('such error'));
+            return engine.query(mockContext, 'evaluateTransaction', [JSON.stringify(fakeJSON)])
+                .should.be.rejectedWith(/such error/);
+        });
+
+    });
+
+    describe('#simulateTransaction', () => {
+
+        const fakeJSON = { fake: 'data' };
+        let mockTransaction1;
+        let mockTransaction2;
+        let mockOverlayDataService;
+
+        beforeEach(() => {
+            mockContext.isReadOnly.returns(true);
+            mockOverlayDataService = sinon.createStubInstance(OverlayDataService);
+            mockOverlayDataService.getChanges.returns([]);
+            mockContext.startSimulation.returns(mockOverlayDataService);
+            mockEventService.getEvents.returns([]);
+            mockTransaction1 = sinon.createStubInstance(Resource);
+            mockTransaction1.getFullyQualifiedType.returns('org.acme.TestTransaction');
+            mockTransaction2 = sinon.createStubInstance(Resource);
+            mockSerializer.fromJSON.withArgs(fakeJSON).onFirstCall().returns(mockTransaction1);
+            mockSerializer.fromJSON.withArgs(fakeJSON).onSecondCall().returns(mockTransaction2);
+            mockResolver.resolve.resolves();
+        });
+
+        it('should throw for invalid arguments', () => {
+            let result = engine.query(mockContext, 'simulateTransaction', ['no', 'args', 'supported', 'here']);
+            return result.should.be.rejectedWith(/Invalid arguments "\["no","args","supported","here"\]" to function "simulateTransaction", expecting "\["serializedResource"\]"/);
+        });
+
+        it('should throw if not called using a query request', () => {
+            mockContext.isReadOnly.returns(false);
+            let result = engine.invoke(mockContext, 'simulateTransaction', [JSON.stringify(fakeJSON)]);
+            return result.should.be.rejectedWith(/Transactions can only be simulated using a query request/);
+        });
+
+        it('should execute the transaction in a simulation and return the changes it would make', () => {
+            mockOverlayDataService.getChanges.returns([
+                { operation: 'add', collectionId: '$sysregistries', id: 'Asset:org.acme.Cat', object: { type: 'Asset' } },
+                { operation: 'add', collectionId: 'Asset:org.acme.Car', id: 'CAR_3', object: { $class: 'org.acme.Car', vin: 'CAR_3' } },
+                { operation: 'update', collectionId: 'Asset:org.acme.Car', id: 'CAR_1', oldObject: { $class: 'org.acme.Car', vin: 'CAR_1', colour: 'red' }, object: { $class: 'org.acme.Car', vin: 'CAR_1', colour: 'blue' } },
+                { operation: 'remove', collectionId: 'Participant:org.acme.Driver', id: 'DRIVER_1', oldObject: { $class: 'org.acme.Driver', driverId: 'DRIVER_1' } }
+            ]);
+            mockEventService.getEvents.returns([{ $class: 'org.acme.CarEvent' }]);
+            return engine.query(mockContext, 'simulateTransaction', [JSON.stringify(fakeJSON)])
+                .then((result) => {
+                    result.should.deep.equal({
+                        changes: [{
+                            operation: 'add',
+                            registryType: 'Asset',
+                            registryId: 'org.acme.Car',
+                            resourceId: 'CAR_3',
+                            resource: { $class: 'org.acme.Car', vin: 'CAR_3' }
+                        }, {
+                            operation: 'update',
+                            registryType: 'Asset',
+                            registryId: 'org.acme.Car',
+                            resourceId: 'CAR_1',
+                            oldResource: { $class: 'org.acme.Car', vin: 'CAR_1', colour: 'red' },
+                            resource: { $class: 'org.acme.Car', vin: 'CAR_1', colour: 'blue' },
+                            patches: [{ op: 'replace', path: '/colour', value: 'blue' }]
+                        }, {
+                            operation: 'remove',
+                            registryType: 'Participant',
+                            registryId: 'org.acme.Driver',
+                            resourceId: 'DRIVER_1',
+                            oldResource: { $class: 'org.acme.Driver', driverId: 'DRIVER_1' }
+                        }],
+                        events: [{ $class: 'org.acme.CarEvent' }]
+                    });
+                    sinon.assert.calledOnce(mockContext.startSimulation);
+                    sinon.assert.callOrder(mockContext.startSimulation, mockContext.setTransaction, mockTransactionExecutor.execute);
+                    sinon.assert.calledWith(mockTransactionExecutor.execute, mockApi, mockScriptManager, mockTransaction1, mockTransaction2);
+                    sinon.assert.notCalled(mockRegistry.add);
+                    sinon.assert.notCalled(mockHistorian.addRecord);
+                    sinon.assert.notCalled(mockEventService.commit);
+                });
+        });
+
+        it('should return the value returned by the transaction processor functions', () => {
+            mockScriptManager.getTransactionReturnType.withArgs('org.acme.TestTransaction').returns('String');
+            mockTransactionExecutor.execute.resolves('hello world');
+            return engine.query(mockContext, 'simulateTransaction', [JSON.stringify(fakeJSON)])
+                .should.eventually.deep.equal({ changes: [], events: [], returnValue: 'hello world' });
+        });
+
+        it('should throw if the transaction fails', () => {
+            mockTransactionExecutor.execute.rejects(new Error('such error'));
+            return engine.query(mockContext, 'simulateTransaction', [JSON.stringify(fakeJSON)])
+                .should.be.rejectedWith(/such error/);
+        });
+
+    });
+
+    describe('#submitTransactions', () => {
+
+        let fakeJSON1, fakeJSON2;
+        let mockTransaction1, mockTransaction2;
+
+        beforeEach(() => {
+            fakeJSON1 = { fake: 'data1' };
+            fakeJSON2 = { fake: 'data2' };
+            mockTransaction1 = sinon.createStubInstance(Resource);
+            mockTransaction1.$identifier = 'tx1';
+            mockTransaction1.getIdentifier.returns('tx1');
+            mockTransaction2 = sinon.createStubInstance(Resource);
+            mockTransaction2.$identifier = 'tx2';
+            mockTransaction2.getIdentifier.returns('tx2');
+            mockSerializer.fromJSON.withArgs(fakeJSON1).returns(mockTransaction1);
+            mockSerializer.fromJSON.withArgs(fakeJSON2).returns(mockTransaction2);
+            mockResolver.resolve.resolves();
+        });
+
+        it('should throw for invalid arguments', () => {
+            let result = engine.invoke(mockContext, 'submitTransactions', ['no', 'args', 'supported', 'here']);
+            return result.should.be.rejectedWith(/Invalid arguments "\["no","args","supported","here"\]" to function "submitTransactions", expecting "\["registryId","serializedResources"\]"/);
+        });
+
+        it('should throw if the transactions are not an array', () => {
+            let result = engine.invoke(mockContext, 'submitTransactions', ['Transaction:default', JSON.stringify(fakeJSON1)]);
+            return result.should.be.rejectedWith(/The transactions to submit must be specified as an array/);
+        });
+
+        it('should execute each transaction in order and return the results', () => {
+            return engine.invoke(mockContext, 'submitTransactions', ['Transaction:default', JSON.stringify([fakeJSON1, fakeJSON2])])
+                .then((results) => {
+                    results.should.deep.equal([{ transactionId: 'tx1' }, { transactionId: 'tx2' }]);
+                    sinon.assert.calledTwice(mockContext.setTransaction);
+                    sinon.assert.calledWith(mockContext.setTransaction.firstCall, mockTransaction1);
+                    sinon.assert.calledWith(mockContext.setTransaction.secondCall, mockTransaction2);
+                    sinon.assert.calledTwice(mockContext.clearTransaction);
+                    sinon.assert.calledTwice(mockTransactionExecutor.execute);
+                    sinon.assert.calledWith(mockTransactionExecutor.execute.firstCall, mockApi, mockScriptManager, mockTransaction1);
+                    sinon.assert.calledWith(mockTransactionExecutor.execute.secondCall, mockApi, mockScriptManager, mockTransaction2);
+                    sinon.assert.calledTwice(mockRegistry.add);
+                    sinon.assert.calledWith(mockRegistry.add.firstCall, mockTransaction1);
+                    sinon.assert.calledWith(mockRegistry.add.secondCall, mockTransaction2);
+                    sinon.assert.calledTwice(mockHistorian.addRecord);
+                    sinon.assert.calledWith(mockHistorian.addRecord.firstCall, mockTransaction1, mockParticipant, 'dogeid1', [{ operation: 'remove' }]);
+                    sinon.assert.calledWith(mockHistorian.addRecord.secondCall, mockTransaction2, mockParticipant, 'dogeid1', [{ operation: 'remove' }]);
+                    sinon.assert.calledOnce(mockEventService.commit);
+                    sinon.assert.callOrder(mockContext.setTransaction, mockContext.clearTransaction, mockContext.setTransaction, mockContext.clearTransaction, mockEventService.commit);
+                    sinon.assert.calledOnce(mockDataService.transactionCommit);
+                });
+        });
+
+        it('should execute an empty batch of transactions', () => {
+            return engine.invoke(mockContext, 'submitTransactions', ['Transaction:default', JSON.stringify([])])
+                .then((results) => {
+                    results.should.deep.equal([]);
+                    sinon.assert.notCalled(mockTransactionExecutor.execute);
+                    sinon.assert.calledOnce(mockEventService.commit);
+                });
+        });
+
+        it('should fail the batch and roll back if any transaction fails', () => {
+            mockTransactionExecutor.execute.withArgs(mockApi, mockScriptManager, mockTransaction2).rejects(new Error('such error'));
+            return engine.invoke(mockContext, 'submitTransactions', ['Transaction:default', JSON.stringify([fakeJSON1, fakeJSON2])])
+                .should.be.rejectedWith(/Transaction 2 of 2 in batch failed: such error/)
+                .then(() => {
+                    sinon.assert.calledOnce(mockRegistry.add);
+                    sinon.assert.calledWith(mockRegistry.add, mockTransaction1);
+                    sinon.assert.notCalled(mockEventService.commit);
+                    sinon.assert.notCalled(mockDataService.transactionCommit);
+                    sinon.assert.calledOnce(mockDataService.transactionRollback);
+                });
+        });
+
+        it('should fail the batch if any transaction cannot be parsed', () => {
+            mockSerializer.fromJSON.withArgs(fakeJSON1).throws(new Error('such error'));
+            return engine.invoke(mockContext, 'submitTransactions', ['Transaction:default', JSON.stringify([fakeJSON1, fakeJSON2])])
+                .should.be.rejectedWith(/Transaction 1 of 2 in batch failed: such error/)
+                .then(() => {
+                    sinon.assert.notCalled(mockTransactionExecutor.execute);
+                    sinon.assert.notCalled(mockEventService.commit);
                 });
         });
 
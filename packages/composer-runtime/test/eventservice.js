@@ -0,0 +1,94 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const EventService = require('../lib/eventservice');
+
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+const sinon = require('sinon');
+
+describe('EventService', () => {
+
+    let eventService;
+
+    beforeEach(() => {
+        eventService = new EventService();
+    });
+
+    describe('#constructor', () => {
+
+        it('should create an empty event buffer', () => {
+            eventService.getEvents().should.deep.equal([]);
+        });
+
+    });
+
+    describe('#emit', () => {
+
+        it('should add the event to the event buffer', () => {
+            eventService.emit({ $class: 'org.acme.Event' });
+            eventService.getEvents().should.deep.equal([{ $class: 'org.acme.Event' }]);
+        });
+
+    });
+
+    describe('#serializeBuffer', () => {
+
+        it('should serialize the event buffer to a JSON string', () => {
+            eventService.emit({ $class: 'org.acme.Event' });
+            JSON.parse(eventService.serializeBuffer()).should.deep.equal([{ $class: 'org.acme.Event' }]);
+        });
+
+    });
+
+    describe('#commit', () => {
+
+        it('should call _commit and handle no error', () => {
+            sinon.stub(eventService, '_commit').yields(null);
+            return eventService.commit()
+                .then(() => {
+                    sinon.assert.calledOnce(eventService._commit);
+                });
+        });
+
+        it('should call _commit and handle an error', () => {
+            sinon.stub(eventService, '_commit').yields(new Error('error'));
+            return eventService.commit()
+                .should.be.rejectedWith(/error/);
+        });
+
+    });
+
+    describe('#_commit', () => {
+
+        it('should throw as abstract method', () => {
+            (() => {
+                eventService._commit(() => { });
+            }).should.throw(/abstract function called/);
+        });
+
+    });
+
+    describe('#toJSON', () => {
+
+        it('should return an empty object', () => {
+            eventService.toJSON().should.deep.equal({});
+        });
+
+    });
+
+});
@@ -0,0 +1,186 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const AccessController = require('../lib/accesscontroller');
+const AccessException = require('../lib/accessexception');
+const DataCollection = require('../lib/datacollection');
+const Factory = require('composer-common').Factory;
+const Historian = require('../lib/historian');
+const ModelManager = require('composer-common').ModelManager;
+const Serializer = require('composer-common').Serializer;
+
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+describe('Historian', () => {
+
+    let factory;
+    let serializer;
+    let mockAccessController;
+    let mockSystemHistorian;
+    let historian;
+    let transaction;
+    let participant;
+    let record1, record2;
+
+    beforeEach(() => {
+        let modelManager = new ModelManager();
+        modelManager.addModelFile(`
+        namespace org.acme
+        participant MyParticipant identified by participantId {
+            o String participantId
+        }
+        asset MyAsset identified by assetId {
+            o String assetId
+            o String value
+            o String secretValue optional
+        }
+        transaction MyTransaction identified by transactionId {
+            o String transactionId
+            o String value
+            o String secretValue optional
+        }`);
+        factory = new Factory(modelManager);
+        serializer = new Serializer(factory, modelManager);
+        mockAccessController = sinon.createStubInstance(AccessController);
+        mockSystemHistorian = sinon.createStubInstance(DataCollection);
+        historian = new Historian(serializer, mockAccessController, mockSystemHistorian);
+        transaction = factory.newTransaction('org.acme', 'MyTransaction', 'TX_1');
+        transaction.value = 'hello world';
+        transaction.timestamp = new Date('2017-03-01T12:00:00.000Z');
+        participant = factory.newResource('org.acme', 'MyParticipant', 'alice');
+        record1 = {
+            transactionId: 'TX_1',
+            transaction: { $class: 'org.acme.MyTransaction', transactionId: 'TX_1', value: 'hello world', timestamp: '2017-03-01T12:00:00.000Z' },
+            participant: 'org.acme.MyParticipant#alice',
+            identity: 'aliceid',
+            timestamp: '2017-03-01T12:00:00.000Z',
+            changes: []
+        };
+        record2 = {
+            transactionId: 'TX_2',
+            transaction: { $class: 'org.acme.MyTransaction', transactionId: 'TX_2', value: 'secret', timestamp: '2017-03-01T13:00:00.000Z' },
+            participant: null,
+            identity: null,
+            timestamp: '2017-03-01T13:00:00.000Z',
+            changes: []
+        };
+        mockAccessController.check.withArgs(sinon.match((resource) => {
+            return resource.value === 'secret';
+        }), 'READ').throws(new AccessException(transaction, 'READ', participant));
+        mockAccessController.check.withArgs(sinon.match((resource) => {
+            return resource.assetId === 'HIDDEN';
+        }), 'READ').throws(new AccessException(transaction, 'READ', participant));
+        mockAccessController.check.withArgs(sinon.match.any, 'READ', 'secretValue').throws(new AccessException(transaction, 'READ', participant, 'secretValue'));
+    });
+
+    describe('#addRecord', () => {
+
+        it('should add a record for the transaction', () => {
+            let changes = [{ operation: 'remove', registryType: 'Asset', registryId: 'org.acme.MyAsset', resourceId: 'ASSET_1' }];
+            mockSystemHistorian.add.resolves();
+            return historian.addRecord(transaction, participant, 'aliceid', changes)
+                .then((record) => {
+                    record.should.deep.equal({
+                        transactionId: 'TX_1',
+                        transaction: { $class: 'org.acme.MyTransaction', transactionId: 'TX_1', value: 'hello world', timestamp: '2017-03-01T12:00:00.000Z' },
+                        participant: 'org.acme.MyParticipant#alice',
+                        identity: 'aliceid',
+                        timestamp: '2017-03-01T12:00:00.000Z',
+                        changes: changes
+                    });
+                    sinon.assert.calledOnce(mockSystemHistorian.add);
+                    sinon.assert.calledWith(mockSystemHistorian.add, 'TX_1', record);
+                });
+        });
+
+        it('should add a record for a transaction without a participant or identity', () => {
+            mockSystemHistorian.add.resolves();
+            return historian.addRecord(transaction, null, null, [])
+                .then((record) => {
+                    record.should.include({ participant: null, identity: null });
+                });
+        });
+
+    });
+
+    describe('#getAllRecords', () => {
+
+        it('should return all of the records that the current participant can read', () => {
+            mockSystemHistorian.getAll.resolves([record1, record2]);
+            return historian.getAllRecords()
+                .then((records) => {
+                    records.should.deep.equal([record1]);
+                });
+        });
+
+    });
+
+    describe('#getAllRecords', () => {
+
+        it('should remove the changes and properties that the current participant cannot read', () => {
+            record1.transaction.secretValue = 'shh';
+            record1.changes = [
+                { operation: 'add', registryType: 'Asset', registryId: 'org.acme.MyAsset', resourceId: 'ASSET_1', resource: { $class: 'org.acme.MyAsset', assetId: 'ASSET_1', value: 'one', secretValue: 'shh' } },
+                { operation: 'add', registryType: 'Asset', registryId: 'org.acme.MyAsset', resourceId: 'HIDDEN', resource: { $class: 'org.acme.MyAsset', assetId: 'HIDDEN', value: 'two' } },
+                {
+                    operation: 'update', registryType: 'Asset', registryId: 'org.acme.MyAsset', resourceId: 'ASSET_1',
+                    resource: { $class: 'org.acme.MyAsset', assetId: 'ASSET_1', value: 'three', secretValue: 'shh!' },
+                    patches: [{ op: 'replace', path: '/value', value: 'three' }, { op: 'replace', path: '/secretValue', value: 'shh!' }]
+                },
+                { operation: 'remove', registryType: 'Asset', registryId: 'org.acme.MyAsset', resourceId: 'HIDDEN', resource: { $class: 'org.acme.MyAsset', assetId: 'HIDDEN', value: 'two' } },
+                { operation: 'remove', registryType: 'Asset', registryId: 'org.acme.MyAsset', resourceId: 'ASSET_2' }
+            ];
+            mockSystemHistorian.getAll.resolves([record1]);
+            return historian.getAllRecords()
+                .then((records) => {
+                    records.should.have.lengthOf(1);
+                    records[0].transaction.should.deep.equal({ $class: 'org.acme.MyTransaction', transactionId: 'TX_1', value: 'hello world', timestamp: '2017-03-01T12:00:00.000Z' });
+                    records[0].changes.should.deep.equal([
+                        { operation: 'add', registryType: 'Asset', registryId: 'org.acme.MyAsset', resourceId: 'ASSET_1', resource: { $class: 'org.acme.MyAsset', assetId: 'ASSET_1', value: 'one' } },
+                        {
+                            operation: 'update', registryType: 'Asset', registryId: 'org.acme.MyAsset', resourceId: 'ASSET_1',
+                            resource: { $class: 'org.acme.MyAsset', assetId: 'ASSET_1', value: 'three' },
+                            patches: [{ op: 'replace', path: '/value', value: 'three' }]
+                        }
+                    ]);
+                    record1.transaction.secretValue.should.equal('shh');
+                    record1.changes.should.have.lengthOf(5);
+                });
+        });
+
+    });
+
+    describe('#getRecord', () => {
+
+        it('should return the specified record', () => {
+            mockSystemHistorian.get.withArgs('TX_1').resolves(record1);
+            return historian.getRecord('TX_1')
+                .should.eventually.deep.equal(record1);
+        });
+
+        it('should throw if the current participant cannot read the specified record', () => {
+            mockSystemHistorian.get.withArgs('TX_2').resolves(record2);
+            return historian.getRecord('TX_2')
+                .should.be.rejectedWith(/Historian record with ID 'TX_2' does not exist/);
+        });
+
+    });
+
+});
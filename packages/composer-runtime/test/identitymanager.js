@@ -14,9 +14,11 @@
 
 'use strict';
 
+const Certificate = require('../lib/certificate');
 const DataCollection = require('../lib/datacollection');
 const DataService = require('../lib/dataservice');
 const IdentityManager = require('../lib/identitymanager');
+const IdentityService = require('../lib/identityservice');
 const Registry = require('../lib/registry');
 const RegistryManager = require('../lib/registrymanager');
 const Resource = require('composer-common').Resource;
@@ -29,12 +31,26 @@ chai.use(require('chai-things'));
 const sinon = require('sinon');
 require('sinon-as-promised');
 
+const certificate = [
+    '-----BEGIN CERTIFICATE-----',
+    'MIIBVzCB/QIBATAKBggqhkjOPQQDAjAvMRQwEgYDVQQKDAtIeXBlcmxlZGdlcjEX',
+    'MBUGA1UEAwwOY2EuZXhhbXBsZS5jb20wHhcNMjYxMDE5MDgxNzMwWhcNMzYxMDE2',
+    'MDgxNzMwWjBAMRQwEgYDVQQKDAtIeXBlcmxlZGdlcjEPMA0GA1UECwwGY2xpZW50',
+    'MRcwFQYDVQQDDA5ib2JAdWsuaWJtLmNvbTBZMBMGByqGSM49AgEGCCqGSM49AwEH',
+    'A0IABEebZDKuK20Ik07gYFjUMlx3HdaRbSfdB57S9lgd+D0dzMaxbEOCCT/vvoYL',
+    'xDGz/Z15+fYctEximF5y+muvBW0wCgYIKoZIzj0EAwIDSQAwRgIhAMIOWQ1UCU0+',
+    'ZmTP1WLCfDNLQusPlPcC/7/c733w4x1uAiEAlF2NtOn+Mfc6mbBWz4Q/vrKOqZSo',
+    'eXuMQuRqkDnhhM8=',
+    '-----END CERTIFICATE-----'
+].join('\n');
+
 describe('IdentityManager', () => {
 
     let mockDataService;
     let mockSystemIdentities;
     let mockRegistryManager;
     let mockRegistry;
+    let mockIdentityService;
     let identityManager;
     let mockParticipant;
 
@@ -45,7 +61,9 @@ describe('IdentityManager', () => {
         mockRegistryManager = sinon.createStubInstance(RegistryManager);
         mockRegistry = sinon.createStubInstance(Registry);
         mockRegistryManager.get.withArgs('Participant', 'org.doge.Doge').resolves(mockRegistry);
-        identityManager = new IdentityManager(mockDataService, mockRegistryManager, mockSystemIdentities);
+        mockIdentityService = sinon.createStubInstance(IdentityService);
+        mockIdentityService.getCurrentUserID.returns(null);
+        identityManager = new IdentityManager(mockDataService, mockRegistryManager, mockSystemIdentities, mockIdentityService);
         mockParticipant = sinon.createStubInstance(Resource);
         mockParticipant.getIdentifier.returns('DOGE_1');
         mockParticipant.getType.returns('Doge');
@@ -54,33 +72,54 @@ describe('IdentityManager', () => {
         mockParticipant.getFullyQualifiedIdentifier.returns('org.doge.Doge#DOGE_1');
     });
 
-    describe('#addIdentityMapping', () => {
+    describe('#issueIdentity', () => {
 
-        it('should add a new mapping for a user ID to a participant specified by a resource', () => {
+        it('should issue an identity mapped to a participant specified by a resource', () => {
             // The participant exists.
             mockRegistry.get.withArgs('DOGE_1').resolves(mockParticipant);
             // An existing mapping for this user ID does not exist.
             mockSystemIdentities.exists.withArgs('dogeid1').resolves(false);
-            return identityManager.addIdentityMapping(mockParticipant, 'dogeid1')
-                .then(() => {
-                    sinon.assert.calledOnce(mockSystemIdentities.add);
-                    sinon.assert.calledWith(mockSystemIdentities.add, 'dogeid1', {
+            return identityManager.issueIdentity(mockParticipant, 'dogeid1', '2017-05-01T00:00:00.000Z')
+                .then((identity) => {
+                    let expected = {
+                        name: 'dogeid1',
+                        issuer: null,
+                        certificate: null,
+                        fingerprint: null,
+                        state: 'ISSUED',
+                        issued: '2017-05-01T00:00:00.000Z',
                         participant: 'org.doge.Doge#DOGE_1'
-                    });
+                    };
+                    identity.should.deep.equal(expected);
+                    sinon.assert.calledOnce(mockSystemIdentities.add);
+                    sinon.assert.calledWith(mockSystemIdentities.add, 'dogeid1', expected);
                 });
         });
 
-        it('should add a new mapping for a user ID to a participant specified by an identifier', () => {
+        it('should issue an identity mapped to a participant specified by an identifier', () => {
             // The participant exists.
             mockRegistry.get.withArgs('DOGE_1').resolves(mockParticipant);
             // An existing mapping for this user ID does not exist.
             mockSystemIdentities.exists.withArgs('dogeid1').resolves(false);
-            return identityManager.addIdentityMapping('org.doge.Doge#DOGE_1', 'dogeid1')
+            return identityManager.issueIdentity('org.doge.Doge#DOGE_1', 'dogeid1', '2017-05-01T00:00:00.000Z')
                 .then(() => {
                     sinon.assert.calledOnce(mockSystemIdentities.add);
-                    sinon.assert.calledWith(mockSystemIdentities.add, 'dogeid1', {
+                    sinon.assert.calledWith(mockSystemIdentities.add, 'dogeid1', sinon.match({
+                        name: 'dogeid1',
                         participant: 'org.doge.Doge#DOGE_1'
-                    });
+                    }));
+                });
+        });
+
+        it('should record the current identity as the issuer', () => {
+            mockIdentityService.getCurrentUserID.returns('issuerid1');
+            // The participant exists.
+            mockRegistry.get.withArgs('DOGE_1').resolves(mockParticipant);
+            // An existing mapping for this user ID does not exist.
+            mockSystemIdentities.exists.withArgs('dogeid1').resolves(false);
+            return identityManager.issueIdentity('org.doge.Doge#DOGE_1', 'dogeid1', '2017-05-01T00:00:00.000Z')
+                .then((identity) => {
+                    identity.issuer.should.equal('issuerid1');
                 });
         });
 
@@ -89,7 +128,7 @@ describe('IdentityManager', () => {
             mockRegistry.get.withArgs('DOGE_1').rejects(new Error('does not exist'));
             // An existing mapping for this user ID does not exist.
             mockSystemIdentities.exists.withArgs('dogeid1').resolves(false);
-            return identityManager.addIdentityMapping('org.doge.Doge#DOGE_1', 'dogeid1')
+            return identityManager.issueIdentity('org.doge.Doge#DOGE_1', 'dogeid1', '2017-05-01T00:00:00.000Z')
                 .should.be.rejectedWith(/does not exist/);
         });
 
@@ -99,7 +138,7 @@ describe('IdentityManager', () => {
             // An existing mapping for this user ID does not exist.
             mockSystemIdentities.exists.withArgs('dogeid1').resolves(false);
             (() => {
-                identityManager.addIdentityMapping('org.doge.Doge$DOGE_1', 'dogeid1');
+                identityManager.issueIdentity('org.doge.Doge$DOGE_1', 'dogeid1', '2017-05-01T00:00:00.000Z');
             }).should.throw(/Invalid fully qualified participant identifier/);
         });
 
@@ -108,28 +147,125 @@ describe('IdentityManager', () => {
             mockRegistry.get.withArgs('DOGE_1').resolves(mockParticipant);
             // An existing mapping for this user ID does exist.
             mockSystemIdentities.exists.withArgs('dogeid1').resolves(true);
-            return identityManager.addIdentityMapping('org.doge.Doge#DOGE_1', 'dogeid1')
+            return identityManager.issueIdentity('org.doge.Doge#DOGE_1', 'dogeid1', '2017-05-01T00:00:00.000Z')
+                .should.be.rejectedWith(/Found an existing mapping for user ID/);
+        });
+
+    });
+
+    describe('#bindIdentity', () => {
+
+        it('should bind a certificate to a participant', () => {
+            // The participant exists.
+            mockRegistry.get.withArgs('DOGE_1').resolves(mockParticipant);
+            // An existing mapping for this user ID does not exist.
+            mockSystemIdentities.exists.withArgs('bob@uk.ibm.com').resolves(false);
+            return identityManager.bindIdentity('org.doge.Doge#DOGE_1', certificate, '2017-05-01T00:00:00.000Z')
+                .then((identity) => {
+                    let expected = {
+                        name: 'bob@uk.ibm.com',
+                        issuer: null,
+                        certificate: certificate + '\n',
+                        fingerprint: 'aefa5f383588e0b91bf7976639dd73437a23dbbec2dfaaf8877ae28fa77eee00',
+                        state: 'BOUND',
+                        issued: '2017-05-01T00:00:00.000Z',
+                        participant: 'org.doge.Doge#DOGE_1'
+                    };
+                    identity.should.deep.equal(expected);
+                    sinon.assert.calledOnce(mockSystemIdentities.add);
+                    sinon.assert.calledWith(mockSystemIdentities.add, 'bob@uk.ibm.com', expected);
+                });
+        });
+
+        it('should throw if the certificate is invalid', () => {
+            (() => {
+                identityManager.bindIdentity('org.doge.Doge#DOGE_1', 'such certificate', '2017-05-01T00:00:00.000Z');
+            }).should.throw(/Invalid certificate/);
+        });
+
+        it('should throw if the certificate is already bound', () => {
+            // The participant exists.
+            mockRegistry.get.withArgs('DOGE_1').resolves(mockParticipant);
+            // An existing mapping for this user ID does exist.
+            mockSystemIdentities.exists.withArgs('bob@uk.ibm.com').resolves(true);
+            return identityManager.bindIdentity('org.doge.Doge#DOGE_1', certificate, '2017-05-01T00:00:00.000Z')
                 .should.be.rejectedWith(/Found an existing mapping for user ID/);
         });
 
     });
 
-    describe('#removeIdentityMapping', () => {
+    describe('#revokeIdentity', () => {
 
-        it('should remove an existing mapping for a user ID to a participant', () => {
+        it('should revoke an existing identity', () => {
             // An existing mapping for this user ID does exist.
             mockSystemIdentities.exists.withArgs('dogeid1').resolves(true);
-            return identityManager.removeIdentityMapping('dogeid1')
+            mockSystemIdentities.get.withArgs('dogeid1').resolves({ name: 'dogeid1', state: 'ACTIVATED', participant: 'org.doge.Doge#DOGE_1' });
+            return identityManager.revokeIdentity('dogeid1')
                 .then(() => {
-                    sinon.assert.calledOnce(mockSystemIdentities.remove);
-                    sinon.assert.calledWith(mockSystemIdentities.remove, 'dogeid1');
+                    sinon.assert.calledOnce(mockSystemIdentities.update);
+                    sinon.assert.calledWith(mockSystemIdentities.update, 'dogeid1', { name: 'dogeid1', state: 'REVOKED', participant: 'org.doge.Doge#DOGE_1' });
+                    sinon.assert.notCalled(mockSystemIdentities.remove);
                 });
         });
 
-        it('should not throw if an existing mapping for a user ID does not exist', () => {
+        it('should not throw if an existing identity does not exist', () => {
             // An existing mapping for this user ID does not exist.
             mockSystemIdentities.exists.withArgs('dogeid1').resolves(false);
-            return identityManager.removeIdentityMapping('dogeid1');
+            return identityManager.revokeIdentity('dogeid1')
+                .then(() => {
+                    sinon.assert.notCalled(mockSystemIdentities.update);
+                });
+        });
+
+    });
+
+    describe('#activateIdentity', () => {
+
+        ['ISSUED', 'BOUND'].forEach((state) => {
+
+            it(`should activate an identity in the ${state} state`, () => {
+                mockSystemIdentities.get.withArgs('dogeid1').resolves({ name: 'dogeid1', state: state });
+                return identityManager.activateIdentity('dogeid1')
+                    .then(() => {
+                        sinon.assert.calledOnce(mockSystemIdentities.update);
+                        sinon.assert.calledWith(mockSystemIdentities.update, 'dogeid1', { name: 'dogeid1', state: 'ACTIVATED' });
+                    });
+            });
+
+        });
+
+        it('should not update an identity that has already been activated', () => {
+            mockSystemIdentities.get.withArgs('dogeid1').resolves({ name: 'dogeid1', state: 'ACTIVATED' });
+            return identityManager.activateIdentity('dogeid1')
+                .then(() => {
+                    sinon.assert.notCalled(mockSystemIdentities.update);
+                });
+        });
+
+    });
+
+    describe('#getIdentities', () => {
+
+        it('should return all of the identities', () => {
+            mockSystemIdentities.getAll.resolves([{ name: 'dogeid1' }, { name: 'dogeid2' }]);
+            return identityManager.getIdentities()
+                .should.eventually.be.deep.equal([{ name: 'dogeid1' }, { name: 'dogeid2' }]);
+        });
+
+    });
+
+    describe('#getIdentity', () => {
+
+        it('should return the specified identity', () => {
+            mockSystemIdentities.get.withArgs('dogeid1').resolves({ name: 'dogeid1' });
+            return identityManager.getIdentity('dogeid1')
+                .should.eventually.be.deep.equal({ name: 'dogeid1' });
+        });
+
+        it('should throw an error for a missing identity', () => {
+            mockSystemIdentities.get.withArgs('dogeid1').rejects(new Error('no such identity'));
+            return identityManager.getIdentity('dogeid1')
+                .should.be.rejectedWith(/no such identity/);
         });
 
     });
@@ -149,6 +285,62 @@ describe('IdentityManager', () => {
                 });
         });
 
+        it('should throw an error for a revoked identity', () => {
+            // An existing mapping for this user ID does exist, but has been revoked.
+            mockSystemIdentities.get.withArgs('dogeid1').resolves({
+                state: 'REVOKED',
+                participant: 'org.doge.Doge#DOGE_1'
+            });
+            // The participant exists.
+            mockRegistry.get.withArgs('DOGE_1').resolves(mockParticipant);
+            return identityManager.getParticipant('dogeid1')
+                .should.be.rejectedWith(/The identity 'dogeid1' has been revoked/);
+        });
+
+        it('should resolve to a participant for a bound identity and the bound certificate', () => {
+            // An existing mapping for this user ID does exist, bound to a certificate.
+            mockSystemIdentities.get.withArgs('dogeid1').resolves({
+                name: 'dogeid1',
+                fingerprint: new Certificate(certificate).getFingerprint(),
+                participant: 'org.doge.Doge#DOGE_1'
+            });
+            mockIdentityService.getCurrentCertificate.returns(certificate);
+            // The participant exists.
+            mockRegistry.get.withArgs('DOGE_1').resolves(mockParticipant);
+            return identityManager.getParticipant('dogeid1')
+                .then((participant) => {
+                    participant.should.equal(mockParticipant);
+                });
+        });
+
+        it('should throw an error for a bound identity and a different certificate', () => {
+            // An existing mapping for this user ID does exist, bound to another certificate.
+            mockSystemIdentities.get.withArgs('dogeid1').resolves({
+                name: 'dogeid1',
+                fingerprint: 'd0d0d0d0',
+                participant: 'org.doge.Doge#DOGE_1'
+            });
+            mockIdentityService.getCurrentCertificate.returns(certificate);
+            // The participant exists.
+            mockRegistry.get.withArgs('DOGE_1').resolves(mockParticipant);
+            return identityManager.getParticipant('dogeid1')
+                .should.be.rejectedWith(/The certificate used to submit the request does not match the certificate for the identity 'dogeid1'/);
+        });
+
+        it('should throw an error for a bound identity and no certificate', () => {
+            // An existing mapping for this user ID does exist, bound to a certificate.
+            mockSystemIdentities.get.withArgs('dogeid1').resolves({
+                name: 'dogeid1',
+                fingerprint: new Certificate(certificate).getFingerprint(),
+                participant: 'org.doge.Doge#DOGE_1'
+            });
+            mockIdentityService.getCurrentCertificate.returns(null);
+            // The participant exists.
+            mockRegistry.get.withArgs('DOGE_1').resolves(mockParticipant);
+            return identityManager.getParticipant('dogeid1')
+                .should.be.rejectedWith(/The certificate used to submit the request does not match the certificate for the identity 'dogeid1'/);
+        });
+
         it('should throw an error for a missing mapping', () => {
             // An existing mapping for this user ID does not exist.
             mockSystemIdentities.get.withArgs('dogeid1').rejects(new Error('no such mapping'));
@@ -32,6 +32,14 @@ describe('IdentityService', () => {
 
     });
 
+    describe('#getCurrentCertificate', () => {
+
+        it('should return null', () => {
+            (identityService.getCurrentCertificate() === null).should.be.true;
+        });
+
+    });
+
     describe('#toJSON', () => {
 
         it('should return an empty object', () => {
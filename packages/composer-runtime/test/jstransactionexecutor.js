@@ -15,11 +15,13 @@
 'use strict';
 
 const Api = require('../lib/api');
+const EventService = require('../lib/eventservice');
 const Factory = require('composer-common').Factory;
 const JSTransactionExecutor = require('../lib/jstransactionexecutor');
 const ModelManager = require('composer-common').ModelManager;
 const RegistryManager = require('../lib/registrymanager');
 const ScriptManager = require('composer-common').ScriptManager;
+const Serializer = require('composer-common').Serializer;
 
 const chai = require('chai');
 chai.should();
@@ -37,6 +39,8 @@ describe('JSTransactionExecutor', () => {
     let participant;
     let scriptManager;
     let mockRegistryManager;
+    let serializer;
+    let mockEventService;
     let api;
 
     beforeEach(() => {
@@ -59,7 +63,9 @@ describe('JSTransactionExecutor', () => {
         participant = factory.newResource('org.acme', 'TestParticipant', '1');
         scriptManager = new ScriptManager(modelManager);
         mockRegistryManager = sinon.createStubInstance(RegistryManager);
-        api = new Api(factory, participant, mockRegistryManager);
+        serializer = new Serializer(factory, modelManager);
+        mockEventService = sinon.createStubInstance(EventService);
+        api = new Api(factory, participant, mockRegistryManager, serializer, mockEventService);
     });
 
     afterEach(() => {
@@ -149,6 +155,25 @@ describe('JSTransactionExecutor', () => {
                 .should.be.rejectedWith(/test error/);
         });
 
+        it('should execute a single transaction processor function and wait for a promise from another library', () => {
+            sinon.stub(executor, 'findFunctionNames').returns(['doIt']);
+            let resolved = false;
+            let thenable = {
+                then: (onFulfilled) => {
+                    setTimeout(() => {
+                        resolved = true;
+                        onFulfilled();
+                    }, 10);
+                }
+            };
+            let stub = sinon.stub().returns(thenable);
+            sinon.stub(executor, 'compileScripts').returns([stub]);
+            return executor.execute(api, scriptManager, transaction, resolvedTransaction)
+                .then(() => {
+                    resolved.should.be.true;
+                });
+        });
+
         it('should execute multiple transaction processor functions and handle promises', () => {
             sinon.stub(executor, 'findFunctionNames').returns(['doIt']);
             let stub1 = sinon.spy(new Function(`
@@ -166,6 +191,35 @@ describe('JSTransactionExecutor', () => {
                 });
         });
 
+        it('should resolve with the value returned by the function that returns a value', () => {
+            sinon.stub(executor, 'findFunctionNames').returns(['doIt', 'doIt2', 'doIt3']);
+            sinon.stub(executor, 'findReturningFunctionNames').returns(['doIt2']);
+            let stub1 = sinon.stub().returns('not me');
+            let stub2 = sinon.stub().returns(Promise.resolve('me'));
+            let stub3 = sinon.stub().returns(Promise.resolve('not me either'));
+            sinon.stub(executor, 'compileScripts').returns([stub1, stub2, stub3]);
+            return executor.execute(api, scriptManager, transaction, resolvedTransaction)
+                .should.eventually.equal('me');
+        });
+
+        it('should resolve with the value returned by a function that does not return a promise', () => {
+            sinon.stub(executor, 'findFunctionNames').returns(['doIt']);
+            sinon.stub(executor, 'findReturningFunctionNames').returns(['doIt']);
+            let stub = sinon.stub().returns(3.142);
+            sinon.stub(executor, 'compileScripts').returns([stub]);
+            return executor.execute(api, scriptManager, transaction, resolvedTransaction)
+                .should.eventually.equal(3.142);
+        });
+
+        it('should resolve with undefined if no function returns a value', () => {
+            sinon.stub(executor, 'findFunctionNames').returns(['doIt']);
+            sinon.stub(executor, 'findReturningFunctionNames').returns([]);
+            let stub = sinon.stub().returns(Promise.resolve('not me'));
+            sinon.stub(executor, 'compileScripts').returns([stub]);
+            return executor.execute(api, scriptManager, transaction, resolvedTransaction)
+                .should.eventually.be.undefined;
+        });
+
     });
 
     describe('#findFunctionNames', () => {
@@ -257,6 +311,38 @@ describe('JSTransactionExecutor', () => {
 
     });
 
+    describe('#findReturningFunctionNames', () => {
+
+        it('should find the transaction processor functions that return a value', () => {
+            scriptManager.addScript(scriptManager.createScript('script1', 'JS', `
+            /**
+             * @param {org.acme.TestTransaction} transaction The transaction to call.
+             * @transaction
+             */
+            function doIt(transaction) {
+            }
+
+            /**
+             * @param {org.acme.TestTransaction} transaction The transaction to call.
+             * @returns {Promise.<String>} The result.
+             * @transaction
+             */
+            function doIt2(transaction) {
+            }
+
+            /**
+             * @param {org.acme.TestTransaction2} transaction The transaction to call.
+             * @returns {String} The result.
+             * @transaction
+             */
+            function doIt3(transaction) {
+            }
+            `));
+            executor.findReturningFunctionNames(scriptManager, transaction).should.deep.equal(['doIt2']);
+        });
+
+    });
+
     describe('#compileScripts', () => {
 
         it('should compile a function for a single script and single function', () => {
@@ -0,0 +1,268 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const DataCollection = require('../lib/datacollection');
+const OverlayDataCollection = require('../lib/overlaydatacollection');
+const OverlayDataService = require('../lib/overlaydataservice');
+
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+describe('OverlayDataCollection', () => {
+
+    let mockDataService;
+    let mockDataCollection;
+    let dataCollection;
+
+    beforeEach(() => {
+        mockDataService = sinon.createStubInstance(OverlayDataService);
+        mockDataCollection = sinon.createStubInstance(DataCollection);
+        mockDataCollection.getAll.resolves([{ name: 'doge1' }, { name: 'doge2' }, { name: 'doge3' }]);
+        mockDataCollection.exists.resolves(false);
+        ['doge1', 'doge2', 'doge3'].forEach((id) => {
+            mockDataCollection.exists.withArgs(id).resolves(true);
+            mockDataCollection.get.withArgs(id).resolves({ name: id });
+        });
+        dataCollection = new OverlayDataCollection(mockDataService, 'doges', mockDataCollection);
+    });
+
+    describe('#constructor', () => {
+
+        it('should be a data collection', () => {
+            dataCollection.should.be.an.instanceOf(DataCollection);
+        });
+
+    });
+
+    describe('#getAll', () => {
+
+        it('should return the underlying objects if nothing has changed', () => {
+            return dataCollection.getAll()
+                .should.eventually.deep.equal([{ name: 'doge1' }, { name: 'doge2' }, { name: 'doge3' }]);
+        });
+
+        it('should return the changed objects', () => {
+            return dataCollection.add('doge4', { name: 'doge4' })
+                .then(() => {
+                    return dataCollection.update('doge1', { name: 'doge1', updated: true });
+                })
+                .then(() => {
+                    return dataCollection.remove('doge2');
+                })
+                .then(() => {
+                    return dataCollection.getAll();
+                })
+                .should.eventually.deep.equal([{ name: 'doge3' }, { name: 'doge4' }, { name: 'doge1', updated: true }]);
+        });
+
+        it('should return no objects if there is no underlying collection', () => {
+            dataCollection = new OverlayDataCollection(mockDataService, 'doges');
+            return dataCollection.getAll()
+                .should.eventually.deep.equal([]);
+        });
+
+        it('should return errors from the underlying collection', () => {
+            mockDataCollection.getAll.rejects(new Error('such error'));
+            return dataCollection.getAll()
+                .should.be.rejectedWith(/such error/);
+        });
+
+    });
+
+    describe('#getPage', () => {
+
+        it('should return a page of the changed objects', () => {
+            return dataCollection.remove('doge1')
+                .then(() => {
+                    return dataCollection.getPage(1);
+                })
+                .should.eventually.deep.equal({ objects: [{ name: 'doge2' }], bookmark: '1' });
+        });
+
+    });
+
+    describe('#get', () => {
+
+        it('should return an underlying object that has not changed', () => {
+            return dataCollection.get('doge1')
+                .should.eventually.deep.equal({ name: 'doge1' });
+        });
+
+        it('should return a changed object', () => {
+            return dataCollection.update('doge1', { name: 'doge1', updated: true })
+                .then(() => {
+                    return dataCollection.get('doge1');
+                })
+                .should.eventually.deep.equal({ name: 'doge1', updated: true });
+        });
+
+        it('should throw if the object has been removed', () => {
+            return dataCollection.remove('doge1')
+                .then(() => {
+                    return dataCollection.get('doge1');
+                })
+                .should.be.rejectedWith(/Object with ID 'doge1' in collection with ID 'doges' does not exist/);
+        });
+
+        it('should throw if the object does not exist', () => {
+            return dataCollection.get('doge4')
+                .should.be.rejectedWith(/Object with ID 'doge4' in collection with ID 'doges' does not exist/);
+        });
+
+        it('should throw if there is no underlying collection', () => {
+            dataCollection = new OverlayDataCollection(mockDataService, 'doges');
+            return dataCollection.get('doge1')
+                .should.be.rejectedWith(/Object with ID 'doge1' in collection with ID 'doges' does not exist/);
+        });
+
+    });
+
+    describe('#exists', () => {
+
+        it('should return true for an underlying object that has not changed', () => {
+            return dataCollection.exists('doge1')
+                .should.eventually.be.true;
+        });
+
+        it('should return false for an object that has been removed', () => {
+            return dataCollection.remove('doge1')
+                .then(() => {
+                    return dataCollection.exists('doge1');
+                })
+                .should.eventually.be.false;
+        });
+
+        it('should return errors from the underlying collection', () => {
+            mockDataCollection.exists.withArgs('doge1').rejects(new Error('such error'));
+            return dataCollection.exists('doge1')
+                .should.be.rejectedWith(/such error/);
+        });
+
+    });
+
+    describe('#add', () => {
+
+        it('should add the object to the overlay only', () => {
+            return dataCollection.add('doge4', { name: 'doge4' })
+                .then(() => {
+                    sinon.assert.notCalled(mockDataCollection.add);
+                    return dataCollection.get('doge4');
+                })
+                .should.eventually.deep.equal({ name: 'doge4' });
+        });
+
+        it('should throw if the object already exists', () => {
+            return dataCollection.add('doge1', { name: 'doge1' })
+                .should.be.rejectedWith(/Failed to add object with ID 'doge1' in collection with ID 'doges' as the object already exists/);
+        });
+
+        it('should replace the object if forced', () => {
+            return dataCollection.add('doge1', { name: 'doge1', forced: true }, true)
+                .then(() => {
+                    return dataCollection.get('doge1');
+                })
+                .should.eventually.deep.equal({ name: 'doge1', forced: true });
+        });
+
+    });
+
+    describe('#update', () => {
+
+        it('should update the object in the overlay only', () => {
+            return dataCollection.update('doge1', { name: 'doge1', updated: true })
+                .then(() => {
+                    return dataCollection.update('doge1', { name: 'doge1', updated: 'twice' });
+                })
+                .then(() => {
+                    sinon.assert.notCalled(mockDataCollection.update);
+                    return dataCollection.get('doge1');
+                })
+                .should.eventually.deep.equal({ name: 'doge1', updated: 'twice' });
+        });
+
+        it('should return errors from the underlying collection', () => {
+            mockDataCollection.get.withArgs('doge1').rejects(new Error('such error'));
+            return dataCollection.update('doge1', { name: 'doge1', updated: true })
+                .should.be.rejectedWith(/such error/);
+        });
+
+    });
+
+    describe('#remove', () => {
+
+        it('should remove the object from the overlay only', () => {
+            return dataCollection.remove('doge1')
+                .then(() => {
+                    sinon.assert.notCalled(mockDataCollection.remove);
+                    return dataCollection.exists('doge1');
+                })
+                .should.eventually.be.false;
+        });
+
+        it('should return errors from the underlying collection', () => {
+            mockDataCollection.exists.withArgs('doge1').rejects(new Error('such error'));
+            return dataCollection.remove('doge1')
+                .should.be.rejectedWith(/such error/);
+        });
+
+    });
+
+    describe('#getChanges', () => {
+
+        it('should return no changes if nothing has changed', () => {
+            dataCollection.getChanges().should.deep.equal([]);
+        });
+
+        it('should return the changes ordered by ID', () => {
+            return dataCollection.update('doge3', { name: 'doge3', updated: true })
+                .then(() => {
+                    return dataCollection.add('doge4', { name: 'doge4' });
+                })
+                .then(() => {
+                    return dataCollection.remove('doge1');
+                })
+                .then(() => {
+                    dataCollection.getChanges().should.deep.equal([
+                        { operation: 'remove', collectionId: 'doges', id: 'doge1', oldObject: { name: 'doge1' } },
+                        { operation: 'update', collectionId: 'doges', id: 'doge3', oldObject: { name: 'doge3' }, object: { name: 'doge3', updated: true } },
+                        { operation: 'add', collectionId: 'doges', id: 'doge4', object: { name: 'doge4' } }
+                    ]);
+                });
+        });
+
+        it('should not return changes that have been undone', () => {
+            return dataCollection.update('doge1', { name: 'doge1', updated: true })
+                .then(() => {
+                    return dataCollection.update('doge1', { name: 'doge1' });
+                })
+                .then(() => {
+                    return dataCollection.add('doge4', { name: 'doge4' });
+                })
+                .then(() => {
+                    return dataCollection.remove('doge4');
+                })
+                .then(() => {
+                    dataCollection.getChanges().should.deep.equal([]);
+                });
+        });
+
+    });
+
+});
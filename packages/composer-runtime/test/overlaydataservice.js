@@ -0,0 +1,225 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const DataCollection = require('../lib/datacollection');
+const DataService = require('../lib/dataservice');
+const OverlayDataCollection = require('../lib/overlaydatacollection');
+const OverlayDataService = require('../lib/overlaydataservice');
+
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+const sinon = require('sinon');
+require('sinon-as-promised');
+
+describe('OverlayDataService', () => {
+
+    let mockDataService;
+    let mockDataCollection;
+    let dataService;
+
+    beforeEach(() => {
+        mockDataService = sinon.createStubInstance(DataService);
+        mockDataCollection = sinon.createStubInstance(DataCollection);
+        mockDataCollection.exists.resolves(false);
+        mockDataCollection.exists.withArgs('doge1').resolves(true);
+        mockDataCollection.get.withArgs('doge1').resolves({ name: 'doge1' });
+        mockDataService.existsCollection.resolves(false);
+        mockDataService.existsCollection.withArgs('doges').resolves(true);
+        mockDataService.getCollection.rejects(new Error('such error'));
+        mockDataService.getCollection.withArgs('doges').resolves(mockDataCollection);
+        dataService = new OverlayDataService(mockDataService);
+    });
+
+    describe('#constructor', () => {
+
+        it('should be a data service', () => {
+            dataService.should.be.an.instanceOf(DataService);
+        });
+
+    });
+
+    describe('#createCollection', () => {
+
+        it('should create an empty collection in the overlay only', () => {
+            return dataService.createCollection('cats')
+                .then((dataCollection) => {
+                    dataCollection.should.be.an.instanceOf(OverlayDataCollection);
+                    sinon.assert.notCalled(mockDataService.createCollection);
+                    return dataService.getCollection('cats');
+                })
+                .then((dataCollection) => {
+                    return dataCollection.getAll();
+                })
+                .should.eventually.deep.equal([]);
+        });
+
+        it('should throw if the collection already exists', () => {
+            return dataService.createCollection('doges')
+                .should.be.rejectedWith(/Failed to create collection with ID 'doges' as it already exists/);
+        });
+
+        it('should replace the collection if forced', () => {
+            return dataService.createCollection('doges', true)
+                .then((dataCollection) => {
+                    return dataCollection.exists('doge1');
+                })
+                .should.eventually.be.false;
+        });
+
+    });
+
+    describe('#deleteCollection', () => {
+
+        it('should delete the collection from the overlay only', () => {
+            return dataService.deleteCollection('doges')
+                .then(() => {
+                    sinon.assert.notCalled(mockDataService.deleteCollection);
+                    return dataService.existsCollection('doges');
+                })
+                .should.eventually.be.false;
+        });
+
+        it('should throw if the collection does not exist', () => {
+            return dataService.deleteCollection('cats')
+                .should.be.rejectedWith(/Collection with ID 'cats' does not exist/);
+        });
+
+    });
+
+    describe('#getCollection', () => {
+
+        it('should return an overlay of the underlying collection', () => {
+            return dataService.getCollection('doges')
+                .then((dataCollection) => {
+                    dataCollection.should.be.an.instanceOf(OverlayDataCollection);
+                    dataCollection.dataCollection.should.equal(mockDataCollection);
+                    return dataCollection.get('doge1');
+                })
+                .should.eventually.deep.equal({ name: 'doge1' });
+        });
+
+        it('should return the same overlay each time', () => {
+            let dataCollection1;
+            return dataService.getCollection('doges')
+                .then((dataCollection) => {
+                    dataCollection1 = dataCollection;
+                    return dataService.getCollection('doges');
+                })
+                .then((dataCollection2) => {
+                    dataCollection2.should.equal(dataCollection1);
+                    sinon.assert.calledOnce(mockDataService.getCollection);
+                });
+        });
+
+        it('should throw if the collection has been deleted', () => {
+            return dataService.deleteCollection('doges')
+                .then(() => {
+                    return dataService.getCollection('doges');
+                })
+                .should.be.rejectedWith(/Collection with ID 'doges' does not exist/);
+        });
+
+        it('should return errors from the underlying data service', () => {
+            return dataService.getCollection('cats')
+                .should.be.rejectedWith(/such error/);
+        });
+
+    });
+
+    describe('#existsCollection', () => {
+
+        it('should return whether the underlying collection exists', () => {
+            return dataService.existsCollection('doges')
+                .should.eventually.be.true;
+        });
+
+        it('should return true for a collection created in the overlay', () => {
+            return dataService.createCollection('cats')
+                .then(() => {
+                    return dataService.existsCollection('cats');
+                })
+                .should.eventually.be.true;
+        });
+
+        it('should return errors from the underlying data service', () => {
+            mockDataService.existsCollection.withArgs('cats').rejects(new Error('such error'));
+            return dataService.existsCollection('cats')
+                .should.be.rejectedWith(/such error/);
+        });
+
+    });
+
+    describe('#overlayCollection', () => {
+
+        it('should return an overlay of the underlying collection', () => {
+            const dataCollection = dataService.overlayCollection('doges', mockDataCollection);
+            dataCollection.should.be.an.instanceOf(OverlayDataCollection);
+            dataCollection.dataCollection.should.equal(mockDataCollection);
+            return dataCollection.add('doge2', { name: 'doge2' })
+                .then(() => {
+                    sinon.assert.notCalled(mockDataCollection.add);
+                    dataService.getChanges().should.deep.equal([
+                        { operation: 'add', collectionId: 'doges', id: 'doge2', object: { name: 'doge2' } }
+                    ]);
+                    return dataService.getCollection('doges');
+                })
+                .then((dataCollection2) => {
+                    dataCollection2.should.equal(dataCollection);
+                    sinon.assert.notCalled(mockDataService.getCollection);
+                });
+        });
+
+        it('should return the existing overlay of the collection', () => {
+            return dataService.getCollection('doges')
+                .then((dataCollection) => {
+                    dataService.overlayCollection('doges', mockDataCollection).should.equal(dataCollection);
+                });
+        });
+
+    });
+
+    describe('#getChanges', () => {
+
+        it('should return the changes made to all of the collections, ordered by collection ID', () => {
+            return dataService.getCollection('doges')
+                .then((dataCollection) => {
+                    return dataCollection.remove('doge1');
+                })
+                .then(() => {
+                    return dataService.createCollection('cats');
+                })
+                .then((dataCollection) => {
+                    return dataCollection.add('cat1', { name: 'cat1' });
+                })
+                .then(() => {
+                    return dataService.createCollection('birds');
+                })
+                .then(() => {
+                    return dataService.deleteCollection('birds');
+                })
+                .then(() => {
+                    dataService.getChanges().should.deep.equal([
+                        { operation: 'add', collectionId: 'cats', id: 'cat1', object: { name: 'cat1' } },
+                        { operation: 'remove', collectionId: 'doges', id: 'doge1', oldObject: { name: 'doge1' } }
+                    ]);
+                });
+        });
+
+    });
+
+});
@@ -0,0 +1,161 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ModelManager = require('composer-common').ModelManager;
+const QueryEvaluator = require('../lib/queryevaluator');
+const QueryManager = require('composer-common').QueryManager;
+
+require('chai').should();
+
+describe('QueryEvaluator', () => {
+
+    let queryManager;
+    let queryEvaluator;
+    let resources;
+
+    beforeEach(() => {
+        let modelManager = new ModelManager();
+        modelManager.addModelFile(`
+        namespace org.acme
+        concept Address {
+            o String city
+        }
+        asset Car identified by vin {
+            o String vin
+            o String make
+            o Integer year
+            o Double price optional
+            o Address address optional
+        }`);
+        queryManager = new QueryManager(modelManager);
+        queryEvaluator = new QueryEvaluator();
+        resources = [
+            { $class: 'org.acme.Car', vin: 'CAR_1', make: 'Ford', year: 2010, price: 1000, address: { city: 'Winchester' } },
+            { $class: 'org.acme.Car', vin: 'CAR_2', make: 'Fiat', year: 2015, address: { city: 'London' } },
+            { $class: 'org.acme.Car', vin: 'CAR_3', make: 'Ford', year: 2015, price: 5000 },
+            { $class: 'org.acme.Car', vin: 'CAR_4', make: 'Audi', year: 2012, price: 3000, address: { city: 'Winchester' } }
+        ];
+    });
+
+    /**
+     * Evaluate a statement against the test resources.
+     * @param {string} statement The statement.
+     * @param {Object} [parameters] The parameters.
+     * @return {string[]} The VINs of the selected cars.
+     */
+    function evaluate(statement, parameters) {
+        let select = queryManager.buildQuery(statement).getSelect();
+        return queryEvaluator.evaluate(select, resources, parameters || {}).map((resource) => {
+            return resource.vin;
+        });
+    }
+
+    describe('#evaluate', () => {
+
+        it('should return all resources if there are no clauses', () => {
+            evaluate('SELECT org.acme.Car').should.deep.equal(['CAR_1', 'CAR_2', 'CAR_3', 'CAR_4']);
+        });
+
+        it('should throw if a parameter is not specified', () => {
+            (() => {
+                evaluate('SELECT org.acme.Car WHERE make == _$make');
+            }).should.throw(/Query parameter make has not been specified/);
+        });
+
+        it('should filter using ==', () => {
+            evaluate('SELECT org.acme.Car WHERE make == \'Ford\'').should.deep.equal(['CAR_1', 'CAR_3']);
+        });
+
+        it('should filter using !=', () => {
+            evaluate('SELECT org.acme.Car WHERE make != _$make', { make: 'Ford' }).should.deep.equal(['CAR_2', 'CAR_4']);
+        });
+
+        it('should filter using <', () => {
+            evaluate('SELECT org.acme.Car WHERE year < 2015').should.deep.equal(['CAR_1', 'CAR_4']);
+        });
+
+        it('should filter using <=', () => {
+            evaluate('SELECT org.acme.Car WHERE year <= 2012').should.deep.equal(['CAR_1', 'CAR_4']);
+        });
+
+        it('should filter using >', () => {
+            evaluate('SELECT org.acme.Car WHERE year > 2012').should.deep.equal(['CAR_2', 'CAR_3']);
+        });
+
+        it('should filter using >=', () => {
+            evaluate('SELECT org.acme.Car WHERE year >= 2012').should.deep.equal(['CAR_2', 'CAR_3', 'CAR_4']);
+        });
+
+        it('should not match relational operators against missing values or values of a different type', () => {
+            evaluate('SELECT org.acme.Car WHERE price > 0').should.deep.equal(['CAR_1', 'CAR_3', 'CAR_4']);
+            evaluate('SELECT org.acme.Car WHERE year > \'2000\'').should.deep.equal([]);
+            evaluate('SELECT org.acme.Car WHERE year > _$year', { year: null }).should.deep.equal([]);
+        });
+
+        it('should match missing values against null', () => {
+            evaluate('SELECT org.acme.Car WHERE price == null').should.deep.equal(['CAR_2']);
+            evaluate('SELECT org.acme.Car WHERE address.city == _$city', { city: undefined }).should.deep.equal(['CAR_3']);
+        });
+
+        it('should filter using nested properties', () => {
+            evaluate('SELECT org.acme.Car WHERE address.city == \'Winchester\'').should.deep.equal(['CAR_1', 'CAR_4']);
+        });
+
+        it('should filter using AND, OR and NOT', () => {
+            evaluate('SELECT org.acme.Car WHERE make == \'Ford\' AND year == 2015').should.deep.equal(['CAR_3']);
+            evaluate('SELECT org.acme.Car WHERE make == \'Audi\' OR year == 2015').should.deep.equal(['CAR_2', 'CAR_3', 'CAR_4']);
+            evaluate('SELECT org.acme.Car WHERE NOT (make == \'Ford\' OR make == \'Fiat\')').should.deep.equal(['CAR_4']);
+        });
+
+        it('should sort in ascending order', () => {
+            evaluate('SELECT org.acme.Car ORDER BY make').should.deep.equal(['CAR_4', 'CAR_2', 'CAR_1', 'CAR_3']);
+        });
+
+        it('should sort in descending order', () => {
+            evaluate('SELECT org.acme.Car ORDER BY [make DESC]').should.deep.equal(['CAR_1', 'CAR_3', 'CAR_2', 'CAR_4']);
+        });
+
+        it('should sort by multiple properties', () => {
+            evaluate('SELECT org.acme.Car ORDER BY [year DESC, make ASC]').should.deep.equal(['CAR_2', 'CAR_3', 'CAR_4', 'CAR_1']);
+        });
+
+        it('should sort missing values first', () => {
+            evaluate('SELECT org.acme.Car ORDER BY [price]').should.deep.equal(['CAR_2', 'CAR_1', 'CAR_4', 'CAR_3']);
+            evaluate('SELECT org.acme.Car ORDER BY [address.city DESC]').should.deep.equal(['CAR_1', 'CAR_4', 'CAR_2', 'CAR_3']);
+        });
+
+        it('should skip and limit the results', () => {
+            evaluate('SELECT org.acme.Car ORDER BY vin SKIP 1').should.deep.equal(['CAR_2', 'CAR_3', 'CAR_4']);
+            evaluate('SELECT org.acme.Car ORDER BY vin LIMIT 2').should.deep.equal(['CAR_1', 'CAR_2']);
+            evaluate('SELECT org.acme.Car ORDER BY vin LIMIT _$limit SKIP _$skip', { limit: 2, skip: 1 }).should.deep.equal(['CAR_2', 'CAR_3']);
+            evaluate('SELECT org.acme.Car LIMIT 0').should.deep.equal([]);
+        });
+
+        it('should throw for invalid skip and limit parameters', () => {
+            (() => {
+                evaluate('SELECT org.acme.Car SKIP _$skip', { skip: -1 });
+            }).should.throw(/The value -1 for SKIP is not a non-negative integer/);
+            (() => {
+                evaluate('SELECT org.acme.Car LIMIT _$limit', { limit: 1.5 });
+            }).should.throw(/The value 1.5 for LIMIT is not a non-negative integer/);
+            (() => {
+                evaluate('SELECT org.acme.Car LIMIT _$limit', { limit: '1' });
+            }).should.throw(/The value "1" for LIMIT is not a non-negative integer/);
+        });
+
+    });
+
+});
@@ -17,6 +17,7 @@
 const Factory = require('composer-common').Factory;
 const ModelManager = require('composer-common').ModelManager;
 const QueryExecutor = require('../lib/queryexecutor');
+const Registry = require('../lib/registry');
 const Relationship = require('composer-common').Relationship;
 const Resolver = require('../lib/resolver');
 
@@ -80,6 +81,118 @@ describe('QueryExecutor', () => {
         queryExecutor = new QueryExecutor(mockResolver);
     });
 
+    describe('#getResourcesToQuery', () => {
+
+        let mockRegistry;
+
+        beforeEach(() => {
+            mockRegistry = sinon.createStubInstance(Registry);
+            mockRegistry.getIndexes.returns(['make']);
+            mockRegistry.getAll.resolves([{ vin: 'CAR_1' }, { vin: 'CAR_2' }]);
+            mockRegistry.getAllByIndex.resolves([{ vin: 'CAR_1' }]);
+        });
+
+        it('should get the resources in the range of an index', () => {
+            return queryExecutor.getResourcesToQuery('make = "Ford"', mockRegistry)
+                .then((resources) => {
+                    sinon.assert.calledOnce(mockRegistry.getAllByIndex);
+                    sinon.assert.calledWith(mockRegistry.getAllByIndex, 'make', { lower: 'Ford', lowerOpen: false, upper: 'Ford', upperOpen: false });
+                    sinon.assert.notCalled(mockRegistry.getAll);
+                    resources.should.deep.equal([{ vin: 'CAR_1' }]);
+                });
+        });
+
+        it('should get all of the resources if an index cannot be used', () => {
+            return queryExecutor.getResourcesToQuery('model = "Focus"', mockRegistry)
+                .then((resources) => {
+                    sinon.assert.notCalled(mockRegistry.getAllByIndex);
+                    sinon.assert.calledOnce(mockRegistry.getAll);
+                    resources.should.deep.equal([{ vin: 'CAR_1' }, { vin: 'CAR_2' }]);
+                });
+        });
+
+    });
+
+    describe('#findIndexRange', () => {
+
+        const indexes = ['make', 'year'];
+
+        it('should return null if there are no indexes', () => {
+            (queryExecutor.findIndexRange('make = "Ford"', []) === null).should.be.true;
+        });
+
+        it('should return null if the expression does not test an indexed property', () => {
+            [
+                'model = "Focus"',
+                'make',
+                '$count(make) = 1',
+                'make = model',
+                'make[0] = "Ford"',
+                'owner.make = "Ford"',
+                '$make = "Ford"',
+                'make != "Ford"',
+                'make = "Ford" or year = 2015',
+                '(make = "Ford"; year = 2015)'
+            ].forEach((expression) => {
+                (queryExecutor.findIndexRange(expression, indexes) === null).should.be.true;
+            });
+        });
+
+        it('should find the range for an equality test', () => {
+            queryExecutor.findIndexRange('make = "Ford"', indexes).should.deep.equal({
+                name: 'make',
+                range: { lower: 'Ford', lowerOpen: false, upper: 'Ford', upperOpen: false }
+            });
+            queryExecutor.findIndexRange('(2015 = year)', indexes).should.deep.equal({
+                name: 'year',
+                range: { lower: 2015, lowerOpen: false, upper: 2015, upperOpen: false }
+            });
+        });
+
+        it('should find the range for a range test', () => {
+            queryExecutor.findIndexRange('year > 2015', indexes).should.deep.equal({
+                name: 'year',
+                range: { lower: 2015, lowerOpen: true }
+            });
+            queryExecutor.findIndexRange('year > -2015', indexes).should.deep.equal({
+                name: 'year',
+                range: { lower: -2015, lowerOpen: true }
+            });
+            queryExecutor.findIndexRange('year <= 2015', indexes).should.deep.equal({
+                name: 'year',
+                range: { upper: 2015, upperOpen: false }
+            });
+            queryExecutor.findIndexRange('2015 > year', indexes).should.deep.equal({
+                name: 'year',
+                range: { upper: 2015, upperOpen: true }
+            });
+            queryExecutor.findIndexRange('2015 <= year', indexes).should.deep.equal({
+                name: 'year',
+                range: { lower: 2015, lowerOpen: false }
+            });
+        });
+
+        it('should combine the tests on the first indexed property in a conjunction', () => {
+            queryExecutor.findIndexRange('model = "Focus" and year >= 2010 and (year < 2020) and year > 2012 and make = "Ford"', indexes).should.deep.equal({
+                name: 'year',
+                range: { lower: 2012, lowerOpen: true, upper: 2020, upperOpen: true }
+            });
+            queryExecutor.findIndexRange('year >= 2010 and year > 2010 and year < 2020 and year <= 2020 and year >= 2000 and year <= 2030', indexes).should.deep.equal({
+                name: 'year',
+                range: { lower: 2010, lowerOpen: true, upper: 2020, upperOpen: true }
+            });
+            queryExecutor.findIndexRange('year <= 2020 and year < 2020 and year >= 2010 and year > 2010', indexes).should.deep.equal({
+                name: 'year',
+                range: { lower: 2010, lowerOpen: true, upper: 2020, upperOpen: true }
+            });
+            queryExecutor.findIndexRange('year = 2015 and year = "2015"', indexes).should.deep.equal({
+                name: 'year',
+                range: { lower: 2015, lowerOpen: false, upper: 2015, upperOpen: false }
+            });
+        });
+
+    });
+
     describe('#queryAll', () => {
 
         it('should query a primitive property', () => {
@@ -16,8 +16,12 @@
 
 const AccessController = require('../lib/accesscontroller');
 const AccessException = require('../lib/accessexception');
+const ClassDeclaration = require('composer-common').ClassDeclaration;
 const DataCollection = require('../lib/datacollection');
 const EventEmitter = require('events');
+const Factory = require('composer-common').Factory;
+const ModelManager = require('composer-common').ModelManager;
+const Property = require('composer-common').Property;
 const Registry = require('../lib/registry');
 const Resource = require('composer-common').Resource;
 const Serializer = require('composer-common').Serializer;
@@ -35,13 +39,31 @@ describe('Registry', () => {
     let mockSerializer;
     let mockAccessController;
     let mockParticipant;
+    let mockClassDeclaration;
     let registry;
 
+    /**
+     * Create a mock resource of the mock class declaration.
+     * @return {Resource} The mock resource.
+     */
+    function createMockResource() {
+        let mockResource = sinon.createStubInstance(Resource);
+        mockResource.getClassDeclaration.returns(mockClassDeclaration);
+        return mockResource;
+    }
+
     beforeEach(() => {
         mockDataCollection = sinon.createStubInstance(DataCollection);
         mockSerializer = sinon.createStubInstance(Serializer);
         mockAccessController = sinon.createStubInstance(AccessController);
         mockParticipant = sinon.createStubInstance(Resource);
+        mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
+        mockClassDeclaration.getIdentifierFieldName.returns('assetId');
+        mockClassDeclaration.getProperties.returns(['assetId', 'theValue'].map((name) => {
+            let mockProperty = sinon.createStubInstance(Property);
+            mockProperty.getName.returns(name);
+            return mockProperty;
+        }));
         registry = new Registry(mockDataCollection, mockSerializer, mockAccessController, 'Asset', 'doges', 'The doges registry');
     });
 
@@ -53,6 +75,33 @@ describe('Registry', () => {
 
     });
 
+    describe('#getIndexes', () => {
+
+        it('should return no indexes by default', () => {
+            registry.getIndexes().should.deep.equal([]);
+        });
+
+        it('should return the specified indexes', () => {
+            registry = new Registry(mockDataCollection, mockSerializer, mockAccessController, 'Asset', 'doges', 'The doges registry', ['theValue']);
+            registry.getIndexes().should.deep.equal(['theValue']);
+        });
+
+    });
+
+    describe('#updateIndexes', () => {
+
+        it('should set the indexes of the data collection', () => {
+            registry = new Registry(mockDataCollection, mockSerializer, mockAccessController, 'Asset', 'doges', 'The doges registry', ['theValue']);
+            mockDataCollection.setIndexes.resolves();
+            return registry.updateIndexes()
+                .then(() => {
+                    sinon.assert.calledOnce(mockDataCollection.setIndexes);
+                    sinon.assert.calledWith(mockDataCollection.setIndexes, ['theValue']);
+                });
+        });
+
+    });
+
     describe('#getAll', () => {
 
         let mockResource1, mockResource2;
@@ -65,9 +114,9 @@ describe('Registry', () => {
                 $class: 'org.doge.Doge',
                 assetId: 'doge2'
             }]);
-            mockResource1 = sinon.createStubInstance(Resource);
+            mockResource1 = createMockResource();
             mockResource1.theValue = 'the value 1';
-            mockResource2 = sinon.createStubInstance(Resource);
+            mockResource2 = createMockResource();
             mockResource2.theValue = 'the value 2';
             mockSerializer.fromJSON.withArgs({
                 $class: 'org.doge.Doge',
@@ -82,9 +131,11 @@ describe('Registry', () => {
         it('should get and parse all of the resources in the registry', () => {
             return registry.getAll()
                 .then((resources) => {
-                    sinon.assert.calledTwice(mockAccessController.check);
+                    sinon.assert.callCount(mockAccessController.check, 4);
                     sinon.assert.calledWith(mockAccessController.check, mockResource1, 'READ');
+                    sinon.assert.calledWith(mockAccessController.check, mockResource1, 'READ', 'theValue');
                     sinon.assert.calledWith(mockAccessController.check, mockResource2, 'READ');
+                    sinon.assert.calledWith(mockAccessController.check, mockResource2, 'READ', 'theValue');
                     resources.should.all.be.an.instanceOf(Resource);
                     resources.should.deep.equal([mockResource1, mockResource2]);
                 });
@@ -94,14 +145,25 @@ describe('Registry', () => {
             mockAccessController.check.withArgs(mockResource2, 'READ').throws(new AccessException(mockResource2, 'READ', mockParticipant));
             return registry.getAll()
                 .then((resources) => {
-                    sinon.assert.calledTwice(mockAccessController.check);
+                    sinon.assert.callCount(mockAccessController.check, 3);
                     sinon.assert.calledWith(mockAccessController.check, mockResource1, 'READ');
+                    sinon.assert.calledWith(mockAccessController.check, mockResource1, 'READ', 'theValue');
                     sinon.assert.calledWith(mockAccessController.check, mockResource2, 'READ');
                     resources.should.all.be.an.instanceOf(Resource);
                     resources.should.deep.equal([mockResource1]);
                 });
         });
 
+        it('should remove properties that cannot be accessed', () => {
+            mockAccessController.check.withArgs(mockResource2, 'READ', 'theValue').throws(new AccessException(mockResource2, 'READ', mockParticipant, 'theValue'));
+            return registry.getAll()
+                .then((resources) => {
+                    resources.should.deep.equal([mockResource1, mockResource2]);
+                    resources[0].theValue.should.equal('the value 1');
+                    resources[1].should.not.have.property('theValue');
+                });
+        });
+
         it('should return errors from the data service', () => {
             mockDataCollection.getAll.rejects();
             return registry.getAll().should.be.rejected;
@@ -109,6 +171,99 @@ describe('Registry', () => {
 
     });
 
+    describe('#getPage', () => {
+
+        let mockResource1, mockResource2;
+
+        beforeEach(() => {
+            mockDataCollection.getPage.resolves({
+                objects: [{
+                    $class: 'org.doge.Doge',
+                    assetId: 'doge1'
+                }, {
+                    $class: 'org.doge.Doge',
+                    assetId: 'doge2'
+                }],
+                bookmark: 'doge2'
+            });
+            mockResource1 = createMockResource();
+            mockResource1.theValue = 'the value 1';
+            mockResource2 = createMockResource();
+            mockResource2.theValue = 'the value 2';
+            mockSerializer.fromJSON.withArgs({
+                $class: 'org.doge.Doge',
+                assetId: 'doge1'
+            }).returns(mockResource1);
+            mockSerializer.fromJSON.withArgs({
+                $class: 'org.doge.Doge',
+                assetId: 'doge2'
+            }).returns(mockResource2);
+        });
+
+        it('should get and parse a page of the resources in the registry', () => {
+            return registry.getPage(2, 'doge0')
+                .then((page) => {
+                    sinon.assert.calledWith(mockDataCollection.getPage, 2, 'doge0');
+                    page.resources.should.deep.equal([mockResource1, mockResource2]);
+                    page.bookmark.should.equal('doge2');
+                });
+        });
+
+        it('should not throw or leak information about resources that cannot be accessed', () => {
+            mockAccessController.check.withArgs(mockResource2, 'READ').throws(new AccessException(mockResource2, 'READ', mockParticipant));
+            return registry.getPage(2)
+                .then((page) => {
+                    page.resources.should.deep.equal([mockResource1]);
+                    page.bookmark.should.equal('doge2');
+                });
+        });
+
+    });
+
+    describe('#getAllByIndex', () => {
+
+        let mockResource1, mockResource2;
+
+        beforeEach(() => {
+            mockDataCollection.queryIndex.resolves([{
+                $class: 'org.doge.Doge',
+                assetId: 'doge1'
+            }, {
+                $class: 'org.doge.Doge',
+                assetId: 'doge2'
+            }]);
+            mockResource1 = createMockResource();
+            mockResource1.theValue = 'the value 1';
+            mockResource2 = createMockResource();
+            mockResource2.theValue = 'the value 2';
+            mockSerializer.fromJSON.withArgs({
+                $class: 'org.doge.Doge',
+                assetId: 'doge1'
+            }).returns(mockResource1);
+            mockSerializer.fromJSON.withArgs({
+                $class: 'org.doge.Doge',
+                assetId: 'doge2'
+            }).returns(mockResource2);
+        });
+
+        it('should get and parse the resources in the range', () => {
+            return registry.getAllByIndex('theValue', { lower: 'the value 1' })
+                .then((resources) => {
+                    sinon.assert.calledWith(mockDataCollection.queryIndex, 'theValue', { lower: 'the value 1' });
+                    resources.should.deep.equal([mockResource1, mockResource2]);
+                });
+        });
+
+        it('should not throw or leak information about resources that cannot be accessed', () => {
+            mockAccessController.check.withArgs(mockResource2, 'READ').throws(new AccessException(mockResource2, 'READ', mockParticipant));
+            return registry.getAllByIndex('theValue', { lower: 'the value 1' })
+                .then((resources) => {
+                    resources.should.deep.equal([mockResource1]);
+                });
+        });
+
+    });
+
     describe('#get', () => {
 
         let mockResource;
@@ -118,7 +273,7 @@ describe('Registry', () => {
                 $class: 'org.doge.Doge',
                 assetId: 'doge1'
             });
-            mockResource = sinon.createStubInstance(Resource);
+            mockResource = createMockResource();
             mockSerializer.fromJSON.withArgs({
                 $class: 'org.doge.Doge',
                 assetId: 'doge1'
@@ -128,13 +283,23 @@ describe('Registry', () => {
         it('should get the specific resource in the registry', () => {
             return registry.get('doge1')
                 .then((resource) => {
-                    sinon.assert.calledOnce(mockAccessController.check);
+                    sinon.assert.calledTwice(mockAccessController.check);
                     sinon.assert.calledWith(mockAccessController.check, mockResource, 'READ');
+                    sinon.assert.calledWith(mockAccessController.check, mockResource, 'READ', 'theValue');
                     resource.should.be.an.instanceOf(Resource);
                     resource.should.deep.equal(mockResource);
                 });
         });
 
+        it('should remove properties that cannot be accessed', () => {
+            mockResource.theValue = 'the value';
+            mockAccessController.check.withArgs(mockResource, 'READ', 'theValue').throws(new AccessException(mockResource, 'READ', mockParticipant, 'theValue'));
+            return registry.get('doge1')
+                .then((resource) => {
+                    resource.should.not.have.property('theValue');
+                });
+        });
+
         it('should not throw or leak information about resources that cannot be accessed', () => {
             mockAccessController.check.withArgs(mockResource, 'READ').throws(new AccessException(mockResource, 'READ', mockParticipant));
             return registry.get('doge1')
@@ -159,7 +324,7 @@ describe('Registry', () => {
                 $class: 'org.doge.Doge',
                 assetId: 'doge1'
             });
-            mockResource = sinon.createStubInstance(Resource);
+            mockResource = createMockResource();
             mockSerializer.fromJSON.withArgs({
                 $class: 'org.doge.Doge',
                 assetId: 'doge1'
@@ -205,14 +370,14 @@ describe('Registry', () => {
 
         beforeEach(() => {
             // New resources.
-            mockResource1 = sinon.createStubInstance(Resource);
+            mockResource1 = createMockResource();
             mockResource1.theValue = 'the value 1';
             mockResource1.getIdentifier.returns('doge1');
             mockSerializer.toJSON.withArgs(mockResource1).onFirstCall().returns({
                 $class: 'org.doge.Doge',
                 assetId: 'doge1'
             });
-            mockResource2 = sinon.createStubInstance(Resource);
+            mockResource2 = createMockResource();
             mockResource2.theValue = 'the value 2';
             mockResource2.getIdentifier.returns('doge2');
             mockSerializer.toJSON.withArgs(mockResource2).onFirstCall().returns({
@@ -272,7 +437,7 @@ describe('Registry', () => {
 
         beforeEach(() => {
             // New resources.
-            mockResource = sinon.createStubInstance(Resource);
+            mockResource = createMockResource();
             mockResource.theValue = 'the value 1';
             mockResource.getIdentifier.returns('doge1');
             mockSerializer.toJSON.withArgs(mockResource).onFirstCall().returns({
@@ -314,6 +479,15 @@ describe('Registry', () => {
             return registry.add(mockResource).should.be.rejected;
         });
 
+        it('should reject if the registry is read-only', () => {
+            registry = new Registry(mockDataCollection, mockSerializer, mockAccessController, 'Asset', 'doges', 'The doges registry', [], true);
+            return registry.add(mockResource)
+                .should.be.rejectedWith(/The Asset registry 'doges' is read-only and cannot be modified/)
+                .then(() => {
+                    sinon.assert.notCalled(mockDataCollection.add);
+                });
+        });
+
     });
 
     describe('#updateAll', () => {
@@ -323,10 +497,10 @@ describe('Registry', () => {
 
         beforeEach(() => {
             // New resources.
-            mockResource1 = sinon.createStubInstance(Resource);
+            mockResource1 = createMockResource();
             mockResource1.getIdentifier.returns('doge1');
             mockResource1.theValue = 'newValue1';
-            mockResource2 = sinon.createStubInstance(Resource);
+            mockResource2 = createMockResource();
             mockResource2.getIdentifier.returns('doge2');
             mockResource2.theValue = 'newValue2';
             mockSerializer.toJSON.withArgs(mockResource1).onFirstCall().returns({
@@ -340,7 +514,7 @@ describe('Registry', () => {
                 theValue: 'newValue2'
             });
             // Old resources.
-            mockOldResource1 = sinon.createStubInstance(Resource);
+            mockOldResource1 = createMockResource();
             mockOldResource1.getIdentifier.returns('doge1');
             mockOldResource1.theValue = 'oldValue1';
             mockDataCollection.get.withArgs('doge1').resolves({
@@ -353,7 +527,7 @@ describe('Registry', () => {
                 assetId: 'doge1',
                 theValue: 'oldValue1'
             }).returns(mockOldResource1);
-            mockOldResource2 = sinon.createStubInstance(Resource);
+            mockOldResource2 = createMockResource();
             mockOldResource2.getIdentifier.returns('doge2');
             mockOldResource2.theValue = 'oldValue2';
             mockDataCollection.get.withArgs('doge2').resolves({
@@ -374,9 +548,11 @@ describe('Registry', () => {
             registry.on('resourceupdated', mockEventHandler);
             return registry.updateAll([mockResource1, mockResource2])
                 .then(() => {
-                    sinon.assert.calledTwice(mockAccessController.check);
+                    sinon.assert.callCount(mockAccessController.check, 4);
                     sinon.assert.calledWith(mockAccessController.check, mockOldResource1, 'UPDATE');
+                    sinon.assert.calledWith(mockAccessController.check, mockOldResource1, 'UPDATE', 'theValue');
                     sinon.assert.calledWith(mockAccessController.check, mockOldResource2, 'UPDATE');
+                    sinon.assert.calledWith(mockAccessController.check, mockOldResource2, 'UPDATE', 'theValue');
                     sinon.assert.calledWith(mockDataCollection.update, 'doge1', {
                         $class: 'org.doge.Doge',
                         assetId: 'doge1',
@@ -421,7 +597,7 @@ describe('Registry', () => {
 
         beforeEach(() => {
             // New resources.
-            mockResource = sinon.createStubInstance(Resource);
+            mockResource = createMockResource();
             mockResource.getIdentifier.returns('doge1');
             mockResource.theValue = 'newValue';
             mockSerializer.toJSON.withArgs(mockResource).onFirstCall().returns({
@@ -430,7 +606,7 @@ describe('Registry', () => {
                 newValue: 'newValue'
             });
             // Old resources.
-            mockOldResource = sinon.createStubInstance(Resource);
+            mockOldResource = createMockResource();
             mockOldResource.getIdentifier.returns('doge1');
             mockOldResource.theValue = 'oldValue';
             mockDataCollection.get.withArgs('doge1').resolves({
@@ -474,11 +650,151 @@ describe('Registry', () => {
                 .should.be.rejectedWith(AccessException);
         });
 
+        it('should throw if a changed property cannot be updated', () => {
+            mockSerializer.toJSON.withArgs(mockResource).onFirstCall().returns({
+                $class: 'org.doge.Doge',
+                assetId: 'doge1',
+                theValue: 'newValue'
+            });
+            mockAccessController.check.withArgs(mockOldResource, 'UPDATE', 'theValue').throws(new AccessException(mockOldResource, 'UPDATE', mockParticipant, 'theValue'));
+            mockDataCollection.update.resolves();
+            return registry.update(mockResource)
+                .should.be.rejectedWith(AccessException, /property 'theValue'/)
+                .then(() => {
+                    sinon.assert.notCalled(mockDataCollection.update);
+                });
+        });
+
+        it('should throw if a removed property that can be read cannot be updated', () => {
+            mockDataCollection.get.withArgs('doge1').resolves({
+                $class: 'org.doge.Doge',
+                assetId: 'doge1',
+                theValue: 'oldValue'
+            });
+            mockSerializer.fromJSON.withArgs({
+                $class: 'org.doge.Doge',
+                assetId: 'doge1',
+                theValue: 'oldValue'
+            }).returns(mockOldResource);
+            mockAccessController.check.withArgs(mockOldResource, 'UPDATE', 'theValue').throws(new AccessException(mockOldResource, 'UPDATE', mockParticipant, 'theValue'));
+            mockDataCollection.update.resolves();
+            return registry.update(mockResource)
+                .should.be.rejectedWith(AccessException, /property 'theValue'/);
+        });
+
+        it('should restore a removed property that cannot be read', () => {
+            mockDataCollection.get.withArgs('doge1').resolves({
+                $class: 'org.doge.Doge',
+                assetId: 'doge1',
+                theValue: 'oldValue'
+            });
+            mockSerializer.fromJSON.withArgs({
+                $class: 'org.doge.Doge',
+                assetId: 'doge1',
+                theValue: 'oldValue'
+            }).returns(mockOldResource);
+            delete mockResource.theValue;
+            mockAccessController.check.withArgs(mockOldResource, 'READ', 'theValue').throws(new AccessException(mockOldResource, 'READ', mockParticipant, 'theValue'));
+            mockAccessController.check.withArgs(mockOldResource, 'UPDATE', 'theValue').throws(new AccessException(mockOldResource, 'UPDATE', mockParticipant, 'theValue'));
+            mockDataCollection.update.resolves();
+            return registry.update(mockResource)
+                .then(() => {
+                    sinon.assert.calledWith(mockDataCollection.update, 'doge1', {
+                        $class: 'org.doge.Doge',
+                        assetId: 'doge1',
+                        newValue: 'newValue',
+                        theValue: 'oldValue'
+                    });
+                    mockResource.theValue.should.equal('oldValue');
+                });
+        });
+
+        it('should validate the resource after restoring a removed property that cannot be read', () => {
+            let validatedResource = createMockResource();
+            mockSerializer.fromJSON.withArgs({
+                $class: 'org.doge.Doge',
+                assetId: 'doge1',
+                newValue: 'newValue'
+            }).returns(validatedResource);
+            mockDataCollection.update.resolves();
+            return registry.update(mockResource)
+                .then(() => {
+                    sinon.assert.calledWith(mockSerializer.toJSON, mockResource, {
+                        validate: false,
+                        convertResourcesToRelationships: undefined
+                    });
+                    sinon.assert.calledWith(mockSerializer.toJSON, validatedResource, { validate: true });
+                });
+        });
+
+        describe('with a mandatory property', () => {
+
+            let modelManager;
+            let factory;
+            let serializer;
+
+            beforeEach(() => {
+                modelManager = new ModelManager();
+                modelManager.addModelFile(`
+                namespace org.acme
+                asset Car identified by vin {
+                    o String vin
+                    o String colour
+                    o Double price
+                }`);
+                factory = new Factory(modelManager);
+                serializer = new Serializer(factory, modelManager);
+                registry = new Registry(mockDataCollection, serializer, mockAccessController, 'Asset', 'cars', 'The cars registry');
+                mockDataCollection.get.withArgs('1').resolves({
+                    $class: 'org.acme.Car',
+                    vin: '1',
+                    colour: 'RED',
+                    price: 1000
+                });
+                mockDataCollection.update.resolves();
+            });
+
+            it('should update the resource if the missing property cannot be read', () => {
+                mockAccessController.check.withArgs(sinon.match.any, 'READ', 'price').throws(new AccessException(mockParticipant, 'READ', mockParticipant, 'price'));
+                let car = factory.newResource('org.acme', 'Car', '1');
+                car.colour = 'BLUE';
+                return registry.update(car)
+                    .then(() => {
+                        sinon.assert.calledWith(mockDataCollection.update, '1', {
+                            $class: 'org.acme.Car',
+                            vin: '1',
+                            colour: 'BLUE',
+                            price: 1000
+                        });
+                    });
+            });
+
+            it('should reject if the missing property can be read', () => {
+                let car = factory.newResource('org.acme', 'Car', '1');
+                car.colour = 'BLUE';
+                return registry.update(car)
+                    .should.be.rejectedWith(/missing required field price/)
+                    .then(() => {
+                        sinon.assert.notCalled(mockDataCollection.update);
+                    });
+            });
+
+        });
+
         it('should return errors from the data service', () => {
             mockDataCollection.update.rejects();
             return registry.update(mockResource).should.be.rejected;
         });
 
+        it('should reject if the registry is read-only', () => {
+            registry = new Registry(mockDataCollection, mockSerializer, mockAccessController, 'Asset', 'doges', 'The doges registry', [], true);
+            return registry.update(mockResource)
+                .should.be.rejectedWith(/The Asset registry 'doges' is read-only and cannot be modified/)
+                .then(() => {
+                    sinon.assert.notCalled(mockDataCollection.update);
+                });
+        });
+
     });
 
     describe('#removeAll', () => {
@@ -488,7 +804,7 @@ describe('Registry', () => {
         beforeEach(() => {
             // Old resources.
             // Deleting a resource by ID currently requires that we read it from the registry.
-            mockResource1 = sinon.createStubInstance(Resource);
+            mockResource1 = createMockResource();
             mockResource1.theValue = 'the value 1';
             mockResource1.getIdentifier.returns('doge1');
             mockSerializer.toJSON.withArgs(mockResource1).onFirstCall().returns({
@@ -499,7 +815,7 @@ describe('Registry', () => {
                 $class: 'org.doge.Doge',
                 assetId: 'doge2'
             });
-            mockResource2 = sinon.createStubInstance(Resource);
+            mockResource2 = createMockResource();
             mockResource2.theValue = 'the value 2';
             mockResource2.getIdentifier.returns('doge2');
             mockSerializer.fromJSON.withArgs({
@@ -523,10 +839,12 @@ describe('Registry', () => {
                     sinon.assert.calledTwice(mockEventHandler);
                     sinon.assert.calledWith(mockEventHandler, {
                         registry: registry,
+                        resource: mockResource1,
                         resourceID: 'doge1'
                     });
                     sinon.assert.calledWith(mockEventHandler, {
                         registry: registry,
+                        resource: mockResource2,
                         resourceID: 'doge2'
                     });
                 });
@@ -557,7 +875,7 @@ describe('Registry', () => {
                 $class: 'org.doge.Doge',
                 assetId: 'doge1'
             });
-            mockResource = sinon.createStubInstance(Resource);
+            mockResource = createMockResource();
             mockResource.theValue = 'the value 1';
             mockResource.getIdentifier.returns('doge1');
             mockSerializer.fromJSON.withArgs({
@@ -579,6 +897,7 @@ describe('Registry', () => {
                     sinon.assert.calledOnce(mockEventHandler);
                     sinon.assert.calledWith(mockEventHandler, {
                         registry: registry,
+                        resource: mockResource,
                         resourceID: 'doge1'
                     });
                 });
@@ -594,6 +913,7 @@ describe('Registry', () => {
                     sinon.assert.calledOnce(mockEventHandler);
                     sinon.assert.calledWith(mockEventHandler, {
                         registry: registry,
+                        resource: mockResource,
                         resourceID: 'doge1'
                     });
                 });
@@ -611,6 +931,15 @@ describe('Registry', () => {
             return registry.remove(mockResource).should.be.rejected;
         });
 
+        it('should reject if the registry is read-only', () => {
+            registry = new Registry(mockDataCollection, mockSerializer, mockAccessController, 'Asset', 'doges', 'The doges registry', [], true);
+            return registry.remove(mockResource)
+                .should.be.rejectedWith(/The Asset registry 'doges' is read-only and cannot be modified/)
+                .then(() => {
+                    sinon.assert.notCalled(mockDataCollection.remove);
+                });
+        });
+
     });
 
     describe('#toJSON', () => {
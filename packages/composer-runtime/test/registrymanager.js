@@ -21,6 +21,7 @@ const DataService = require('../lib/dataservice');
 const EventEmitter = require('events');
 const Introspector = require('composer-common').Introspector;
 const ParticipantDeclaration = require('composer-common').ParticipantDeclaration;
+const Property = require('composer-common').Property;
 const Registry = require('../lib/registry');
 const RegistryManager = require('../lib/registrymanager');
 const Serializer = require('composer-common').Serializer;
@@ -73,12 +74,54 @@ describe('RegistryManager', () => {
                 sinon.assert.calledOnce(stub);
                 sinon.assert.calledWith(stub, { test: 'data' });
             });
+            registry.readOnly.should.be.false;
+        });
+
+        it('should create a new read-only registry if the registry manager is read-only', () => {
+            registryManager = new RegistryManager(mockDataService, mockIntrospector, mockSerializer, mockAccessController, mockSystemRegistries, true);
+            let mockDataCollection = sinon.createStubInstance(DataCollection);
+            let registry = registryManager.createRegistry(mockDataCollection, mockSerializer, mockAccessController, 'Asset', 'doges', 'The doges registry');
+            registry.readOnly.should.be.true;
+        });
+
+    });
+
+    describe('#getIndexes', () => {
+
+        it('should return no indexes for a transaction registry', () => {
+            registryManager.getIndexes('Transaction', 'default').should.deep.equal([]);
+        });
+
+        it('should return no indexes for a registry that is not for a type', () => {
+            mockIntrospector.getClassDeclaration.withArgs('doges').throws(new Error('No type doges'));
+            registryManager.getIndexes('Asset', 'doges').should.deep.equal([]);
+        });
+
+        it('should return the indexed properties of the type', () => {
+            let mockAssetDeclaration = sinon.createStubInstance(AssetDeclaration);
+            mockAssetDeclaration.getProperties.returns([['dogeId', false], ['name', true], ['age', true]].map((property) => {
+                let mockProperty = sinon.createStubInstance(Property);
+                mockProperty.getName.returns(property[0]);
+                mockProperty.isIndexed.returns(property[1]);
+                return mockProperty;
+            }));
+            mockIntrospector.getClassDeclaration.withArgs('org.doge.Doge').returns(mockAssetDeclaration);
+            registryManager.getIndexes('Participant', 'org.doge.Doge').should.deep.equal(['name', 'age']);
+            let registry = registryManager.createRegistry(sinon.createStubInstance(DataCollection), mockSerializer, mockAccessController, 'Asset', 'org.doge.Doge', 'The doges registry');
+            registry.getIndexes().should.deep.equal(['name', 'age']);
         });
 
     });
 
     describe('#createDefaults', () => {
 
+        let mockRegistry;
+
+        beforeEach(() => {
+            mockRegistry = sinon.createStubInstance(Registry);
+            mockRegistry.updateIndexes.resolves();
+        });
+
         it('should do nothing when no classes exist', () => {
             mockIntrospector.getClassDeclarations.returns([]);
             return registryManager.createDefaults();
@@ -89,12 +132,13 @@ describe('RegistryManager', () => {
             mockAssetDeclaration.getFullyQualifiedName.returns('org.doge.Doge');
             mockIntrospector.getClassDeclarations.returns([mockAssetDeclaration]);
             sinon.stub(registryManager, 'get').withArgs('Asset', 'org.doge.Doge').rejects();
-            sinon.stub(registryManager, 'add').withArgs('Asset', 'org.doge.Doge', 'Asset registry for org.doge.Doge').resolves();
+            sinon.stub(registryManager, 'add').withArgs('Asset', 'org.doge.Doge', 'Asset registry for org.doge.Doge').resolves(mockRegistry);
             return registryManager.createDefaults()
                 .then(() => {
                     sinon.assert.calledOnce(registryManager.get);
                     sinon.assert.calledOnce(registryManager.add);
                     sinon.assert.calledWith(registryManager.add, 'Asset', 'org.doge.Doge', 'Asset registry for org.doge.Doge');
+                    sinon.assert.calledOnce(mockRegistry.updateIndexes);
                 });
         });
 
@@ -103,7 +147,7 @@ describe('RegistryManager', () => {
             mockAssetDeclaration.getFullyQualifiedName.returns('org.doge.Doge');
             mockIntrospector.getClassDeclarations.returns([mockAssetDeclaration]);
             sinon.stub(registryManager, 'get').withArgs('Asset', 'org.doge.Doge').rejects();
-            sinon.stub(registryManager, 'add').withArgs('Asset', 'org.doge.Doge', 'Asset registry for org.doge.Doge').resolves();
+            sinon.stub(registryManager, 'add').withArgs('Asset', 'org.doge.Doge', 'Asset registry for org.doge.Doge').resolves(mockRegistry);
             return registryManager.createDefaults(true)
                 .then(() => {
                     sinon.assert.notCalled(registryManager.get);
@@ -130,12 +174,13 @@ describe('RegistryManager', () => {
             let mockAssetDeclaration = sinon.createStubInstance(AssetDeclaration);
             mockAssetDeclaration.getFullyQualifiedName.returns('org.doge.Doge');
             mockIntrospector.getClassDeclarations.returns([mockAssetDeclaration]);
-            sinon.stub(registryManager, 'get').withArgs('Asset', 'org.doge.Doge').resolves();
+            sinon.stub(registryManager, 'get').withArgs('Asset', 'org.doge.Doge').resolves(mockRegistry);
             sinon.stub(registryManager, 'add').rejects();
             return registryManager.createDefaults()
                 .then(() => {
                     sinon.assert.calledOnce(registryManager.get);
                     sinon.assert.notCalled(registryManager.add);
+                    sinon.assert.calledOnce(mockRegistry.updateIndexes);
                 });
         });
 
@@ -144,7 +189,7 @@ describe('RegistryManager', () => {
             mockParticipantDeclaration.getFullyQualifiedName.returns('org.doge.Doge');
             mockIntrospector.getClassDeclarations.returns([mockParticipantDeclaration]);
             sinon.stub(registryManager, 'get').withArgs('Participant', 'org.doge.Doge').rejects();
-            sinon.stub(registryManager, 'add').withArgs('Participant', 'org.doge.Doge', 'Participant registry for org.doge.Doge').resolves();
+            sinon.stub(registryManager, 'add').withArgs('Participant', 'org.doge.Doge', 'Participant registry for org.doge.Doge').resolves(mockRegistry);
             return registryManager.createDefaults()
                 .then(() => {
                     sinon.assert.calledOnce(registryManager.get);
@@ -158,7 +203,7 @@ describe('RegistryManager', () => {
             mockParticipantDeclaration.getFullyQualifiedName.returns('org.doge.Doge');
             mockIntrospector.getClassDeclarations.returns([mockParticipantDeclaration]);
             sinon.stub(registryManager, 'get').withArgs('Participant', 'org.doge.Doge').rejects();
-            sinon.stub(registryManager, 'add').withArgs('Participant', 'org.doge.Doge', 'Participant registry for org.doge.Doge').resolves();
+            sinon.stub(registryManager, 'add').withArgs('Participant', 'org.doge.Doge', 'Participant registry for org.doge.Doge').resolves(mockRegistry);
             return registryManager.createDefaults(true)
                 .then(() => {
                     sinon.assert.notCalled(registryManager.get);
@@ -185,7 +230,7 @@ describe('RegistryManager', () => {
             let mockParticipantDeclaration = sinon.createStubInstance(ParticipantDeclaration);
             mockParticipantDeclaration.getFullyQualifiedName.returns('org.doge.Doge');
             mockIntrospector.getClassDeclarations.returns([mockParticipantDeclaration]);
-            sinon.stub(registryManager, 'get').withArgs('Participant', 'org.doge.Doge').resolves();
+            sinon.stub(registryManager, 'get').withArgs('Participant', 'org.doge.Doge').resolves(mockRegistry);
             sinon.stub(registryManager, 'add').rejects();
             return registryManager.createDefaults()
                 .then(() => {
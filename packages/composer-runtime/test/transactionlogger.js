@@ -50,38 +50,93 @@ describe('TransactionLogger', () => {
         factory = new Factory(modelManager);
         serializer = new Serializer(factory, modelManager);
         oldAsset = factory.newResource('org.acme', 'MyAsset', '1');
-        oldAsset.theValue = 'new value';
+        oldAsset.theValue = 'old value';
         newAsset = factory.newResource('org.acme', 'MyAsset', '1');
         newAsset.theValue = 'new value';
         transaction = factory.newTransaction('org.acme', 'MyTransaction');
         mockRegistry = sinon.createStubInstance(Registry);
+        mockRegistry.type = 'Asset';
+        mockRegistry.id = 'org.acme.MyAsset';
         mockRegistryManager = sinon.createStubInstance(RegistryManager);
         transactionLogger = new TransactionLogger(transaction, mockRegistryManager, serializer);
     });
 
+    describe('#constructor', () => {
+
+        it('should subscribe to events from the registry manager', () => {
+            sinon.assert.calledWith(mockRegistryManager.on, 'resourceadded', sinon.match.func);
+            sinon.assert.calledWith(mockRegistryManager.on, 'resourceupdated', sinon.match.func);
+            sinon.assert.calledWith(mockRegistryManager.on, 'resourceremoved', sinon.match.func);
+            transactionLogger.getChanges().should.deep.equal([]);
+        });
+
+    });
+
+    describe('#close', () => {
+
+        it('should unsubscribe from events from the registry manager', () => {
+            transactionLogger.close();
+            sinon.assert.calledWith(mockRegistryManager.removeListener, 'resourceadded', mockRegistryManager.on.args[0][1]);
+            sinon.assert.calledWith(mockRegistryManager.removeListener, 'resourceupdated', mockRegistryManager.on.args[1][1]);
+            sinon.assert.calledWith(mockRegistryManager.removeListener, 'resourceremoved', mockRegistryManager.on.args[2][1]);
+        });
+
+    });
+
     describe('#onResourceAdded', () => {
 
-        it('should do nothing', () => {
+        it('should record the added resource', () => {
             let event = { registry: mockRegistry, resource: newAsset };
             transactionLogger.onResourceAdded(event);
+            transactionLogger.getChanges().should.deep.equal([{
+                operation: 'add',
+                registryType: 'Asset',
+                registryId: 'org.acme.MyAsset',
+                resourceId: '1',
+                resource: { $class: 'org.acme.MyAsset', assetId: '1', theValue: 'new value' }
+            }]);
+        });
+
+        it('should ignore transactions added to a transaction registry', () => {
+            mockRegistry.type = 'Transaction';
+            mockRegistry.id = 'default';
+            transaction.timestamp = new Date();
+            let event = { registry: mockRegistry, resource: transaction };
+            transactionLogger.onResourceAdded(event);
+            transactionLogger.getChanges().should.deep.equal([]);
         });
 
     });
 
     describe('#onResourceUpdated', () => {
 
-        it('should do nothing', () => {
+        it('should record the changes made to the updated resource', () => {
             let event = { registry: mockRegistry, oldResource: oldAsset, newResource: newAsset };
             transactionLogger.onResourceUpdated(event);
+            transactionLogger.getChanges().should.deep.equal([{
+                operation: 'update',
+                registryType: 'Asset',
+                registryId: 'org.acme.MyAsset',
+                resourceId: '1',
+                resource: { $class: 'org.acme.MyAsset', assetId: '1', theValue: 'new value' },
+                patches: [{ op: 'replace', path: '/theValue', value: 'new value' }]
+            }]);
         });
 
     });
 
     describe('#onResourceRemoved', () => {
 
-        it('should do nothing', () => {
-            let event = { registry: mockRegistry, resource: newAsset };
+        it('should record the removed resource', () => {
+            let event = { registry: mockRegistry, resource: oldAsset, resourceID: '1' };
             transactionLogger.onResourceRemoved(event);
+            transactionLogger.getChanges().should.deep.equal([{
+                operation: 'remove',
+                registryType: 'Asset',
+                registryId: 'org.acme.MyAsset',
+                resourceId: '1',
+                resource: { $class: 'org.acme.MyAsset', assetId: '1', theValue: 'old value' }
+            }]);
         });
 
     });
@@ -155,9 +155,10 @@ describe('Asset system tests', function () {
         return client
             .getAllAssetRegistries()
             .then(function (assetRegistries) {
-                assetRegistries.length.should.equal(4);
+                assetRegistries.length.should.equal(5);
                 assetRegistries.should.containSubset([
                     {'id': 'systest.assets.SimpleAsset', 'name': 'Asset registry for systest.assets.SimpleAsset'},
+                    {'id': 'systest.assets.IndexedAsset', 'name': 'Asset registry for systest.assets.IndexedAsset'},
                     {'id': 'systest.assets.SimpleAssetContainer', 'name': 'Asset registry for systest.assets.SimpleAssetContainer'},
                     {'id': 'systest.assets.SimpleAssetRelationshipContainer', 'name': 'Asset registry for systest.assets.SimpleAssetRelationshipContainer'},
                     {'id': 'systest.assets.SimpleAssetCircle', 'name': 'Asset registry for systest.assets.SimpleAssetCircle'}
@@ -620,6 +621,56 @@ describe('Asset system tests', function () {
             });
     });
 
+    it('should find assets in an asset registry using an index', function () {
+        let assetRegistry;
+        let factory = client.getBusinessNetwork().getFactory();
+        let createIndexedAsset = (assetId, make, year) => {
+            let asset = factory.newInstance('systest.assets', 'IndexedAsset', assetId);
+            asset.make = make;
+            asset.year = year;
+            return asset;
+        };
+        let findAssetIds = (expression) => {
+            return assetRegistry.find(expression)
+                .then(function (assets) {
+                    return assets.map((asset) => {
+                        return asset.getIdentifier();
+                    }).sort();
+                });
+        };
+        return client
+            .getAssetRegistry('systest.assets.IndexedAsset')
+            .then(function (result) {
+                assetRegistry = result;
+                return assetRegistry.addAll([
+                    createIndexedAsset('car1', 'Ford', 2010),
+                    createIndexedAsset('car2', 'Ford', 2015),
+                    createIndexedAsset('car3', 'Fiat', 2015),
+                    createIndexedAsset('car4', 'Ford')
+                ]);
+            })
+            .then(function () {
+                return findAssetIds('make = \'Ford\'');
+            })
+            .then(function (assetIds) {
+                assetIds.should.deep.equal(['car1', 'car2', 'car4']);
+                return findAssetIds('year >= 2012 and year < 2020 and make = \'Ford\'');
+            })
+            .then(function (assetIds) {
+                assetIds.should.deep.equal(['car2']);
+                return assetRegistry.update(createIndexedAsset('car2', 'Fiat', 2015));
+            })
+            .then(function () {
+                return assetRegistry.remove('car3');
+            })
+            .then(function () {
+                return findAssetIds('make = \'Fiat\'');
+            })
+            .then(function (assetIds) {
+                assetIds.should.deep.equal(['car2']);
+            });
+    });
+
     it('should query assets in an asset registry', function () {
         let assetRegistry;
         return client
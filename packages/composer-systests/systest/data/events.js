@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * Emit a single event.
+ * @param {systest.events.EmitSimpleEvent} transaction The transaction.
+ * @transaction
+ */
+function onEmitSimpleEvent(transaction) {
+    var factory = getFactory();
+    var event = factory.newEvent('systest.events', 'SimpleEvent');
+    event.stringValue = transaction.stringValue;
+    emit(event);
+}
+
+/**
+ * Emit multiple events.
+ * @param {systest.events.EmitMultipleEvents} transaction The transaction.
+ * @transaction
+ */
+function onEmitMultipleEvents(transaction) {
+    var factory = getFactory();
+    transaction.stringValues.forEach(function (stringValue) {
+        var event = factory.newEvent('systest.events', 'SimpleEvent');
+        event.stringValue = stringValue;
+        emit(event);
+    });
+}
+
+/**
+ * Emit an event and then fail the transaction.
+ * @param {systest.events.EmitEventThenThrow} transaction The transaction.
+ * @transaction
+ */
+function onEmitEventThenThrow(transaction) {
+    var factory = getFactory();
+    var event = factory.newEvent('systest.events', 'SimpleEvent');
+    event.stringValue = transaction.stringValue;
+    emit(event);
+    throw new Error('such error');
+}
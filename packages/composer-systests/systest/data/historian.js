@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * Create an asset.
+ * @param {systest.historian.CreateAsset} transaction The transaction.
+ * @transaction
+ */
+function onCreateAsset(transaction) {
+    var factory = getFactory();
+    var asset = factory.newResource('systest.historian', 'SimpleAsset', transaction.assetId);
+    asset.stringValue = transaction.stringValue;
+    return getAssetRegistry('systest.historian.SimpleAsset')
+        .then(function (assetRegistry) {
+            return assetRegistry.add(asset);
+        });
+}
+
+/**
+ * Update an asset.
+ * @param {systest.historian.UpdateAsset} transaction The transaction.
+ * @transaction
+ */
+function onUpdateAsset(transaction) {
+    transaction.asset.stringValue = transaction.stringValue;
+    return getAssetRegistry('systest.historian.SimpleAsset')
+        .then(function (assetRegistry) {
+            return assetRegistry.update(transaction.asset);
+        });
+}
+
+/**
+ * Remove an asset.
+ * @param {systest.historian.RemoveAsset} transaction The transaction.
+ * @transaction
+ */
+function onRemoveAsset(transaction) {
+    return getAssetRegistry('systest.historian.SimpleAsset')
+        .then(function (assetRegistry) {
+            return assetRegistry.remove(transaction.asset);
+        });
+}
@@ -362,3 +362,37 @@ function handleTheTransactionUsingUtilityFunctions(transaction) {
 function utilityFunc2(transaction) {
     return utilityFuncB(transaction);
 }
+
+/**
+ * Handle a transaction that returns an array of primitive values.
+ * @param {systest.transactions.TransactionReturningPrimitiveTypes} transaction The transaction
+ * @transaction
+ * @returns {Integer[]} The integer value, and the integer value doubled.
+ */
+function handleTransactionReturningPrimitiveTypes(transaction) {
+    return [transaction.integerValue, transaction.integerValue * 2];
+}
+
+/**
+ * Handle a transaction that adds an asset and returns a concept.
+ * @param {systest.transactions.TransactionReturningConcepts} transaction The transaction
+ * @transaction
+ * @returns {Promise.<systest.transactions.TransactionResult>} A promise that is resolved
+ * with the result of the transaction.
+ */
+function handleTransactionReturningConcepts(transaction) {
+    var f = getFactory();
+    return getAssetRegistry('systest.transactions.SimpleStringAsset')
+        .then(function (ar) {
+            var a = f.newResource('systest.transactions', 'SimpleStringAsset', 'stringAsset1');
+            a.stringValue = transaction.stringValue;
+            return ar.add(a);
+        })
+        .then(function () {
+            var result = f.newConcept('systest.transactions', 'TransactionResult');
+            result.stringValue = transaction.stringValue;
+            result.dateTimeValue = transaction.timestamp;
+            result.enumValue = 'WOW';
+            return result;
+        });
+}
@@ -0,0 +1,139 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const BusinessNetworkDefinition = require('composer-admin').BusinessNetworkDefinition;
+
+const fs = require('fs');
+const path = require('path');
+
+const TestUtil = require('./testutil');
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+
+describe('Event system tests', () => {
+
+    let businessNetworkDefinition;
+    let admin;
+    let client;
+    let receivedEvents = [];
+
+    /**
+     * Record an event received by the client.
+     * @param {Resource} event The event.
+     */
+    function onEvent(event) {
+        receivedEvents.push(event);
+    }
+
+    /**
+     * Wait until the specified number of events have been received.
+     * @param {number} count The number of events to wait for.
+     * @return {Promise} A promise that will be resolved when the events have been received.
+     */
+    function waitForEvents(count) {
+        return new Promise((resolve, reject) => {
+            let check = (attempt) => {
+                if (receivedEvents.length >= count) {
+                    return resolve(receivedEvents);
+                } else if (attempt > 30) {
+                    return reject(new Error(`Timed out waiting for ${count} events, received ${receivedEvents.length}`));
+                }
+                setTimeout(() => {
+                    check(attempt + 1);
+                }, 1000);
+            };
+            check(0);
+        });
+    }
+
+    before(function () {
+        const modelFiles = [
+            fs.readFileSync(path.resolve(__dirname, 'data/events.cto'), 'utf8')
+        ];
+        const scriptFiles = [
+            { identifier: 'events.js', contents: fs.readFileSync(path.resolve(__dirname, 'data/events.js'), 'utf8') }
+        ];
+        businessNetworkDefinition = new BusinessNetworkDefinition('systest.events@0.0.1', 'The network for the event system tests');
+        modelFiles.forEach((modelFile) => {
+            businessNetworkDefinition.getModelManager().addModelFile(modelFile);
+        });
+        scriptFiles.forEach((scriptFile) => {
+            let scriptManager = businessNetworkDefinition.getScriptManager();
+            scriptManager.addScript(scriptManager.createScript(scriptFile.identifier, 'JS', scriptFile.contents));
+        });
+        admin = TestUtil.getAdmin();
+        return admin.deploy(businessNetworkDefinition)
+            .then(() => {
+                return TestUtil.getClient('systest.events')
+                    .then((result) => {
+                        client = result;
+                        client.on('event', onEvent);
+                    });
+            });
+    });
+
+    after(() => {
+        client.removeListener('event', onEvent);
+    });
+
+    beforeEach(() => {
+        receivedEvents = [];
+    });
+
+    it('should emit a single event from a transaction processor function', () => {
+        let factory = client.getBusinessNetwork().getFactory();
+        let transaction = factory.newTransaction('systest.events', 'EmitSimpleEvent');
+        transaction.stringValue = 'hello from an event';
+        return client.submitTransaction(transaction)
+            .then(() => {
+                return waitForEvents(1);
+            })
+            .then((events) => {
+                events.length.should.equal(1);
+                events[0].getFullyQualifiedType().should.equal('systest.events.SimpleEvent');
+                events[0].stringValue.should.equal('hello from an event');
+                events[0].timestamp.should.be.an.instanceOf(Date);
+            });
+    });
+
+    it('should emit multiple events from a transaction processor function', () => {
+        let factory = client.getBusinessNetwork().getFactory();
+        let transaction = factory.newTransaction('systest.events', 'EmitMultipleEvents');
+        transaction.stringValues = ['such event', 'many events'];
+        return client.submitTransaction(transaction)
+            .then(() => {
+                return waitForEvents(2);
+            })
+            .then((events) => {
+                events.map((event) => {
+                    return event.stringValue;
+                }).should.deep.equal(['such event', 'many events']);
+            });
+    });
+
+    it('should not emit any events from a transaction processor function that fails', () => {
+        let factory = client.getBusinessNetwork().getFactory();
+        let transaction = factory.newTransaction('systest.events', 'EmitEventThenThrow');
+        transaction.stringValue = 'this event should never be received';
+        return client.submitTransaction(transaction)
+            .should.be.rejectedWith(/such error/)
+            .then(() => {
+                receivedEvents.length.should.equal(0);
+            });
+    });
+
+});
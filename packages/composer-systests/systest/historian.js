@@ -0,0 +1,129 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const BusinessNetworkDefinition = require('composer-admin').BusinessNetworkDefinition;
+
+const fs = require('fs');
+const path = require('path');
+
+const TestUtil = require('./testutil');
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+
+describe('Historian system tests', () => {
+
+    let businessNetworkDefinition;
+    let admin;
+    let client;
+
+    before(function () {
+        const modelFiles = [
+            fs.readFileSync(path.resolve(__dirname, 'data/historian.cto'), 'utf8')
+        ];
+        const scriptFiles = [
+            { identifier: 'historian.js', contents: fs.readFileSync(path.resolve(__dirname, 'data/historian.js'), 'utf8') }
+        ];
+        businessNetworkDefinition = new BusinessNetworkDefinition('systest.historian@0.0.1', 'The network for the historian system tests');
+        modelFiles.forEach((modelFile) => {
+            businessNetworkDefinition.getModelManager().addModelFile(modelFile);
+        });
+        scriptFiles.forEach((scriptFile) => {
+            let scriptManager = businessNetworkDefinition.getScriptManager();
+            scriptManager.addScript(scriptManager.createScript(scriptFile.identifier, 'JS', scriptFile.contents));
+        });
+        admin = TestUtil.getAdmin();
+        return admin.deploy(businessNetworkDefinition)
+            .then(() => {
+                return TestUtil.getClient('systest.historian')
+                    .then((result) => {
+                        client = result;
+                    });
+            });
+    });
+
+    it('should record the changes made by each transaction', () => {
+        let factory = client.getBusinessNetwork().getFactory();
+        let create = factory.newTransaction('systest.historian', 'CreateAsset');
+        create.assetId = 'ASSET_1';
+        create.stringValue = 'hello world';
+        let update = factory.newTransaction('systest.historian', 'UpdateAsset');
+        update.asset = factory.newRelationship('systest.historian', 'SimpleAsset', 'ASSET_1');
+        update.stringValue = 'goodbye world';
+        let remove = factory.newTransaction('systest.historian', 'RemoveAsset');
+        remove.asset = factory.newRelationship('systest.historian', 'SimpleAsset', 'ASSET_1');
+        return client.submitTransaction(create)
+            .then(() => {
+                return client.submitTransaction(update);
+            })
+            .then(() => {
+                return client.submitTransaction(remove);
+            })
+            .then(() => {
+                return client.getHistorian().getAll();
+            })
+            .then((records) => {
+                records.length.should.equal(3);
+                records = [create, update, remove].map((transaction) => {
+                    return records.find((record) => {
+                        return record.transactionId === transaction.getIdentifier();
+                    });
+                });
+                records[0].transaction.getFullyQualifiedType().should.equal('systest.historian.CreateAsset');
+                records[0].timestamp.should.be.an.instanceOf(Date);
+                records[0].changes.should.deep.equal([{
+                    operation: 'add',
+                    registryType: 'Asset',
+                    registryId: 'systest.historian.SimpleAsset',
+                    resourceId: 'ASSET_1',
+                    resource: { $class: 'systest.historian.SimpleAsset', assetId: 'ASSET_1', stringValue: 'hello world' }
+                }]);
+                records[1].changes.should.deep.equal([{
+                    operation: 'update',
+                    registryType: 'Asset',
+                    registryId: 'systest.historian.SimpleAsset',
+                    resourceId: 'ASSET_1',
+                    patches: [{ op: 'replace', path: '/stringValue', value: 'goodbye world' }]
+                }]);
+                records[2].changes.should.deep.equal([{
+                    operation: 'remove',
+                    registryType: 'Asset',
+                    registryId: 'systest.historian.SimpleAsset',
+                    resourceId: 'ASSET_1'
+                }]);
+                return client.getHistorian().get(update.getIdentifier());
+            })
+            .then((record) => {
+                record.transaction.getFullyQualifiedType().should.equal('systest.historian.UpdateAsset');
+                record.changes.length.should.equal(1);
+            });
+    });
+
+    it('should not record a transaction that fails', () => {
+        let factory = client.getBusinessNetwork().getFactory();
+        let remove = factory.newTransaction('systest.historian', 'RemoveAsset');
+        remove.asset = factory.newRelationship('systest.historian', 'SimpleAsset', 'ASSET_2');
+        return client.submitTransaction(remove)
+            .should.be.rejected
+            .then(() => {
+                return client.getHistorian().getAll();
+            })
+            .then((records) => {
+                records.length.should.equal(0);
+            });
+    });
+
+});
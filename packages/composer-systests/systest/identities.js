@@ -96,6 +96,53 @@ describe('Identity system tests', () => {
             });
     });
 
+    it('should issue an identity and list it in the identity registry', () => {
+        let identity = uuid.v4();
+        return client.issueIdentity(participant, identity)
+            .then(() => {
+                return client.getIdentityRegistry().get(identity);
+            })
+            .then((result) => {
+                result.name.should.equal(identity);
+                result.state.should.equal('ISSUED');
+                result.participant.should.equal(participant.getFullyQualifiedIdentifier());
+            });
+    });
+
+    it('should activate an identity when it is used to submit a transaction', () => {
+        let identity = uuid.v4();
+        return client.issueIdentity(participant, identity)
+            .then((identity) => {
+                return TestUtil.getClient('systest.identities', identity.userID, identity.userSecret);
+            })
+            .then((result) => {
+                client = result;
+                let factory = client.getBusinessNetwork().getFactory();
+                let transaction = factory.newTransaction('systest.identities', 'SampleTransaction');
+                return client.submitTransaction(transaction);
+            })
+            .then(() => {
+                return client.getIdentityRegistry().get(identity);
+            })
+            .then((result) => {
+                result.state.should.equal('ACTIVATED');
+            });
+    });
+
+    it('should revoke an identity and keep it in the identity registry', () => {
+        let identity = uuid.v4();
+        return client.issueIdentity(participant, identity)
+            .then(() => {
+                return client.revokeIdentity(identity);
+            })
+            .then(() => {
+                return client.getIdentityRegistry().get(identity);
+            })
+            .then((result) => {
+                result.state.should.equal('REVOKED');
+            });
+    });
+
     it('should throw an exception for a ping request using a revoked identity', () => {
         let identity = uuid.v4();
         return client.issueIdentity(participant, identity)
@@ -0,0 +1,137 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const BusinessNetworkDefinition = require('composer-admin').BusinessNetworkDefinition;
+
+const fs = require('fs');
+const path = require('path');
+
+const TestUtil = require('./testutil');
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
+
+describe('Query system tests', () => {
+
+    let businessNetworkDefinition;
+    let admin;
+    let client;
+
+    /**
+     * Get the identifiers of the specified assets.
+     * @param {Resource[]} assets The assets.
+     * @return {string[]} The identifiers of the assets.
+     */
+    function getIdentifiers(assets) {
+        return assets.map((asset) => {
+            return asset.getIdentifier();
+        });
+    }
+
+    before(function () {
+        const modelFiles = [
+            fs.readFileSync(path.resolve(__dirname, 'data/queries.cto'), 'utf8')
+        ];
+        businessNetworkDefinition = new BusinessNetworkDefinition('systest.queries@0.0.1', 'The network for the query system tests');
+        modelFiles.forEach((modelFile) => {
+            businessNetworkDefinition.getModelManager().addModelFile(modelFile);
+        });
+        let queryManager = businessNetworkDefinition.getQueryManager();
+        queryManager.setQueryFile(queryManager.createQueryFile('queries.qry', fs.readFileSync(path.resolve(__dirname, 'data/queries.qry'), 'utf8')));
+        admin = TestUtil.getAdmin();
+        return admin.deploy(businessNetworkDefinition)
+            .then(() => {
+                return TestUtil.getClient('systest.queries')
+                    .then((result) => {
+                        client = result;
+                    });
+            });
+    });
+
+    beforeEach(() => {
+        let factory = client.getBusinessNetwork().getFactory();
+        let alice = factory.newResource('systest.queries', 'SampleParticipant', 'alice@email.com');
+        alice.firstName = 'Alice';
+        alice.lastName = 'A';
+        let bob = factory.newResource('systest.queries', 'SampleParticipant', 'bob@email.com');
+        bob.firstName = 'Bob';
+        bob.lastName = 'B';
+        let assets = [
+            ['ASSET_1', 'Ford', 2010, 'alice@email.com'],
+            ['ASSET_2', 'Fiat', 2012, 'bob@email.com'],
+            ['ASSET_3', 'Ford', 2015, 'bob@email.com'],
+            ['ASSET_4', 'Audi', 2014, 'alice@email.com']
+        ].map((data) => {
+            let asset = factory.newResource('systest.queries', 'SampleAsset', data[0]);
+            asset.make = data[1];
+            asset.year = data[2];
+            asset.owner = factory.newRelationship('systest.queries', 'SampleParticipant', data[3]);
+            return asset;
+        });
+        return client.getParticipantRegistry('systest.queries.SampleParticipant')
+            .then((participantRegistry) => {
+                return participantRegistry.addAll([alice, bob]);
+            })
+            .then(() => {
+                return client.getAssetRegistry('systest.queries.SampleAsset');
+            })
+            .then((assetRegistry) => {
+                return assetRegistry.addAll(assets);
+            });
+    });
+
+    it('should execute a named query', () => {
+        return client.query('AssetsByMake', { make: 'Ford' })
+            .then((assets) => {
+                getIdentifiers(assets).should.deep.equal(['ASSET_3', 'ASSET_1']);
+                assets[0].make.should.equal('Ford');
+                assets[0].year.should.equal(2015);
+            });
+    });
+
+    it('should execute a named query using a relationship parameter', () => {
+        return client.getParticipantRegistry('systest.queries.SampleParticipant')
+            .then((participantRegistry) => {
+                return participantRegistry.get('bob@email.com');
+            })
+            .then((bob) => {
+                return client.query('AssetsByOwner', { owner: bob });
+            })
+            .then((assets) => {
+                getIdentifiers(assets).should.deep.equal(['ASSET_2', 'ASSET_3']);
+            });
+    });
+
+    it('should execute a built query', () => {
+        let query = client.buildQuery('SELECT systest.queries.SampleAsset WHERE year >= _$year ORDER BY [year DESC] LIMIT 2');
+        return client.query(query, { year: 2012 })
+            .then((assets) => {
+                getIdentifiers(assets).should.deep.equal(['ASSET_3', 'ASSET_4']);
+            });
+    });
+
+    it('should throw building an invalid query', () => {
+        (() => {
+            client.buildQuery('SELECT systest.queries.SampleAsset WHERE colour == \'red\'');
+        }).should.throw(/Failed to find property colour/);
+    });
+
+    it('should reject a named query that does not exist', () => {
+        return client.query('NoSuchQuery')
+            .should.be.rejectedWith(/Named query "NoSuchQuery" does not exist/);
+    });
+
+});
@@ -544,4 +544,53 @@ describe('Transaction (asset specific) system tests', () => {
             });
     });
 
+    it('should submit and execute a batch of transactions that add assets to an asset registry', () => {
+        let factory = client.getBusinessNetwork().getFactory();
+        let transactions = ['stringAsset1', 'stringAsset2'].map((id) => {
+            let transaction = factory.newTransaction('systest.transactions.assets', 'AddAssetInTransactionToAssetRegistryTransaction');
+            transaction.stringAsset = factory.newResource('systest.transactions.assets', 'SimpleStringAsset', id);
+            transaction.stringAsset.stringValue = 'party parrot in ' + id;
+            return transaction;
+        });
+        return client
+            .submitTransactions(transactions)
+            .then((results) => {
+                results.should.deep.equal([
+                    { transactionId: transactions[0].getIdentifier() },
+                    { transactionId: transactions[1].getIdentifier() }
+                ]);
+                return client.getAssetRegistry('systest.transactions.assets.SimpleStringAsset');
+            })
+            .then((assetRegistry) => {
+                return assetRegistry.getAll();
+            })
+            .then((assets) => {
+                assets.map((asset) => {
+                    return asset.stringValue;
+                }).sort().should.deep.equal(['party parrot in stringAsset1', 'party parrot in stringAsset2']);
+            });
+    });
+
+    it('should submit and report a failure for a batch of transactions, and roll back all of the transactions in the batch', () => {
+        let factory = client.getBusinessNetwork().getFactory();
+        let transaction1 = factory.newTransaction('systest.transactions.assets', 'AddAssetInTransactionToAssetRegistryTransaction');
+        transaction1.stringAsset = factory.newResource('systest.transactions.assets', 'SimpleStringAsset', 'stringAsset1');
+        transaction1.stringAsset.stringValue = 'party parrot in hursley';
+        let transaction2 = factory.newTransaction('systest.transactions.assets', 'SimpleTransactionWithAssetRelationships');
+        transaction2.stringAsset = factory.newRelationship('systest.transactions.assets', 'SimpleStringAsset', 'I DONT EXIST');
+        transaction2.integerAsset = factory.newRelationship('systest.transactions.assets', 'SimpleIntegerAsset', 'I DONT EXIST EITHER');
+        return client
+            .submitTransactions([transaction1, transaction2])
+            .should.be.rejectedWith(/Transaction 2 of 2 in batch failed/)
+            .then(() => {
+                return client.getAssetRegistry('systest.transactions.assets.SimpleStringAsset');
+            })
+            .then((assetRegistry) => {
+                return assetRegistry.exists('stringAsset1');
+            })
+            .then((exists) => {
+                exists.should.be.false;
+            });
+    });
+
 });
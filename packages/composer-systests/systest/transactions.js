@@ -154,4 +154,101 @@ describe('Transaction system tests', () => {
             });
     });
 
+    it('should submit a transaction and return the primitive values returned by the transaction processor function', () => {
+        let factory = client.getBusinessNetwork().getFactory();
+        let transaction = factory.newTransaction('systest.transactions', 'TransactionReturningPrimitiveTypes');
+        transaction.integerValue = 21;
+        return client.submitTransaction(transaction)
+            .then((returnValue) => {
+                returnValue.should.deep.equal([21, 42]);
+            });
+    });
+
+    it('should submit a transaction and return the concept returned by the transaction processor function', () => {
+        let factory = client.getBusinessNetwork().getFactory();
+        let transaction = factory.newTransaction('systest.transactions', 'TransactionReturningConcepts');
+        transaction.stringValue = 'hello from a transaction that returns a concept';
+        return client.submitTransaction(transaction)
+            .then((returnValue) => {
+                returnValue.getFullyQualifiedType().should.equal('systest.transactions.TransactionResult');
+                returnValue.stringValue.should.equal('hello from a transaction that returns a concept');
+                returnValue.dateTimeValue.should.be.an.instanceOf(Date);
+                returnValue.dateTimeValue.getTime().should.equal(transaction.timestamp.getTime());
+                returnValue.enumValue.should.equal('WOW');
+                return client.getAssetRegistry('systest.transactions.SimpleStringAsset');
+            })
+            .then((assetRegistry) => {
+                return assetRegistry.get('stringAsset1');
+            })
+            .then((asset) => {
+                asset.stringValue.should.equal('hello from a transaction that returns a concept');
+            });
+    });
+
+    it('should evaluate a transaction and return the values returned by the transaction processor function without recording it', () => {
+        let factory = client.getBusinessNetwork().getFactory();
+        let transaction = factory.newTransaction('systest.transactions', 'TransactionReturningPrimitiveTypes');
+        transaction.integerValue = 21;
+        return client.evaluateTransaction(transaction)
+            .then((returnValue) => {
+                returnValue.should.deep.equal([21, 42]);
+                return client.getTransactionRegistry();
+            })
+            .then((transactionRegistry) => {
+                return transactionRegistry.exists(transaction.getIdentifier());
+            })
+            .then((exists) => {
+                exists.should.be.false;
+            });
+    });
+
+    it('should evaluate and report a failure for a transaction that modifies a registry', () => {
+        let factory = client.getBusinessNetwork().getFactory();
+        let transaction = factory.newTransaction('systest.transactions', 'TransactionReturningConcepts');
+        transaction.stringValue = 'hello from a transaction that is evaluated';
+        return client.evaluateTransaction(transaction)
+            .should.be.rejectedWith(/is read-only and cannot be modified/);
+    });
+
+    it('should simulate a transaction and return the changes it would make without making them', () => {
+        let factory = client.getBusinessNetwork().getFactory();
+        let transaction = factory.newTransaction('systest.transactions', 'TransactionReturningConcepts');
+        transaction.stringValue = 'hello from a transaction that is simulated';
+        let assetRegistry;
+        return client.getAssetRegistry('systest.transactions.SimpleStringAsset')
+            .then((result) => {
+                assetRegistry = result;
+                return assetRegistry.exists('stringAsset1');
+            })
+            .then((exists) => {
+                if (exists) {
+                    return assetRegistry.remove('stringAsset1');
+                }
+            })
+            .then(() => {
+                return client.simulateTransaction(transaction);
+            })
+            .then((simulation) => {
+                simulation.changes.should.have.lengthOf(1);
+                simulation.changes[0].operation.should.equal('add');
+                simulation.changes[0].registryType.should.equal('Asset');
+                simulation.changes[0].registryId.should.equal('systest.transactions.SimpleStringAsset');
+                simulation.changes[0].resourceId.should.equal('stringAsset1');
+                simulation.changes[0].resource.stringValue.should.equal('hello from a transaction that is simulated');
+                simulation.events.should.deep.equal([]);
+                simulation.returnValue.stringValue.should.equal('hello from a transaction that is simulated');
+                return assetRegistry.exists('stringAsset1');
+            })
+            .then((exists) => {
+                exists.should.be.false;
+                return client.getTransactionRegistry();
+            })
+            .then((transactionRegistry) => {
+                return transactionRegistry.exists(transaction.getIdentifier());
+            })
+            .then((exists) => {
+                exists.should.be.false;
+            });
+    });
+
 });
@@ -0,0 +1,275 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const path = require('path');
+const TestHarness = require('./testharness');
+
+// Deploying a business network takes longer than the default step timeout.
+const DEPLOY_TIMEOUT = 60 * 1000;
+
+/**
+ * Convert the value in a table cell into the JSON value for a property.
+ * Numbers and booleans are converted, arrays, maps and concepts are parsed
+ * as JSON, and everything else (strings, date times, enumerated values and
+ * relationships) is left as a string.
+ * @private
+ * @param {TestHarness} harness The test harness.
+ * @param {Property} property The property.
+ * @param {string} value The value in the table cell.
+ * @return {*} The JSON value.
+ */
+function parseValue(harness, property, value) {
+    if (property.isArray() || property.isMap()) {
+        return JSON.parse(value);
+    } else if (!property.isPrimitive()) {
+        const classDeclaration = harness.getBusinessNetworkDefinition().getIntrospector().getClassDeclaration(property.getFullyQualifiedTypeName());
+        return classDeclaration.isConcept() ? JSON.parse(value) : value;
+    }
+    switch (property.getType()) {
+    case 'Integer':
+    case 'Long':
+    case 'Double':
+        return Number(value);
+    case 'Boolean':
+        return value === 'true';
+    default:
+        return value;
+    }
+}
+
+/**
+ * Convert the rows in a data table into the JSON objects for resources of
+ * the specified type. The column headings are the property names, and
+ * empty cells are left out, so that optional properties and default values
+ * can be used.
+ * @private
+ * @param {TestHarness} harness The test harness.
+ * @param {string} type The fully qualified name of the type.
+ * @param {Object} table The data table.
+ * @return {Object[]} The JSON objects.
+ */
+function parseTable(harness, type, table) {
+    const classDeclaration = harness.getBusinessNetworkDefinition().getIntrospector().getClassDeclaration(type);
+    return table.hashes().map((row) => {
+        const json = { $class: type };
+        Object.keys(row).forEach((name) => {
+            const property = classDeclaration.getProperty(name);
+            if (!property) {
+                throw new Error(`The type ${type} does not have a property named ${name}`);
+            } else if (row[name] !== '') {
+                json[name] = parseValue(harness, property, row[name]);
+            }
+        });
+        return json;
+    });
+}
+
+/**
+ * Throw the error from a previous step that is still waiting to be checked
+ * by an error step.
+ * @private
+ * @param {Object} world The cucumber world.
+ * @throws {Error} The unchecked error, if there is one.
+ */
+function checkNoError(world) {
+    const error = world.composer.error;
+    if (error) {
+        world.composer.error = null;
+        throw error;
+    }
+}
+
+/**
+ * Run a step that is allowed to fail. An error is kept so that it can be
+ * checked by the next step, which must be an error step.
+ * @private
+ * @param {Object} world The cucumber world.
+ * @param {Function} step The step to run, which returns a promise.
+ * @return {Promise} A promise that will be resolved when complete.
+ * @throws {Error} An unchecked error from a previous step.
+ */
+function expectError(world, step) {
+    checkNoError(world);
+    return Promise.resolve()
+        .then(step)
+        .catch((error) => {
+            world.composer.error = error;
+        });
+}
+
+/**
+ * Get the registry for a type, using the connection for the current participant.
+ * @private
+ * @param {Object} world The cucumber world.
+ * @param {string} type The fully qualified name of the type.
+ * @return {Promise} A promise that will be resolved with the registry.
+ */
+function getRegistry(world, type) {
+    return world.composer.harness.getRegistry(type, world.composer.connection);
+}
+
+/**
+ * Step definitions for testing business networks with
+ * <a href="https://github.com/cucumber/cucumber-js">cucumber</a>. The
+ * business network is deployed to the embedded runtime using a
+ * {@link module:composer-testing.TestHarness TestHarness}, which is torn down
+ * after every scenario. To use the step definitions, add a support file to the
+ * features directory that exports them:
+ * <pre>
+ * module.exports = require('composer-testing').CucumberSteps;
+ * </pre>
+ * <p>
+ * Assets, participants and transactions are specified using data tables, where
+ * the column headings are the property names. Relationships are specified using
+ * the identifier of the related resource, and arrays and concepts using JSON.
+ * A scenario using the step definitions looks like this:
+ * </p>
+ * <pre>
+ * Scenario: Alice can change the colour of her vehicle
+ *     Given I have deployed the business network definition ..
+ *     And I have the following participants of type org.acme.Person
+ *         | email | name  |
+ *         | alice | Alice |
+ *     And I have the following assets of type org.acme.Vehicle
+ *         | vin   | colour | owner |
+ *         | VEH_1 | blue   | alice |
+ *     And I am the participant org.acme.Person#alice
+ *     When I submit the following transaction of type org.acme.ChangeColour
+ *         | vehicle | colour |
+ *         | VEH_1   | red    |
+ *     Then I should have the following assets of type org.acme.Vehicle
+ *         | vin   | colour | owner |
+ *         | VEH_1 | red    | alice |
+ * </pre>
+ * <p>
+ * The "When" steps are allowed to fail; the error must then be checked by a
+ * following "Then I should get an error matching /regex/" step, otherwise the
+ * scenario fails with that error.
+ * </p>
+ * @memberof module:composer-testing
+ */
+function CucumberSteps() {
+
+    this.Before(function () {
+        this.composer = {
+            harness: new TestHarness(),
+            connection: null,
+            error: null
+        };
+    });
+
+    this.After(function () {
+        return this.composer.harness.tearDown()
+            .then(() => {
+                checkNoError(this);
+            });
+    });
+
+    this.Given(/^I have deployed the business network definition (.+)$/, { timeout: DEPLOY_TIMEOUT }, function (directory) {
+        checkNoError(this);
+        this.composer.connection = null;
+        return this.composer.harness.deploy(path.resolve(directory));
+    });
+
+    this.Given(/^I have the following (?:assets?|participants?) of type (\S+)$/, function (type, table) {
+        checkNoError(this);
+        const harness = this.composer.harness;
+        return harness.loadFixtures(parseTable(harness, type, table));
+    });
+
+    this.Given(/^I am the participant (\S+)$/, function (participantFQI) {
+        checkNoError(this);
+        return this.composer.harness.impersonate(participantFQI)
+            .then((connection) => {
+                this.composer.connection = connection;
+            });
+    });
+
+    this.Given(/^I am the network administrator$/, function () {
+        checkNoError(this);
+        this.composer.connection = null;
+    });
+
+    this.When(/^I submit the following transactions? of type (\S+)$/, function (type, table) {
+        return expectError(this, () => {
+            const harness = this.composer.harness;
+            return parseTable(harness, type, table).reduce((promise, json) => {
+                return promise.then(() => {
+                    return harness.submitTransaction(json, this.composer.connection);
+                });
+            }, Promise.resolve());
+        });
+    });
+
+    this.When(/^I (add|update) the following (?:assets?|participants?) of type (\S+)$/, function (operation, type, table) {
+        return expectError(this, () => {
+            const serializer = this.composer.harness.getSerializer();
+            const resources = parseTable(this.composer.harness, type, table).map((json) => {
+                return serializer.fromJSON(json);
+            });
+            return getRegistry(this, type)
+                .then((registry) => {
+                    return operation === 'add' ? registry.addAll(resources) : registry.updateAll(resources);
+                });
+        });
+    });
+
+    this.When(/^I remove the following (?:assets?|participants?) of type (\S+)$/, function (type, table) {
+        return expectError(this, () => {
+            const ids = parseTable(this.composer.harness, type, table).map((json) => {
+                return this.composer.harness.getSerializer().fromJSON(json).getIdentifier();
+            });
+            return getRegistry(this, type)
+                .then((registry) => {
+                    return registry.removeAll(ids);
+                });
+        });
+    });
+
+    this.Then(/^I should have the following (?:assets?|participants?) of type (\S+)$/, function (type, table) {
+        checkNoError(this);
+        const harness = this.composer.harness;
+        return parseTable(harness, type, table).reduce((promise, json) => {
+            return promise.then(() => {
+                return harness.assertResource(json);
+            });
+        }, Promise.resolve());
+    });
+
+    this.Then(/^I should not have the following (?:assets?|participants?) of type (\S+)$/, function (type, table) {
+        checkNoError(this);
+        const harness = this.composer.harness;
+        const identifierFieldName = harness.getBusinessNetworkDefinition().getIntrospector().getClassDeclaration(type).getIdentifierFieldName();
+        return table.hashes().reduce((promise, row) => {
+            return promise.then(() => {
+                return harness.assertNotExists(type, row[identifierFieldName]);
+            });
+        }, Promise.resolve());
+    });
+
+    this.Then(/^I should get an error matching \/(.+)\/$/, function (pattern) {
+        const error = this.composer.error;
+        this.composer.error = null;
+        if (!error) {
+            throw new Error(`Expected an error matching /${pattern}/, but no error was thrown`);
+        } else if (!new RegExp(pattern).test(error.message)) {
+            throw new Error(`Expected an error matching /${pattern}/, but the error was: ${error.message}`);
+        }
+    });
+
+}
+
+module.exports = CucumberSteps;
@@ -0,0 +1,486 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const AdminConnection = require('composer-admin').AdminConnection;
+const assert = require('assert');
+const BrowserFS = require('browserfs/dist/node/index');
+const BusinessNetworkConnection = require('composer-client').BusinessNetworkConnection;
+const Common = require('composer-common');
+const EmbeddedConnectionManager = require('composer-connector-embedded');
+const fs = require('fs');
+const uuid = require('uuid');
+
+const AssetDeclaration = Common.AssetDeclaration;
+const BusinessNetworkDefinition = Common.BusinessNetworkDefinition;
+const ConnectionProfileManager = Common.ConnectionProfileManager;
+const ParticipantDeclaration = Common.ParticipantDeclaration;
+const Resource = Common.Resource;
+
+const LOG = Common.Logger.getLog('TestHarness');
+
+const DEFAULT_PROFILE_NAME = 'composer-testing';
+const ADMIN_ID = 'admin';
+const ADMIN_SECRET = 'adminpw';
+
+// Connection profiles are kept in memory, so that tests do not change the
+// connection profiles in the home directory of the user running them.
+const bfs_fs = BrowserFS.BFSRequire('fs');
+BrowserFS.initialize(new BrowserFS.FileSystem.InMemory());
+ConnectionProfileManager.registerConnectionManager('embedded', EmbeddedConnectionManager);
+
+// Identities cannot be reused across deployments, so every identity gets a unique user ID.
+let identityCount = 0;
+
+/**
+ * A test harness for business networks. The test harness deploys a business
+ * network to the embedded runtime, so that the models, transaction processor
+ * functions and access control rules in the business network can be unit
+ * tested without a Hyperledger Fabric.
+ * <p>
+ * A typical mocha test using the test harness looks like this:
+ * </p>
+ * <pre>
+ * const harness = new TestHarness();
+ *
+ * beforeEach(() => {
+ *     return harness.deploy(path.resolve(__dirname, '..'))
+ *         .then(() => {
+ *             return harness.loadFixtures(path.resolve(__dirname, 'fixtures.json'));
+ *         });
+ * });
+ *
+ * afterEach(() => {
+ *     return harness.tearDown();
+ * });
+ *
+ * it('should let the owner change the colour of a vehicle', () => {
+ *     return harness.impersonate('org.acme.Person#alice')
+ *         .then((connection) => {
+ *             return harness.submitTransaction({
+ *                 $class: 'org.acme.ChangeColour',
+ *                 vehicle: 'VEH_1',
+ *                 colour: 'red'
+ *             }, connection);
+ *         })
+ *         .then(() => {
+ *             return harness.assertResource({
+ *                 $class: 'org.acme.Vehicle',
+ *                 vin: 'VEH_1',
+ *                 colour: 'red',
+ *                 owner: 'alice'
+ *             });
+ *         });
+ * });
+ * </pre>
+ * @class
+ * @memberof module:composer-testing
+ */
+class TestHarness {
+
+    /**
+     * Create the test harness.
+     * @param {Object} [options] The options to use.
+     * @param {string} [options.connectionProfile] The name of the in memory
+     * connection profile to deploy the business network with. Defaults to
+     * composer-testing.
+     */
+    constructor(options) {
+        options = options || {};
+        this.connectionProfile = options.connectionProfile || DEFAULT_PROFILE_NAME;
+        this.adminConnection = null;
+        this.businessNetworkConnection = null;
+        this.identities = {};
+    }
+
+    /**
+     * Deploy a business network to the embedded runtime, and connect to it as
+     * the administrator. Any business network previously deployed by this test
+     * harness is torn down first, so this can be called before every test to
+     * get a business network with empty registries.
+     * @param {string|BusinessNetworkDefinition} businessNetwork The directory
+     * containing the business network, or the business network definition.
+     * @return {Promise} A promise that will be resolved with the
+     * {@link BusinessNetworkConnection} for the administrator when the business
+     * network has been deployed, or rejected with an error.
+     */
+    deploy(businessNetwork) {
+        const method = 'deploy';
+        LOG.entry(method, businessNetwork);
+        let businessNetworkDefinition;
+        return this.tearDown()
+            .then(() => {
+                if (businessNetwork instanceof BusinessNetworkDefinition) {
+                    return businessNetwork;
+                }
+                return BusinessNetworkDefinition.fromDirectory(businessNetwork);
+            })
+            .then((result) => {
+                businessNetworkDefinition = result;
+                this.adminConnection = new AdminConnection({ fs: bfs_fs });
+                return this.adminConnection.createProfile(this.connectionProfile, { type: 'embedded' });
+            })
+            .then(() => {
+                return this.adminConnection.connect(this.connectionProfile, ADMIN_ID, ADMIN_SECRET);
+            })
+            .then(() => {
+                return this.adminConnection.deploy(businessNetworkDefinition);
+            })
+            .then(() => {
+                this.businessNetworkConnection = new BusinessNetworkConnection({ fs: bfs_fs });
+                return this.businessNetworkConnection.connect(this.connectionProfile, businessNetworkDefinition.getName(), ADMIN_ID, ADMIN_SECRET);
+            })
+            .then(() => {
+                LOG.exit(method);
+                return this.businessNetworkConnection;
+            });
+    }
+
+    /**
+     * Disconnect all of the connections to the deployed business network, and
+     * undeploy it. Does nothing if no business network has been deployed.
+     * @return {Promise} A promise that will be resolved when complete, or
+     * rejected with an error.
+     */
+    tearDown() {
+        const method = 'tearDown';
+        LOG.entry(method);
+        const adminConnection = this.adminConnection;
+        const connections = Object.keys(this.identities).map((participantFQI) => {
+            return this.identities[participantFQI];
+        });
+        if (this.businessNetworkConnection) {
+            connections.push(this.businessNetworkConnection);
+        }
+        const businessNetworkName = this.businessNetworkConnection ? this.businessNetworkConnection.getBusinessNetwork().getName() : null;
+        this.adminConnection = null;
+        this.businessNetworkConnection = null;
+        this.identities = {};
+        return Promise.all(connections.map((connection) => {
+            return connection.disconnect();
+        }))
+            .then(() => {
+                if (adminConnection && businessNetworkName) {
+                    return adminConnection.undeploy(businessNetworkName);
+                }
+            })
+            .then(() => {
+                if (adminConnection) {
+                    return adminConnection.disconnect();
+                }
+            })
+            .then(() => {
+                LOG.exit(method);
+            });
+    }
+
+    /**
+     * Get the connection to the deployed business network as the administrator.
+     * The administrator is not subject to the access control rules.
+     * @return {BusinessNetworkConnection} The connection as the administrator.
+     */
+    getBusinessNetworkConnection() {
+        this.checkDeployed();
+        return this.businessNetworkConnection;
+    }
+
+    /**
+     * Get the admin connection that was used to deploy the business network.
+     * @return {AdminConnection} The admin connection.
+     */
+    getAdminConnection() {
+        this.checkDeployed();
+        return this.adminConnection;
+    }
+
+    /**
+     * Get the deployed business network definition.
+     * @return {BusinessNetworkDefinition} The business network definition.
+     */
+    getBusinessNetworkDefinition() {
+        return this.getBusinessNetworkConnection().getBusinessNetwork();
+    }
+
+    /**
+     * Get the factory for the deployed business network.
+     * @return {Factory} The factory.
+     */
+    getFactory() {
+        return this.getBusinessNetworkDefinition().getFactory();
+    }
+
+    /**
+     * Get the serializer for the deployed business network.
+     * @return {Serializer} The serializer.
+     */
+    getSerializer() {
+        return this.getBusinessNetworkDefinition().getSerializer();
+    }
+
+    /**
+     * Get the asset or participant registry for the specified type.
+     * @param {string} type The fully qualified name of the asset or participant type.
+     * @param {BusinessNetworkConnection} [connection] The connection to use, for
+     * example a connection returned by {@link TestHarness#impersonate impersonate}.
+     * Defaults to the connection as the administrator.
+     * @return {Promise} A promise that will be resolved with the registry, or
+     * rejected with an error.
+     */
+    getRegistry(type, connection) {
+        connection = connection || this.getBusinessNetworkConnection();
+        const classDeclaration = this.getBusinessNetworkDefinition().getIntrospector().getClassDeclaration(type);
+        if (classDeclaration instanceof AssetDeclaration) {
+            return connection.getAssetRegistry(type);
+        } else if (classDeclaration instanceof ParticipantDeclaration) {
+            return connection.getParticipantRegistry(type);
+        }
+        return Promise.reject(new Error(`The type ${type} is not an asset or participant type`));
+    }
+
+    /**
+     * Add assets and participants to their registries. The assets and participants
+     * are specified as JSON, in the format produced by {@link Serializer#toJSON},
+     * and are added in the order they are specified in.
+     * @param {string|Object|Object[]} fixtures The name of a JSON file containing
+     * the assets and participants, or the JSON objects for the assets and participants.
+     * @return {Promise} A promise that will be resolved with an array of the
+     * {@link Resource} objects that were added, or rejected with an error.
+     */
+    loadFixtures(fixtures) {
+        const method = 'loadFixtures';
+        LOG.entry(method, fixtures);
+        let resources;
+        return Promise.resolve()
+            .then(() => {
+                if (typeof fixtures === 'string') {
+                    fixtures = JSON.parse(fs.readFileSync(fixtures, 'utf8'));
+                }
+                if (!Array.isArray(fixtures)) {
+                    fixtures = [fixtures];
+                }
+                const serializer = this.getSerializer();
+                resources = fixtures.map((fixture) => {
+                    return serializer.fromJSON(fixture);
+                });
+
+                // Add consecutive resources of the same type in one call.
+                const batches = [];
+                resources.forEach((resource) => {
+                    const lastBatch = batches[batches.length - 1];
+                    if (lastBatch && lastBatch[0].getFullyQualifiedType() === resource.getFullyQualifiedType()) {
+                        lastBatch.push(resource);
+                    } else {
+                        batches.push([resource]);
+                    }
+                });
+                return batches.reduce((promise, batch) => {
+                    return promise
+                        .then(() => {
+                            return this.getRegistry(batch[0].getFullyQualifiedType());
+                        })
+                        .then((registry) => {
+                            return registry.addAll(batch);
+                        });
+                }, Promise.resolve());
+            })
+            .then(() => {
+                LOG.exit(method, resources.length);
+                return resources;
+            });
+    }
+
+    /**
+     * Get a connection to the deployed business network as the specified
+     * participant. An identity is issued to the participant the first time it
+     * is impersonated. Everything done using the connection is subject to the
+     * access control rules in the business network.
+     * @param {Resource|string} participant The participant, or the fully qualified
+     * identifier of the participant. The participant must already exist.
+     * @return {Promise} A promise that will be resolved with a
+     * {@link BusinessNetworkConnection} for the participant, or rejected with an error.
+     */
+    impersonate(participant) {
+        const method = 'impersonate';
+        LOG.entry(method, participant);
+        const participantFQI = participant instanceof Resource ? participant.getFullyQualifiedIdentifier() : participant;
+        if (this.identities[participantFQI]) {
+            LOG.exit(method, 'Found existing connection');
+            return Promise.resolve(this.identities[participantFQI]);
+        }
+        const businessNetworkConnection = this.getBusinessNetworkConnection();
+        const userID = participantFQI.substring(participantFQI.indexOf('#') + 1) + '-' + (++identityCount);
+        const connection = new BusinessNetworkConnection({ fs: bfs_fs });
+        return businessNetworkConnection.issueIdentity(participantFQI, userID)
+            .then((identity) => {
+                return connection.connect(this.connectionProfile, businessNetworkConnection.getBusinessNetwork().getName(), identity.userID, identity.userSecret);
+            })
+            .then(() => {
+                this.identities[participantFQI] = connection;
+                LOG.exit(method, userID);
+                return connection;
+            });
+    }
+
+    /**
+     * Submit a transaction. A transaction ID and timestamp are generated if
+     * they are not specified.
+     * @param {Resource|Object} transaction The transaction, or the JSON object
+     * for the transaction.
+     * @param {BusinessNetworkConnection} [connection] The connection to use, for
+     * example a connection returned by {@link TestHarness#impersonate impersonate}.
+     * Defaults to the connection as the administrator.
+     * @return {Promise} A promise that will be resolved with the value returned
+     * by the transaction processor function, if any, or rejected with an error.
+     */
+    submitTransaction(transaction, connection) {
+        connection = connection || this.getBusinessNetworkConnection();
+        if (!(transaction instanceof Resource)) {
+            const classDeclaration = this.getBusinessNetworkDefinition().getIntrospector().getClassDeclaration(transaction.$class);
+            const json = Object.assign({}, transaction);
+            const identifierFieldName = classDeclaration.getIdentifierFieldName();
+            if (!json[identifierFieldName]) {
+                json[identifierFieldName] = uuid.v4();
+            }
+            if (!json.timestamp) {
+                json.timestamp = new Date().toISOString();
+            }
+            transaction = this.getSerializer().fromJSON(json);
+        }
+        return connection.submitTransaction(transaction);
+    }
+
+    /**
+     * Assert that an asset or participant exists.
+     * @param {string} type The fully qualified name of the asset or participant type.
+     * @param {string} id The identifier of the asset or participant.
+     * @return {Promise} A promise that will be resolved when complete, or
+     * rejected with an AssertionError if the asset or participant does not exist.
+     */
+    assertExists(type, id) {
+        return this.getRegistry(type)
+            .then((registry) => {
+                return registry.exists(id);
+            })
+            .then((exists) => {
+                assert.ok(exists, `Expected ${type}#${id} to exist`);
+            });
+    }
+
+    /**
+     * Assert that an asset or participant does not exist.
+     * @param {string} type The fully qualified name of the asset or participant type.
+     * @param {string} id The identifier of the asset or participant.
+     * @return {Promise} A promise that will be resolved when complete, or
+     * rejected with an AssertionError if the asset or participant exists.
+     */
+    assertNotExists(type, id) {
+        return this.getRegistry(type)
+            .then((registry) => {
+                return registry.exists(id);
+            })
+            .then((exists) => {
+                assert.ok(!exists, `Expected ${type}#${id} not to exist`);
+            });
+    }
+
+    /**
+     * Assert that an asset or participant in a registry is equal to the
+     * expected asset or participant.
+     * @param {Resource|Object} expected The expected asset or participant, or
+     * its JSON object.
+     * @return {Promise} A promise that will be resolved when complete, or
+     * rejected with an AssertionError if the asset or participant does not
+     * exist or is different.
+     */
+    assertResource(expected) {
+        const expectedJSON = this.normalize(expected);
+        const type = expectedJSON.$class;
+        const id = this.getSerializer().fromJSON(expectedJSON).getIdentifier();
+        return this.assertExists(type, id)
+            .then(() => {
+                return this.getRegistry(type);
+            })
+            .then((registry) => {
+                return registry.get(id);
+            })
+            .then((actual) => {
+                assert.deepStrictEqual(this.normalize(actual), expectedJSON);
+            });
+    }
+
+    /**
+     * Assert that a registry contains exactly the expected assets or participants,
+     * in any order.
+     * @param {string} type The fully qualified name of the asset or participant type.
+     * @param {Resource[]|Object[]} expected The expected assets or participants,
+     * or their JSON objects.
+     * @return {Promise} A promise that will be resolved when complete, or
+     * rejected with an AssertionError if the registry contents are different.
+     */
+    assertRegistryContents(type, expected) {
+        const byIdentifier = (resource1, resource2) => {
+            return resource1.getIdentifier().localeCompare(resource2.getIdentifier());
+        };
+        const serializer = this.getSerializer();
+        const expectedJSON = expected
+            .map((resource) => {
+                return resource instanceof Resource ? resource : serializer.fromJSON(resource);
+            })
+            .sort(byIdentifier)
+            .map((resource) => {
+                return this.normalize(resource);
+            });
+        return this.getRegistry(type)
+            .then((registry) => {
+                return registry.getAll();
+            })
+            .then((resources) => {
+                const actualJSON = resources.sort(byIdentifier).map((resource) => {
+                    return this.normalize(resource);
+                });
+                assert.deepStrictEqual(actualJSON, expectedJSON);
+            });
+    }
+
+    /**
+     * Convert a resource, or the JSON object for a resource, into a JSON object
+     * that can be compared with other JSON objects. The JSON object is
+     * validated, and default values are added.
+     * @private
+     * @param {Resource|Object} resource The resource, or its JSON object.
+     * @return {Object} The normalized JSON object.
+     */
+    normalize(resource) {
+        const serializer = this.getSerializer();
+        if (!(resource instanceof Resource)) {
+            resource = serializer.fromJSON(resource);
+        }
+        return serializer.toJSON(resource);
+    }
+
+    /**
+     * Check that a business network has been deployed.
+     * @private
+     * @throws {Error} If a business network has not been deployed.
+     */
+    checkDeployed() {
+        if (!this.businessNetworkConnection) {
+            throw new Error('A business network has not been deployed');
+        }
+    }
+
+}
+
+module.exports = TestHarness;
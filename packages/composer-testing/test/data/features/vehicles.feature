@@ -0,0 +1,44 @@
+Feature: Vehicles
+
+    Background:
+        Given I have deployed the business network definition test/data/network
+        And I have the following participants of type org.acme.vehicles.Person
+            | email           | name  |
+            | alice@email.com | Alice |
+            | bob@email.com   | Bob   |
+        And I have the following assets of type org.acme.vehicles.Vehicle
+            | vin   | colour | owner           |
+            | VEH_1 | blue   | alice@email.com |
+
+    Scenario: The owner of a vehicle can change its colour
+        Given I am the participant org.acme.vehicles.Person#alice@email.com
+        When I submit the following transaction of type org.acme.vehicles.ChangeColour
+            | vehicle | colour |
+            | VEH_1   | red    |
+        Then I should have the following assets of type org.acme.vehicles.Vehicle
+            | vin   | colour | owner           |
+            | VEH_1 | red    | alice@email.com |
+
+    Scenario: Other people cannot change the colour of a vehicle
+        Given I am the participant org.acme.vehicles.Person#bob@email.com
+        When I submit the following transaction of type org.acme.vehicles.ChangeColour
+            | vehicle | colour |
+            | VEH_1   | green  |
+        Then I should get an error matching /does not exist/
+        And I should have the following assets of type org.acme.vehicles.Vehicle
+            | vin   | colour | owner           |
+            | VEH_1 | blue   | alice@email.com |
+
+    Scenario: The administrator can add and remove vehicles
+        When I add the following asset of type org.acme.vehicles.Vehicle
+            | vin   | owner         |
+            | VEH_2 | bob@email.com |
+        And I remove the following asset of type org.acme.vehicles.Vehicle
+            | vin   |
+            | VEH_1 |
+        Then I should have the following assets of type org.acme.vehicles.Vehicle
+            | vin   | colour | owner         |
+            | VEH_2 | white  | bob@email.com |
+        And I should not have the following assets of type org.acme.vehicles.Vehicle
+            | vin   |
+            | VEH_1 |
@@ -0,0 +1,29 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+/**
+ * Change the colour of a vehicle.
+ * @param {org.acme.vehicles.ChangeColour} transaction The transaction
+ * @transaction
+ */
+function changeColour(transaction) {
+    transaction.vehicle.colour = transaction.colour;
+    return getAssetRegistry('org.acme.vehicles.Vehicle')
+        .then(function (vehicleRegistry) {
+            return vehicleRegistry.update(transaction.vehicle);
+        });
+}
@@ -0,0 +1,406 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const AssertionError = require('assert').AssertionError;
+const BusinessNetworkConnection = require('composer-client').BusinessNetworkConnection;
+const CucumberSteps = require('..').CucumberSteps;
+const TestHarness = require('..').TestHarness;
+
+const path = require('path');
+
+const chai = require('chai');
+const should = chai.should();
+chai.use(require('chai-as-promised'));
+
+const NETWORK_DIR = path.relative(process.cwd(), path.resolve(__dirname, 'data', 'network'));
+
+describe('CucumberSteps', () => {
+
+    let hooks;
+    let stepDefinitions;
+    let world;
+
+    /**
+     * Run the step definition matching the step.
+     * @param {string} step The text of the step, without the keyword.
+     * @param {Object[]} [rows] The rows of the data table for the step.
+     * @return {*} The value returned by the step definition.
+     */
+    function runStep(step, rows) {
+        const matches = stepDefinitions
+            .map((stepDefinition) => {
+                return { stepDefinition: stepDefinition, match: stepDefinition.pattern.exec(step) };
+            })
+            .filter((result) => {
+                return result.match;
+            });
+        matches.should.have.lengthOf(1, `Expected one step definition for "${step}"`);
+        const args = matches[0].match.slice(1);
+        if (rows) {
+            args.push({ hashes: () => rows });
+        }
+        return matches[0].stepDefinition.code.apply(world, args);
+    }
+
+    /**
+     * Get the JSON object for a resource in a registry.
+     * @param {string} type The fully qualified name of the type.
+     * @param {string} id The identifier of the resource.
+     * @return {Promise} A promise that will be resolved with the JSON object.
+     */
+    function getResource(type, id) {
+        const harness = world.composer.harness;
+        return harness.getRegistry(type)
+            .then((registry) => {
+                return registry.get(id);
+            })
+            .then((resource) => {
+                return harness.getSerializer().toJSON(resource);
+            });
+    }
+
+    beforeEach(() => {
+        hooks = { before: [], after: [] };
+        stepDefinitions = [];
+        const defineStep = (pattern, options, code) => {
+            if (typeof options === 'function') {
+                code = options;
+                options = {};
+            }
+            stepDefinitions.push({ pattern: pattern, options: options, code: code });
+        };
+        CucumberSteps.call({
+            Before: (code) => { hooks.before.push(code); },
+            After: (code) => { hooks.after.push(code); },
+            Given: defineStep,
+            When: defineStep,
+            Then: defineStep
+        });
+        world = {};
+        hooks.before.forEach((code) => {
+            code.call(world);
+        });
+    });
+
+    afterEach(() => {
+        return world.composer.harness.tearDown();
+    });
+
+    describe('Before', () => {
+
+        it('should create a test harness for the scenario', () => {
+            world.composer.harness.should.be.an.instanceOf(TestHarness);
+            should.equal(world.composer.connection, null);
+            should.equal(world.composer.error, null);
+        });
+
+    });
+
+    describe('After', () => {
+
+        it('should tear down the test harness', () => {
+            return runStep(`I have deployed the business network definition ${NETWORK_DIR}`)
+                .then(() => {
+                    return hooks.after[0].call(world);
+                })
+                .then(() => {
+                    (() => {
+                        world.composer.harness.getBusinessNetworkConnection();
+                    }).should.throw(/has not been deployed/);
+                });
+        });
+
+        it('should throw an error that was not checked', () => {
+            world.composer.error = new Error('such error');
+            return hooks.after[0].call(world).should.be.rejectedWith(/such error/);
+        });
+
+    });
+
+    describe('Given I have deployed the business network definition', () => {
+
+        it('should deploy the business network in the directory', () => {
+            world.composer.connection = {};
+            return runStep(`I have deployed the business network definition ${NETWORK_DIR}`)
+                .then(() => {
+                    world.composer.harness.getBusinessNetworkDefinition().getName().should.equal('vehicle-network');
+                    should.equal(world.composer.connection, null);
+                });
+        });
+
+        it('should use a longer timeout', () => {
+            stepDefinitions[0].options.timeout.should.be.above(5000);
+        });
+
+    });
+
+    describe('with a deployed business network', () => {
+
+        const people = [
+            { email: 'alice@email.com', name: 'Alice' },
+            { email: 'bob@email.com', name: 'Bob' }
+        ];
+        const vehicles = [
+            { vin: 'VEH_1', colour: 'blue', owner: 'alice@email.com' }
+        ];
+
+        beforeEach(() => {
+            return runStep(`I have deployed the business network definition ${NETWORK_DIR}`)
+                .then(() => {
+                    return runStep('I have the following participants of type org.acme.vehicles.Person', people);
+                })
+                .then(() => {
+                    return runStep('I have the following asset of type org.acme.vehicles.Vehicle', vehicles);
+                });
+        });
+
+        describe('Given I have the following assets of type', () => {
+
+            it('should add the assets and participants', () => {
+                return getResource('org.acme.vehicles.Vehicle', 'VEH_1')
+                    .then((json) => {
+                        json.should.deep.equal({ $class: 'org.acme.vehicles.Vehicle', vin: 'VEH_1', colour: 'blue', owner: 'alice@email.com' });
+                    });
+            });
+
+            it('should convert the values in the table for the types of the properties', () => {
+                return runStep('I have the following asset of type org.acme.widgets.Widget', [{
+                    widgetId: 'W_1',
+                    count: '3',
+                    price: '9.99',
+                    working: 'true',
+                    made: '2017-03-01T12:00:00.000Z',
+                    size: 'LARGE',
+                    address: '{"$class": "org.acme.widgets.Address", "city": "Winchester"}',
+                    tags: '["shiny", "new"]',
+                    stock: '{"Winchester": 12}',
+                    owner: 'alice@email.com'
+                }])
+                    .then(() => {
+                        return getResource('org.acme.widgets.Widget', 'W_1');
+                    })
+                    .then((json) => {
+                        json.should.deep.equal({
+                            $class: 'org.acme.widgets.Widget',
+                            widgetId: 'W_1',
+                            count: 3,
+                            price: 9.99,
+                            working: true,
+                            made: '2017-03-01T12:00:00.000Z',
+                            size: 'LARGE',
+                            address: { $class: 'org.acme.widgets.Address', city: 'Winchester' },
+                            tags: ['shiny', 'new'],
+                            stock: { Winchester: 12 },
+                            owner: 'alice@email.com'
+                        });
+                    });
+            });
+
+            it('should leave out empty values', () => {
+                return runStep('I have the following assets of type org.acme.vehicles.Vehicle', [{ vin: 'VEH_2', colour: '', owner: 'bob@email.com' }])
+                    .then(() => {
+                        return getResource('org.acme.vehicles.Vehicle', 'VEH_2');
+                    })
+                    .then((json) => {
+                        json.colour.should.equal('white');
+                    });
+            });
+
+            it('should throw for a column that is not a property', () => {
+                (() => {
+                    runStep('I have the following assets of type org.acme.vehicles.Vehicle', [{ vin: 'VEH_2', wheels: '4' }]);
+                }).should.throw(/The type org.acme.vehicles.Vehicle does not have a property named wheels/);
+            });
+
+            it('should reject assets that are not valid', () => {
+                return runStep('I have the following assets of type org.acme.vehicles.Vehicle', [{ vin: 'VEH_2' }])
+                    .should.be.rejectedWith(/owner/);
+            });
+
+        });
+
+        describe('Given I am the participant', () => {
+
+            it('should use a connection as the participant', () => {
+                return runStep('I am the participant org.acme.vehicles.Person#bob@email.com')
+                    .then(() => {
+                        world.composer.connection.should.be.an.instanceOf(BusinessNetworkConnection);
+                        world.composer.connection.should.not.equal(world.composer.harness.getBusinessNetworkConnection());
+                    });
+            });
+
+        });
+
+        describe('Given I am the network administrator', () => {
+
+            it('should use the connection as the administrator', () => {
+                return runStep('I am the participant org.acme.vehicles.Person#bob@email.com')
+                    .then(() => {
+                        runStep('I am the network administrator');
+                        should.equal(world.composer.connection, null);
+                    });
+            });
+
+        });
+
+        describe('When I submit the following transactions of type', () => {
+
+            it('should submit the transactions in order', () => {
+                return runStep('I submit the following transactions of type org.acme.vehicles.ChangeColour', [
+                    { vehicle: 'VEH_1', colour: 'red' },
+                    { vehicle: 'VEH_1', colour: 'green' }
+                ])
+                    .then(() => {
+                        should.equal(world.composer.error, null);
+                        return getResource('org.acme.vehicles.Vehicle', 'VEH_1');
+                    })
+                    .then((json) => {
+                        json.colour.should.equal('green');
+                    });
+            });
+
+            it('should submit the transactions as the participant', () => {
+                return runStep('I am the participant org.acme.vehicles.Person#bob@email.com')
+                    .then(() => {
+                        return runStep('I submit the following transaction of type org.acme.vehicles.ChangeColour', [{ vehicle: 'VEH_1', colour: 'red' }]);
+                    })
+                    .then(() => {
+                        world.composer.error.should.match(/does not exist/);
+                        return getResource('org.acme.vehicles.Vehicle', 'VEH_1');
+                    })
+                    .then((json) => {
+                        json.colour.should.equal('blue');
+                    });
+            });
+
+            it('should throw an error from a previous step that was not checked', () => {
+                world.composer.error = new Error('such error');
+                (() => {
+                    runStep('I submit the following transaction of type org.acme.vehicles.ChangeColour', [{ vehicle: 'VEH_1', colour: 'red' }]);
+                }).should.throw(/such error/);
+                should.equal(world.composer.error, null);
+            });
+
+        });
+
+        describe('When I add the following assets of type', () => {
+
+            it('should add the assets', () => {
+                return runStep('I add the following asset of type org.acme.vehicles.Vehicle', [{ vin: 'VEH_2', owner: 'bob@email.com' }])
+                    .then(() => {
+                        return world.composer.harness.assertExists('org.acme.vehicles.Vehicle', 'VEH_2');
+                    });
+            });
+
+            it('should keep the error if the assets cannot be added', () => {
+                return runStep('I add the following asset of type org.acme.vehicles.Vehicle', [{ vin: 'VEH_1', owner: 'bob@email.com' }])
+                    .then(() => {
+                        world.composer.error.should.be.an.instanceOf(Error);
+                    });
+            });
+
+        });
+
+        describe('When I update the following assets of type', () => {
+
+            it('should update the assets as the participant', () => {
+                return runStep('I am the participant org.acme.vehicles.Person#alice@email.com')
+                    .then(() => {
+                        return runStep('I update the following asset of type org.acme.vehicles.Vehicle', [{ vin: 'VEH_1', colour: 'red', owner: 'alice@email.com' }]);
+                    })
+                    .then(() => {
+                        should.equal(world.composer.error, null);
+                        return getResource('org.acme.vehicles.Vehicle', 'VEH_1');
+                    })
+                    .then((json) => {
+                        json.colour.should.equal('red');
+                    });
+            });
+
+        });
+
+        describe('When I remove the following assets of type', () => {
+
+            it('should remove the assets', () => {
+                return runStep('I remove the following asset of type org.acme.vehicles.Vehicle', [{ vin: 'VEH_1' }])
+                    .then(() => {
+                        should.equal(world.composer.error, null);
+                        return world.composer.harness.assertNotExists('org.acme.vehicles.Vehicle', 'VEH_1');
+                    });
+            });
+
+        });
+
+        describe('Then I should have the following assets of type', () => {
+
+            it('should pass if the registry contains the assets', () => {
+                return runStep('I should have the following participants of type org.acme.vehicles.Person', people);
+            });
+
+            it('should fail if an asset is different', () => {
+                return runStep('I should have the following asset of type org.acme.vehicles.Vehicle', [{ vin: 'VEH_1', colour: 'red', owner: 'alice@email.com' }])
+                    .should.be.rejectedWith(AssertionError);
+            });
+
+            it('should throw an error from a previous step that was not checked', () => {
+                world.composer.error = new Error('such error');
+                (() => {
+                    runStep('I should have the following asset of type org.acme.vehicles.Vehicle', vehicles);
+                }).should.throw(/such error/);
+            });
+
+        });
+
+        describe('Then I should not have the following assets of type', () => {
+
+            it('should pass if the registry does not contain the assets', () => {
+                return runStep('I should not have the following asset of type org.acme.vehicles.Vehicle', [{ vin: 'VEH_2' }]);
+            });
+
+            it('should fail if the registry contains an asset', () => {
+                return runStep('I should not have the following assets of type org.acme.vehicles.Vehicle', [{ vin: 'VEH_2' }, { vin: 'VEH_1' }])
+                    .should.be.rejectedWith(AssertionError, /VEH_1/);
+            });
+
+        });
+
+        describe('Then I should get an error matching', () => {
+
+            it('should pass if the error matches', () => {
+                world.composer.error = new Error('such error');
+                runStep('I should get an error matching /such.*/');
+                should.equal(world.composer.error, null);
+            });
+
+            it('should fail if the error does not match', () => {
+                world.composer.error = new Error('such error');
+                (() => {
+                    runStep('I should get an error matching /much error/');
+                }).should.throw(/Expected an error matching \/much error\/, but the error was: such error/);
+                should.equal(world.composer.error, null);
+            });
+
+            it('should fail if there was no error', () => {
+                (() => {
+                    runStep('I should get an error matching /such error/');
+                }).should.throw(/Expected an error matching \/such error\/, but no error was thrown/);
+            });
+
+        });
+
+    });
+
+});
@@ -0,0 +1,515 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const AdminConnection = require('composer-admin').AdminConnection;
+const AssertionError = require('assert').AssertionError;
+const BusinessNetworkConnection = require('composer-client').BusinessNetworkConnection;
+const BusinessNetworkDefinition = require('composer-common').BusinessNetworkDefinition;
+const Resource = require('composer-common').Resource;
+const TestHarness = require('..').TestHarness;
+
+const path = require('path');
+
+const chai = require('chai');
+const should = chai.should();
+chai.use(require('chai-as-promised'));
+const sinon = require('sinon');
+
+const NETWORK_DIR = path.resolve(__dirname, 'data', 'network');
+const FIXTURES_FILE = path.resolve(__dirname, 'data', 'fixtures.json');
+
+describe('TestHarness', () => {
+
+    let harness;
+    let sandbox;
+
+    const alice = {
+        $class: 'org.acme.vehicles.Person',
+        email: 'alice@email.com',
+        name: 'Alice'
+    };
+    const bob = {
+        $class: 'org.acme.vehicles.Person',
+        email: 'bob@email.com',
+        name: 'Bob'
+    };
+    const vehicle = {
+        $class: 'org.acme.vehicles.Vehicle',
+        vin: 'VEH_1',
+        colour: 'blue',
+        owner: 'alice@email.com'
+    };
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        harness = new TestHarness();
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        return harness.tearDown();
+    });
+
+    describe('#constructor', () => {
+
+        it('should use the default connection profile name', () => {
+            harness.connectionProfile.should.equal('composer-testing');
+        });
+
+        it('should use the specified connection profile name', () => {
+            harness = new TestHarness({ connectionProfile: 'suchprofile' });
+            harness.connectionProfile.should.equal('suchprofile');
+        });
+
+    });
+
+    describe('#deploy', () => {
+
+        it('should deploy a business network from a directory', () => {
+            return harness.deploy(NETWORK_DIR)
+                .then((connection) => {
+                    connection.should.be.an.instanceOf(BusinessNetworkConnection);
+                    connection.should.equal(harness.getBusinessNetworkConnection());
+                    harness.getAdminConnection().should.be.an.instanceOf(AdminConnection);
+                    harness.getBusinessNetworkDefinition().getName().should.equal('vehicle-network');
+                    return connection.ping();
+                });
+        });
+
+        it('should deploy a business network definition', () => {
+            return BusinessNetworkDefinition.fromDirectory(NETWORK_DIR)
+                .then((businessNetworkDefinition) => {
+                    return harness.deploy(businessNetworkDefinition);
+                })
+                .then(() => {
+                    harness.getBusinessNetworkDefinition().getName().should.equal('vehicle-network');
+                });
+        });
+
+        it('should tear down the previously deployed business network', () => {
+            return harness.deploy(NETWORK_DIR)
+                .then(() => {
+                    return harness.loadFixtures(alice);
+                })
+                .then(() => {
+                    sandbox.spy(harness, 'tearDown');
+                    return harness.deploy(NETWORK_DIR);
+                })
+                .then(() => {
+                    sinon.assert.calledOnce(harness.tearDown);
+                    return harness.assertRegistryContents('org.acme.vehicles.Person', []);
+                });
+        });
+
+    });
+
+    describe('#tearDown', () => {
+
+        it('should do nothing if a business network has not been deployed', () => {
+            return harness.tearDown();
+        });
+
+        it('should disconnect all of the connections and undeploy the business network', () => {
+            let adminConnection, businessNetworkConnection, participantConnection;
+            return harness.deploy(NETWORK_DIR)
+                .then(() => {
+                    return harness.loadFixtures(alice);
+                })
+                .then(() => {
+                    return harness.impersonate('org.acme.vehicles.Person#alice@email.com');
+                })
+                .then((connection) => {
+                    participantConnection = connection;
+                    adminConnection = harness.getAdminConnection();
+                    businessNetworkConnection = harness.getBusinessNetworkConnection();
+                    sandbox.spy(adminConnection, 'undeploy');
+                    sandbox.spy(adminConnection, 'disconnect');
+                    sandbox.spy(businessNetworkConnection, 'disconnect');
+                    sandbox.spy(participantConnection, 'disconnect');
+                    return harness.tearDown();
+                })
+                .then(() => {
+                    sinon.assert.calledOnce(participantConnection.disconnect);
+                    sinon.assert.calledOnce(businessNetworkConnection.disconnect);
+                    sinon.assert.calledWith(adminConnection.undeploy, 'vehicle-network');
+                    sinon.assert.calledOnce(adminConnection.disconnect);
+                    (() => {
+                        harness.getBusinessNetworkConnection();
+                    }).should.throw(/A business network has not been deployed/);
+                });
+        });
+
+    });
+
+    describe('#getBusinessNetworkConnection', () => {
+
+        it('should throw if a business network has not been deployed', () => {
+            (() => {
+                harness.getBusinessNetworkConnection();
+            }).should.throw(/A business network has not been deployed/);
+        });
+
+    });
+
+    describe('#getAdminConnection', () => {
+
+        it('should throw if a business network has not been deployed', () => {
+            (() => {
+                harness.getAdminConnection();
+            }).should.throw(/A business network has not been deployed/);
+        });
+
+    });
+
+    describe('with a deployed business network', () => {
+
+        beforeEach(() => {
+            return harness.deploy(NETWORK_DIR);
+        });
+
+        describe('#getFactory', () => {
+
+            it('should return the factory for the business network', () => {
+                harness.getFactory().newResource('org.acme.vehicles', 'Person', 'carol@email.com')
+                    .getFullyQualifiedIdentifier().should.equal('org.acme.vehicles.Person#carol@email.com');
+            });
+
+        });
+
+        describe('#getSerializer', () => {
+
+            it('should return the serializer for the business network', () => {
+                harness.getSerializer().fromJSON(alice).getIdentifier().should.equal('alice@email.com');
+            });
+
+        });
+
+        describe('#getRegistry', () => {
+
+            it('should return the asset registry for an asset type', () => {
+                return harness.getRegistry('org.acme.vehicles.Vehicle')
+                    .then((registry) => {
+                        registry.registryType.should.equal('Asset');
+                        registry.id.should.equal('org.acme.vehicles.Vehicle');
+                    });
+            });
+
+            it('should return the participant registry for a participant type', () => {
+                return harness.getRegistry('org.acme.vehicles.Person')
+                    .then((registry) => {
+                        registry.registryType.should.equal('Participant');
+                        registry.id.should.equal('org.acme.vehicles.Person');
+                    });
+            });
+
+            it('should use the specified connection', () => {
+                const connection = harness.getBusinessNetworkConnection();
+                sandbox.spy(connection, 'getAssetRegistry');
+                return harness.getRegistry('org.acme.vehicles.Vehicle', connection)
+                    .then(() => {
+                        sinon.assert.calledWith(connection.getAssetRegistry, 'org.acme.vehicles.Vehicle');
+                    });
+            });
+
+            it('should reject a type that is not an asset or participant type', () => {
+                return harness.getRegistry('org.acme.vehicles.ChangeColour')
+                    .should.be.rejectedWith(/The type org.acme.vehicles.ChangeColour is not an asset or participant type/);
+            });
+
+        });
+
+        describe('#loadFixtures', () => {
+
+            it('should load the fixtures from a file', () => {
+                return harness.loadFixtures(FIXTURES_FILE)
+                    .then((resources) => {
+                        resources.should.have.lengthOf(3);
+                        resources.forEach((resource) => {
+                            resource.should.be.an.instanceOf(Resource);
+                        });
+                        return harness.assertRegistryContents('org.acme.vehicles.Person', [alice, bob]);
+                    })
+                    .then(() => {
+                        return harness.assertRegistryContents('org.acme.vehicles.Vehicle', [vehicle]);
+                    });
+            });
+
+            it('should load a single fixture', () => {
+                return harness.loadFixtures(alice)
+                    .then((resources) => {
+                        resources.should.have.lengthOf(1);
+                        return harness.assertResource(alice);
+                    });
+            });
+
+            it('should add consecutive resources of the same type together', () => {
+                const registries = {};
+                const getRegistry = harness.getRegistry;
+                sandbox.stub(harness, 'getRegistry', function (type) {
+                    return getRegistry.apply(harness, arguments)
+                        .then((registry) => {
+                            registries[type] = registry;
+                            sandbox.spy(registry, 'addAll');
+                            return registry;
+                        });
+                });
+                return harness.loadFixtures([alice, bob, vehicle])
+                    .then(() => {
+                        sinon.assert.calledTwice(harness.getRegistry);
+                        registries['org.acme.vehicles.Person'].addAll.args[0][0].should.have.lengthOf(2);
+                        registries['org.acme.vehicles.Vehicle'].addAll.args[0][0].should.have.lengthOf(1);
+                    });
+            });
+
+            it('should reject fixtures that are not valid', () => {
+                return harness.loadFixtures({ $class: 'org.acme.vehicles.Person', email: 'alice@email.com' })
+                    .should.be.rejectedWith(/missing required field name/);
+            });
+
+            it('should reject a fixtures file that does not exist', () => {
+                return harness.loadFixtures(path.resolve(__dirname, 'data', 'nosuchfile.json'))
+                    .should.be.rejectedWith(/ENOENT/);
+            });
+
+        });
+
+        describe('#impersonate', () => {
+
+            beforeEach(() => {
+                return harness.loadFixtures(FIXTURES_FILE);
+            });
+
+            it('should return a connection as the specified participant', () => {
+                return harness.impersonate('org.acme.vehicles.Person#alice@email.com')
+                    .then((connection) => {
+                        connection.should.be.an.instanceOf(BusinessNetworkConnection);
+                        connection.should.not.equal(harness.getBusinessNetworkConnection());
+                        return connection.getIdentityRegistry();
+                    })
+                    .then((identityRegistry) => {
+                        return identityRegistry.getAll();
+                    })
+                    .then((identities) => {
+                        identities.should.have.lengthOf(1);
+                        identities[0].participant.should.equal('org.acme.vehicles.Person#alice@email.com');
+                    });
+            });
+
+            it('should accept a participant resource', () => {
+                const participant = harness.getSerializer().fromJSON(bob);
+                return harness.impersonate(participant)
+                    .then((connection) => {
+                        connection.should.be.an.instanceOf(BusinessNetworkConnection);
+                    });
+            });
+
+            it('should return the same connection for the same participant', () => {
+                let connection;
+                return harness.impersonate('org.acme.vehicles.Person#alice@email.com')
+                    .then((result) => {
+                        connection = result;
+                        return harness.impersonate('org.acme.vehicles.Person#alice@email.com');
+                    })
+                    .then((result) => {
+                        result.should.equal(connection);
+                    });
+            });
+
+            it('should enforce the access control rules for the participant', () => {
+                return harness.impersonate('org.acme.vehicles.Person#bob@email.com')
+                    .then((connection) => {
+                        return harness.getRegistry('org.acme.vehicles.Vehicle', connection);
+                    })
+                    .then((registry) => {
+                        return registry.getAll();
+                    })
+                    .should.eventually.have.lengthOf(0);
+            });
+
+            it('should reject a participant that does not exist', () => {
+                return harness.impersonate('org.acme.vehicles.Person#carol@email.com')
+                    .should.be.rejectedWith(/carol@email.com/);
+            });
+
+        });
+
+        describe('#submitTransaction', () => {
+
+            beforeEach(() => {
+                return harness.loadFixtures(FIXTURES_FILE);
+            });
+
+            it('should submit a transaction specified as JSON', () => {
+                return harness.submitTransaction({ $class: 'org.acme.vehicles.ChangeColour', vehicle: 'VEH_1', colour: 'red' })
+                    .then(() => {
+                        return harness.assertResource(Object.assign({}, vehicle, { colour: 'red' }));
+                    });
+            });
+
+            it('should use the specified transaction ID and timestamp', () => {
+                const connection = harness.getBusinessNetworkConnection();
+                sandbox.spy(connection, 'submitTransaction');
+                return harness.submitTransaction({
+                    $class: 'org.acme.vehicles.ChangeColour',
+                    transactionId: 'TX_1',
+                    timestamp: '2017-06-01T12:00:00.000Z',
+                    vehicle: 'VEH_1',
+                    colour: 'red'
+                })
+                    .then(() => {
+                        const transaction = connection.submitTransaction.args[0][0];
+                        transaction.getIdentifier().should.equal('TX_1');
+                        transaction.timestamp.toISOString().should.equal('2017-06-01T12:00:00.000Z');
+                    });
+            });
+
+            it('should submit a transaction resource', () => {
+                const transaction = harness.getFactory().newTransaction('org.acme.vehicles', 'ChangeColour');
+                transaction.vehicle = harness.getFactory().newRelationship('org.acme.vehicles', 'Vehicle', 'VEH_1');
+                transaction.colour = 'green';
+                return harness.submitTransaction(transaction)
+                    .then(() => {
+                        return harness.assertResource(Object.assign({}, vehicle, { colour: 'green' }));
+                    });
+            });
+
+            it('should submit a transaction as the specified participant', () => {
+                return harness.impersonate('org.acme.vehicles.Person#alice@email.com')
+                    .then((connection) => {
+                        return harness.submitTransaction({ $class: 'org.acme.vehicles.ChangeColour', vehicle: 'VEH_1', colour: 'red' }, connection);
+                    })
+                    .then(() => {
+                        return harness.assertResource(Object.assign({}, vehicle, { colour: 'red' }));
+                    });
+            });
+
+            it('should reject a transaction that the participant is not permitted to submit', () => {
+                return harness.impersonate('org.acme.vehicles.Person#bob@email.com')
+                    .then((connection) => {
+                        return harness.submitTransaction({ $class: 'org.acme.vehicles.ChangeColour', vehicle: 'VEH_1', colour: 'red' }, connection);
+                    })
+                    .should.be.rejectedWith(/VEH_1/);
+            });
+
+        });
+
+        describe('#assertExists', () => {
+
+            beforeEach(() => {
+                return harness.loadFixtures(alice);
+            });
+
+            it('should pass if the resource exists', () => {
+                return harness.assertExists('org.acme.vehicles.Person', 'alice@email.com');
+            });
+
+            it('should fail if the resource does not exist', () => {
+                return harness.assertExists('org.acme.vehicles.Person', 'bob@email.com')
+                    .should.be.rejectedWith(AssertionError, /Expected org.acme.vehicles.Person#bob@email.com to exist/);
+            });
+
+        });
+
+        describe('#assertNotExists', () => {
+
+            beforeEach(() => {
+                return harness.loadFixtures(alice);
+            });
+
+            it('should pass if the resource does not exist', () => {
+                return harness.assertNotExists('org.acme.vehicles.Person', 'bob@email.com');
+            });
+
+            it('should fail if the resource exists', () => {
+                return harness.assertNotExists('org.acme.vehicles.Person', 'alice@email.com')
+                    .should.be.rejectedWith(AssertionError, /Expected org.acme.vehicles.Person#alice@email.com not to exist/);
+            });
+
+        });
+
+        describe('#assertResource', () => {
+
+            beforeEach(() => {
+                return harness.loadFixtures(FIXTURES_FILE);
+            });
+
+            it('should pass if the resource is equal', () => {
+                return harness.assertResource(vehicle);
+            });
+
+            it('should pass if the resource is equal once default values are added', () => {
+                return harness.loadFixtures({ $class: 'org.acme.vehicles.Vehicle', vin: 'VEH_2', owner: 'bob@email.com' })
+                    .then(() => {
+                        return harness.assertResource({ $class: 'org.acme.vehicles.Vehicle', vin: 'VEH_2', colour: 'white', owner: 'bob@email.com' });
+                    });
+            });
+
+            it('should accept a resource', () => {
+                return harness.assertResource(harness.getSerializer().fromJSON(alice));
+            });
+
+            it('should fail if the resource is different', () => {
+                return harness.assertResource(Object.assign({}, vehicle, { colour: 'red' }))
+                    .should.be.rejectedWith(AssertionError);
+            });
+
+            it('should fail if the resource does not exist', () => {
+                return harness.assertResource(Object.assign({}, vehicle, { vin: 'VEH_2' }))
+                    .should.be.rejectedWith(AssertionError, /Expected org.acme.vehicles.Vehicle#VEH_2 to exist/);
+            });
+
+        });
+
+        describe('#assertRegistryContents', () => {
+
+            beforeEach(() => {
+                return harness.loadFixtures(FIXTURES_FILE);
+            });
+
+            it('should pass if the registry contains the resources in any order', () => {
+                return harness.assertRegistryContents('org.acme.vehicles.Person', [bob, alice]);
+            });
+
+            it('should accept resources', () => {
+                const serializer = harness.getSerializer();
+                return harness.assertRegistryContents('org.acme.vehicles.Person', [serializer.fromJSON(alice), serializer.fromJSON(bob)]);
+            });
+
+            it('should fail if the registry contains other resources', () => {
+                return harness.assertRegistryContents('org.acme.vehicles.Person', [alice])
+                    .should.be.rejectedWith(AssertionError);
+            });
+
+            it('should fail if the registry does not contain a resource', () => {
+                return harness.assertRegistryContents('org.acme.vehicles.Vehicle', [vehicle, Object.assign({}, vehicle, { vin: 'VEH_2' })])
+                    .should.be.rejectedWith(AssertionError);
+            });
+
+        });
+
+    });
+
+    describe('#normalize', () => {
+
+        it('should not be callable before a business network is deployed', () => {
+            should.throw(() => {
+                harness.normalize(alice);
+            }, /A business network has not been deployed/);
+        });
+
+    });
+
+});
@@ -261,6 +261,20 @@ class BusinessNetworkConnector extends Connector {
                                     callback(error);
                                 });
 
+                        } else if (filter.limit || filter.skip) {
+                            // get a range of unresolved objects, one page at a time
+                            debug('About to get range', filter.skip, filter.limit);
+                            this.getRange(registry, filter.skip || 0, filter.limit)
+                                .then((result) => {
+                                    debug('Got Result:', result);
+                                    result.forEach((res) => {
+                                        results.push(this.serializer.toJSON(res));
+                                    });
+                                    callback(null, results);
+                                })
+                                .catch((error) => {
+                                    callback(error);
+                                });
                         } else {
                             // get all unresolved objects
                             debug('About to get all');
@@ -285,6 +299,32 @@ class BusinessNetworkConnector extends Connector {
             });
     }
 
+    /**
+     * Get a range of the resources in a registry by reading pages of resources
+     * from the registry until enough resources have been read.
+     * @param {Registry} registry The registry.
+     * @param {number} skip The number of resources to skip.
+     * @param {number} [limit] The maximum number of resources to return, or
+     * undefined to return all of the remaining resources.
+     * @return {Promise} A promise that will be resolved with an array of resources.
+     */
+    getRange(registry, skip, limit) {
+        debug('getRange', skip, limit);
+        const pageSize = limit ? Math.min(skip + limit, 100) : 100;
+        let resources = [];
+        const getNextPage = (bookmark) => {
+            return registry.getPage(pageSize, bookmark)
+                .then((page) => {
+                    resources = resources.concat(page.resources);
+                    if (page.bookmark && (!limit || resources.length < skip + limit)) {
+                        return getNextPage(page.bookmark);
+                    }
+                    return limit ? resources.slice(skip, skip + limit) : resources.slice(skip);
+                });
+        };
+        return getNextPage(null);
+    }
+
     /**
      * check if the filter contains an Include filter
      * @param {string} filter The filter of which objects to get
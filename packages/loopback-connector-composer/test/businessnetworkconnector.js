@@ -915,6 +915,61 @@ describe('BusinessNetworkConnector Unit Test', () => {
             });
         });
 
+        it('should retrieve a range of Assets for a given modelname using a limit and skip filter', () => {
+            mockAssetRegistry.getPage.withArgs(3, null).resolves({ resources: [{assetId: 'a1'}, {assetId: 'a2'}], bookmark: 'a2' });
+            mockAssetRegistry.getPage.withArgs(3, 'a2').resolves({ resources: [{assetId: 'a3'}, {assetId: 'a4'}, {assetId: 'a5'}], bookmark: 'a5' });
+            mockSerializer.toJSON.onFirstCall().returns({assetId : 'a2', stringValue : 'a big car'});
+            mockSerializer.toJSON.onSecondCall().returns({assetId : 'a3', stringValue : 'a big fox'});
+
+            return new Promise((resolve, reject) => {
+                testConnector.all('org.acme.base.BaseAsset', {'limit' : 2, 'skip' : 1}, {}, (error, result) => {
+                    if (error) {
+                        return reject(error);
+                    }
+                    resolve(result);
+                });
+            })
+            .then((result) => {
+                sinon.assert.calledTwice(mockAssetRegistry.getPage);
+                sinon.assert.notCalled(mockAssetRegistry.getAll);
+                sinon.assert.calledTwice(mockSerializer.toJSON);
+                sinon.assert.calledWith(mockSerializer.toJSON, {assetId: 'a2'});
+                sinon.assert.calledWith(mockSerializer.toJSON, {assetId: 'a3'});
+                result.should.deep.equal([{assetId : 'a2', stringValue : 'a big car'}, {assetId : 'a3', stringValue : 'a big fox'}]);
+            });
+        });
+
+        it('should retrieve the remaining Assets for a given modelname using a skip filter', () => {
+            mockAssetRegistry.getPage.withArgs(100, null).resolves({ resources: [{assetId: 'a1'}], bookmark: 'a1' });
+            mockAssetRegistry.getPage.withArgs(100, 'a1').resolves({ resources: [{assetId: 'a2'}], bookmark: null });
+            mockSerializer.toJSON.onFirstCall().returns({assetId : 'a2', stringValue : 'a big fox'});
+
+            return new Promise((resolve, reject) => {
+                testConnector.all('org.acme.base.BaseAsset', {'skip' : 1}, {}, (error, result) => {
+                    if (error) {
+                        return reject(error);
+                    }
+                    resolve(result);
+                });
+            })
+            .then((result) => {
+                sinon.assert.calledTwice(mockAssetRegistry.getPage);
+                result.should.deep.equal([{assetId : 'a2', stringValue : 'a big fox'}]);
+            });
+        });
+
+        it('should handle errors when getting a range of Assets', () => {
+            mockAssetRegistry.getPage.rejects(new Error('expected error'));
+            return new Promise((resolve, reject) => {
+                testConnector.all('org.acme.base.BaseAsset', {'limit' : 10}, {}, (error, result) => {
+                    if (error) {
+                        return reject(error);
+                    }
+                    resolve();
+                });
+            }).should.be.rejectedWith(/expected error/);
+        });
+
         it('should retrieve all fully resolved Assets for a given modelname', () => {
             mockAssetRegistry.resolveAll.resolves([{assetId : 'mockId', stringValue : 'a big car'}, {assetId : 'mockId2', stringValue : 'a big fox'}]);
             return new Promise((resolve, reject) => {